@@ -1,3 +1,4 @@
+/* global document */
 import "cross-fetch/polyfill";
 import "url-search-params-polyfill";
 import React from "react";
@@ -6,13 +7,25 @@ import { ApolloProvider } from "react-apollo";
 import { BrowserRouter, Route, Redirect } from "react-router-dom";
 import App from "./App";
 import apolloClient from "./config/apollo";
+import { i18n } from "webiny-app/i18n";
 
-ReactDOM.render(
-    <ApolloProvider client={apolloClient}>
-        <BrowserRouter basename={"/admin"}>
-            <App />
-            <Route exact path="/" render={() => <Redirect to="/cms/pages" />} />
-        </BrowserRouter>
-    </ApolloProvider>,
-    document.getElementById("root")
-);
+const render = async () => {
+    // Locale pack is loaded before the first render, otherwise dates, numbers and prices would be rendered with
+    // default formats until something re-renders. If the pack fails to load, default formats are used.
+    await i18n
+        .setLocale(process.env.REACT_APP_LOCALE || "en")
+        .loadLocaleData()
+        .catch(() => null);
+
+    ReactDOM.render(
+        <ApolloProvider client={apolloClient}>
+            <BrowserRouter basename={"/admin"}>
+                <App />
+                <Route exact path="/" render={() => <Redirect to="/cms/pages" />} />
+            </BrowserRouter>
+        </ApolloProvider>,
+        document.getElementById("root")
+    );
+};
+
+render();
@@ -1,5 +1,6 @@
 // @flow
 import addDays from "date-fns/add_days";
+import addMinutes from "date-fns/add_minutes";
 import MongoDbDriver from "webiny-entity-mongodb";
 
 export default async (context: Object) => {
@@ -8,7 +9,7 @@ export default async (context: Object) => {
             mongodb: context.database
         },
         entity: {
-            // Instantiate entity driver with DB connection
+            // Instantiate entity driver with DB connection (sessions for transactions are started on its topology)
             driver: new MongoDbDriver({ database: context.database }),
             crud: {
                 logs: true,
@@ -22,8 +23,13 @@ export default async (context: Object) => {
         },
         security: {
             enabled: true,
+            adminUrl: context.adminUrl,
             token: {
                 secret: context.jwtSecret,
+                // Access tokens are short-lived and get refreshed using the refresh token.
+                expiresOn: () => addMinutes(new Date(), 15)
+            },
+            refreshToken: {
                 expiresOn: () => addDays(new Date(), 30)
             }
         }
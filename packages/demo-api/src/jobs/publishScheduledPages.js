@@ -0,0 +1,10 @@
+// @flow
+import "source-map-support/register";
+import { registerPlugins } from "webiny-plugins";
+import { createJobHandler } from "webiny-api";
+import { publishScheduledPages } from "webiny-api-cms/jobs";
+import config from "../configs";
+import plugins from "../plugins";
+
+registerPlugins(plugins);
+export const handler = createJobHandler(config, publishScheduledPages);
@@ -1,7 +1,10 @@
 // @flow
 import apiPlugins from "webiny-api/plugins";
 import filesPlugins from "webiny-api-files/plugins";
+import { storageFromEnv } from "webiny-api-files/plugins/storage";
+import imagePlaceholder from "webiny-api-files/plugins/metadata/imagePlaceholder";
 import securityPlugins from "webiny-api-security/plugins";
+import { localMailer } from "webiny-api-security/plugins/mailer";
 import cmsPlugins from "webiny-api-cms/plugins";
 import cookiePolicyPlugins from "webiny-api-cookie-policy";
 import gtmPlugins from "webiny-api-google-tag-manager";
@@ -10,9 +13,15 @@ import mailchimpPlugins from "webiny-api-mailchimp";
 export default [
     apiPlugins,
     filesPlugins,
+    // Storage for uploaded files - local disk by default (see FILES_STORAGE environment variable).
+    storageFromEnv(),
+    // Dominant color and BlurHash placeholders of uploaded images (requires "sharp").
+    imagePlaceholder(),
     cmsPlugins,
     cookiePolicyPlugins,
     gtmPlugins,
     mailchimpPlugins,
     securityPlugins,
+    // Logs security e-mails (password reset, e-mail verification) to console - register a real mailer for production.
+    localMailer()
 ];
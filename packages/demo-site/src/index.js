@@ -1,3 +1,4 @@
+/* global document */
 import "cross-fetch/polyfill";
 import "url-search-params-polyfill";
 import React from "react";
@@ -6,14 +7,24 @@ import { ApolloProvider } from "react-apollo";
 import { BrowserRouter } from "react-router-dom";
 import App from "./App";
 import apolloClient from "./config/apollo";
+import { i18n } from "webiny-app/i18n";
 
-const render = module.hot ? ReactDOM.render : ReactDOM.hydrate;
+const render = async () => {
+    // Locale pack is loaded before the first render, so the content matches the one rendered on the server
+    // (see "ssr/handler.js"). If the pack fails to load, default formats are used.
+    await i18n
+        .setLocale(process.env.REACT_APP_LOCALE || "en")
+        .loadLocaleData()
+        .catch(() => null);
 
-render(
-    <ApolloProvider client={apolloClient}>
-        <BrowserRouter>
-            <App />
-        </BrowserRouter>
-    </ApolloProvider>,
-    document.getElementById("root")
-);
+    (module.hot ? ReactDOM.render : ReactDOM.hydrate)(
+        <ApolloProvider client={apolloClient}>
+            <BrowserRouter>
+                <App />
+            </BrowserRouter>
+        </ApolloProvider>,
+        document.getElementById("root")
+    );
+};
+
+render();
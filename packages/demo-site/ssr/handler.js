@@ -11,6 +11,7 @@ import { ApolloLink } from "apollo-link";
 import { InMemoryCache } from "apollo-cache-inmemory";
 import { createHttpLink } from "apollo-link-http";
 import { createOmitTypenameLink } from "webiny-app/graphql";
+import { i18n } from "webiny-app/i18n";
 import injectContent from "./injectContent";
 import App from "../src/App";
 
@@ -33,6 +34,12 @@ const createClient = ({ headers }) => {
 };
 
 export const handler = async event => {
+    // Same locale as in the browser (see "src/index.js"), so the hydrated content matches.
+    await i18n
+        .setLocale(process.env.REACT_APP_LOCALE || "en")
+        .loadLocaleData()
+        .catch(() => null);
+
     const apolloClient = createClient(event);
 
     const app = (
@@ -29,7 +29,8 @@ module.exports = {
     plugins: [
         new webpack.DefinePlugin({
             "process.env.REACT_APP_FUNCTIONS_HOST": JSON.stringify(process.env.REACT_APP_FUNCTIONS_HOST),
-            "process.env.REACT_APP_ENV": JSON.stringify(process.env.REACT_APP_ENV || "browser")
+            "process.env.REACT_APP_ENV": JSON.stringify(process.env.REACT_APP_ENV || "browser"),
+            "process.env.REACT_APP_LOCALE": JSON.stringify(process.env.REACT_APP_LOCALE)
         })
     ],
     module: {
@@ -0,0 +1,62 @@
+import { registerPlugins, unregisterPlugin } from "webiny-plugins";
+import getFileUploader from "webiny-admin/components/FileManager/getFileUploader";
+import getFileHash from "webiny-admin/components/FileManager/getFileHash";
+
+jest.mock("webiny-admin/components/FileManager/getFileHash");
+
+describe("getFileUploader test", () => {
+    const file = { name: "a.png" };
+    const uploaded = { src: "/files/a.png", name: "a.png" };
+    let upload;
+
+    beforeEach(() => {
+        upload = jest.fn(async () => uploaded);
+        registerPlugins({ name: "file-uploader", type: "file-uploader", upload });
+        getFileHash.mockImplementation(async () => "hash");
+    });
+
+    afterEach(() => {
+        unregisterPlugin("file-uploader");
+        jest.resetAllMocks();
+    });
+
+    const createClient = files => ({
+        query: jest.fn(async () => ({
+            data: { files: { findDuplicateFiles: { data: files } } }
+        }))
+    });
+
+    test("should upload files by default", async () => {
+        const client = createClient([{ id: "1", src: "/files/existing.png" }]);
+        expect(await getFileUploader({ client })(file)).toBe(uploaded);
+        expect(client.query).not.toHaveBeenCalled();
+        expect(getFileHash).not.toHaveBeenCalled();
+        expect(upload).toHaveBeenCalledWith(file);
+    });
+
+    test("should return an existing file with the same content", async () => {
+        const existing = { id: "1", src: "/files/existing.png" };
+        const client = createClient([existing]);
+
+        expect(await getFileUploader({ reuseExisting: true, client })(file)).toBe(existing);
+        expect(client.query.mock.calls[0][0].variables).toEqual({ hash: "hash" });
+        expect(upload).not.toHaveBeenCalled();
+    });
+
+    test("should upload the file if no file with the same content exists", async () => {
+        const client = createClient([]);
+
+        expect(await getFileUploader({ reuseExisting: true, client })(file)).toBe(uploaded);
+        expect(client.query).toHaveBeenCalledTimes(1);
+        expect(upload).toHaveBeenCalledWith(file);
+    });
+
+    test("should upload the file if its hash cannot be computed", async () => {
+        getFileHash.mockImplementation(async () => null);
+        const client = createClient([{ id: "1", src: "/files/existing.png" }]);
+
+        expect(await getFileUploader({ reuseExisting: true, client })(file)).toBe(uploaded);
+        expect(client.query).not.toHaveBeenCalled();
+        expect(upload).toHaveBeenCalledWith(file);
+    });
+});
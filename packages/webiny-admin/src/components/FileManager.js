@@ -13,9 +13,12 @@ type Props = {
     children: ({ showFileManager: Function }) => React.Node,
     maxSize?: string,
     multipleMaxCount?: number,
-    multipleMaxSize?: string
+    multipleMaxSize?: string,
+    // Files that were already uploaded (same content) are reused instead of being uploaded again.
+    reuseExistingFiles?: boolean
 };
 
+// $FlowFixMe - hooks are not yet typed in the used Flow version.
 const { useState } = React;
 
 class FileManagerPortal extends React.Component<*> {
@@ -46,7 +49,8 @@ class FileManagerPortal extends React.Component<*> {
             images,
             maxSize,
             multipleMaxCount,
-            multipleMaxSize
+            multipleMaxSize,
+            reuseExistingFiles
         } = this.props;
 
         const container: Element = (this.container: any);
@@ -65,7 +69,8 @@ class FileManagerPortal extends React.Component<*> {
             multiple,
             maxSize,
             multipleMaxCount,
-            multipleMaxSize
+            multipleMaxSize,
+            reuseExistingFiles
         };
 
         if (images) {
@@ -1,11 +1,14 @@
 // @flow
-import React from "react";
+import * as React from "react";
 import { css } from "emotion";
 import { ReactComponent as Checked } from "./icons/round-check_box-24px.svg";
 import { ReactComponent as InfoIcon } from "./icons/round-info-24px.svg";
 import { Ripple } from "webiny-ui/Ripple";
 import LazyLoad from "react-lazy-load";
 
+// Data type used when dragging files from the list (eg. when moving files into a folder).
+export const FILE_DRAG_TYPE = "application/x-webiny-files";
+
 const COMPONENT_WIDTH = 200;
 const COMPONENT_HEIGHT = 200;
 
@@ -75,15 +78,25 @@ type Props = {
     uploadFile: Function,
     onSelect: Function,
     onClick: Function,
+    showFileDetails: Function,
+    children: React.Node,
     options: ?Array<{ label: string, onClick: (file: Object) => void }>
 };
 
-export default React.memo(
+// $FlowFixMe - "React.memo" is not yet typed in the used Flow version.
+const MemoizedFile = React.memo(
     function File(props: Props) {
         const { file, selected, onSelect, children, showFileDetails } = props;
 
         return (
-            <div className={styles}>
+            <div
+                className={styles}
+                draggable
+                onDragStart={(e: SyntheticDragEvent<HTMLDivElement>) => {
+                    e.dataTransfer.effectAllowed = "move";
+                    e.dataTransfer.setData(FILE_DRAG_TYPE, JSON.stringify([file.id]));
+                }}
+            >
                 <div className={"body"}>
                     <div className={"checkedIcon"} onClick={onSelect}>
                         {selected ? <Checked /> : null}
@@ -118,3 +131,7 @@ export default React.memo(
         return true;
     }
 );
+
+MemoizedFile.displayName = "File";
+
+export default MemoizedFile;
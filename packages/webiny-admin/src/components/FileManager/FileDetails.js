@@ -9,6 +9,9 @@ import getFileTypePlugin from "./getFileTypePlugin";
 import get from "lodash/get";
 import Tags from "./FileDetails/Tags";
 import Name from "./FileDetails/Name";
+import Meta from "./FileDetails/Meta";
+import Usages from "./FileDetails/Usages";
+import DeleteFile from "./FileDetails/DeleteFile";
 import { Tooltip } from "webiny-ui/Tooltip";
 import { useHotkeys } from "react-hotkeyz";
 import { ReactComponent as DownloadIcon } from "./icons/round-cloud_download-24px.svg";
@@ -87,7 +90,6 @@ export default function FileDetails(props: *) {
         }
     });
 
-
     return (
         <Drawer dir="rtl" modal open={file} onClose={hideFileDetails}>
             {file && (
@@ -105,6 +107,8 @@ export default function FileDetails(props: *) {
                                 />
                             </Tooltip>
 
+                            <DeleteFile file={file} onDelete={hideFileDetails} />
+
                             {actions.map((Component, index) => (
                                 <Component key={index} {...props} />
                             ))}
@@ -124,10 +128,12 @@ export default function FileDetails(props: *) {
                                 <li-title>Type:</li-title>
                                 <li-content>{file.type}</li-content>
                             </li>
+                            <Meta file={file} />
                             <li>
                                 <li-title>Tags:</li-title>
                                 <Tags {...props} />
                             </li>
+                            <Usages file={file} />
                             <li>
                                 <li-title>Created:</li-title>
                                 <li-content>
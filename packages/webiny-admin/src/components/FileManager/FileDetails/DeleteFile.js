@@ -0,0 +1,74 @@
+// @flow
+import React from "react";
+import { Mutation, Query } from "react-apollo";
+import { get } from "lodash";
+import { IconButton } from "webiny-ui/Button";
+import { Tooltip } from "webiny-ui/Tooltip";
+import { ConfirmationDialog } from "webiny-ui/ConfirmationDialog";
+import { deleteFile, getFileUsages } from "./../graphql";
+import { ReactComponent as DeleteIcon } from "./../icons/round-delete-24px.svg";
+
+type Props = {
+    file: Object,
+    onDelete: Function
+};
+
+/**
+ * Moves the file to trash. If the file is still used somewhere, the user is warned before it's deleted.
+ */
+export default function DeleteFile({ file, onDelete }: Props) {
+    return (
+        <Query query={getFileUsages} variables={{ id: file.id }}>
+            {({ data }) => {
+                const usages = get(data, "files.getFileUsages.data") || [];
+
+                return (
+                    <ConfirmationDialog
+                        title={"Delete file"}
+                        message={
+                            usages.length ? (
+                                <span>
+                                    The file <strong>{file.name}</strong> is still used in{" "}
+                                    {usages.length} {usages.length === 1 ? "place" : "places"} and
+                                    will stop showing there once it&apos;s moved to trash. Continue?
+                                </span>
+                            ) : (
+                                <span>
+                                    The file <strong>{file.name}</strong> will be moved to trash,
+                                    from where it can be restored. Continue?
+                                </span>
+                            )
+                        }
+                    >
+                        {({ showConfirmation }) => (
+                            <Mutation mutation={deleteFile} refetchQueries={["ListFiles"]}>
+                                {deleteFile => (
+                                    <Tooltip
+                                        content={<span>Move to trash</span>}
+                                        placement={"bottom"}
+                                    >
+                                        <IconButton
+                                            onClick={() =>
+                                                showConfirmation(async () => {
+                                                    // Files that are in use must be deleted with "force".
+                                                    await deleteFile({
+                                                        variables: {
+                                                            id: file.id,
+                                                            force: usages.length > 0
+                                                        }
+                                                    });
+                                                    onDelete();
+                                                })
+                                            }
+                                            icon={<DeleteIcon style={{ margin: "0 8px 0 0" }} />}
+                                        />
+                                    </Tooltip>
+                                )}
+                            </Mutation>
+                        )}
+                    </ConfirmationDialog>
+                );
+            }}
+        </Query>
+    );
+}
@@ -0,0 +1,79 @@
+// @flow
+import React from "react";
+import { css } from "emotion";
+
+const style = {
+    color: css({
+        display: "inline-block",
+        width: 14,
+        height: 14,
+        marginRight: 5,
+        verticalAlign: "middle",
+        borderRadius: 2,
+        border: "1px solid var(--mdc-theme-on-background)"
+    })
+};
+
+const formatDuration = (seconds: number): string => {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.round(seconds % 60);
+    return `${minutes}:${String(rest).padStart(2, "0")}`;
+};
+
+/**
+ * Shows metadata that was extracted from the file on upload (dimensions, page count, duration, EXIF etc.).
+ */
+export default function Meta({ file }: Object) {
+    const meta = file.meta || {};
+    const exif = meta.exif || {};
+
+    const items = [];
+    if (meta.width && meta.height) {
+        items.push(["Dimensions", `${meta.width} × ${meta.height}`]);
+    }
+
+    if (meta.duration) {
+        items.push(["Duration", formatDuration(meta.duration)]);
+    }
+
+    if (meta.pages) {
+        items.push(["Pages", meta.pages]);
+    }
+
+    if (meta.dominantColor) {
+        items.push([
+            "Dominant color",
+            <>
+                <span className={style.color} style={{ backgroundColor: meta.dominantColor }} />
+                {meta.dominantColor}
+            </>
+        ]);
+    }
+
+    const camera = [exif.make, exif.model].filter(Boolean).join(" ");
+    if (camera) {
+        items.push(["Camera", camera]);
+    }
+
+    if (exif.dateTimeOriginal) {
+        items.push(["Taken", exif.dateTimeOriginal]);
+    }
+
+    if (exif.gps) {
+        items.push([
+            "Location",
+            `${exif.gps.latitude.toFixed(5)}, ${exif.gps.longitude.toFixed(5)}`
+        ]);
+    }
+
+    return (
+        <>
+            {items.map(([title, content]) => (
+                <li key={title}>
+                    <li-title>{title}:</li-title>
+                    <li-content>{content}</li-content>
+                </li>
+            ))}
+        </>
+    );
+}
@@ -0,0 +1,36 @@
+// @flow
+import React from "react";
+import { Query } from "react-apollo";
+import { get } from "lodash";
+import { getFileUsages } from "./../graphql";
+
+/**
+ * Lists places (pages, settings, users etc.) in which the file is used.
+ */
+export default function Usages({ file }: Object) {
+    return (
+        <Query query={getFileUsages} variables={{ id: file.id }} fetchPolicy={"network-only"}>
+            {({ data, loading }) => {
+                const usages = get(data, "files.getFileUsages.data") || [];
+
+                let content = "Not used anywhere.";
+                if (loading) {
+                    content = "Loading...";
+                } else if (usages.length) {
+                    content = usages.map(usage => (
+                        <span key={usage.id} style={{ display: "block" }}>
+                            {usage.entityName}: {usage.label || usage.entityId}
+                        </span>
+                    ));
+                }
+
+                return (
+                    <li>
+                        <li-title>Used in:</li-title>
+                        <li-content>{content}</li-content>
+                    </li>
+                );
+            }}
+        </Query>
+    );
+}
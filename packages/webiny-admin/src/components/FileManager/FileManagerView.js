@@ -3,8 +3,8 @@ import React, { useRef, useCallback } from "react";
 import Files from "react-butterfiles";
 import { ButtonPrimary, ButtonIcon } from "webiny-ui/Button";
 import { Icon } from "webiny-ui/Icon";
-import File from "./File";
-import { Query, Mutation } from "react-apollo";
+import File, { FILE_DRAG_TYPE } from "./File";
+import { Query, Mutation, withApollo } from "react-apollo";
 import type { FilesRules } from "react-butterfiles";
 import { listFiles, createFile } from "./graphql";
 import getFileTypePlugin from "./getFileTypePlugin";
@@ -103,7 +103,9 @@ type Props = {
     accept: Array<string>,
     maxSize: number,
     multipleMaxCount: number,
-    multipleMaxSize: number
+    multipleMaxSize: number,
+    reuseExistingFiles: boolean,
+    client: Object
 };
 
 function renderFile(props) {
@@ -132,7 +134,9 @@ function FileManagerView(props: WithSnackbarProps & Props) {
         showSnackbar,
         maxSize,
         multipleMaxCount,
-        multipleMaxSize
+        multipleMaxSize,
+        reuseExistingFiles,
+        client
     } = props;
 
     const {
@@ -240,10 +244,28 @@ function FileManagerView(props: WithSnackbarProps & Props) {
                             setUploading(true);
                             const list = Array.isArray(files) ? files : [files];
 
+                            const upload = getFileUploader({
+                                reuseExisting: reuseExistingFiles,
+                                client
+                            });
+
+                            let reused = 0;
                             await Promise.all(
                                 list.map(async file => {
-                                    const response = await getFileUploader()(file);
-                                    await createFile({ variables: { data: response } });
+                                    const response = await upload(file);
+
+                                    // Files that were already uploaded have an ID - there's nothing to create.
+                                    if (response.id) {
+                                        reused++;
+                                        return;
+                                    }
+
+                                    // New files are uploaded into the currently selected folder.
+                                    await createFile({
+                                        variables: {
+                                            data: { ...response, folder: queryParams.folder }
+                                        }
+                                    });
                                 })
                             );
 
@@ -254,7 +276,17 @@ function FileManagerView(props: WithSnackbarProps & Props) {
                             setUploading(false);
 
                             // We wait 750ms, just for everything to settle down a bit.
-                            setTimeout(() => showSnackbar("File upload complete."), 750);
+                            setTimeout(() => {
+                                if (reused) {
+                                    showSnackbar(
+                                        `File upload complete - ${reused} already uploaded ${
+                                            reused === 1 ? "file was" : "files were"
+                                        } reused.`
+                                    );
+                                    return;
+                                }
+                                showSnackbar("File upload complete.");
+                            }, 750);
                         };
 
                         return (
@@ -264,7 +296,9 @@ function FileManagerView(props: WithSnackbarProps & Props) {
                                 multipleMaxSize={multipleMaxSize}
                                 multipleMaxCount={multipleMaxCount}
                                 accept={accept}
-                                onSuccess={files => uploadFile(files.map(file => file.src.file))}
+                                onSuccess={files =>
+                                    files.length && uploadFile(files.map(file => file.src.file))
+                                }
                                 onError={errors => {
                                     const message = outputFileSelectionError(errors);
                                     showSnackbar(message);
@@ -273,8 +307,13 @@ function FileManagerView(props: WithSnackbarProps & Props) {
                                 {({ getDropZoneProps, browseFiles, validateFiles }) => (
                                     <OverlayLayout
                                         {...getDropZoneProps({
-                                            onDragEnter: () =>
-                                                hasPreviouslyUploadedFiles && setDragging(true),
+                                            // Files dragged from the list (eg. into a folder) are not uploads.
+                                            onDragEnter: e =>
+                                                hasPreviouslyUploadedFiles &&
+                                                !Array.from(e.dataTransfer.types).includes(
+                                                    FILE_DRAG_TYPE
+                                                ) &&
+                                                setDragging(true),
                                             onExited: onClose
                                         })}
                                         barLeft={
@@ -332,6 +371,9 @@ function FileManagerView(props: WithSnackbarProps & Props) {
                                             <LeftSidebar
                                                 queryParams={queryParams}
                                                 toggleTag={tag => toggleTag({ tag, queryParams })}
+                                                selectFolder={folder =>
+                                                    setQueryParams({ ...queryParams, folder })
+                                                }
                                             />
 
                                             <FileListWrapper>
@@ -394,7 +436,11 @@ FileManagerView.defaultProps = {
     multiple: false,
     maxSize: "10mb",
     multipleMaxSize: "100mb",
-    multipleMaxCount: 100
+    multipleMaxCount: 100,
+    reuseExistingFiles: true
 };
 
-export default compose(withSnackbar())(FileManagerView);
+export default compose(
+    withSnackbar(),
+    withApollo
+)(FileManagerView);
@@ -6,6 +6,7 @@ import { get } from "lodash";
 import { css } from "emotion";
 import { Icon } from "webiny-ui/Icon";
 import styled from "react-emotion";
+import Folders from "./LeftSidebar/Folders";
 import { ReactComponent as TagIcon } from "./icons/round-label-24px.svg";
 
 const style = {
@@ -18,7 +19,7 @@ const style = {
         padding: 10
     }),
     noTagged: css({
-        paddingTop: 100,
+        paddingTop: 50,
         textAlign: "center",
         color: "var(--mdc-theme-on-surface)"
     })
@@ -26,7 +27,8 @@ const style = {
 
 const TagList = styled("div")({
     display: "flex",
-    flexDirection: "column"
+    flexDirection: "column",
+    marginTop: 20
 });
 
 const Tag = styled("div")({
@@ -51,11 +53,18 @@ const Tag = styled("div")({
     }
 });
 
-function LeftSidebar({ toggleTag, queryParams: { tags } }) {
+type Props = {
+    toggleTag: (tag: string) => void,
+    selectFolder: (folder: ?string) => void,
+    queryParams: { tags?: Array<string>, folder?: ?string }
+};
+
+function LeftSidebar({ toggleTag, selectFolder, queryParams: { tags, folder } }: Props) {
     const activeTags = Array.isArray(tags) ? tags : [];
 
     return (
         <div className={style.leftDrawer}>
+            <Folders activeFolder={folder} selectFolder={selectFolder} />
             <Query query={listTags}>
                 {({ data }) => {
                     const list = get(data, "files.listTags") || [];
@@ -0,0 +1,59 @@
+// @flow
+import React from "react";
+import { css } from "emotion";
+import {
+    Dialog,
+    DialogHeader,
+    DialogHeaderTitle,
+    DialogBody,
+    DialogFooter,
+    DialogFooterButton,
+    DialogCancel
+} from "webiny-ui/Dialog";
+import { Input } from "webiny-ui/Input";
+import { Form } from "webiny-form";
+
+const narrowDialog = css({
+    ".mdc-dialog__surface": {
+        width: 400,
+        minWidth: 400
+    }
+});
+
+type Props = {
+    open: boolean,
+    title: string,
+    name?: string,
+    onClose: Function,
+    onSubmit: ({ name: string }) => any
+};
+
+/**
+ * Dialog for entering the name of a new folder, or renaming an existing one.
+ */
+export default function FolderDialog({ open, title, name, onClose, onSubmit }: Props) {
+    return (
+        <Dialog open={open} onClose={onClose} className={narrowDialog}>
+            {open && (
+                <Form onSubmit={onSubmit} data={{ name: name || "" }}>
+                    {({ submit, Bind }) => (
+                        <React.Fragment>
+                            <DialogHeader>
+                                <DialogHeaderTitle>{title}</DialogHeaderTitle>
+                            </DialogHeader>
+                            <DialogBody>
+                                <Bind name={"name"} validators={"required,maxLength:100"}>
+                                    <Input label={"Name"} autoFocus />
+                                </Bind>
+                            </DialogBody>
+                            <DialogFooter>
+                                <DialogCancel>Cancel</DialogCancel>
+                                <DialogFooterButton onClick={submit}>Save</DialogFooterButton>
+                            </DialogFooter>
+                        </React.Fragment>
+                    )}
+                </Form>
+            )}
+        </Dialog>
+    );
+}
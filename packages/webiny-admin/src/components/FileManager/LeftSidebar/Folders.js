@@ -0,0 +1,278 @@
+// @flow
+// $FlowFixMe - hooks are not yet typed in the used Flow version.
+import React, { useState } from "react";
+import { compose } from "recompose";
+import { graphql, Query } from "react-apollo";
+import { get } from "lodash";
+import styled from "react-emotion";
+import { Icon } from "webiny-ui/Icon";
+import { IconButton } from "webiny-ui/Button";
+import { Tooltip } from "webiny-ui/Tooltip";
+import { ConfirmationDialog } from "webiny-ui/ConfirmationDialog";
+import { withSnackbar } from "webiny-admin/components";
+import FolderDialog from "./FolderDialog";
+import { FILE_DRAG_TYPE } from "./../File";
+import { listFolders, createFolder, updateFolder, deleteFolder, moveFiles } from "./../graphql";
+import { ReactComponent as FolderIcon } from "./../icons/round-folder-24px.svg";
+import { ReactComponent as NewFolderIcon } from "./../icons/round-create_new_folder-24px.svg";
+import { ReactComponent as EditIcon } from "./../icons/round-edit-24px.svg";
+import { ReactComponent as DeleteIcon } from "./../icons/round-delete-24px.svg";
+
+const Header = styled("div")({
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingLeft: 15,
+    fontWeight: 600,
+    color: "var(--mdc-theme-on-surface)"
+});
+
+const Folder = styled("div")({
+    display: "flex",
+    flexDirection: "row",
+    height: 40,
+    alignItems: "center",
+    cursor: "pointer",
+    color: "var(--mdc-theme-on-surface)",
+    "> .name": {
+        flex: 1,
+        overflow: "hidden",
+        whiteSpace: "nowrap",
+        textOverflow: "ellipsis"
+    },
+    "> .actions": {
+        display: "none",
+        ".mdc-icon-button": {
+            width: 32,
+            height: 32,
+            padding: 4
+        }
+    },
+    svg: {
+        color: "var(--mdc-theme-on-surface)",
+        marginRight: 10
+    },
+    "&:hover": {
+        backgroundColor: "var(--mdc-theme-background)",
+        "> .actions": {
+            display: "flex"
+        }
+    },
+    "&.active": {
+        fontWeight: 600,
+        svg: {
+            color: "var(--mdc-theme-secondary)"
+        }
+    },
+    "&.dropTarget": {
+        backgroundColor: "var(--mdc-theme-background)",
+        outline: "1px dashed var(--mdc-theme-secondary)"
+    }
+});
+
+type Props = {
+    activeFolder: ?string,
+    selectFolder: (folder: ?string) => void,
+    showSnackbar: Function,
+    gqlCreateFolder: Function,
+    gqlUpdateFolder: Function,
+    gqlDeleteFolder: Function,
+    gqlMoveFiles: Function
+};
+
+const isFileDrag = e => Array.from(e.dataTransfer.types).includes(FILE_DRAG_TYPE);
+
+/**
+ * Renders the folder tree. Files can be dragged from the list and dropped onto a folder, to move them into it.
+ */
+function Folders(props: Props) {
+    const {
+        activeFolder,
+        selectFolder,
+        showSnackbar,
+        gqlCreateFolder,
+        gqlUpdateFolder,
+        gqlDeleteFolder,
+        gqlMoveFiles
+    } = props;
+
+    // Folder that is currently being created ({ parent }) or renamed ({ id, name }).
+    const [dialog, setDialog] = useState(null);
+    const [dropTarget, setDropTarget] = useState(undefined);
+
+    const submitFolder = async ({ name }) => {
+        const current = dialog;
+        if (!current) {
+            return;
+        }
+
+        setDialog(null);
+
+        const response = current.id
+            ? await gqlUpdateFolder({ variables: { id: current.id, data: { name } } })
+            : await gqlCreateFolder({ variables: { data: { name, parent: current.parent } } });
+
+        const { error } = get(
+            response,
+            current.id ? "data.files.updateFolder" : "data.files.createFolder"
+        );
+        if (error) {
+            showSnackbar(error.message);
+        }
+    };
+
+    const removeFolder = async (folder: Object) => {
+        const response = await gqlDeleteFolder({ variables: { id: folder.id } });
+        const { error } = get(response, "data.files.deleteFolder");
+        if (error) {
+            showSnackbar(error.message);
+            return;
+        }
+
+        if (activeFolder === folder.id) {
+            selectFolder(folder.parent);
+        }
+        showSnackbar(`Folder "${folder.name}" deleted.`);
+    };
+
+    const getDropProps = (folder: ?Object) => {
+        const id = folder ? folder.id : null;
+        return {
+            onDragOver: e => {
+                if (isFileDrag(e)) {
+                    e.preventDefault();
+                    dropTarget !== id && setDropTarget(id);
+                }
+            },
+            onDragLeave: () => setDropTarget(undefined),
+            onDrop: async e => {
+                if (!isFileDrag(e)) {
+                    return;
+                }
+
+                // Prevents the File Manager from treating the drop as a new upload.
+                e.preventDefault();
+                e.stopPropagation();
+                setDropTarget(undefined);
+
+                const ids = JSON.parse(e.dataTransfer.getData(FILE_DRAG_TYPE));
+                const response = await gqlMoveFiles({ variables: { ids, folder: id } });
+                const { error } = get(response, "data.files.moveFiles");
+                if (error) {
+                    showSnackbar(error.message);
+                    return;
+                }
+
+                showSnackbar(
+                    `${ids.length === 1 ? "File" : "Files"} moved to ${
+                        folder ? `"${folder.name}"` : "root folder"
+                    }.`
+                );
+            }
+        };
+    };
+
+    const renderFolders = (list: Array<Object>, parent: ?string, depth: number) => {
+        return list
+            .filter(folder => (folder.parent || null) === parent)
+            .map(folder => (
+                <React.Fragment key={folder.id}>
+                    <Folder
+                        className={[
+                            activeFolder === folder.id && "active",
+                            dropTarget === folder.id && "dropTarget"
+                        ]
+                            .filter(Boolean)
+                            .join(" ")}
+                        style={{ paddingLeft: 15 + depth * 15 }}
+                        onClick={() => selectFolder(folder.id)}
+                        {...getDropProps(folder)}
+                    >
+                        <Icon icon={<FolderIcon />} />
+                        <span className={"name"}>{folder.name}</span>
+                        <span className={"actions"} onClick={e => e.stopPropagation()}>
+                            <IconButton
+                                icon={<EditIcon />}
+                                onClick={() => setDialog({ id: folder.id, name: folder.name })}
+                            />
+                            <ConfirmationDialog
+                                title={"Delete folder"}
+                                message={
+                                    <span>
+                                        The folder <strong>{folder.name}</strong> will be deleted.
+                                        Its files and subfolders will be moved into the parent
+                                        folder. Continue?
+                                    </span>
+                                }
+                            >
+                                {({ showConfirmation }) => (
+                                    <IconButton
+                                        icon={<DeleteIcon />}
+                                        onClick={() => showConfirmation(() => removeFolder(folder))}
+                                    />
+                                )}
+                            </ConfirmationDialog>
+                        </span>
+                    </Folder>
+                    {renderFolders(list, folder.id, depth + 1)}
+                </React.Fragment>
+            ));
+    };
+
+    return (
+        <Query query={listFolders}>
+            {({ data }) => {
+                const list = get(data, "files.listFolders.data") || [];
+
+                return (
+                    <>
+                        <Header>
+                            Folders
+                            <Tooltip content={<span>New folder</span>} placement={"bottom"}>
+                                <IconButton
+                                    icon={<NewFolderIcon />}
+                                    onClick={() => setDialog({ parent: activeFolder || null })}
+                                />
+                            </Tooltip>
+                        </Header>
+                        <Folder
+                            className={[
+                                !activeFolder && "active",
+                                dropTarget === null && "dropTarget"
+                            ]
+                                .filter(Boolean)
+                                .join(" ")}
+                            style={{ paddingLeft: 15 }}
+                            onClick={() => selectFolder(null)}
+                            {...getDropProps(null)}
+                        >
+                            <Icon icon={<FolderIcon />} />
+                            <span className={"name"}>All files</span>
+                        </Folder>
+                        {renderFolders(list, null, 1)}
+                        <FolderDialog
+                            open={!!dialog}
+                            title={dialog && dialog.id ? "Rename folder" : "New folder"}
+                            name={dialog ? dialog.name : ""}
+                            onClose={() => setDialog(null)}
+                            onSubmit={submitFolder}
+                        />
+                    </>
+                );
+            }}
+        </Query>
+    );
+}
+
+const refetchQueries = ["ListFolders"];
+
+export default compose(
+    graphql(createFolder, { name: "gqlCreateFolder", options: { refetchQueries } }),
+    graphql(updateFolder, { name: "gqlUpdateFolder", options: { refetchQueries } }),
+    graphql(deleteFolder, {
+        name: "gqlDeleteFolder",
+        options: { refetchQueries: ["ListFolders", "ListFiles"] }
+    }),
+    graphql(moveFiles, { name: "gqlMoveFiles", options: { refetchQueries: ["ListFiles"] } }),
+    withSnackbar()
+)(Folders);
@@ -0,0 +1,27 @@
+// @flow
+/* global window */
+
+const readFile = (file: File): Promise<ArrayBuffer> => {
+    return new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file);
+    });
+};
+
+/**
+ * Computes SHA-256 hash of given file (hex encoded), same as the API does for uploaded files. Returns null if
+ * Web Crypto API is not available (eg. the app is not served over HTTPS).
+ */
+export default async (file: File): Promise<?string> => {
+    const subtle = window.crypto && window.crypto.subtle;
+    if (!subtle) {
+        return null;
+    }
+
+    const digest = await subtle.digest("SHA-256", await readFile(file));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, "0"))
+        .join("");
+};
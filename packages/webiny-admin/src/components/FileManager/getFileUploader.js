@@ -1,6 +1,36 @@
+// @flow
 import { getPlugin } from "webiny-plugins";
+import { get } from "lodash";
+import getFileHash from "./getFileHash";
+import { findDuplicateFiles } from "./graphql";
 
-export default () => {
-    const fileUploaderPlugin = getPlugin("file-uploader");
-    return fileUploaderPlugin.upload;
+type Options = {
+    // If a file with the same content was already uploaded, it is returned instead of uploading the file again.
+    // Existing files can be recognized by the "id", which newly uploaded files don't have yet.
+    reuseExisting?: boolean,
+    // Apollo client, used to look for existing files.
+    client?: Object
+};
+
+export default ({ reuseExisting = false, client }: Options = {}) => {
+    const fileUploaderPlugin: Object = (getPlugin("file-uploader"): any);
+
+    return async (file: File): Promise<Object> => {
+        const hash = reuseExisting && client ? await getFileHash(file) : null;
+        if (client && hash) {
+            const response = await client.query({
+                query: findDuplicateFiles,
+                variables: { hash },
+                fetchPolicy: "network-only"
+            });
+
+            const [existing] = get(response, "data.files.findDuplicateFiles.data") || [];
+            if (existing) {
+                return existing;
+            }
+        }
+
+        // Hash of the new file is computed by the API, from the uploaded content.
+        return await fileUploaderPlugin.upload(file);
+    };
 };
@@ -3,19 +3,23 @@ import gql from "graphql-tag";
 const fileFields = /* GraphQL */ `
     {
         __typename
+        id
         name
         src
         size
         type
         tags
+        meta
+        folder
+        hash
         createdOn
     }
 `;
 
 export const listFiles = gql`
-     query ListFiles($types: [String], $tags: [String], $sort: JSON, $page: Int, $perPage: Int, $search: String) {
+     query ListFiles($types: [String], $tags: [String], $sort: JSON, $page: Int, $perPage: Int, $search: String, $folder: ID) {
         files {
-            listFiles(types: $types, sort: $sort, page: $page, perPage: $perPage, search: $search, tags: $tags) {
+            listFiles(types: $types, sort: $sort, page: $page, perPage: $perPage, search: $search, tags: $tags, folder: $folder) {
                 data ${fileFields}
                 meta {
                     totalCount
@@ -68,3 +72,155 @@ export const updateFileBySrc = gql`
         }
     }
 `;
+
+export const deleteFile = gql`
+    mutation DeleteFile($id: ID!, $force: Boolean) {
+        files {
+            deleteFile(id: $id, force: $force) {
+                data
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const findDuplicateFiles = gql`
+    query FindDuplicateFiles($hash: String, $id: ID) {
+        files {
+            findDuplicateFiles(hash: $hash, id: $id) {
+                data ${fileFields}
+            }
+        }
+    }
+`;
+
+export const getFileUsages = gql`
+    query GetFileUsages($id: ID!) {
+        files {
+            getFileUsages(id: $id) {
+                data {
+                    id
+                    entityName
+                    entityId
+                    label
+                    fields
+                }
+            }
+        }
+    }
+`;
+
+export const listDeletedFiles = gql`
+    query ListDeletedFiles($sort: JSON, $page: Int, $perPage: Int) {
+        files {
+            listDeletedFiles(sort: $sort, page: $page, perPage: $perPage) {
+                data {
+                    id
+                    name
+                    src
+                    size
+                    type
+                    deletedOn
+                }
+                meta {
+                    totalCount
+                    to
+                    from
+                    nextPage
+                    previousPage
+                }
+            }
+        }
+    }
+`;
+
+export const restoreFile = gql`
+    mutation RestoreFile($id: ID!) {
+        files {
+            restoreFile(id: $id) {
+                data {
+                    id
+                }
+                error {
+                    message
+                }
+            }
+        }
+    }
+`;
+
+const folderFields = /* GraphQL */ `
+    {
+        id
+        name
+        parent
+    }
+`;
+
+export const listFolders = gql`
+    query ListFolders {
+        files {
+            listFolders {
+                data ${folderFields}
+            }
+        }
+    }
+`;
+
+export const createFolder = gql`
+    mutation CreateFolder($data: FileFolderInput!) {
+        files {
+            createFolder(data: $data) {
+                data ${folderFields}
+                error {
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const updateFolder = gql`
+    mutation UpdateFolder($id: ID!, $data: FileFolderInput!) {
+        files {
+            updateFolder(id: $id, data: $data) {
+                data ${folderFields}
+                error {
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const deleteFolder = gql`
+    mutation DeleteFolder($id: ID!) {
+        files {
+            deleteFolder(id: $id) {
+                data
+                error {
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const moveFiles = gql`
+    mutation MoveFiles($ids: [ID]!, $folder: ID) {
+        files {
+            moveFiles(ids: $ids, folder: $folder) {
+                data {
+                    id
+                    folder
+                }
+                error {
+                    message
+                }
+            }
+        }
+    }
+`;
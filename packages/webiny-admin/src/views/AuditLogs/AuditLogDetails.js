@@ -0,0 +1,100 @@
+// @flow
+import * as React from "react";
+import { Query } from "react-apollo";
+import { withRouter } from "react-router-dom";
+import styled from "react-emotion";
+import { get } from "lodash";
+import { i18n } from "webiny-app/i18n";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Typography } from "webiny-ui/Typography";
+import { CircularProgress } from "webiny-ui/Progress";
+import { getAuditLog } from "./graphql";
+
+const t = i18n.namespace("Webiny.Admin.AuditLogDetails");
+
+const Container = styled("div")({
+    padding: 25,
+    color: "var(--mdc-theme-on-surface)"
+});
+
+const Value = styled("pre")({
+    margin: 0,
+    whiteSpace: "pre-wrap",
+    wordBreak: "break-word",
+    fontSize: 12
+});
+
+const formatValue = value => {
+    if (value === null || typeof value === "undefined") {
+        return "-";
+    }
+    return typeof value === "object" ? JSON.stringify(value, null, 2) : String(value);
+};
+
+const AuditLogDetails = ({ location }: Object) => {
+    const id = new URLSearchParams(location.search).get("id");
+    if (!id) {
+        return (
+            <Container>
+                <Typography
+                    use={"body1"}
+                >{t`Select a log entry to see recorded changes.`}</Typography>
+            </Container>
+        );
+    }
+
+    return (
+        <Query query={getAuditLog} variables={{ id }}>
+            {({ data, loading }) => {
+                if (loading) {
+                    return <CircularProgress />;
+                }
+
+                const auditLog = get(data, "security.auditLog.data");
+                if (!auditLog) {
+                    return null;
+                }
+
+                return (
+                    <Container>
+                        <Typography use={"headline6"}>
+                            {auditLog.action} {auditLog.entityName} ({auditLog.entityId})
+                        </Typography>
+                        <Typography use={"body2"} tag={"p"}>
+                            {auditLog.createdBy
+                                ? `${auditLog.createdBy.fullName} (${auditLog.createdBy.email})`
+                                : t`System`}
+                            , {new Date(auditLog.createdOn).toLocaleString()}
+                        </Typography>
+                        <Grid>
+                            <Cell span={2}>
+                                <Typography use={"overline"}>{t`Field`}</Typography>
+                            </Cell>
+                            <Cell span={5}>
+                                <Typography use={"overline"}>{t`Before`}</Typography>
+                            </Cell>
+                            <Cell span={5}>
+                                <Typography use={"overline"}>{t`After`}</Typography>
+                            </Cell>
+                            {auditLog.changes.map(change => (
+                                <React.Fragment key={change.field}>
+                                    <Cell span={2}>
+                                        <Typography use={"subtitle2"}>{change.field}</Typography>
+                                    </Cell>
+                                    <Cell span={5}>
+                                        <Value>{formatValue(change.from)}</Value>
+                                    </Cell>
+                                    <Cell span={5}>
+                                        <Value>{formatValue(change.to)}</Value>
+                                    </Cell>
+                                </React.Fragment>
+                            ))}
+                        </Grid>
+                    </Container>
+                );
+            }}
+        </Query>
+    );
+};
+
+export default withRouter(AuditLogDetails);
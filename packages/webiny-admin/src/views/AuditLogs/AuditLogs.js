@@ -0,0 +1,39 @@
+// @flow
+import * as React from "react";
+import { compose } from "recompose";
+import { withRouter } from "react-router-dom";
+import { get } from "lodash";
+import { withDataList } from "webiny-app/components";
+import { SplitView, LeftPanel, RightPanel } from "webiny-admin/components/SplitView";
+import AuditLogsDataList from "./AuditLogsDataList";
+import AuditLogDetails from "./AuditLogDetails";
+import { listAuditLogs } from "./graphql";
+
+/**
+ * Lists changes of entities (users, roles, pages, settings etc.), recorded by the API's audit log.
+ */
+const AuditLogs = ({ dataList }: Object) => {
+    return (
+        <SplitView>
+            <LeftPanel span={5}>
+                <AuditLogsDataList dataList={dataList} />
+            </LeftPanel>
+            <RightPanel span={7}>
+                <AuditLogDetails />
+            </RightPanel>
+        </SplitView>
+    );
+};
+
+export default compose(
+    withRouter,
+    withDataList({
+        query: listAuditLogs,
+        response: data => {
+            return get(data, "security.auditLogs", {});
+        },
+        variables: {
+            sort: { createdOn: -1 }
+        }
+    })
+)(AuditLogs);
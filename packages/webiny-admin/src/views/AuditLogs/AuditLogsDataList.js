@@ -0,0 +1,107 @@
+// @flow
+import * as React from "react";
+import TimeAgo from "timeago-react";
+import { withRouter } from "react-router-dom";
+import { css } from "emotion";
+import { i18n } from "webiny-app/i18n";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Select } from "webiny-ui/Select";
+import { Input } from "webiny-ui/Input";
+import {
+    DataList,
+    ScrollList,
+    ListItem,
+    ListItemText,
+    ListItemTextSecondary,
+    ListTextOverline
+} from "webiny-ui/List";
+
+const t = i18n.namespace("Webiny.Admin.AuditLogsDataList");
+
+const filters = css({
+    padding: "0 15px",
+    backgroundColor: "var(--mdc-theme-surface)"
+});
+
+const AuditLogsDataList = ({ dataList, location, history }: Object) => {
+    const query = new URLSearchParams(location.search);
+    const where =
+        dataList.__loadParams && dataList.__loadParams.where ? dataList.__loadParams.where : {};
+
+    const setFilter = (name: string, value: ?string) => {
+        const next = { ...where, [name]: value || undefined };
+        dataList.setWhere(JSON.parse(JSON.stringify(next)));
+    };
+
+    return (
+        <React.Fragment>
+            <Grid className={filters}>
+                <Cell span={4}>
+                    <Select
+                        label={t`Action`}
+                        value={where.action || ""}
+                        onChange={value => setFilter("action", value)}
+                    >
+                        <option value={""}>{t`All`}</option>
+                        <option value={"CREATE"}>{t`Create`}</option>
+                        <option value={"UPDATE"}>{t`Update`}</option>
+                        <option value={"DELETE"}>{t`Delete`}</option>
+                        <option value={"RESTORE"}>{t`Restore`}</option>
+                    </Select>
+                </Cell>
+                <Cell span={4}>
+                    <Input
+                        label={t`Entity`}
+                        value={where.entityName || ""}
+                        onChange={value => setFilter("entityName", value)}
+                    />
+                </Cell>
+                <Cell span={4}>
+                    <Input
+                        label={t`Entity ID`}
+                        value={where.entityId || ""}
+                        onChange={value => setFilter("entityId", value)}
+                    />
+                </Cell>
+            </Grid>
+            <DataList
+                {...dataList}
+                title={t`Audit log`}
+                sorters={[
+                    {
+                        label: "Newest to oldest",
+                        sorters: { createdOn: -1 }
+                    },
+                    {
+                        label: "Oldest to newest",
+                        sorters: { createdOn: 1 }
+                    }
+                ]}
+            >
+                {({ data }) => (
+                    <ScrollList twoLine>
+                        {data.map(item => (
+                            <ListItem key={item.id} selected={query.get("id") === item.id}>
+                                <ListItemText
+                                    onClick={() => {
+                                        query.set("id", item.id);
+                                        history.push({ search: query.toString() });
+                                    }}
+                                >
+                                    <ListTextOverline>{item.action}</ListTextOverline>
+                                    {item.entityName} ({item.entityId})
+                                    <ListItemTextSecondary>
+                                        {item.createdBy ? item.createdBy.fullName : t`System`},{" "}
+                                        <TimeAgo datetime={item.createdOn} />
+                                    </ListItemTextSecondary>
+                                </ListItemText>
+                            </ListItem>
+                        ))}
+                    </ScrollList>
+                )}
+            </DataList>
+        </React.Fragment>
+    );
+};
+
+export default withRouter(AuditLogsDataList);
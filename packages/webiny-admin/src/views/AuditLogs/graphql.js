@@ -0,0 +1,59 @@
+// @flow
+import gql from "graphql-tag";
+
+export const listAuditLogs = gql`
+    query ListAuditLogs($sort: JSON, $page: Int, $perPage: Int, $where: AuditLogFilterInput) {
+        security {
+            auditLogs: listAuditLogs(sort: $sort, page: $page, perPage: $perPage, where: $where) {
+                data {
+                    id
+                    action
+                    entityName
+                    entityId
+                    createdOn
+                    createdBy {
+                        id
+                        fullName
+                    }
+                }
+                meta {
+                    totalCount
+                    to
+                    from
+                    nextPage
+                    previousPage
+                }
+            }
+        }
+    }
+`;
+
+export const getAuditLog = gql`
+    query GetAuditLog($id: ID!) {
+        security {
+            auditLog: getAuditLog(id: $id) {
+                data {
+                    id
+                    action
+                    entityName
+                    entityId
+                    createdOn
+                    createdBy {
+                        id
+                        fullName
+                        email
+                    }
+                    changes {
+                        field
+                        from
+                        to
+                    }
+                }
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
@@ -0,0 +1,156 @@
+import { Model } from "webiny-model";
+import diffObjects from "webiny-api-cms/src/plugins/graphql/pageResolvers/diffRevisions/diffObjects";
+import diffElements from "webiny-api-cms/src/plugins/graphql/pageResolvers/diffRevisions/diffElements";
+import diffPages from "webiny-api-cms/src/plugins/graphql/pageResolvers/diffRevisions/diffPages";
+
+const element = (id, data = {}, elements = []) => ({
+    id,
+    type: "cms-element-block",
+    data,
+    elements
+});
+
+class SeoModel extends Model {
+    constructor() {
+        super();
+        this.attr("title").char();
+    }
+}
+
+class SettingsModel extends Model {
+    constructor() {
+        super();
+        this.attr("layout").char();
+        this.attr("seo").model(SeoModel);
+    }
+}
+
+class PageModel extends Model {
+    constructor() {
+        super();
+        this.attr("title").char();
+        this.attr("content").object();
+        this.attr("settings").model(SettingsModel);
+    }
+}
+
+describe("diff revisions test", () => {
+    test("diffObjects must return no changes for equal values", async () => {
+        expect(diffObjects({ a: 1, b: { c: [1, 2] } }, { a: 1, b: { c: [1, 2] } })).toEqual([]);
+        expect(diffObjects("a", "a")).toEqual([]);
+        expect(diffObjects(null, null)).toEqual([]);
+    });
+
+    test("diffObjects must return changed paths", async () => {
+        expect(
+            diffObjects(
+                { a: 1, b: { c: "x", d: [1, 2] }, removed: true },
+                { a: 2, b: { c: "x", d: [2, 1] }, added: "y" }
+            )
+        ).toEqual([
+            { path: "a", from: 1, to: 2 },
+            { path: "b.d", from: [1, 2], to: [2, 1] },
+            { path: "removed", from: true, to: null },
+            { path: "added", from: null, to: "y" }
+        ]);
+
+        expect(diffObjects("a", "b")).toEqual([{ path: "", from: "a", to: "b" }]);
+        expect(diffObjects({ a: 1 }, null)).toEqual([{ path: "", from: { a: 1 }, to: null }]);
+    });
+
+    test("diffElements must return no changes for equal content", async () => {
+        const content = element("root", {}, [element("a", { text: "A" }), element("b")]);
+        expect(diffElements(content, JSON.parse(JSON.stringify(content)))).toEqual([]);
+        expect(diffElements(null, null)).toEqual([]);
+    });
+
+    test("diffElements must detect added, removed and changed elements", async () => {
+        const a = element("root", {}, [element("a", { text: "A" }), element("b"), element("c")]);
+        const b = element("root", {}, [element("a", { text: "AA" }), element("c"), element("d")]);
+
+        expect(diffElements(a, b)).toEqual([
+            {
+                id: "a",
+                type: "cms-element-block",
+                change: "CHANGED",
+                from: { parent: "root", index: 0 },
+                to: { parent: "root", index: 0 },
+                changes: [{ path: "data.text", from: "A", to: "AA" }]
+            },
+            {
+                id: "d",
+                type: "cms-element-block",
+                change: "ADDED",
+                from: null,
+                to: { parent: "root", index: 2 },
+                changes: []
+            },
+            {
+                id: "b",
+                type: "cms-element-block",
+                change: "REMOVED",
+                from: { parent: "root", index: 1 },
+                to: null,
+                changes: []
+            }
+        ]);
+    });
+
+    test("diffElements must detect moved elements", async () => {
+        const a = element("root", {}, [
+            element("a", {}, [element("x")]),
+            element("b"),
+            element("c"),
+            element("d")
+        ]);
+        const b = element("root", {}, [
+            element("a"),
+            element("c"),
+            element("d"),
+            element("b", {}, [element("x")])
+        ]);
+
+        expect(
+            diffElements(a, b).map(({ id, change, from, to }) => ({ id, change, from, to }))
+        ).toEqual([
+            {
+                id: "b",
+                change: "MOVED",
+                from: { parent: "root", index: 1 },
+                to: { parent: "root", index: 3 }
+            },
+            {
+                id: "x",
+                change: "MOVED",
+                from: { parent: "a", index: 0 },
+                to: { parent: "b", index: 0 }
+            }
+        ]);
+    });
+
+    test("diffPages must compare settings of model instances by their values", async () => {
+        const data = {
+            title: "Page",
+            content: element("root"),
+            settings: { layout: "static", seo: { title: "SEO" } }
+        };
+
+        const a = new PageModel().populate(data);
+        const b = new PageModel().populate(data);
+        expect(await diffPages(a, b)).toEqual({ fields: [], settings: [], elements: [] });
+
+        b.populate({ settings: { layout: "static", seo: { title: "New SEO" } } });
+        expect((await diffPages(a, b)).settings).toEqual([
+            { path: "seo.title", from: "SEO", to: "New SEO" }
+        ]);
+
+        // Saved revision can also be compared with plain (unsaved) page data.
+        expect(
+            await diffPages(a, { ...data, settings: { ...data.settings, layout: "full" } })
+        ).toEqual({
+            fields: [],
+            settings: [{ path: "layout", from: "static", to: "full" }],
+            elements: []
+        });
+    });
+});
@@ -0,0 +1,67 @@
+import { assert } from "chai";
+import { Entity } from "webiny-entity";
+import listDeletedPages from "webiny-api-cms/plugins/graphql/pageResolvers/listDeletedPages";
+import createContext from "./utils/createContext";
+import createPage from "./utils/createPage";
+
+const pageFetcher = context => context.cms.entities.Page;
+
+describe("listDeletedPages test", () => {
+    let context;
+    let crud;
+
+    beforeAll(() => {
+        crud = Entity.crud;
+    });
+
+    beforeEach(async () => {
+        context = await createContext();
+        Entity.crud = { ...Entity.crud, delete: { soft: true } };
+    });
+
+    afterAll(() => {
+        Entity.crud = crud;
+    });
+
+    const createRevision = async page => {
+        const { Page } = context.cms.entities;
+        const revision = new Page();
+        revision.populate({
+            category: (await page.category).id,
+            title: "Revision",
+            parent: page.parent
+        });
+        await revision.save();
+        return revision;
+    };
+
+    it("must mark only the first revision of a page as root", async () => {
+        const page = await createPage(context);
+        const revision = await createRevision(page);
+
+        assert.isTrue(page.isRoot);
+        assert.isFalse(revision.isRoot);
+
+        // The flag is set on the server only.
+        revision.populate({ isRoot: true });
+        assert.isFalse(revision.isRoot);
+    });
+
+    it("must list deleted pages by their root revisions", async () => {
+        const deleted = await createPage(context, { title: "Deleted" });
+        await createRevision(deleted);
+        await createPage(context, { title: "Existing" });
+
+        const existing = await createPage(context, { title: "With deleted revision" });
+        const deletedRevision = await createRevision(existing);
+        await deletedRevision.delete();
+
+        await deleted.delete();
+
+        const response = await listDeletedPages(pageFetcher)(null, {}, context);
+        assert.deepEqual(Array.from(response.data, page => page.id), [deleted.id]);
+
+        const search = await listDeletedPages(pageFetcher)(null, { search: "existing" }, context);
+        assert.lengthOf(search.data, 0);
+    });
+});
@@ -0,0 +1,173 @@
+import { assert } from "chai";
+import {
+    getLocales,
+    getLocaleQuery,
+    getLocaleUrl,
+    parseLocaleUrl
+} from "webiny-api-cms/utils/locales";
+import createTranslation from "webiny-api-cms/plugins/graphql/pageResolvers/createTranslation";
+import listTranslations from "webiny-api-cms/plugins/graphql/pageResolvers/listTranslations";
+import createContext from "./utils/createContext";
+import createPage from "./utils/createPage";
+
+const pageFetcher = context => context.cms.entities.Page;
+const resolveCreateTranslation = createTranslation(pageFetcher);
+
+const locales = { default: "en", available: ["en", "de", "fr"] };
+
+describe("locales test", () => {
+    let context;
+
+    beforeEach(async () => {
+        context = await createContext();
+    });
+
+    const setLocales = async data => {
+        const { CmsSettings } = context.cms.entities;
+        const settings = (await CmsSettings.load()) || new CmsSettings();
+        settings.populate({ data: { locales: data } });
+        await settings.save();
+    };
+
+    const reload = async page => {
+        const { Page } = context.cms.entities;
+        Page.getEntityPool().flush();
+        return await Page.findById(page.id);
+    };
+
+    describe("utils", () => {
+        it("must parse locale prefix from URLs", async () => {
+            assert.deepEqual(parseLocaleUrl("/de/about-us", locales), {
+                url: "/about-us",
+                locale: "de"
+            });
+            assert.deepEqual(parseLocaleUrl("/de", locales), { url: "/", locale: "de" });
+            assert.deepEqual(parseLocaleUrl("/about-us", locales), {
+                url: "/about-us",
+                locale: "en"
+            });
+
+            // Default locale and unknown locales are not prefixes.
+            assert.deepEqual(parseLocaleUrl("/en/about-us", locales), {
+                url: "/en/about-us",
+                locale: "en"
+            });
+            assert.deepEqual(parseLocaleUrl("/it/about-us", locales), {
+                url: "/it/about-us",
+                locale: "en"
+            });
+        });
+
+        it("must prefix URLs of non-default locales", async () => {
+            assert.equal(getLocaleUrl("/about-us", "de", locales), "/de/about-us");
+            assert.equal(getLocaleUrl("/", "de", locales), "/de");
+            assert.equal(getLocaleUrl("/about-us", "en", locales), "/about-us");
+            assert.equal(getLocaleUrl("/about-us", "it", locales), "/about-us");
+            assert.equal(getLocaleUrl("/about-us", null, locales), "/about-us");
+        });
+
+        it("must match pages without a locale in the default locale", async () => {
+            assert.deepEqual(getLocaleQuery("de", locales), { locale: "de" });
+            assert.deepEqual(getLocaleQuery("en", locales), { locale: { $in: ["en", null] } });
+            assert.deepEqual(getLocaleQuery(null, locales), { locale: { $in: ["en", null] } });
+        });
+
+        it("must load locales from CMS settings", async () => {
+            assert.deepEqual(await getLocales(context), { default: null, available: [] });
+
+            await setLocales({ available: ["en", "de", "de", ""], default: "de" });
+            assert.deepEqual(await getLocales(context), { default: "de", available: ["en", "de"] });
+
+            // First available locale is used, if the default one is not available.
+            await setLocales({ available: ["en", "fr"], default: "de" });
+            assert.deepEqual(await getLocales(context), { default: "en", available: ["en", "fr"] });
+        });
+    });
+
+    describe("pages", () => {
+        beforeEach(async () => {
+            await setLocales(locales);
+        });
+
+        it("must create pages in the default locale and reject unavailable locales", async () => {
+            const page = await createPage(context, { url: "/about-us" });
+            assert.equal(page.locale, "en");
+            assert.equal(await page.localeUrl, "/about-us");
+
+            const german = await createPage(context, { url: "/about-us", locale: "de" });
+            assert.equal(await german.localeUrl, "/de/about-us");
+
+            let error = null;
+            try {
+                await createPage(context, { locale: "it" });
+            } catch (e) {
+                error = e;
+            }
+            assert.match(error.message, /Locale "it" is not available/);
+        });
+
+        it("must create a translation sharing the page parent, only once per locale", async () => {
+            const page = await createPage(context, { title: "About us", url: "/about-us" });
+
+            const response = await resolveCreateTranslation(
+                null,
+                { revision: page.id, locale: "de" },
+                context
+            );
+            const translation = response.data;
+            assert.equal(translation.parent, page.parent);
+            assert.equal(translation.locale, "de");
+            assert.equal(translation.title, "About us");
+            assert.isFalse(translation.isRoot);
+
+            const again = await resolveCreateTranslation(
+                null,
+                { revision: page.id, locale: "de" },
+                context
+            );
+            assert.equal(again.error.code, "TRANSLATION_EXISTS");
+
+            const existing = await resolveCreateTranslation(
+                null,
+                { revision: translation.id, locale: "en" },
+                context
+            );
+            assert.equal(existing.error.code, "TRANSLATION_EXISTS");
+            assert.equal(existing.error.data.id, page.id);
+        });
+
+        it("must track revisions and published revision separately for each locale", async () => {
+            const page = await createPage(context);
+            page.published = true;
+            await page.save();
+
+            const { data: translation } = await resolveCreateTranslation(
+                null,
+                { revision: page.id, locale: "de" },
+                context
+            );
+            translation.published = true;
+            await translation.save();
+
+            // Publishing the translation must not unpublish the page in the default locale.
+            assert.isTrue((await reload(page)).published);
+            assert.isTrue((await reload(translation)).published);
+
+            const revisions = await (await reload(page)).revisions;
+            assert.deepEqual(Array.from(revisions, revision => revision.id), [page.id]);
+
+            const translations = await listTranslations(page, {}, context);
+            assert.deepEqual(translations.map(item => item.locale), ["en", "de"]);
+        });
+
+        it("must treat pages created before locales were configured as default locale pages", async () => {
+            await setLocales({ available: [], default: null });
+            const page = await createPage(context);
+            assert.isNull(page.locale);
+
+            await setLocales(locales);
+            const translations = await listTranslations(await reload(page), {}, context);
+            assert.deepEqual(translations.map(item => item.id), [page.id]);
+        });
+    });
+});
@@ -0,0 +1,198 @@
+import { assert } from "chai";
+import { publishScheduledPages } from "webiny-api-cms/jobs";
+import scheduleRevision from "webiny-api-cms/plugins/graphql/pageResolvers/scheduleRevision";
+import createContext from "./utils/createContext";
+import createPage from "./utils/createPage";
+
+const pageFetcher = context => context.cms.entities.Page;
+const resolveScheduleRevision = scheduleRevision(pageFetcher);
+
+const HOUR = 60 * 60 * 1000;
+
+describe("scheduled publishing test", () => {
+    let context;
+
+    beforeEach(async () => {
+        context = await createContext();
+    });
+
+    const reload = async page => {
+        const { Page } = context.cms.entities;
+        Page.getEntityPool().flush();
+        return await Page.findById(page.id);
+    };
+
+    describe("publishScheduledPages", () => {
+        it("must publish revisions whose publishing date has passed", async () => {
+            const page = await createPage(context);
+            page.publishOn = new Date(Date.now() - 1000);
+            await page.save();
+
+            const result = await publishScheduledPages(context);
+            assert.deepEqual(result, { published: 1, unpublished: 0 });
+
+            const published = await reload(page);
+            assert.isTrue(published.published);
+            assert.isTrue(published.locked);
+            assert.isNull(published.publishOn);
+            assert.instanceOf(published.publishedOn, Date);
+        });
+
+        it("must not publish revisions that are not due yet", async () => {
+            const page = await createPage(context);
+            page.publishOn = new Date(Date.now() + HOUR);
+            await page.save();
+
+            const result = await publishScheduledPages(context);
+            assert.deepEqual(result, { published: 0, unpublished: 0 });
+            assert.isFalse((await reload(page)).published);
+        });
+
+        it("must unpublish previously published revision of the same page", async () => {
+            const first = await createPage(context);
+            first.published = true;
+            await first.save();
+
+            const { Page } = context.cms.entities;
+            const second = new Page();
+            second.populate({ category: (await first.category).id, parent: first.parent });
+            second.publishOn = new Date(Date.now() - 1000);
+            await second.save();
+
+            await publishScheduledPages(context);
+
+            assert.isFalse((await reload(first)).published);
+            assert.isTrue((await reload(second)).published);
+        });
+
+        it("must unpublish revisions whose unpublishing date has passed", async () => {
+            const due = await createPage(context);
+            due.published = true;
+            await due.save();
+            due.unpublishOn = new Date(Date.now() - 1000);
+            await due.save();
+
+            const notDue = await createPage(context);
+            notDue.published = true;
+            await notDue.save();
+            notDue.unpublishOn = new Date(Date.now() + HOUR);
+            await notDue.save();
+
+            const result = await publishScheduledPages(context);
+            assert.deepEqual(result, { published: 0, unpublished: 1 });
+
+            const unpublished = await reload(due);
+            assert.isFalse(unpublished.published);
+            assert.isNull(unpublished.unpublishOn);
+            assert.isTrue((await reload(notDue)).published);
+        });
+
+        it("must publish and later unpublish a revision with both dates set", async () => {
+            const page = await createPage(context);
+            page.publishOn = new Date(Date.now() - 2000);
+            page.unpublishOn = new Date(Date.now() + HOUR);
+            await page.save();
+
+            await publishScheduledPages(context);
+            let stored = await reload(page);
+            assert.isTrue(stored.published);
+            assert.instanceOf(stored.unpublishOn, Date);
+
+            stored.unpublishOn = new Date(Date.now() - 1000);
+            await stored.save();
+
+            assert.deepEqual(await publishScheduledPages(context), {
+                published: 0,
+                unpublished: 1
+            });
+            assert.isFalse((await reload(page)).published);
+        });
+    });
+
+    describe("scheduleRevision", () => {
+        it("must schedule publishing and unpublishing of a revision", async () => {
+            const page = await createPage(context);
+            const publishOn = new Date(Date.now() + HOUR);
+            const unpublishOn = new Date(Date.now() + 2 * HOUR);
+
+            const response = await resolveScheduleRevision(
+                null,
+                { id: page.id, publishOn, unpublishOn },
+                context
+            );
+            assert.equal(response.data.id, page.id);
+
+            const stored = await reload(page);
+            assert.equal(stored.publishOn.getTime(), publishOn.getTime());
+            assert.equal(stored.unpublishOn.getTime(), unpublishOn.getTime());
+        });
+
+        it("must cancel the schedule if dates were omitted", async () => {
+            const page = await createPage(context);
+            page.publishOn = new Date(Date.now() + HOUR);
+            await page.save();
+
+            await resolveScheduleRevision(null, { id: page.id }, context);
+            assert.isNull((await reload(page)).publishOn);
+        });
+
+        it("must reject invalid schedules", async () => {
+            const page = await createPage(context);
+            const past = new Date(Date.now() - HOUR);
+            const future = new Date(Date.now() + HOUR);
+
+            let response = await resolveScheduleRevision(
+                null,
+                { id: page.id, publishOn: past },
+                context
+            );
+            assert.equal(response.error.code, "INVALID_SCHEDULE");
+
+            response = await resolveScheduleRevision(
+                null,
+                { id: page.id, unpublishOn: future },
+                context
+            );
+            assert.equal(response.error.code, "INVALID_SCHEDULE");
+
+            response = await resolveScheduleRevision(
+                null,
+                { id: page.id, publishOn: future, unpublishOn: future },
+                context
+            );
+            assert.equal(response.error.code, "INVALID_SCHEDULE");
+
+            page.published = true;
+            await page.save();
+            response = await resolveScheduleRevision(
+                null,
+                { id: page.id, publishOn: future },
+                context
+            );
+            assert.equal(response.error.code, "INVALID_SCHEDULE");
+        });
+
+        it("must clear the publishing schedule when the revision is published manually", async () => {
+            const page = await createPage(context);
+            await resolveScheduleRevision(
+                null,
+                { id: page.id, publishOn: new Date(Date.now() + HOUR) },
+                context
+            );
+
+            const stored = await reload(page);
+            stored.published = true;
+            await stored.save();
+
+            const published = await reload(page);
+            assert.isTrue(published.published);
+            assert.isNull(published.publishOn);
+
+            // The job must not touch the revision anymore.
+            assert.deepEqual(await publishScheduledPages(context), {
+                published: 0,
+                unpublished: 0
+            });
+        });
+    });
+});
@@ -0,0 +1,196 @@
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import { assert } from "chai";
+import { registerPlugins, unregisterPlugin } from "webiny-plugins";
+import { fsStorage } from "webiny-api-files/plugins/storage";
+import submitForm from "webiny-api-cms/plugins/graphql/formResolvers/submitForm";
+import { validateFormData } from "webiny-api-cms/plugins/graphql/formResolvers/fields";
+import { getFields } from "webiny-app-cms/render/plugins/elements/form/utils";
+import createContext from "./utils/createContext";
+import createPage from "./utils/createPage";
+
+const form = {
+    id: "contact",
+    type: "cms-element-form",
+    data: { form: { name: "Contact" } },
+    elements: [
+        {
+            id: "a",
+            type: "cms-element-form-text",
+            data: {
+                field: { name: "name", label: "Name", required: true, validators: "minLength:3" }
+            }
+        },
+        {
+            id: "b",
+            type: "cms-element-form-email",
+            data: { field: { name: "email", label: "E-mail", required: true } }
+        },
+        {
+            id: "c",
+            type: "cms-element-form-text",
+            data: {
+                field: { name: "zip", label: "ZIP", validators: "numeric,minLength:5,maxLength:5" }
+            }
+        },
+        {
+            id: "d",
+            type: "cms-element-form-select",
+            data: { field: { name: "topic", label: "Topic", options: "Sales\nSupport" } }
+        },
+        {
+            id: "e",
+            type: "cms-element-form-file",
+            data: { field: { name: "cv", label: "CV", maxSize: "0.001" } }
+        }
+    ]
+};
+
+const data = { name: "John", email: "john@webiny.com", zip: "10000", topic: "Sales" };
+
+describe("submitForm test", () => {
+    const folder = path.join(os.tmpdir(), "webiny-api-cms-forms-" + process.pid);
+    let context;
+    let page;
+
+    beforeAll(async () => {
+        await fs.outputFile(path.join(folder, "1_cv.pdf"), Buffer.from("%PDF"));
+        await fs.outputFile(path.join(folder, "2_big.pdf"), Buffer.alloc(2048));
+        registerPlugins({
+            name: "files-storage-test",
+            type: "files-storage",
+            ...fsStorage({ folder })
+        });
+    });
+
+    afterAll(async () => {
+        unregisterPlugin("files-storage-test");
+        await fs.remove(folder);
+    });
+
+    beforeEach(async () => {
+        context = await createContext();
+        context.event = {
+            headers: { "User-Agent": "jest" },
+            requestContext: { identity: { sourceIp: "1.2.3.4" } }
+        };
+
+        page = await createPage(context, {
+            content: { id: "root", type: "cms-element-document", elements: [form] }
+        });
+        page.published = true;
+        await page.save();
+    });
+
+    const submit = args => submitForm(null, { page: page.id, form: "contact", ...args }, context);
+
+    const getSubmissions = () => context.cms.entities.FormSubmission.find();
+
+    it("must store valid submissions", async () => {
+        const response = await submit({ data: { ...data, unknown: "dropped" } });
+        assert.isTrue(response.data);
+
+        const [submission] = await getSubmissions();
+        assert.equal(submission.page, page.parent);
+        assert.equal(submission.name, "Contact");
+        assert.deepEqual(submission.data, { ...data, cv: null });
+        assert.deepEqual(submission.meta, { ip: "1.2.3.4", userAgent: "jest" });
+        assert.deepEqual(submission.fields.map(field => field.name), [
+            "name",
+            "email",
+            "zip",
+            "topic",
+            "cv"
+        ]);
+    });
+
+    it("must not store submissions of unpublished pages or missing forms", async () => {
+        page.published = false;
+        await page.save();
+        assert.equal((await submit({ data })).error.code, "NOT_FOUND");
+
+        page.published = true;
+        await page.save();
+        assert.equal((await submit({ data, form: "missing" })).error.code, "NOT_FOUND");
+        assert.lengthOf(await getSubmissions(), 0);
+    });
+
+    it("must silently drop submissions with the honeypot filled in", async () => {
+        const response = await submit({ data, honeypot: "http://spam.com" });
+        assert.isTrue(response.data);
+        assert.lengthOf(await getSubmissions(), 0);
+    });
+
+    it("must rate limit submissions by the source IP", async () => {
+        context.config = { cms: { forms: { rateLimit: { max: 2 } } } };
+
+        assert.isTrue((await submit({ data })).data);
+        assert.isTrue((await submit({ data })).data);
+        assert.equal((await submit({ data })).error.code, "RATE_LIMITED");
+
+        // Client headers must not affect the rate limit.
+        context.event.headers["X-Forwarded-For"] = "5.6.7.8";
+        assert.equal((await submit({ data })).error.code, "RATE_LIMITED");
+
+        context.event.requestContext.identity.sourceIp = "5.6.7.8";
+        assert.isTrue((await submit({ data })).data);
+        assert.lengthOf(await getSubmissions(), 3);
+    });
+
+    it("must reject submissions without the source IP", async () => {
+        context.event = { headers: { "X-Forwarded-For": "1.2.3.4" } };
+        assert.equal((await submit({ data })).error.code, "SOURCE_IP_MISSING");
+        assert.lengthOf(await getSubmissions(), 0);
+    });
+
+    it("must validate required fields and field rules", async () => {
+        const response = await submit({
+            data: { name: "Jo", email: "john", zip: "ABCDE", topic: "Other" }
+        });
+
+        assert.equal(response.error.code, "INVALID_FIELDS");
+        assert.sameMembers(Object.keys(response.error.data.fields), [
+            "name",
+            "email",
+            "zip",
+            "topic"
+        ]);
+        assert.lengthOf(await getSubmissions(), 0);
+
+        const { errors } = await validateFormData(getFields(form), { ...data, name: "  " });
+        assert.deepEqual(Object.keys(errors), ["name"]);
+    });
+
+    it("must link only files stored in the files storage", async () => {
+        const fields = getFields(form);
+
+        const { values, errors } = await validateFormData(fields, {
+            ...data,
+            cv: { name: "cv.pdf", src: "/files/1_cv.pdf", size: 1, type: "text/html" }
+        });
+        assert.deepEqual(errors, {});
+        assert.deepEqual(values.cv, {
+            name: "cv.pdf",
+            src: "/files/1_cv.pdf",
+            size: 4,
+            type: "application/pdf"
+        });
+
+        const invalid = [
+            "/files/missing.pdf",
+            "/files/../1_cv.pdf",
+            "/files/.cache/1_cv.pdf",
+            "https://example.com/files/1_cv.pdf",
+            "javascript:alert(1)"
+        ];
+
+        for (let i = 0; i < invalid.length; i++) {
+            const result = await validateFormData(fields, { ...data, cv: { src: invalid[i] } });
+            assert.equal(result.errors.cv, "File was not uploaded.", invalid[i]);
+        }
+
+        const big = await validateFormData(fields, { ...data, cv: { src: "/files/2_big.pdf" } });
+        assert.match(big.errors.cv, /must not be larger/);
+    });
+});
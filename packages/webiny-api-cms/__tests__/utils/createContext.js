@@ -0,0 +1,34 @@
+import { Entity } from "webiny-entity";
+import MemoryDriver from "webiny-entity-memory";
+import securityEntities from "webiny-api-security/plugins/entities";
+import cmsEntities from "webiny-api-cms/plugins/entities";
+import { cmsSettingsFactory } from "webiny-api-cms/entities";
+
+/**
+ * Creates a GraphQL context with all CMS and security entities, which store data in memory.
+ * A user is created and set as the current user.
+ */
+export default async () => {
+    Entity.driver = new MemoryDriver();
+    Entity.crud = { ...Entity.crud, logs: true };
+    Entity.pool.flush();
+
+    const context = {
+        config: {},
+        security: { entities: {} },
+        cms: { entities: {} }
+    };
+
+    [...securityEntities, ...cmsEntities].forEach(plugin => {
+        context[plugin.namespace].entities[plugin.entity.name] = plugin.entity.factory(context);
+    });
+    context.cms.entities.CmsSettings = cmsSettingsFactory(context);
+
+    const { User } = context.security.entities;
+    const user = new User();
+    user.populate({ email: "admin@webiny.com", password: "12345678" });
+    await user.save();
+    context.user = { id: user.id };
+
+    return context;
+};
@@ -0,0 +1,16 @@
+/**
+ * Creates a page (or a new revision of an existing page, if "parent" is passed) in a new category.
+ */
+export default async (context, data = {}) => {
+    const { Category, Page } = context.cms.entities;
+
+    const category = new Category();
+    category.populate({ name: "Static", slug: "static", url: "/static/", layout: "static" });
+    await category.save();
+
+    const page = new Page();
+    page.populate({ category: category.id, title: "Page", ...data });
+    await page.save();
+
+    return page;
+};
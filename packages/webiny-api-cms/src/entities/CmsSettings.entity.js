@@ -23,11 +23,24 @@ class CmsSettingsPagesModel extends Model {
     }
 }
 
+class CmsSettingsLocalesModel extends Model {
+    constructor() {
+        super();
+        // Locale codes (eg. "en", "de-AT") in which pages can be published.
+        this.attr("available")
+            .array()
+            .onSet(value => (Array.isArray(value) ? [...new Set(value.filter(Boolean))] : value));
+        // Pages in the default locale are served without a locale prefix in their URL.
+        this.attr("default").char();
+    }
+}
+
 const cmsSettingsModelFactory = () => {
     return class CmsSettingsModel extends Model {
         constructor() {
             super();
             this.attr("pages").model(CmsSettingsPagesModel);
+            this.attr("locales").model(CmsSettingsLocalesModel);
             this.attr("name").char();
             this.attr("domain").char();
             this.attr("favicon").model(FileModel);
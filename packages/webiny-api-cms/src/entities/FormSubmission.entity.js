@@ -0,0 +1,49 @@
+// @flow
+import { Entity } from "webiny-entity";
+
+export interface IFormSubmission extends Entity {
+    page: string;
+    form: string;
+    name: string;
+    fields: Array<Object>;
+    data: Object;
+    meta: Object;
+}
+
+export function formSubmissionFactory(): Class<IFormSubmission> {
+    return class FormSubmission extends Entity {
+        static classId = "CmsFormSubmission";
+
+        page: string;
+        form: string;
+        name: string;
+        fields: Array<Object>;
+        data: Object;
+        meta: Object;
+
+        constructor() {
+            super();
+
+            // Parent of the page the form was submitted on (same for all page revisions).
+            this.attr("page")
+                .char()
+                .setValidators("required");
+
+            // ID of the form element.
+            this.attr("form")
+                .char()
+                .setValidators("required");
+
+            this.attr("name").char();
+
+            // Fields the form had at the time of submission ({ name, label, type }), so submissions can be shown
+            // and exported even after the form was changed.
+            this.attr("fields").object();
+
+            this.attr("data").object();
+
+            // Information about the sender (IP address, user agent).
+            this.attr("meta").object();
+        }
+    };
+}
@@ -3,11 +3,14 @@ import { Entity, type EntityCollection } from "webiny-entity";
 import type { ICategory } from "./Category.entity";
 import pageSettingsFactory from "./PageSettings.model";
 import mdbid from "mdbid";
+import { getLocales, getLocaleQuery, getLocaleUrl } from "webiny-api-cms/utils/locales";
 
 export interface IPage extends Entity {
     createdBy: Entity;
     updatedBy: Entity;
     publishedOn: ?Date;
+    publishOn: ?Date;
+    unpublishOn: ?Date;
     title: string;
     snippet: string;
     url: string;
@@ -16,6 +19,8 @@ export interface IPage extends Entity {
     category: Promise<ICategory>;
     version: number;
     parent: string;
+    isRoot: boolean;
+    locale: ?string;
     published: boolean;
     locked: boolean;
 }
@@ -27,6 +32,8 @@ export const pageFactory = (context: Object): Class<IPage> => {
         createdBy: Entity;
         updatedBy: Entity;
         publishedOn: ?Date;
+        publishOn: ?Date;
+        unpublishOn: ?Date;
         title: string;
         snippet: string;
         url: string;
@@ -35,6 +42,8 @@ export const pageFactory = (context: Object): Class<IPage> => {
         category: Promise<ICategory>;
         version: number;
         parent: string;
+    isRoot: boolean;
+        locale: ?string;
         published: boolean;
         locked: boolean;
 
@@ -61,6 +70,15 @@ export const pageFactory = (context: Object): Class<IPage> => {
                 .date()
                 .setSkipOnPopulate();
 
+            // Scheduled publishing - both dates are processed by the "publishScheduledPages" job.
+            this.attr("publishOn")
+                .date()
+                .setSkipOnPopulate();
+
+            this.attr("unpublishOn")
+                .date()
+                .setSkipOnPopulate();
+
             this.attr("title")
                 .char()
                 .setValidators("required")
@@ -85,8 +103,27 @@ export const pageFactory = (context: Object): Class<IPage> => {
 
             this.attr("version").integer();
 
+            // All locale variants (translations) of a page share the same parent. Revisions, versions and
+            // the published revision are tracked separately for each locale.
             this.attr("parent").char();
 
+            // Set on the first revision of the page (the one whose ID is used as "parent"). Storing it makes
+            // it possible to query root revisions with a plain field, which every entity driver supports.
+            this.attr("isRoot")
+                .boolean()
+                .setSkipOnPopulate()
+                .setDefaultValue(false);
+
+            this.attr("locale")
+                .char()
+                .setOnce();
+
+            this.attr("localeUrl")
+                .char()
+                .setDynamic(async () => {
+                    return getLocaleUrl(this.url, this.locale, await getLocales(context));
+                });
+
             this.attr("isHomePage")
                 .boolean()
                 .setDynamic(async () => {
@@ -110,8 +147,11 @@ export const pageFactory = (context: Object): Class<IPage> => {
 
             this.attr("revisions")
                 .entities(Page)
-                .setDynamic(() => {
-                    return Page.find({ query: { parent: this.parent }, sort: { version: -1 } });
+                .setDynamic(async () => {
+                    return Page.find({
+                        query: { parent: this.parent, ...(await this.getLocaleQuery()) },
+                        sort: { version: -1 }
+                    });
                 });
 
             this.attr("locked")
@@ -127,15 +167,22 @@ export const pageFactory = (context: Object): Class<IPage> => {
                     if (value && value !== this.published && this.isExisting()) {
                         this.locked = true;
                         this.publishedOn = new Date();
-                        this.on("beforeSave", async () => {
+                        // Once published, a pending schedule is no longer relevant.
+                        this.publishOn = null;
+                        this.on("beforeSave", async ({ params }) => {
                             // Deactivate previously published revision
                             const publishedRev: Page = (await Page.findOne({
-                                query: { published: true, parent: this.parent }
+                                query: {
+                                    published: true,
+                                    parent: this.parent,
+                                    ...(await this.getLocaleQuery())
+                                },
+                                transaction: params.transaction
                             }): any);
 
                             if (publishedRev) {
                                 publishedRev.published = false;
-                                await publishedRev.save();
+                                await publishedRev.save({ transaction: params.transaction });
                             }
                         }).setOnce();
                     }
@@ -150,9 +197,18 @@ export const pageFactory = (context: Object): Class<IPage> => {
                 if (!this.parent) {
                     this.parent = this.id;
                 }
+                this.isRoot = this.parent === this.id;
 
                 this.createdBy = user.id;
 
+                const { locale } = this;
+                const locales = await getLocales(context);
+                if (!locale) {
+                    this.locale = locales.default;
+                } else if (!locales.available.includes(locale)) {
+                    throw Error(`Locale "${locale}" is not available.`);
+                }
+
                 if (!this.title) {
                     this.title = "Untitled";
                 }
@@ -173,25 +229,87 @@ export const pageFactory = (context: Object): Class<IPage> => {
             });
 
             this.on("beforeUpdate", () => {
-                this.updatedBy = user.id;
+                // Scheduled jobs are not executed on behalf of a user, so we keep the last editor.
+                if (user) {
+                    this.updatedBy = user.id;
+                }
             });
 
-            this.on("afterDelete", async () => {
+            this.on("afterDelete", async ({ params }) => {
                 // If the deleted page is the root page - delete its revisions
                 if (this.id === this.parent) {
-                    // Delete all revisions
-                    const revisions: EntityCollection<Page> = await Page.find({
-                        query: { parent: this.parent }
-                    });
+                    // Delete all revisions - deleted revisions drop out of the query, so we keep loading
+                    // the first page until it's empty.
+                    const { transaction } = params;
+                    const query = { parent: this.parent };
+                    let revisions: EntityCollection<Page> = await Page.find({ query, transaction });
+                    while (revisions.length) {
+                        // Revisions are deleted one by one, since operations in a transaction cannot run in parallel.
+                        for (let i = 0; i < revisions.length; i++) {
+                            await revisions[i].delete({ deletedBy: params.deletedBy, transaction });
+                        }
+                        revisions = await Page.find({ query, transaction });
+                    }
+                }
+            });
 
-                    return Promise.all(revisions.map(rev => rev.delete()));
+            this.on("afterRestore", async ({ params, deletedOn }) => {
+                // If the restored page is the root page - restore revisions that were deleted together with it.
+                // Revisions that were deleted before the page itself stay deleted.
+                if (this.id === this.parent) {
+                    const query = {
+                        parent: this.parent,
+                        deleted: true,
+                        deletedOn: { $gte: deletedOn }
+                    };
+                    const { transaction } = params;
+                    let revisions: EntityCollection<Page> = await Page.find({ query, transaction });
+                    while (revisions.length) {
+                        for (let i = 0; i < revisions.length; i++) {
+                            await revisions[i].restore({ transaction });
+                        }
+                        revisions = await Page.find({ query, transaction });
+                    }
                 }
             });
         }
 
+        /**
+         * Publishing a revision unpublishes the previous one and deleting a root page deletes all of its
+         * revisions - running both in a transaction prevents a failure midway from leaving inconsistent data.
+         */
+        save(params: ?Object): Promise<void> {
+            return Page.transaction(transaction => super.save({ ...params, transaction }), params);
+        }
+
+        delete(params: ?Object): Promise<void> {
+            return Page.transaction(
+                transaction => super.delete({ ...params, transaction }),
+                params
+            );
+        }
+
+        restore(params: ?Object): Promise<void> {
+            return Page.transaction(
+                transaction => super.restore({ ...params, transaction }),
+                params
+            );
+        }
+
+        /**
+         * Returns query that matches revisions in the same locale as this one.
+         */
+        async getLocaleQuery(): Promise<Object> {
+            return getLocaleQuery(this.locale, await getLocales(context));
+        }
+
         async getNextVersion() {
             const revision: null | Page = await Page.findOne({
-                query: { parent: this.parent, deleted: { $in: [true, false] } },
+                query: {
+                    parent: this.parent,
+                    deleted: { $in: [true, false] },
+                    ...(await this.getLocaleQuery())
+                },
                 sort: { version: -1 }
             });
 
@@ -8,3 +8,5 @@ export type { IMenu } from "webiny-api-cms/entities/Menu.entity";
 export { pageFactory } from "webiny-api-cms/entities/Page.entity";
 export type { IPage } from "webiny-api-cms/entities/Page.entity";
 export { cmsSettingsFactory } from "webiny-api-cms/entities/CmsSettings.entity";
+export { formSubmissionFactory } from "webiny-api-cms/entities/FormSubmission.entity";
+export type { IFormSubmission } from "webiny-api-cms/entities/FormSubmission.entity";
@@ -14,6 +14,13 @@ export default [
         scopes: ["cms:category:crud"],
         system: true
     },
+    {
+        name: "CMS Forms",
+        description: "Grants access to CMS form submissions.",
+        slug: "cms-forms",
+        scopes: ["cms:form:crud"],
+        system: true
+    },
     {
         name: "CMS Editor",
         description: "Grants complete access to CMS pages.",
@@ -24,6 +31,7 @@ export default [
             "cms:settings",
             "cms:menu:crud",
             "cms:category:crud",
+            "cms:form:crud",
             "cms:page:crud",
             "cms:page:revision:create",
             "cms:page:revision:update",
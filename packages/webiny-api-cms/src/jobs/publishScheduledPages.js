@@ -0,0 +1,46 @@
+// @flow
+import type { IPage } from "../entities/Page.entity";
+
+/**
+ * Finds all revisions whose scheduled publishing or unpublishing date has passed and applies it.
+ * Publishing is done via the `published` flag, so the previously published revision of the same page
+ * is deactivated exactly as when a revision is published manually.
+ */
+export default async (context: Object): Promise<{ published: number, unpublished: number }> => {
+    const { Page } = context.cms.entities;
+    const now = new Date();
+    const perPage = 100;
+
+    const result = { published: 0, unpublished: 0 };
+
+    // Oldest schedules are processed first - if two revisions of the same page are due,
+    // the one that was scheduled last will remain published.
+    let pages: Array<IPage> = await Page.find({
+        query: { published: false, publishOn: { $lte: now } },
+        sort: { publishOn: 1 },
+        perPage
+    });
+
+    for (let i = 0; i < pages.length; i++) {
+        const page = pages[i];
+        page.published = true;
+        await page.save();
+        result.published++;
+    }
+
+    pages = await Page.find({
+        query: { published: true, unpublishOn: { $lte: now } },
+        sort: { unpublishOn: 1 },
+        perPage
+    });
+
+    for (let i = 0; i < pages.length; i++) {
+        const page = pages[i];
+        page.published = false;
+        page.unpublishOn = null;
+        await page.save();
+        result.unpublished++;
+    }
+
+    return result;
+};
@@ -6,6 +6,7 @@ const category: EntityPluginType = {
     name: "entity-cms-category",
     type: "entity",
     namespace: "cms",
+    audit: true,
     entity: {
         name: "Category",
         factory: entities.categoryFactory
@@ -26,6 +27,7 @@ const menu: EntityPluginType = {
     name: "entity-cms-menu",
     type: "entity",
     namespace: "cms",
+    audit: true,
     entity: {
         name: "Menu",
         factory: entities.menuFactory
@@ -36,10 +38,22 @@ const page: EntityPluginType = {
     name: "entity-cms-page",
     type: "entity",
     namespace: "cms",
+    audit: true,
+    fileUsage: { label: (page: Object) => page.title },
     entity: {
         name: "Page",
         factory: entities.pageFactory
     }
 };
 
-export default [category, element, menu, page];
+const formSubmission: EntityPluginType = {
+    name: "entity-cms-form-submission",
+    type: "entity",
+    namespace: "cms",
+    entity: {
+        name: "FormSubmission",
+        factory: entities.formSubmissionFactory
+    }
+};
+
+export default [category, element, menu, page, formSubmission];
@@ -7,6 +7,7 @@ import { FileType, FileInputType } from "webiny-api-files/graphql";
 import page from "./graphql/Page";
 import category from "./graphql/Category";
 import menu from "./graphql/Menu";
+import form from "./graphql/Form";
 
 export default {
     type: "graphql",
@@ -35,6 +36,7 @@ export default {
         page.typeDefs,
         category.typeDefs,
         menu.typeDefs,
+        form.typeDefs,
         ...getPlugins("cms-schema").map(pl => pl.typeDefs)
     ],
     resolvers: () => [
@@ -49,6 +51,7 @@ export default {
         page.resolvers,
         category.resolvers,
         menu.resolvers,
+        form.resolvers,
         ...getPlugins("cms-schema").map(pl => pl.resolvers)
     ],
     security: {
@@ -59,7 +62,14 @@ export default {
                 getCategory: hasScope("cms:category:crud"),
                 listCategories: hasScope("cms:category:crud"),
                 listPages: hasScope("cms:page:crud"),
+                listDeletedPages: hasScope("cms:page:crud"),
+                diffRevisions: hasScope("cms:page:crud"),
+                diffUnsavedChanges: hasScope("cms:page:crud"),
                 listElements: hasScope("cms:element:crud"),
+                getFormSubmission: hasScope("cms:form:crud"),
+                listFormSubmissions: hasScope("cms:form:crud"),
+                listForms: hasScope("cms:form:crud"),
+                exportFormSubmissions: hasScope("cms:form:crud"),
                 oembedData: hasScope("cms:oembed:read")
             },
             CmsMutation: {
@@ -72,15 +82,21 @@ export default {
 
                 createPage: hasScope("cms:page:crud"),
                 deletePage: hasScope("cms:page:crud"),
+                restorePage: hasScope("cms:page:crud"),
 
                 createRevisionFrom: hasScope("cms:page:revision:create"),
+                createTranslation: hasScope("cms:page:revision:create"),
                 updateRevision: hasScope("cms:page:revision:update"),
                 publishRevision: hasScope("cms:page:revision:publish"),
+                scheduleRevision: hasScope("cms:page:revision:publish"),
+                cancelScheduledRevision: hasScope("cms:page:revision:publish"),
                 deleteRevision: hasScope("cms:page:revision:delete"),
 
                 createElement: hasScope("cms:element:crud"),
                 updateElement: hasScope("cms:element:crud"),
-                deleteElement: hasScope("cms:element:crud")
+                deleteElement: hasScope("cms:element:crud"),
+
+                deleteFormSubmission: hasScope("cms:form:crud")
             },
             SettingsMutation: {
                 cms: hasScope("cms:settings")
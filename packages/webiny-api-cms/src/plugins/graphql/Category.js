@@ -14,6 +14,7 @@ export default {
         type Category {
             id: ID
             createdOn: DateTime
+            savedOn: DateTime
             name: String
             slug: String
             url: String
@@ -64,6 +65,7 @@ export default {
             updateCategory(
                 id: ID!
                 data: CategoryInput!
+                savedOn: DateTime
             ): CategoryResponse
         
             deleteCategory(
@@ -0,0 +1,108 @@
+// @flow
+import { resolveDelete, resolveGet, resolveList } from "webiny-api/graphql";
+
+import submitForm from "./formResolvers/submitForm";
+import listForms from "./formResolvers/listForms";
+import exportFormSubmissions from "./formResolvers/exportFormSubmissions";
+
+const formSubmissionFetcher = ctx => ctx.cms.entities.FormSubmission;
+
+export default {
+    typeDefs: `
+        type FormSubmission {
+            id: ID
+            createdOn: DateTime
+            page: String
+            form: String
+            name: String
+            fields: JSON
+            data: JSON
+            meta: JSON
+        }
+
+        type Form {
+            id: ID
+            name: String
+            page: String
+            submissions: Int
+            lastSubmittedOn: DateTime
+        }
+
+        # Response types
+
+        type FormSubmissionResponse {
+            data: FormSubmission
+            error: Error
+        }
+
+        type FormSubmissionListResponse {
+            data: [FormSubmission]
+            meta: ListMeta
+            error: Error
+        }
+
+        type FormListResponse {
+            data: [Form]
+            meta: ListMeta
+            error: Error
+        }
+
+        type SubmitFormResponse {
+            data: Boolean
+            error: Error
+        }
+
+        type ExportFormSubmissionsResponse {
+            data: String
+            error: Error
+        }
+
+        extend type CmsQuery {
+            getFormSubmission(
+                id: ID
+            ): FormSubmissionResponse
+
+            listFormSubmissions(
+                page: Int
+                perPage: Int
+                where: JSON
+                sort: JSON
+                search: SearchInput
+            ): FormSubmissionListResponse
+
+            "Lists forms that were submitted at least once."
+            listForms: FormListResponse
+
+            "Returns all submissions of given form as CSV."
+            exportFormSubmissions(
+                form: ID!
+            ): ExportFormSubmissionsResponse
+        }
+
+        extend type CmsMutation {
+            "Submits a form element on a published page. Honeypot input must stay empty."
+            submitForm(
+                page: ID!
+                form: ID!
+                data: JSON!
+                honeypot: String
+            ): SubmitFormResponse
+
+            deleteFormSubmission(
+                id: ID!
+            ): DeleteResponse
+        }
+    `,
+    resolvers: {
+        CmsQuery: {
+            getFormSubmission: resolveGet(formSubmissionFetcher),
+            listFormSubmissions: resolveList(formSubmissionFetcher),
+            listForms,
+            exportFormSubmissions
+        },
+        CmsMutation: {
+            submitForm,
+            deleteFormSubmission: resolveDelete(formSubmissionFetcher)
+        }
+    }
+};
@@ -15,6 +15,7 @@ export default {
         type Menu {
             id: ID
             createdOn: DateTime
+            savedOn: DateTime
             title: String
             slug: String
             description: String
@@ -56,9 +57,10 @@ export default {
                 search: SearchInput
             ): MenuListResponse
             
-            "Returns menu by given slug."
+            "Returns menu by given slug. Page URLs are resolved in given locale (default locale if not set)."
             getMenuBySlug(
                 slug: String!
+                locale: String
             ): MenuResponse
         }
         
@@ -70,6 +72,7 @@ export default {
             updateMenu(
                 id: ID!
                 data: MenuInput!
+                savedOn: DateTime
             ): MenuResponse
         
             deleteMenu(
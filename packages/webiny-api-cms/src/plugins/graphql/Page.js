@@ -4,10 +4,12 @@ import {
     resolveUpdate,
     resolveDelete,
     resolveGet,
-    resolveList
+    resolveList,
+    resolveRestore
 } from "webiny-api/graphql";
 import UserType from "webiny-api-security/plugins/graphql/User";
 import createRevisionFrom from "./pageResolvers/createRevisionFrom";
+import scheduleRevision from "./pageResolvers/scheduleRevision";
 import listPages from "./pageResolvers/listPages";
 import listPublishedPages from "./pageResolvers/listPublishedPages";
 import getPublishedPage from "./pageResolvers/getPublishedPage";
@@ -17,6 +19,11 @@ import getNotFoundPage from "./pageResolvers/getNotFoundPage";
 import getErrorPage from "./pageResolvers/getErrorPage";
 import searchTags from "./pageResolvers/searchTags";
 import oembed from "./pageResolvers/oembed";
+import diffRevisions from "./pageResolvers/diffRevisions";
+import diffUnsavedChanges from "./pageResolvers/diffUnsavedChanges";
+import listDeletedPages from "./pageResolvers/listDeletedPages";
+import createTranslation from "./pageResolvers/createTranslation";
+import listTranslations from "./pageResolvers/listTranslations";
 
 const pageFetcher = ctx => ctx.cms.entities.Page;
 const elementFetcher = ctx => ctx.cms.entities.Element;
@@ -30,6 +37,8 @@ export default {
             updatedBy: User
             savedOn: DateTime
             publishedOn: DateTime
+            publishOn: DateTime
+            unpublishOn: DateTime
             category: Category
             version: Int
             title: String
@@ -43,7 +52,13 @@ export default {
             isNotFoundPage: Boolean
             locked: Boolean
             parent: ID
+            locale: String
+            localeUrl: String
             revisions: [Page]
+            # Latest (or published) revisions of the page in all available locales.
+            translations(published: Boolean): [Page]
+            deletedOn: DateTime
+            deletedBy: ID
         }
         
         type PageSettings {
@@ -118,6 +133,46 @@ export default {
             error: Error
         }
         
+        type PageRevisionValueChange {
+            path: String
+            from: JSON
+            to: JSON
+        }
+        
+        enum PageElementChangeType {
+            ADDED
+            REMOVED
+            MOVED
+            CHANGED
+        }
+        
+        type PageElementPosition {
+            parent: ID
+            index: Int
+        }
+        
+        type PageElementChange {
+            id: ID
+            type: String
+            change: PageElementChangeType
+            from: PageElementPosition
+            to: PageElementPosition
+            changes: [PageRevisionValueChange]
+        }
+        
+        type PageRevisionsDiff {
+            a: Page
+            b: Page
+            fields: [PageRevisionValueChange]
+            settings: [PageRevisionValueChange]
+            elements: [PageElementChange]
+        }
+        
+        type PageRevisionsDiffResponse {
+            data: PageRevisionsDiff
+            error: Error
+        }
+        
         input OEmbedInput {
             url: String!
             width: Int
@@ -141,16 +196,23 @@ export default {
                 sort: String
             ): PageResponse
             
-            getPublishedPage(id: String, url: String, parent: String): PageResponse
+            # URLs of pages in non-default locales must be prefixed with the locale (eg. "/de/about-us").
+            getPublishedPage(id: String, url: String, parent: String, locale: String): PageResponse
             
             # Returns page set as home page (managed in CMS settings).
-            getHomePage: PageResponse
+            getHomePage(locale: String): PageResponse
             
             # Returns 404 (not found) page (managed in CMS settings).
-            getNotFoundPage: PageResponse
+            getNotFoundPage(locale: String): PageResponse
             
             # Returns error page (managed in CMS settings).
-            getErrorPage: PageResponse
+            getErrorPage(locale: String): PageResponse
+            
+            # Returns changes made between two revisions of the same page.
+            diffRevisions(a: ID!, b: ID!): PageRevisionsDiffResponse
+            
+            # Returns changes between the saved revision and given unsaved data (eg. when saving failed with a CONFLICT).
+            diffUnsavedChanges(id: ID!, data: UpdatePageInput!): PageRevisionsDiffResponse
             
             listPages(
                 page: Int
@@ -158,6 +220,15 @@ export default {
                 sort: JSON
                 search: String
                 parent: String
+                locale: String
+            ): PageListResponse
+            
+            # Returns deleted pages (trash).
+            listDeletedPages(
+                page: Int
+                perPage: Int
+                sort: JSON
+                search: String
             ): PageListResponse
             
             listPublishedPages(
@@ -169,6 +240,7 @@ export default {
                 sort: PageSortInput
                 page: Int
                 perPage: Int
+                locale: String
             ): PageListResponse
             
             listElements(perPage: Int): ElementListResponse
@@ -196,10 +268,17 @@ export default {
                 revision: ID!
             ): PageResponse
             
-            # Update revision
+            # Create the first revision of a page in another locale from an existing revision
+            createTranslation(
+                revision: ID!
+                locale: String!
+            ): PageResponse
+            
+            # Update revision (if "savedOn" is passed and revision was saved since, CONFLICT error is returned)
              updateRevision(
                 id: ID!
                 data: UpdatePageInput!
+                savedOn: DateTime
             ): PageResponse
             
             # Publish revision
@@ -207,11 +286,28 @@ export default {
                 id: ID!
             ): PageResponse
             
+            # Schedule publishing and / or unpublishing of a revision (omitted dates cancel the schedule)
+            scheduleRevision(
+                id: ID!
+                publishOn: DateTime
+                unpublishOn: DateTime
+            ): PageResponse
+            
+            # Cancel scheduled publishing and unpublishing of a revision
+            cancelScheduledRevision(
+                id: ID!
+            ): PageResponse
+            
             # Delete page and all of its revisions
             deletePage(
                 id: ID!
             ): DeleteResponse
             
+            # Restore a deleted page and revisions that were deleted together with it
+            restorePage(
+                id: ID!
+            ): PageResponse
+            
             # Delete a single revision
             deleteRevision(
                 id: ID!
@@ -240,6 +336,9 @@ export default {
         CmsQuery: {
             getPage: resolveGet(pageFetcher),
             listPages: listPages(pageFetcher),
+            listDeletedPages: listDeletedPages(pageFetcher),
+            diffRevisions: diffRevisions(pageFetcher),
+            diffUnsavedChanges: diffUnsavedChanges(pageFetcher),
             listPublishedPages,
             getPublishedPage,
             getHomePage,
@@ -254,10 +353,14 @@ export default {
             createPage: resolveCreate(pageFetcher),
             // Deletes the entire page
             deletePage: resolveDelete(pageFetcher),
+            // Restores a deleted page
+            restorePage: resolveRestore(pageFetcher),
             // Sets given page as home page.
             setHomePage,
             // Creates a revision from the given revision
             createRevisionFrom: createRevisionFrom(pageFetcher),
+            // Creates a translation of the page from the given revision
+            createTranslation: createTranslation(pageFetcher),
             // Updates revision
             updateRevision: resolveUpdate(pageFetcher),
             // Publish revision (must be given an exact revision ID to publish)
@@ -266,6 +369,12 @@ export default {
 
                 return resolveUpdate(pageFetcher)(_, args, ctx, info);
             },
+            // Schedule revision publishing / unpublishing
+            scheduleRevision: scheduleRevision(pageFetcher),
+            // Cancel scheduled publishing / unpublishing
+            cancelScheduledRevision: (_: any, args: Object, ctx: Object) => {
+                return scheduleRevision(pageFetcher)(_, { id: args.id }, ctx);
+            },
             // Delete a revision
             deleteRevision: resolveDelete(pageFetcher),
             // Creates a new element
@@ -275,6 +384,9 @@ export default {
             // Deletes an element
             deleteElement: resolveDelete(elementFetcher)
         },
+        Page: {
+            translations: listTranslations
+        },
         PageSettings: {
             _empty: () => ""
         }
@@ -0,0 +1,24 @@
+// @flow
+
+// Spreadsheet applications evaluate cells starting with these characters as formulas.
+const formulaPrefix = /^[=+\-@\t\r]/;
+
+const toCell = (value: any): string => {
+    if (value === null || value === undefined) {
+        value = "";
+    } else if (typeof value === "object") {
+        value = value.src || JSON.stringify(value);
+    } else {
+        value = String(value);
+    }
+
+    if (formulaPrefix.test(value)) {
+        value = "'" + value;
+    }
+
+    return `"${value.replace(/"/g, '""')}"`;
+};
+
+export const toCsv = (rows: Array<Array<any>>): string => {
+    return rows.map(row => row.map(toCell).join(",")).join("\r\n");
+};
@@ -0,0 +1,47 @@
+// @flow
+import { Response } from "webiny-api/graphql/responses";
+import type { IFormSubmission } from "../../../entities/FormSubmission.entity";
+import { toCsv } from "./csv";
+
+/**
+ * Exports all submissions of a form as CSV. Columns are built from field snapshots of all submissions,
+ * so values of fields that were later removed from the form are exported too.
+ */
+export default async (root: any, args: Object, context: Object) => {
+    const { FormSubmission } = context.cms.entities;
+
+    const submissions: Array<IFormSubmission> = [];
+    for (let page = 1; ; page++) {
+        const batch = await FormSubmission.find({
+            query: { form: args.form },
+            sort: { createdOn: 1 },
+            page,
+            perPage: 100
+        });
+
+        submissions.push(...batch);
+        if (batch.length < 100) {
+            break;
+        }
+    }
+
+    const columns: Array<{ name: string, label: string }> = [];
+    submissions.forEach(submission => {
+        (submission.fields || []).forEach(field => {
+            if (!columns.find(column => column.name === field.name)) {
+                columns.push({ name: field.name, label: field.label });
+            }
+        });
+    });
+
+    const rows = [["Submitted on", ...columns.map(column => column.label)]];
+    submissions.forEach(submission => {
+        const data = submission.data || {};
+        rows.push([
+            submission.createdOn ? submission.createdOn.toISOString() : "",
+            ...columns.map(column => data[column.name])
+        ]);
+    });
+
+    return new Response(toCsv(rows));
+};
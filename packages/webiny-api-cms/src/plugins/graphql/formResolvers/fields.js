@@ -0,0 +1,102 @@
+// @flow
+import pick from "lodash/pick";
+import { validation, ValidationError } from "webiny-validation";
+import { getStorage } from "webiny-api-files/plugins/storage";
+import {
+    getFieldValidators,
+    type FormFieldType
+} from "webiny-app-cms/render/plugins/elements/form/utils";
+
+/**
+ * Finds the form element with given ID in the page content.
+ */
+export const findForm = (element: ?Object, id: string): ?Object => {
+    if (!element) {
+        return null;
+    }
+
+    if (element.type === "cms-element-form" && element.id === id) {
+        return element;
+    }
+
+    for (let i = 0; i < (element.elements || []).length; i++) {
+        const form = findForm(element.elements[i], id);
+        if (form) {
+            return form;
+        }
+    }
+
+    return null;
+};
+
+// Path on which uploaded files are served (see "/files" handlers in "webiny-cli").
+const filesPath = "/files/";
+
+/**
+ * Submitted file must already be in the files storage. Its "src", size and type are taken from the storage,
+ * since the values sent by the client cannot be trusted.
+ */
+const getUploadedFile = async (value: Object): Promise<Object> => {
+    const key = value.src.startsWith(filesPath) ? value.src.substr(filesPath.length) : "";
+    const storage = getStorage();
+    const file = /^[^./\\][^/\\]*$/.test(key) && storage ? await storage.get(key) : null;
+    if (!file) {
+        throw new ValidationError("File was not uploaded.");
+    }
+
+    return {
+        name: typeof value.name === "string" && value.name ? value.name : key,
+        src: filesPath + key,
+        size: file.body.length,
+        type: file.contentType
+    };
+};
+
+const normalizeValue = (field: FormFieldType, value: any): any => {
+    switch (field.type) {
+        case "checkbox":
+            return value ? "yes" : "";
+        case "file":
+            return value && typeof value === "object" && typeof value.src === "string"
+                ? pick(value, ["name", "src", "size", "type"])
+                : null;
+        default:
+            return typeof value === "string" ? value.trim() : "";
+    }
+};
+
+/**
+ * Validates submitted data against form fields. Values of unknown fields are dropped.
+ */
+export const validateFormData = async (
+    fields: Array<FormFieldType>,
+    data: Object
+): Promise<{ values: Object, errors: { [string]: string } }> => {
+    const values = {};
+    const errors = {};
+
+    for (let i = 0; i < fields.length; i++) {
+        const field = fields[i];
+        let value = normalizeValue(field, data[field.name]);
+        try {
+            await validation.validate(value, getFieldValidators(field).join(","));
+
+            if (field.type === "select" && value && !field.options.includes(value)) {
+                throw new ValidationError("Value must be one of the offered options.");
+            }
+
+            if (field.type === "file" && value) {
+                value = await getUploadedFile(value);
+                if (field.maxSize && value.size > field.maxSize * 1024 * 1024) {
+                    throw new ValidationError(`File must not be larger than ${field.maxSize}MB.`);
+                }
+            }
+
+            values[field.name] = value;
+        } catch (e) {
+            errors[field.name] = e.message;
+        }
+    }
+
+    return { values, errors };
+};
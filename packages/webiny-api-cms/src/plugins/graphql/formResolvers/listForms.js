@@ -0,0 +1,28 @@
+// @flow
+import { ListResponse } from "webiny-api/graphql/responses";
+
+/**
+ * Forms are not stored separately (they are elements in page content), so the list is built from submissions.
+ * Newest submission of each form provides its current name.
+ */
+export default async (root: any, args: Object, context: Object) => {
+    const { FormSubmission } = context.cms.entities;
+    const driver = FormSubmission.getDriver();
+
+    const forms = await driver.aggregate(driver.getCollectionName(FormSubmission), [
+        { $match: { deleted: false } },
+        { $sort: { createdOn: -1 } },
+        {
+            $group: {
+                _id: "$form",
+                name: { $first: "$name" },
+                page: { $first: "$page" },
+                submissions: { $sum: 1 },
+                lastSubmittedOn: { $first: "$createdOn" }
+            }
+        },
+        { $sort: { lastSubmittedOn: -1 } }
+    ]);
+
+    return new ListResponse(forms.map(({ _id, ...form }) => ({ id: _id, ...form })), {});
+};
@@ -0,0 +1,102 @@
+// @flow
+import get from "lodash/get";
+import { ErrorResponse, NotFoundResponse, Response } from "webiny-api/graphql/responses";
+import { getFields } from "webiny-app-cms/render/plugins/elements/form/utils";
+import { findForm, validateFormData } from "./fields";
+
+// Max number of submissions of a single form from one IP address, in the given number of minutes.
+const defaultRateLimit = { max: 5, minutes: 10 };
+
+const getHeader = (event: Object, name: string): ?string => {
+    const headers = event.headers || {};
+    const key = Object.keys(headers).find(key => key.toLowerCase() === name);
+    return key ? headers[key] : null;
+};
+
+// Only the source IP set by the API Gateway is used - headers like "X-Forwarded-For" are sent by the client.
+const getIp = (event: Object): ?string => {
+    return get(event, "requestContext.identity.sourceIp") || null;
+};
+
+export default async (root: any, args: Object, context: Object) => {
+    const { Page, FormSubmission } = context.cms.entities;
+
+    const page = await Page.findById(args.page);
+    if (!page || !page.published) {
+        return new NotFoundResponse("Page not found.");
+    }
+
+    const form = findForm(page.content, args.form);
+    if (!form) {
+        return new NotFoundResponse("Form not found.");
+    }
+
+    // Honeypot input is hidden from visitors, so only bots fill it in. They get a regular response,
+    // but the submission is not stored.
+    if (args.honeypot) {
+        return new Response(true);
+    }
+
+    const event = context.event || {};
+    const ip = getIp(event);
+    // Without the source IP, submissions cannot be rate limited, so they are not accepted.
+    if (!ip) {
+        return new ErrorResponse({
+            code: "SOURCE_IP_MISSING",
+            message: "Form submission could not be accepted."
+        });
+    }
+
+    const { max, minutes } = {
+        ...defaultRateLimit,
+        ...get(context, "config.cms.forms.rateLimit")
+    };
+
+    const count = await FormSubmission.count({
+        query: {
+            form: form.id,
+            "meta.ip": ip,
+            createdOn: { $gte: new Date(Date.now() - minutes * 60 * 1000) }
+        }
+    });
+
+    if (count >= max) {
+        return new ErrorResponse({
+            code: "RATE_LIMITED",
+            message: "Too many submissions, please try again later."
+        });
+    }
+
+    // Field definitions are always taken from the stored page content, never from the submitted data.
+    const fields = getFields(form);
+    const { values, errors } = await validateFormData(fields, args.data || {});
+    if (Object.keys(errors).length) {
+        return new ErrorResponse({
+            code: "INVALID_FIELDS",
+            message: "Form contains invalid values.",
+            data: { fields: errors }
+        });
+    }
+
+    const submission = new FormSubmission();
+    submission.populate({
+        page: page.parent,
+        form: form.id,
+        name: get(form, "data.form.name") || "Untitled form",
+        fields: fields.map(({ name, label, type }) => ({ name, label, type })),
+        data: values,
+        meta: { ip, userAgent: getHeader(event, "user-agent") }
+    });
+
+    try {
+        await submission.save();
+    } catch (e) {
+        return new ErrorResponse({
+            code: e.code,
+            message: e.message,
+            data: e.data
+        });
+    }
+
+    return new Response(true);
+};
@@ -10,7 +10,7 @@ export default (entityFetcher: EntityFetcher) => async (
     args: Object,
     context: Object
 ) => {
-    const { slug } = args;
+    const { slug, locale } = args;
     const entityClass = entityFetcher(context);
 
     const entity = await entityClass.findOne({ query: { slug } });
@@ -21,6 +21,6 @@ export default (entityFetcher: EntityFetcher) => async (
     return new Response({
         id: entity.id,
         title: entity.title,
-        items: prepareMenuItems({ entity, context })
+        items: prepareMenuItems({ entity, context, locale })
     });
 };
@@ -3,6 +3,7 @@ import { Entity } from "webiny-entity";
 import cloneDeep from "lodash/cloneDeep";
 
 import { listPublishedPages } from "webiny-api-cms/plugins/graphql/pageResolvers/listPublishedPages";
+import { getLocales, getLocaleUrl } from "webiny-api-cms/utils/locales";
 
 const applyCleanup = async items => {
     if (!Array.isArray(items)) {
@@ -54,8 +55,9 @@ const prepareItems = async ({
     await applyCleanup(items);
 };
 
-export default async ({ entity: menu, context: graphqlContext }: Object) => {
+export default async ({ entity: menu, context: graphqlContext, locale }: Object) => {
     const items = cloneDeep(menu.items);
+    const locales = await getLocales(graphqlContext);
 
     // Each modifier is recursively applied to all items.
     await prepareItems({
@@ -88,12 +90,14 @@ export default async ({ entity: menu, context: graphqlContext }: Object) => {
 
                             const { Page, Category } = graphqlContext.cms.entities;
                             await listPublishedPages({
-                                args: { parent: ids },
+                                args: { parent: ids, locale },
                                 Page,
-                                Category
+                                Category,
+                                locales
                             }).then(results => {
                                 for (let i = 0; i < results.length; i++) {
                                     let { title, url, parent: id } = results[i];
+                                    url = getLocaleUrl(url, locale, locales);
                                     context.distinctParents.data[id] = { id, title, url };
                                 }
                             });
@@ -114,12 +118,16 @@ export default async ({ entity: menu, context: graphqlContext }: Object) => {
 
                         const { Page, Category } = graphqlContext.cms.entities;
                         item.children = await listPublishedPages({
-                            args: { category, sort: { [sortBy]: parseInt(sortDir) } },
+                            args: { category, locale, sort: { [sortBy]: parseInt(sortDir) } },
                             Page,
-                            Category
+                            Category,
+                            locales
                         });
 
-                        item.children = await item.children.toJSON("id,title,url");
+                        item.children = (await item.children.toJSON("id,title,url")).map(child => ({
+                            ...child,
+                            url: getLocaleUrl(child.url, locale, locales)
+                        }));
 
                         break;
                     }
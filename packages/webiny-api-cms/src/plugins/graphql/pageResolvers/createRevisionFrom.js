@@ -26,7 +26,8 @@ export default (entityFetcher: EntityFetcher) => async (
             settings: sourceRev.settings,
             content: sourceRev.content,
             category: await sourceRev.category,
-            parent: sourceRev.parent
+            parent: sourceRev.parent,
+            locale: sourceRev.locale
         });
         await newRevision.save();
     } catch (e) {
@@ -0,0 +1,60 @@
+// @flow
+import type { Entity } from "webiny-entity";
+import type { IPage } from "../../../entities/Page.entity";
+import { ErrorResponse, NotFoundResponse, Response } from "webiny-api/graphql";
+import { getLocales, getLocaleQuery } from "webiny-api-cms/utils/locales";
+
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+/**
+ * Creates the first revision of a page in a new locale, using the given revision as a starting point.
+ */
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const pageClass = entityFetcher(context);
+
+    const sourceRev: IPage = (await pageClass.findById(args.revision): any);
+    if (!sourceRev) {
+        return new NotFoundResponse(`Revision with id "${args.revision}" was not found!`);
+    }
+
+    const existing = await pageClass.findOne({
+        query: {
+            parent: sourceRev.parent,
+            ...getLocaleQuery(args.locale, await getLocales(context))
+        }
+    });
+
+    if (existing) {
+        return new ErrorResponse({
+            code: "TRANSLATION_EXISTS",
+            message: `Page already has a translation in locale "${args.locale}".`,
+            data: { id: existing.id }
+        });
+    }
+
+    const translation: IPage = (new pageClass(): any);
+    try {
+        translation.populate({
+            url: sourceRev.url,
+            title: sourceRev.title,
+            snippet: sourceRev.snippet,
+            settings: sourceRev.settings,
+            content: sourceRev.content,
+            category: await sourceRev.category,
+            parent: sourceRev.parent,
+            locale: args.locale
+        });
+        await translation.save();
+    } catch (e) {
+        return new ErrorResponse({
+            code: e.code,
+            message: e.message,
+            data: e.data
+        });
+    }
+    return new Response(translation);
+};
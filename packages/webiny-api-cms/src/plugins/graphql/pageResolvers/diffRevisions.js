@@ -0,0 +1,34 @@
+// @flow
+import type { Entity } from "webiny-entity";
+import type { IPage } from "../../../entities/Page.entity";
+import { ErrorResponse, NotFoundResponse, Response } from "webiny-api/graphql";
+import diffPages from "./diffRevisions/diffPages";
+
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const pageClass = entityFetcher(context);
+
+    const a: IPage = (await pageClass.findById(args.a): any);
+    if (!a) {
+        return new NotFoundResponse(`Revision with id "${args.a}" was not found!`);
+    }
+
+    const b: IPage = (await pageClass.findById(args.b): any);
+    if (!b) {
+        return new NotFoundResponse(`Revision with id "${args.b}" was not found!`);
+    }
+
+    if (a.parent !== b.parent) {
+        return new ErrorResponse({
+            code: "NOT_SAME_PAGE",
+            message: "Only revisions of the same page can be compared."
+        });
+    }
+
+    return new Response({ a, b, ...(await diffPages(a, b)) });
+};
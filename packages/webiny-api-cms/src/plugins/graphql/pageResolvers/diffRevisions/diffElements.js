@@ -0,0 +1,173 @@
+// @flow
+import diffObjects, { type ValueChange } from "./diffObjects";
+
+export type ElementChange = {
+    id: string,
+    type: string,
+    change: "ADDED" | "REMOVED" | "MOVED" | "CHANGED",
+    from: ?{ parent: ?string, index: number },
+    to: ?{ parent: ?string, index: number },
+    changes: Array<ValueChange>
+};
+
+type FlatElement = {
+    element: Object,
+    parent: ?string,
+    index: number
+};
+
+/**
+ * Creates an "id => element" map of all elements in the tree, with references to their parents.
+ */
+const flatten = (
+    element: ?Object,
+    parent: ?string = null,
+    index: number = 0,
+    map: Map<string, FlatElement> = new Map()
+): Map<string, FlatElement> => {
+    if (!element || !element.id) {
+        return map;
+    }
+
+    const { id } = element;
+    map.set(id, { element, parent, index });
+    if (Array.isArray(element.elements)) {
+        element.elements.forEach((child, i) => flatten(child, id, i, map));
+    }
+
+    return map;
+};
+
+/**
+ * Returns the longest common subsequence of two lists of IDs.
+ */
+const lcs = (a: Array<string>, b: Array<string>): Array<string> => {
+    const table = a.map(() => b.map(() => 0));
+    const get = (i, j) => (i < 0 || j < 0 ? 0 : table[i][j]);
+
+    for (let i = 0; i < a.length; i++) {
+        for (let j = 0; j < b.length; j++) {
+            table[i][j] =
+                a[i] === b[j] ? get(i - 1, j - 1) + 1 : Math.max(get(i - 1, j), get(i, j - 1));
+        }
+    }
+
+    const result = [];
+    let i = a.length - 1;
+    let j = b.length - 1;
+    while (i >= 0 && j >= 0) {
+        if (a[i] === b[j]) {
+            result.unshift(a[i]);
+            i--;
+            j--;
+        } else if (get(i - 1, j) >= get(i, j - 1)) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Returns IDs of elements that stayed under the same parent, but changed their order relative to siblings.
+ * Elements that merely shifted because a sibling was added or removed are not considered moved.
+ */
+const getReorderedElements = (
+    a: Map<string, FlatElement>,
+    b: Map<string, FlatElement>
+): Set<string> => {
+    const siblings = (map, parent, other) =>
+        Array.from(map.entries())
+            .filter(([id, item]) => {
+                const otherItem = other.get(id);
+                return item.parent === parent && otherItem && otherItem.parent === parent;
+            })
+            .sort((x, y) => x[1].index - y[1].index)
+            .map(([id]) => id);
+
+    const parents = new Set(Array.from(a.values()).map(item => item.parent));
+    const reordered = new Set();
+
+    parents.forEach(parent => {
+        const listA = siblings(a, parent, b);
+        const listB = siblings(b, parent, a);
+        const common = lcs(listA, listB);
+        listB.filter(id => !common.includes(id)).forEach(id => reordered.add(id));
+    });
+
+    return reordered;
+};
+
+const getData = (element: Object) => {
+    // eslint-disable-next-line no-unused-vars
+    const { id, elements, ...data } = element;
+    return data;
+};
+
+/**
+ * Compares two page content trees and returns a list of added, removed, moved and changed elements.
+ * Elements are matched by their IDs. An element that was both moved and changed is listed twice.
+ */
+export default (contentA: ?Object, contentB: ?Object): Array<ElementChange> => {
+    const a = flatten(contentA);
+    const b = flatten(contentB);
+    const reordered = getReorderedElements(a, b);
+    const changes: Array<ElementChange> = [];
+
+    const position = (item: FlatElement) => ({ parent: item.parent, index: item.index });
+
+    b.forEach((itemB, id) => {
+        const itemA = a.get(id);
+        if (!itemA) {
+            changes.push({
+                id,
+                type: itemB.element.type,
+                change: "ADDED",
+                from: null,
+                to: position(itemB),
+                changes: []
+            });
+            return;
+        }
+
+        if (itemA.parent !== itemB.parent || reordered.has(id)) {
+            changes.push({
+                id,
+                type: itemB.element.type,
+                change: "MOVED",
+                from: position(itemA),
+                to: position(itemB),
+                changes: []
+            });
+        }
+
+        const dataChanges = diffObjects(getData(itemA.element), getData(itemB.element));
+        if (dataChanges.length) {
+            changes.push({
+                id,
+                type: itemB.element.type,
+                change: "CHANGED",
+                from: position(itemA),
+                to: position(itemB),
+                changes: dataChanges
+            });
+        }
+    });
+
+    a.forEach((itemA, id) => {
+        if (!b.has(id)) {
+            changes.push({
+                id,
+                type: itemA.element.type,
+                change: "REMOVED",
+                from: position(itemA),
+                to: null,
+                changes: []
+            });
+        }
+    });
+
+    return changes;
+};
@@ -0,0 +1,36 @@
+// @flow
+import isEqual from "lodash/isEqual";
+import isPlainObject from "lodash/isPlainObject";
+
+export type ValueChange = {
+    path: string,
+    from: mixed,
+    to: mixed
+};
+
+/**
+ * Recursively compares two values and returns a flat list of changed paths.
+ * Plain objects are traversed, everything else (including arrays) is compared as a whole.
+ */
+const diffObjects = (a: mixed, b: mixed, path: string = ""): Array<ValueChange> => {
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const changes = [];
+        const keys = Object.keys({ ...(a: any), ...(b: any) });
+        keys.forEach(key => {
+            changes.push(
+                ...diffObjects((a: any)[key], (b: any)[key], path ? `${path}.${key}` : key)
+            );
+        });
+        return changes;
+    }
+
+    if (isEqual(a, b)) {
+        return [];
+    }
+
+    return [
+        { path, from: typeof a === "undefined" ? null : a, to: typeof b === "undefined" ? null : b }
+    ];
+};
+
+export default diffObjects;
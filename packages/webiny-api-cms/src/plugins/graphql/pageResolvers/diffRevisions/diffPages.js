@@ -0,0 +1,37 @@
+// @flow
+import diffObjects from "./diffObjects";
+import diffElements from "./diffElements";
+
+const getCategoryId = async (page: Object): Promise<?string> => {
+    const category = await page.category;
+    if (category && typeof category === "object") {
+        return category.id;
+    }
+    return category || null;
+};
+
+/**
+ * On revisions (entities), settings are a model instance, so its storage value is compared instead.
+ */
+const getSettings = async (page: Object): Promise<?Object> => {
+    if (typeof page.getAttribute === "function") {
+        return (await page.getAttribute("settings").getStorageValue(): any);
+    }
+    return page.settings;
+};
+
+/**
+ * Compares two pages - either revisions (entities) or plain page data (eg. unsaved changes made in the editor).
+ */
+export default async (a: Object, b: Object) => {
+    const [categoryA, categoryB] = [await getCategoryId(a), await getCategoryId(b)];
+
+    return {
+        fields: diffObjects(
+            { title: a.title, snippet: a.snippet, url: a.url, category: categoryA },
+            { title: b.title, snippet: b.snippet, url: b.url, category: categoryB }
+        ),
+        settings: diffObjects(await getSettings(a), await getSettings(b)),
+        elements: diffElements(a.content, b.content)
+    };
+};
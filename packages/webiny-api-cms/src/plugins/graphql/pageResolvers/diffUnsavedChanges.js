@@ -0,0 +1,42 @@
+// @flow
+import type { Entity } from "webiny-entity";
+import type { IPage } from "../../../entities/Page.entity";
+import { NotFoundResponse, Response } from "webiny-api/graphql";
+import diffPages from "./diffRevisions/diffPages";
+
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+/**
+ * Returns changes between the saved revision and given (unsaved) revision data. Used by the editor when saving
+ * fails because the revision was changed by someone else in the meantime.
+ */
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const pageClass = entityFetcher(context);
+
+    const revision: IPage = (await pageClass.findById(args.id): any);
+    if (!revision) {
+        return new NotFoundResponse(`Revision with id "${args.id}" was not found!`);
+    }
+
+    // Values that were not sent are considered unchanged. Settings are a model on the revision, so its storage
+    // value is used - same as the plain settings object that is sent by the editor.
+    const { title, snippet, url, content } = revision;
+    const data = {
+        title,
+        snippet,
+        url,
+        settings: await (revision.getAttribute("settings"): any).getStorageValue(),
+        content,
+        category: await revision.category
+    };
+
+    return new Response({
+        a: revision,
+        b: null,
+        ...(await diffPages(revision, { ...data, ...args.data }))
+    });
+};
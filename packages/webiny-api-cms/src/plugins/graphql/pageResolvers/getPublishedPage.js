@@ -1,15 +1,33 @@
 // @flow
 import { Response, NotFoundResponse } from "webiny-api/graphql/responses";
 import { listPublishedPages } from "./listPublishedPages";
+import { getLocales, parseLocaleUrl } from "webiny-api-cms/utils/locales";
 
 export default async (root: any, args: Object, context: Object) => {
     if (!args.parent && !args.url) {
         return new NotFoundResponse("Page parent or URL missing.");
     }
 
+    // URLs of pages in non-default locales are prefixed with the locale (eg. "/de/about-us").
+    const locales = await getLocales(context);
+    if (args.url && !args.locale) {
+        args = { ...args, ...parseLocaleUrl(args.url, locales) };
+
+        // A locale prefix alone (eg. "/de") points to the home page in that locale.
+        if (args.url === "/" && args.locale !== locales.default) {
+            const settings = await context.cms.entities.CmsSettings.load();
+            args = { ...args, url: null, parent: await settings.get("data.pages.home") };
+        }
+    }
+
     // We utilize the same query used for listing published pages (single source of truth = less maintenance).
     const { Page, Category } = context.cms.entities;
-    const [page] = await listPublishedPages({ Page, Category, args: { ...args, perPage: 1 } });
+    const [page] = await listPublishedPages({
+        Page,
+        Category,
+        locales,
+        args: { ...args, perPage: 1 }
+    });
 
     if (!page) {
         return new NotFoundResponse("The requested page was not found.");
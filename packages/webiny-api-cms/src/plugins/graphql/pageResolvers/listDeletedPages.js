@@ -0,0 +1,23 @@
+// @flow
+import type { Entity } from "webiny-entity";
+import { resolveListDeleted } from "webiny-api/graphql";
+
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+/**
+ * Lists deleted pages (trash). Deleting a page deletes all of its revisions, so only root revisions are returned.
+ */
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const { page = 1, perPage = 10, sort = { deletedOn: -1 }, search = null } = args;
+
+    const where: Object = { isRoot: true };
+    if (search) {
+        where.title = { $regex: `.*${search}.*`, $options: "i" };
+    }
+
+    return resolveListDeleted(entityFetcher)(root, { page, perPage, sort, where }, context);
+};
@@ -2,6 +2,7 @@
 import type { Entity } from "webiny-entity";
 import { createPaginationMeta } from "webiny-entity";
 import { ListResponse } from "webiny-api/graphql/responses";
+import { getLocales, getLocaleQuery } from "webiny-api-cms/utils/locales";
 
 type EntityFetcher = (context: Object) => Class<Entity>;
 
@@ -12,10 +13,18 @@ export default (entityFetcher: EntityFetcher) => async (
 ) => {
     const entityClass = entityFetcher(context);
 
-    const { page = 1, perPage = 10, sort = null, search = null, parent = null } = args;
+    const {
+        page = 1,
+        perPage = 10,
+        sort = null,
+        search = null,
+        parent = null,
+        locale = null
+    } = args;
 
+    // Translations share the parent with the original page, so only pages in one locale are listed at a time.
     const pipeline: Array<Object> = [
-        { $match: { deleted: false } },
+        { $match: { deleted: false, ...getLocaleQuery(locale, await getLocales(context)) } },
         {
             $sort: {
                 version: -1
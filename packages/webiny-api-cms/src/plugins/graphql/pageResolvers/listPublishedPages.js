@@ -2,7 +2,13 @@
 import { createPaginationMeta } from "webiny-entity";
 import { ListResponse } from "webiny-api/graphql/responses";
 import get from "lodash/get";
-export const listPublishedPages = async ({ args, Page, Category }: Object) => {
+import { getLocales, getLocaleQuery } from "webiny-api-cms/utils/locales";
+
+/**
+ * Lists published pages. If locales are passed, only pages in the requested locale (default locale if not
+ * specified) are returned, unless specific pages were requested by ID.
+ */
+export const listPublishedPages = async ({ args, Page, Category, locales }: Object) => {
     const {
         page = 1,
         search,
@@ -13,11 +19,16 @@ export const listPublishedPages = async ({ args, Page, Category }: Object) => {
         url = null,
         sort = null,
         tags = null,
-        tagsRule = null
+        tagsRule = null,
+        locale = null
     } = args;
 
     const baseFilters = [{ published: true, deleted: false }];
 
+    if (locales && !id) {
+        baseFilters.push(getLocaleQuery(locale, locales));
+    }
+
     if (parent) {
         if (Array.isArray(parent)) {
             baseFilters.push({ parent: { $in: parent } });
@@ -95,6 +106,7 @@ export const listPublishedPages = async ({ args, Page, Category }: Object) => {
 
 export default async (root: any, args: Object, context: Object) => {
     const { Page, Category } = context.cms.entities;
-    const data = await listPublishedPages({ args, Page, Category });
+    const locales = await getLocales(context);
+    const data = await listPublishedPages({ args, Page, Category, locales });
     return new ListResponse(data, data.getMeta());
 };
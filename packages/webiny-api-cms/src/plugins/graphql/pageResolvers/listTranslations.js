@@ -0,0 +1,26 @@
+// @flow
+import { getLocales, getLocaleQuery } from "webiny-api-cms/utils/locales";
+
+/**
+ * Returns the latest (or the published) revision of each of the page's translations, including the page itself.
+ */
+export default async (page: Object, args: Object, context: Object) => {
+    const { Page } = context.cms.entities;
+    const locales = await getLocales(context);
+
+    const translations = [];
+    for (let i = 0; i < locales.available.length; i++) {
+        const query: Object = {
+            parent: page.parent,
+            ...getLocaleQuery(locales.available[i], locales)
+        };
+        if (args.published) {
+            query.published = true;
+        }
+
+        const translation = await Page.findOne({ query, sort: { version: -1 } });
+        translation && translations.push(translation);
+    }
+
+    return translations;
+};
@@ -0,0 +1,61 @@
+// @flow
+import type { Entity } from "webiny-entity";
+import type { IPage } from "../../../entities/Page.entity";
+import { ErrorResponse, NotFoundResponse, Response } from "webiny-api/graphql";
+
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+const invalidSchedule = (message: string) =>
+    new ErrorResponse({ code: "INVALID_SCHEDULE", message });
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const pageClass = entityFetcher(context);
+    const { id, publishOn = null, unpublishOn = null } = args;
+
+    const revision: IPage = (await pageClass.findById(id): any);
+    if (!revision) {
+        return new NotFoundResponse(`Revision with id "${id}" was not found!`);
+    }
+
+    const now = new Date();
+
+    if (publishOn) {
+        if (revision.published) {
+            return invalidSchedule("Revision is already published.");
+        }
+
+        if (publishOn <= now) {
+            return invalidSchedule("Publishing date must be in the future.");
+        }
+    }
+
+    if (unpublishOn) {
+        if (!revision.published && !publishOn) {
+            return invalidSchedule(
+                "Only published revisions or revisions scheduled for publishing can be unpublished."
+            );
+        }
+
+        if (unpublishOn <= (publishOn || now)) {
+            return invalidSchedule("Unpublishing date must be after the publishing date.");
+        }
+    }
+
+    try {
+        revision.publishOn = publishOn;
+        revision.unpublishOn = unpublishOn;
+        await revision.save();
+    } catch (e) {
+        return new ErrorResponse({
+            code: e.code,
+            message: e.message,
+            data: e.data
+        });
+    }
+
+    return new Response(revision);
+};
@@ -25,6 +25,7 @@ export default [
                     domain: String
                     social: CmsSocialMedia
                     pages: CmsSettingsPages
+                    locales: CmsSettingsLocales
                 }
 
                 type CmsSettingsResponse {
@@ -38,6 +39,11 @@ export default [
                     error: ID
                 }
 
+                type CmsSettingsLocales {
+                    available: [String]
+                    default: String
+                }
+
                 type CmsDefaultPage {
                     id: String
                     parent: String
@@ -62,6 +68,7 @@ export default [
                     logo: FileInput
                     social: CmsSocialMediaInput
                     pages: CmsSettingsPagesInput
+                    locales: CmsSettingsLocalesInput
                 }
 
                 input CmsSettingsPagesInput {
@@ -70,6 +77,11 @@ export default [
                     error: ID
                 }
 
+                input CmsSettingsLocalesInput {
+                    available: [String]
+                    default: String
+                }
+
                 extend type SettingsQuery {
                     cms: CmsSettingsResponse
                 }
@@ -89,6 +101,8 @@ export default [
         type: "entity",
         name: "entity-cms-settings",
         namespace: "cms",
+        audit: true,
+        fileUsage: { label: () => "CMS settings" },
         entity: {
             name: "CmsSettings",
             factory: cmsSettingsFactory
@@ -0,0 +1,59 @@
+// @flow
+import get from "lodash/get";
+
+export type Locales = {
+    // Locale in which pages are served without a locale prefix in their URL (null if locales are not configured).
+    default: ?string,
+    available: Array<string>
+};
+
+/**
+ * Returns locales configured in CMS settings. The first available locale is used as default, if the default
+ * one is not set (or is not available anymore).
+ */
+export const getLocales = async (context: Object): Promise<Locales> => {
+    const settings = await context.cms.entities.CmsSettings.load();
+    const available = get(settings, "data.locales.available") || [];
+    let defaultLocale = get(settings, "data.locales.default");
+    if (!available.includes(defaultLocale)) {
+        defaultLocale = available[0] || null;
+    }
+
+    return { default: defaultLocale, available };
+};
+
+/**
+ * Returns query that matches pages in given locale. Pages created before locales were configured have no locale
+ * set, so they are considered to be in the default locale.
+ */
+export const getLocaleQuery = (locale: ?string, locales: Locales): Object => {
+    if (!locale || locale === locales.default) {
+        return { locale: { $in: [locales.default, null] } };
+    }
+
+    return { locale };
+};
+
+/**
+ * Splits locale prefix from given URL, eg. "/de/about-us" => { locale: "de", url: "/about-us" }.
+ * URLs without a prefix (or with a prefix that is not an available locale) are in the default locale.
+ */
+export const parseLocaleUrl = (url: string, locales: Locales): { url: string, locale: ?string } => {
+    const [, prefix, rest = ""] = url.match(/^\/([^/]+)(\/.*)?$/) || [];
+    if (prefix && prefix !== locales.default && locales.available.includes(prefix)) {
+        return { url: rest || "/", locale: prefix };
+    }
+
+    return { url, locale: locales.default };
+};
+
+/**
+ * Returns public URL of a page in given locale - all locales except the default one are prefixed.
+ */
+export const getLocaleUrl = (url: string, locale: ?string, locales: Locales): string => {
+    if (!locale || locale === locales.default || !locales.available.includes(locale)) {
+        return url;
+    }
+
+    return url === "/" ? `/${locale}` : `/${locale}${url}`;
+};
@@ -132,6 +132,7 @@ export default [
         type: "entity",
         name: "entity-cookie-policy-settings",
         namespace: "cookiePolicy",
+        audit: true,
         entity: {
             name: "CookiePolicySettings",
             factory: (...args: Array<any>) => {
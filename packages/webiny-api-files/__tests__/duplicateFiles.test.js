@@ -0,0 +1,96 @@
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import fs from "fs-extra";
+import { assert } from "chai";
+import { registerPlugins, unregisterPlugin } from "webiny-plugins";
+import { fsStorage } from "webiny-api-files/plugins/storage";
+import resolveFindDuplicateFiles from "webiny-api-files/plugins/graphql/resolvers/findDuplicateFiles";
+import createContext from "./utils/createContext";
+
+const findDuplicateFiles = resolveFindDuplicateFiles(context => context.files.entities.File);
+
+const sha256 = content =>
+    crypto
+        .createHash("sha256")
+        .update(content)
+        .digest("hex");
+
+describe("duplicate files test", () => {
+    const folder = path.join(os.tmpdir(), "webiny-api-files-duplicates-" + process.pid);
+    let context;
+
+    beforeAll(() => {
+        registerPlugins({
+            name: "files-storage-test",
+            type: "files-storage",
+            ...fsStorage({ folder })
+        });
+    });
+
+    afterAll(async () => {
+        unregisterPlugin("files-storage-test");
+        await fs.remove(folder);
+    });
+
+    beforeEach(async () => {
+        context = createContext();
+        await fs.emptyDir(folder);
+    });
+
+    const uploadFile = async (key, content, data = {}) => {
+        await fs.outputFile(path.join(folder, key), content);
+
+        const { File } = context.files.entities;
+        const file = new File();
+        file.populate({
+            name: key,
+            src: "/files/" + key,
+            size: content.length,
+            type: "text/plain",
+            ...data
+        });
+        await file.save();
+        return file;
+    };
+
+    it("must compute the hash from the stored content", async () => {
+        const file = await uploadFile("a.txt", "A");
+        assert.equal(file.hash, sha256("A"));
+    });
+
+    it("must ignore the hash sent by the client", async () => {
+        // A client could otherwise pass a hash of another file, to get its file returned on upload.
+        const file = await uploadFile("a.txt", "A", { hash: sha256("B") });
+        assert.equal(file.hash, sha256("A"));
+
+        file.populate({ hash: sha256("B") });
+        assert.equal(file.hash, sha256("A"));
+
+        const { data } = await findDuplicateFiles(null, { hash: sha256("B") }, context);
+        assert.lengthOf(data, 0);
+    });
+
+    it("must find files with the same content", async () => {
+        const first = await uploadFile("a.txt", "A");
+        const second = await uploadFile("b.txt", "A");
+        await uploadFile("c.txt", "C");
+
+        let response = await findDuplicateFiles(null, { hash: sha256("A") }, context);
+        assert.deepEqual(Array.from(response.data, file => file.id), [first.id, second.id]);
+
+        response = await findDuplicateFiles(null, { id: first.id }, context);
+        assert.deepEqual(Array.from(response.data, file => file.id), [second.id]);
+    });
+
+    it("must return an error if neither a hash nor an existing file was passed", async () => {
+        const file = await uploadFile("a.txt", "A");
+
+        assert.equal((await findDuplicateFiles(null, {}, context)).error.code, "HASH_NOT_SET");
+        assert.equal(
+            (await findDuplicateFiles(null, { id: "missing" }, context)).error.code,
+            "NOT_FOUND"
+        );
+        assert.lengthOf((await findDuplicateFiles(null, { id: file.id }, context)).data, 0);
+    });
+});
@@ -0,0 +1,148 @@
+import { assert } from "chai";
+import { registerPlugins, unregisterPlugin } from "webiny-plugins";
+import securityEntities from "webiny-api-security/plugins/entities";
+import filesEntities from "webiny-api-files/plugins/entities";
+import graphqlContextFileUsage from "webiny-api-files/plugins/usage";
+import getFileSources from "webiny-api-files/plugins/usage/getFileSources";
+import resolveDeleteFile from "webiny-api-files/plugins/graphql/resolvers/deleteFile";
+import getFileUsages from "webiny-api-files/plugins/graphql/resolvers/getFileUsages";
+import createContext from "./utils/createContext";
+
+const deleteFile = resolveDeleteFile(context => context.files.entities.File);
+
+describe("file usage test", () => {
+    const plugins = [...securityEntities, ...filesEntities];
+    let context;
+
+    beforeAll(() => {
+        registerPlugins(plugins);
+    });
+
+    afterAll(() => {
+        plugins.forEach(plugin => unregisterPlugin(plugin.name));
+    });
+
+    beforeEach(() => {
+        context = createContext();
+        graphqlContextFileUsage.apply(context);
+    });
+
+    const createFile = async name => {
+        const { File } = context.files.entities;
+        const file = new File();
+        file.populate({ name, src: "/files/" + name, size: 1, type: "image/png" });
+        await file.save();
+        return file;
+    };
+
+    const createUser = async data => {
+        const { User } = context.security.entities;
+        const user = new User();
+        user.populate({ email: "user@webiny.com", password: "12345678", ...data });
+        await user.save();
+        return user;
+    };
+
+    const getUsages = async () => {
+        const { FileUsage } = context.files.entities;
+        const usages = await FileUsage.find({ perPage: 100 });
+        return Array.from(usages, ({ src, entityName, entityId, label, fields }) => ({
+            src,
+            entityName,
+            entityId,
+            label,
+            fields
+        }));
+    };
+
+    it("must find file references in entity data", async () => {
+        const sources = getFileSources({
+            avatar: { src: "/files/a.png", name: "a.png" },
+            content: {
+                elements: [
+                    { data: { image: { src: "https://cdn.webiny.com/files/b.png" } } },
+                    { data: { image: { src: "/files/a.png" } } },
+                    { data: { image: { src: "data:image/png;base64,AAAA" } } }
+                ]
+            },
+            settings: { social: { image: { src: "/files/a.png" } } },
+            title: "/files/c.png"
+        });
+
+        assert.deepEqual(sources, {
+            "/files/a.png": ["avatar", "content", "settings"],
+            "/files/b.png": ["content"]
+        });
+    });
+
+    it("must track files used by an entity as it changes", async () => {
+        const user = await createUser({
+            firstName: "John",
+            lastName: "Doe",
+            avatar: { src: "/files/a.png" }
+        });
+        assert.deepEqual(await getUsages(), [
+            {
+                src: "/files/a.png",
+                entityName: "User",
+                entityId: user.id,
+                label: "John Doe",
+                fields: ["avatar"]
+            }
+        ]);
+
+        user.populate({ firstName: "Jane", avatar: { src: "/files/b.png" } });
+        await user.save();
+        assert.deepEqual(await getUsages(), [
+            {
+                src: "/files/b.png",
+                entityName: "User",
+                entityId: user.id,
+                label: "Jane Doe",
+                fields: ["avatar"]
+            }
+        ]);
+
+        user.avatar = null;
+        await user.save();
+        assert.lengthOf(await getUsages(), 0);
+    });
+
+    it("must remove usages of a deleted entity", async () => {
+        const user = await createUser({ avatar: { src: "/files/a.png" } });
+        assert.lengthOf(await getUsages(), 1);
+
+        await user.delete();
+        assert.lengthOf(await getUsages(), 0);
+    });
+
+    it("must list usages of a file", async () => {
+        const file = await createFile("a.png");
+        const user = await createUser({ avatar: { src: "/files/a.png" } });
+
+        const response = await getFileUsages(null, { id: file.id }, context);
+        assert.deepEqual(Array.from(response.data, usage => usage.entityId), [user.id]);
+
+        const missing = await getFileUsages(null, { id: "missing" }, context);
+        assert.equal(missing.error.code, "NOT_FOUND");
+    });
+
+    it("must not delete files that are in use, unless forced", async () => {
+        const { File } = context.files.entities;
+        const used = await createFile("a.png");
+        const unused = await createFile("b.png");
+        const user = await createUser({ avatar: { src: "/files/a.png" } });
+
+        let response = await deleteFile(null, { id: used.id }, context);
+        assert.equal(response.error.code, "FILE_IN_USE");
+        assert.deepEqual(response.error.data, { entityName: "User", entityId: user.id });
+        assert.isNotNull(await File.findById(used.id));
+
+        response = await deleteFile(null, { id: unused.id }, context);
+        assert.isTrue(response.data);
+
+        response = await deleteFile(null, { id: used.id, force: true }, context);
+        assert.isTrue(response.data);
+        assert.isNull(await File.findById(used.id));
+    });
+});
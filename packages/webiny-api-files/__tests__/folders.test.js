@@ -0,0 +1,125 @@
+import { assert } from "chai";
+import listFolders from "webiny-api-files/plugins/graphql/resolvers/listFolders";
+import listFiles from "webiny-api-files/plugins/graphql/resolvers/listFiles";
+import moveFiles from "webiny-api-files/plugins/graphql/resolvers/moveFiles";
+import createContext from "./utils/createContext";
+
+const folderFetcher = context => context.files.entities.Folder;
+const fileFetcher = context => context.files.entities.File;
+
+describe("folders test", () => {
+    let context;
+
+    beforeEach(() => {
+        context = createContext();
+    });
+
+    const createFolder = async (name, parent = null) => {
+        const { Folder } = context.files.entities;
+        const folder = new Folder();
+        folder.populate({ name, parent });
+        await folder.save();
+        return folder;
+    };
+
+    const createFile = async (name, folder = null) => {
+        const { File } = context.files.entities;
+        const file = new File();
+        file.populate({ name, src: "/files/" + name, size: 1, type: "image/png", folder });
+        await file.save();
+        return file;
+    };
+
+    const listFileNames = async args => {
+        const response = await listFiles(fileFetcher)(null, { perPage: 50, ...args }, context);
+        return Array.from(response.data, file => file.name).sort();
+    };
+
+    it("must list all folders, sorted by name", async () => {
+        const images = await createFolder("images");
+        await createFolder("documents");
+        await createFolder("avatars", images.id);
+
+        const response = await listFolders(folderFetcher)(null, {}, context);
+        assert.deepEqual(Array.from(response.data, folder => folder.name), [
+            "avatars",
+            "documents",
+            "images"
+        ]);
+        assert.equal(response.meta.totalCount, 3);
+    });
+
+    it("must list files of given folder only", async () => {
+        const images = await createFolder("images");
+        await createFile("a.png");
+        await createFile("b.png", images.id);
+        await createFile("c.png", images.id);
+
+        assert.deepEqual(await listFileNames({ folder: images.id }), ["b.png", "c.png"]);
+        assert.deepEqual(await listFileNames({ folder: null }), ["a.png"]);
+        assert.deepEqual(await listFileNames({}), ["a.png", "b.png", "c.png"]);
+    });
+
+    it("must not allow duplicate folder names or moving a folder into itself", async () => {
+        const images = await createFolder("images");
+        const avatars = await createFolder("avatars", images.id);
+
+        let error = null;
+        try {
+            await createFolder("images");
+        } catch (e) {
+            error = e;
+        }
+        assert.match(error.message, /already exists/);
+
+        // Same name is allowed in another folder.
+        await createFolder("images", images.id);
+
+        error = null;
+        try {
+            images.parent = avatars.id;
+            await images.save();
+        } catch (e) {
+            error = e;
+        }
+        assert.match(error.message, /cannot be moved into itself/);
+    });
+
+    it("must move files into a folder and back into the root folder", async () => {
+        const images = await createFolder("images");
+        const a = await createFile("a.png");
+        const b = await createFile("b.png");
+        await createFile("c.png");
+
+        let response = await moveFiles(null, { ids: [a.id, b.id], folder: images.id }, context);
+        assert.equal(response.meta.totalCount, 2);
+        assert.deepEqual(await listFileNames({ folder: images.id }), ["a.png", "b.png"]);
+        assert.deepEqual(await listFileNames({ folder: null }), ["c.png"]);
+
+        response = await moveFiles(null, { ids: [a.id] }, context);
+        assert.equal(response.meta.totalCount, 1);
+        assert.deepEqual(await listFileNames({ folder: images.id }), ["b.png"]);
+        assert.deepEqual(await listFileNames({ folder: null }), ["a.png", "c.png"]);
+    });
+
+    it("must not move files into a missing folder", async () => {
+        const a = await createFile("a.png");
+
+        const response = await moveFiles(null, { ids: [a.id], folder: "missing" }, context);
+        assert.equal(response.error.code, "NOT_FOUND");
+        assert.deepEqual(await listFileNames({ folder: null }), ["a.png"]);
+    });
+
+    it("must move files and subfolders of a deleted folder into its parent", async () => {
+        const images = await createFolder("images");
+        const avatars = await createFolder("avatars", images.id);
+        const icons = await createFolder("icons", avatars.id);
+        await createFile("a.png", avatars.id);
+
+        await avatars.delete();
+
+        const { Folder } = context.files.entities;
+        assert.equal((await Folder.findById(icons.id)).parent, images.id);
+        assert.deepEqual(await listFileNames({ folder: images.id }), ["a.png"]);
+    });
+});
@@ -0,0 +1,106 @@
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import ImageCache from "webiny-image-transform/ImageCache";
+import { fsStorage } from "webiny-api-files/plugins/storage";
+
+describe("fs storage test", () => {
+    let folder;
+    let storage;
+
+    beforeEach(async () => {
+        folder = await fs.mkdtemp(path.join(os.tmpdir(), "webiny-files-"));
+        storage = fsStorage({ folder, url: "/files" });
+    });
+
+    afterEach(async () => {
+        await fs.remove(folder);
+    });
+
+    test("should store, read, list and delete files", async () => {
+        await storage.put("a.txt", Buffer.from("A"));
+        await storage.put("images/b.png", Buffer.from("B"));
+
+        const file = await storage.get("images/b.png");
+        expect(file.body.toString()).toBe("B");
+        expect(file.contentType).toBe("image/png");
+        expect(await storage.get("missing.txt")).toBeNull();
+
+        const list = await storage.list();
+        expect(list.map(item => [item.key, item.size]).sort()).toEqual([
+            ["a.txt", 1],
+            ["images/b.png", 1]
+        ]);
+        expect(typeof list[0].modifiedOn.getTime()).toBe("number");
+        expect((await storage.list({ prefix: "images/" })).map(item => item.key)).toEqual([
+            "images/b.png"
+        ]);
+
+        await storage.delete("a.txt");
+        expect(await storage.get("a.txt")).toBeNull();
+    });
+
+    test("should remove cached transformed images of deleted files", async () => {
+        const cache = new ImageCache({ folder: path.join(folder, ".cache") });
+        await storage.put("a.jpg", Buffer.from("A"));
+        await cache.set("a.jpg", { width: 100 }, Buffer.from("A100"));
+        await cache.set("b.jpg", { width: 100 }, Buffer.from("B100"));
+
+        await storage.delete("a.jpg");
+        expect(await cache.get("a.jpg", { width: 100 })).toBeNull();
+        expect((await cache.get("b.jpg", { width: 100 })).toString()).toBe("B100");
+    });
+
+    test("should remove cached images from a custom cache folder", async () => {
+        const cacheFolder = path.join(folder, "custom-cache");
+        const cache = new ImageCache({ folder: cacheFolder });
+        const storage = fsStorage({ folder, cacheFolder });
+        await storage.put("a.jpg", Buffer.from("A"));
+        await cache.set("a.jpg", { width: 100 }, Buffer.from("A100"));
+
+        await storage.delete("a.jpg");
+        expect(await cache.get("a.jpg", { width: 100 })).toBeNull();
+    });
+
+    test("should not list hidden files", async () => {
+        await storage.put("a.txt", Buffer.from("A"));
+        await fs.outputFile(path.join(folder, ".cache", "a_100.txt"), "cached");
+        await fs.outputFile(path.join(folder, ".hidden"), "hidden");
+
+        expect((await storage.list()).map(item => item.key)).toEqual(["a.txt"]);
+    });
+
+    test("should return an empty list if the folder does not exist", async () => {
+        const storage = fsStorage({ folder: path.join(folder, "missing") });
+        expect(await storage.list()).toEqual([]);
+    });
+
+    test("should reject keys outside of the folder and keys of hidden files", async () => {
+        await fs.outputFile(path.join(folder, ".cache", "a.txt"), "cached");
+        const keys = ["", "../a.txt", "a/../../a.txt", "/etc/passwd", ".cache/a.txt", "a/.b/c.txt"];
+
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+            await expect(storage.get(key)).rejects.toThrow("Invalid file key");
+            await expect(storage.put(key, Buffer.from("A"))).rejects.toThrow("Invalid file key");
+            await expect(storage.delete(key)).rejects.toThrow("Invalid file key");
+            await expect(storage.signedUrl(key, { method: "GET" })).rejects.toThrow(
+                "Invalid file key"
+            );
+        }
+
+        expect(await fs.readFile(path.join(folder, ".cache", "a.txt"), "utf8")).toBe("cached");
+    });
+
+    test("should return upload and download URLs", async () => {
+        expect(await storage.signedUrl("a.txt", { method: "GET" })).toEqual({
+            url: "/files/a.txt"
+        });
+        expect(
+            await storage.signedUrl("a.txt", { method: "POST", contentType: "text/plain" })
+        ).toEqual({
+            url: "/files/upload",
+            fields: { key: "a.txt", "Content-Type": "text/plain" }
+        });
+    });
+});
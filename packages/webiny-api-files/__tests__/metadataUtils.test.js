@@ -0,0 +1,297 @@
+import { readExif, removeGps } from "webiny-api-files/plugins/metadata/utils/exif";
+import getImageSize from "webiny-api-files/plugins/metadata/utils/imageSize";
+import getMp4Info from "webiny-api-files/plugins/metadata/utils/mp4";
+import getPdfPagesCount from "webiny-api-files/plugins/metadata/utils/pdf";
+
+/**
+ * Writes a big-endian IFD entry. Values of up to 4 bytes are written inline, others are given as offsets.
+ */
+const writeEntry = (tiff, offset, { tag, type, count, value }) => {
+    tiff.writeUInt16BE(tag, offset);
+    tiff.writeUInt16BE(type, offset + 2);
+    tiff.writeUInt32BE(count, offset + 4);
+    if (typeof value === "string") {
+        tiff.write(value, offset + 8, "ascii");
+    } else if (type === 3) {
+        tiff.writeUInt16BE(value, offset + 8);
+    } else {
+        tiff.writeUInt32BE(value, offset + 8);
+    }
+};
+
+const writeIfd = (tiff, offset, entries) => {
+    tiff.writeUInt16BE(entries.length, offset);
+    entries.forEach((entry, i) => writeEntry(tiff, offset + 2 + i * 12, entry));
+};
+
+const writeRationals = (tiff, offset, values) => {
+    values.forEach(([numerator, denominator], i) => {
+        tiff.writeUInt32BE(numerator, offset + i * 8);
+        tiff.writeUInt32BE(denominator, offset + i * 8 + 4);
+    });
+};
+
+/**
+ * Big-endian TIFF structure with IFD0 (at 8), EXIF IFD (at 68) and GPS IFD (at 106), followed by their values.
+ */
+const createTiff = ({ gps = true } = {}) => {
+    const tiff = Buffer.alloc(208);
+    tiff.write("MM", 0, "ascii");
+    tiff.writeUInt16BE(0x2a, 2);
+    tiff.writeUInt32BE(8, 4);
+
+    writeIfd(tiff, 8, [
+        { tag: 0x10f, type: 2, count: 6, value: 62 },
+        { tag: 0x112, type: 3, count: 1, value: 6 },
+        { tag: 0x8769, type: 4, count: 1, value: 68 },
+        { tag: 0x8825, type: 4, count: 1, value: gps ? 106 : 0 }
+    ]);
+    tiff.write("Canon\0", 62, "ascii");
+
+    writeIfd(tiff, 68, [
+        { tag: 0x8827, type: 3, count: 1, value: 100 },
+        { tag: 0x829d, type: 5, count: 1, value: 98 }
+    ]);
+    writeRationals(tiff, 98, [[28, 10]]);
+
+    writeIfd(tiff, 106, [
+        { tag: 0x1, type: 2, count: 2, value: "N\0" },
+        { tag: 0x2, type: 5, count: 3, value: 160 },
+        { tag: 0x3, type: 2, count: 2, value: "W\0" },
+        { tag: 0x4, type: 5, count: 3, value: 184 }
+    ]);
+    writeRationals(tiff, 160, [[48, 1], [30, 1], [0, 1]]);
+    writeRationals(tiff, 184, [[2, 1], [15, 1], [36, 1]]);
+
+    return tiff;
+};
+
+const segment = (marker, data) => {
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(marker, 0);
+    header.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([header, data]);
+};
+
+// Start of frame (baseline) - precision, height, width and the number of components.
+const startOfFrame = (width, height) => {
+    const data = Buffer.alloc(15);
+    data[0] = 8;
+    data.writeUInt16BE(height, 1);
+    data.writeUInt16BE(width, 3);
+    data[5] = 3;
+    return segment(0xffc0, data);
+};
+
+const createJpeg = ({ exif = true, gps = true } = {}) =>
+    Buffer.concat([
+        Buffer.from([0xff, 0xd8]),
+        exif
+            ? segment(
+                  0xffe1,
+                  Buffer.concat([Buffer.from("Exif\0\0", "ascii"), createTiff({ gps })])
+              )
+            : segment(0xffe0, Buffer.from("JFIF\0\u0001\u0002\0\0\u0001\0\u0001\0\0", "ascii")),
+        startOfFrame(640, 480),
+        Buffer.from([0xff, 0xda, 0x00, 0x02, 0x01, 0x02, 0x03, 0xff, 0xd9])
+    ]);
+
+const box = (type, ...children) => {
+    const header = Buffer.alloc(8);
+    const content = Buffer.concat(children);
+    header.writeUInt32BE(content.length + 8, 0);
+    header.write(type, 4, "ascii");
+    return Buffer.concat([header, content]);
+};
+
+// Movie header (version 0), with 32-bit timescale and duration.
+const mvhd = (timescale, duration) => {
+    const data = Buffer.alloc(100);
+    data.writeUInt32BE(timescale, 12);
+    data.writeUInt32BE(duration, 16);
+    return box("mvhd", data);
+};
+
+// Track header (version 0), with dimensions stored as 16.16 fixed point numbers.
+const trak = (width, height) => {
+    const data = Buffer.alloc(84);
+    data.writeUInt32BE(width * 65536, 76);
+    data.writeUInt32BE(height * 65536, 80);
+    return box("trak", box("tkhd", data));
+};
+
+const createMp4 = (movieHeader = mvhd(1000, 90500)) =>
+    Buffer.concat([
+        box("ftyp", Buffer.from("isom\0\0\u0002\0", "ascii")),
+        box("moov", movieHeader, trak(0, 0), trak(1920, 1080)),
+        box("mdat", Buffer.alloc(16))
+    ]);
+
+describe("metadata utils test", () => {
+    test("readExif must read camera, exposure and GPS data", async () => {
+        const exif = readExif(createJpeg());
+        expect(exif).toMatchObject({ make: "Canon", orientation: 6, iso: 100, fNumber: 2.8 });
+        expect(exif.gps.latitude).toBeCloseTo(48.5);
+        expect(exif.gps.longitude).toBeCloseTo(-2.26);
+
+        expect(readExif(createJpeg({ gps: false }))).toEqual({
+            make: "Canon",
+            orientation: 6,
+            iso: 100,
+            fNumber: 2.8
+        });
+    });
+
+    test("readExif must return null for images without EXIF data", async () => {
+        expect(readExif(createJpeg({ exif: false }))).toBeNull();
+        expect(readExif(Buffer.from("GIF89a"))).toBeNull();
+        expect(readExif(Buffer.alloc(0))).toBeNull();
+    });
+
+    test("readExif must not throw on truncated or corrupt data", async () => {
+        const jpeg = createJpeg();
+
+        // Cut in the middle of IFD0 entries.
+        expect(readExif(jpeg.slice(0, 60))).toBeNull();
+
+        // Cut before the GPS values - location cannot be read, the rest of the tags can.
+        expect(readExif(jpeg.slice(0, 12 + 170))).toEqual({
+            make: "Canon",
+            orientation: 6,
+            iso: 100,
+            fNumber: 2.8
+        });
+
+        // IFD0 offset pointing outside of the file.
+        const corrupt = Buffer.from(jpeg);
+        corrupt.writeUInt32BE(0xffff, 12 + 4);
+        expect(readExif(corrupt)).toBeNull();
+    });
+
+    test("removeGps must remove only the GPS location", async () => {
+        const jpeg = createJpeg();
+        const output = removeGps(jpeg);
+
+        expect(output).toHaveLength(jpeg.length);
+        expect(readExif(output)).toEqual({ make: "Canon", orientation: 6, iso: 100, fNumber: 2.8 });
+        expect(output.includes(Buffer.from("W\0", "ascii"))).toBe(false);
+        expect(getImageSize(output)).toEqual({ width: 640, height: 480 });
+
+        // Original buffer is not modified.
+        expect(readExif(jpeg).gps).toBeDefined();
+
+        // There is nothing left to remove.
+        expect(removeGps(output)).toBeNull();
+    });
+
+    test("removeGps must return null if there is no GPS data or the data is corrupt", async () => {
+        expect(removeGps(createJpeg({ gps: false }))).toBeNull();
+        expect(removeGps(createJpeg({ exif: false }))).toBeNull();
+        expect(removeGps(createJpeg().slice(0, 60))).toBeNull();
+        expect(removeGps(Buffer.from("not an image"))).toBeNull();
+    });
+
+    test("getImageSize must read dimensions of PNG, JPEG, GIF, WebP and SVG images", async () => {
+        const png = Buffer.alloc(24);
+        Buffer.from("89504e470d0a1a0a0000000d49484452", "hex").copy(png);
+        png.writeUInt32BE(800, 16);
+        png.writeUInt32BE(600, 20);
+        expect(getImageSize(png)).toEqual({ width: 800, height: 600 });
+
+        expect(getImageSize(createJpeg())).toEqual({ width: 640, height: 480 });
+        expect(getImageSize(createJpeg({ exif: false }))).toEqual({ width: 640, height: 480 });
+
+        const gif = Buffer.from("GIF89a@\u0001ð\u0000", "latin1");
+        expect(getImageSize(gif)).toEqual({ width: 320, height: 240 });
+
+        const webp = Buffer.alloc(30);
+        webp.write("RIFF", 0, "ascii");
+        webp.write("WEBPVP8X", 8, "ascii");
+        webp.writeUIntLE(1023, 24, 3);
+        webp.writeUIntLE(767, 27, 3);
+        expect(getImageSize(webp)).toEqual({ width: 1024, height: 768 });
+
+        expect(getImageSize(Buffer.from('<svg width="100" height="50.5"></svg>'))).toEqual({
+            width: 100,
+            height: 50.5
+        });
+        expect(getImageSize(Buffer.from("<svg viewBox='0 0 24 16'></svg>"))).toEqual({
+            width: 24,
+            height: 16
+        });
+    });
+
+    test("getImageSize must return null for truncated or unknown images", async () => {
+        const png = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+        expect(getImageSize(png)).toBeNull();
+
+        const jpeg = createJpeg();
+        expect(getImageSize(jpeg.slice(0, jpeg.indexOf(Buffer.from([0xff, 0xc0])) + 6))).toBeNull();
+
+        // Segment marker missing - the rest of the file cannot be read.
+        const corrupt = Buffer.from(createJpeg({ exif: false }));
+        corrupt[2] = 0x00;
+        expect(getImageSize(corrupt)).toBeNull();
+
+        expect(getImageSize(Buffer.from("GIF89a"))).toBeNull();
+        expect(getImageSize(Buffer.from("RIFF\0\0\0\0WEBPVP8X"))).toBeNull();
+        expect(getImageSize(Buffer.from("<svg></svg>"))).toBeNull();
+        expect(getImageSize(Buffer.from("plain text"))).toBeNull();
+    });
+
+    test("getMp4Info must read duration and dimensions of the video track", async () => {
+        expect(getMp4Info(createMp4())).toEqual({ duration: 90.5, width: 1920, height: 1080 });
+
+        // Version 1 movie header, with 64-bit duration.
+        const data = Buffer.alloc(112);
+        data[0] = 1;
+        data.writeUInt32BE(600, 20);
+        data.writeUInt32BE(1, 24);
+        data.writeUInt32BE(0, 28);
+        expect(getMp4Info(createMp4(box("mvhd", data))).duration).toBeCloseTo(
+            Math.pow(2, 32) / 600
+        );
+    });
+
+    test("getMp4Info must return null for truncated or corrupt files", async () => {
+        const mp4 = createMp4();
+        const moov = mp4.indexOf(Buffer.from("moov", "ascii")) - 4;
+
+        expect(getMp4Info(mp4.slice(0, moov))).toBeNull();
+        expect(getMp4Info(mp4.slice(0, moov + 20))).toBeNull();
+        expect(getMp4Info(box("moov", box("free")))).toBeNull();
+        expect(getMp4Info(Buffer.from("not a video"))).toBeNull();
+
+        // Box with an invalid size.
+        const corrupt = Buffer.from(mp4);
+        corrupt.writeUInt32BE(4, moov);
+        expect(getMp4Info(corrupt)).toBeNull();
+    });
+
+    test("getPdfPagesCount must count pages", async () => {
+        const pdf = [
+            "%PDF-1.4",
+            "1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj",
+            "2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >> endobj",
+            "3 0 obj << /Type /Page /Parent 2 0 R >> endobj",
+            "4 0 obj <</Type/Page/Parent 2 0 R>> endobj",
+            "%%EOF"
+        ].join("\n");
+        expect(getPdfPagesCount(Buffer.from(pdf))).toBe(2);
+
+        // Page objects stored in compressed object streams - page tree root has the highest count.
+        const compressed = [
+            "%PDF-1.5",
+            "2 0 obj << /Type /Pages /Kids [5 0 R 6 0 R] /Count 12 >> endobj",
+            "5 0 obj << /Type /Pages /Parent 2 0 R /Count 7 >> endobj",
+            "7 0 obj << /Type /ObjStm /Length 4 >> stream\nx\u009c\u0003\u0000 endstream endobj"
+        ].join("\n");
+        expect(getPdfPagesCount(Buffer.from(compressed, "latin1"))).toBe(12);
+    });
+
+    test("getPdfPagesCount must return null for truncated or invalid files", async () => {
+        expect(getPdfPagesCount(Buffer.from("%PDF-1.4\n1 0 obj << /Type /Cata"))).toBeNull();
+        expect(getPdfPagesCount(Buffer.from("%PD"))).toBeNull();
+        expect(getPdfPagesCount(Buffer.from("<< /Type /Page >>"))).toBeNull();
+    });
+});
@@ -0,0 +1,223 @@
+import http from "http";
+import { URL } from "url";
+import { s3Storage, storageFromEnv } from "webiny-api-files/plugins/storage";
+
+const escapeXml = value => value.replace(/&/g, "&amp;").replace(/</g, "&lt;");
+
+/**
+ * A minimal, in-memory stand-in for an S3-compatible service (eg. MinIO), using path-style URLs.
+ */
+const createServer = () => {
+    const objects = {};
+    const requests = [];
+
+    const sendError = (res, statusCode, code) => {
+        res.writeHead(statusCode, { "Content-Type": "application/xml" });
+        res.end(`<?xml version="1.0"?><Error><Code>${code}</Code></Error>`);
+    };
+
+    const list = (res, url) => {
+        const prefix = url.searchParams.get("prefix") || "";
+        const keys = Object.keys(objects)
+            .filter(key => key.startsWith(prefix))
+            .sort();
+
+        // Two keys per page, so that pagination is used.
+        const start = parseInt(url.searchParams.get("continuation-token") || "0");
+        const page = keys.slice(start, start + 2);
+        const truncated = start + 2 < keys.length;
+
+        res.writeHead(200, { "Content-Type": "application/xml" });
+        res.end(
+            `<?xml version="1.0"?><ListBucketResult>` +
+                page
+                    .map(
+                        key =>
+                            `<Contents><Key>${escapeXml(key)}</Key>` +
+                            `<LastModified>2019-06-12T09:30:00.000Z</LastModified>` +
+                            `<Size>${objects[key].body.length}</Size></Contents>`
+                    )
+                    .join("") +
+                `<IsTruncated>${String(truncated)}</IsTruncated>` +
+                (truncated ? `<NextContinuationToken>${start + 2}</NextContinuationToken>` : "") +
+                `</ListBucketResult>`
+        );
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on("data", chunk => chunks.push(chunk));
+        req.on("end", () => {
+            const url = new URL(req.url, "http://localhost");
+            requests.push({ method: req.method, url, headers: req.headers });
+
+            if (!String(req.headers.authorization).startsWith("AWS4-HMAC-SHA256 ")) {
+                return sendError(res, 403, "AccessDenied");
+            }
+
+            const [, bucket, ...path] = url.pathname.split("/");
+            if (bucket !== "files") {
+                return sendError(res, 404, "NoSuchBucket");
+            }
+
+            const key = decodeURIComponent(path.join("/"));
+            if (!key) {
+                return list(res, url);
+            }
+
+            switch (req.method) {
+                case "PUT":
+                    objects[key] = {
+                        body: Buffer.concat(chunks),
+                        contentType: req.headers["content-type"]
+                    };
+                    res.writeHead(200);
+                    return res.end();
+                case "GET":
+                    if (!objects[key]) {
+                        return sendError(res, 404, "NoSuchKey");
+                    }
+                    res.writeHead(200, { "Content-Type": objects[key].contentType });
+                    return res.end(objects[key].body);
+                case "DELETE":
+                    delete objects[key];
+                    res.writeHead(204);
+                    return res.end();
+            }
+
+            sendError(res, 405, "MethodNotAllowed");
+        });
+    });
+
+    return { server, objects, requests };
+};
+
+describe("s3 storage test", () => {
+    let s3;
+    let storage;
+
+    beforeAll(async () => {
+        s3 = createServer();
+        await new Promise(resolve => s3.server.listen(0, "127.0.0.1", resolve));
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => s3.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        Object.keys(s3.objects).forEach(key => delete s3.objects[key]);
+        s3.requests.length = 0;
+        storage = s3Storage({
+            bucket: "files",
+            region: "eu-central-1",
+            endpoint: `http://127.0.0.1:${s3.server.address().port}`,
+            accessKeyId: "ACCESS_KEY",
+            secretAccessKey: "SECRET_KEY"
+        });
+    });
+
+    test("should store, read and delete files using signed requests", async () => {
+        await storage.put("images/a b.png", Buffer.from("A"), { contentType: "image/png" });
+        expect(s3.objects["images/a b.png"]).toEqual({
+            body: Buffer.from("A"),
+            contentType: "image/png"
+        });
+
+        const [request] = s3.requests;
+        expect(request.url.pathname).toBe("/files/images/a%20b.png");
+        expect(request.headers.authorization).toMatch(
+            /^AWS4-HMAC-SHA256 Credential=ACCESS_KEY\/\d{8}\/eu-central-1\/s3\/aws4_request/
+        );
+
+        const file = await storage.get("images/a b.png");
+        expect(file.body.toString()).toBe("A");
+        expect(file.contentType).toBe("image/png");
+
+        await storage.delete("images/a b.png");
+        expect(await storage.get("images/a b.png")).toBeNull();
+    });
+
+    test("should list all files, page by page", async () => {
+        ["a.txt", "b&c.txt", "images/d.png", "images/e.png", "f.txt"].forEach(key => {
+            s3.objects[key] = { body: Buffer.from(key), contentType: "text/plain" };
+        });
+
+        const list = await storage.list();
+        expect(list.map(item => [item.key, item.size])).toEqual([
+            ["a.txt", 5],
+            ["b&c.txt", 7],
+            ["f.txt", 5],
+            ["images/d.png", 12],
+            ["images/e.png", 12]
+        ]);
+        expect(list[0].modifiedOn.toISOString()).toBe("2019-06-12T09:30:00.000Z");
+        expect(s3.requests.length).toBe(3);
+
+        expect((await storage.list({ prefix: "images/" })).map(item => item.key)).toEqual([
+            "images/d.png",
+            "images/e.png"
+        ]);
+    });
+
+    test("should throw an error with the S3 error code if a request fails", async () => {
+        const storage = s3Storage({
+            bucket: "missing",
+            endpoint: `http://127.0.0.1:${s3.server.address().port}`,
+            accessKeyId: "ACCESS_KEY",
+            secretAccessKey: "SECRET_KEY"
+        });
+
+        await expect(storage.put("a.txt", Buffer.from("A"))).rejects.toThrow(
+            "S3 request failed with status 404 (NoSuchBucket)."
+        );
+        await expect(storage.list()).rejects.toThrow("NoSuchBucket");
+    });
+
+    test("should create signed download URLs and upload forms", async () => {
+        const port = s3.server.address().port;
+
+        const download = await storage.signedUrl("a.txt", { method: "GET", expiresIn: 60 });
+        const url = new URL(download.url);
+        expect(url.origin + url.pathname).toBe(`http://127.0.0.1:${port}/files/a.txt`);
+        expect(url.searchParams.get("X-Amz-Expires")).toBe("60");
+        expect(url.searchParams.get("X-Amz-Signature")).toMatch(/^[0-9a-f]{64}$/);
+
+        const upload = await storage.signedUrl("a.txt", {
+            method: "POST",
+            contentType: "text/plain",
+            size: 1024
+        });
+        expect(upload.url).toBe(`http://127.0.0.1:${port}/files`);
+        expect(upload.fields).toMatchObject({
+            key: "a.txt",
+            "Content-Type": "text/plain",
+            "X-Amz-Algorithm": "AWS4-HMAC-SHA256"
+        });
+        expect(upload.fields["X-Amz-Signature"]).toMatch(/^[0-9a-f]{64}$/);
+
+        const policy = JSON.parse(Buffer.from(upload.fields.Policy, "base64").toString());
+        expect(policy.conditions).toContainEqual({ bucket: "files" });
+        expect(policy.conditions).toContainEqual({ key: "a.txt" });
+        expect(policy.conditions).toContainEqual(["content-length-range", 0, 1024]);
+    });
+
+    test("should use virtual-hosted URLs on AWS", async () => {
+        const storage = s3Storage({
+            bucket: "files",
+            region: "eu-central-1",
+            accessKeyId: "ACCESS_KEY",
+            secretAccessKey: "SECRET_KEY"
+        });
+
+        const { url } = await storage.signedUrl("a.txt", { method: "GET" });
+        expect(url).toMatch(/^https:\/\/files\.s3\.eu-central-1\.amazonaws\.com\/a\.txt\?/);
+    });
+
+    test("should create storage from environment variables", async () => {
+        expect(storageFromEnv({}).name).toBe("files-storage-fs");
+        expect(storageFromEnv({ FILES_STORAGE: "s3", FILES_S3_BUCKET: "files" }).name).toBe(
+            "files-storage-s3"
+        );
+    });
+});
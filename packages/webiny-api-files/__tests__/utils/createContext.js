@@ -0,0 +1,26 @@
+import { Entity } from "webiny-entity";
+import MemoryDriver from "webiny-entity-memory";
+import securityEntities from "webiny-api-security/plugins/entities";
+import filesEntities from "webiny-api-files/plugins/entities";
+
+/**
+ * Creates a GraphQL context with all files and security entities, which store data in memory.
+ */
+export default (config = {}) => {
+    Entity.driver = new MemoryDriver();
+    Entity.crud = { ...Entity.crud, logs: true };
+    Entity.pool.flush();
+
+    const context = {
+        config,
+        user: {},
+        security: { entities: {} },
+        files: { entities: {} }
+    };
+
+    [...securityEntities, ...filesEntities].forEach(plugin => {
+        context[plugin.namespace].entities[plugin.entity.name] = plugin.entity.factory(context);
+    });
+
+    return context;
+};
@@ -1,12 +1,21 @@
 // @flow
+import crypto from "crypto";
+import { get } from "lodash";
 import { Entity } from "webiny-entity";
+import { getStorage } from "webiny-api-files/plugins/storage";
+import { extractMetadata } from "webiny-api-files/plugins/metadata";
+import type { FilesStorageFileType } from "webiny-api-files/types";
 
 export interface IFile extends Entity {
     createdBy: ?Entity;
+    key: string;
     src: string;
     description: string;
     name: string;
     tags: Array<string>;
+    meta: Object;
+    folder: ?string;
+    hash: ?string;
 }
 
 export function fileFactory(context: Object): Class<IFile> {
@@ -14,11 +23,16 @@ export function fileFactory(context: Object): Class<IFile> {
         static classId = "File";
 
         createdBy: ?Entity;
+        key: string;
         src: string;
         description: string;
         name: string;
         type: string;
         tags: Array<string>;
+        meta: Object;
+        folder: ?string;
+        hash: ?string;
+
         constructor() {
             super();
 
@@ -35,6 +49,11 @@ export function fileFactory(context: Object): Class<IFile> {
             this.attr("type")
                 .char()
                 .setValidators("required,maxLength:50");
+            // Key of the file in the storage (see "files-storage" plugins).
+            this.attr("key")
+                .char()
+                .setValidators("maxLength:200")
+                .setOnce();
             this.attr("src")
                 .char()
                 .setValidators("required,maxLength:200");
@@ -69,6 +88,19 @@ export function fileFactory(context: Object): Class<IFile> {
                     }
                 });
 
+            // Dimensions, EXIF, dominant color, page count, duration etc. (see "files-metadata" plugins).
+            this.attr("meta").object();
+
+            // ID of the folder the file is in - files without a folder are in the root folder.
+            this.attr("folder").char();
+
+            // SHA-256 hash of the uploaded content, used to find duplicate files. Always computed on the server.
+            this.attr("hash")
+                .char()
+                .setValidators("maxLength:64")
+                .setSkipOnPopulate()
+                .setOnce();
+
             this.on("beforeCreate", async () => {
                 if (!this.src.startsWith("/") || this.src.startsWith("http")) {
                     throw Error(
@@ -80,8 +112,57 @@ export function fileFactory(context: Object): Class<IFile> {
                     throw Error(`File "src" must be unique. `);
                 }
 
+                if (!this.key) {
+                    this.key = this.src.substr(this.src.lastIndexOf("/") + 1);
+                }
+
+                const storage = getStorage();
+                const file = storage && (await storage.get(this.key));
+                if (file) {
+                    // Hash is computed from the content as it was uploaded (metadata extraction might modify it).
+                    this.hash = crypto
+                        .createHash("sha256")
+                        .update(file.body)
+                        .digest("hex");
+
+                    await this.extractMetadata(file);
+                }
+
                 this.createdBy = user.id;
             });
+
+            // Once the file is permanently deleted, it is also removed from the storage.
+            this.on("afterDelete", async ({ params }) => {
+                if (get(this, "constructor.crud.delete.soft") && params.permanent !== true) {
+                    return;
+                }
+
+                const storage = getStorage();
+                storage && this.key && (await storage.delete(this.key));
+            });
+        }
+
+        /**
+         * Extracts metadata from given stored file. If an extractor modified the file (eg. removed GPS location
+         * from the image), the stored file is replaced too.
+         */
+        async extractMetadata(file: FilesStorageFileType): Promise<void> {
+            const storage = getStorage();
+            if (!storage) {
+                return;
+            }
+
+            const stripGps = get(context, "config.files.metadata.stripGps", true);
+            const { meta, body } = await extractMetadata(
+                { key: this.key, type: this.type, body: file.body },
+                { stripGps }
+            );
+
+            if (body) {
+                await storage.put(this.key, body, { contentType: file.contentType });
+            }
+
+            this.meta = { ...this.meta, ...meta };
         }
     };
 }
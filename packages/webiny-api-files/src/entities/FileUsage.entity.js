@@ -0,0 +1,40 @@
+// @flow
+import { Entity } from "webiny-entity";
+
+export interface IFileUsage extends Entity {
+    src: string;
+    entityName: string;
+    entityId: string;
+    label: string;
+    fields: Array<string>;
+}
+
+export function fileUsageFactory(): Class<IFileUsage> {
+    return class FileUsage extends Entity {
+        static classId = "FileUsage";
+
+        src: string;
+        entityName: string;
+        entityId: string;
+        label: string;
+        fields: Array<string>;
+
+        constructor() {
+            super();
+
+            // Files are referenced by "src" - that's how file fields are stored in other entities.
+            this.attr("src")
+                .char()
+                .setValidators("required");
+            this.attr("entityName")
+                .char()
+                .setValidators("required");
+            this.attr("entityId")
+                .char()
+                .setValidators("required");
+            this.attr("label").char();
+            // Top-level fields of the entity that reference the file (eg. "settings" or "content").
+            this.attr("fields").array();
+        }
+    };
+}
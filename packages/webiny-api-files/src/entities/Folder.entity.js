@@ -0,0 +1,93 @@
+// @flow
+import { Entity } from "webiny-entity";
+
+export interface IFolder extends Entity {
+    name: string;
+    parent: ?string;
+}
+
+export function folderFactory(context: Object): Class<IFolder> {
+    return class Folder extends Entity {
+        static classId = "FileFolder";
+
+        name: string;
+        parent: ?string;
+
+        constructor() {
+            super();
+
+            const { files } = context;
+
+            this.attr("name")
+                .char()
+                .setValidators("required,maxLength:100");
+
+            // ID of the parent folder - root folders have no parent.
+            this.attr("parent").char();
+
+            this.on("beforeSave", async () => {
+                const { Folder } = files.entities;
+
+                // Walk up the tree, to make sure the folder is not moved into itself or one of its subfolders.
+                let parent = this.parent;
+                while (parent) {
+                    if (parent === this.id) {
+                        throw Error("Folder cannot be moved into itself or one of its subfolders.");
+                    }
+
+                    const folder = await Folder.findById(parent);
+                    if (!folder) {
+                        throw Error(`Parent folder "${parent}" not found.`);
+                    }
+                    parent = folder.parent;
+                }
+
+                const existing = await Folder.findOne({
+                    query: { name: this.name, parent: this.parent || null }
+                });
+
+                if (existing && existing.id !== this.id) {
+                    throw Error(`Folder "${this.name}" already exists.`);
+                }
+            });
+
+            // Files and subfolders of a deleted folder are moved into its parent folder.
+            this.on("beforeDelete", async () => {
+                const { Folder } = files.entities;
+                const subfolders = await Folder.find({
+                    query: { parent: this.id },
+                    perPage: 100
+                });
+
+                for (let i = 0; i < subfolders.length; i++) {
+                    const { name } = subfolders[i];
+                    if (await Folder.findOne({ query: { name, parent: this.parent || null } })) {
+                        throw Error(
+                            `Cannot delete folder - folder "${name}" already exists in the parent folder.`
+                        );
+                    }
+                }
+            });
+
+            this.on("afterDelete", async () => {
+                const { File, Folder } = files.entities;
+                const parent = this.parent || null;
+
+                // Moved items drop out of the query, so we keep loading the first page until it's empty.
+                const moveAll = async (entityClass, attribute) => {
+                    let entities = await entityClass.find({ query: { [attribute]: this.id } });
+                    while (entities.length) {
+                        for (let i = 0; i < entities.length; i++) {
+                            entities[i][attribute] = parent;
+                            await entities[i].save();
+                        }
+                        entities = await entityClass.find({ query: { [attribute]: this.id } });
+                    }
+                };
+
+                await moveAll(Folder, "parent");
+                await moveAll(File, "folder");
+            });
+        }
+    };
+}
@@ -1,2 +1,7 @@
 // @flow
 export { fileFactory } from "webiny-api-files/entities/File.entity";
+export { fileUsageFactory } from "webiny-api-files/entities/FileUsage.entity";
+export { folderFactory } from "webiny-api-files/entities/Folder.entity";
+export type { IFile } from "webiny-api-files/entities/File.entity";
+export type { IFileUsage } from "webiny-api-files/entities/FileUsage.entity";
+export type { IFolder } from "webiny-api-files/entities/Folder.entity";
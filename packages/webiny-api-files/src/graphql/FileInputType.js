@@ -3,8 +3,10 @@ export default /* GraphQL */ `
         name: String
         size: Int
         type: String
+        key: String
         src: String
         tags: [String]
         meta: JSON
+        folder: ID
     }
 `;
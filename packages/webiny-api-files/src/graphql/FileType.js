@@ -1,11 +1,17 @@
 export default /* GraphQL */ `
     type File {
+        id: ID
         name: String
         size: Int
         type: String
+        key: String
         src: String
         tags: [String]
         meta: JSON
+        folder: ID
+        hash: String
         createdOn: String
+        deletedOn: String
+        deletedBy: ID
     }
 `;
@@ -0,0 +1,15 @@
+export default /* GraphQL */ `
+    type FileUsage {
+        id: ID
+        src: String
+        entityName: String
+        entityId: ID
+        label: String
+        fields: [String]
+    }
+
+    type FileUsageListResponse {
+        data: [FileUsage]
+        error: Error
+    }
+`;
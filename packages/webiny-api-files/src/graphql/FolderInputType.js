@@ -0,0 +1,6 @@
+export default /* GraphQL */ `
+    input FileFolderInput {
+        name: String
+        parent: ID
+    }
+`;
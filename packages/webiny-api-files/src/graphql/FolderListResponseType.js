@@ -0,0 +1,6 @@
+export default /* GraphQL */ `
+    type FileFolderListResponse {
+        data: [FileFolder]
+        error: Error
+    }
+`;
@@ -0,0 +1,6 @@
+export default /* GraphQL */ `
+    type FileFolderResponse {
+        data: FileFolder
+        error: Error
+    }
+`;
@@ -0,0 +1,8 @@
+export default /* GraphQL */ `
+    type FileFolder {
+        id: ID
+        name: String
+        parent: ID
+        createdOn: String
+    }
+`;
@@ -2,3 +2,8 @@ export { default as FileInputType } from "./FileInputType";
 export { default as FileListResponseType } from "./FileListResponseType";
 export { default as FileResponseType } from "./FileResponseType";
 export { default as FileType } from "./FileType";
+export { default as FileUsageType } from "./FileUsageType";
+export { default as FolderInputType } from "./FolderInputType";
+export { default as FolderListResponseType } from "./FolderListResponseType";
+export { default as FolderResponseType } from "./FolderResponseType";
+export { default as FolderType } from "./FolderType";
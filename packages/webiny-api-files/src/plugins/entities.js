@@ -12,4 +12,24 @@ const file: EntityPluginType = {
     }
 };
 
-export default [file];
+const folder: EntityPluginType = {
+    name: "entity-files-folder",
+    type: "entity",
+    namespace: "files",
+    entity: {
+        name: "Folder",
+        factory: entities.folderFactory
+    }
+};
+
+const fileUsage: EntityPluginType = {
+    name: "entity-files-file-usage",
+    type: "entity",
+    namespace: "files",
+    entity: {
+        name: "FileUsage",
+        factory: entities.fileUsageFactory
+    }
+};
+
+export default [file, folder, fileUsage];
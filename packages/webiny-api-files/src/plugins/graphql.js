@@ -1,13 +1,19 @@
 // @flow
 import { dummyResolver } from "webiny-api/graphql";
 import file from "./graphql/file";
+import folder from "./graphql/folder";
 import { type PluginType } from "webiny-api/types";
 import { hasScope } from "webiny-api-security";
 import {
     FileType,
     FileInputType,
     FileResponseType,
-    FileListResponseType
+    FileListResponseType,
+    FileUsageType,
+    FolderType,
+    FolderInputType,
+    FolderResponseType,
+    FolderListResponseType
 } from "webiny-api-files/graphql";
 
 export default ([
@@ -20,7 +26,13 @@ export default ([
             FileInputType,
             FileResponseType,
             FileListResponseType,
+            FileUsageType,
+            FolderType,
+            FolderInputType,
+            FolderResponseType,
+            FolderListResponseType,
             file.typeExtensions,
+            folder.typeExtensions,
             /* GraphQL */ `
                 type FilesQuery {
                     _empty: String
@@ -48,18 +60,29 @@ export default ([
                     files: dummyResolver
                 }
             },
-            file.resolvers
+            file.resolvers,
+            folder.resolvers
         ],
         files: {
             shield: {
                 FilesQuery: {
                     getFile: hasScope("files:file:crud"),
-                    listFiles: hasScope("files:file:crud")
+                    listFiles: hasScope("files:file:crud"),
+                    listDeletedFiles: hasScope("files:file:crud"),
+                    getFileUsages: hasScope("files:file:crud"),
+                    findDuplicateFiles: hasScope("files:file:crud"),
+                    getFolder: hasScope("files:file:crud"),
+                    listFolders: hasScope("files:file:crud")
                 },
                 FilesMutation: {
                     createFile: hasScope("files:file:crud"),
                     updateFile: hasScope("files:file:crud"),
-                    deleteFile: hasScope("files:file:crud")
+                    deleteFile: hasScope("files:file:crud"),
+                    restoreFile: hasScope("files:file:crud"),
+                    createFolder: hasScope("files:file:crud"),
+                    updateFolder: hasScope("files:file:crud"),
+                    deleteFolder: hasScope("files:file:crud"),
+                    moveFiles: hasScope("files:file:crud")
                 }
             }
         }
@@ -1,6 +1,9 @@
 // @flow
-import { resolveCreate, resolveDelete, resolveGet } from "webiny-api/graphql";
+import { resolveCreate, resolveGet, resolveListDeleted, resolveRestore } from "webiny-api/graphql";
 
+import deleteFile from "./resolvers/deleteFile";
+import findDuplicateFiles from "./resolvers/findDuplicateFiles";
+import getFileUsages from "./resolvers/getFileUsages";
 import listFiles from "./resolvers/listFiles";
 import listTags from "./resolvers/listTags";
 import updateFileBySrc from "./resolvers/updateFileBySrc";
@@ -31,9 +34,29 @@ export default {
                 tags: [String]
                 sort: JSON
                 search: String
+                # Lists files in given folder only ("null" for files in the root folder).
+                folder: ID
+            ): FileListResponse
+            
+            # Returns deleted files (trash).
+            listDeletedFiles(
+                page: Int
+                perPage: Int
+                sort: JSON
             ): FileListResponse
                
             listTags: [String]
+            
+            # Returns files with given content hash (SHA-256), or duplicates of the file with given ID.
+            findDuplicateFiles(
+                hash: String
+                id: ID
+            ): FileListResponse
+            
+            # Returns places (pages, settings, users etc.) in which the file is used.
+            getFileUsages(
+                id: ID!
+            ): FileUsageListResponse
         }
         
         extend type FilesMutation {
@@ -46,21 +69,31 @@ export default {
                 data: FileInput!
             ): FileResponse
         
+            # Files that are still in use can only be deleted by setting "force" to true.
             deleteFile(
                 id: ID!
+                force: Boolean
             ): DeleteResponse
+            
+            restoreFile(
+                id: ID!
+            ): FileResponse
         }
     `,
     resolvers: {
         FilesQuery: {
             getFile: resolveGet(fileFetcher),
             listFiles: listFiles(fileFetcher),
-            listTags: listTags(fileFetcher)
+            listDeletedFiles: resolveListDeleted(fileFetcher),
+            listTags: listTags(fileFetcher),
+            getFileUsages,
+            findDuplicateFiles: findDuplicateFiles(fileFetcher)
         },
         FilesMutation: {
             createFile: resolveCreate(fileFetcher),
             updateFileBySrc: updateFileBySrc(fileFetcher),
-            deleteFile: resolveDelete(fileFetcher)
+            deleteFile: deleteFile(fileFetcher),
+            restoreFile: resolveRestore(fileFetcher)
         }
     }
 };
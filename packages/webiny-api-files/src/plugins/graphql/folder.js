@@ -0,0 +1,55 @@
+// @flow
+import { resolveCreate, resolveDelete, resolveGet, resolveUpdate } from "webiny-api/graphql";
+
+import listFolders from "./resolvers/listFolders";
+import moveFiles from "./resolvers/moveFiles";
+
+const folderFetcher = ctx => ctx.files.entities.Folder;
+
+export default {
+    typeExtensions: `
+        extend type FilesQuery {
+            getFolder(
+                id: ID
+            ): FileFolderResponse
+            
+            # Returns all folders - the tree is built on the client.
+            listFolders: FileFolderListResponse
+        }
+        
+        extend type FilesMutation {
+            createFolder(
+                data: FileFolderInput!
+            ): FileFolderResponse
+            
+            # Renames the folder, or moves it into another folder (by setting "parent").
+            updateFolder(
+                id: ID!
+                data: FileFolderInput!
+            ): FileFolderResponse
+        
+            # Deletes the folder - its files and subfolders are moved into the parent folder.
+            deleteFolder(
+                id: ID!
+            ): DeleteResponse
+            
+            # Moves files into given folder. If folder is not set, files are moved into the root folder.
+            moveFiles(
+                ids: [ID]!
+                folder: ID
+            ): FileListResponse
+        }
+    `,
+    resolvers: {
+        FilesQuery: {
+            getFolder: resolveGet(folderFetcher),
+            listFolders: listFolders(folderFetcher)
+        },
+        FilesMutation: {
+            createFolder: resolveCreate(folderFetcher),
+            updateFolder: resolveUpdate(folderFetcher),
+            deleteFolder: resolveDelete(folderFetcher),
+            moveFiles
+        }
+    }
+};
@@ -0,0 +1,26 @@
+// @flow
+import { ErrorResponse } from "webiny-api/graphql/responses";
+import { resolveDelete } from "webiny-api/graphql";
+
+/**
+ * Deletes the file, unless it is still used somewhere (see "fileUsage" flag of entity plugins). Files that are
+ * in use can only be deleted by setting the "force" argument to true.
+ */
+export default (entityFetcher: Function) => async (root: any, args: Object, context: Object) => {
+    if (!args.force) {
+        const { FileUsage } = context.files.entities;
+        const file = await entityFetcher(context).findById(args.id);
+        const usage = file && (await FileUsage.findOne({ query: { src: file.src } }));
+        if (usage) {
+            return new ErrorResponse({
+                code: "FILE_IN_USE",
+                message: `File is used in ${usage.entityName} "${
+                    usage.label
+                }" - set "force" to delete it anyway.`,
+                data: { entityName: usage.entityName, entityId: usage.entityId }
+            });
+        }
+    }
+
+    return resolveDelete(entityFetcher)(root, args, context);
+};
@@ -0,0 +1,33 @@
+// @flow
+import { ErrorResponse, ListResponse, NotFoundResponse } from "webiny-api/graphql/responses";
+
+/**
+ * Returns files with given content hash. If a file ID is passed instead, returns duplicates of that file.
+ */
+export default (entityFetcher: Function) => async (root: any, args: Object, context: Object) => {
+    const entityClass = entityFetcher(context);
+
+    let { hash } = args;
+    if (args.id) {
+        const file = await entityClass.findById(args.id);
+        if (!file) {
+            return new NotFoundResponse(`File "${args.id}" not found!`);
+        }
+        hash = file.hash;
+    }
+
+    if (!hash) {
+        return new ErrorResponse({
+            code: "HASH_NOT_SET",
+            message: `Either "hash" or "id" of a file with a computed hash must be set.`
+        });
+    }
+
+    const query: Object = { hash };
+    if (args.id) {
+        query.id = { $ne: args.id };
+    }
+
+    const data = await entityClass.find({ query, perPage: 100, sort: { createdOn: 1 } });
+    return new ListResponse(data, data.getMeta());
+};
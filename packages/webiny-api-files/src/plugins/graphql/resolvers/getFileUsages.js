@@ -0,0 +1,24 @@
+// @flow
+import { ListResponse, NotFoundResponse } from "webiny-api/graphql/responses";
+
+export default async (root: any, args: Object, context: Object) => {
+    const { File, FileUsage } = context.files.entities;
+    const file = await File.findById(args.id);
+    if (!file) {
+        return new NotFoundResponse(`File "${args.id}" not found!`);
+    }
+
+    const query = { src: file.src };
+    const usages = [];
+    let page = 1;
+    let data = await FileUsage.find({ query, page, perPage: 100, sort: { entityName: 1 } });
+    while (data.length) {
+        usages.push(...data);
+        if (data.length < 100) {
+            break;
+        }
+        data = await FileUsage.find({ query, page: ++page, perPage: 100, sort: { entityName: 1 } });
+    }
+
+    return new ListResponse(usages, { totalCount: usages.length });
+};
@@ -4,7 +4,11 @@ import { ListResponse } from "webiny-api/graphql/responses";
 export default (entityFetcher: Function) => async (root: any, args: Object, context: Object) => {
     const entityClass = entityFetcher(context);
     const { page = 1, perPage = 10, sort = null, search = "", types = [], tags = [] } = args;
-    const findArgs = { page, perPage, sort };
+    const findArgs: { page: number, perPage: number, sort: ?Object, query?: Object } = {
+        page,
+        perPage,
+        sort
+    };
 
     const $and = [];
     if (Array.isArray(types) && types.length) {
@@ -26,6 +30,11 @@ export default (entityFetcher: Function) => async (root: any, args: Object, cont
         });
     }
 
+    // Files are listed from all folders, unless the "folder" argument was passed.
+    if (args.hasOwnProperty("folder")) {
+        $and.push({ folder: args.folder || null });
+    }
+
     if ($and.length) {
         findArgs.query = { $and };
     }
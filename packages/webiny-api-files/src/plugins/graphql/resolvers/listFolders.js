@@ -0,0 +1,22 @@
+// @flow
+import { ListResponse } from "webiny-api/graphql/responses";
+
+/**
+ * Returns all folders at once - the File Manager needs the whole tree to render the sidebar.
+ */
+export default (entityFetcher: Function) => async (root: any, args: Object, context: Object) => {
+    const entityClass = entityFetcher(context);
+
+    const folders = [];
+    let page = 1;
+    let data = await entityClass.find({ page, perPage: 100, sort: { name: 1 } });
+    while (data.length) {
+        folders.push(...data);
+        if (data.length < 100) {
+            break;
+        }
+        data = await entityClass.find({ page: ++page, perPage: 100, sort: { name: 1 } });
+    }
+
+    return new ListResponse(folders, { totalCount: folders.length });
+};
@@ -0,0 +1,34 @@
+// @flow
+import { ErrorResponse, ListResponse, NotFoundResponse } from "webiny-api/graphql/responses";
+
+/**
+ * Moves files with given IDs into given folder (or into the root folder, if no folder was passed).
+ */
+export default async (root: any, args: Object, context: Object) => {
+    const { File, Folder } = context.files.entities;
+    const { ids, folder = null } = args;
+
+    if (folder && !(await Folder.findById(folder))) {
+        return new NotFoundResponse(`Folder "${folder}" not found!`);
+    }
+
+    const files = [];
+    try {
+        for (let i = 0; i < ids.length; i++) {
+            const file = await File.findById(ids[i]);
+            if (file) {
+                file.folder = folder;
+                await file.save();
+                files.push(file);
+            }
+        }
+    } catch (e) {
+        return new ErrorResponse({
+            code: e.code,
+            message: e.message,
+            data: e.data || null
+        });
+    }
+
+    return new ListResponse(files, { totalCount: files.length });
+};
@@ -1,5 +1,7 @@
 // @flow
 import entities from "./entities";
 import graphql from "./graphql";
+import metadata from "./metadata";
+import usage from "./usage";
 
-export default [entities, graphql];
+export default [entities, graphql, metadata, usage];
@@ -0,0 +1,39 @@
+// @flow
+import { getPlugins } from "webiny-plugins";
+import type {
+    FilesMetadataFileType,
+    FilesMetadataOptionsType,
+    FilesMetadataPluginType
+} from "webiny-api-files/types";
+
+/**
+ * Runs all "files-metadata" plugins that support given file. Returns merged metadata, and the new file
+ * contents if any of the plugins modified the file (eg. removed GPS location).
+ */
+export default async (
+    file: FilesMetadataFileType,
+    options: FilesMetadataOptionsType
+): Promise<{ meta: Object, body: ?Buffer }> => {
+    const plugins: Array<FilesMetadataPluginType> = (getPlugins("files-metadata"): any);
+
+    let meta = {};
+    let body = null;
+    for (let i = 0; i < plugins.length; i++) {
+        const plugin = plugins[i];
+        if (!plugin.canExtract(file)) {
+            continue;
+        }
+
+        try {
+            const result = await plugin.extract({ ...file, body: body || file.body }, options);
+            meta = { ...meta, ...result.meta };
+            if (result.body) {
+                body = result.body;
+            }
+        } catch (e) {
+            // Metadata is not essential - a failing extractor must not prevent the file from being saved.
+        }
+    }
+
+    return { meta, body };
+};
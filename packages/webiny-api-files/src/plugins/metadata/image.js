@@ -0,0 +1,45 @@
+// @flow
+import getImageSize from "./utils/imageSize";
+import { readExif, removeGps } from "./utils/exif";
+import type { FilesMetadataPluginType } from "webiny-api-files/types";
+
+const IMAGE_TYPES = [
+    "image/jpeg",
+    "image/jpg",
+    "image/png",
+    "image/gif",
+    "image/webp",
+    "image/svg+xml"
+];
+
+// EXIF orientations 5 - 8 rotate the image by 90 degrees, which means width and height are swapped when displayed.
+const ROTATED_ORIENTATIONS = [5, 6, 7, 8];
+
+export default ({
+    type: "files-metadata",
+    name: "files-metadata-image",
+    canExtract({ type }) {
+        return IMAGE_TYPES.includes(type);
+    },
+    async extract({ body }, { stripGps }) {
+        const meta = {};
+
+        const exif = readExif(body);
+        if (exif) {
+            if (stripGps) {
+                delete exif.gps;
+            }
+            meta.exif = exif;
+        }
+
+        const size = getImageSize(body);
+        if (size) {
+            const rotated = exif && ROTATED_ORIENTATIONS.includes(exif.orientation);
+            meta.width = rotated ? size.height : size.width;
+            meta.height = rotated ? size.width : size.height;
+            meta.aspectRatio = meta.width / meta.height;
+        }
+
+        return { meta, body: stripGps ? removeGps(body) : null };
+    }
+}: FilesMetadataPluginType);
@@ -0,0 +1,20 @@
+// @flow
+import { getImagePlaceholder } from "webiny-image-transform";
+import type { FilesMetadataPluginType } from "webiny-api-files/types";
+
+const IMAGE_TYPES = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
+
+/**
+ * Adds dominant color and a BlurHash placeholder to image's metadata. Not registered by default, since it
+ * requires the "sharp" native module to be built for the platform the API runs on.
+ */
+export default (): FilesMetadataPluginType => ({
+    type: "files-metadata",
+    name: "files-metadata-image-placeholder",
+    canExtract({ type }) {
+        return IMAGE_TYPES.includes(type);
+    },
+    async extract({ body }) {
+        return { meta: await getImagePlaceholder(body) };
+    }
+});
@@ -0,0 +1,8 @@
+// @flow
+import image from "./image";
+import pdf from "./pdf";
+import video from "./video";
+
+export { default as extractMetadata } from "./extractMetadata";
+
+export default [image, pdf, video];
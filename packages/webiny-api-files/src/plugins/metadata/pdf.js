@@ -0,0 +1,15 @@
+// @flow
+import getPdfPagesCount from "./utils/pdf";
+import type { FilesMetadataPluginType } from "webiny-api-files/types";
+
+export default ({
+    type: "files-metadata",
+    name: "files-metadata-pdf",
+    canExtract({ type }) {
+        return type === "application/pdf";
+    },
+    async extract({ body }) {
+        const pages = getPdfPagesCount(body);
+        return { meta: pages ? { pages } : {} };
+    }
+}: FilesMetadataPluginType);
@@ -0,0 +1,278 @@
+// @flow
+/**
+ * Minimal EXIF reader for JPEG images. Only the commonly used tags are read - camera, exposure, dates and GPS location.
+ */
+
+type IfdEntry = {
+    tag: number,
+    type: number,
+    count: number,
+    // Offset of the entry itself (relative to the start of the buffer).
+    entryOffset: number,
+    // Offset of the value (inline for values of up to 4 bytes).
+    valueOffset: number,
+    size: number
+};
+
+// Sizes (in bytes) of value types, indexed by type (BYTE, ASCII, SHORT, LONG, RATIONAL, ... SRATIONAL).
+const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 0, 1, 0, 4, 8];
+
+const IFD0_TAGS = {
+    "0x10f": "make",
+    "0x110": "model",
+    "0x112": "orientation",
+    "0x131": "software",
+    "0x132": "dateTime"
+};
+
+const EXIF_TAGS = {
+    "0x829a": "exposureTime",
+    "0x829d": "fNumber",
+    "0x8827": "iso",
+    "0x9003": "dateTimeOriginal",
+    "0x920a": "focalLength",
+    "0xa434": "lensModel"
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+class TiffReader {
+    buffer: Buffer;
+    start: number;
+    littleEndian: boolean;
+
+    constructor(buffer: Buffer, start: number) {
+        this.buffer = buffer;
+        this.start = start;
+        this.littleEndian = buffer.toString("ascii", start, start + 2) === "II";
+    }
+
+    uint16(offset: number): number {
+        const position = this.start + offset;
+        return this.littleEndian
+            ? this.buffer.readUInt16LE(position)
+            : this.buffer.readUInt16BE(position);
+    }
+
+    uint32(offset: number): number {
+        const position = this.start + offset;
+        return this.littleEndian
+            ? this.buffer.readUInt32LE(position)
+            : this.buffer.readUInt32BE(position);
+    }
+
+    int32(offset: number): number {
+        const position = this.start + offset;
+        return this.littleEndian
+            ? this.buffer.readInt32LE(position)
+            : this.buffer.readInt32BE(position);
+    }
+
+    readEntries(ifdOffset: number): Array<IfdEntry> {
+        const entries = [];
+        const count = this.uint16(ifdOffset);
+        for (let i = 0; i < count; i++) {
+            const entryOffset = ifdOffset + 2 + i * 12;
+            const type = this.uint16(entryOffset + 2);
+            const itemsCount = this.uint32(entryOffset + 4);
+            const size = (TYPE_SIZES[type] || 1) * itemsCount;
+            entries.push({
+                tag: this.uint16(entryOffset),
+                type,
+                count: itemsCount,
+                entryOffset,
+                valueOffset: size > 4 ? this.uint32(entryOffset + 8) : entryOffset + 8,
+                size
+            });
+        }
+        return entries;
+    }
+
+    readValue(entry: IfdEntry): mixed {
+        const { type, count, valueOffset } = entry;
+        if (this.start + valueOffset + entry.size > this.buffer.length) {
+            return null;
+        }
+
+        if (type === 2) {
+            const position = this.start + valueOffset;
+            return this.buffer
+                .toString("ascii", position, position + count)
+                .replace(/\0+$/, "")
+                .trim();
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            switch (type) {
+                case 1:
+                case 7:
+                    values.push(this.buffer[this.start + valueOffset + i]);
+                    break;
+                case 3:
+                    values.push(this.uint16(valueOffset + i * 2));
+                    break;
+                case 4:
+                    values.push(this.uint32(valueOffset + i * 4));
+                    break;
+                case 9:
+                    values.push(this.int32(valueOffset + i * 4));
+                    break;
+                case 5:
+                case 10: {
+                    const read = type === 5 ? this.uint32.bind(this) : this.int32.bind(this);
+                    const denominator = read(valueOffset + i * 8 + 4);
+                    values.push(denominator ? read(valueOffset + i * 8) / denominator : 0);
+                    break;
+                }
+                default:
+                    return null;
+            }
+        }
+
+        return count === 1 ? values[0] : values;
+    }
+
+    readTags(ifdOffset: number, tags: { [string]: string }): Object {
+        const output = {};
+        this.readEntries(ifdOffset).forEach(entry => {
+            const name = tags["0x" + entry.tag.toString(16)];
+            if (name) {
+                const value = this.readValue(entry);
+                if (value !== null && value !== "") {
+                    output[name] = value;
+                }
+            }
+        });
+        return output;
+    }
+
+    getPointer(ifdOffset: number, tag: number): ?number {
+        const entry = this.readEntries(ifdOffset).find(entry => entry.tag === tag);
+        return entry ? this.uint32(entry.entryOffset + 8) : null;
+    }
+}
+
+/**
+ * Returns the TIFF reader for the EXIF segment (APP1) of given JPEG, or null if it has no EXIF data.
+ */
+const getTiffReader = (buffer: Buffer): ?TiffReader => {
+    if (buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+        return null;
+    }
+
+    let offset = 2;
+    while (offset + 4 < buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+
+        if (marker === 0xe1 && buffer.toString("ascii", offset + 4, offset + 10) === "Exif\0\0") {
+            return new TiffReader(buffer, offset + 10);
+        }
+
+        // Start of scan - image data follows, no more metadata segments.
+        if (marker === 0xda) {
+            return null;
+        }
+
+        offset += 2 + length;
+    }
+
+    return null;
+};
+
+const toDegrees = (value: mixed, ref: mixed): ?number => {
+    if (!Array.isArray(value) || value.length !== 3) {
+        return null;
+    }
+
+    const [degrees, minutes, seconds] = ((value: any): Array<number>);
+    const output = degrees + minutes / 60 + seconds / 3600;
+    return ref === "S" || ref === "W" ? -output : output;
+};
+
+/**
+ * Reads EXIF data from given JPEG. Returns null if the image contains no EXIF data.
+ */
+export const readExif = (buffer: Buffer): ?Object => {
+    try {
+        const reader = getTiffReader(buffer);
+        if (!reader) {
+            return null;
+        }
+
+        const ifd0 = reader.uint32(4);
+        const exif = reader.readTags(ifd0, IFD0_TAGS);
+
+        const exifIfd = reader.getPointer(ifd0, EXIF_IFD_POINTER);
+        if (exifIfd) {
+            Object.assign(exif, reader.readTags(exifIfd, EXIF_TAGS));
+        }
+
+        const gpsIfd = reader.getPointer(ifd0, GPS_IFD_POINTER);
+        if (gpsIfd) {
+            const gps = reader.readTags(gpsIfd, {
+                "0x1": "latitudeRef",
+                "0x2": "latitude",
+                "0x3": "longitudeRef",
+                "0x4": "longitude",
+                "0x6": "altitude"
+            });
+
+            const latitude = toDegrees(gps.latitude, gps.latitudeRef);
+            const longitude = toDegrees(gps.longitude, gps.longitudeRef);
+            if (latitude !== null && longitude !== null) {
+                const location: Object = { latitude, longitude };
+                if (typeof gps.altitude === "number") {
+                    location.altitude = gps.altitude;
+                }
+                exif.gps = location;
+            }
+        }
+
+        return Object.keys(exif).length ? exif : null;
+    } catch (e) {
+        // Malformed EXIF data is ignored.
+        return null;
+    }
+};
+
+/**
+ * Removes GPS location from the EXIF data of given JPEG. The GPS section is emptied in place, so the rest of the
+ * file stays intact. Returns null if the image contains no GPS data.
+ */
+export const removeGps = (buffer: Buffer): ?Buffer => {
+    try {
+        const reader = getTiffReader(buffer);
+        if (!reader) {
+            return null;
+        }
+
+        const gpsIfd = reader.getPointer(reader.uint32(4), GPS_IFD_POINTER);
+        if (!gpsIfd) {
+            return null;
+        }
+
+        const entries = reader.readEntries(gpsIfd);
+        if (!entries.length) {
+            return null;
+        }
+
+        const output = Buffer.from(buffer);
+        entries.forEach(entry => {
+            const start = reader.start + entry.valueOffset;
+            if (entry.size > 4 && start + entry.size <= output.length) {
+                output.fill(0, start, start + entry.size);
+            }
+        });
+
+        // Empty the IFD - zero entries, followed by the zeroed space of the removed ones.
+        const start = reader.start + gpsIfd;
+        output.fill(0, start, start + 2 + entries.length * 12);
+
+        return output;
+    } catch (e) {
+        return null;
+    }
+};
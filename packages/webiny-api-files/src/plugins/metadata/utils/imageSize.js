@@ -0,0 +1,115 @@
+// @flow
+type ImageSize = { width: number, height: number };
+
+const getPngSize = (buffer: Buffer): ?ImageSize => {
+    if (buffer.length < 24 || buffer.toString("ascii", 12, 16) !== "IHDR") {
+        return null;
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+const getGifSize = (buffer: Buffer): ?ImageSize => {
+    if (buffer.length < 10) {
+        return null;
+    }
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+};
+
+const getJpegSize = (buffer: Buffer): ?ImageSize => {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            return null;
+        }
+
+        const marker = buffer[offset + 1];
+
+        // Start of frame markers (except DHT, JPG and DAC, which share the same range) contain image dimensions.
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return {
+                height: buffer.readUInt16BE(offset + 5),
+                width: buffer.readUInt16BE(offset + 7)
+            };
+        }
+
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+};
+
+const getWebpSize = (buffer: Buffer): ?ImageSize => {
+    if (buffer.length < 30) {
+        return null;
+    }
+
+    const chunk = buffer.toString("ascii", 12, 16);
+    if (chunk === "VP8 ") {
+        return {
+            width: buffer.readUInt16LE(26) & 0x3fff,
+            height: buffer.readUInt16LE(28) & 0x3fff
+        };
+    }
+
+    if (chunk === "VP8L") {
+        const [b0, b1, b2, b3] = [buffer[21], buffer[22], buffer[23], buffer[24]];
+        return {
+            width: 1 + (((b1 & 0x3f) << 8) | b0),
+            height: 1 + (((b3 & 0xf) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6))
+        };
+    }
+
+    if (chunk === "VP8X") {
+        return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    }
+
+    return null;
+};
+
+const getSvgSize = (buffer: Buffer): ?ImageSize => {
+    const svg = buffer.toString("utf8");
+    const tag = svg.match(/<svg[^>]*>/i);
+    if (!tag) {
+        return null;
+    }
+
+    const getAttribute = name => {
+        const match = tag[0].match(new RegExp(`\\s${name}=["']([^"']*)["']`, "i"));
+        return match ? match[1] : null;
+    };
+
+    const width = parseFloat(getAttribute("width"));
+    const height = parseFloat(getAttribute("height"));
+    if (width > 0 && height > 0) {
+        return { width, height };
+    }
+
+    const viewBox = (getAttribute("viewBox") || "").split(/[\s,]+/).map(parseFloat);
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+        return { width: viewBox[2], height: viewBox[3] };
+    }
+
+    return null;
+};
+
+/**
+ * Reads image dimensions from file headers (PNG, JPEG, GIF, WebP and SVG), without decoding the image.
+ */
+export default (buffer: Buffer): ?ImageSize => {
+    if (buffer.toString("hex", 0, 8) === "89504e470d0a1a0a") {
+        return getPngSize(buffer);
+    }
+
+    if (buffer.toString("ascii", 0, 4) === "GIF8") {
+        return getGifSize(buffer);
+    }
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        return getJpegSize(buffer);
+    }
+
+    if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+        return getWebpSize(buffer);
+    }
+
+    return getSvgSize(buffer);
+};
@@ -0,0 +1,88 @@
+// @flow
+type Box = { type: string, start: number, end: number };
+
+/**
+ * Reads boxes (atoms) of an MP4 / QuickTime file, between given offsets.
+ */
+const readBoxes = (buffer: Buffer, start: number, end: number): Array<Box> => {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let headerSize = 8;
+        if (size === 1) {
+            // 64-bit size follows the type.
+            size =
+                buffer.readUInt32BE(offset + 8) * Math.pow(2, 32) +
+                buffer.readUInt32BE(offset + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+
+        if (size < headerSize) {
+            break;
+        }
+
+        boxes.push({
+            type: buffer.toString("ascii", offset + 4, offset + 8),
+            start: offset + headerSize,
+            end: Math.min(offset + size, end)
+        });
+        offset += size;
+    }
+    return boxes;
+};
+
+const findBox = (boxes: Array<Box>, type: string): ?Box => boxes.find(box => box.type === type);
+
+/**
+ * Reads duration (in seconds) and video dimensions from an MP4 / QuickTime file.
+ */
+export default (buffer: Buffer): ?{ duration: number, width?: number, height?: number } => {
+    try {
+        const moov = findBox(readBoxes(buffer, 0, buffer.length), "moov");
+        if (!moov) {
+            return null;
+        }
+
+        const children = readBoxes(buffer, moov.start, moov.end);
+        const mvhd = findBox(children, "mvhd");
+        if (!mvhd) {
+            return null;
+        }
+
+        // Version 1 uses 64-bit creation / modification times and duration.
+        const version = buffer[mvhd.start];
+        const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+        const duration =
+            version === 1
+                ? buffer.readUInt32BE(mvhd.start + 24) * Math.pow(2, 32) +
+                  buffer.readUInt32BE(mvhd.start + 28)
+                : buffer.readUInt32BE(mvhd.start + 16);
+
+        const output: Object = { duration: timescale ? duration / timescale : 0 };
+
+        // Video tracks are the ones with non-zero dimensions (stored as 16.16 fixed point numbers).
+        children
+            .filter(box => box.type === "trak")
+            .forEach(trak => {
+                const tkhd = findBox(readBoxes(buffer, trak.start, trak.end), "tkhd");
+                if (!tkhd || output.width) {
+                    return;
+                }
+
+                const offset = tkhd.start + (buffer[tkhd.start] === 1 ? 88 : 76);
+                const width = buffer.readUInt32BE(offset) / 65536;
+                const height = buffer.readUInt32BE(offset + 4) / 65536;
+                if (width && height) {
+                    output.width = Math.round(width);
+                    output.height = Math.round(height);
+                }
+            });
+
+        return output;
+    } catch (e) {
+        return null;
+    }
+};
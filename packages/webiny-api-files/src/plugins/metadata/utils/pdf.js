@@ -0,0 +1,25 @@
+// @flow
+/**
+ * Returns the number of pages of given PDF. Page objects are counted first, and if those are stored in compressed
+ * object streams, the highest "/Count" value (the root of the page tree) is used.
+ */
+export default (buffer: Buffer): ?number => {
+    const content = buffer.toString("latin1");
+    if (!content.startsWith("%PDF")) {
+        return null;
+    }
+
+    const pages = content.match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+    if (pages) {
+        return pages.length;
+    }
+
+    let count = 0;
+    const regex = /\/Count\s+(\d+)/g;
+    let match;
+    while ((match = regex.exec(content))) {
+        count = Math.max(count, parseInt(match[1]));
+    }
+
+    return count || null;
+};
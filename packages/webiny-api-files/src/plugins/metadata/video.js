@@ -0,0 +1,28 @@
+// @flow
+import getMp4Info from "./utils/mp4";
+import type { FilesMetadataPluginType } from "webiny-api-files/types";
+
+const VIDEO_TYPES = ["video/mp4", "video/quicktime", "video/x-m4v", "audio/mp4"];
+
+export default ({
+    type: "files-metadata",
+    name: "files-metadata-video",
+    canExtract({ type }) {
+        return VIDEO_TYPES.includes(type);
+    },
+    async extract({ body }) {
+        const info = getMp4Info(body);
+        if (!info) {
+            return { meta: {} };
+        }
+
+        const { duration, width, height } = info;
+        const meta: Object = { duration };
+        if (width && height) {
+            meta.width = width;
+            meta.height = height;
+            meta.aspectRatio = width / height;
+        }
+        return { meta };
+    }
+}: FilesMetadataPluginType);
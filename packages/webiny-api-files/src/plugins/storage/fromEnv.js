@@ -0,0 +1,22 @@
+// @flow
+import fsStorage from "./fsStorage";
+import s3Storage from "./s3Storage";
+import type { FilesStoragePluginType } from "webiny-api-files/types";
+
+/**
+ * Creates a storage plugin using environment variables, so the API and the "/files" handlers use the same storage:
+ * - FILES_STORAGE - "fs" (default) or "s3"
+ * - UPLOADS_FOLDER - folder used by the "fs" storage
+ * - FILES_S3_BUCKET, FILES_S3_REGION, FILES_S3_ENDPOINT - used by the "s3" storage
+ */
+export default (env: Object = process.env): FilesStoragePluginType => {
+    if (env.FILES_STORAGE === "s3") {
+        return s3Storage({
+            bucket: env.FILES_S3_BUCKET,
+            region: env.FILES_S3_REGION,
+            endpoint: env.FILES_S3_ENDPOINT
+        });
+    }
+
+    return fsStorage({ folder: env.UPLOADS_FOLDER });
+};
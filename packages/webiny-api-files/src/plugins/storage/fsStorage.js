@@ -0,0 +1,115 @@
+// @flow
+import path from "path";
+import fs from "fs-extra";
+import mime from "mime-types";
+import ImageCache from "webiny-image-transform/ImageCache";
+import type { FilesStoragePluginType } from "webiny-api-files/types";
+
+type FsStorageOptions = {
+    // Folder in which files are stored.
+    folder?: string,
+    // URL on which files are served (see "webiny-cli" file handlers).
+    url?: string,
+    // Folder in which the file handlers cache transformed images (defaults to ".cache" in the storage folder).
+    cacheFolder?: string
+};
+
+/**
+ * Stores files on local disk. Meant for local development and simple self-hosted setups - note that
+ * upload URLs are not really signed, so the upload endpoint must not be publicly exposed.
+ */
+export default ({
+    folder = ".files",
+    url = "/files",
+    cacheFolder
+}: FsStorageOptions = {}): FilesStoragePluginType => {
+    const root = path.resolve(folder);
+    const cache = new ImageCache({ folder: cacheFolder || path.join(root, ".cache") });
+
+    const getPath = (key: string): string => {
+        const file = path.resolve(root, key);
+        // Hidden files and folders (eg. cache of transformed images) cannot be accessed either.
+        const hidden = String(key)
+            .split(/[/\\]/)
+            .some(segment => segment.startsWith("."));
+        if (!key || hidden || !file.startsWith(root + path.sep)) {
+            throw Error(`Invalid file key "${key}".`);
+        }
+        return file;
+    };
+
+    const listFolder = async (folder: string) => {
+        const output = [];
+        const items = await fs.readdir(folder);
+        for (let i = 0; i < items.length; i++) {
+            // Hidden files and folders (eg. cache of transformed images) are not part of the storage.
+            if (items[i].startsWith(".")) {
+                continue;
+            }
+
+            const item = path.join(folder, items[i]);
+            const stats = await fs.stat(item);
+            if (stats.isDirectory()) {
+                output.push(...(await listFolder(item)));
+                continue;
+            }
+
+            output.push({
+                key: path
+                    .relative(root, item)
+                    .split(path.sep)
+                    .join("/"),
+                size: stats.size,
+                modifiedOn: stats.mtime
+            });
+        }
+        return output;
+    };
+
+    return {
+        type: "files-storage",
+        name: "files-storage-fs",
+        async put(key, body) {
+            const file = getPath(key);
+            await fs.ensureDir(path.dirname(file));
+            await fs.writeFile(file, body);
+        },
+        async get(key) {
+            try {
+                const body = await fs.readFile(getPath(key));
+                return { body, contentType: mime.lookup(key) || "application/octet-stream" };
+            } catch (e) {
+                if (e.code === "ENOENT") {
+                    return null;
+                }
+                throw e;
+            }
+        },
+        async delete(key) {
+            await fs.remove(getPath(key));
+            // Transformed images of the deleted file are not needed anymore.
+            await cache.remove(key);
+        },
+        async list({ prefix = "" } = {}) {
+            if (!(await fs.pathExists(root))) {
+                return [];
+            }
+
+            const files = await listFolder(root);
+            return files.filter(file => file.key.startsWith(prefix));
+        },
+        async signedUrl(key, { method, contentType }) {
+            getPath(key);
+
+            if (method === "POST") {
+                const fields: { [string]: string } = { key };
+                if (contentType) {
+                    fields["Content-Type"] = contentType;
+                }
+                return { url: `${url}/upload`, fields };
+            }
+
+            return { url: `${url}/${key}` };
+        }
+    };
+};
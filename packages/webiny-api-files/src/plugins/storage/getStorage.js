@@ -0,0 +1,11 @@
+// @flow
+import { getPlugins } from "webiny-plugins";
+import type { FilesStoragePluginType } from "webiny-api-files/types";
+
+/**
+ * Returns the registered "files-storage" plugin. Last registered one wins, which allows apps to override the default one.
+ */
+export default (): ?FilesStoragePluginType => {
+    const storages: Array<FilesStoragePluginType> = (getPlugins("files-storage"): any);
+    return storages.length ? storages[storages.length - 1] : null;
+};
@@ -0,0 +1,5 @@
+// @flow
+export { default as getStorage } from "./getStorage";
+export { default as fsStorage } from "./fsStorage";
+export { default as s3Storage } from "./s3Storage";
+export { default as storageFromEnv } from "./fromEnv";
@@ -0,0 +1,280 @@
+// @flow
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import { URL } from "url";
+import querystring from "querystring";
+import aws4 from "aws4";
+import type { FilesStoragePluginType } from "webiny-api-files/types";
+
+type S3StorageOptions = {
+    bucket: string,
+    region?: string,
+    // Custom endpoint for S3-compatible services (eg. "http://localhost:9000" for a local MinIO server).
+    endpoint?: string,
+    // Use "endpoint/bucket/key" URLs instead of "bucket.endpoint/key" (required by most S3-compatible services).
+    forcePathStyle?: boolean,
+    accessKeyId?: string,
+    secretAccessKey?: string,
+    sessionToken?: string
+};
+
+type S3Response = {
+    statusCode: number,
+    headers: Object,
+    body: Buffer
+};
+
+// Signed URLs are valid for 15 minutes, unless set otherwise.
+const DEFAULT_EXPIRES_IN = 15 * 60;
+
+const encodeKey = (key: string): string => {
+    return key
+        .split("/")
+        .map(encodeURIComponent)
+        .join("/");
+};
+
+const hmac = (key: string | Buffer, value: string): Buffer => {
+    return crypto
+        .createHmac("sha256", key)
+        .update(value)
+        .digest();
+};
+
+// Returns eg. "20190612T093000Z", as required by AWS Signature Version 4.
+const toAmzDate = (date: Date): string => {
+    return date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+};
+
+const getXmlValues = (xml: string, tag: string): Array<string> => {
+    const values = [];
+    const regex = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g");
+    let match;
+    while ((match = regex.exec(xml))) {
+        values.push(match[1]);
+    }
+    return values;
+};
+
+const decodeXml = (value: string): string => {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&amp;/g, "&");
+};
+
+/**
+ * Stores files in an S3 bucket, or any S3-compatible storage (eg. MinIO), using AWS Signature Version 4.
+ * Credentials default to the standard AWS environment variables.
+ */
+export default (options: S3StorageOptions): FilesStoragePluginType => {
+    const {
+        bucket,
+        region = "us-east-1",
+        endpoint,
+        forcePathStyle = !!endpoint,
+        accessKeyId = process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY,
+        sessionToken = process.env.AWS_SESSION_TOKEN
+    } = options;
+
+    const credentials = { accessKeyId, secretAccessKey, sessionToken };
+
+    const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    const host = forcePathStyle ? baseUrl.host : `${bucket}.${baseUrl.host}`;
+    const bucketPath = forcePathStyle ? `/${bucket}` : "";
+    const bucketUrl = `${baseUrl.protocol}//${host}${bucketPath}`;
+
+    const request = ({
+        method,
+        key = "",
+        query,
+        headers = {},
+        body
+    }: {
+        method: string,
+        key?: string,
+        query?: Object,
+        headers?: Object,
+        body?: Buffer
+    }): Promise<S3Response> => {
+        const path =
+            `${bucketPath}/${encodeKey(key)}` + (query ? "?" + querystring.stringify(query) : "");
+
+        const signed = aws4.sign(
+            { service: "s3", region, host, method, path, headers, body },
+            credentials
+        );
+
+        return new Promise((resolve, reject) => {
+            const transport = baseUrl.protocol === "http:" ? http : https;
+            const req = transport.request(
+                {
+                    protocol: baseUrl.protocol,
+                    hostname: forcePathStyle ? baseUrl.hostname : `${bucket}.${baseUrl.hostname}`,
+                    port: baseUrl.port || undefined,
+                    method,
+                    path: signed.path,
+                    headers: signed.headers
+                },
+                res => {
+                    const chunks = [];
+                    res.on("data", chunk => chunks.push(chunk));
+                    res.on("end", () => {
+                        resolve({
+                            statusCode: res.statusCode,
+                            headers: res.headers,
+                            body: Buffer.concat(chunks)
+                        });
+                    });
+                    res.on("error", reject);
+                }
+            );
+
+            req.on("error", reject);
+            body && req.write(body);
+            req.end();
+        });
+    };
+
+    const assertSuccess = (response: S3Response) => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+            return;
+        }
+
+        const [code] = getXmlValues(response.body.toString(), "Code");
+        throw Error(`S3 request failed with status ${response.statusCode} (${code || "unknown"}).`);
+    };
+
+    /**
+     * Creates form fields for a browser-based upload (POST policy), see:
+     * https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-post-example.html
+     */
+    const createPresignedPost = (key: string, { contentType, size, expiresIn }) => {
+        const date = new Date();
+        const amzDate = toAmzDate(date);
+        const dateStamp = amzDate.substr(0, 8);
+        const credential = `${String(accessKeyId)}/${dateStamp}/${region}/s3/aws4_request`;
+
+        const fields: { [string]: string } = {
+            key,
+            "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+            "X-Amz-Credential": credential,
+            "X-Amz-Date": amzDate
+        };
+
+        if (contentType) {
+            fields["Content-Type"] = contentType;
+        }
+
+        if (sessionToken) {
+            fields["X-Amz-Security-Token"] = sessionToken;
+        }
+
+        const conditions = [
+            { bucket },
+            ...Object.keys(fields).map(name => ({ [name]: fields[name] }))
+        ];
+
+        if (size) {
+            conditions.push(["content-length-range", 0, size]);
+        }
+
+        const policy = Buffer.from(
+            JSON.stringify({
+                expiration: new Date(date.getTime() + expiresIn * 1000).toISOString(),
+                conditions
+            })
+        ).toString("base64");
+
+        const signingKey = [dateStamp, region, "s3", "aws4_request"].reduce(
+            (key, value) => hmac(key, value),
+            "AWS4" + String(secretAccessKey)
+        );
+
+        fields["Policy"] = policy;
+        fields["X-Amz-Signature"] = hmac(signingKey, policy).toString("hex");
+
+        return { url: bucketUrl, fields };
+    };
+
+    return {
+        type: "files-storage",
+        name: "files-storage-s3",
+        async put(key, body, { contentType } = {}) {
+            const headers = {};
+            if (contentType) {
+                headers["Content-Type"] = contentType;
+            }
+
+            assertSuccess(await request({ method: "PUT", key, headers, body }));
+        },
+        async get(key) {
+            const response = await request({ method: "GET", key });
+            if (response.statusCode === 404) {
+                return null;
+            }
+
+            assertSuccess(response);
+            return {
+                body: response.body,
+                contentType: response.headers["content-type"] || "application/octet-stream"
+            };
+        },
+        async delete(key) {
+            assertSuccess(await request({ method: "DELETE", key }));
+        },
+        async list({ prefix = "" } = {}) {
+            const output = [];
+
+            let continuationToken = null;
+            do {
+                const query: Object = { "list-type": 2, prefix };
+                if (continuationToken) {
+                    query["continuation-token"] = continuationToken;
+                }
+
+                const response = await request({ method: "GET", query });
+                assertSuccess(response);
+
+                const xml = response.body.toString();
+                const contents = getXmlValues(xml, "Contents");
+                for (let i = 0; i < contents.length; i++) {
+                    output.push({
+                        key: decodeXml(getXmlValues(contents[i], "Key")[0]),
+                        size: parseInt(getXmlValues(contents[i], "Size")[0]),
+                        modifiedOn: new Date(getXmlValues(contents[i], "LastModified")[0])
+                    });
+                }
+
+                const [truncated] = getXmlValues(xml, "IsTruncated");
+                continuationToken =
+                    truncated === "true" ? getXmlValues(xml, "NextContinuationToken")[0] : null;
+            } while (continuationToken);
+
+            return output;
+        },
+        async signedUrl(key, { method, contentType, size, expiresIn = DEFAULT_EXPIRES_IN }) {
+            if (method === "POST") {
+                return createPresignedPost(key, { contentType, size, expiresIn });
+            }
+
+            const signed = aws4.sign(
+                {
+                    service: "s3",
+                    region,
+                    host,
+                    method,
+                    path: `${bucketPath}/${encodeKey(key)}?X-Amz-Expires=${expiresIn}`,
+                    signQuery: true
+                },
+                credentials
+            );
+
+            return { url: `${baseUrl.protocol}//${host}${signed.path}` };
+        }
+    };
+};
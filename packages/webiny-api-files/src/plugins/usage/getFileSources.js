@@ -0,0 +1,51 @@
+// @flow
+import { URL } from "url";
+
+// Only relative paths are stored as file "src", so absolute URLs are reduced to their path.
+const normalizeSrc = (src: string): ?string => {
+    if (src.startsWith("/")) {
+        return src;
+    }
+
+    if (/^https?:\/\//.test(src)) {
+        try {
+            return new URL(src).pathname;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    return null;
+};
+
+const collect = (value: mixed, field: string, output: { [src: string]: Array<string> }) => {
+    if (Array.isArray(value)) {
+        value.forEach(item => collect(item, field, output));
+        return;
+    }
+
+    if (!value || typeof value !== "object") {
+        return;
+    }
+
+    const object: Object = value;
+    if (typeof object.src === "string") {
+        const src = normalizeSrc(object.src);
+        if (src) {
+            output[src] = output[src] || [];
+            !output[src].includes(field) && output[src].push(field);
+        }
+    }
+
+    Object.keys(object).forEach(key => collect(object[key], field, output));
+};
+
+/**
+ * Finds all file references (objects with a "src" key, eg. `{ src: "/files/logo.png" }`) in given entity data.
+ * Returns referenced sources, each with a list of top-level fields in which it was found.
+ */
+export default (data: Object): { [src: string]: Array<string> } => {
+    const output = {};
+    Object.keys(data).forEach(field => collect(data[field], field, output));
+    return output;
+};
@@ -0,0 +1,128 @@
+// @flow
+import get from "lodash/get";
+import { getPlugins } from "webiny-plugins";
+import type { Entity } from "webiny-entity";
+import type { EntityPluginType, GraphQLContextPluginType } from "webiny-api/types";
+import getFileSources from "./getFileSources";
+
+type UsageOptions = {
+    name: string,
+    label: (entity: Entity) => string
+};
+
+/**
+ * Returns values of all attributes that are saved into the storage, including the unchanged ones.
+ */
+const getStorageData = async (entity: Entity): Promise<Object> => {
+    const data = {};
+    const attributes = entity.getAttributes();
+    for (let name in attributes) {
+        const attribute = attributes[name];
+        if (attribute.getToStorage() && !attribute.getDynamic()) {
+            data[name] = await attribute.getStorageValue();
+        }
+    }
+
+    return data;
+};
+
+const trackEntity = (entityClass: Class<Entity>, options: UsageOptions, context: Object) => {
+    const loadUsages = async (entity: Entity, transaction) => {
+        const { FileUsage } = context.files.entities;
+        const query = { entityName: options.name, entityId: entity.id };
+
+        const usages = [];
+        let page = 1;
+        let data = await FileUsage.find({ query, page, perPage: 100, transaction });
+        while (data.length) {
+            usages.push(...data);
+            if (data.length < 100) {
+                break;
+            }
+            data = await FileUsage.find({ query, page: ++page, perPage: 100, transaction });
+        }
+        return usages;
+    };
+
+    // Usages are just an index, so they are always deleted permanently.
+    const removeUsages = async (entity: Entity, transaction) => {
+        const usages = await loadUsages(entity, transaction);
+        for (let i = 0; i < usages.length; i++) {
+            await usages[i].delete({ permanent: true, transaction });
+        }
+    };
+
+    const updateUsages = async (entity: Entity, transaction) => {
+        const { FileUsage } = context.files.entities;
+        const sources = getFileSources(await getStorageData(entity));
+        const label = options.label(entity);
+
+        const usages = await loadUsages(entity, transaction);
+        for (let i = 0; i < usages.length; i++) {
+            const usage = usages[i];
+            const fields = sources[usage.src];
+            delete sources[usage.src];
+
+            if (!fields) {
+                await usage.delete({ permanent: true, transaction });
+                continue;
+            }
+
+            await usage.populate({ label, fields }).save({ transaction });
+        }
+
+        const created = Object.keys(sources);
+        for (let i = 0; i < created.length; i++) {
+            const usage = new FileUsage();
+            usage.populate({
+                src: created[i],
+                entityName: options.name,
+                entityId: entity.id,
+                label,
+                fields: sources[created[i]]
+            });
+            await usage.save({ transaction });
+        }
+    };
+
+    // Usages are changed as a part of the transaction the entity was saved / deleted in (if any).
+    entityClass.on("afterSave", async ({ entity, params }) => {
+        const { transaction } = params;
+        entity.deleted
+            ? await removeUsages(entity, transaction)
+            : await updateUsages(entity, transaction);
+    });
+
+    // Soft deleted entities are not visible anymore, so their files are not considered used either.
+    entityClass.on("afterDelete", async ({ entity, params }) => {
+        await removeUsages(entity, params.transaction);
+    });
+};
+
+/**
+ * Records which files are used by entities that were registered with the "fileUsage" flag. Every object with a
+ * "src" key in the entity's data is considered a file reference. The flag can also be an object, containing a
+ * function that returns a human readable label of the entity (eg. `{ label: page => page.title }`).
+ */
+const graphqlContextFileUsage: GraphQLContextPluginType = {
+    type: "graphql-context",
+    name: "graphql-context-files-usage",
+    apply(context) {
+        getPlugins("entity").forEach((plugin: EntityPluginType) => {
+            if (!plugin.fileUsage) {
+                return;
+            }
+
+            const { name } = plugin.entity;
+            const entityClass = get(context, [plugin.namespace, "entities", name]);
+            if (!entityClass) {
+                return;
+            }
+
+            const label = get(plugin, "fileUsage.label", entity => `${name} ${entity.id}`);
+            trackEntity(entityClass, { name, label }, context);
+        });
+    }
+};
+
+export default graphqlContextFileUsage;
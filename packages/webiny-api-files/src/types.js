@@ -0,0 +1,60 @@
+// @flow
+import type { PluginType } from "webiny-plugins/types";
+
+export type FilesStorageObjectType = {
+    key: string,
+    size: number,
+    modifiedOn: Date
+};
+
+export type FilesStorageFileType = {
+    body: Buffer,
+    contentType: string
+};
+
+export type FilesStorageSignedUrlOptionsType = {
+    // "GET" for downloading, "POST" for uploading the file using a multipart form.
+    method: "GET" | "POST",
+    contentType?: string,
+    size?: number,
+    // Number of seconds the URL is valid for.
+    expiresIn?: number
+};
+
+export type FilesStorageSignedUrlType = {
+    url: string,
+    // Form fields that must be sent together with the file (only for "POST").
+    fields?: { [string]: string }
+};
+
+export type FilesStoragePluginType = PluginType & {
+    put: (key: string, body: Buffer, options?: { contentType?: string }) => Promise<void>,
+    // Returns null if the file does not exist.
+    get: (key: string) => Promise<?FilesStorageFileType>,
+    delete: (key: string) => Promise<void>,
+    list: (options?: { prefix?: string }) => Promise<Array<FilesStorageObjectType>>,
+    signedUrl: (
+        key: string,
+        options: FilesStorageSignedUrlOptionsType
+    ) => Promise<FilesStorageSignedUrlType>
+};
+
+export type FilesMetadataFileType = {
+    key: string,
+    type: string,
+    body: Buffer
+};
+
+export type FilesMetadataOptionsType = {
+    // Remove GPS location from images (both from the extracted metadata and the stored file).
+    stripGps: boolean
+};
+
+export type FilesMetadataPluginType = PluginType & {
+    canExtract: (file: { type: string }) => boolean,
+    // Returns metadata, which is merged into file's "meta". If "body" is returned, the stored file is replaced with it.
+    extract: (
+        file: FilesMetadataFileType,
+        options: FilesMetadataOptionsType
+    ) => Promise<{ meta: Object, body?: ?Buffer }>
+};
@@ -65,6 +65,7 @@ export default [
         type: "entity",
         name: "entity-google-tag-manager-settings",
         namespace: "googleTagManager",
+        audit: true,
         entity: {
             name: "GoogleTagManagerSettings",
             factory: (...args: Array<any>) => {
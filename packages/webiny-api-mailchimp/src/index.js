@@ -109,6 +109,7 @@ export default [
         type: "entity",
         name: "entity-mailchimp-settings",
         namespace: "mailchimp",
+        audit: true,
         entity: {
             name: "MailchimpSettings",
             factory: (...args: Array<any>) => {
@@ -0,0 +1,113 @@
+import { assert } from "chai";
+import pick from "lodash/pick";
+import { registerPlugins, unregisterPlugin } from "webiny-plugins";
+import entityPlugins from "webiny-api-security/plugins/entities";
+import graphqlContextAudit from "webiny-api-security/plugins/audit";
+import diffStorageData from "webiny-api-security/plugins/audit/diffStorageData";
+import createContext from "./utils/createContext";
+
+describe("audit log test", () => {
+    let context;
+
+    beforeAll(() => {
+        registerPlugins(entityPlugins);
+    });
+
+    afterAll(() => {
+        entityPlugins.forEach(plugin => unregisterPlugin(plugin.name));
+    });
+
+    beforeEach(async () => {
+        context = createContext();
+        graphqlContextAudit.apply(context);
+
+        const { User } = context.security.entities;
+        const admin = new User();
+        admin.populate({ email: "admin@webiny.com", password: "12345678" });
+        await admin.save();
+        context.user = { id: admin.id };
+    });
+
+    const getLogs = async entityId => {
+        const { AuditLog } = context.security.entities;
+        const logs = await AuditLog.find({ query: { entityId }, sort: { createdOn: 1 } });
+        return Array.from(logs);
+    };
+
+    it("must record creation, update and deletion of an entity", async () => {
+        const { Role } = context.security.entities;
+        const role = new Role();
+        role.populate({ name: "Editor", slug: "editor", description: "Edits pages." });
+        await role.save();
+
+        role.description = "Edits and publishes pages.";
+        await role.save();
+
+        // Saving without changes must not create a new entry.
+        await role.save();
+
+        await role.delete();
+
+        const logs = await getLogs(role.id);
+        assert.deepEqual(logs.map(log => log.action), ["CREATE", "UPDATE", "DELETE"]);
+        for (let i = 0; i < logs.length; i++) {
+            assert.equal(logs[i].entityName, "Role");
+            assert.equal((await logs[i].createdBy).id, context.user.id);
+        }
+
+        const [created, updated, deleted] = logs;
+        assert.deepEqual(pick(created.changes, ["name", "slug"]), {
+            name: { from: null, to: "Editor" },
+            slug: { from: null, to: "editor" }
+        });
+        assert.notProperty(created.changes, "savedOn");
+
+        assert.deepEqual(updated.changes, {
+            description: { from: "Edits pages.", to: "Edits and publishes pages." }
+        });
+
+        assert.deepEqual(pick(deleted.changes, ["name", "description"]), {
+            name: { from: "Editor", to: null },
+            description: { from: "Edits and publishes pages.", to: null }
+        });
+    });
+
+    it("must not record passwords and two-factor secrets", async () => {
+        const { User } = context.security.entities;
+        const user = new User();
+        user.populate({ email: "user@webiny.com", password: "12345678", firstName: "John" });
+        await user.save();
+
+        user.password = "87654321";
+        user.twoFactorSecret = "SECRET";
+        user.twoFactorRecoveryCodes = ["hash-1", "hash-2"];
+        await user.save();
+
+        user.populate({ firstName: "Jane" });
+        user.password = "11111111";
+        await user.save();
+
+        await user.delete();
+
+        const logs = await getLogs(user.id);
+        assert.deepEqual(logs.map(log => log.action), ["CREATE", "UPDATE", "DELETE"]);
+
+        logs.forEach(log => {
+            ["password", "twoFactorSecret", "twoFactorRecoveryCodes"].forEach(field => {
+                assert.notProperty(log.changes, field);
+            });
+        });
+
+        assert.deepEqual(logs[1].changes, { firstName: { from: "John", to: "Jane" } });
+    });
+
+    it("must return only changed fields that are not ignored", async () => {
+        const before = { id: "1", name: "A", tags: ["a"], password: "x", savedOn: 1 };
+        const after = { id: "1", name: "B", tags: ["a"], password: "y", savedOn: 2, slug: "b" };
+
+        assert.deepEqual(diffStorageData(before, after, { ignore: ["password", "savedOn"] }), {
+            name: { from: "A", to: "B" },
+            slug: { from: null, to: "b" }
+        });
+    });
+});
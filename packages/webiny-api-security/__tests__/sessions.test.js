@@ -0,0 +1,218 @@
+import { assert } from "chai";
+import { JwtToken } from "webiny-api-security/plugins/authentication/jwtToken";
+import authenticate from "webiny-api-security/plugins/authentication/authenticate";
+import issueTokens, { createSession } from "webiny-api-security/plugins/authentication/issueTokens";
+import resolveRefreshToken from "webiny-api-security/plugins/graphql/userResolvers/refreshToken";
+import logoutUser from "webiny-api-security/plugins/graphql/userResolvers/logoutUser";
+import logoutEverywhere from "webiny-api-security/plugins/graphql/userResolvers/logoutEverywhere";
+import createContext from "./utils/createContext";
+
+const refreshToken = resolveRefreshToken(context => context.security.entities.User);
+
+const HOUR = 60 * 60 * 1000;
+
+describe("sessions test", () => {
+    let context, user, jwt;
+
+    beforeEach(async () => {
+        context = createContext();
+        jwt = new JwtToken({ secret: "secret" });
+        const { User } = context.security.entities;
+
+        user = new User();
+        user.populate({ email: "user@webiny.com", password: "12345678" });
+        await user.save();
+    });
+
+    const login = async () => {
+        const session = await createSession({ user, args: {}, context });
+        const tokens = await issueTokens({ user, session, args: {}, context });
+        return { session, ...tokens };
+    };
+
+    const reload = async session => {
+        const { Session } = context.security.entities;
+        Session.getEntityPool().flush();
+        return await Session.findById(session.id);
+    };
+
+    const authenticateWith = async (token, httpMethod = "POST") => {
+        const authContext = {
+            ...context,
+            event: { httpMethod, headers: { Authorization: `Bearer ${token}` } }
+        };
+        await authenticate(authContext);
+        return authContext;
+    };
+
+    describe("Session entity", () => {
+        it("must be active until it expires or gets revoked", async () => {
+            const { session } = await login();
+            assert.isTrue(session.isActive());
+
+            session.expiresOn = new Date(Date.now() - 1000);
+            assert.isFalse(session.isActive());
+
+            session.expiresOn = new Date(Date.now() + HOUR);
+            await session.revoke();
+            assert.isFalse(session.isActive());
+            assert.instanceOf((await reload(session)).revokedOn, Date);
+        });
+
+        it("must expire after 30 days by default, or as configured", async () => {
+            let { session } = await login();
+            const days = (session.expiresOn - Date.now()) / (24 * HOUR);
+            assert.closeTo(days, 30, 0.01);
+
+            context.config.security.refreshToken = { expiresOn: () => new Date(Date.now() + HOUR) };
+            ({ session } = await login());
+            assert.closeTo(session.expiresOn - Date.now(), HOUR, 5000);
+        });
+
+        it("must move to the next generation only if it was not refreshed in the meantime", async () => {
+            const { session } = await login();
+            const { Session } = context.security.entities;
+            const getStored = () => Session.getDriver().getCollection("SecuritySession")[0];
+
+            assert.isTrue(await session.refresh());
+            assert.equal(getStored().generation, 1);
+
+            // Simulates a concurrent refresh of the same session.
+            getStored().generation = 2;
+            assert.isFalse(await session.refresh());
+            assert.equal(getStored().generation, 2);
+        });
+
+        it("must revoke all active sessions of a user", async () => {
+            const first = await login();
+            const second = await login();
+
+            await logoutEverywhere(null, {}, { ...context, user: { id: user.id } });
+
+            assert.isTrue((await reload(first.session)).revoked);
+            assert.isTrue((await reload(second.session)).revoked);
+        });
+    });
+
+    describe("issueTokens", () => {
+        it("must issue access and refresh tokens bound to the session", async () => {
+            const { session, token, refreshToken, expiresOn } = await login();
+
+            const { data } = await jwt.decode(token);
+            assert.equal(data.id, user.id);
+            assert.equal(data.type, "user");
+            assert.equal(data.session, session.id);
+            assert.isFalse(data.twoFactorSetupRequired);
+            assert.isAbove(expiresOn, Date.now() / 1000);
+
+            const refresh = await jwt.decode(refreshToken);
+            assert.deepEqual(refresh.data, { type: "refresh", session: session.id, generation: 0 });
+            assert.equal(refresh.exp, Math.floor(session.expiresOn.getTime() / 1000));
+        });
+
+        it("must not grant any access until the required 2FA is set up", async () => {
+            const { Group } = context.security.entities;
+            const group = new Group();
+            group.populate({ name: "Admins", slug: "admins", requireTwoFactor: true });
+            await group.save();
+            user.groups = [group];
+            await user.save();
+
+            const { token } = await login();
+            const { data } = await jwt.decode(token);
+            assert.isTrue(data.twoFactorSetupRequired);
+            assert.deepEqual(data.access, { scopes: [], roles: [], fullAccess: false });
+        });
+    });
+
+    describe("refreshToken", () => {
+        it("must issue new tokens and invalidate the used refresh token", async () => {
+            const { session, refreshToken: token } = await login();
+
+            const response = await refreshToken(null, { refreshToken: token }, context);
+            assert.equal(response.data.user.id, user.id);
+            assert.equal((await jwt.decode(response.data.refreshToken)).data.generation, 1);
+            assert.equal((await reload(session)).generation, 1);
+        });
+
+        it("must revoke the session if a refresh token is used twice", async () => {
+            const { session, refreshToken: token } = await login();
+            await refreshToken(null, { refreshToken: token }, context);
+
+            const response = await refreshToken(null, { refreshToken: token }, context);
+            assert.equal(response.error.code, "TOKEN_REVOKED");
+            assert.isTrue((await reload(session)).revoked);
+        });
+
+        it("must revoke the session if it was refreshed concurrently", async () => {
+            const { session, refreshToken: token } = await login();
+
+            // Another request moved the session to the next generation after this one loaded it.
+            const { Session } = context.security.entities;
+            const [stored] = Session.getDriver().getCollection("SecuritySession");
+            const findById = Session.findById;
+            Session.findById = async (...args) => {
+                const found = await findById.apply(Session, args);
+                stored.generation = 1;
+                return found;
+            };
+
+            const response = await refreshToken(null, { refreshToken: token }, context);
+            Session.findById = findById;
+
+            assert.equal(response.error.code, "TOKEN_REVOKED");
+            assert.isTrue((await reload(session)).revoked);
+        });
+
+        it("must reject revoked sessions and access tokens", async () => {
+            const { session, token, refreshToken: refresh } = await login();
+
+            let response = await refreshToken(null, { refreshToken: token }, context);
+            assert.equal(response.error.code, "TOKEN_INVALID");
+
+            await session.revoke();
+            response = await refreshToken(null, { refreshToken: refresh }, context);
+            assert.equal(response.error.code, "TOKEN_REVOKED");
+        });
+    });
+
+    describe("authenticate", () => {
+        it("must assign user to the context for a valid access token", async () => {
+            const { session, token } = await login();
+            const authContext = await authenticateWith(token);
+            assert.equal(authContext.token, token);
+            assert.equal(authContext.user.id, user.id);
+            assert.equal(authContext.user.session, session.id);
+        });
+
+        it("must reject access tokens of revoked sessions", async () => {
+            const { session, token } = await login();
+            await logoutUser(null, {}, { ...context, user: { id: user.id, session: session.id } });
+
+            try {
+                await authenticateWith(token);
+            } catch (e) {
+                assert.equal(e.code, "TOKEN_REVOKED");
+                return;
+            }
+            throw Error(`Error should've been thrown.`);
+        });
+
+        it("must reject refresh tokens", async () => {
+            const { refreshToken: token } = await login();
+            try {
+                await authenticateWith(token);
+            } catch (e) {
+                assert.equal(e.code, "TOKEN_INVALID");
+                return;
+            }
+            throw Error(`Error should've been thrown.`);
+        });
+
+        it("must not authenticate requests other than POST", async () => {
+            const { token } = await login();
+            const authContext = await authenticateWith(token, "GET");
+            assert.isUndefined(authContext.user);
+        });
+    });
+});
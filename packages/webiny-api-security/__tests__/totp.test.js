@@ -0,0 +1,74 @@
+import { assert } from "chai";
+import {
+    generateSecret,
+    generateCode,
+    getCodeStep,
+    verifyCode,
+    createOtpauthUrl,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} from "webiny-api-security/plugins/authentication/totp";
+
+// Test vector from RFC 6238 (SHA1, 8 digits "94287082" at T = 59), truncated to 6 digits.
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("TOTP test", () => {
+    it("must generate codes from RFC 6238 test vectors", () => {
+        assert.equal(generateCode(RFC_SECRET, 59 * 1000), "287082");
+        assert.equal(generateCode(RFC_SECRET, 1111111109 * 1000), "081804");
+        assert.equal(generateCode(RFC_SECRET, 1234567890 * 1000), "005924");
+    });
+
+    it("must generate base32 secrets", () => {
+        const secret = generateSecret();
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.notEqual(secret, generateSecret());
+    });
+
+    it("must accept codes from the current, previous and next time step", () => {
+        const secret = generateSecret();
+        const time = 1000 * 30 * 1000;
+
+        assert.equal(getCodeStep(secret, generateCode(secret, time), time), 1000);
+        assert.equal(getCodeStep(secret, generateCode(secret, time - 30000), time), 999);
+        assert.equal(getCodeStep(secret, generateCode(secret, time + 30000), time), 1001);
+        assert.isTrue(verifyCode(secret, generateCode(secret, time), time));
+    });
+
+    it("must reject codes outside of the allowed clock drift", () => {
+        const secret = generateSecret();
+        const time = 1000 * 30 * 1000;
+
+        assert.isNull(getCodeStep(secret, generateCode(secret, time - 60000), time));
+        assert.isNull(getCodeStep(secret, generateCode(secret, time + 60000), time));
+        assert.isFalse(verifyCode(secret, "abcdef", time));
+    });
+
+    it("must ignore whitespace in codes", () => {
+        const secret = generateSecret();
+        const code = generateCode(secret);
+        assert.isTrue(verifyCode(secret, `${code.substr(0, 3)} ${code.substr(3)}`));
+    });
+
+    it("must create otpauth URL", () => {
+        const url = createOtpauthUrl({
+            secret: "ABC",
+            account: "user@webiny.com",
+            issuer: "Webiny"
+        });
+        assert.equal(
+            url,
+            "otpauth://totp/Webiny%3Auser%40webiny.com?secret=ABC&issuer=Webiny&digits=6&period=30"
+        );
+    });
+
+    it("must generate unique recovery codes and hash them case-insensitively", () => {
+        const codes = generateRecoveryCodes();
+        assert.lengthOf(codes, 10);
+        assert.equal(new Set(codes).size, 10);
+        codes.forEach(code => assert.match(code, /^[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}$/));
+
+        assert.equal(hashRecoveryCode(` ${codes[0].toUpperCase()} `), hashRecoveryCode(codes[0]));
+        assert.notEqual(hashRecoveryCode(codes[0]), hashRecoveryCode(codes[1]));
+    });
+});
@@ -0,0 +1,192 @@
+import { assert } from "chai";
+import {
+    generateSecret,
+    generateCode,
+    hashRecoveryCode
+} from "webiny-api-security/plugins/authentication/totp";
+import resolveLoginUser from "webiny-api-security/plugins/graphql/userResolvers/loginUser";
+import resolveLoginUsingTwoFactor from "webiny-api-security/plugins/graphql/userResolvers/loginUsingTwoFactor";
+import createContext from "./utils/createContext";
+
+const userFetcher = context => context.security.entities.User;
+const loginUser = resolveLoginUser(userFetcher);
+const loginUsingTwoFactor = resolveLoginUsingTwoFactor(userFetcher);
+
+const PERIOD = 30 * 1000;
+
+describe("two-factor authentication test", () => {
+    let context, user;
+
+    beforeEach(async () => {
+        context = createContext();
+        const { User } = context.security.entities;
+
+        user = new User();
+        user.populate({ email: "user@webiny.com", password: "12345678" });
+        user.twoFactorSecret = generateSecret();
+        user.twoFactorEnabled = true;
+        user.twoFactorRecoveryCodes = ["1111-2222-3333", "4444-5555-6666"].map(hashRecoveryCode);
+        await user.save();
+    });
+
+    const login = async () => {
+        const response = await loginUser(
+            null,
+            { username: "user@webiny.com", password: "12345678" },
+            context
+        );
+        return response.data.twoFactorChallenge;
+    };
+
+    describe("verifyTwoFactorCode", () => {
+        it("must accept a valid TOTP code only once", async () => {
+            const code = generateCode(user.twoFactorSecret);
+            assert.isTrue(await user.verifyTwoFactorCode(code));
+            assert.isFalse(await user.verifyTwoFactorCode(code));
+        });
+
+        it("must reject codes from already used or earlier time steps", async () => {
+            assert.isTrue(
+                await user.verifyTwoFactorCode(
+                    generateCode(user.twoFactorSecret, Date.now() + PERIOD)
+                )
+            );
+            assert.isFalse(await user.verifyTwoFactorCode(generateCode(user.twoFactorSecret)));
+            assert.isFalse(
+                await user.verifyTwoFactorCode(
+                    generateCode(user.twoFactorSecret, Date.now() - PERIOD)
+                )
+            );
+        });
+
+        it("must accept a recovery code only once and remove it", async () => {
+            assert.isTrue(await user.verifyTwoFactorCode("1111-2222-3333"));
+            assert.deepEqual(user.twoFactorRecoveryCodes, [hashRecoveryCode("4444-5555-6666")]);
+            assert.isFalse(await user.verifyTwoFactorCode("1111-2222-3333"));
+
+            const { User } = context.security.entities;
+            User.getEntityPool().flush();
+            const stored = await User.findById(user.id);
+            assert.deepEqual(stored.twoFactorRecoveryCodes, [hashRecoveryCode("4444-5555-6666")]);
+        });
+
+        it("must lock 2FA after too many invalid codes", async () => {
+            for (let i = 0; i < 4; i++) {
+                assert.isFalse(await user.verifyTwoFactorCode("000000"));
+            }
+            assert.equal(user.twoFactorFailedAttempts, 4);
+            assert.isFalse(user.isTwoFactorLocked());
+
+            assert.isFalse(await user.verifyTwoFactorCode("000000"));
+            assert.isTrue(user.isTwoFactorLocked());
+
+            // Even valid codes are rejected while locked.
+            assert.isFalse(await user.verifyTwoFactorCode(generateCode(user.twoFactorSecret)));
+            assert.isFalse(await user.verifyTwoFactorCode("1111-2222-3333"));
+            assert.lengthOf(user.twoFactorRecoveryCodes, 2);
+
+            user.twoFactorLockedUntil = new Date(Date.now() - 1000);
+            assert.isTrue(await user.verifyTwoFactorCode(generateCode(user.twoFactorSecret)));
+        });
+
+        it("must reset failed attempts after a valid code", async () => {
+            assert.isFalse(await user.verifyTwoFactorCode("000000"));
+            assert.isFalse(await user.verifyTwoFactorCode("000000"));
+            assert.isTrue(await user.verifyTwoFactorCode("1111-2222-3333"));
+            assert.equal(user.twoFactorFailedAttempts, 0);
+        });
+
+        it("must reject a code if the user was saved in the meantime", async () => {
+            const { User } = context.security.entities;
+            const [stored] = User.getDriver().getCollection("SecurityUser");
+            stored.savedOn = new Date(Date.now() + 1000);
+
+            assert.isFalse(await user.verifyTwoFactorCode(generateCode(user.twoFactorSecret)));
+        });
+    });
+
+    describe("login flow", () => {
+        it("must return a challenge instead of tokens if 2FA is enabled", async () => {
+            const response = await loginUser(
+                null,
+                { username: "user@webiny.com", password: "12345678" },
+                context
+            );
+            assert.isString(response.data.twoFactorChallenge);
+            assert.isUndefined(response.data.token);
+        });
+
+        it("must issue tokens for a valid challenge and code", async () => {
+            const challenge = await login();
+            const response = await loginUsingTwoFactor(
+                null,
+                { challenge, code: generateCode(user.twoFactorSecret) },
+                context
+            );
+
+            assert.equal(response.data.user.id, user.id);
+            assert.isString(response.data.token);
+            assert.isString(response.data.refreshToken);
+        });
+
+        it("must reject invalid codes", async () => {
+            const challenge = await login();
+            const response = await loginUsingTwoFactor(
+                null,
+                { challenge, code: "000000" },
+                context
+            );
+            assert.equal(response.error.code, "INVALID_TWO_FACTOR_CODE");
+        });
+
+        it("must not allow using the same challenge twice", async () => {
+            const challenge = await login();
+            await loginUsingTwoFactor(null, { challenge, code: "1111-2222-3333" }, context);
+
+            const response = await loginUsingTwoFactor(
+                null,
+                { challenge, code: "4444-5555-6666" },
+                context
+            );
+            assert.equal(response.error.code, "TOKEN_INVALID");
+        });
+
+        it("must only accept the latest challenge", async () => {
+            const first = await login();
+            const second = await login();
+
+            let response = await loginUsingTwoFactor(
+                null,
+                { challenge: first, code: "1111-2222-3333" },
+                context
+            );
+            assert.equal(response.error.code, "TOKEN_INVALID");
+
+            response = await loginUsingTwoFactor(
+                null,
+                { challenge: second, code: "1111-2222-3333" },
+                context
+            );
+            assert.isString(response.data.token);
+        });
+
+        it("must lock 2FA login after too many invalid codes, also across challenges", async () => {
+            let challenge = await login();
+            for (let i = 0; i < 3; i++) {
+                await loginUsingTwoFactor(null, { challenge, code: "000000" }, context);
+            }
+
+            challenge = await login();
+            for (let i = 0; i < 2; i++) {
+                await loginUsingTwoFactor(null, { challenge, code: "000000" }, context);
+            }
+
+            const response = await loginUsingTwoFactor(
+                null,
+                { challenge, code: generateCode(user.twoFactorSecret) },
+                context
+            );
+            assert.equal(response.error.code, "TWO_FACTOR_LOCKED");
+        });
+    });
+});
@@ -0,0 +1,189 @@
+import { assert } from "chai";
+import bcrypt from "bcryptjs";
+import { registerPlugins, unregisterPlugin } from "webiny-plugins";
+import resolveRequestPasswordReset from "webiny-api-security/plugins/graphql/userResolvers/requestPasswordReset";
+import resolveResetPassword from "webiny-api-security/plugins/graphql/userResolvers/resetPassword";
+import resolveVerifyEmail from "webiny-api-security/plugins/graphql/userResolvers/verifyEmail";
+import createContext from "./utils/createContext";
+
+const userFetcher = context => context.security.entities.User;
+const requestPasswordReset = resolveRequestPasswordReset(userFetcher);
+const resetPassword = resolveResetPassword(userFetcher);
+const verifyEmail = resolveVerifyEmail(userFetcher);
+
+const HOUR = 60 * 60 * 1000;
+
+describe("password reset and e-mail verification tokens test", () => {
+    let context, user, messages;
+
+    beforeEach(async () => {
+        context = createContext();
+        const { User } = context.security.entities;
+
+        user = new User();
+        user.populate({ email: "user@webiny.com", password: "12345678" });
+        await user.save();
+
+        messages = [];
+        registerPlugins({
+            type: "security-mailer",
+            name: "security-mailer-test",
+            async send(message) {
+                messages.push(message);
+            }
+        });
+    });
+
+    afterEach(() => {
+        unregisterPlugin("security-mailer-test");
+        jest.restoreAllMocks();
+    });
+
+    describe("requestPasswordReset", () => {
+        it("must send password reset e-mail to existing users", async () => {
+            const response = await requestPasswordReset(
+                null,
+                { email: " User@webiny.com " },
+                context
+            );
+            assert.isTrue(response.data);
+            assert.lengthOf(messages, 1);
+            assert.equal(messages[0].type, "password-reset");
+            assert.equal(messages[0].to, "user@webiny.com");
+        });
+
+        it("must respond with success if user does not exist", async () => {
+            const response = await requestPasswordReset(
+                null,
+                { email: "nobody@webiny.com" },
+                context
+            );
+            assert.isTrue(response.data);
+            assert.isNull(response.error);
+            assert.lengthOf(messages, 0);
+        });
+
+        it("must respond with success and log the error if mailer fails", async () => {
+            unregisterPlugin("security-mailer-test");
+            registerPlugins({
+                type: "security-mailer",
+                name: "security-mailer-test",
+                async send() {
+                    throw Error("SMTP server not available.");
+                }
+            });
+            const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+
+            const response = await requestPasswordReset(
+                null,
+                { email: "user@webiny.com" },
+                context
+            );
+            assert.isTrue(response.data);
+            assert.isNull(response.error);
+            assert.include(consoleError.mock.calls[0][0], "SMTP server not available.");
+        });
+    });
+
+    describe("resetPassword", () => {
+        it("must change the password and revoke existing sessions", async () => {
+            const { Session } = context.security.entities;
+            const session = new Session();
+            session.populate({ user: user.id, expiresOn: new Date(Date.now() + HOUR) });
+            await session.save();
+
+            const token = await user.createToken("password-reset");
+            const response = await resetPassword(
+                null,
+                { token, password: "new-password" },
+                context
+            );
+            assert.isTrue(response.data);
+
+            const { User } = context.security.entities;
+            User.getEntityPool().flush();
+            Session.getEntityPool().flush();
+            const stored = await User.findById(user.id);
+            assert.isTrue(bcrypt.compareSync("new-password", stored.password));
+            assert.isTrue((await Session.findById(session.id)).revoked);
+        });
+
+        it("must not accept the same token twice", async () => {
+            const token = await user.createToken("password-reset");
+            await resetPassword(null, { token, password: "new-password" }, context);
+
+            const response = await resetPassword(
+                null,
+                { token, password: "another-password" },
+                context
+            );
+            assert.equal(response.error.code, "TOKEN_INVALID");
+        });
+
+        it("must not accept expired tokens", async () => {
+            const token = await user.createToken("password-reset");
+
+            const now = Date.now();
+            jest.spyOn(Date, "now").mockReturnValue(now + 2 * HOUR);
+
+            const response = await resetPassword(
+                null,
+                { token, password: "new-password" },
+                context
+            );
+            assert.equal(response.error.code, "TOKEN_EXPIRED");
+        });
+
+        it("must not accept invalid tokens or tokens of another type", async () => {
+            let response = await resetPassword(
+                null,
+                { token: "invalid", password: "new-password" },
+                context
+            );
+            assert.equal(response.error.code, "TOKEN_INVALID");
+
+            const token = await user.createToken("email-verification");
+            response = await resetPassword(null, { token, password: "new-password" }, context);
+            assert.equal(response.error.code, "TOKEN_INVALID");
+        });
+    });
+
+    describe("verifyEmail", () => {
+        it("must mark the e-mail as verified", async () => {
+            const token = await user.createToken("email-verification");
+            const response = await verifyEmail(null, { token }, context);
+            assert.isTrue(response.data);
+
+            const { User } = context.security.entities;
+            User.getEntityPool().flush();
+            assert.isTrue((await User.findById(user.id)).emailVerified);
+        });
+
+        it("must not accept the same token twice", async () => {
+            const token = await user.createToken("email-verification");
+            await verifyEmail(null, { token }, context);
+
+            const response = await verifyEmail(null, { token }, context);
+            assert.equal(response.error.code, "TOKEN_INVALID");
+        });
+
+        it("must not accept expired tokens", async () => {
+            const token = await user.createToken("email-verification");
+
+            const now = Date.now();
+            jest.spyOn(Date, "now").mockReturnValue(now + 8 * 24 * HOUR);
+
+            const response = await verifyEmail(null, { token }, context);
+            assert.equal(response.error.code, "TOKEN_EXPIRED");
+        });
+
+        it("must not accept invalid tokens or tokens of another type", async () => {
+            let response = await verifyEmail(null, { token: "invalid" }, context);
+            assert.equal(response.error.code, "TOKEN_INVALID");
+
+            const token = await user.createToken("password-reset");
+            response = await verifyEmail(null, { token }, context);
+            assert.equal(response.error.code, "TOKEN_INVALID");
+        });
+    });
+});
@@ -0,0 +1,31 @@
+import { Entity } from "webiny-entity";
+import MemoryDriver from "webiny-entity-memory";
+import entityPlugins from "webiny-api-security/plugins/entities";
+
+/**
+ * Creates a GraphQL context with all security entities, which store data in memory.
+ */
+export default (config = {}) => {
+    Entity.driver = new MemoryDriver();
+    Entity.crud = { ...Entity.crud, logs: true };
+    Entity.pool.flush();
+
+    const context = {
+        config: {
+            security: {
+                token: {
+                    secret: "secret",
+                    expiresOn: () => Math.floor(Date.now() / 1000) + 60 * 60
+                },
+                ...config
+            }
+        },
+        security: { entities: {} }
+    };
+
+    entityPlugins.forEach(plugin => {
+        context.security.entities[plugin.entity.name] = plugin.entity.factory(context);
+    });
+
+    return context;
+};
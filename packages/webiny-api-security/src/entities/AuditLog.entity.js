@@ -0,0 +1,41 @@
+// @flow
+import { Entity } from "webiny-entity";
+
+export interface IAuditLog extends Entity {
+    action: "CREATE" | "UPDATE" | "DELETE" | "RESTORE";
+    entityName: string;
+    entityId: string;
+    createdBy: ?Entity;
+    changes: { [field: string]: { from: mixed, to: mixed } };
+}
+
+export function auditLogFactory(context: Object): Class<IAuditLog> {
+    return class AuditLog extends Entity {
+        static classId = "SecurityAuditLog";
+
+        action: "CREATE" | "UPDATE" | "DELETE" | "RESTORE";
+        entityName: string;
+        entityId: string;
+        createdBy: ?Entity;
+        changes: { [field: string]: { from: mixed, to: mixed } };
+
+        constructor() {
+            super();
+
+            const { User } = context.security.entities;
+
+            this.attr("action")
+                .char()
+                .setValidators("required,in:CREATE:UPDATE:DELETE:RESTORE");
+            this.attr("entityName")
+                .char()
+                .setValidators("required");
+            this.attr("entityId")
+                .char()
+                .setValidators("required");
+            this.attr("createdBy").entity(User);
+            // Changed fields, with values before and after the change (eg. { title: { from: "A", to: "B" } }).
+            this.attr("changes").object();
+        }
+    };
+}
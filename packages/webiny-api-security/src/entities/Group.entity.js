@@ -7,6 +7,7 @@ export interface IGroup extends Entity {
     slug: string;
     description: string;
     system: boolean;
+    requireTwoFactor: boolean;
     roles: Promise<Array<IRole>>;
 }
 
@@ -18,6 +19,7 @@ export function groupFactory(context: Object): Class<IGroup> {
         slug: string;
         description: string;
         system: boolean;
+        requireTwoFactor: boolean;
         roles: Promise<Array<IRole>>;
 
         constructor() {
@@ -41,6 +43,10 @@ export function groupFactory(context: Object): Class<IGroup> {
 
             this.attr("description").char();
             this.attr("system").boolean();
+            // Members of the group must use two-factor authentication.
+            this.attr("requireTwoFactor")
+                .boolean()
+                .setDefaultValue(false);
 
             this.attr("roles")
                 .entities(entities.Role, "entity")
@@ -0,0 +1,91 @@
+// @flow
+import { Entity, EntityError } from "webiny-entity";
+
+export interface ISession extends Entity {
+    user: string;
+    expiresOn: Date;
+    generation: number;
+    revoked: boolean;
+    revokedOn: ?Date;
+    isActive(): boolean;
+    refresh(): Promise<boolean>;
+    revoke(): Promise<void>;
+}
+
+export function sessionFactory(): Class<ISession> {
+    return class Session extends Entity {
+        static classId = "SecuritySession";
+
+        user: string;
+        expiresOn: Date;
+        generation: number;
+        revoked: boolean;
+        revokedOn: ?Date;
+
+        constructor() {
+            super();
+
+            this.attr("user")
+                .char()
+                .setValidators("required")
+                .setOnce();
+            this.attr("expiresOn").date();
+            // Incremented on each refresh - refresh tokens issued for older generations are rejected.
+            this.attr("generation")
+                .integer()
+                .setDefaultValue(0);
+            this.attr("revoked")
+                .boolean()
+                .setDefaultValue(false);
+            this.attr("revokedOn").date();
+        }
+
+        isActive(): boolean {
+            return !this.revoked && this.expiresOn > new Date();
+        }
+
+        /**
+         * Moves the session to the next generation. The update is conditional on the loaded generation, so if
+         * the same refresh token is used concurrently, only one of the requests succeeds and others get false.
+         */
+        async refresh(): Promise<boolean> {
+            const generation = this.generation;
+            this.generation = generation + 1;
+
+            try {
+                await this.save({ precondition: { generation } });
+            } catch (e) {
+                if (e.code === EntityError.CONFLICT) {
+                    return false;
+                }
+                throw e;
+            }
+
+            return true;
+        }
+
+        async revoke(): Promise<void> {
+            if (this.revoked) {
+                return;
+            }
+
+            this.revoked = true;
+            this.revokedOn = new Date();
+            await this.save();
+        }
+
+        /**
+         * Revokes all active sessions of given user (used for "sign out everywhere").
+         */
+        static async revokeAll(user: string): Promise<void> {
+            // Revoked sessions drop out of the query, so we keep loading the first page until it's empty.
+            let sessions = await this.find({ query: { user, revoked: false } });
+            while (sessions.length) {
+                for (let i = 0; i < sessions.length; i++) {
+                    await sessions[i].revoke();
+                }
+                sessions = await this.find({ query: { user, revoked: false } });
+            }
+        }
+    };
+}
@@ -1,12 +1,28 @@
 // @flow
 import md5 from "md5";
+import crypto from "crypto";
 import bcrypt from "bcryptjs";
 import get from "lodash/get";
-import { Entity } from "webiny-entity";
+import { Entity, EntityError } from "webiny-entity";
+import { JwtToken, JwtTokenError } from "webiny-api-security/plugins/authentication/jwtToken";
+import { getCodeStep, hashRecoveryCode } from "webiny-api-security/plugins/authentication/totp";
 import type { IGroup } from "./Group.entity";
 import type { IRole } from "./Role.entity";
 import FileModel from "./File.model";
 
+export type UserTokenType = "password-reset" | "email-verification" | "two-factor-challenge";
+
+// Validity of user tokens, in seconds.
+const USER_TOKEN_TTL = {
+    "password-reset": 60 * 60,
+    "email-verification": 7 * 24 * 60 * 60,
+    "two-factor-challenge": 5 * 60
+};
+
+// After this many invalid 2FA codes in a row, 2FA is locked for TWO_FACTOR_LOCK_DURATION seconds.
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_DURATION = 15 * 60;
+
 type AccessType = {
     scopes: Array<string>,
     roles: Array<string>,
@@ -21,10 +37,22 @@ export interface IUser extends Entity {
     gravatar: string;
     avatar: Object;
     enabled: boolean;
+    emailVerified: boolean;
+    twoFactorEnabled: boolean;
+    twoFactorSecret: ?string;
+    twoFactorRecoveryCodes: Array<string>;
+    twoFactorLastStep: ?number;
+    twoFactorFailedAttempts: number;
+    twoFactorLockedUntil: ?Date;
+    twoFactorChallenge: ?string;
     groups: Promise<Array<IGroup>>;
     roles: Promise<Array<IRole>>;
     scopes: Promise<Array<string>>;
     access: Promise<AccessType>;
+    createToken(type: UserTokenType): Promise<string>;
+    isTwoFactorRequired(): Promise<boolean>;
+    isTwoFactorLocked(): boolean;
+    verifyTwoFactorCode(code: string): Promise<boolean>;
 }
 
 export function userFactory({ config, security: { entities } }: Object): Class<IUser> {
@@ -39,6 +67,14 @@ export function userFactory({ config, security: { entities } }: Object): Class<I
         gravatar: string;
         avatar: Object;
         enabled: boolean;
+        emailVerified: boolean;
+        twoFactorEnabled: boolean;
+        twoFactorSecret: ?string;
+        twoFactorRecoveryCodes: Array<string>;
+        twoFactorLastStep: ?number;
+        twoFactorFailedAttempts: number;
+        twoFactorLockedUntil: ?Date;
+        twoFactorChallenge: ?string;
         groups: Promise<Array<IGroup>>;
         roles: Promise<Array<IRole>>;
         scopes: Promise<Array<string>>;
@@ -58,6 +94,8 @@ export function userFactory({ config, security: { entities } }: Object): Class<I
                     }
 
                     value = value.toLowerCase().trim();
+                    // Changed e-mail must be verified again.
+                    this.emailVerified = false;
                     this.on("beforeSave", async () => {
                         const existingUser = await User.findOne({ query: { email: value } });
                         if (existingUser) {
@@ -95,6 +133,40 @@ export function userFactory({ config, security: { entities } }: Object): Class<I
                 .boolean()
                 .setValue(true);
 
+            this.attr("emailVerified")
+                .boolean()
+                .setSkipOnPopulate()
+                .setDefaultValue(false);
+
+            // TOTP secret is set when user starts the 2FA setup, and 2FA gets enabled once the first code is confirmed.
+            this.attr("twoFactorEnabled")
+                .boolean()
+                .setSkipOnPopulate()
+                .setDefaultValue(false);
+            this.attr("twoFactorSecret")
+                .char()
+                .setSkipOnPopulate();
+            // Contains hashes of recovery codes that were not used yet.
+            this.attr("twoFactorRecoveryCodes")
+                .array()
+                .setSkipOnPopulate()
+                .setDefaultValue([]);
+            // Last used TOTP time step - codes from the same or an earlier step are rejected, so they cannot be reused.
+            this.attr("twoFactorLastStep")
+                .integer()
+                .setSkipOnPopulate();
+            this.attr("twoFactorFailedAttempts")
+                .integer()
+                .setSkipOnPopulate()
+                .setDefaultValue(0);
+            this.attr("twoFactorLockedUntil")
+                .date()
+                .setSkipOnPopulate();
+            // Random value included in the 2FA challenge token, so only the latest challenge can be used, and only once.
+            this.attr("twoFactorChallenge")
+                .char()
+                .setSkipOnPopulate();
+
             this.attr("roles")
                 .entities(entities.Role, "entity")
                 .setUsing(entities.Roles2Entities, "role");
@@ -163,5 +235,117 @@ export function userFactory({ config, security: { entities } }: Object): Class<I
                     return access;
                 });
         }
+
+        /**
+         * Creates a signed token for password reset and e-mail verification links. The token contains
+         * a fingerprint of the data it is supposed to change, so it stops working once it was used.
+         */
+        async createToken(type: UserTokenType): Promise<string> {
+            if (type === "two-factor-challenge") {
+                this.twoFactorChallenge = crypto.randomBytes(16).toString("hex");
+                await this.save();
+            }
+
+            const jwt = new JwtToken({ secret: config.security.token.secret });
+            const expiresOn = Math.floor(Date.now() / 1000) + USER_TOKEN_TTL[type];
+            return await jwt.encode(
+                { type, id: this.id, fingerprint: this.getTokenFingerprint(type) },
+                expiresOn
+            );
+        }
+
+        getTokenFingerprint(type: UserTokenType): string {
+            if (type === "password-reset") {
+                return md5(this.password);
+            }
+            if (type === "two-factor-challenge") {
+                return md5(`${this.password}:${this.twoFactorChallenge || ""}`);
+            }
+            return md5(`${this.email}:${this.emailVerified ? "1" : "0"}`);
+        }
+
+        /**
+         * 2FA is required if any of user's groups requires it.
+         */
+        async isTwoFactorRequired(): Promise<boolean> {
+            const groups = await this.groups;
+            for (let i = 0; i < groups.length; i++) {
+                if (groups[i].requireTwoFactor) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        isTwoFactorLocked(): boolean {
+            return Boolean(this.twoFactorLockedUntil && this.twoFactorLockedUntil > new Date());
+        }
+
+        /**
+         * Verifies given TOTP code or a recovery code. TOTP codes and recovery codes can be used only once, and
+         * after TWO_FACTOR_MAX_ATTEMPTS invalid codes in a row, all codes are rejected until the lock expires.
+         * A successful verification also invalidates the current 2FA challenge token.
+         */
+        async verifyTwoFactorCode(code: string): Promise<boolean> {
+            if (!this.twoFactorSecret || !code || this.isTwoFactorLocked()) {
+                return false;
+            }
+
+            // Loaded "savedOn" is used as a precondition when saving, so that concurrent requests
+            // cannot use the same code (or challenge) more than once, or bypass the attempts counter.
+            const savedOn = this.savedOn;
+
+            let verified = false;
+            const step = getCodeStep(this.twoFactorSecret, code);
+            const hash = hashRecoveryCode(code);
+            if (step !== null && step !== undefined && step > (this.twoFactorLastStep || 0)) {
+                this.twoFactorLastStep = step;
+                verified = true;
+            } else if (this.twoFactorRecoveryCodes.includes(hash)) {
+                this.twoFactorRecoveryCodes = this.twoFactorRecoveryCodes.filter(
+                    item => item !== hash
+                );
+                verified = true;
+            }
+
+            if (verified) {
+                this.twoFactorFailedAttempts = 0;
+                this.twoFactorChallenge = null;
+            } else {
+                this.twoFactorFailedAttempts = (this.twoFactorFailedAttempts || 0) + 1;
+                if (this.twoFactorFailedAttempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+                    this.twoFactorFailedAttempts = 0;
+                    this.twoFactorLockedUntil = new Date(
+                        Date.now() + TWO_FACTOR_LOCK_DURATION * 1000
+                    );
+                }
+            }
+
+            try {
+                await this.save({ savedOn });
+            } catch (e) {
+                if (e.code === EntityError.CONFLICT) {
+                    return false;
+                }
+                throw e;
+            }
+
+            return verified;
+        }
+
+        /**
+         * Returns user the given token was issued for, or throws an error if the token is not valid.
+         */
+        static async findByToken(type: UserTokenType, token: string): Promise<User> {
+            const jwt = new JwtToken({ secret: config.security.token.secret });
+            const { data } = await jwt.decode(token);
+
+            const user: any = data.type === type ? await User.findById(data.id) : null;
+            if (!user || user.getTokenFingerprint(type) !== data.fingerprint) {
+                throw new JwtTokenError("Token is not valid or was already used.", "TOKEN_INVALID");
+            }
+
+            return user;
+        }
     };
 }
@@ -10,3 +10,7 @@ export type { IRole } from "webiny-api-security/entities/Role.entity";
 export { roles2entitiesFactory } from "webiny-api-security/entities/Roles2Entities.entity";
 export type { IRoles2Entities } from "webiny-api-security/entities/Roles2Entities.entity";
 export { userSettingsFactory } from "webiny-api-security/entities/UserSettings.entity";
+export { auditLogFactory } from "webiny-api-security/entities/AuditLog.entity";
+export type { IAuditLog } from "webiny-api-security/entities/AuditLog.entity";
+export { sessionFactory } from "webiny-api-security/entities/Session.entity";
+export type { ISession } from "webiny-api-security/entities/Session.entity";
@@ -20,5 +20,13 @@ export default [
         slug: "security-users",
         scopes: ["security:user:crud"],
         system: true
+    },
+    {
+        name: "Security - Audit log",
+        description:
+            "Allows browsing of the audit log (changes made to users, roles, pages, settings etc.).",
+        slug: "security-audit-log",
+        scopes: ["security:audit:read"],
+        system: true
     }
 ];
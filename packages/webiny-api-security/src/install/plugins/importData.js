@@ -18,7 +18,10 @@ export default async (context: Object) => {
         userData = data.superAdminUser;
     }
 
-    await user.populate({ ...userData, roles: [fullAccess] }).save();
+    user.populate({ ...userData, roles: [fullAccess] });
+    // E-mail of the user that installed the system doesn't need to be verified.
+    user.emailVerified = true;
+    await user.save();
 
     context.user = user;
 
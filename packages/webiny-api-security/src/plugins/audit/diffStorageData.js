@@ -0,0 +1,28 @@
+// @flow
+import isEqual from "lodash/isEqual";
+
+export type AuditLogChanges = { [field: string]: { from: mixed, to: mixed } };
+
+/**
+ * Compares storage data of an entity before and after a change, and returns changed fields with their values.
+ */
+export default (
+    before: Object,
+    after: Object,
+    options: { ignore: Array<string> } = { ignore: [] }
+): AuditLogChanges => {
+    const fields = Object.keys({ ...before, ...after }).filter(
+        field => field !== "id" && !options.ignore.includes(field)
+    );
+
+    const changes = {};
+    fields.forEach(field => {
+        const from = typeof before[field] === "undefined" ? null : before[field];
+        const to = typeof after[field] === "undefined" ? null : after[field];
+        if (!isEqual(from, to)) {
+            changes[field] = { from, to };
+        }
+    });
+
+    return changes;
+};
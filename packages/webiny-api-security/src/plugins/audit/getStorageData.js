@@ -0,0 +1,19 @@
+// @flow
+import type { Entity } from "webiny-entity";
+
+/**
+ * Returns values of all attributes that are saved into the storage. Unlike "toStorage", this also
+ * includes attributes whose values were not changed.
+ */
+export default async (entity: Entity): Promise<Object> => {
+    const data = {};
+    const attributes = entity.getAttributes();
+    for (let name in attributes) {
+        const attribute = attributes[name];
+        if (attribute.getToStorage() && !attribute.getDynamic()) {
+            data[name] = await attribute.getStorageValue();
+        }
+    }
+
+    return data;
+};
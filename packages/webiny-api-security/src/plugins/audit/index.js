@@ -0,0 +1,122 @@
+// @flow
+import get from "lodash/get";
+import { getPlugins } from "webiny-plugins";
+import type { Entity } from "webiny-entity";
+import type { EntityPluginType, GraphQLContextPluginType } from "webiny-api/types";
+import getStorageData from "./getStorageData";
+import diffStorageData from "./diffStorageData";
+
+// Log attributes are changed on every save, so they are not included in the recorded changes.
+const IGNORED_FIELDS = ["savedOn", "createdOn", "updatedOn"];
+
+type AuditOptions = {
+    name: string,
+    ignore: Array<string>
+};
+
+/**
+ * Loads data of given entity directly from the storage, so that its values before the change can be recorded.
+ */
+const loadStorageData = async (entity: Entity, params: Object = {}): Promise<Object> => {
+    const options: Object = { query: { id: entity.id } };
+    if (params.transaction) {
+        options.transaction = params.transaction;
+    }
+
+    const result = await entity.getDriver().findOne(entity.constructor, options);
+    return result.getResult() || {};
+};
+
+const trackEntity = (entityClass: Class<Entity>, options: AuditOptions, context: Object) => {
+    // Holds storage data loaded before an update / delete and a flag that marks updates made by "restore".
+    const states: WeakMap<Entity, { before: Object, restoring: boolean }> = new WeakMap();
+    const getState = entity => {
+        if (!states.has(entity)) {
+            states.set(entity, { before: {}, restoring: false });
+        }
+        return (states.get(entity): any);
+    };
+
+    const log = async (action, entity, before, after, params) => {
+        const changes = diffStorageData(before, after, {
+            ignore: [...IGNORED_FIELDS, ...options.ignore]
+        });
+
+        if (action === "UPDATE" && !Object.keys(changes).length) {
+            return;
+        }
+
+        const { AuditLog } = context.security.entities;
+        const auditLog = new AuditLog();
+        auditLog.populate({
+            action,
+            entityName: options.name,
+            entityId: entity.id,
+            createdBy: context.user ? context.user.id : null,
+            changes
+        });
+
+        // If the entity was changed in a transaction, the log is saved as a part of it.
+        await auditLog.save({ transaction: params.transaction });
+    };
+
+    entityClass.on("beforeUpdate", async ({ entity, params }) => {
+        getState(entity).before = await loadStorageData(entity, params);
+    });
+
+    entityClass.on("beforeDelete", async ({ entity, params }) => {
+        getState(entity).before = await loadStorageData(entity, params);
+    });
+
+    entityClass.on("beforeRestore", ({ entity }) => {
+        getState(entity).restoring = true;
+    });
+
+    entityClass.on("afterCreate", async ({ entity, params }) => {
+        await log("CREATE", entity, {}, await getStorageData(entity), params);
+    });
+
+    entityClass.on("afterUpdate", async ({ entity, params }) => {
+        const state = getState(entity);
+        states.delete(entity);
+        const action = state.restoring ? "RESTORE" : "UPDATE";
+        await log(action, entity, state.before, await getStorageData(entity), params);
+    });
+
+    entityClass.on("afterDelete", async ({ entity, params }) => {
+        const state = getState(entity);
+        states.delete(entity);
+
+        // Soft deleted entities still exist in the storage, so we record their current state.
+        const soft = get(entityClass, "crud.delete.soft") && params.permanent !== true;
+        const after = soft ? await getStorageData(entity) : {};
+        await log("DELETE", entity, state.before, after, params);
+    });
+};
+
+/**
+ * Records changes of all entities that were registered with the "audit" flag. The flag can also be an
+ * object, containing a list of fields that must not be recorded (eg. `{ ignore: ["password"] }`).
+ */
+const graphqlContextAudit: GraphQLContextPluginType = {
+    type: "graphql-context",
+    name: "graphql-context-audit",
+    apply(context) {
+        getPlugins("entity").forEach((plugin: EntityPluginType) => {
+            if (!plugin.audit) {
+                return;
+            }
+
+            const { name } = plugin.entity;
+            const entityClass = get(context, [plugin.namespace, "entities", name]);
+            if (!entityClass) {
+                return;
+            }
+
+            const ignore = get(plugin, "audit.ignore", []);
+            trackEntity(entityClass, { name, ignore }, context);
+        });
+    }
+};
+
+export default graphqlContextAudit;
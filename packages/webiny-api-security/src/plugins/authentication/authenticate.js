@@ -1,5 +1,5 @@
 // @flow
-import { JwtToken } from "./jwtToken";
+import { JwtToken, JwtTokenError } from "./jwtToken";
 
 export default async (context: Object) => {
     const { config, event } = context;
@@ -11,6 +11,17 @@ export default async (context: Object) => {
         const jwt = new JwtToken({ secret: config.security.token.secret });
         user = (await jwt.decode(token)).data;
 
+        // Only access tokens can be used for authentication (eg. refresh tokens cannot).
+        if (user.type !== "user" || !user.session) {
+            throw new JwtTokenError("Invalid access token.", "TOKEN_INVALID");
+        }
+
+        const { Session } = context.security.entities;
+        const session = await Session.findById(user.session);
+        if (!session || session.revoked) {
+            throw new JwtTokenError("Session was revoked.", "TOKEN_REVOKED");
+        }
+
         // Assign token and user to context to be forwarded to ApolloServer
         context.token = token;
         context.user = user;
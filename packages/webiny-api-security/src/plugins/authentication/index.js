@@ -1,3 +1,4 @@
 // @flow
 export { default as authenticate } from "./authenticate";
+export { default as issueTokens, createSession } from "./issueTokens";
 export { JwtTokenError, JwtToken } from "./jwtToken";
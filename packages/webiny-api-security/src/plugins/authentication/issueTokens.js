@@ -0,0 +1,88 @@
+// @flow
+import { JwtToken } from "./jwtToken";
+import type { ISession, IUser } from "webiny-api-security/entities";
+
+// Refresh tokens (and with them, sessions) expire after 30 days, unless configured otherwise.
+const DEFAULT_REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+
+const toTimestamp = (value: Date | number): number => {
+    if (value instanceof Date) {
+        return Math.floor(value.getTime() / 1000);
+    }
+    return value;
+};
+
+/**
+ * Creates a new session for given user. Access tokens are bound to the session, which allows revoking them.
+ */
+export const createSession = async ({
+    user,
+    args,
+    context
+}: {
+    user: IUser,
+    args: Object,
+    context: Object
+}): Promise<ISession> => {
+    const { refreshToken } = context.config.security;
+
+    let expiresOn = Math.floor(Date.now() / 1000) + DEFAULT_REFRESH_TOKEN_TTL;
+    if (refreshToken && typeof refreshToken.expiresOn === "function") {
+        expiresOn = toTimestamp(refreshToken.expiresOn(args));
+    }
+
+    const { Session } = context.security.entities;
+    const session = new Session();
+    session.populate({ user: user.id, expiresOn: new Date(expiresOn * 1000) });
+    await session.save();
+
+    return session;
+};
+
+/**
+ * Issues a short-lived access token and a refresh token for given user and session.
+ */
+export default async ({
+    user,
+    session,
+    args,
+    context
+}: {
+    user: IUser,
+    session: ISession,
+    args: Object,
+    context: Object
+}): Promise<{ token: string, refreshToken: string, expiresOn: number }> => {
+    const jwt = new JwtToken({ secret: context.config.security.token.secret });
+
+    const expiresOn = toTimestamp(context.config.security.token.expiresOn(args));
+
+    // Until the required 2FA is set up, user gets no scopes or roles and can only manage own account.
+    const twoFactorSetupRequired = !user.twoFactorEnabled && (await user.isTwoFactorRequired());
+
+    const access = twoFactorSetupRequired
+        ? { scopes: [], roles: [], fullAccess: false }
+        : await user.access;
+
+    const token = await jwt.encode(
+        {
+            id: user.id,
+            type: "user",
+            session: session.id,
+            access,
+            twoFactorSetupRequired
+        },
+        expiresOn
+    );
+
+    const refreshToken = await jwt.encode(
+        {
+            type: "refresh",
+            session: session.id,
+            generation: session.generation
+        },
+        toTimestamp(session.expiresOn)
+    );
+
+    return { token, refreshToken, expiresOn };
+};
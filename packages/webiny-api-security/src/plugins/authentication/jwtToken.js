@@ -8,10 +8,13 @@ type JwtTokenConfig = {
 export class JwtTokenError extends Error {
     message: string;
     code: string;
+    extensions: { code: string };
     constructor(message: string, code: string) {
         super();
         this.message = message;
         this.code = code;
+        // Exposes the code in GraphQL errors, so clients can react to expired or revoked tokens.
+        this.extensions = { code };
     }
 }
 
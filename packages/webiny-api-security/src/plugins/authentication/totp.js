@@ -0,0 +1,116 @@
+// @flow
+import crypto from "crypto";
+
+/**
+ * Time-based one-time passwords (RFC 6238), compatible with Google Authenticator, Authy and similar apps.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const PERIOD = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer: Buffer): string => {
+    let bits = "";
+    for (let i = 0; i < buffer.length; i++) {
+        bits += buffer[i].toString(2).padStart(8, "0");
+    }
+
+    let output = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.substr(i, 5).padEnd(5, "0"), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input: string): Buffer => {
+    let bits = "";
+    const value = input.toUpperCase().replace(/=+$/, "");
+    for (let i = 0; i < value.length; i++) {
+        const index = BASE32_ALPHABET.indexOf(value[i]);
+        if (index === -1) {
+            throw Error("Invalid base32 character.");
+        }
+        bits += index.toString(2).padStart(5, "0");
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.substr(i, 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+export const generateSecret = (): string => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+export const generateCode = (secret: string, time: number = Date.now()): string => {
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(time / 1000 / PERIOD), 4);
+
+    const hmac = crypto
+        .createHmac("sha1", base32Decode(secret))
+        .update(counter)
+        .digest();
+
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS);
+    return String(code).padStart(DIGITS, "0");
+};
+
+/**
+ * Checks given code against the current time step and one step before / after, to allow for clock drift.
+ * Returns the matched time step (so it can be stored and the code cannot be used again), or null.
+ */
+export const getCodeStep = (secret: string, code: string, time: number = Date.now()): ?number => {
+    const value = String(code).replace(/\s/g, "");
+    const current = Math.floor(time / 1000 / PERIOD);
+    for (let step = current - 1; step <= current + 1; step++) {
+        if (generateCode(secret, step * PERIOD * 1000) === value) {
+            return step;
+        }
+    }
+    return null;
+};
+
+export const verifyCode = (secret: string, code: string, time: number = Date.now()): boolean => {
+    return getCodeStep(secret, code, time) !== null;
+};
+
+export const createOtpauthUrl = ({
+    secret,
+    account,
+    issuer
+}: {
+    secret: string,
+    account: string,
+    issuer: string
+}): string => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = [
+        `secret=${secret}`,
+        `issuer=${encodeURIComponent(issuer)}`,
+        `digits=${DIGITS}`,
+        `period=${PERIOD}`
+    ];
+    return `otpauth://totp/${label}?${params.join("&")}`;
+};
+
+/**
+ * Generates recovery codes (eg. "4f1c-9a2b-e07d"), which can be used instead of a TOTP code, each only once.
+ */
+export const generateRecoveryCodes = (count: number = 10): Array<string> => {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const hex = crypto.randomBytes(6).toString("hex");
+        codes.push(`${hex.substr(0, 4)}-${hex.substr(4, 4)}-${hex.substr(8, 4)}`);
+    }
+    return codes;
+};
+
+export const hashRecoveryCode = (code: string): string => {
+    return crypto
+        .createHash("sha256")
+        .update(code.trim().toLowerCase())
+        .digest("hex");
+};
@@ -6,6 +6,7 @@ const group: EntityPluginType = {
     name: "entity-group",
     type: "entity",
     namespace: "security",
+    audit: true,
     entity: {
         name: "Group",
         factory: entities.groupFactory
@@ -26,6 +27,7 @@ const role: EntityPluginType = {
     name: "entity-role",
     type: "entity",
     namespace: "security",
+    audit: true,
     entity: {
         name: "Role",
         factory: entities.roleFactory
@@ -46,6 +48,18 @@ const user: EntityPluginType = {
     name: "entity-user",
     type: "entity",
     namespace: "security",
+    audit: {
+        ignore: [
+            "password",
+            "twoFactorSecret",
+            "twoFactorRecoveryCodes",
+            "twoFactorLastStep",
+            "twoFactorFailedAttempts",
+            "twoFactorLockedUntil",
+            "twoFactorChallenge"
+        ]
+    },
+    fileUsage: { label: (user: Object) => user.fullName || user.email },
     entity: {
         name: "User",
         factory: entities.userFactory
@@ -62,4 +76,33 @@ const userSettings: EntityPluginType = {
     }
 };
 
-export default [group, groups2entities, role, roles2entities, user, userSettings];
+const auditLog: EntityPluginType = {
+    name: "entity-audit-log",
+    type: "entity",
+    namespace: "security",
+    entity: {
+        name: "AuditLog",
+        factory: entities.auditLogFactory
+    }
+};
+
+const session: EntityPluginType = {
+    name: "entity-session",
+    type: "entity",
+    namespace: "security",
+    entity: {
+        name: "Session",
+        factory: entities.sessionFactory
+    }
+};
+
+export default [
+    group,
+    groups2entities,
+    role,
+    roles2entities,
+    user,
+    userSettings,
+    auditLog,
+    session
+];
@@ -3,6 +3,7 @@ import { dummyResolver } from "webiny-api/graphql";
 import role from "./graphql/Role";
 import group from "./graphql/Group";
 import user from "./graphql/User";
+import auditLog from "./graphql/AuditLog";
 import { type PluginType } from "webiny-api/types";
 import { getRegisteredScopes, hasScope } from "webiny-api-security";
 import { FileType, FileInputType } from "webiny-api-files/graphql";
@@ -21,6 +22,8 @@ export default ([
             role.typeExtensions,
             group.typeDefs,
             group.typeExtensions,
+            auditLog.typeDefs,
+            auditLog.typeExtensions,
             /* GraphQL */ `
                 type SecurityQuery {
                     # Returns all scopes that were registered throughout the schema.
@@ -54,7 +57,8 @@ export default ([
             },
             group.resolvers,
             role.resolvers,
-            user.resolvers
+            user.resolvers,
+            auditLog.resolvers
         ],
         security: {
             shield: {
@@ -64,7 +68,9 @@ export default ([
                     getRole: hasScope("security:role:crud"),
                     listRoles: hasScope("security:role:crud"),
                     getUser: hasScope("security:user:crud"),
-                    listUsers: hasScope("security:user:crud")
+                    listUsers: hasScope("security:user:crud"),
+                    getAuditLog: hasScope("security:audit:read"),
+                    listAuditLogs: hasScope("security:audit:read")
                 },
                 SecurityMutation: {
                     createGroup: hasScope("security:group:crud"),
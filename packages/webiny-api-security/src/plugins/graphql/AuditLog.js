@@ -0,0 +1,81 @@
+// @flow
+import { resolveGet } from "webiny-api/graphql";
+import resolveListAuditLogs from "./auditLogResolvers/listAuditLogs";
+
+const auditLogFetcher = ctx => ctx.security.entities.AuditLog;
+
+export default {
+    typeDefs: () => [
+        /* GraphQL */ `
+            enum AuditLogAction {
+                CREATE
+                UPDATE
+                DELETE
+                RESTORE
+            }
+
+            type AuditLogChange {
+                field: String
+                from: JSON
+                to: JSON
+            }
+
+            type AuditLog {
+                id: ID
+                action: AuditLogAction
+                entityName: String
+                entityId: ID
+                createdBy: User
+                createdOn: DateTime
+                changes: [AuditLogChange]
+            }
+
+            input AuditLogFilterInput {
+                action: AuditLogAction
+                entityName: String
+                entityId: ID
+                createdBy: ID
+                from: DateTime
+                to: DateTime
+            }
+
+            type AuditLogResponse {
+                data: AuditLog
+                error: Error
+            }
+
+            type AuditLogListResponse {
+                data: [AuditLog]
+                meta: ListMeta
+                error: Error
+            }
+        `
+    ],
+    typeExtensions: `
+        extend type SecurityQuery {
+            getAuditLog(
+                id: ID 
+            ): AuditLogResponse
+            
+            # Returns recorded changes of entities, newest first (unless sorted differently).
+            listAuditLogs(
+                page: Int
+                perPage: Int
+                sort: JSON
+                where: AuditLogFilterInput
+            ): AuditLogListResponse
+        }
+    `,
+    resolvers: {
+        AuditLog: {
+            changes: (auditLog: Object): Array<Object> => {
+                const changes = auditLog.changes || {};
+                return Object.keys(changes).map(field => ({ field, ...changes[field] }));
+            }
+        },
+        SecurityQuery: {
+            getAuditLog: resolveGet(auditLogFetcher),
+            listAuditLogs: resolveListAuditLogs(auditLogFetcher)
+        }
+    }
+};
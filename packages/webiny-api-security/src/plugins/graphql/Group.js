@@ -20,6 +20,7 @@ export default {
             slug: String
             createdOn: DateTime
             description: String
+            requireTwoFactor: Boolean
             roles: [Role]
         }
         
@@ -28,6 +29,7 @@ export default {
             name: String
             slug: String
             description: String
+            requireTwoFactor: Boolean
             roles: [ID]
         }
         
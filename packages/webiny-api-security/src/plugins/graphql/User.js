@@ -1,14 +1,21 @@
 // @flow
-import {
-    resolveCreate,
-    resolveDelete,
-    resolveGet,
-    resolveList,
-    resolveUpdate
-} from "webiny-api/graphql";
+import { resolveDelete, resolveGet, resolveList, resolveUpdate } from "webiny-api/graphql";
 
 import resolveLoginUser from "./userResolvers/loginUser";
 import resolveLoginUsingToken from "./userResolvers/loginUsingToken";
+import resolveRefreshToken from "./userResolvers/refreshToken";
+import resolveLogoutUser from "./userResolvers/logoutUser";
+import resolveLogoutEverywhere from "./userResolvers/logoutEverywhere";
+import resolveRequestPasswordReset from "./userResolvers/requestPasswordReset";
+import resolveResetPassword from "./userResolvers/resetPassword";
+import resolveVerifyEmail from "./userResolvers/verifyEmail";
+import resolveRequestEmailVerification from "./userResolvers/requestEmailVerification";
+import resolveCreateUser from "./userResolvers/createUser";
+import resolveLoginUsingTwoFactor from "./userResolvers/loginUsingTwoFactor";
+import resolveSetupTwoFactor from "./userResolvers/setupTwoFactor";
+import resolveEnableTwoFactor from "./userResolvers/enableTwoFactor";
+import resolveDisableTwoFactor from "./userResolvers/disableTwoFactor";
+import resolveGenerateRecoveryCodes from "./userResolvers/generateRecoveryCodes";
 import resolveGetCurrentUser from "./userResolvers/getCurrentUser";
 import resolveUpdateCurrentUser from "./userResolvers/updateCurrentUser";
 import resolveGetCurrentUserSettings from "./userResolvers/getCurrentUserSettings";
@@ -34,8 +41,11 @@ export default {
 
             type UserLogin {
                 token: String
+                refreshToken: String
                 expiresOn: Int
                 user: User
+                # Set instead of tokens if user has 2FA enabled - must be passed to "loginUsingTwoFactor".
+                twoFactorChallenge: String
             }
 
             type UserAccess {
@@ -53,6 +63,10 @@ export default {
                 gravatar: String
                 avatar: File
                 enabled: Boolean
+                emailVerified: Boolean
+                twoFactorEnabled: Boolean
+                twoFactorRequired: Boolean
+                twoFactorSetupRequired: Boolean
                 groups: [Group]
                 roles: [Role]
                 scopes: [String]
@@ -102,6 +116,46 @@ export default {
                 data: UserLogin
                 error: Error
             }
+
+            type UserLogoutResponse {
+                data: Boolean
+                error: Error
+            }
+
+            type UserEmailTokenResponse {
+                data: Boolean
+                error: Error
+            }
+
+            type TwoFactorSetup {
+                secret: String
+                otpauthUrl: String
+            }
+
+            type TwoFactorSetupResponse {
+                data: TwoFactorSetup
+                error: Error
+            }
+
+            type TwoFactorEnabled {
+                recoveryCodes: [String]
+                login: UserLogin
+            }
+
+            type TwoFactorEnabledResponse {
+                data: TwoFactorEnabled
+                error: Error
+            }
+
+            type TwoFactorResponse {
+                data: Boolean
+                error: Error
+            }
+
+            type RecoveryCodesResponse {
+                data: [String]
+                error: Error
+            }
         `
     ],
     typeExtensions: `
@@ -142,6 +196,61 @@ export default {
                 token: String! 
             ): UserLoginResponse
             
+            "Finish login of a user with 2FA enabled, using an authentication or recovery code"
+            loginUsingTwoFactor(
+                challenge: String!
+                code: String!
+                remember: Boolean
+            ): UserLoginResponse
+            
+            "Issue a new access token (and rotate the refresh token) using a refresh token"
+            refreshToken(
+                refreshToken: String!
+            ): UserLoginResponse
+            
+            "Logout user by revoking the current session"
+            logoutUser: UserLogoutResponse
+            
+            "Logout user from all devices by revoking all of user's sessions"
+            logoutEverywhere: UserLogoutResponse
+            
+            "Send an e-mail with password reset link to the user with given e-mail"
+            requestPasswordReset(
+                email: String!
+            ): UserEmailTokenResponse
+            
+            "Set a new password using the token from password reset e-mail"
+            resetPassword(
+                token: String!
+                password: String!
+            ): UserEmailTokenResponse
+            
+            "Verify user's e-mail address using the token from verification e-mail"
+            verifyEmail(
+                token: String!
+            ): UserEmailTokenResponse
+            
+            "Send the verification e-mail to current user again"
+            requestEmailVerification: UserEmailTokenResponse
+            
+            "Start 2FA setup for current user - returns the secret for the authenticator app"
+            setupTwoFactor: TwoFactorSetupResponse
+            
+            "Enable 2FA for current user by confirming the first code from the authenticator app"
+            enableTwoFactor(
+                code: String!
+            ): TwoFactorEnabledResponse
+            
+            "Disable 2FA for current user"
+            disableTwoFactor(
+                code: String!
+            ): TwoFactorResponse
+            
+            "Replace recovery codes of current user with new ones"
+            generateRecoveryCodes(
+                code: String!
+            ): RecoveryCodesResponse
+            
             "Update current user"
             updateCurrentUser(
                 data: CurrentUserInput!
@@ -168,6 +277,12 @@ export default {
         }
     `,
     resolvers: {
+        User: {
+            twoFactorRequired: (user: Object) => user.isTwoFactorRequired(),
+            twoFactorSetupRequired: async (user: Object) => {
+                return !user.twoFactorEnabled && (await user.isTwoFactorRequired());
+            }
+        },
         SecurityQuery: {
             getCurrentUser: resolveGetCurrentUser(userFetcher),
             getCurrentUserSettings: resolveGetCurrentUserSettings(userSettingsFetcher),
@@ -177,9 +292,21 @@ export default {
         SecurityMutation: {
             loginUser: resolveLoginUser(userFetcher),
             loginUsingToken: resolveLoginUsingToken(userFetcher),
+            loginUsingTwoFactor: resolveLoginUsingTwoFactor(userFetcher),
+            refreshToken: resolveRefreshToken(userFetcher),
+            logoutUser: resolveLogoutUser,
+            logoutEverywhere: resolveLogoutEverywhere,
+            requestPasswordReset: resolveRequestPasswordReset(userFetcher),
+            resetPassword: resolveResetPassword(userFetcher),
+            verifyEmail: resolveVerifyEmail(userFetcher),
+            requestEmailVerification: resolveRequestEmailVerification(userFetcher),
+            setupTwoFactor: resolveSetupTwoFactor(userFetcher),
+            enableTwoFactor: resolveEnableTwoFactor(userFetcher),
+            disableTwoFactor: resolveDisableTwoFactor(userFetcher),
+            generateRecoveryCodes: resolveGenerateRecoveryCodes(userFetcher),
             updateCurrentUser: resolveUpdateCurrentUser(userFetcher),
             updateCurrentUserSettings: resolveUpdateCurrentUserSettings(userSettingsFetcher),
-            createUser: resolveCreate(userFetcher),
+            createUser: resolveCreateUser(userFetcher),
             updateUser: resolveUpdate(userFetcher),
             deleteUser: resolveDelete(userFetcher)
         }
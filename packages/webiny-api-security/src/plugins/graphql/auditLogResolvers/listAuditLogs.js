@@ -0,0 +1,29 @@
+// @flow
+import { ListResponse } from "webiny-api/graphql";
+import type { Entity, EntityCollection } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const AuditLog = entityFetcher(context);
+    const { page = 1, perPage = 10, sort = { createdOn: -1 }, where = {} } = args;
+
+    const query = {};
+    ["action", "entityName", "entityId", "createdBy"].forEach(key => {
+        if (where[key]) {
+            query[key] = where[key];
+        }
+    });
+
+    if (where.from || where.to) {
+        query.createdOn = {};
+        where.from && (query.createdOn.$gte = where.from);
+        where.to && (query.createdOn.$lte = where.to);
+    }
+
+    const data: EntityCollection<Entity> = await AuditLog.find({ query, page, perPage, sort });
+    return new ListResponse(data, data.getMeta());
+};
@@ -0,0 +1,19 @@
+// @flow
+import { resolveCreate } from "webiny-api/graphql";
+import { sendEmailVerificationEmail } from "../../mailer";
+import type { Entity } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => {
+    const create = resolveCreate(entityFetcher);
+
+    return async (root: any, args: Object, context: Object) => {
+        const response = await create(root, args, context);
+        if (response.data) {
+            // Sending is not critical - user can request the verification e-mail again.
+            await sendEmailVerificationEmail(response.data, context).catch(() => null);
+        }
+
+        return response;
+    };
+};
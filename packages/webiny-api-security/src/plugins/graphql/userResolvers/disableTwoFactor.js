@@ -0,0 +1,40 @@
+// @flow
+import { Response, NotFoundResponse, ErrorResponse } from "webiny-api/graphql";
+import type { Entity } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const User = entityFetcher(context);
+
+    const currentUser: any = context.user && (await User.findById(context.user.id));
+    if (!currentUser) {
+        return new NotFoundResponse("User not found!");
+    }
+
+    if (await currentUser.isTwoFactorRequired()) {
+        return new ErrorResponse({
+            code: "TWO_FACTOR_REQUIRED",
+            message:
+                "Two-factor authentication is required for your account and cannot be disabled."
+        });
+    }
+
+    if (!(await currentUser.verifyTwoFactorCode(args.code))) {
+        return new ErrorResponse({
+            code: "INVALID_TWO_FACTOR_CODE",
+            message: "Invalid authentication code."
+        });
+    }
+
+    currentUser.twoFactorEnabled = false;
+    currentUser.twoFactorSecret = null;
+    currentUser.twoFactorRecoveryCodes = [];
+    currentUser.twoFactorLastStep = null;
+    await currentUser.save();
+
+    return new Response(true);
+};
@@ -0,0 +1,53 @@
+// @flow
+import { Response, NotFoundResponse, ErrorResponse } from "webiny-api/graphql";
+import { getCodeStep, generateRecoveryCodes, hashRecoveryCode } from "../../authentication/totp";
+import issueTokens, { createSession } from "../../authentication/issueTokens";
+import type { Entity } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const User = entityFetcher(context);
+
+    const currentUser: any = context.user && (await User.findById(context.user.id));
+    if (!currentUser) {
+        return new NotFoundResponse("User not found!");
+    }
+
+    if (currentUser.twoFactorEnabled || !currentUser.twoFactorSecret) {
+        return new ErrorResponse({
+            code: "TWO_FACTOR_SETUP_NOT_STARTED",
+            message: "Two-factor authentication setup was not started."
+        });
+    }
+
+    const step = getCodeStep(currentUser.twoFactorSecret, args.code);
+    if (step === null || step === undefined) {
+        return new ErrorResponse({
+            code: "INVALID_TWO_FACTOR_CODE",
+            message: "Invalid authentication code."
+        });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    currentUser.twoFactorEnabled = true;
+    currentUser.twoFactorLastStep = step;
+    currentUser.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await currentUser.save();
+
+    // Tokens issued before 2FA was enabled may be restricted (if 2FA is required), so we start a new session.
+    const { Session } = context.security.entities;
+    const current = context.user.session && (await Session.findById(context.user.session));
+    current && (await current.revoke());
+
+    const session = await createSession({ user: currentUser, args, context });
+    const tokens = await issueTokens({ user: currentUser, session, args, context });
+
+    return new Response({
+        recoveryCodes,
+        login: { user: currentUser, ...tokens }
+    });
+};
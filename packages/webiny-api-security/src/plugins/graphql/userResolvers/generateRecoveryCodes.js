@@ -0,0 +1,32 @@
+// @flow
+import { Response, NotFoundResponse, ErrorResponse } from "webiny-api/graphql";
+import { generateRecoveryCodes, hashRecoveryCode } from "../../authentication/totp";
+import type { Entity } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const User = entityFetcher(context);
+
+    const currentUser: any = context.user && (await User.findById(context.user.id));
+    if (!currentUser) {
+        return new NotFoundResponse("User not found!");
+    }
+
+    if (!currentUser.twoFactorEnabled || !(await currentUser.verifyTwoFactorCode(args.code))) {
+        return new ErrorResponse({
+            code: "INVALID_TWO_FACTOR_CODE",
+            message: "Invalid authentication code."
+        });
+    }
+
+    // New codes replace all existing ones.
+    const recoveryCodes = generateRecoveryCodes();
+    currentUser.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await currentUser.save();
+
+    return new Response(recoveryCodes);
+};
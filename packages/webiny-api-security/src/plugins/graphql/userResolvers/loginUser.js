@@ -2,8 +2,9 @@
 import bcrypt from "bcryptjs";
 import util from "util";
 import { Response, ErrorResponse } from "webiny-api/graphql";
-import { JwtToken } from "../../authentication/jwtToken";
+import issueTokens, { createSession } from "../../authentication/issueTokens";
 import type { Entity } from "webiny-entity";
+import type { IUser } from "webiny-api-security/entities";
 type EntityFetcher = (context: Object) => Class<Entity>;
 
 const verifyPassword = util.promisify(bcrypt.compare);
@@ -20,7 +21,7 @@ export default (entityFetcher: EntityFetcher) => async (
 ) => {
     const User = entityFetcher(context);
 
-    const user: User = (await User.findOne({
+    const user: ?IUser = (await User.findOne({
         query: { email: args.username }
     }): any);
 
@@ -28,34 +29,17 @@ export default (entityFetcher: EntityFetcher) => async (
         return invalidCredentials;
     }
 
-    // $FlowFixMe - user has a "password" attribute.
     if (!(await verifyPassword(args.password, user.password))) {
         return invalidCredentials;
     }
 
-    // Generate token
-    let expiration = context.config.security.token.expiresOn(args);
-    if (expiration instanceof Date) {
-        expiration = Math.floor(expiration.getTime() / 1000);
+    // With 2FA enabled, a code from the authenticator app must be confirmed first (see "loginUsingTwoFactor").
+    if (user.twoFactorEnabled) {
+        return new Response({ twoFactorChallenge: await user.createToken("two-factor-challenge") });
     }
 
-    const jwt = new JwtToken({ secret: context.config.security.token.secret });
-    // $FlowFixMe
-    const access = await user.access;
-    const token = await jwt.encode(
-        // $FlowFixMe - instance that will be validated will have "password" attribute.
-        {
-            id: user.id,
-            type: "user",
-            access
-        },
-        // 2147483647 = maximum value of unix timestamp (year 2038).
-        2147483647
-    );
-
-    return new Response({
-        user,
-        token,
-        expiresOn: expiration
-    });
+    const session = await createSession({ user, args, context });
+    const tokens = await issueTokens({ user, session, args, context });
+
+    return new Response({ user, ...tokens });
 };
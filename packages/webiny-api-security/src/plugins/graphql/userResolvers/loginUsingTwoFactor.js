@@ -0,0 +1,44 @@
+// @flow
+import { Response, ErrorResponse } from "webiny-api/graphql";
+import issueTokens, { createSession } from "../../authentication/issueTokens";
+import type { Entity } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+const invalidCode = new ErrorResponse({
+    code: "INVALID_TWO_FACTOR_CODE",
+    message: "Invalid authentication code."
+});
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const User: any = entityFetcher(context);
+
+    let user;
+    try {
+        user = await User.findByToken("two-factor-challenge", args.challenge);
+    } catch (err) {
+        return new ErrorResponse({
+            code: err.code,
+            message: err.message
+        });
+    }
+
+    if (user.isTwoFactorLocked()) {
+        return new ErrorResponse({
+            code: "TWO_FACTOR_LOCKED",
+            message: "Too many invalid authentication codes. Please try again later."
+        });
+    }
+
+    if (!(await user.verifyTwoFactorCode(args.code))) {
+        return invalidCode;
+    }
+
+    const session = await createSession({ user, args, context });
+    const tokens = await issueTokens({ user, session, args, context });
+
+    return new Response({ user, ...tokens });
+};
@@ -0,0 +1,16 @@
+// @flow
+import { Response, ErrorResponse } from "webiny-api/graphql";
+
+export default async (root: any, args: Object, context: Object) => {
+    const { user } = context;
+    if (!user) {
+        return new ErrorResponse({
+            code: "UNAUTHORIZED",
+            message: "You must be signed in to sign out of all sessions."
+        });
+    }
+
+    await context.security.entities.Session.revokeAll(user.id);
+
+    return new Response(true);
+};
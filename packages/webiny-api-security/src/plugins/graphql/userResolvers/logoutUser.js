@@ -0,0 +1,13 @@
+// @flow
+import { Response } from "webiny-api/graphql";
+
+export default async (root: any, args: Object, context: Object) => {
+    const { user } = context;
+    if (user && user.session) {
+        const { Session } = context.security.entities;
+        const session = await Session.findById(user.session);
+        session && (await session.revoke());
+    }
+
+    return new Response(true);
+};
@@ -0,0 +1,69 @@
+// @flow
+import { Response, ErrorResponse } from "webiny-api/graphql";
+import { JwtToken } from "../../authentication/jwtToken";
+import issueTokens from "../../authentication/issueTokens";
+import type { Entity } from "webiny-entity";
+import type { IUser } from "webiny-api-security/entities";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+const invalidToken = new ErrorResponse({
+    code: "TOKEN_INVALID",
+    message: "Invalid refresh token."
+});
+
+const revokedToken = new ErrorResponse({
+    code: "TOKEN_REVOKED",
+    message: "Session has expired or was revoked."
+});
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const jwt = new JwtToken({ secret: context.config.security.token.secret });
+
+    let data;
+    try {
+        data = (await jwt.decode(args.refreshToken)).data;
+    } catch (err) {
+        return new ErrorResponse({
+            code: err.code,
+            message: err.message
+        });
+    }
+
+    if (data.type !== "refresh") {
+        return invalidToken;
+    }
+
+    const { Session } = context.security.entities;
+    const session = await Session.findById(data.session);
+    if (!session || !session.isActive()) {
+        return revokedToken;
+    }
+
+    // Each refresh token can be used only once. If an already used one shows up, it may have been
+    // stolen, so we revoke the whole session to be on the safe side.
+    if (session.generation !== data.generation) {
+        await session.revoke();
+        return revokedToken;
+    }
+
+    const User = entityFetcher(context);
+    const user: ?IUser = (await User.findById(session.user): any);
+    if (!user) {
+        await session.revoke();
+        return revokedToken;
+    }
+
+    // Another request refreshed the session in the meantime, using the same token.
+    if (!(await session.refresh())) {
+        await session.revoke();
+        return revokedToken;
+    }
+
+    const tokens = await issueTokens({ user, session, args, context });
+
+    return new Response({ user, ...tokens });
+};
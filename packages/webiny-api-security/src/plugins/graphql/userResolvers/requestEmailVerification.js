@@ -0,0 +1,36 @@
+// @flow
+import { Response, NotFoundResponse, ErrorResponse } from "webiny-api/graphql";
+import { sendEmailVerificationEmail } from "../../mailer";
+import type { Entity } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const User = entityFetcher(context);
+
+    const currentUser: any = context.user && (await User.findById(context.user.id));
+    if (!currentUser) {
+        return new NotFoundResponse("User not found!");
+    }
+
+    if (currentUser.emailVerified) {
+        return new ErrorResponse({
+            code: "EMAIL_ALREADY_VERIFIED",
+            message: "E-mail address is already verified."
+        });
+    }
+
+    try {
+        await sendEmailVerificationEmail(currentUser, context);
+    } catch (e) {
+        return new ErrorResponse({
+            code: "MAILER_ERROR",
+            message: e.message
+        });
+    }
+
+    return new Response(true);
+};
@@ -0,0 +1,31 @@
+// @flow
+import { Response } from "webiny-api/graphql";
+import { sendPasswordResetEmail } from "../../mailer";
+import type { Entity } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const User = entityFetcher(context);
+
+    const user: any = await User.findOne({
+        query: { email: args.email.toLowerCase().trim() }
+    });
+
+    // We always respond with success, so that the mutation cannot be used to find out which e-mails exist.
+    if (!user || !user.enabled) {
+        return new Response(true);
+    }
+
+    // Mailer errors are only logged - returning them would reveal that an account with given e-mail exists.
+    try {
+        await sendPasswordResetEmail(user, context);
+    } catch (e) {
+        console.error(`[security] Sending password reset e-mail failed: ${e.message}`); // eslint-disable-line
+    }
+
+    return new Response(true);
+};
@@ -0,0 +1,29 @@
+// @flow
+import { Response, ErrorResponse } from "webiny-api/graphql";
+import type { Entity } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const User: any = entityFetcher(context);
+
+    try {
+        const user = await User.findByToken("password-reset", args.token);
+        user.password = args.password;
+        await user.save();
+
+        // Sign out of all existing sessions, they may have been started by someone else.
+        await context.security.entities.Session.revokeAll(user.id);
+    } catch (e) {
+        return new ErrorResponse({
+            code: e.code,
+            message: e.message,
+            data: e.data || null
+        });
+    }
+
+    return new Response(true);
+};
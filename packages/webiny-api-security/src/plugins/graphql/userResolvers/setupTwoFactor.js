@@ -0,0 +1,41 @@
+// @flow
+import { Response, NotFoundResponse, ErrorResponse } from "webiny-api/graphql";
+import { generateSecret, createOtpauthUrl } from "../../authentication/totp";
+import type { Entity } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const User = entityFetcher(context);
+
+    const currentUser: any = context.user && (await User.findById(context.user.id));
+    if (!currentUser) {
+        return new NotFoundResponse("User not found!");
+    }
+
+    if (currentUser.twoFactorEnabled) {
+        return new ErrorResponse({
+            code: "TWO_FACTOR_ALREADY_ENABLED",
+            message: "Two-factor authentication is already enabled."
+        });
+    }
+
+    // 2FA is not enabled until user confirms the first code (see "enableTwoFactor").
+    currentUser.twoFactorSecret = generateSecret();
+    currentUser.twoFactorLastStep = null;
+    await currentUser.save();
+
+    const { twoFactor = {} } = context.config.security;
+
+    return new Response({
+        secret: currentUser.twoFactorSecret,
+        otpauthUrl: createOtpauthUrl({
+            secret: currentUser.twoFactorSecret,
+            account: currentUser.email,
+            issuer: twoFactor.issuer || "Webiny"
+        })
+    });
+};
@@ -1,5 +1,6 @@
 // @flow
 import { Response, NotFoundResponse, ErrorResponse } from "webiny-api/graphql";
+import { sendEmailVerificationEmail } from "../../mailer";
 import type { Entity } from "webiny-entity";
 type EntityFetcher = (context: Object) => Class<Entity>;
 
@@ -12,11 +13,18 @@ export default (entityFetcher: EntityFetcher) => async (
 
     const { user } = context;
 
-    const currentUser: ?Entity = await User.findById(user.id);
+    const currentUser: any = await User.findById(user.id);
     if (currentUser) {
         try {
+            const { email } = currentUser;
             currentUser.populate(args.data);
             await currentUser.save();
+
+            if (currentUser.email !== email) {
+                // Sending is not critical - user can request the verification e-mail again.
+                await sendEmailVerificationEmail(currentUser, context).catch(() => null);
+            }
+
             return new Response(currentUser);
         } catch (e) {
             return new ErrorResponse({
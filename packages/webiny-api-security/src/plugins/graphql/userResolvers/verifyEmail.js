@@ -0,0 +1,25 @@
+// @flow
+import { Response, ErrorResponse } from "webiny-api/graphql";
+import type { Entity } from "webiny-entity";
+type EntityFetcher = (context: Object) => Class<Entity>;
+
+export default (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const User: any = entityFetcher(context);
+
+    try {
+        const user = await User.findByToken("email-verification", args.token);
+        user.emailVerified = true;
+        await user.save();
+    } catch (e) {
+        return new ErrorResponse({
+            code: e.code,
+            message: e.message
+        });
+    }
+
+    return new Response(true);
+};
@@ -2,5 +2,6 @@
 import entities from "./entities";
 import graphql from "./graphql";
 import security from "./security";
+import audit from "./audit";
 
-export default [entities, graphql, security];
+export default [entities, graphql, security, audit];
@@ -0,0 +1,4 @@
+// @flow
+export { default as sendMail } from "./sendMail";
+export { default as localMailer } from "./localMailer";
+export { sendPasswordResetEmail, sendEmailVerificationEmail } from "./messages";
@@ -0,0 +1,33 @@
+// @flow
+import fs from "fs";
+import path from "path";
+import util from "util";
+import type { SecurityMailerPluginType } from "webiny-api-security/types";
+
+const writeFile = util.promisify(fs.writeFile);
+
+type LocalMailerOptions = {
+    // If set, each e-mail is also written into a separate file in this directory.
+    directory?: string
+};
+
+/**
+ * Mailer for local development - e-mails are not sent, but logged to console (and optionally to files).
+ */
+export default (options: LocalMailerOptions = {}): SecurityMailerPluginType => ({
+    type: "security-mailer",
+    name: "security-mailer-local",
+    async send(message) {
+        const content = [`To: ${message.to}`, `Subject: ${message.subject}`, "", message.text].join(
+            "\n"
+        );
+
+        console.log(`[security-mailer-local]\n${content}\n`); // eslint-disable-line
+
+        const { directory } = options;
+        if (directory) {
+            !fs.existsSync(directory) && fs.mkdirSync(directory);
+            await writeFile(path.join(directory, `${Date.now()}-${message.type}.txt`), content);
+        }
+    }
+});
@@ -0,0 +1,52 @@
+// @flow
+import sendMail from "./sendMail";
+import type { IUser } from "webiny-api-security/entities/User.entity";
+
+const createLink = (context: Object, param: string, token: string): ?string => {
+    const { adminUrl } = context.config.security;
+    if (!adminUrl) {
+        return null;
+    }
+    return `${adminUrl.replace(/\/$/, "")}/?${param}=${encodeURIComponent(token)}`;
+};
+
+export const sendPasswordResetEmail = async (user: IUser, context: Object) => {
+    const token = await user.createToken("password-reset");
+    const link = createLink(context, "resetPasswordToken", token);
+
+    await sendMail(
+        {
+            type: "password-reset",
+            to: user.email,
+            subject: "Reset your password",
+            text: [
+                `Hi ${user.firstName || user.email},`,
+                "we received a request to reset your password. The following link is valid for one hour:",
+                link || `Password reset token: ${token}`,
+                "If you did not request a password reset, you can safely ignore this e-mail."
+            ].join("\n\n"),
+            data: { user, token, link }
+        },
+        context
+    );
+};
+
+export const sendEmailVerificationEmail = async (user: IUser, context: Object) => {
+    const token = await user.createToken("email-verification");
+    const link = createLink(context, "verifyEmailToken", token);
+
+    await sendMail(
+        {
+            type: "email-verification",
+            to: user.email,
+            subject: "Verify your e-mail address",
+            text: [
+                `Hi ${user.firstName || user.email},`,
+                "please verify your e-mail address by opening the following link:",
+                link || `E-mail verification token: ${token}`
+            ].join("\n\n"),
+            data: { user, token, link }
+        },
+        context
+    );
+};
@@ -0,0 +1,18 @@
+// @flow
+import { getPlugins } from "webiny-plugins";
+import type {
+    SecurityMailerMessageType,
+    SecurityMailerPluginType
+} from "webiny-api-security/types";
+
+export default async (message: SecurityMailerMessageType, context: Object) => {
+    const mailers: Array<SecurityMailerPluginType> = (getPlugins("security-mailer"): any);
+    if (!mailers.length) {
+        throw Error(
+            `No "security-mailer" plugin registered, cannot send "${message.type}" e-mail.`
+        );
+    }
+
+    // Last registered mailer wins, which allows apps to override the default one.
+    await mailers[mailers.length - 1].send(message, context);
+};
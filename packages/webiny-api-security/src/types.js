@@ -4,3 +4,16 @@ import type { PluginType } from "webiny-plugins/types";
 export type SecurityPluginType = PluginType & {
     authenticate: Function
 };
+
+export type SecurityMailerMessageType = {
+    // Type of the message, eg. "password-reset" or "email-verification".
+    type: string,
+    to: string,
+    subject: string,
+    text: string,
+    data: Object
+};
+
+export type SecurityMailerPluginType = PluginType & {
+    send: (message: SecurityMailerMessageType, context: Object) => Promise<void>
+};
@@ -104,7 +104,9 @@ export const resolveUpdate = (entityFetcher: EntityFetcher) => async (
     }
 
     try {
-        await entity.populate(args.data).save();
+        // Optional "savedOn" argument makes the update fail with a CONFLICT error if the record was saved since.
+        const params = args.savedOn !== undefined ? { savedOn: args.savedOn } : {};
+        await entity.populate(args.data).save(params);
     } catch (e) {
         if (e instanceof ModelError && e.code === ModelError.INVALID_ATTRIBUTES) {
             const attrError = InvalidAttributesError.from(e);
@@ -135,7 +137,7 @@ export const resolveDelete = (entityFetcher: EntityFetcher) => async (
     }
 
     return entity
-        .delete()
+        .delete({ deletedBy: context.user ? context.user.id : null })
         .then(() => new Response(true))
         .catch(
             e =>
@@ -146,12 +148,52 @@ export const resolveDelete = (entityFetcher: EntityFetcher) => async (
         );
 };
 
+/**
+ * Lists soft deleted entities only (eg. for a trash view). Accepts the same arguments as "resolveList".
+ */
+export const resolveListDeleted = (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    return resolveList(entityFetcher)(
+        root,
+        { ...args, where: { ...args.where, deleted: true } },
+        context
+    );
+};
+
+export const resolveRestore = (entityFetcher: EntityFetcher) => async (
+    root: any,
+    args: Object,
+    context: Object
+) => {
+    const entityClass = entityFetcher(context);
+    const entity = await entityClass.findById(args.id, { query: { deleted: true } });
+    if (!entity) {
+        return notFound(args.id);
+    }
+
+    return entity
+        .restore()
+        .then(() => new Response(entity))
+        .catch(
+            e =>
+                new ErrorResponse({
+                    code: e.code,
+                    message: e.message
+                })
+        );
+};
+
 const resolveMap = {
     get: resolveGet,
     list: resolveList,
     create: resolveCreate,
     update: resolveUpdate,
-    delete: resolveDelete
+    delete: resolveDelete,
+    listDeleted: resolveListDeleted,
+    restore: resolveRestore
 };
 
 export default (entityClass: Class<Entity>, include: Array<string>) => {
@@ -3,7 +3,9 @@ export {
     resolveList,
     resolveCreate,
     resolveUpdate,
-    resolveDelete
+    resolveDelete,
+    resolveListDeleted,
+    resolveRestore
 } from "./crudResolvers";
 export const dummyResolver = () => ({});
 export {
@@ -1,2 +1,3 @@
 // @flow
 export { createHandler } from "./lambda/lambda";
+export { createJobHandler } from "./lambda/job";
@@ -0,0 +1,26 @@
+// @flow
+import { getPlugins } from "webiny-plugins";
+import setup from "./setup";
+
+type Job = (context: Object) => Promise<mixed>;
+
+/**
+ * Creates a handler for jobs that are not triggered by a GraphQL request (eg. by a cron-style scheduler).
+ * The job receives the same context GraphQL resolvers do, except there is no authenticated user.
+ */
+export const createJobHandler = (configFactory: (context: Object) => Promise<Object>, job: Job) => {
+    return async (event: Object = {}, context: Object = {}) => {
+        const config = await configFactory(context);
+        await setup(config);
+
+        const ctx: Object = { event: { headers: {}, ...event }, config };
+
+        // Process `graphql-context` plugins
+        const ctxPlugins = getPlugins("graphql-context");
+        for (let i = 0; i < ctxPlugins.length; i++) {
+            await ctxPlugins[i].apply(ctx);
+        }
+
+        return await job(ctx);
+    };
+};
@@ -6,6 +6,10 @@ export type PluginType = _PluginType;
 
 export type EntityPluginType = PluginType & {
     namespace: string,
+    // Records changes of the entity into the audit log (fields listed in "ignore" are not recorded).
+    audit?: boolean | { ignore: Array<string> },
+    // Records files referenced by the entity into the file usage index (see "webiny-api-files").
+    fileUsage?: boolean | { label: (entity: Entity) => string },
     entity: {
         name: string,
         factory: (context: Object) => Class<Entity>
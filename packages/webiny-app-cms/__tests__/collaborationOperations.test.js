@@ -0,0 +1,106 @@
+import {
+    diffContent,
+    applyOperations,
+    isOperation
+} from "webiny-app-cms/src/editor/collaboration/operations";
+
+const el = (id, elements = [], data = {}) => ({ id, type: "cms-element-" + id, data, elements });
+
+const getContent = () => el("doc", [el("a", [el("a1"), el("a2")]), el("b", [el("b1")]), el("c")]);
+
+const ids = element => [element.id, ...element.elements.map(ids)];
+
+describe("collaboration operations test", () => {
+    test("applying a diff produces the changed content", () => {
+        const base = getContent();
+        const content = el("doc", [
+            el("c"),
+            el("a", [el("a2"), el("new", [el("b1")])]),
+            el("b", [], { text: "changed" })
+        ]);
+
+        const operations = diffContent(base, content);
+        const result = applyOperations(base, operations);
+
+        expect(ids(result)).toEqual(ids(content));
+        expect(result.elements[2].data).toEqual({ text: "changed" });
+        expect(result.elements[1].elements[1].path).toBe("0.1.1");
+    });
+
+    test("no operations for unchanged content", () => {
+        expect(diffContent(getContent(), getContent())).toEqual([]);
+    });
+
+    test("concurrent changes of different elements are both kept", () => {
+        const base = getContent();
+
+        const first = getContent();
+        first.elements[0].elements[0].data = { text: "first" };
+        first.elements.push(el("d"));
+
+        const second = getContent();
+        second.elements[1].elements = [];
+        second.elements[2].data = { text: "second" };
+
+        const firstOps = diffContent(base, first);
+        const secondOps = diffContent(base, second);
+
+        const a = applyOperations(applyOperations(base, firstOps), secondOps);
+        const b = applyOperations(applyOperations(base, secondOps), firstOps);
+
+        expect(a).toEqual(b);
+        expect(ids(a)).toEqual(["doc", ["a", ["a1"], ["a2"]], ["b"], ["c"], ["d"]]);
+        expect(a.elements[0].elements[0].data).toEqual({ text: "first" });
+        expect(a.elements[2].data).toEqual({ text: "second" });
+    });
+
+    test("operations targeting removed elements are skipped", () => {
+        const base = getContent();
+
+        const edited = getContent();
+        edited.elements[0].elements[1].data = { text: "edited" };
+        edited.elements[0].elements.push(el("a3"));
+
+        const removed = getContent();
+        removed.elements.shift();
+
+        const result = applyOperations(
+            applyOperations(base, diffContent(base, removed)),
+            diffContent(base, edited)
+        );
+
+        expect(ids(result)).toEqual(["doc", ["b", ["b1"]], ["c"]]);
+    });
+
+    test("element is not moved into its own child", () => {
+        const result = applyOperations(getContent(), [
+            { type: "move", id: "a", parent: "a1", after: null }
+        ]);
+        expect(ids(result)).toEqual(ids(getContent()));
+    });
+
+    test("malformed operations are skipped", () => {
+        const malformed = [
+            null,
+            "remove",
+            { type: "insert", parent: "doc", after: null, element: null },
+            { type: "insert", parent: "doc", after: null, element: { id: "x" } },
+            { type: "insert", parent: "doc", after: null, element: el("x", [null]) },
+            { type: "move", id: "c", parent: null, after: null },
+            { type: "update", id: "c", data: { type: "cms-element-c", text: "no id" } },
+            { type: "update", id: "c", data: { id: "c", type: "cms-element-c", elements: [] } },
+            { type: "update", id: "c", data: null },
+            { type: "remove", id: 1 },
+            { type: "unknown", id: "c" }
+        ];
+
+        malformed.forEach(operation => expect(isOperation(operation)).toBe(false));
+
+        const result = applyOperations(getContent(), [
+            ...malformed,
+            { type: "insert", parent: "doc", after: "c", element: el("d") }
+        ]);
+        expect(ids(result)).toEqual([...ids(getContent()), ["d"]]);
+        expect(result.elements[2]).toEqual({ ...el("c"), path: "0.2" });
+    });
+});
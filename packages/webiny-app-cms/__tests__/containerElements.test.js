@@ -0,0 +1,46 @@
+import {
+    getItems,
+    getDefaultItem,
+    getNextItem
+} from "webiny-app-cms/src/render/plugins/elements/utils/container";
+
+const createContainer = container => ({
+    id: "tabs",
+    type: "cms-element-tabs",
+    path: "0.0",
+    data: { container },
+    elements: [{ id: "a" }, { id: "b" }, { id: "c" }]
+});
+
+describe("container elements test", () => {
+    test("should use item titles by child element ID", async () => {
+        const items = getItems(createContainer({ items: { b: { title: "Pricing" } } }));
+        expect(items.map(item => [item.id, item.title])).toEqual([
+            ["a", "Item 1"],
+            ["b", "Pricing"],
+            ["c", "Item 3"]
+        ]);
+        expect(items[1].element).toEqual({ id: "b" });
+    });
+
+    test("should fall back to the first item if default item does not exist", async () => {
+        expect(getDefaultItem({ items: {}, defaultItem: 2 }, 3)).toBe(2);
+        expect(getDefaultItem({ items: {}, defaultItem: -1 }, 3)).toBe(-1);
+        expect(getDefaultItem({ items: {}, defaultItem: 5 }, 3)).toBe(0);
+        expect(getDefaultItem(null, 3)).toBe(0);
+        expect(getDefaultItem(null, 0)).toBe(-1);
+    });
+
+    test("should navigate items with keyboard", async () => {
+        expect(getNextItem("ArrowRight", 0, 3)).toBe(1);
+        expect(getNextItem("ArrowRight", 2, 3)).toBe(0);
+        expect(getNextItem("ArrowLeft", 0, 3)).toBe(2);
+        expect(getNextItem("Home", 2, 3)).toBe(0);
+        expect(getNextItem("End", 0, 3)).toBe(2);
+        expect(getNextItem("ArrowDown", 0, 3)).toBe(null);
+        expect(getNextItem("ArrowDown", 0, 3, "vertical")).toBe(1);
+        expect(getNextItem("ArrowUp", 0, 3, "vertical")).toBe(2);
+        expect(getNextItem("Enter", 0, 3)).toBe(null);
+        expect(getNextItem("Home", 0, 0)).toBe(null);
+    });
+});
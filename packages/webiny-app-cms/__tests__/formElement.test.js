@@ -0,0 +1,51 @@
+import {
+    getFields,
+    getFieldValidators
+} from "webiny-app-cms/src/render/plugins/elements/form/utils";
+
+const form = {
+    id: "form",
+    type: "cms-element-form",
+    data: { form: { name: "Contact" } },
+    elements: [
+        {
+            id: "a",
+            type: "cms-element-form-text",
+            data: {
+                field: { label: "Name", name: "name", required: true, validators: "minLength:3" }
+            }
+        },
+        { id: "b", type: "cms-element-form-email", data: { field: { label: "Email" } } },
+        {
+            id: "c",
+            type: "cms-element-form-select",
+            data: { field: { label: "Topic", options: "Sales\n\n  Support  \n" } }
+        },
+        { id: "d", type: "cms-element-text", data: {} },
+        { id: "e", type: "cms-element-form-file", data: { field: { maxSize: "2.5" } } }
+    ]
+};
+
+describe("form element test", () => {
+    test("should read fields from child elements", async () => {
+        const fields = getFields(form);
+        expect(fields.map(field => [field.id, field.type, field.name, field.label])).toEqual([
+            ["a", "text", "name", "Name"],
+            ["b", "email", "b", "Email"],
+            ["c", "select", "c", "Topic"],
+            ["e", "file", "e", "e"]
+        ]);
+        expect(fields[2].options).toEqual(["Sales", "Support"]);
+        expect(fields[3].maxSize).toBe(2.5);
+    });
+
+    test("should build validators from field settings", async () => {
+        const [name, email, topic, file] = getFields(form);
+        expect(getFieldValidators(name)).toEqual(["required", "minLength:3"]);
+        expect(getFieldValidators(email)).toEqual(["email"]);
+        expect(getFieldValidators({ ...topic, required: true, validators: "email" })).toEqual([
+            "required"
+        ]);
+        expect(getFieldValidators(file)).toEqual([]);
+    });
+});
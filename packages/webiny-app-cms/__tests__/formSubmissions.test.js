@@ -0,0 +1,24 @@
+import { formatValue, getFileUrl } from "webiny-app-cms/src/admin/views/Forms/utils";
+
+describe("form submissions test", () => {
+    test("should format submitted values", async () => {
+        expect(formatValue({ type: "checkbox" }, "yes")).toBe("Yes");
+        expect(formatValue({ type: "checkbox" }, "")).toBe("No");
+        expect(formatValue({ type: "text" }, "")).toBe("-");
+        expect(formatValue({ type: "file" }, { name: "cv.pdf", src: "/files/1_cv.pdf" })).toBe(
+            "cv.pdf"
+        );
+    });
+
+    test("should only link files served from the files path", async () => {
+        expect(getFileUrl({ src: "/files/1_cv.pdf" })).toBe("/files/1_cv.pdf");
+        expect(getFileUrl({ src: "javascript:alert(1)" })).toBe(null);
+        expect(getFileUrl({ src: "data:text/html;base64,PHNjcmlwdD4=" })).toBe(null);
+        expect(getFileUrl({ src: "https://example.com/files/cv.pdf" })).toBe(null);
+        expect(getFileUrl({ src: "//example.com/cv.pdf" })).toBe(null);
+        expect(getFileUrl({ src: "/files/../admin" })).toBe(null);
+        expect(getFileUrl({ src: "/files/.cache/cv.pdf" })).toBe(null);
+        expect(getFileUrl({ src: 1 })).toBe(null);
+        expect(getFileUrl(null)).toBe(null);
+    });
+});
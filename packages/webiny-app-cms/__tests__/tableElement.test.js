@@ -0,0 +1,96 @@
+import {
+    createTable,
+    insertRow,
+    removeRow,
+    insertColumn,
+    removeColumn,
+    mergeCells,
+    splitCell,
+    updateCell
+} from "webiny-app-cms/src/editor/plugins/elements/table/utils";
+import {
+    getCoveredCells,
+    getColumnLabels,
+    getText
+} from "webiny-app-cms/src/render/plugins/elements/table/utils";
+import createValue from "webiny-app-cms/src/editor/components/Slate/createValue";
+
+const spans = table => table.rows.map(cells => cells.map(cell => [cell.colSpan, cell.rowSpan]));
+
+describe("table element test", () => {
+    test("should create a table with header row", async () => {
+        const table = createTable(3, 2);
+        expect(table.rows).toHaveLength(3);
+        expect(table.rows[0]).toHaveLength(2);
+        expect(table.headerRows).toBe(1);
+        expect(getColumnLabels(table)).toEqual(["Heading 1", "Heading 2"]);
+    });
+
+    test("should insert and remove rows and columns", async () => {
+        let table = createTable(2, 2);
+
+        table = insertRow(table, 0);
+        expect(table.rows).toHaveLength(3);
+        expect(table.headerRows).toBe(2);
+
+        table = insertRow(table, 3);
+        expect(table.rows).toHaveLength(4);
+        expect(table.headerRows).toBe(2);
+
+        table = removeRow(removeRow(table, 0), 0);
+        expect(table.rows).toHaveLength(2);
+        expect(table.headerRows).toBe(0);
+
+        table = insertColumn(table, 1);
+        expect(table.rows.map(cells => cells.length)).toEqual([3, 3]);
+
+        table = removeColumn(removeColumn(table, 0), 0);
+        expect(table.rows.map(cells => cells.length)).toEqual([1, 1]);
+
+        // The last row / column cannot be removed.
+        expect(removeColumn(table, 0)).toBe(table);
+        expect(removeRow(removeRow(table, 0), 0).rows).toHaveLength(1);
+    });
+
+    test("should merge and split cells", async () => {
+        let table = createTable(3, 3);
+
+        table = mergeCells(table, 1, 0, "right");
+        table = mergeCells(table, 1, 0, "down");
+        expect(spans(table)[1][0]).toEqual([2, 2]);
+        expect(Array.from(getCoveredCells(table.rows)).sort()).toEqual(["1:1", "2:0", "2:1"]);
+
+        // Cells that would change the height of the merged cell cannot be merged.
+        const other = mergeCells(createTable(3, 3, 0), 0, 1, "down");
+        expect(mergeCells(other, 0, 0, "right")).toBe(other);
+        expect(spans(mergeCells(other, 1, 0, "right"))[1][0]).toEqual([1, 1]);
+        expect(spans(mergeCells(other, 0, 0, "down"))[0][0]).toEqual([1, 2]);
+
+        // Header and body cells cannot be merged.
+        expect(mergeCells(table, 0, 2, "down")).toBe(table);
+
+        table = splitCell(table, 1, 0);
+        expect(getCoveredCells(table.rows).size).toBe(0);
+    });
+
+    test("should keep merged cells when rows and columns are added or removed", async () => {
+        let table = mergeCells(mergeCells(createTable(3, 3, 0), 0, 0, "down"), 0, 0, "down");
+        table = updateCell(table, 0, 0, { text: createValue("Merged") });
+        expect(spans(table)[0][0]).toEqual([1, 3]);
+
+        table = insertRow(table, 1);
+        expect(spans(table)[0][0]).toEqual([1, 4]);
+
+        table = removeRow(table, 2);
+        expect(spans(table)[0][0]).toEqual([1, 3]);
+
+        // Merged cell continues in the next row if its first row is removed.
+        table = removeRow(table, 0);
+        expect(spans(table)[0][0]).toEqual([1, 2]);
+        expect(getText(table.rows[0][0].text)).toBe("Merged");
+
+        table = insertColumn(table, 0);
+        expect(spans(table)[0][1]).toEqual([1, 2]);
+        expect(Array.from(getCoveredCells(table.rows))).toEqual(["1:1"]);
+    });
+});
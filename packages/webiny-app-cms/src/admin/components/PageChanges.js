@@ -0,0 +1,137 @@
+// @flow
+import * as React from "react";
+import styled from "react-emotion";
+import { css } from "emotion";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Elevation } from "webiny-ui/Elevation";
+import { Typography } from "webiny-ui/Typography";
+
+const section = css({
+    marginTop: 25,
+    padding: 15,
+    backgroundColor: "var(--mdc-theme-surface)"
+});
+
+const Value = styled("pre")({
+    margin: 0,
+    whiteSpace: "pre-wrap",
+    wordBreak: "break-word",
+    fontSize: 12
+});
+
+const Change = styled("span")(({ type }) => ({
+    display: "inline-block",
+    marginRight: 10,
+    padding: "2px 5px",
+    borderRadius: 2,
+    fontSize: 11,
+    color: "#fff",
+    backgroundColor: {
+        ADDED: "#4caf50",
+        REMOVED: "#f44336",
+        MOVED: "#2196f3",
+        CHANGED: "#ff9800"
+    }[type]
+}));
+
+const formatValue = value => {
+    if (value === null || typeof value === "undefined") {
+        return "-";
+    }
+    return typeof value === "object" ? JSON.stringify(value, null, 2) : String(value);
+};
+
+const formatPosition = position => {
+    if (!position) {
+        return "-";
+    }
+    return position.parent ? `#${position.index + 1} in ${position.parent}` : "root";
+};
+
+const ValueChanges = ({ changes }: { changes: Array<Object> }) => {
+    if (!changes.length) {
+        return <Typography use={"body2"}>No changes.</Typography>;
+    }
+
+    return (
+        <Grid>
+            {changes.map(change => (
+                <React.Fragment key={change.path}>
+                    <Cell span={2}>
+                        <Typography use={"subtitle2"}>{change.path}</Typography>
+                    </Cell>
+                    <Cell span={5}>
+                        <Value>{formatValue(change.from)}</Value>
+                    </Cell>
+                    <Cell span={5}>
+                        <Value>{formatValue(change.to)}</Value>
+                    </Cell>
+                </React.Fragment>
+            ))}
+        </Grid>
+    );
+};
+
+const ElementChanges = ({ elements }: { elements: Array<Object> }) => {
+    if (!elements.length) {
+        return <Typography use={"body2"}>No changes.</Typography>;
+    }
+
+    return (
+        <Grid>
+            {elements.map(element => (
+                <React.Fragment key={element.id + element.change}>
+                    <Cell span={2}>
+                        <Change type={element.change}>{element.change}</Change>
+                        <Typography use={"subtitle2"}>{element.type}</Typography>
+                        <Typography use={"caption"}>{element.id}</Typography>
+                    </Cell>
+                    <Cell span={5}>
+                        {element.change === "CHANGED" ? (
+                            element.changes.map(change => (
+                                <Value key={change.path}>
+                                    {change.path}: {formatValue(change.from)}
+                                </Value>
+                            ))
+                        ) : (
+                            <Value>{formatPosition(element.from)}</Value>
+                        )}
+                    </Cell>
+                    <Cell span={5}>
+                        {element.change === "CHANGED" ? (
+                            element.changes.map(change => (
+                                <Value key={change.path}>
+                                    {change.path}: {formatValue(change.to)}
+                                </Value>
+                            ))
+                        ) : (
+                            <Value>{formatPosition(element.to)}</Value>
+                        )}
+                    </Cell>
+                </React.Fragment>
+            ))}
+        </Grid>
+    );
+};
+
+/**
+ * Renders changes between two versions of a page (see "diffRevisions" and "diffUnsavedChanges" queries).
+ */
+const PageChanges = ({ diff }: { diff: Object }) => (
+    <React.Fragment>
+        <Elevation z={1} className={section}>
+            <Typography use={"overline"}>General</Typography>
+            <ValueChanges changes={diff.fields} />
+        </Elevation>
+        <Elevation z={1} className={section}>
+            <Typography use={"overline"}>Settings</Typography>
+            <ValueChanges changes={diff.settings} />
+        </Elevation>
+        <Elevation z={1} className={section}>
+            <Typography use={"overline"}>Content</Typography>
+            <ElementChanges elements={diff.elements} />
+        </Elevation>
+    </React.Fragment>
+);
+
+export default PageChanges;
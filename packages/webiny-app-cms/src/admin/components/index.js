@@ -6,4 +6,5 @@ export { default as TagsMultiAutoComplete } from "./TagsMultiAutoComplete";
 export { default as CategoriesAutoComplete } from "./CategoriesAutoComplete";
 export { default as createBlockPlugin } from "./withSavedElements/createBlockPlugin";
 export { default as withCmsSettings } from "./withCmsSettings";
+export { default as PageChanges } from "./PageChanges";
 export type { WithPageDetailsProps } from "./withPageDetails";
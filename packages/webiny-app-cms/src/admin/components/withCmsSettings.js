@@ -11,6 +11,10 @@ const domainQuery = gql`
             cms {
                 data {
                     domain
+                    locales {
+                        available
+                        default
+                    }
                 }
             }
         }
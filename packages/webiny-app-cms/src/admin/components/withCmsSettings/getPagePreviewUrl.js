@@ -1,9 +1,12 @@
 // @flow
 import { trimEnd } from "lodash";
 
-export default ({ page: { url, id }, domain }: Object) => {
+export default ({ page: { url, localeUrl, id }, domain }: Object) => {
     let previewUrl = "";
 
+    // Pages in non-default locales are served under a locale prefixed URL.
+    url = localeUrl || url;
+
     if (!domain) {
         previewUrl += url;
         previewUrl += "?preview=" + id;
@@ -15,12 +15,16 @@ const sharedFields = `
     url
     version
     parent
+    locale
+    localeUrl
     published
     isHomePage
     isErrorPage
     isNotFoundPage
     locked
     savedOn
+    publishOn
+    unpublishOn
 `;
 
 export const createPage = gql`
@@ -85,6 +89,82 @@ export const getPage = () => gql`
                     revisions {
                         ${sharedFields}
                     }
+                    translations {
+                        id
+                        locale
+                    }
+                }
+                ${error}
+            }
+        }
+    }
+`;
+
+const valueChangeFields = `
+    path
+    from
+    to
+`;
+
+const changesFields = `
+    fields {
+        ${valueChangeFields}
+    }
+    settings {
+        ${valueChangeFields}
+    }
+    elements {
+        id
+        type
+        change
+        from {
+            parent
+            index
+        }
+        to {
+            parent
+            index
+        }
+        changes {
+            ${valueChangeFields}
+        }
+    }
+`;
+
+export const diffRevisions = gql`
+    query CmsDiffRevisions($a: ID!, $b: ID!) {
+        cms {
+            diff: diffRevisions(a: $a, b: $b) {
+                data {
+                    a {
+                        ${sharedFields}
+                        revisions {
+                            id
+                            version
+                            published
+                            locked
+                        }
+                    }
+                    b {
+                        ${sharedFields}
+                    }
+                    ${changesFields}
+                }
+                ${error}
+            }
+        }
+    }
+`;
+
+export const diffUnsavedChanges = gql`
+    query CmsDiffUnsavedChanges($id: ID!, $data: UpdatePageInput!) {
+        cms {
+            diff: diffUnsavedChanges(id: $id, data: $data) {
+                data {
+                    a {
+                        ${sharedFields}
+                    }
+                    ${changesFields}
                 }
                 ${error}
             }
@@ -105,6 +185,19 @@ export const createRevisionFrom = gql`
     }
 `;
 
+export const createTranslation = gql`
+    mutation CmsCreateTranslation($revision: ID!, $locale: String!) {
+        cms {
+            revision: createTranslation(revision: $revision, locale: $locale) {
+                data {
+                    id
+                }
+                ${error}
+            }
+        }
+    }
+`;
+
 export const publishRevision = gql`
     mutation CmsPublishRevision($id: ID!) {
         cms {
@@ -118,6 +211,32 @@ export const publishRevision = gql`
     }
 `;
 
+export const scheduleRevision = gql`
+    mutation CmsScheduleRevision($id: ID!, $publishOn: DateTime, $unpublishOn: DateTime) {
+        cms {
+            scheduleRevision(id: $id, publishOn: $publishOn, unpublishOn: $unpublishOn) {
+                data {
+                    ${sharedFields}
+                }
+                ${error}
+            }
+        }
+    }
+`;
+
+export const cancelScheduledRevision = gql`
+    mutation CmsCancelScheduledRevision($id: ID!) {
+        cms {
+            cancelScheduledRevision(id: $id) {
+                data {
+                    ${sharedFields}
+                }
+                ${error}
+            }
+        }
+    }
+`;
+
 export const deleteRevision = gql`
     mutation CmsDeleteRevision($id: ID!) {
         cms {
@@ -140,6 +259,45 @@ export const deletePage = gql`
     }
 `;
 
+export const listDeletedPages = gql`
+    query CmsListDeletedPages($sort: JSON, $page: Int, $perPage: Int, $search: String) {
+        cms {
+            pages: listDeletedPages(sort: $sort, page: $page, perPage: $perPage, search: $search) {
+                data {
+                    id
+                    title
+                    url
+                    deletedOn
+                    category {
+                        id
+                        name
+                    }
+                }
+                meta {
+                    totalCount
+                    to
+                    from
+                    nextPage
+                    previousPage
+                }
+            }
+        }
+    }
+`;
+
+export const restorePage = gql`
+    mutation CmsRestorePage($id: ID!) {
+        cms {
+            restorePage(id: $id) {
+                data {
+                    id
+                }
+                ${error}
+            }
+        }
+    }
+`;
+
 const elementFields = /*GraphQL*/ `
     id
     name
@@ -8,20 +8,27 @@ export default [
         name: "cms-menu",
         type: "menu",
         render({ Menu }: Object) {
-            const { menus, categories, editor }: Object = (hasRoles({
+            const { menus, categories, editor, forms }: Object = (hasRoles({
                 menus: ["cms-menus"],
                 categories: ["cms-categories"],
-                editor: ["cms-editor"]
+                editor: ["cms-editor"],
+                forms: ["cms-forms"]
             }): any);
 
-            if (menus || categories || editor) {
+            if (menus || categories || editor || forms) {
                 return (
                     <Menu label={`Content`} icon={<PagesIcon />}>
                         <Menu label={`Pages`}>
                             {categories && <Menu label={`Categories`} path="/cms/categories" />}
                             {editor && <Menu label={`Pages`} path="/cms/pages" />}
                             {menus && <Menu label={`Menus`} path="/cms/menus" />}
+                            {editor && <Menu label={`Trash`} path="/cms/trash" />}
                         </Menu>
+                        {forms && (
+                            <Menu label={`Forms`}>
+                                <Menu label={`Submissions`} path="/cms/forms" />
+                            </Menu>
+                        )}
                     </Menu>
                 );
             }
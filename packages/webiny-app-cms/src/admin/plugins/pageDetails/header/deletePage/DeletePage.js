@@ -30,7 +30,8 @@ export default compose(
         message: (
             <p>
                 You are about to delete the entire page and all of its revisions! <br />
-                Are you sure you want to permanently delete the page <strong>{page.title}</strong>?
+                Are you sure you want to delete the page <strong>{page.title}</strong>? It will be
+                moved to trash, from where it can be restored.
             </p>
         )
     })),
@@ -63,7 +64,7 @@ export default compose(
                             {page.title.substr(0, 20)}
                             ...
                         </strong>{" "}
-                        was deleted successfully!
+                        was moved to trash.
                     </span>
                 );
 
@@ -1,6 +1,6 @@
 // @flow
 import React from "react";
-import { compose } from "recompose";
+import { compose, withState } from "recompose";
 import { css } from "emotion";
 import TimeAgo from "timeago-react";
 import {
@@ -24,19 +24,27 @@ import { ReactComponent as LockIcon } from "webiny-app-cms/admin/assets/lock.svg
 import { ReactComponent as BeenHereIcon } from "webiny-app-cms/admin/assets/beenhere.svg";
 import { ReactComponent as GestureIcon } from "webiny-app-cms/admin/assets/gesture.svg";
 import withRevisionHandlers from "./withRevisionHandlers";
+import ScheduleRevisionDialog from "./ScheduleRevisionDialog";
 import { withCmsSettings } from "webiny-app-cms/admin/components";
 import { ReactComponent as AddIcon } from "webiny-app-cms/admin/assets/add.svg";
 import { ReactComponent as EditIcon } from "webiny-app-cms/admin/assets/edit.svg";
 import { ReactComponent as PublishIcon } from "webiny-app-cms/admin/assets/round-publish-24px.svg";
 import { ReactComponent as DeleteIcon } from "webiny-app-cms/admin/assets/delete.svg";
 import { ReactComponent as PreviewIcon } from "webiny-app-cms/admin/assets/visibility.svg";
+import { ReactComponent as ScheduleIcon } from "webiny-app-cms/admin/assets/round-schedule-24px.svg";
+import { ReactComponent as CompareIcon } from "webiny-app-cms/admin/assets/round-compare-24px.svg";
 
 type RevisionProps = WithPageDetailsProps & {
+    history: Object,
     rev: Object,
     createRevision: Function,
     editRevision: Function,
     deleteRevision: Function,
     publishRevision: Function,
+    scheduleRevision: Function,
+    cancelScheduledRevision: Function,
+    scheduleDialogOpened: boolean,
+    setScheduleDialogOpened: Function,
     submitCreateRevision: Function,
     cmsSettings: { getPagePreviewUrl: Function }
 };
@@ -51,6 +59,13 @@ const revisionsMenu = css({
 
 const getIcon = (rev: Object) => {
     switch (true) {
+        case !rev.published && !!rev.publishOn:
+            return {
+                icon: <Icon icon={<ScheduleIcon />} className={primaryColor} />,
+                text: `This revision is scheduled for publishing on ${new Date(
+                    rev.publishOn
+                ).toLocaleString()}`
+            };
         case rev.locked && !rev.published:
             return {
                 icon: <Icon icon={<LockIcon />} />,
@@ -76,6 +91,12 @@ const Revision = (props: RevisionProps) => {
         editRevision,
         deleteRevision,
         publishRevision,
+        scheduleRevision,
+        cancelScheduledRevision,
+        scheduleDialogOpened,
+        setScheduleDialogOpened,
+        history,
+        pageDetails: { page },
         cmsSettings: { getPagePreviewUrl }
     } = props;
     const { icon, text: tooltipText } = getIcon(rev);
@@ -97,6 +118,8 @@ const Revision = (props: RevisionProps) => {
                         <ListItemTextSecondary>
                             Last modified <TimeAgo datetime={rev.savedOn} /> (#
                             {rev.version})
+                            {rev.unpublishOn &&
+                                ` - unpublishes on ${new Date(rev.unpublishOn).toLocaleString()}`}
                         </ListItemTextSecondary>
                     </ListItemText>
                     <ListItemMeta>
@@ -129,6 +152,35 @@ const Revision = (props: RevisionProps) => {
                                 </MenuItem>
                             )}
 
+                            <MenuItem onClick={() => setScheduleDialogOpened(true)}>
+                                <ListItemGraphic>
+                                    <Icon icon={<ScheduleIcon />} />
+                                </ListItemGraphic>
+                                Schedule
+                            </MenuItem>
+
+                            {(rev.publishOn || rev.unpublishOn) && (
+                                <MenuItem onClick={cancelScheduledRevision}>
+                                    <ListItemGraphic>
+                                        <Icon icon={<ScheduleIcon />} />
+                                    </ListItemGraphic>
+                                    Cancel schedule
+                                </MenuItem>
+                            )}
+
+                            {rev.id !== page.id && (
+                                <MenuItem
+                                    onClick={() =>
+                                        history.push(`/cms/pages/compare?a=${rev.id}&b=${page.id}`)
+                                    }
+                                >
+                                    <ListItemGraphic>
+                                        <Icon icon={<CompareIcon />} />
+                                    </ListItemGraphic>
+                                    Compare with selected
+                                </MenuItem>
+                            )}
+
                             <MenuItem onClick={() => window.open(getPagePreviewUrl(rev), "_blank")}>
                                 <ListItemGraphic>
                                     <Icon icon={<PreviewIcon />} />
@@ -149,6 +201,15 @@ const Revision = (props: RevisionProps) => {
                             )}
                         </Menu>
                     </ListItemMeta>
+                    <ScheduleRevisionDialog
+                        open={scheduleDialogOpened}
+                        onClose={() => setScheduleDialogOpened(false)}
+                        onSubmit={data => {
+                            setScheduleDialogOpened(false);
+                            scheduleRevision(data);
+                        }}
+                        revision={rev}
+                    />
                 </ListItem>
             )}
         </ConfirmationDialog>
@@ -160,5 +221,6 @@ export default compose(
     withSnackbar(),
     withPageDetails(),
     withRevisionHandlers,
-    withCmsSettings()
+    withCmsSettings(),
+    withState("scheduleDialogOpened", "setScheduleDialogOpened", false)
 )(Revision);
@@ -0,0 +1,103 @@
+// @flow
+import React from "react";
+import { css } from "emotion";
+import {
+    Dialog,
+    DialogHeader,
+    DialogHeaderTitle,
+    DialogBody,
+    DialogFooter,
+    DialogAccept,
+    DialogCancel
+} from "webiny-ui/Dialog";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Input } from "webiny-ui/Input";
+import { Form } from "webiny-form";
+
+const narrowDialog = css({
+    ".mdc-dialog__surface": {
+        width: 600,
+        minWidth: 600
+    }
+});
+
+// Formats given date for the "datetime-local" input (local time, without seconds).
+const toInputValue = (date: ?string) => {
+    if (!date) {
+        return "";
+    }
+
+    const value = new Date(date);
+    value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+    return value.toISOString().substr(0, 16);
+};
+
+const toDateTime = (value: ?string) => (value ? new Date(value).toISOString() : null);
+
+type Props = {
+    open: boolean,
+    onClose: Function,
+    onSubmit: Function,
+    revision: Object
+};
+
+const ScheduleRevisionDialog = ({ open, onClose, onSubmit, revision }: Props) => {
+    return (
+        <Dialog open={open} onClose={onClose} className={narrowDialog}>
+            <Form
+                data={{
+                    publishOn: toInputValue(revision.publishOn),
+                    unpublishOn: toInputValue(revision.unpublishOn)
+                }}
+                onSubmit={({ publishOn, unpublishOn }) =>
+                    onSubmit({
+                        publishOn: toDateTime(publishOn),
+                        unpublishOn: toDateTime(unpublishOn)
+                    })
+                }
+            >
+                {({ submit, Bind }) => (
+                    <React.Fragment>
+                        <DialogHeader>
+                            <DialogHeaderTitle>
+                                Schedule revision #{revision.version}
+                            </DialogHeaderTitle>
+                        </DialogHeader>
+                        <DialogBody>
+                            <Grid>
+                                {!revision.published && (
+                                    <Cell span={12}>
+                                        <Bind name={"publishOn"}>
+                                            <Input
+                                                type={"datetime-local"}
+                                                label={"Publish on"}
+                                                description={"Leave empty to not publish."}
+                                            />
+                                        </Bind>
+                                    </Cell>
+                                )}
+                                <Cell span={12}>
+                                    <Bind name={"unpublishOn"}>
+                                        <Input
+                                            type={"datetime-local"}
+                                            label={"Unpublish on"}
+                                            description={
+                                                "Leave empty to keep the revision published."
+                                            }
+                                        />
+                                    </Bind>
+                                </Cell>
+                            </Grid>
+                        </DialogBody>
+                        <DialogFooter>
+                            <DialogCancel>Cancel</DialogCancel>
+                            <DialogAccept onClick={submit}>Schedule</DialogAccept>
+                        </DialogFooter>
+                    </React.Fragment>
+                )}
+            </Form>
+        </Dialog>
+    );
+};
+
+export default ScheduleRevisionDialog;
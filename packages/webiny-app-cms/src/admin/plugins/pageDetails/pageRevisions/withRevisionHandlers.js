@@ -2,12 +2,19 @@
 import { compose, withHandlers } from "recompose";
 import { withRouter } from "react-router-dom";
 import { graphql } from "react-apollo";
-import { createRevisionFrom, deleteRevision } from "webiny-app-cms/admin/graphql/pages";
+import {
+    createRevisionFrom,
+    deleteRevision,
+    scheduleRevision,
+    cancelScheduledRevision
+} from "webiny-app-cms/admin/graphql/pages";
 import withPublishRevisionHandler from "../utils/withPublishRevisionHandler";
 
 export default compose(
     graphql(createRevisionFrom, { name: "gqlCreate" }),
     graphql(deleteRevision, { name: "gqlDelete" }),
+    graphql(scheduleRevision, { name: "gqlSchedule" }),
+    graphql(cancelScheduledRevision, { name: "gqlCancelSchedule" }),
     withPublishRevisionHandler("publishRevision"),
     withRouter,
     withHandlers({
@@ -27,6 +34,31 @@ export default compose(
         editRevision: ({ rev, history }) => () => {
             history.push(`/cms/editor/${rev.id}`);
         },
+        scheduleRevision: ({ rev, gqlSchedule, showSnackbar }) => async ({
+            publishOn,
+            unpublishOn
+        }: Object) => {
+            const { data: res } = await gqlSchedule({
+                variables: { id: rev.id, publishOn, unpublishOn }
+            });
+            const { error } = res.cms.scheduleRevision;
+            if (error) {
+                return showSnackbar(error.message);
+            }
+
+            showSnackbar("Revision scheduled successfully!");
+        },
+        cancelScheduledRevision: ({ rev, gqlCancelSchedule, showSnackbar }) => async () => {
+            const { data: res } = await gqlCancelSchedule({
+                variables: { id: rev.id }
+            });
+            const { error } = res.cms.cancelScheduledRevision;
+            if (error) {
+                return showSnackbar(error.message);
+            }
+
+            showSnackbar("Scheduled publishing was cancelled.");
+        },
         deleteRevision: ({
             rev,
             pageDetails: { page },
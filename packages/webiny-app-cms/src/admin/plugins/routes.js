@@ -23,6 +23,21 @@ const Pages = Loadable({
     loading: CircularProgress
 });
 
+const RevisionsCompare = Loadable({
+    loader: () => import("webiny-app-cms/admin/views/Pages/RevisionsCompare"),
+    loading: CircularProgress
+});
+
+const Trash = Loadable({
+    loader: () => import("webiny-app-cms/admin/views/Trash/Trash"),
+    loading: CircularProgress
+});
+
+const FormSubmissions = Loadable({
+    loader: () => import("webiny-app-cms/admin/views/Forms/FormSubmissions"),
+    loading: CircularProgress
+});
+
 const Editor = Loadable({
     loader: () => import("webiny-app-cms/admin/views/Pages/Editor"),
     loading: CircularProgress
@@ -85,6 +100,60 @@ export default [
             />
         )
     },
+    {
+        name: "route-cms-pages-compare",
+        type: "route",
+        route: (
+            <Route
+                exact
+                path="/cms/pages/compare"
+                render={() => (
+                    <SecureRoute roles={["cms-editor"]}>
+                        <AdminLayout>
+                            <Helmet title={"CMS - Compare revisions"} />
+                            <RevisionsCompare />
+                        </AdminLayout>
+                    </SecureRoute>
+                )}
+            />
+        )
+    },
+    {
+        name: "route-cms-trash",
+        type: "route",
+        route: (
+            <Route
+                exact
+                path="/cms/trash"
+                render={() => (
+                    <SecureRoute roles={["cms-editor"]}>
+                        <AdminLayout>
+                            <Helmet title={"CMS - Trash"} />
+                            <Trash />
+                        </AdminLayout>
+                    </SecureRoute>
+                )}
+            />
+        )
+    },
+    {
+        name: "route-cms-forms",
+        type: "route",
+        route: (
+            <Route
+                exact
+                path="/cms/forms"
+                render={() => (
+                    <SecureRoute roles={["cms-forms"]}>
+                        <AdminLayout>
+                            <Helmet title={"CMS - Form submissions"} />
+                            <FormSubmissions />
+                        </AdminLayout>
+                    </SecureRoute>
+                )}
+            />
+        )
+    },
     {
         name: "route-cms-editor",
         type: "route",
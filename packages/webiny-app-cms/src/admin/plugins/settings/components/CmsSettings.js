@@ -8,6 +8,8 @@ import graphql from "./graphql";
 import PagesAutoComplete from "webiny-app-cms/admin/components/PagesAutoComplete";
 import { CircularProgress } from "webiny-ui/Progress";
 import SingleImageUpload from "webiny-admin/components/SingleImageUpload";
+import { Tags } from "webiny-ui/Tags";
+import { Select } from "webiny-ui/Select";
 
 import { get } from "lodash";
 
@@ -39,7 +41,7 @@ const CmsSettings = ({ showSnackbar }) => {
                                     showSnackbar("Settings updated successfully.");
                                 }}
                             >
-                                {({ Bind, form }) => (
+                                {({ data, Bind, form }) => (
                                     <SimpleForm>
                                         {(queryInProgress || mutationInProgress) && (
                                             <CircularProgress />
@@ -92,6 +94,36 @@ const CmsSettings = ({ showSnackbar }) => {
                                                                 />
                                                             </Bind>
                                                         </Cell>
+                                                        <Cell span={12}>
+                                                            <Bind name={"locales.available"}>
+                                                                <Tags
+                                                                    label={"Locales"}
+                                                                    description={`Locales in which pages can be translated (eg. "en", "de-AT").`}
+                                                                />
+                                                            </Bind>
+                                                        </Cell>
+                                                        <Cell span={12}>
+                                                            <Bind name={"locales.default"}>
+                                                                <Select
+                                                                    label={"Default locale"}
+                                                                    description={`URLs of pages in the default locale are not prefixed with the locale.`}
+                                                                >
+                                                                    {(
+                                                                        get(
+                                                                            data,
+                                                                            "locales.available"
+                                                                        ) || []
+                                                                    ).map(locale => (
+                                                                        <option
+                                                                            key={locale}
+                                                                            value={locale}
+                                                                        >
+                                                                            {locale}
+                                                                        </option>
+                                                                    ))}
+                                                                </Select>
+                                                            </Bind>
+                                                        </Cell>
                                                     </Grid>
                                                 </Cell>
                                             </Grid>
@@ -9,6 +9,10 @@ const fields = /* GraphQL */ `
                 notFound
                 error
             }
+            locales {
+                available
+                default
+            }
             social {
                 image {
                     src
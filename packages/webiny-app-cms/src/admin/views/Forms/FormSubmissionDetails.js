@@ -0,0 +1,92 @@
+// @flow
+import * as React from "react";
+import { Query } from "react-apollo";
+import { withRouter } from "react-router-dom";
+import styled from "react-emotion";
+import { get } from "lodash";
+import { i18n } from "webiny-app/i18n";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Typography } from "webiny-ui/Typography";
+import { CircularProgress } from "webiny-ui/Progress";
+import { getFormSubmission } from "./graphql";
+import { formatValue, getFileUrl } from "./utils";
+
+const t = i18n.namespace("Cms.FormSubmissionDetails");
+
+const Container = styled("div")({
+    padding: 25,
+    color: "var(--mdc-theme-on-surface)"
+});
+
+const Value = styled("div")({
+    whiteSpace: "pre-wrap",
+    wordBreak: "break-word"
+});
+
+const FormSubmissionDetails = ({ location }: Object) => {
+    const id = new URLSearchParams(location.search).get("id");
+    if (!id) {
+        return (
+            <Container>
+                <Typography use={"body1"}>{t`Select a submission to see its details.`}</Typography>
+            </Container>
+        );
+    }
+
+    return (
+        <Query query={getFormSubmission} variables={{ id }}>
+            {({ data, loading }) => {
+                if (loading) {
+                    return <CircularProgress />;
+                }
+
+                const submission = get(data, "cms.submission.data");
+                if (!submission) {
+                    return null;
+                }
+
+                const meta = submission.meta || {};
+
+                return (
+                    <Container>
+                        <Typography use={"headline6"}>{submission.name}</Typography>
+                        <Typography use={"body2"} tag={"p"}>
+                            {new Date(submission.createdOn).toLocaleString()}
+                            {meta.ip && `, ${meta.ip}`}
+                        </Typography>
+                        <Grid>
+                            {submission.fields.map(field => {
+                                const value = submission.data[field.name];
+                                const fileUrl = field.type === "file" ? getFileUrl(value) : null;
+                                return (
+                                    <React.Fragment key={field.name}>
+                                        <Cell span={4}>
+                                            <Typography use={"subtitle2"}>{field.label}</Typography>
+                                        </Cell>
+                                        <Cell span={8}>
+                                            <Value>
+                                                {fileUrl ? (
+                                                    <a
+                                                        href={fileUrl}
+                                                        target={"_blank"}
+                                                        rel={"noopener noreferrer"}
+                                                    >
+                                                        {formatValue(field, value)}
+                                                    </a>
+                                                ) : (
+                                                    formatValue(field, value)
+                                                )}
+                                            </Value>
+                                        </Cell>
+                                    </React.Fragment>
+                                );
+                            })}
+                        </Grid>
+                    </Container>
+                );
+            }}
+        </Query>
+    );
+};
+
+export default withRouter(FormSubmissionDetails);
@@ -0,0 +1,82 @@
+// @flow
+import * as React from "react";
+import { compose, withHandlers } from "recompose";
+import { graphql, withApollo } from "react-apollo";
+import { withRouter } from "react-router-dom";
+import { get } from "lodash";
+import { i18n } from "webiny-app/i18n";
+import { withDataList } from "webiny-app/components";
+import { withSnackbar } from "webiny-admin/components";
+import { SplitView, LeftPanel, RightPanel } from "webiny-admin/components/SplitView";
+import FormSubmissionsDataList from "./FormSubmissionsDataList";
+import FormSubmissionDetails from "./FormSubmissionDetails";
+import { listFormSubmissions, exportFormSubmissions, deleteFormSubmission } from "./graphql";
+import { downloadCsv } from "./utils";
+
+const t = i18n.namespace("Cms.FormSubmissions");
+
+/**
+ * Lists submissions of forms placed on CMS pages. Submissions of a single form can be exported as CSV.
+ */
+const FormSubmissions = ({ dataList, deleteSubmission, exportSubmissions }: Object) => {
+    return (
+        <SplitView>
+            <LeftPanel span={5}>
+                <FormSubmissionsDataList
+                    dataList={dataList}
+                    deleteSubmission={deleteSubmission}
+                    exportSubmissions={exportSubmissions}
+                />
+            </LeftPanel>
+            <RightPanel span={7}>
+                <FormSubmissionDetails />
+            </RightPanel>
+        </SplitView>
+    );
+};
+
+export default compose(
+    withSnackbar(),
+    withRouter,
+    withApollo,
+    graphql(deleteFormSubmission, { name: "deleteMutation" }),
+    withDataList({
+        query: listFormSubmissions,
+        response: data => {
+            return get(data, "cms.submissions", {});
+        },
+        variables: {
+            sort: { createdOn: -1 }
+        }
+    }),
+    withHandlers({
+        deleteSubmission: ({ deleteMutation, dataList, showSnackbar }) => async submission => {
+            const { data } = await deleteMutation({
+                variables: { id: submission.id },
+                refetchQueries: ["CmsListForms"]
+            });
+
+            const error = get(data, "cms.deleteFormSubmission.error");
+            if (error) {
+                return showSnackbar(error.message);
+            }
+
+            dataList.refresh();
+            showSnackbar(t`Submission deleted.`);
+        },
+        exportSubmissions: ({ client, showSnackbar }) => async (form: string) => {
+            const { data } = await client.query({
+                query: exportFormSubmissions,
+                variables: { form },
+                fetchPolicy: "network-only"
+            });
+
+            const { data: csv, error } = get(data, "cms.exportFormSubmissions") || {};
+            if (error) {
+                return showSnackbar(error.message);
+            }
+
+            downloadCsv(csv, `form-submissions-${form}.csv`);
+        }
+    })
+)(FormSubmissions);
@@ -0,0 +1,155 @@
+// @flow
+import * as React from "react";
+import TimeAgo from "timeago-react";
+import { css } from "emotion";
+import { Query } from "react-apollo";
+import { withRouter } from "react-router-dom";
+import { get } from "lodash";
+import { i18n } from "webiny-app/i18n";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Select } from "webiny-ui/Select";
+import { ButtonSecondary } from "webiny-ui/Button";
+import { ConfirmationDialog } from "webiny-ui/ConfirmationDialog";
+import { DeleteIcon } from "webiny-ui/List/DataList/icons";
+import {
+    DataList,
+    ScrollList,
+    ListItem,
+    ListItemText,
+    ListItemTextSecondary,
+    ListTextOverline,
+    ListItemMeta,
+    ListActions
+} from "webiny-ui/List";
+import { listForms } from "./graphql";
+import { formatValue } from "./utils";
+
+const t = i18n.namespace("Cms.FormSubmissionsDataList");
+
+const filters = css({
+    padding: "0 15px",
+    backgroundColor: "var(--mdc-theme-surface)"
+});
+
+type Props = {
+    dataList: Object,
+    location: Object,
+    history: Object,
+    deleteSubmission: Function,
+    exportSubmissions: Function
+};
+
+const FormSubmissionsDataList = ({
+    dataList,
+    location,
+    history,
+    deleteSubmission,
+    exportSubmissions
+}: Props) => {
+    const query = new URLSearchParams(location.search);
+    const where =
+        dataList.__loadParams && dataList.__loadParams.where ? dataList.__loadParams.where : {};
+
+    return (
+        <React.Fragment>
+            <Query query={listForms}>
+                {({ data }) => (
+                    <Grid className={filters}>
+                        <Cell span={12}>
+                            <Select
+                                label={t`Form`}
+                                value={where.form || ""}
+                                onChange={form =>
+                                    dataList.refresh({
+                                        ...dataList.__loadParams,
+                                        where: form ? { form } : {},
+                                        page: 1
+                                    })
+                                }
+                            >
+                                {[{ id: "", name: t`All forms`, submissions: null }]
+                                    .concat(get(data, "cms.forms.data") || [])
+                                    .map(form => (
+                                        <option key={form.id} value={form.id}>
+                                            {form.submissions === null
+                                                ? form.name
+                                                : `${form.name} (${form.submissions})`}
+                                        </option>
+                                    ))}
+                            </Select>
+                        </Cell>
+                    </Grid>
+                )}
+            </Query>
+            <DataList
+                {...dataList}
+                title={t`Form submissions`}
+                actions={
+                    where.form ? (
+                        <ButtonSecondary onClick={() => exportSubmissions(where.form)}>
+                            {t`Export CSV`}
+                        </ButtonSecondary>
+                    ) : null
+                }
+                sorters={[
+                    {
+                        label: "Newest to oldest",
+                        sorters: { createdOn: -1 }
+                    },
+                    {
+                        label: "Oldest to newest",
+                        sorters: { createdOn: 1 }
+                    }
+                ]}
+            >
+                {({ data }) => (
+                    <ScrollList twoLine>
+                        {data.map(item => {
+                            const [first, ...rest] = item.fields || [];
+                            return (
+                                <ListItem key={item.id} selected={query.get("id") === item.id}>
+                                    <ListItemText
+                                        onClick={() => {
+                                            query.set("id", item.id);
+                                            history.push({ search: query.toString() });
+                                        }}
+                                    >
+                                        <ListTextOverline>{item.name}</ListTextOverline>
+                                        {first ? formatValue(first, item.data[first.name]) : "-"}
+                                        <ListItemTextSecondary>
+                                            {rest
+                                                .slice(0, 2)
+                                                .map(field =>
+                                                    formatValue(field, item.data[field.name])
+                                                )
+                                                .join(", ")}
+                                            {rest.length ? " - " : ""}
+                                            <TimeAgo datetime={item.createdOn} />
+                                        </ListItemTextSecondary>
+                                    </ListItemText>
+                                    <ListItemMeta>
+                                        <ListActions>
+                                            <ConfirmationDialog>
+                                                {({ showConfirmation }) => (
+                                                    <DeleteIcon
+                                                        onClick={() => {
+                                                            showConfirmation(() =>
+                                                                deleteSubmission(item)
+                                                            );
+                                                        }}
+                                                    />
+                                                )}
+                                            </ConfirmationDialog>
+                                        </ListActions>
+                                    </ListItemMeta>
+                                </ListItem>
+                            );
+                        })}
+                    </ScrollList>
+                )}
+            </DataList>
+        </React.Fragment>
+    );
+};
+
+export default withRouter(FormSubmissionsDataList);
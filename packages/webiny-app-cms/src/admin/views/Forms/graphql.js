@@ -0,0 +1,100 @@
+// @flow
+import gql from "graphql-tag";
+
+export const listForms = gql`
+    query CmsListForms {
+        cms {
+            forms: listForms {
+                data {
+                    id
+                    name
+                    submissions
+                    lastSubmittedOn
+                }
+            }
+        }
+    }
+`;
+
+export const listFormSubmissions = gql`
+    query CmsListFormSubmissions(
+        $where: JSON
+        $sort: JSON
+        $page: Int
+        $perPage: Int
+        $search: SearchInput
+    ) {
+        cms {
+            submissions: listFormSubmissions(
+                where: $where
+                sort: $sort
+                page: $page
+                perPage: $perPage
+                search: $search
+            ) {
+                data {
+                    id
+                    name
+                    fields
+                    data
+                    createdOn
+                }
+                meta {
+                    totalCount
+                    to
+                    from
+                    nextPage
+                    previousPage
+                }
+            }
+        }
+    }
+`;
+
+export const getFormSubmission = gql`
+    query CmsGetFormSubmission($id: ID!) {
+        cms {
+            submission: getFormSubmission(id: $id) {
+                data {
+                    id
+                    name
+                    fields
+                    data
+                    meta
+                    createdOn
+                }
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const exportFormSubmissions = gql`
+    query CmsExportFormSubmissions($form: ID!) {
+        cms {
+            exportFormSubmissions(form: $form) {
+                data
+                error {
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const deleteFormSubmission = gql`
+    mutation CmsDeleteFormSubmission($id: ID!) {
+        cms {
+            deleteFormSubmission(id: $id) {
+                data
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
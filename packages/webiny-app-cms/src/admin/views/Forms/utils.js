@@ -0,0 +1,36 @@
+// @flow
+
+export const formatValue = (field: { type: string }, value: any): string => {
+    if (field.type === "checkbox") {
+        return value ? "Yes" : "No";
+    }
+
+    if (value === null || typeof value === "undefined" || value === "") {
+        return "-";
+    }
+
+    return typeof value === "object" ? value.name || value.src : String(value);
+};
+
+/**
+ * Returns URL of the submitted file. Only files served from the "/files" path are linked, so that stored
+ * values like "javascript:" URLs are never rendered as links.
+ */
+export const getFileUrl = (value: ?Object): ?string => {
+    const src = value && value.src;
+    return typeof src === "string" && /^\/files\/[^./\\][^/\\]*$/.test(src) ? src : null;
+};
+
+/**
+ * Triggers download of the CSV string as a file.
+ */
+export const downloadCsv = (csv: string, filename: string) => {
+    const url = window.URL.createObjectURL(new window.Blob([csv], { type: "text/csv" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body && document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,102 @@
+// @flow
+import * as React from "react";
+import { compose, withProps } from "recompose";
+import { Query } from "react-apollo";
+import { withRouter } from "react-router-dom";
+import styled from "react-emotion";
+import { get } from "lodash";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Select } from "webiny-ui/Select";
+import { Typography } from "webiny-ui/Typography";
+import { CircularProgress } from "webiny-ui/Progress";
+import { diffRevisions } from "webiny-app-cms/admin/graphql/pages";
+import { PageChanges } from "webiny-app-cms/admin/components";
+
+const Container = styled("div")({
+    padding: 25,
+    color: "var(--mdc-theme-on-surface)"
+});
+
+type Props = {
+    a: string,
+    b: string,
+    query: URLSearchParams,
+    history: Object
+};
+
+const RevisionsCompare = ({ a, b, query, history }: Props) => {
+    const select = (name: string, value: string) => {
+        query.set(name, value);
+        history.push({ search: query.toString() });
+    };
+
+    return (
+        <Query query={diffRevisions} variables={{ a, b }} skip={!a || !b}>
+            {({ data, loading }) => {
+                if (loading) {
+                    return <CircularProgress />;
+                }
+
+                const error = get(data, "cms.diff.error");
+                if (error || !a || !b) {
+                    return (
+                        <Container>
+                            <Typography use={"body1"}>
+                                {error ? error.message : "Select two revisions to compare."}
+                            </Typography>
+                        </Container>
+                    );
+                }
+
+                const diff = get(data, "cms.diff.data");
+                if (!diff) {
+                    return null;
+                }
+
+                const revisions = diff.a.revisions.map(rev => (
+                    <option key={rev.id} value={rev.id}>
+                        v{rev.version}
+                        {rev.published ? " (published)" : rev.locked ? " (locked)" : " (draft)"}
+                    </option>
+                ));
+
+                return (
+                    <Container>
+                        <Grid>
+                            <Cell span={2}>
+                                <Typography use={"headline6"}>{diff.b.title}</Typography>
+                            </Cell>
+                            <Cell span={5}>
+                                <Select
+                                    label={"Revision"}
+                                    value={a}
+                                    onChange={value => select("a", value)}
+                                >
+                                    {revisions}
+                                </Select>
+                            </Cell>
+                            <Cell span={5}>
+                                <Select
+                                    label={"Compare with"}
+                                    value={b}
+                                    onChange={value => select("b", value)}
+                                >
+                                    {revisions}
+                                </Select>
+                            </Cell>
+                        </Grid>
+                        <PageChanges diff={diff} />
+                    </Container>
+                );
+            }}
+        </Query>
+    );
+};
+
+export default compose(
+    withRouter,
+    withProps(({ location }) => {
+        const query = new URLSearchParams(location.search);
+        return { a: query.get("a"), b: query.get("b"), query };
+    })
+)(RevisionsCompare);
@@ -0,0 +1,110 @@
+// @flow
+import * as React from "react";
+import TimeAgo from "timeago-react";
+import bytes from "bytes";
+import { compose, withHandlers } from "recompose";
+import { graphql } from "react-apollo";
+import { withRouter } from "react-router-dom";
+import { get } from "lodash";
+import { i18n } from "webiny-app/i18n";
+import { withDataList } from "webiny-app/components";
+import { withSnackbar } from "webiny-admin/components";
+import { IconButton } from "webiny-ui/Button";
+import { Tooltip } from "webiny-ui/Tooltip";
+import {
+    DataList,
+    List,
+    ListItem,
+    ListItemText,
+    ListItemTextSecondary,
+    ListTextOverline,
+    ListItemMeta,
+    ListActions
+} from "webiny-ui/List";
+import { listDeletedFiles, restoreFile } from "webiny-admin/components/FileManager/graphql";
+import { ReactComponent as RestoreIcon } from "webiny-app-cms/admin/assets/round-restore_from_trash-24px.svg";
+
+const t = i18n.namespace("Cms.DeletedFiles");
+
+const DeletedFiles = ({ dataList, restore }) => {
+    return (
+        <DataList
+            {...dataList}
+            title={t`Deleted files`}
+            sorters={[
+                {
+                    label: "Recently deleted",
+                    sorters: { deletedOn: -1 }
+                },
+                {
+                    label: "Name A-Z",
+                    sorters: { name: 1 }
+                },
+                {
+                    label: "Name Z-A",
+                    sorters: { name: -1 }
+                }
+            ]}
+        >
+            {({ data = [] }) => (
+                <List>
+                    {data.map(file => (
+                        <ListItem key={file.id}>
+                            <ListItemText>
+                                {file.name}
+                                <ListTextOverline>
+                                    {file.type} ({bytes.format(file.size)})
+                                </ListTextOverline>
+                                <ListItemTextSecondary>
+                                    Deleted: <TimeAgo datetime={file.deletedOn} />.
+                                </ListItemTextSecondary>
+                            </ListItemText>
+                            <ListItemMeta>
+                                <ListActions>
+                                    <Tooltip content={"Restore"} placement={"top"}>
+                                        <IconButton
+                                            icon={<RestoreIcon />}
+                                            onClick={() => restore(file)}
+                                        />
+                                    </Tooltip>
+                                </ListActions>
+                            </ListItemMeta>
+                        </ListItem>
+                    ))}
+                </List>
+            )}
+        </DataList>
+    );
+};
+
+export default compose(
+    withSnackbar(),
+    withRouter,
+    graphql(restoreFile, { name: "restoreMutation" }),
+    withDataList({
+        query: listDeletedFiles,
+        response: data => {
+            return get(data, "files.listDeletedFiles", {});
+        },
+        variables: {
+            sort: { deletedOn: -1 }
+        }
+    }),
+    withHandlers({
+        restore: ({ restoreMutation, dataList, showSnackbar }) => async file => {
+            const { data } = await restoreMutation({ variables: { id: file.id } });
+
+            const error = get(data, "files.restoreFile.error");
+            if (error) {
+                return showSnackbar(error.message);
+            }
+
+            dataList.refresh();
+            showSnackbar(
+                <span>
+                    The file <strong>{file.name}</strong> was restored.
+                </span>
+            );
+        }
+    })
+)(DeletedFiles);
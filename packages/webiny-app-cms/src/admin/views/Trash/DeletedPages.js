@@ -0,0 +1,112 @@
+// @flow
+import * as React from "react";
+import TimeAgo from "timeago-react";
+import { compose, withHandlers } from "recompose";
+import { graphql } from "react-apollo";
+import { withRouter } from "react-router-dom";
+import { get } from "lodash";
+import { i18n } from "webiny-app/i18n";
+import { withDataList } from "webiny-app/components";
+import { withSnackbar } from "webiny-admin/components";
+import { IconButton } from "webiny-ui/Button";
+import { Tooltip } from "webiny-ui/Tooltip";
+import {
+    DataList,
+    List,
+    ListItem,
+    ListItemText,
+    ListItemTextSecondary,
+    ListTextOverline,
+    ListItemMeta,
+    ListActions
+} from "webiny-ui/List";
+import { listDeletedPages, restorePage } from "webiny-app-cms/admin/graphql/pages";
+import { ReactComponent as RestoreIcon } from "webiny-app-cms/admin/assets/round-restore_from_trash-24px.svg";
+
+const t = i18n.namespace("Cms.DeletedPages");
+
+const DeletedPages = ({ dataList, restore }) => {
+    return (
+        <DataList
+            {...dataList}
+            title={t`Deleted pages`}
+            sorters={[
+                {
+                    label: "Recently deleted",
+                    sorters: { deletedOn: -1 }
+                },
+                {
+                    label: "Title A-Z",
+                    sorters: { title: 1 }
+                },
+                {
+                    label: "Title Z-A",
+                    sorters: { title: -1 }
+                }
+            ]}
+        >
+            {({ data = [] }) => (
+                <List>
+                    {data.map(page => (
+                        <ListItem key={page.id}>
+                            <ListItemText>
+                                {page.title}
+                                {page.category && (
+                                    <ListTextOverline>{page.category.name}</ListTextOverline>
+                                )}
+                                <ListItemTextSecondary>
+                                    Deleted: <TimeAgo datetime={page.deletedOn} />.
+                                </ListItemTextSecondary>
+                            </ListItemText>
+                            <ListItemMeta>
+                                <ListActions>
+                                    <Tooltip content={"Restore"} placement={"top"}>
+                                        <IconButton
+                                            icon={<RestoreIcon />}
+                                            onClick={() => restore(page)}
+                                        />
+                                    </Tooltip>
+                                </ListActions>
+                            </ListItemMeta>
+                        </ListItem>
+                    ))}
+                </List>
+            )}
+        </DataList>
+    );
+};
+
+export default compose(
+    withSnackbar(),
+    withRouter,
+    graphql(restorePage, { name: "restoreMutation" }),
+    withDataList({
+        query: listDeletedPages,
+        response: data => {
+            return get(data, "cms.pages", {});
+        },
+        variables: {
+            sort: { deletedOn: -1 }
+        }
+    }),
+    withHandlers({
+        restore: ({ restoreMutation, dataList, showSnackbar }) => async page => {
+            const { data } = await restoreMutation({
+                variables: { id: page.id },
+                refetchQueries: ["CmsListPages"]
+            });
+
+            const error = get(data, "cms.restorePage.error");
+            if (error) {
+                return showSnackbar(error.message);
+            }
+
+            dataList.refresh();
+            showSnackbar(
+                <span>
+                    The page <strong>{page.title}</strong> was restored.
+                </span>
+            );
+        }
+    })
+)(DeletedPages);
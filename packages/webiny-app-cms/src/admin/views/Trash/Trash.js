@@ -0,0 +1,32 @@
+// @flow
+import * as React from "react";
+import { css } from "emotion";
+import { Tabs, Tab } from "webiny-ui/Tabs";
+import { Elevation } from "webiny-ui/Elevation";
+import DeletedPages from "./DeletedPages";
+import DeletedFiles from "./DeletedFiles";
+
+const container = css({
+    margin: 25,
+    backgroundColor: "var(--mdc-theme-surface)"
+});
+
+/**
+ * Lists deleted (trashed) pages and files, which can be restored from here.
+ */
+const Trash = () => {
+    return (
+        <Elevation z={1} className={container}>
+            <Tabs>
+                <Tab label={"Pages"}>
+                    <DeletedPages />
+                </Tab>
+                <Tab label={"Files"}>
+                    <DeletedFiles />
+                </Tab>
+            </Tabs>
+        </Elevation>
+    );
+};
+
+export default Trash;
@@ -6,6 +6,8 @@ import withCms from "./withCms";
 type WithCmsPropsType = {
     theme: Object,
     isEditor?: boolean,
+    // Page that is being rendered (site only).
+    page?: { id: string },
     defaults?: {
         pages?: {
             notFound?: React.ComponentType<any>,
@@ -2,7 +2,7 @@
 import invariant from "invariant";
 import dotProp from "dot-prop-immutable";
 import gql from "graphql-tag";
-import { isEqual, pick, debounce, cloneDeep, merge as _merge } from "lodash";
+import { get, isEqual, pick, debounce, cloneDeep, merge as _merge } from "lodash";
 import {
     createAction,
     addMiddleware,
@@ -12,10 +12,13 @@ import {
 import { getPlugin } from "webiny-plugins";
 import {
     getPage,
+    getUi,
+    getCollaborators,
     getElementWithChildren,
     getParentElementWithChildren
 } from "webiny-app-cms/editor/selectors";
 import { updateChildPaths } from "webiny-app-cms/editor/utils";
+import { applyOperations } from "webiny-app-cms/editor/collaboration/operations";
 import undoable from "./history";
 
 export const DRAG_START = `Drag start`;
@@ -37,6 +40,11 @@ export const UPDATE_REVISION = `Update revision`;
 export const SAVING_REVISION = `Save revision`;
 export const START_SAVING = `Started saving`;
 export const FINISH_SAVING = `Finished saving`;
+export const REVISION_SAVED = `Revision saved`;
+export const SAVING_CONFLICT = `Saving conflict`;
+export const REFRESH_SAVED_ON = `Refresh saved on`;
+export const SAVED_ON_REFRESHED = `Saved on refreshed`;
+export const APPLY_OPERATIONS = `Apply operations`;
 
 /***************** HISTORY REDUCER *****************/
 const horStatePath = "page.content";
@@ -273,6 +281,22 @@ addReducer([UPDATE_REVISION], "page", (state, action) => {
     return { ...state, ...action.payload };
 });
 
+// Applies content operations made by other editors of the same revision (see "collaboration").
+export const applyContentOperations = createAction(APPLY_OPERATIONS);
+addReducer([APPLY_OPERATIONS], "page.content", (state, action) => {
+    const { content, operations } = action.payload;
+
+    // Operations are applied to the whole history, so undo / redo do not revert changes made by others.
+    const apply = content => applyOperations(content, operations);
+    return {
+        ...state,
+        past: state.past.map(apply),
+        present: content,
+        future: state.future.map(apply),
+        _latestUnfiltered: content
+    };
+});
+
 // Flatten page content
 const flattenContent = el => {
     let els = {};
@@ -292,7 +316,14 @@ addReducer([FLATTEN_ELEMENTS], "elements", (state, action) => {
 });
 
 addMiddleware(
-    [UPDATE_ELEMENT, DELETE_ELEMENT, "@@redux-undo/UNDO", "@@redux-undo/REDO", "@@redux-undo/INIT"],
+    [
+        UPDATE_ELEMENT,
+        DELETE_ELEMENT,
+        APPLY_OPERATIONS,
+        "@@redux-undo/UNDO",
+        "@@redux-undo/REDO",
+        "@@redux-undo/INIT"
+    ],
     ({ store, next, action }) => {
         const result = next(action);
 
@@ -357,30 +388,86 @@ addReducer([START_SAVING, FINISH_SAVING], "ui.saving", (state, action) => {
     return action.payload.progress;
 });
 
+// Revision was saved - the new "savedOn" value is the precondition for the next save.
+addReducer([REVISION_SAVED, SAVED_ON_REFRESHED], "page", (state, action) => {
+    return { ...state, savedOn: action.payload.savedOn };
+});
+
+// While editors were collaborating, their saves changed "savedOn" as well. Once the current editor is alone again,
+// the latest value is loaded, otherwise the next (conditional) save would end with a conflict.
+let refreshingSavedOn = null;
+export const refreshSavedOn = createAction(REFRESH_SAVED_ON);
+addMiddleware([REFRESH_SAVED_ON], ({ store, next, action }) => {
+    next(action);
+
+    const getSavedOn = gql`
+        query GetRevisionSavedOn($id: ID!) {
+            cms {
+                getPage(id: $id) {
+                    data {
+                        savedOn
+                    }
+                }
+            }
+        }
+    `;
+
+    const { id } = getPage(store.getState());
+    refreshingSavedOn = action.meta.client
+        .query({ query: getSavedOn, variables: { id }, fetchPolicy: "network-only" })
+        .then(res => {
+            const savedOn = get(res, "data.cms.getPage.data.savedOn");
+            savedOn && store.dispatch({ type: SAVED_ON_REFRESHED, payload: { savedOn } });
+        })
+        .catch(err => {
+            console.log(err); // eslint-disable-line
+        })
+        .then(() => {
+            refreshingSavedOn = null;
+        });
+});
+
+addReducer([REVISION_SAVED, SAVING_CONFLICT], "ui.conflict", (state, action) => {
+    return action.type === SAVING_CONFLICT ? action.payload : null;
+});
+
 addMiddleware([SAVING_REVISION], ({ store, next, action }) => {
     next(action);
 
-    const data: Object = getPage(store.getState());
+    // Revision is saved once the latest "savedOn" value is loaded.
+    if (refreshingSavedOn) {
+        refreshingSavedOn.then(() => store.dispatch(action));
+        return;
+    }
+
+    const state = store.getState();
+    const data: Object = getPage(state);
     if (data.locked) {
         return;
     }
 
+    // Once the revision was changed by someone else, changes are saved only if the user chooses to overwrite them.
+    const { overwrite } = action.meta;
+    if (getUi(state).conflict && !overwrite) {
+        return;
+    }
+
     // Construct page payload
     const revision = pick(data, ["title", "snippet", "url", "settings"]);
     revision.content = data.content.present;
     revision.category = data.category.id;
 
     // Check if API call is necessary
-    if (!dataChanged(revision)) {
+    if (!overwrite && !dataChanged(revision)) {
         return;
     }
 
     lastSavedRevision = revision;
 
     const updateRevision = gql`
-        mutation UpdateRevision($id: ID!, $data: UpdatePageInput!) {
+        mutation UpdateRevision($id: ID!, $data: UpdatePageInput!, $savedOn: DateTime) {
             cms {
-                updateRevision(id: $id, data: $data) {
+                updateRevision(id: $id, data: $data, savedOn: $savedOn) {
                     data {
                         id
                         content
@@ -398,14 +485,29 @@ addMiddleware([SAVING_REVISION], ({ store, next, action }) => {
         }
     `;
 
+    // Editors collaborating on the revision already see each other's changes, so saving is not conditional.
+    const variables: Object = { id: data.id, data: revision };
+    if (!overwrite && getCollaborators(state).length < 2) {
+        variables.savedOn = data.savedOn || null;
+    }
+
     store.dispatch(startSaving);
 
     action.meta.client
-        .mutate({ mutation: updateRevision, variables: { id: data.id, data: revision } })
-        .then(data => {
+        .mutate({ mutation: updateRevision, variables })
+        .then(res => {
             store.dispatch(finishSaving);
+
+            const { data: saved, error } = res.data.cms.updateRevision;
+            if (error && error.code === "CONFLICT") {
+                lastSavedRevision = null;
+                store.dispatch({ type: SAVING_CONFLICT, payload: { ...error.data } });
+                return res;
+            }
+
+            saved && store.dispatch({ type: REVISION_SAVED, payload: { savedOn: saved.savedOn } });
             action.meta.onFinish && action.meta.onFinish();
-            return data;
+            return res;
         })
         .catch(err => {
             store.dispatch(finishSaving);
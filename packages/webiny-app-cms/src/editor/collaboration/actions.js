@@ -0,0 +1,115 @@
+// @flow
+import localStorage from "store";
+import { getIdentity } from "webiny-app-security";
+import { createAction, addMiddleware, addReducer } from "webiny-app-cms/editor/redux";
+import {
+    ACTIVATE_ELEMENT,
+    DEACTIVATE_ELEMENT,
+    UPDATE_ELEMENT,
+    DELETE_ELEMENT,
+    applyContentOperations,
+    refreshSavedOn
+} from "webiny-app-cms/editor/actions";
+import { getCollaborators, getContent, getPage } from "webiny-app-cms/editor/selectors";
+import CollaborationClient, { getCollaborationUrl } from "./client";
+
+export const START_COLLABORATION = `Start collaboration`;
+export const STOP_COLLABORATION = `Stop collaboration`;
+export const COLLABORATION_PRESENCE = `Collaboration presence`;
+export const COLLABORATION_LOCKS = `Collaboration locks`;
+
+let client: ?CollaborationClient = null;
+
+const stop = () => {
+    client && client.close();
+    client = null;
+};
+
+export const startCollaboration = createAction(START_COLLABORATION);
+addMiddleware([START_COLLABORATION], ({ store, next, action }) => {
+    next(action);
+    stop();
+
+    const url = getCollaborationUrl();
+    const page = getPage(store.getState());
+    if (!url || !page.id) {
+        return;
+    }
+
+    const identity = getIdentity().data || {};
+
+    client = new CollaborationClient({
+        url,
+        revision: page.id,
+        getToken: () => localStorage.get("webiny-token"),
+        user: { id: identity.id, name: identity.fullName || identity.email },
+        onPresence: (users, self) => {
+            store.dispatch({ type: COLLABORATION_PRESENCE, payload: { users, self } });
+        },
+        onLocks: locks => {
+            store.dispatch({ type: COLLABORATION_LOCKS, payload: { locks } });
+        },
+        onContent: (content, operations) => {
+            store.dispatch(applyContentOperations({ content, operations }));
+        }
+    });
+
+    client.connect(getContent(store.getState()));
+});
+
+export const stopCollaboration = createAction(STOP_COLLABORATION);
+addMiddleware([STOP_COLLABORATION], ({ next, action }) => {
+    next(action);
+    stop();
+});
+
+addReducer([START_COLLABORATION, STOP_COLLABORATION], "collaboration", () => {
+    return { users: [], self: null, locks: {} };
+});
+
+addReducer([COLLABORATION_PRESENCE], "collaboration", (state, action) => {
+    const { users, self } = action.payload;
+    return { ...state, users, self };
+});
+
+addReducer([COLLABORATION_LOCKS], "collaboration.locks", (state, action) => {
+    return action.payload.locks;
+});
+
+// Saves are not conditional while editors are collaborating, so "savedOn" must be refreshed once the others leave.
+addMiddleware([COLLABORATION_PRESENCE], ({ store, next, action }) => {
+    const collaborators = getCollaborators(store.getState()).length;
+    const result = next(action);
+
+    if (collaborators > 1 && action.payload.users.length < 2) {
+        store.dispatch(refreshSavedOn());
+    }
+
+    return result;
+});
+
+// Local changes are sent to other editors. Changes that are not recorded in history (eg. while an element is being
+// resized) are intermediate - the final change is sent instead, same as when saving the revision.
+addMiddleware(
+    [UPDATE_ELEMENT, DELETE_ELEMENT, "@@redux-undo/UNDO", "@@redux-undo/REDO"],
+    ({ store, next, action }) => {
+        const result = next(action);
+
+        if (client && !(action.type === UPDATE_ELEMENT && action.payload.history === false)) {
+            client.sync(getContent(store.getState()));
+        }
+
+        return result;
+    }
+);
+
+// The active element is locked, so other editors can see who is working on it.
+addMiddleware([ACTIVATE_ELEMENT, DEACTIVATE_ELEMENT], ({ next, action }) => {
+    const result = next(action);
+
+    if (client) {
+        client.setLock(action.type === ACTIVATE_ELEMENT ? action.payload.element : null);
+    }
+
+    return result;
+});
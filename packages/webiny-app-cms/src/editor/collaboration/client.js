@@ -0,0 +1,193 @@
+// @flow
+import { applyOperations, diffContent, type Operation } from "./operations";
+import type { ElementType } from "webiny-app-cms/types";
+
+export type Collaborator = {
+    id: string,
+    user: { id?: string, name?: string },
+    color: string
+};
+
+type Options = {
+    url: string,
+    revision: string,
+    // Returns the access token, which is used to authenticate the editor (read on each (re)connect).
+    getToken: () => ?string,
+    user: Object,
+    onPresence: (users: Array<Collaborator>, self: ?string) => void,
+    onLocks: (locks: { [element: string]: string }) => void,
+    onContent: (content: ElementType, operations: Array<Operation>) => void
+};
+
+type PendingOperations = { id: number, operations: Array<Operation> };
+
+const RECONNECT_DELAY = 3000;
+
+/**
+ * Returns URL of the collaboration service. Unless set explicitly, the service is expected to run next to the
+ * functions (see "webiny start-functions").
+ */
+export const getCollaborationUrl = (): ?string => {
+    if (process.env.REACT_APP_COLLABORATION_URL) {
+        return process.env.REACT_APP_COLLABORATION_URL;
+    }
+
+    const host = process.env.REACT_APP_FUNCTIONS_HOST;
+    return host ? host.replace(/^http/, "ws") + "/collaboration" : null;
+};
+
+/**
+ * Connects the editor to other editors of the same revision.
+ *
+ * The service relays content operations to all editors in the same order. Each editor keeps the content that
+ * results from the confirmed (relayed) operations and applies its own unconfirmed operations on top of it, so
+ * all editors end up with the same content once their operations are confirmed.
+ */
+export default class CollaborationClient {
+    options: Options;
+    socket: ?WebSocket;
+    self: ?string;
+    // IDs this editor had on the service (a new one is assigned on each reconnect).
+    ids: Array<string>;
+    session: ?string;
+    seq: number;
+    confirmed: ElementType;
+    content: ElementType;
+    pending: Array<PendingOperations>;
+    lastPendingId: number;
+    lock: ?string;
+    closed: boolean;
+    reconnectTimeout: ?TimeoutID;
+
+    constructor(options: Options) {
+        this.options = options;
+        this.socket = null;
+        this.self = null;
+        this.ids = [];
+        this.session = null;
+        this.seq = 0;
+        this.pending = [];
+        this.lastPendingId = 0;
+        this.lock = null;
+        this.closed = false;
+        this.reconnectTimeout = null;
+    }
+
+    connect(content: ElementType) {
+        this.confirmed = content;
+        this.content = content;
+        this.open();
+    }
+
+    close() {
+        this.closed = true;
+        this.reconnectTimeout && clearTimeout(this.reconnectTimeout);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    /**
+     * Sends changes made to the content since the last synchronization.
+     */
+    sync(content: ElementType) {
+        const operations = diffContent(this.content, content);
+        this.content = content;
+        if (!operations.length) {
+            return;
+        }
+
+        const pending = { id: ++this.lastPendingId, operations };
+        this.pending.push(pending);
+        this.send({ type: "operations", ...pending });
+    }
+
+    setLock(element: ?string) {
+        this.lock = element;
+        this.send({ type: "lock", element });
+    }
+
+    open() {
+        const socket = new WebSocket(this.options.url);
+
+        socket.onopen = () => {
+            const { revision, getToken, user } = this.options;
+            socket.send(
+                JSON.stringify({
+                    type: "join",
+                    revision,
+                    token: getToken(),
+                    user,
+                    session: this.session,
+                    seq: this.seq
+                })
+            );
+
+            // Operations that were not confirmed before the connection was lost are sent again.
+            this.pending.forEach(pending => this.send({ type: "operations", ...pending }));
+            this.lock && this.send({ type: "lock", element: this.lock });
+        };
+
+        socket.onmessage = (event: MessageEvent) => {
+            this.receive(JSON.parse(String(event.data)));
+        };
+
+        socket.onclose = () => {
+            if (!this.closed) {
+                this.reconnectTimeout = setTimeout(() => this.open(), RECONNECT_DELAY);
+            }
+        };
+
+        this.socket = socket;
+    }
+
+    send(message: Object) {
+        const { socket } = this;
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    receive(message: Object) {
+        switch (message.type) {
+            case "error":
+                // Editors that cannot be authenticated stop reconnecting.
+                if (message.code === "UNAUTHORIZED") {
+                    this.close();
+                }
+                break;
+            case "welcome":
+                this.self = message.id;
+                this.ids.push(message.id);
+                this.session = message.session;
+                break;
+            case "presence":
+                this.options.onPresence(message.users, this.self);
+                break;
+            case "locks":
+                this.options.onLocks(message.locks);
+                break;
+            case "operations": {
+                if (!Array.isArray(message.operations)) {
+                    return;
+                }
+
+                this.seq = message.seq;
+                this.confirmed = applyOperations(this.confirmed, message.operations);
+
+                const own = this.pending.findIndex(pending => pending.id === message.id);
+                if (own > -1 && this.ids.includes(message.from)) {
+                    this.pending.splice(own, 1);
+                    return;
+                }
+
+                this.content = this.pending.reduce(
+                    (content, pending) => applyOperations(content, pending.operations),
+                    this.confirmed
+                );
+                this.options.onContent(this.content, message.operations);
+            }
+        }
+    }
+}
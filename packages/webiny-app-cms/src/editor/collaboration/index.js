@@ -0,0 +1,4 @@
+// @flow
+export * from "./actions";
+export { diffContent, applyOperations } from "./operations";
+export type { Operation } from "./operations";
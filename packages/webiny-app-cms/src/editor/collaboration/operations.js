@@ -0,0 +1,255 @@
+// @flow
+import { cloneDeep, isEqual, omit } from "lodash";
+import { updateChildPaths } from "../utils";
+import type { ElementType } from "webiny-app-cms/types";
+
+/**
+ * Element-level operations on the page content tree. Elements are addressed by ID and positioned relative to their
+ * previous sibling ("after"), so operations made by different editors can be applied in any order - an operation
+ * that targets an element which no longer exists is simply skipped.
+ */
+export type Operation =
+    | { type: "insert", parent: string, after: ?string, element: ElementType }
+    | { type: "move", id: string, parent: string, after: ?string }
+    | { type: "update", id: string, data: Object }
+    | { type: "remove", id: string };
+
+type IndexEntry = { element: ElementType, parent: ?string };
+
+const isId = (value: mixed): boolean %checks => {
+    return typeof value === "string" && value.length > 0 && value.length <= 100;
+};
+
+const isObject = (value: mixed): boolean %checks => {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+};
+
+const isElement = (element: mixed): boolean => {
+    return (
+        isObject(element) &&
+        isId(element.id) &&
+        typeof element.type === "string" &&
+        (typeof element.elements === "undefined" ||
+            (Array.isArray(element.elements) && element.elements.every(isElement)))
+    );
+};
+
+/**
+ * Checks the shape of an operation received from the collaboration service. Rules must stay in sync with
+ * the service (see "webiny-cli" collaboration functions).
+ */
+export const isOperation = (operation: mixed): boolean => {
+    if (!isObject(operation)) {
+        return false;
+    }
+
+    const isPosition = isId(operation.parent) && (operation.after == null || isId(operation.after));
+
+    switch (operation.type) {
+        case "insert":
+            return isPosition && isElement(operation.element);
+        case "move":
+            return isPosition && isId(operation.id);
+        case "update":
+            return (
+                isId(operation.id) &&
+                isObject(operation.data) &&
+                operation.data.id === operation.id &&
+                typeof operation.data.type === "string" &&
+                typeof operation.data.elements === "undefined"
+            );
+        case "remove":
+            return isId(operation.id);
+        default:
+            return false;
+    }
+};
+
+const getData = (element: ElementType): Object => omit(element, ["elements", "path"]);
+
+const getChildren = (element: ElementType): Array<ElementType> => {
+    return Array.isArray(element.elements) ? element.elements : [];
+};
+
+const index = (
+    element: ElementType,
+    parent: ?string = null,
+    output: { [id: string]: IndexEntry } = {}
+) => {
+    output[element.id] = { element, parent };
+    getChildren(element).forEach(child => index(child, element.id, output));
+    return output;
+};
+
+/**
+ * Returns IDs of elements that kept their relative order (longest common subsequence of both lists).
+ */
+const getStableIds = (a: Array<string>, b: Array<string>): Array<string> => {
+    const lengths = a.map(() => b.map(() => 0));
+    const get = (i, j) => (i < 0 || j < 0 ? 0 : lengths[i][j]);
+    for (let i = 0; i < a.length; i++) {
+        for (let j = 0; j < b.length; j++) {
+            lengths[i][j] =
+                a[i] === b[j] ? get(i - 1, j - 1) + 1 : Math.max(get(i - 1, j), get(i, j - 1));
+        }
+    }
+
+    const output = [];
+    for (let i = a.length - 1, j = b.length - 1; i >= 0 && j >= 0; ) {
+        if (a[i] === b[j]) {
+            output.unshift(a[i]);
+            i--;
+            j--;
+        } else if (get(i - 1, j) >= get(i, j - 1)) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+    return output;
+};
+
+/**
+ * Returns operations that transform `base` content into `content`.
+ */
+export const diffContent = (base: ElementType, content: ElementType): Array<Operation> => {
+    const before = index(base);
+    const after = index(content);
+    const operations = [];
+
+    const walk = (element: ElementType) => {
+        const children = getChildren(element);
+
+        // Children that stayed within this element and kept their order are not moved.
+        const previous = before[element.id] ? getChildren(before[element.id].element) : [];
+        const stable = getStableIds(
+            previous.map(child => child.id),
+            children.map(child => child.id)
+        );
+
+        children.forEach((child, i) => {
+            const position = { parent: element.id, after: i > 0 ? children[i - 1].id : null };
+
+            if (!before[child.id]) {
+                operations.push({ type: "insert", ...position, element: cloneDeep(child) });
+                return;
+            }
+
+            if (!stable.includes(child.id)) {
+                operations.push({ type: "move", id: child.id, ...position });
+            }
+
+            if (!isEqual(getData(before[child.id].element), getData(child))) {
+                operations.push({ type: "update", id: child.id, data: getData(child) });
+            }
+
+            walk(child);
+        });
+    };
+
+    if (!isEqual(getData(base), getData(content))) {
+        operations.push({ type: "update", id: content.id, data: getData(content) });
+    }
+
+    walk(content);
+
+    // Only the topmost removed elements are needed - their children are removed together with them.
+    Object.keys(before).forEach(id => {
+        const { parent } = before[id];
+        if (!after[id] && parent && after[parent]) {
+            operations.push({ type: "remove", id });
+        }
+    });
+
+    return operations;
+};
+
+const detach = (entries: Object, id: string) => {
+    const entry = entries[id];
+    const parent = entry && entry.parent && entries[entry.parent];
+    if (parent) {
+        parent.element.elements = getChildren(parent.element).filter(child => child.id !== id);
+    }
+};
+
+const attach = (entries: Object, element: ElementType, parentId: string, after: ?string) => {
+    const parent = entries[parentId].element;
+    const children = getChildren(parent).filter(child => child.id !== element.id);
+    // Elements positioned after a sibling that no longer exists are appended.
+    const position = after ? children.findIndex(child => child.id === after) : -1;
+    children.splice(after && position === -1 ? children.length : position + 1, 0, element);
+    parent.elements = children;
+    index(element, parentId, entries);
+};
+
+const contains = (element: ElementType, id: string): boolean => {
+    return element.id === id || getChildren(element).some(child => contains(child, id));
+};
+
+/**
+ * Applies operations to a copy of given content. Malformed operations and operations targeting elements that
+ * do not exist are skipped.
+ */
+export const applyOperations = (
+    content: ElementType,
+    operations: Array<Operation>
+): ElementType => {
+    const output = cloneDeep(content);
+    const entries = index(output);
+
+    operations.filter(isOperation).forEach(operation => {
+        switch (operation.type) {
+            case "insert": {
+                if (!entries[operation.parent]) {
+                    return;
+                }
+
+                // Inserted element can contain existing elements (eg. an element wrapped into a new block).
+                const element = cloneDeep(operation.element);
+                Object.keys(index(element)).forEach(id => {
+                    entries[id] && detach(entries, id);
+                });
+                attach(entries, element, operation.parent, operation.after);
+                return;
+            }
+            case "move": {
+                const entry = entries[operation.id];
+                if (!entry || !entries[operation.parent]) {
+                    return;
+                }
+
+                // An element cannot be moved into itself.
+                if (contains(entry.element, operation.parent)) {
+                    return;
+                }
+
+                detach(entries, operation.id);
+                attach(entries, entry.element, operation.parent, operation.after);
+                return;
+            }
+            case "update": {
+                const entry = entries[operation.id];
+                if (!entry) {
+                    return;
+                }
+
+                const { element } = entry;
+                Object.keys(getData(element)).forEach(key => delete element[key]);
+                Object.assign(element, cloneDeep(operation.data));
+                return;
+            }
+            case "remove": {
+                if (!entries[operation.id]) {
+                    return;
+                }
+
+                detach(entries, operation.id);
+                Object.keys(index(entries[operation.id].element)).forEach(id => delete entries[id]);
+            }
+        }
+    });
+
+    output.path = "0";
+    updateChildPaths(output);
+    return output;
+};
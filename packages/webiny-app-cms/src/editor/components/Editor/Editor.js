@@ -6,7 +6,8 @@ import { ActionCreators } from "redux-undo";
 import HTML5Backend from "react-dnd-html5-backend";
 import { DragDropContext } from "react-dnd";
 import { compose, lifecycle } from "recompose";
-import { getUi } from "webiny-app-cms/editor/selectors";
+import { getUi, getPage } from "webiny-app-cms/editor/selectors";
+import { startCollaboration, stopCollaboration } from "webiny-app-cms/editor/collaboration";
 import { withKeyHandler } from "webiny-app-cms/editor/components";
 import "./Editor.scss";
 
@@ -45,6 +46,7 @@ export default compose(
             const ui: Object = getUi(state);
 
             return {
+                revision: getPage(state).id,
                 slateFocused: ui.slateFocused,
                 isDragging: ui.dragging,
                 isResizing: ui.resizing
@@ -52,13 +54,16 @@ export default compose(
         },
         {
             undo: ActionCreators.undo,
-            redo: ActionCreators.redo
+            redo: ActionCreators.redo,
+            startCollaboration,
+            stopCollaboration
         }
     ),
     withKeyHandler(),
     lifecycle({
         componentDidMount() {
             const { addKeyHandler, undo, redo } = this.props;
+            this.props.startCollaboration();
             addKeyHandler("mod+z", e => {
                 if (!this.props.slateFocused) {
                     e.preventDefault();
@@ -72,7 +77,14 @@ export default compose(
                 }
             });
         },
+        componentDidUpdate(prevProps) {
+            // Another revision was loaded into the editor.
+            if (prevProps.revision !== this.props.revision) {
+                this.props.startCollaboration();
+            }
+        },
         componentWillUnmount() {
+            this.props.stopCollaboration();
             this.props.removeKeyHandler("mod+z");
             this.props.removeKeyHandler("mod+shift+z");
         }
@@ -12,12 +12,13 @@ import {
     activateElement,
     highlightElement
 } from "webiny-app-cms/editor/actions";
-import { getElementProps, getElement } from "webiny-app-cms/editor/selectors";
+import { getElementProps, getElement, getElementLock } from "webiny-app-cms/editor/selectors";
 import Draggable from "./Draggable";
 import type { ElementType } from "webiny-app-cms/types";
 import {
     defaultStyle,
     ElementContainer,
+    LockBadge,
     transitionStyles,
     typeStyle
 } from "./Element/ElementStyled";
@@ -29,6 +30,7 @@ declare type ElementProps = {
     dragEnd: Function,
     element: ElementType,
     highlight: boolean,
+    lock: ?Object,
     onClick: Function,
     onMouseOver: Function,
     renderDraggable: Function,
@@ -45,6 +47,7 @@ const Element = pure(
         element,
         highlight,
         active,
+        lock,
         onMouseOver,
         beginDrag,
         endDrag,
@@ -62,9 +65,15 @@ const Element = pure(
                         onMouseOver={onMouseOver}
                         highlight={highlight}
                         active={active}
+                        lockColor={lock ? lock.color : null}
                         style={{ ...defaultStyle, ...transitionStyles[state] }}
                         className={"webiny-cms-element-container"}
                     >
+                        {lock && (
+                            <LockBadge style={{ backgroundColor: lock.color }}>
+                                {lock.user.name || "Another editor"}
+                            </LockBadge>
+                        )}
                         <div className={["innerWrapper", className].filter(c => c).join(" ")}>
                             <Draggable
                                 target={plugin.target}
@@ -92,7 +101,8 @@ export default compose(
         (state, props) => {
             return {
                 ...getElementProps(state, props),
-                element: getElement(state, props.id)
+                element: getElement(state, props.id),
+                lock: getElementLock(state, props.id)
             };
         },
         { dragStart, dragEnd, activateElement, highlightElement },
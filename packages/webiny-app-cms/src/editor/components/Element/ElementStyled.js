@@ -41,9 +41,15 @@ export const typeStyle = css({
 });
 
 export const ElementContainer = pure(
-    styled("div")(({ highlight, active, dragged }) => {
+    styled("div")(({ highlight, active, dragged, lockColor }) => {
         const color = active ? "var(--mdc-theme-primary)" : "var(--mdc-theme-secondary)";
 
+        // Elements locked by other editors are outlined with the editor's color.
+        let boxShadow = highlight ? "inset 0px 0px 0px 2px " + color : "none";
+        if (lockColor && !highlight) {
+            boxShadow = "inset 0px 0px 0px 2px " + lockColor;
+        }
+
         return {
             position: "relative",
             flex: "100%",
@@ -68,9 +74,9 @@ export const ElementContainer = pure(
                 //boxShadow: highlight
                 //    ? "0px 0px 0px 1px " + color + ", inset 0px 0px 0px 1px " + color
                 //   : "none",
-                boxShadow: highlight ? "inset 0px 0px 0px 2px " + color : "none",
+                boxShadow,
                 transition: "all 0.3s cubic-bezier(0.165, 0.84, 0.44, 1)",
-                opacity: highlight ? 1 : 0
+                opacity: highlight || lockColor ? 1 : 0
             },
             "&::after:hover": {
                 opacity: 1
@@ -116,6 +122,19 @@ export const ElementContainer = pure(
     })
 );
 
+export const LockBadge = styled("div")({
+    position: "absolute",
+    top: 0,
+    left: 0,
+    zIndex: 31,
+    padding: "2px 6px",
+    borderRadius: 2,
+    fontSize: 10,
+    color: "#fff",
+    pointerEvents: "none",
+    whiteSpace: "nowrap"
+});
+
 export const defaultStyle = {
     opacity: 0,
     transform: "scale(0.5)",
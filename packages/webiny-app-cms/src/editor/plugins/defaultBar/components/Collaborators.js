@@ -0,0 +1,57 @@
+// @flow
+import React from "react";
+import { connect } from "webiny-app-cms/editor/redux";
+import { isEqual } from "lodash";
+import styled from "react-emotion";
+import { Avatar } from "webiny-ui/Avatar";
+import { Tooltip } from "webiny-ui/Tooltip";
+import { getCollaborators } from "webiny-app-cms/editor/selectors";
+
+const List = styled("div")({
+    display: "flex",
+    alignItems: "center",
+    marginRight: 10,
+    "> *": {
+        marginLeft: -6
+    }
+});
+
+/**
+ * Shows other editors that are working on the same revision.
+ */
+const Collaborators = ({ users, self }: Object) => {
+    const others = users.filter(user => user.id !== self);
+    if (!others.length) {
+        return null;
+    }
+
+    return (
+        <List>
+            {others.map(({ id, user, color }) => {
+                const name = user.name || "Another editor";
+                return (
+                    <Tooltip key={id} content={<span>{name}</span>} placement={"bottom"}>
+                        <Avatar
+                            src={""}
+                            alt={name}
+                            width={28}
+                            height={28}
+                            fallbackText={name}
+                            style={{ background: color, color: "#fff", border: "2px solid #fff" }}
+                        />
+                    </Tooltip>
+                );
+            })}
+        </List>
+    );
+};
+
+export default connect(
+    state => ({
+        users: getCollaborators(state),
+        self: state.collaboration ? state.collaboration.self : null
+    }),
+    null,
+    null,
+    { areStatePropsEqual: isEqual }
+)(Collaborators);
@@ -0,0 +1,111 @@
+// @flow
+import React from "react";
+import { connect } from "webiny-app-cms/editor/redux";
+import { compose } from "recompose";
+import { css } from "emotion";
+import { get, isEqual } from "lodash";
+import { withRouter } from "react-router-dom";
+import { graphql } from "react-apollo";
+import { Menu, MenuItem } from "webiny-ui/Menu";
+import { getPage } from "webiny-app-cms/editor/selectors";
+import { withCmsSettings } from "webiny-app-cms/admin/components";
+import { withSnackbar } from "webiny-admin/components";
+import { createTranslation } from "webiny-app-cms/admin/graphql/pages";
+import { ButtonDefault } from "webiny-ui/Button";
+import { Icon } from "webiny-ui/Icon";
+import { Typography } from "webiny-ui/Typography";
+import { ReactComponent as DownButton } from "./icons/round-arrow_drop_down-24px.svg";
+
+const buttonStyle = css({
+    "&.mdc-button": {
+        color: "var(--mdc-theme-text-primary-on-background) !important"
+    }
+});
+
+const menuList = css({
+    ".mdc-list-item": {
+        flexDirection: "column",
+        justifyContent: "center",
+        alignItems: "baseline",
+        textAlign: "left"
+    }
+});
+
+/**
+ * Switches between translations of the page. Selecting a locale in which the page was not translated yet creates
+ * the translation from the current revision.
+ */
+const Locales = ({ page, cmsSettings, gqlCreateTranslation, showSnackbar, history }: Object) => {
+    const { available = [], default: defaultLocale } = get(cmsSettings, "data.locales") || {};
+    if (!available.length) {
+        return null;
+    }
+
+    // Pages created before locales were configured are in the default locale.
+    const current = page.locale || defaultLocale;
+    const translations = page.translations || [];
+    const getTranslation = locale =>
+        translations.find(item => (item.locale || defaultLocale) === locale);
+
+    const switchLocale = async locale => {
+        if (locale === current) {
+            return;
+        }
+
+        const translation = getTranslation(locale);
+        if (translation) {
+            return history.push(`/cms/editor/${translation.id}`);
+        }
+
+        const { data: res } = await gqlCreateTranslation({
+            variables: { revision: page.id, locale }
+        });
+        const { data, error } = res.cms.revision;
+        if (error) {
+            return showSnackbar(error.message);
+        }
+
+        history.push(`/cms/editor/${data.id}`);
+    };
+
+    return (
+        <Menu
+            className={menuList}
+            onSelect={evt => switchLocale(available[evt.detail.index])}
+            handle={
+                <ButtonDefault className={buttonStyle}>
+                    {current || "Locale"} <Icon icon={<DownButton />} />
+                </ButtonDefault>
+            }
+        >
+            {available.map(locale => {
+                let status = "not translated";
+                if (getTranslation(locale)) status = "translated";
+                if (locale === current) status = "current";
+
+                return (
+                    <MenuItem key={locale}>
+                        <Typography use={"body2"}>{locale}</Typography>
+                        <Typography use={"caption"}>({status})</Typography>
+                    </MenuItem>
+                );
+            })}
+        </Menu>
+    );
+};
+
+export default compose(
+    connect(
+        state => {
+            const { id, locale, translations } = getPage(state);
+            return { page: { id, locale, translations } };
+        },
+        null,
+        null,
+        { areStatePropsEqual: isEqual }
+    ),
+    withRouter,
+    withSnackbar(),
+    withCmsSettings(),
+    graphql(createTranslation, { name: "gqlCreateTranslation" })
+)(Locales);
@@ -11,6 +11,8 @@ import Divider from "./components/Divider";
 import Title from "./components/Title";
 import BackButton from "./components/BackButton";
 import Revisions from "./components/Revisions";
+import Locales from "./components/Locales";
+import Collaborators from "./components/Collaborators";
 
 export default [
     {
@@ -24,6 +26,20 @@ export default [
             return <PageSettings />;
         }
     },
+    {
+        name: "cms-default-bar-right-collaborators",
+        type: "cms-default-bar-right",
+        render() {
+            return <Collaborators />;
+        }
+    },
+    {
+        name: "cms-default-bar-right-locales-select",
+        type: "cms-default-bar-right",
+        render() {
+            return <Locales />;
+        }
+    },
     {
         name: "cms-default-bar-right-revisions-select",
         type: "cms-default-bar-right",
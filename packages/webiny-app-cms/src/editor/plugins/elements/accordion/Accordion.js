@@ -0,0 +1,41 @@
+// @flow
+import * as React from "react";
+import { connect } from "webiny-app-cms/editor/redux";
+import { ElementRoot } from "webiny-app-cms/render/components/ElementRoot";
+import { getElement } from "webiny-app-cms/editor/selectors";
+import { ContainerItems } from "../utils/container";
+
+export const className = "webiny-cms-base-element-style webiny-cms-element-accordion";
+
+// All sections are opened in the editor, so their content can be edited.
+const Accordion = ({ element }: { element: Object }) => {
+    return (
+        <ElementRoot element={element} className={className}>
+            <ContainerItems elementId={element.id}>
+                {({ items, renderItem }) =>
+                    items.map((item, index) => (
+                        <div
+                            key={item.id}
+                            className={
+                                "webiny-cms-element-accordion__item webiny-cms-element-accordion__item--open"
+                            }
+                        >
+                            <h3 className={"webiny-cms-element-accordion__heading"}>
+                                <div className={"webiny-cms-element-accordion__button"}>
+                                    {item.title}
+                                </div>
+                            </h3>
+                            <div className={"webiny-cms-element-accordion__panel"}>
+                                {renderItem(index, index === items.length - 1)}
+                            </div>
+                        </div>
+                    ))
+                }
+            </ContainerItems>
+        </ElementRoot>
+    );
+};
+
+export default connect((state, props) => ({ element: getElement(state, props.elementId) }))(
+    Accordion
+);
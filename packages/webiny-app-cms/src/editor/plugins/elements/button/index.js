@@ -39,7 +39,13 @@ export default (): Array<PluginType> => {
                 "cms-element-settings-delete",
                 ""
             ],
-            target: ["cms-element-column", "cms-element-row"],
+            target: [
+                "cms-element-column",
+                "cms-element-row",
+                "cms-element-tabs",
+                "cms-element-accordion",
+                "cms-element-carousel"
+            ],
             create(options) {
                 return {
                     type: "cms-element-button",
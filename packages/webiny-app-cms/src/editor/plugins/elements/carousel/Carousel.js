@@ -0,0 +1,81 @@
+// @flow
+import * as React from "react";
+import { connect } from "webiny-app-cms/editor/redux";
+import { ElementRoot } from "webiny-app-cms/render/components/ElementRoot";
+import { getElement } from "webiny-app-cms/editor/selectors";
+import { ContainerItems } from "../utils/container";
+
+export const className = "webiny-cms-base-element-style webiny-cms-element-carousel";
+
+type State = { active: number };
+
+// Slides are not rotated in the editor, they are switched manually.
+class CarouselContent extends React.Component<{ elementId: string }, State> {
+    state = { active: 0 };
+
+    render() {
+        return (
+            <ContainerItems elementId={this.props.elementId}>
+                {({ items, renderItem }) => {
+                    const count = items.length;
+                    const active = Math.min(this.state.active, count - 1);
+                    const show = index => this.setState({ active: (index + count) % count });
+
+                    return (
+                        <div className={"webiny-cms-element-carousel__carousel"}>
+                            <div className={"webiny-cms-element-carousel__controls"}>
+                                <button
+                                    type={"button"}
+                                    className={"webiny-cms-element-carousel__previous"}
+                                    onClick={() => show(active - 1)}
+                                >
+                                    ‹
+                                </button>
+                                <button
+                                    type={"button"}
+                                    className={"webiny-cms-element-carousel__next"}
+                                    onClick={() => show(active + 1)}
+                                >
+                                    ›
+                                </button>
+                            </div>
+                            <div className={"webiny-cms-element-carousel__slides"}>
+                                <div className={"webiny-cms-element-carousel__slide"}>
+                                    {renderItem(active)}
+                                </div>
+                            </div>
+                            <div className={"webiny-cms-element-carousel__dots"}>
+                                {items.map((item, index) => (
+                                    <button
+                                        key={item.id}
+                                        type={"button"}
+                                        title={item.title}
+                                        className={
+                                            "webiny-cms-element-carousel__dot" +
+                                            (index === active
+                                                ? " webiny-cms-element-carousel__dot--active"
+                                                : "")
+                                        }
+                                        onClick={() => show(index)}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                    );
+                }}
+            </ContainerItems>
+        );
+    }
+}
+
+const Carousel = ({ element }: { element: Object }) => {
+    return (
+        <ElementRoot element={element} className={className}>
+            <CarouselContent elementId={element.id} />
+        </ElementRoot>
+    );
+};
+
+export default connect((state, props) => ({ element: getElement(state, props.elementId) }))(
+    Carousel
+);
@@ -0,0 +1,94 @@
+// @flow
+import React from "react";
+import styled from "react-emotion";
+import { Tab } from "webiny-ui/Tabs";
+import type { PluginType } from "webiny-app-cms/types";
+import { createItems, onReceived, onChildDeleted, ContainerSettings } from "../utils/container";
+import Carousel from "./Carousel";
+import { ReactComponent as CarouselIcon } from "./round-view_carousel-24px.svg";
+
+export default (): Array<PluginType> => {
+    const PreviewBox = styled("div")({
+        textAlign: "center",
+        height: 50,
+        svg: {
+            height: 50,
+            width: 50
+        }
+    });
+
+    return [
+        {
+            name: "cms-element-carousel",
+            type: "cms-element",
+            toolbar: {
+                title: "Carousel",
+                group: "cms-element-group-layout",
+                preview() {
+                    return (
+                        <PreviewBox>
+                            <CarouselIcon />
+                        </PreviewBox>
+                    );
+                }
+            },
+            settings: [
+                "cms-element-settings-background",
+                "",
+                "cms-element-settings-border",
+                "cms-element-settings-shadow",
+                "",
+                "cms-element-settings-padding",
+                "cms-element-settings-margin",
+                "",
+                "cms-element-settings-clone",
+                "cms-element-settings-delete",
+                ""
+            ],
+            target: ["cms-element-block", "cms-element-column"],
+            create(options: Object = {}) {
+                return {
+                    type: "cms-element-carousel",
+                    elements: createItems(3),
+                    data: {
+                        container: { items: {}, defaultItem: 0, autoplay: false, interval: 5 },
+                        settings: {
+                            margin: {
+                                mobile: { top: 0, left: 0, right: 0, bottom: 15 },
+                                desktop: { top: 0, left: 0, right: 0, bottom: 25 },
+                                advanced: true
+                            },
+                            padding: {
+                                desktop: { all: 0 },
+                                mobile: { all: 0 }
+                            }
+                        }
+                    },
+                    ...options
+                };
+            },
+            render({ element }: Object) {
+                return <Carousel elementId={element.id} />;
+            },
+            onReceived,
+            onChildDeleted
+        },
+        {
+            name: "cms-element-advanced-settings-carousel",
+            type: "cms-element-advanced-settings",
+            element: "cms-element-carousel",
+            render(props: Object) {
+                return (
+                    <Tab icon={<CarouselIcon />} label={"Carousel"}>
+                        <ContainerSettings
+                            {...props}
+                            itemLabel={"Slide"}
+                            defaultItemLabel={"First slide"}
+                            autoplay
+                        />
+                    </Tab>
+                );
+            }
+        }
+    ];
+};
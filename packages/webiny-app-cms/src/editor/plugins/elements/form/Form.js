@@ -0,0 +1,30 @@
+// @flow
+import * as React from "react";
+import { connect } from "webiny-app-cms/editor/redux";
+import { ElementRoot } from "webiny-app-cms/render/components/ElementRoot";
+import { getElement } from "webiny-app-cms/editor/selectors";
+import { ContainerItems } from "../utils/container";
+
+export const className = "webiny-cms-base-element-style webiny-cms-element-form";
+
+const Form = ({ element }: { element: Object }) => {
+    const settings = element.data.form || {};
+
+    return (
+        <ElementRoot element={element} className={className}>
+            <ContainerItems elementId={element.id}>
+                {({ items, renderItem }) =>
+                    items.map((item, index) => renderItem(index, index === items.length - 1))
+                }
+            </ContainerItems>
+            <button
+                type={"button"}
+                className={"webiny-cms-element-button webiny-cms-element-button--primary"}
+            >
+                {settings.submitLabel || "Submit"}
+            </button>
+        </ElementRoot>
+    );
+};
+
+export default connect((state, props) => ({ element: getElement(state, props.elementId) }))(Form);
@@ -0,0 +1,35 @@
+// @flow
+import * as React from "react";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Input } from "webiny-ui/Input";
+
+const FormSettings = ({ Bind }: { Bind: Function }) => {
+    return (
+        <Grid>
+            <Cell span={12}>
+                <Bind name={"form.name"} validators={["required"]}>
+                    <Input
+                        label={"Name"}
+                        description={"Used to find submissions of this form in the admin."}
+                    />
+                </Bind>
+            </Cell>
+            <Cell span={12}>
+                <Bind name={"form.submitLabel"}>
+                    <Input label={"Submit button label"} />
+                </Bind>
+            </Cell>
+            <Cell span={12}>
+                <Bind name={"form.successMessage"}>
+                    <Input
+                        rows={3}
+                        label={"Success message"}
+                        description={"Shown to visitors instead of the form, once it is submitted."}
+                    />
+                </Bind>
+            </Cell>
+        </Grid>
+    );
+};
+
+export default FormSettings;
@@ -0,0 +1,99 @@
+// @flow
+import * as React from "react";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Input } from "webiny-ui/Input";
+import { Switch } from "webiny-ui/Switch";
+import { Typography } from "webiny-ui/Typography";
+
+type Props = {
+    Bind: Function,
+    type: "text" | "email" | "select" | "checkbox" | "file"
+};
+
+// Names are used as keys of submitted data, so only simple characters are allowed.
+const toName = (value, cb) => cb(value.replace(/[^a-zA-Z0-9_-]/g, ""));
+
+const FieldSettings = ({ Bind, type }: Props) => {
+    return (
+        <React.Fragment>
+            <Grid>
+                <Cell span={6}>
+                    <Bind name={"field.label"} validators={["required"]}>
+                        <Input label={"Label"} />
+                    </Bind>
+                </Cell>
+                <Cell span={6}>
+                    <Bind name={"field.name"} beforeChange={toName}>
+                        <Input
+                            label={"Name"}
+                            description={
+                                "Key of the value in submissions. Element ID is used if empty."
+                            }
+                        />
+                    </Bind>
+                </Cell>
+                {["text", "email", "select"].includes(type) && (
+                    <Cell span={6}>
+                        <Bind name={"field.placeholder"}>
+                            <Input label={"Placeholder"} />
+                        </Bind>
+                    </Cell>
+                )}
+                <Cell span={6}>
+                    <Bind name={"field.helpText"}>
+                        <Input label={"Help text"} />
+                    </Bind>
+                </Cell>
+                <Cell span={6}>
+                    <Typography use={"overline"}>Required</Typography>
+                    <Bind name={"field.required"} defaultValue={false}>
+                        <Switch />
+                    </Bind>
+                </Cell>
+            </Grid>
+            {["text", "email"].includes(type) && (
+                <Grid>
+                    <Cell span={12}>
+                        <Bind name={"field.validators"}>
+                            <Input
+                                label={"Validation rules"}
+                                description={
+                                    "Comma-separated rules, eg. minLength:3,maxLength:100 or phone."
+                                }
+                            />
+                        </Bind>
+                    </Cell>
+                </Grid>
+            )}
+            {type === "select" && (
+                <Grid>
+                    <Cell span={12}>
+                        <Bind name={"field.options"} validators={["required"]}>
+                            <Input
+                                rows={5}
+                                label={"Options"}
+                                description={"One option per line."}
+                            />
+                        </Bind>
+                    </Cell>
+                </Grid>
+            )}
+            {type === "file" && (
+                <Grid>
+                    <Cell span={6}>
+                        <Bind name={"field.accept"}>
+                            <Input label={"Accepted file types"} description={"eg. image/*,.pdf"} />
+                        </Bind>
+                    </Cell>
+                    <Cell span={6}>
+                        <Bind name={"field.maxSize"} validators={["numeric", "gt:0"]}>
+                            <Input label={"Max file size (MB)"} />
+                        </Bind>
+                    </Cell>
+                </Grid>
+            )}
+        </React.Fragment>
+    );
+};
+
+export default FieldSettings;
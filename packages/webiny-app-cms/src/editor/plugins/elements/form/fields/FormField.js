@@ -0,0 +1,30 @@
+// @flow
+import * as React from "react";
+import { css } from "emotion";
+import { connect } from "webiny-app-cms/editor/redux";
+import { getElement } from "webiny-app-cms/editor/selectors";
+import Field from "webiny-app-cms/render/plugins/elements/form/Field";
+import { getField } from "webiny-app-cms/render/plugins/elements/form/utils";
+
+// Inputs must not catch clicks, so the field element can be selected.
+const preview = css({
+    "input, select": {
+        pointerEvents: "none"
+    }
+});
+
+// Fields are only previewed in the editor, their values are not bound to a form.
+const PreviewBind = ({ children }: { children: Function }) =>
+    children({ value: "", onChange: () => {}, validation: {} });
+
+export const FieldPreview = ({ element }: { element: Object }) => {
+    return (
+        <div className={preview}>
+            <Field field={(getField(element): any)} Bind={PreviewBind} />
+        </div>
+    );
+};
+
+export default connect((state, props) => ({ element: getElement(state, props.elementId) }))(
+    FieldPreview
+);
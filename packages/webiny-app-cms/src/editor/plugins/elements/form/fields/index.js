@@ -0,0 +1,73 @@
+// @flow
+import React from "react";
+import { Tab } from "webiny-ui/Tabs";
+import type { PluginType } from "webiny-app-cms/types";
+import FormField, { FieldPreview } from "./FormField";
+import FieldSettings from "./FieldSettings";
+import { ReactComponent as FieldIcon } from "./round-text_fields-24px.svg";
+
+type FieldDefinition = {
+    type: "text" | "email" | "select" | "checkbox" | "file",
+    title: string,
+    field: Object
+};
+
+const createField = ({ type, title, field }: FieldDefinition): Array<PluginType> => {
+    const name = `cms-element-form-${type}`;
+
+    return [
+        {
+            name,
+            type: "cms-element",
+            toolbar: {
+                title,
+                group: "cms-element-group-form",
+                preview() {
+                    return <FieldPreview element={{ id: name, type: name, data: { field } }} />;
+                }
+            },
+            settings: ["cms-element-settings-clone", "cms-element-settings-delete", ""],
+            target: ["cms-element-form"],
+            create(options: Object = {}) {
+                const { data = {}, ...rest } = options;
+                return {
+                    type: name,
+                    elements: [],
+                    data: { field: { ...field, ...data.field } },
+                    ...rest
+                };
+            },
+            render({ element }: Object) {
+                return <FormField elementId={element.id} />;
+            }
+        },
+        {
+            name: `cms-element-advanced-settings-form-${type}`,
+            type: "cms-element-advanced-settings",
+            element: name,
+            render({ Bind }: Object) {
+                return (
+                    <Tab icon={<FieldIcon />} label={"Field"}>
+                        <FieldSettings Bind={Bind} type={type} />
+                    </Tab>
+                );
+            }
+        }
+    ];
+};
+
+export default (): Array<PluginType> => [
+    ...createField({ type: "text", title: "Text input", field: { label: "Text" } }),
+    ...createField({ type: "email", title: "Email input", field: { label: "Email" } }),
+    ...createField({
+        type: "select",
+        title: "Select",
+        field: { label: "Select", placeholder: "Choose...", options: "Option 1\nOption 2" }
+    }),
+    ...createField({
+        type: "checkbox",
+        title: "Checkbox",
+        field: { label: "I agree to the terms and conditions" }
+    }),
+    ...createField({ type: "file", title: "File upload", field: { label: "File", maxSize: 5 } })
+];
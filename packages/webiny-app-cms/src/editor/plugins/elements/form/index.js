@@ -0,0 +1,100 @@
+// @flow
+import React from "react";
+import styled from "react-emotion";
+import { Tab } from "webiny-ui/Tabs";
+import type { PluginType } from "webiny-app-cms/types";
+import { createElement } from "webiny-app-cms/editor/utils";
+import { onReceived } from "../utils/container";
+import Form from "./Form";
+import FormSettings from "./FormSettings";
+import fields from "./fields";
+import { ReactComponent as FormIcon } from "./round-assignment-24px.svg";
+
+export default (): Array<PluginType> => {
+    const PreviewBox = styled("div")({
+        textAlign: "center",
+        height: 50,
+        svg: {
+            height: 50,
+            width: 50
+        }
+    });
+
+    return [
+        {
+            name: "cms-element-form",
+            type: "cms-element",
+            toolbar: {
+                title: "Form",
+                group: "cms-element-group-form",
+                preview() {
+                    return (
+                        <PreviewBox>
+                            <FormIcon />
+                        </PreviewBox>
+                    );
+                }
+            },
+            settings: [
+                "cms-element-settings-background",
+                "",
+                "cms-element-settings-border",
+                "cms-element-settings-shadow",
+                "",
+                "cms-element-settings-padding",
+                "cms-element-settings-margin",
+                "",
+                "cms-element-settings-clone",
+                "cms-element-settings-delete",
+                ""
+            ],
+            target: ["cms-element-block", "cms-element-column"],
+            create(options: Object = {}) {
+                return {
+                    type: "cms-element-form",
+                    elements: [
+                        createElement("cms-element-form-text", {
+                            data: { field: { label: "Name", name: "name", required: true } }
+                        }),
+                        createElement("cms-element-form-email", {
+                            data: { field: { label: "Email", name: "email", required: true } }
+                        })
+                    ],
+                    data: {
+                        form: { name: "Contact form", submitLabel: "Submit", successMessage: "" },
+                        settings: {
+                            margin: {
+                                mobile: { top: 0, left: 0, right: 0, bottom: 15 },
+                                desktop: { top: 0, left: 0, right: 0, bottom: 25 },
+                                advanced: true
+                            },
+                            padding: {
+                                desktop: { all: 0 },
+                                mobile: { all: 0 }
+                            }
+                        }
+                    },
+                    ...options
+                };
+            },
+            render({ element }: Object) {
+                return <Form elementId={element.id} />;
+            },
+            // Fields are added to the form the same way items are added to container elements.
+            onReceived
+        },
+        {
+            name: "cms-element-advanced-settings-form",
+            type: "cms-element-advanced-settings",
+            element: "cms-element-form",
+            render({ Bind }: Object) {
+                return (
+                    <Tab icon={<FormIcon />} label={"Form"}>
+                        <FormSettings Bind={Bind} />
+                    </Tab>
+                );
+            }
+        },
+        ...fields()
+    ];
+};
@@ -47,7 +47,13 @@ export default () => {
                 "cms-element-settings-delete",
                 ""
             ],
-            target: ["cms-element-column", "cms-element-row"],
+            target: [
+                "cms-element-column",
+                "cms-element-row",
+                "cms-element-tabs",
+                "cms-element-accordion",
+                "cms-element-carousel"
+            ],
             create(options: Object) {
                 return {
                     type: "cms-element-icon",
@@ -54,7 +54,13 @@ export default (): Array<PluginType> => {
                 "cms-element-settings-delete",
                 ""
             ],
-            target: ["cms-element-column", "cms-element-row"],
+            target: [
+                "cms-element-column",
+                "cms-element-row",
+                "cms-element-tabs",
+                "cms-element-accordion",
+                "cms-element-carousel"
+            ],
             init() {
                 addMiddleware([ELEMENT_CREATED], ({ action, next }) => {
                     const { element, source } = action.payload;
@@ -37,7 +37,13 @@ export default () => {
                 }
             },
             settings: ["cms-element-settings-delete"],
-            target: ["cms-element-row", "cms-element-column"],
+            target: [
+                "cms-element-row",
+                "cms-element-column",
+                "cms-element-tabs",
+                "cms-element-accordion",
+                "cms-element-carousel"
+            ],
             onCreate: "open-settings",
             create(options = {}) {
                 return {
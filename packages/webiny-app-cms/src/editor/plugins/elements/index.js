@@ -5,6 +5,11 @@ import block from "./block";
 import column from "./column";
 import image from "./image";
 import text from "./text";
+import table from "./table";
+import tabs from "./tabs";
+import accordion from "./accordion";
+import carousel from "./carousel";
+import form from "./form";
 import icon from "./icon";
 import spacer from "./spacer";
 import button from "./button";
@@ -23,6 +28,11 @@ export default [
     ...image(),
     // ...imagesList(),
     text(),
+    ...table(),
+    ...tabs(),
+    ...accordion(),
+    ...carousel(),
+    ...form(),
     spacer(),
     ...button(),
     ...media,
@@ -56,7 +56,13 @@ export default (): ElementPluginType => {
             ""
         ],
         // Target drop zones that will accept this type
-        target: ["cms-element-block", "cms-element-column"],
+        target: [
+            "cms-element-block",
+            "cms-element-column",
+            "cms-element-tabs",
+            "cms-element-accordion",
+            "cms-element-carousel"
+        ],
         // This function is called when `createElement` is called for this plugin
         create(options = {}) {
             const row = {
@@ -0,0 +1,92 @@
+// @flow
+import React from "react";
+import { connect } from "webiny-app-cms/editor/redux";
+import { compose, withHandlers } from "recompose";
+import { css } from "emotion";
+import { set } from "dot-prop-immutable";
+import Slate from "webiny-app-cms/editor/components/Slate";
+import { ElementRoot } from "webiny-app-cms/render/components/ElementRoot";
+import { updateElement } from "webiny-app-cms/editor/actions";
+import { getElement, getUi } from "webiny-app-cms/editor/selectors";
+import { getCoveredCells } from "webiny-app-cms/render/plugins/elements/table/utils";
+import { selectCell } from "./actions";
+import { updateCell } from "./utils";
+
+export const className = "webiny-cms-base-element-style webiny-cms-element-table";
+
+const selectedCell = css({
+    outline: "2px solid var(--mdc-theme-secondary)",
+    outlineOffset: -2
+});
+
+type Props = {
+    element: Object,
+    selected: ?{ row: number, column: number },
+    selectCell: Function,
+    onChange: Function
+};
+
+const Table = ({ element, selected, selectCell, onChange }: Props) => {
+    const { table } = element.data;
+    const covered = getCoveredCells(table.rows);
+
+    const renderRow = (cells, r) => {
+        const Cell = r < table.headerRows ? "th" : "td";
+
+        return (
+            <tr key={r}>
+                {cells.map((cell, c) => {
+                    if (covered.has(`${r}:${c}`)) {
+                        return null;
+                    }
+
+                    const active = selected && selected.row === r && selected.column === c;
+                    return (
+                        <Cell
+                            key={cell.id}
+                            colSpan={cell.colSpan > 1 ? cell.colSpan : undefined}
+                            rowSpan={cell.rowSpan > 1 ? cell.rowSpan : undefined}
+                            className={active ? selectedCell : undefined}
+                            onClick={() => selectCell({ element: element.id, row: r, column: c })}
+                        >
+                            <Slate value={cell.text} onChange={value => onChange(r, c, value)} />
+                        </Cell>
+                    );
+                })}
+            </tr>
+        );
+    };
+
+    const head = table.rows.slice(0, table.headerRows);
+    const body = table.rows.slice(table.headerRows);
+
+    return (
+        <ElementRoot element={element} className={className}>
+            <div className={"webiny-cms-element-table__wrapper"}>
+                <table>
+                    {head.length > 0 && <thead>{head.map(renderRow)}</thead>}
+                    <tbody>{body.map((cells, r) => renderRow(cells, r + head.length))}</tbody>
+                </table>
+            </div>
+        </ElementRoot>
+    );
+};
+
+export default compose(
+    connect(
+        (state, props) => {
+            const { tableCell } = getUi(state);
+            return {
+                element: getElement(state, props.elementId),
+                selected: tableCell && tableCell.element === props.elementId ? tableCell : null
+            };
+        },
+        { updateElement, selectCell }
+    ),
+    withHandlers({
+        onChange: ({ element, updateElement }) => (row: number, column: number, text: Object) => {
+            const table = updateCell(element.data.table, row, column, { text });
+            updateElement({ element: set(element, "data.table", table) });
+        }
+    })
+)(Table);
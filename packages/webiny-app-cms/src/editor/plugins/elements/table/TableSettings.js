@@ -0,0 +1,188 @@
+// @flow
+import * as React from "react";
+import { connect } from "webiny-app-cms/editor/redux";
+import { compose, withHandlers } from "recompose";
+import { css } from "emotion";
+import { set } from "dot-prop-immutable";
+import { Tabs, Tab } from "webiny-ui/Tabs";
+import { Select } from "webiny-ui/Select";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Typography } from "webiny-ui/Typography";
+import { ButtonDefault } from "webiny-ui/Button";
+import { updateElement } from "webiny-app-cms/editor/actions";
+import { getActiveElement, getUi } from "webiny-app-cms/editor/selectors";
+import { getCoveredCells } from "webiny-app-cms/render/plugins/elements/table/utils";
+import { selectCell } from "./actions";
+import { insertRow, removeRow, insertColumn, removeColumn, mergeCells, splitCell } from "./utils";
+
+const buttons = css({
+    display: "flex",
+    flexWrap: "wrap",
+    ".mdc-button": {
+        margin: "0 5px 5px 0"
+    }
+});
+
+// Operations applied to the selected cell - return the same table if the operation is not possible.
+const operations = {
+    insertRowAbove: (table, { row }) => insertRow(table, row),
+    insertRowBelow: (table, { row, rowSpan }) => insertRow(table, row + rowSpan),
+    removeRow: (table, { row }) => removeRow(table, row),
+    insertColumnLeft: (table, { column }) => insertColumn(table, column),
+    insertColumnRight: (table, { column, colSpan }) => insertColumn(table, column + colSpan),
+    removeColumn: (table, { column }) => removeColumn(table, column),
+    mergeRight: (table, { row, column }) => mergeCells(table, row, column, "right"),
+    mergeDown: (table, { row, column }) => mergeCells(table, row, column, "down"),
+    split: (table, { row, column }) => splitCell(table, row, column)
+};
+
+const cellActions = [
+    {
+        label: "Rows",
+        actions: [
+            ["insertRowAbove", "Insert above"],
+            ["insertRowBelow", "Insert below"],
+            ["removeRow", "Remove"]
+        ]
+    },
+    {
+        label: "Columns",
+        actions: [
+            ["insertColumnLeft", "Insert left"],
+            ["insertColumnRight", "Insert right"],
+            ["removeColumn", "Remove"]
+        ]
+    },
+    {
+        label: "Merge",
+        actions: [["mergeRight", "Merge right"], ["mergeDown", "Merge down"], ["split", "Split"]]
+    }
+];
+
+type Props = {
+    element: Object,
+    cell: ?{ row: number, column: number },
+    updateTable: Function,
+    updateCell: Function
+};
+
+const TableSettings = ({ element, cell, updateTable, updateCell }: Props) => {
+    const { table } = element.data;
+    const headerRows = table.rows.map((cells, r) => r).concat(table.rows.length);
+
+    return (
+        <Tabs>
+            <Tab label={"Table"}>
+                <Grid>
+                    <Cell span={5}>
+                        <Typography use={"overline"}>Header rows</Typography>
+                    </Cell>
+                    <Cell span={7}>
+                        <Select
+                            value={String(table.headerRows)}
+                            onChange={value => updateTable({ headerRows: parseInt(value) })}
+                        >
+                            {headerRows.map(count => (
+                                <option key={count} value={String(count)}>
+                                    {count}
+                                </option>
+                            ))}
+                        </Select>
+                    </Cell>
+                </Grid>
+                <Grid>
+                    <Cell span={5}>
+                        <Typography use={"overline"}>On mobile</Typography>
+                    </Cell>
+                    <Cell span={7}>
+                        <Select
+                            value={table.stacking}
+                            onChange={stacking => updateTable({ stacking })}
+                        >
+                            <option value={"scroll"}>Scroll horizontally</option>
+                            <option value={"stack"}>Stack cells</option>
+                            <option value={"none"}>Shrink to fit</option>
+                        </Select>
+                    </Cell>
+                </Grid>
+            </Tab>
+            <Tab label={"Cell"}>
+                {!cell ? (
+                    <Grid>
+                        <Cell span={12}>
+                            <Typography use={"body2"}>Click a cell to edit it.</Typography>
+                        </Cell>
+                    </Grid>
+                ) : (
+                    <Grid>
+                        {cellActions.map(group => (
+                            <Cell span={12} key={group.label}>
+                                <Typography use={"overline"}>{group.label}</Typography>
+                                <div className={buttons}>
+                                    {group.actions.map(([name, label]) => (
+                                        <ButtonDefault
+                                            small
+                                            key={name}
+                                            onClick={() => updateCell(name)}
+                                        >
+                                            {label}
+                                        </ButtonDefault>
+                                    ))}
+                                </div>
+                            </Cell>
+                        ))}
+                    </Grid>
+                )}
+            </Tab>
+        </Tabs>
+    );
+};
+
+export default compose(
+    connect(
+        state => {
+            const element = getActiveElement(state);
+            const { tableCell } = getUi(state);
+
+            // Selected cell could have been removed or covered by a merged cell in the meantime.
+            let cell = tableCell && tableCell.element === element.id ? tableCell : null;
+            if (cell) {
+                const { rows } = element.data.table;
+                const exists = rows[cell.row] && rows[cell.row][cell.column];
+                if (!exists || getCoveredCells(rows).has(`${cell.row}:${cell.column}`)) {
+                    cell = null;
+                }
+            }
+
+            return { element, cell };
+        },
+        { updateElement, selectCell }
+    ),
+    withHandlers({
+        updateTable: ({ element, updateElement }) => (data: Object) => {
+            const table = { ...element.data.table, ...data };
+            updateElement({ element: set(element, "data.table", table) });
+        },
+        updateCell: ({ element, cell, updateElement, selectCell }) => (name: string) => {
+            if (!cell) {
+                return;
+            }
+
+            const { table } = element.data;
+            const { rowSpan, colSpan } = table.rows[cell.row][cell.column];
+            const newTable = operations[name](table, { ...cell, rowSpan, colSpan });
+            if (newTable === table) {
+                return;
+            }
+
+            updateElement({ element: set(element, "data.table", newTable) });
+
+            // Selected cell moves together with rows and columns inserted before it.
+            if (name === "insertRowAbove") {
+                selectCell({ ...cell, row: cell.row + 1 });
+            } else if (name === "insertColumnLeft") {
+                selectCell({ ...cell, column: cell.column + 1 });
+            }
+        }
+    })
+)(TableSettings);
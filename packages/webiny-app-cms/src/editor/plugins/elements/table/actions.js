@@ -0,0 +1,12 @@
+// @flow
+import { createAction, addReducer } from "webiny-app-cms/editor/redux";
+
+const PREFIX = "[Table]";
+
+export const TABLE_SELECT_CELL = `${PREFIX} Select cell`;
+
+// Cell operations in table settings are applied to the last selected cell.
+export const selectCell = createAction(TABLE_SELECT_CELL);
+addReducer([TABLE_SELECT_CELL], "ui.tableCell", (state, action) => {
+    return action.payload;
+});
@@ -0,0 +1,101 @@
+// @flow
+import React from "react";
+import type { PluginType } from "webiny-app-cms/types";
+import Action from "../../elementSettings/components/Action";
+import Table, { className } from "./Table";
+import TableSettings from "./TableSettings";
+import { createTable } from "./utils";
+import { ReactComponent as TableIcon } from "./round-table_chart-24px.svg";
+
+export default (): Array<PluginType> => {
+    return [
+        {
+            name: "cms-element-table",
+            type: "cms-element",
+            toolbar: {
+                title: "Table",
+                group: "cms-element-group-basic",
+                preview() {
+                    return (
+                        <div className={className}>
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Plan</th>
+                                        <th>Price</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    <tr>
+                                        <td>Basic</td>
+                                        <td>$10</td>
+                                    </tr>
+                                    <tr>
+                                        <td>Pro</td>
+                                        <td>$20</td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </div>
+                    );
+                }
+            },
+            settings: [
+                "cms-element-settings-table",
+                "",
+                "cms-element-settings-background",
+                "",
+                "cms-element-settings-border",
+                "cms-element-settings-shadow",
+                "",
+                "cms-element-settings-padding",
+                "cms-element-settings-margin",
+                "",
+                "cms-element-settings-clone",
+                "cms-element-settings-delete",
+                ""
+            ],
+            target: [
+                "cms-element-column",
+                "cms-element-row",
+                "cms-element-tabs",
+                "cms-element-accordion",
+                "cms-element-carousel"
+            ],
+            create(options: Object) {
+                return {
+                    type: "cms-element-table",
+                    elements: [],
+                    data: {
+                        table: createTable(3, 3),
+                        settings: {
+                            margin: {
+                                mobile: { top: 0, left: 0, right: 0, bottom: 15 },
+                                desktop: { top: 0, left: 0, right: 0, bottom: 25 },
+                                advanced: true
+                            },
+                            padding: {
+                                desktop: { all: 0 },
+                                mobile: { all: 0 }
+                            }
+                        }
+                    },
+                    ...options
+                };
+            },
+            render({ element }: Object) {
+                return <Table elementId={element.id} />;
+            }
+        },
+        {
+            name: "cms-element-settings-table",
+            type: "cms-element-settings",
+            renderAction() {
+                return <Action plugin={this.name} tooltip={"Table"} icon={<TableIcon />} />;
+            },
+            renderMenu() {
+                return <TableSettings />;
+            }
+        }
+    ];
+};
@@ -0,0 +1,227 @@
+// @flow
+import shortid from "shortid";
+import createValue from "../../../components/Slate/createValue";
+import {
+    getCoveredCells,
+    type TableType,
+    type TableCellType
+} from "../../../../render/plugins/elements/table/utils";
+
+type Rows = Array<Array<TableCellType>>;
+
+export const createCell = (text: string = ""): TableCellType => {
+    return { id: shortid.generate(), text: createValue(text, "paragraph"), colSpan: 1, rowSpan: 1 };
+};
+
+export const createTable = (rows: number, columns: number, headerRows: number = 1): TableType => {
+    const output = [];
+    for (let r = 0; r < rows; r++) {
+        const cells = [];
+        for (let c = 0; c < columns; c++) {
+            cells.push(createCell(r < headerRows ? `Heading ${c + 1}` : ""));
+        }
+        output.push(cells);
+    }
+
+    return { rows: output, headerRows, stacking: "scroll" };
+};
+
+/**
+ * Column operations are row operations on the transposed table.
+ */
+const transpose = (rows: Rows): Rows => {
+    return rows[0].map((cell, c) =>
+        rows.map(cells => ({ ...cells[c], colSpan: cells[c].rowSpan, rowSpan: cells[c].colSpan }))
+    );
+};
+
+const insertRowInto = (rows: Rows, index: number): Rows => {
+    // Merged cells that span over the new row are extended.
+    const output = rows.map((cells, r) =>
+        cells.map(cell => {
+            return r < index && r + cell.rowSpan > index
+                ? { ...cell, rowSpan: cell.rowSpan + 1 }
+                : cell;
+        })
+    );
+
+    output.splice(index, 0, rows[0].map(() => createCell()));
+    return output;
+};
+
+const removeRowFrom = (rows: Rows, index: number): Rows => {
+    if (rows.length < 2) {
+        return rows;
+    }
+
+    const output = rows.map(cells => cells.slice());
+    rows.forEach((cells, r) => {
+        cells.forEach((cell, c) => {
+            // Merged cells that span over the removed row are shortened.
+            if (r < index && r + cell.rowSpan > index) {
+                output[r][c] = { ...cell, rowSpan: cell.rowSpan - 1 };
+            }
+
+            // Merged cells that start in the removed row continue in the next one.
+            if (r === index && cell.rowSpan > 1) {
+                output[r + 1][c] = { ...cell, id: rows[r + 1][c].id, rowSpan: cell.rowSpan - 1 };
+            }
+        });
+    });
+
+    output.splice(index, 1);
+    return output;
+};
+
+/**
+ * Returns position of the cell that is rendered at each position (covered cells return the merged cell).
+ */
+const getOwners = (rows: Rows): Array<Array<[number, number]>> => {
+    const owners = rows.map((cells, r) => cells.map((cell, c) => [r, c]));
+    const covered = getCoveredCells(rows);
+    rows.forEach((cells, r) => {
+        cells.forEach((cell, c) => {
+            if (covered.has(`${r}:${c}`)) {
+                return;
+            }
+
+            for (let i = r; i < r + cell.rowSpan; i++) {
+                for (let j = c; j < c + cell.colSpan; j++) {
+                    owners[i][j] = [r, c];
+                }
+            }
+        });
+    });
+    return owners;
+};
+
+/**
+ * Extends the cell by one column, together with all cells it would overlap. Cells cannot be merged if that would
+ * change the cell's height (eg. a neighbouring cell spans more rows).
+ */
+const mergeRight = (rows: Rows, row: number, column: number): Rows => {
+    const cell = rows[row][column];
+    const right = column + cell.colSpan;
+    const bottom = row + cell.rowSpan;
+    if (right >= rows[row].length) {
+        return rows;
+    }
+
+    const owners = getOwners(rows);
+    let width = cell.colSpan + 1;
+    for (let changed = true; changed; ) {
+        changed = false;
+        for (let r = row; r < bottom; r++) {
+            for (let c = right; c < column + width; c++) {
+                const [r0, c0] = owners[r][c];
+                const other = rows[r0][c0];
+                if (r0 < row || r0 + other.rowSpan > bottom) {
+                    return rows;
+                }
+
+                if (c0 + other.colSpan > column + width) {
+                    width = c0 + other.colSpan - column;
+                    changed = true;
+                }
+            }
+        }
+    }
+
+    const output = rows.map(cells => cells.slice());
+    for (let r = row; r < bottom; r++) {
+        for (let c = right; c < column + width; c++) {
+            output[r][c] = { ...rows[r][c], colSpan: 1, rowSpan: 1 };
+        }
+    }
+    output[row][column] = { ...cell, colSpan: width };
+    return output;
+};
+
+export const insertRow = (table: TableType, index: number): TableType => {
+    const { rows, headerRows } = table;
+    return {
+        ...table,
+        rows: insertRowInto(rows, index),
+        headerRows: index < headerRows ? headerRows + 1 : headerRows
+    };
+};
+
+export const removeRow = (table: TableType, index: number): TableType => {
+    const { rows, headerRows } = table;
+    if (rows.length < 2) {
+        return table;
+    }
+
+    return {
+        ...table,
+        rows: removeRowFrom(rows, index),
+        headerRows: index < headerRows ? headerRows - 1 : headerRows
+    };
+};
+
+export const insertColumn = (table: TableType, index: number): TableType => {
+    return { ...table, rows: transpose(insertRowInto(transpose(table.rows), index)) };
+};
+
+export const removeColumn = (table: TableType, index: number): TableType => {
+    if (table.rows[0].length < 2) {
+        return table;
+    }
+
+    return { ...table, rows: transpose(removeRowFrom(transpose(table.rows), index)) };
+};
+
+/**
+ * Merges the cell with neighbouring cells on the right or below. Returns the same table if cells cannot be merged.
+ */
+export const mergeCells = (
+    table: TableType,
+    row: number,
+    column: number,
+    direction: "right" | "down"
+): TableType => {
+    const { rows, headerRows } = table;
+    if (direction === "right") {
+        const output = mergeRight(rows, row, column);
+        return output === rows ? table : { ...table, rows: output };
+    }
+
+    const transposed = transpose(rows);
+    const output = mergeRight(transposed, column, row);
+    if (output === transposed) {
+        return table;
+    }
+
+    // Header and body cells cannot be merged.
+    const rowSpan = output[column][row].colSpan;
+    if (row < headerRows && row + rowSpan > headerRows) {
+        return table;
+    }
+
+    return { ...table, rows: transpose(output) };
+};
+
+/**
+ * Splits a merged cell - previously covered cells are shown again.
+ */
+export const splitCell = (table: TableType, row: number, column: number): TableType => {
+    const cell = table.rows[row][column];
+    if (cell.colSpan === 1 && cell.rowSpan === 1) {
+        return table;
+    }
+
+    const rows = table.rows.map(cells => cells.slice());
+    rows[row][column] = { ...cell, colSpan: 1, rowSpan: 1 };
+    return { ...table, rows };
+};
+
+export const updateCell = (
+    table: TableType,
+    row: number,
+    column: number,
+    data: Object
+): TableType => {
+    const rows = table.rows.map(cells => cells.slice());
+    rows[row][column] = { ...rows[row][column], ...data };
+    return { ...table, rows };
+};
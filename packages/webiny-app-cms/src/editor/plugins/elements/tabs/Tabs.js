@@ -0,0 +1,59 @@
+// @flow
+import * as React from "react";
+import { connect } from "webiny-app-cms/editor/redux";
+import { ElementRoot } from "webiny-app-cms/render/components/ElementRoot";
+import { getElement } from "webiny-app-cms/editor/selectors";
+import { ContainerItems } from "../utils/container";
+
+export const className = "webiny-cms-base-element-style webiny-cms-element-tabs";
+
+type State = { active: number };
+
+class TabsContent extends React.Component<{ elementId: string }, State> {
+    state = { active: 0 };
+
+    render() {
+        return (
+            <ContainerItems elementId={this.props.elementId}>
+                {({ items, renderItem }) => {
+                    const active = Math.min(this.state.active, items.length - 1);
+
+                    return (
+                        <React.Fragment>
+                            <div className={"webiny-cms-element-tabs__list"}>
+                                {items.map((item, index) => (
+                                    <button
+                                        key={item.id}
+                                        type={"button"}
+                                        className={
+                                            "webiny-cms-element-tabs__tab" +
+                                            (index === active
+                                                ? " webiny-cms-element-tabs__tab--active"
+                                                : "")
+                                        }
+                                        onClick={() => this.setState({ active: index })}
+                                    >
+                                        {item.title}
+                                    </button>
+                                ))}
+                            </div>
+                            <div className={"webiny-cms-element-tabs__panel"}>
+                                {renderItem(active)}
+                            </div>
+                        </React.Fragment>
+                    );
+                }}
+            </ContainerItems>
+        );
+    }
+}
+
+const Tabs = ({ element }: { element: Object }) => {
+    return (
+        <ElementRoot element={element} className={className}>
+            <TabsContent elementId={element.id} />
+        </ElementRoot>
+    );
+};
+
+export default connect((state, props) => ({ element: getElement(state, props.elementId) }))(Tabs);
@@ -0,0 +1,93 @@
+// @flow
+import React from "react";
+import styled from "react-emotion";
+import { Tab } from "webiny-ui/Tabs";
+import type { PluginType } from "webiny-app-cms/types";
+import { createItems, onReceived, onChildDeleted, ContainerSettings } from "../utils/container";
+import Tabs from "./Tabs";
+import { ReactComponent as TabsIcon } from "./round-tab-24px.svg";
+
+export default (): Array<PluginType> => {
+    const PreviewBox = styled("div")({
+        textAlign: "center",
+        height: 50,
+        svg: {
+            height: 50,
+            width: 50
+        }
+    });
+
+    return [
+        {
+            name: "cms-element-tabs",
+            type: "cms-element",
+            toolbar: {
+                title: "Tabs",
+                group: "cms-element-group-layout",
+                preview() {
+                    return (
+                        <PreviewBox>
+                            <TabsIcon />
+                        </PreviewBox>
+                    );
+                }
+            },
+            settings: [
+                "cms-element-settings-background",
+                "",
+                "cms-element-settings-border",
+                "cms-element-settings-shadow",
+                "",
+                "cms-element-settings-padding",
+                "cms-element-settings-margin",
+                "",
+                "cms-element-settings-clone",
+                "cms-element-settings-delete",
+                ""
+            ],
+            target: ["cms-element-block", "cms-element-column"],
+            create(options: Object = {}) {
+                return {
+                    type: "cms-element-tabs",
+                    elements: createItems(2),
+                    data: {
+                        container: { items: {}, defaultItem: 0 },
+                        settings: {
+                            margin: {
+                                mobile: { top: 0, left: 0, right: 0, bottom: 15 },
+                                desktop: { top: 0, left: 0, right: 0, bottom: 25 },
+                                advanced: true
+                            },
+                            padding: {
+                                desktop: { all: 0 },
+                                mobile: { all: 0 }
+                            }
+                        }
+                    },
+                    ...options
+                };
+            },
+            render({ element }: Object) {
+                return <Tabs elementId={element.id} />;
+            },
+            onReceived,
+            onChildDeleted
+        },
+        {
+            name: "cms-element-advanced-settings-tabs",
+            type: "cms-element-advanced-settings",
+            element: "cms-element-tabs",
+            render(props: Object) {
+                return (
+                    <Tab icon={<TabsIcon />} label={"Tabs"}>
+                        <ContainerSettings
+                            {...props}
+                            itemLabel={"Tab"}
+                            defaultItemLabel={"Opened tab"}
+                        />
+                    </Tab>
+                );
+            }
+        }
+    ];
+};
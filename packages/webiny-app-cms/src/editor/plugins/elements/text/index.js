@@ -38,7 +38,14 @@ export default (): ElementPluginType => {
             "cms-element-settings-delete",
             ""
         ],
-        target: ["cms-element-column", "cms-element-row", "cms-element-list-item"],
+        target: [
+            "cms-element-column",
+            "cms-element-row",
+            "cms-element-list-item",
+            "cms-element-tabs",
+            "cms-element-accordion",
+            "cms-element-carousel"
+        ],
         create({ content = {}, ...options }: Object) {
             const previewText = content.text || loremIpsum(content.lipsum || defaultLipsum);
 
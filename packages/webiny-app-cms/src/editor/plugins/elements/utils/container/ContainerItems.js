@@ -0,0 +1,95 @@
+// @flow
+import * as React from "react";
+import { css } from "emotion";
+import { compose, withHandlers } from "recompose";
+import { connect } from "webiny-app-cms/editor/redux";
+import { IconButton } from "webiny-ui/Button";
+import DropZone from "webiny-app-cms/editor/components/DropZone";
+import ConnectedElement from "webiny-app-cms/editor/components/ConnectedElement";
+import { dropElement, togglePlugin } from "webiny-app-cms/editor/actions";
+import { getItemTitle } from "webiny-app-cms/render/plugins/elements/utils/container";
+import { ReactComponent as AddCircleOutline } from "webiny-app-cms/editor/assets/icons/baseline-add_circle-24px.svg";
+import ColumnChild from "../../column/ColumnChild";
+
+const addIcon = css({
+    color: "var(--mdc-theme-secondary)",
+    transition: "transform 0.2s",
+    "&:hover": {
+        transform: "scale(1.3)"
+    },
+    "&::before, &::after": {
+        display: "none"
+    }
+});
+
+type Props = {
+    elementId: string,
+    // Receives container items and a function that renders the child element of an item, with drop zones
+    // for new items above it (and below it, if `last` is set).
+    children: ({
+        items: Array<{ id: string, title: string }>,
+        renderItem: (index: number, last?: boolean) => React.Node
+    }) => React.Node,
+    dropElement: Function,
+    togglePlugin: Function
+};
+
+const ContainerItems = ({ elementId, children, dropElement, togglePlugin }: Props) => {
+    return (
+        <ConnectedElement elementId={elementId}>
+            {({ id, path, type, data, elements }) => {
+                const target = { id, path, type };
+
+                if (!elements.length) {
+                    return (
+                        <DropZone.Center
+                            id={id}
+                            type={type}
+                            onDrop={source => dropElement(source, target)}
+                        >
+                            <IconButton
+                                className={addIcon + " addIcon"}
+                                icon={<AddCircleOutline />}
+                                onClick={() => togglePlugin(target)}
+                            />
+                        </DropZone.Center>
+                    );
+                }
+
+                const renderItem = (index: number, last: boolean = true) => (
+                    <ColumnChild
+                        key={elements[index]}
+                        id={elements[index]}
+                        index={index}
+                        count={index + 1}
+                        last={last}
+                        target={target}
+                    />
+                );
+
+                return children({
+                    items: elements.map((childId, index) => ({
+                        id: childId,
+                        title: getItemTitle(data.container, childId, index)
+                    })),
+                    renderItem
+                });
+            }}
+        </ConnectedElement>
+    );
+};
+
+export default compose(
+    connect(
+        null,
+        { dropElement, togglePlugin }
+    ),
+    withHandlers({
+        togglePlugin: ({ togglePlugin }) => (params: Object) => {
+            togglePlugin({ name: "cms-toolbar-add-element", params });
+        },
+        dropElement: ({ dropElement }) => (source: Object, target: Object) => {
+            dropElement({ source, target: { ...target, position: null } });
+        }
+    })
+)(ContainerItems);
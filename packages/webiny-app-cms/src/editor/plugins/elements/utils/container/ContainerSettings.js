@@ -0,0 +1,102 @@
+// @flow
+import * as React from "react";
+import { connect } from "webiny-app-cms/editor/redux";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Input } from "webiny-ui/Input";
+import { Select } from "webiny-ui/Select";
+import { Switch } from "webiny-ui/Switch";
+import { Typography } from "webiny-ui/Typography";
+import { getActiveElement } from "webiny-app-cms/editor/selectors";
+
+type Props = {
+    Bind: Function,
+    // IDs of the container child elements (items).
+    items: Array<string>,
+    itemLabel: string,
+    defaultItemLabel: string,
+    // Accordion - sections can be collapsed, so no section has to be opened initially.
+    allowNone?: boolean,
+    multiple?: boolean,
+    autoplay?: boolean
+};
+
+const toNumber = (value, cb) => cb(parseInt(value));
+
+const ContainerSettings = ({
+    Bind,
+    items,
+    itemLabel,
+    defaultItemLabel,
+    allowNone,
+    multiple,
+    autoplay
+}: Props) => {
+    const options = items.map((id, index) => ({
+        value: index,
+        label: `${itemLabel} ${index + 1}`
+    }));
+    if (allowNone) {
+        options.unshift({ value: -1, label: "None" });
+    }
+
+    return (
+        <React.Fragment>
+            <Grid>
+                {items.map((id, index) => (
+                    <Cell span={12} key={id}>
+                        <Bind name={`container.items.${id}.title`}>
+                            <Input label={`${itemLabel} ${index + 1} title`} />
+                        </Bind>
+                    </Cell>
+                ))}
+                {!items.length && (
+                    <Cell span={12}>
+                        <Typography use={"body2"}>Add elements to the container first.</Typography>
+                    </Cell>
+                )}
+            </Grid>
+            <Grid>
+                <Cell span={6}>
+                    <Bind name={"container.defaultItem"} defaultValue={0} beforeChange={toNumber}>
+                        <Select label={defaultItemLabel}>
+                            {options.map(option => (
+                                <option key={option.value} value={option.value}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </Select>
+                    </Bind>
+                </Cell>
+                {multiple && (
+                    <Cell span={6}>
+                        <Typography use={"overline"}>Allow multiple open sections</Typography>
+                        <Bind name={"container.multiple"} defaultValue={false}>
+                            <Switch />
+                        </Bind>
+                    </Cell>
+                )}
+            </Grid>
+            {autoplay && (
+                <Grid>
+                    <Cell span={6}>
+                        <Typography use={"overline"}>Autoplay</Typography>
+                        <Bind name={"container.autoplay"} defaultValue={false}>
+                            <Switch />
+                        </Bind>
+                    </Cell>
+                    <Cell span={6}>
+                        <Bind
+                            name={"container.interval"}
+                            defaultValue={5}
+                            validators={["required", "numeric", "gte:1"]}
+                        >
+                            <Input label={"Interval (seconds)"} />
+                        </Bind>
+                    </Cell>
+                </Grid>
+            )}
+        </React.Fragment>
+    );
+};
+
+export default connect(state => ({ items: getActiveElement(state).elements }))(ContainerSettings);
@@ -0,0 +1,4 @@
+// @flow
+export { createItems, onReceived, onChildDeleted } from "./items";
+export { default as ContainerItems } from "./ContainerItems";
+export { default as ContainerSettings } from "./ContainerSettings";
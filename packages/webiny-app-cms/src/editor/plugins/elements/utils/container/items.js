@@ -0,0 +1,77 @@
+// @flow
+import { get, set } from "dot-prop-immutable";
+import { redux } from "webiny-app-cms/editor/redux";
+import {
+    createElement,
+    createRow,
+    createColumn,
+    cloneElement,
+    addElementToParent
+} from "webiny-app-cms/editor/utils";
+import { updateElement, deleteElement, elementCreated } from "webiny-app-cms/editor/actions";
+import { getParentElementWithChildren } from "webiny-app-cms/editor/selectors";
+import type { ElementType } from "webiny-app-cms/types";
+
+/**
+ * Creates initial items of a container element - a row in each item, so every item can hold multiple elements.
+ */
+export const createItems = (count: number): Array<Object> => {
+    const items = [];
+    for (let i = 0; i < count; i++) {
+        const text = createElement("cms-element-text", {});
+        items.push(
+            createRow({ elements: [createColumn({ data: { width: 100 }, elements: [text] })] })
+        );
+    }
+    return items;
+};
+
+/**
+ * Dropped element becomes a new item. Elements get a new ID when they are moved, so the item title is moved
+ * together with the element.
+ */
+export const onReceived = ({ source, target, position = null }: Object) => {
+    let dispatchNew = false;
+    let element;
+    let title = null;
+    if (source.path) {
+        // $FlowFixMe
+        element = cloneElement(source);
+        const parent = getParentElementWithChildren(redux.store.getState(), source.id);
+        title = get(parent, `data.container.items.${source.id}.title`);
+    } else {
+        dispatchNew = true;
+        element = createElement(source.type, {}, target);
+    }
+
+    target = addElementToParent(element, target, position);
+    if (title) {
+        target = set(target, `data.container.items.${element.id}`, { title });
+    }
+
+    redux.store.dispatch(updateElement({ element: target }));
+
+    if (source.path) {
+        redux.store.dispatch(deleteElement({ element: source }));
+    }
+
+    if (dispatchNew) {
+        redux.store.dispatch(elementCreated({ element, source }));
+    }
+};
+
+export const onChildDeleted = ({
+    element,
+    child
+}: {
+    element: ElementType,
+    child: ElementType
+}) => {
+    if (get(element, `data.container.items.${child.id}`)) {
+        const items = { ...element.data.container.items };
+        delete items[child.id];
+        redux.store.dispatch(
+            updateElement({ element: set(element, "data.container.items", items) })
+        );
+    }
+};
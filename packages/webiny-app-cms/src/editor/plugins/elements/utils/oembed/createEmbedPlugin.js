@@ -29,7 +29,14 @@ export const createEmbedPlugin = (config: EmbedPluginConfig): ElementPluginType
         type: "cms-element",
         toolbar: config.toolbar,
         settings: config.settings || ["cms-element-settings-delete", ""],
-        target: config.target || ["cms-element-column", "cms-element-row", "cms-element-list-item"],
+        target: config.target || [
+            "cms-element-column",
+            "cms-element-row",
+            "cms-element-list-item",
+            "cms-element-tabs",
+            "cms-element-accordion",
+            "cms-element-carousel"
+        ],
         // eslint-disable-next-line
         create({ content = {}, ...options }: Object) {
             return {
@@ -0,0 +1,108 @@
+// @flow
+import React from "react";
+import { compose, withState } from "recompose";
+import { css } from "emotion";
+import { Query } from "react-apollo";
+import { get, pick } from "lodash";
+import { connect } from "webiny-app-cms/editor/redux";
+import { saveRevision } from "webiny-app-cms/editor/actions";
+import { getPage } from "webiny-app-cms/editor/selectors";
+import { diffUnsavedChanges } from "webiny-app-cms/admin/graphql/pages";
+import { PageChanges } from "webiny-app-cms/admin/components";
+import {
+    Dialog,
+    DialogHeader,
+    DialogHeaderTitle,
+    DialogBody,
+    DialogFooter,
+    DialogFooterButton
+} from "webiny-ui/Dialog";
+import { Typography } from "webiny-ui/Typography";
+import { CircularProgress } from "webiny-ui/Progress";
+
+const dialogStyle = css({
+    ".mdc-dialog__surface": {
+        width: 800,
+        maxWidth: "90vw"
+    },
+    ".mdc-dialog__body--scrollable": {
+        maxHeight: "60vh"
+    }
+});
+
+type Props = {
+    open: boolean,
+    onClose: Function,
+    page: Object,
+    saveRevision: Function,
+    showDiff: boolean,
+    setShowDiff: Function
+};
+
+/**
+ * Shown when saving failed because the revision was saved by someone else after it was loaded into the editor.
+ */
+const ConflictDialog = ({ open, onClose, page, saveRevision, showDiff, setShowDiff }: Props) => {
+    const data = pick(page, ["title", "snippet", "url", "settings"]);
+    data.content = page.content.present;
+    data.category = get(page, "category.id");
+
+    return (
+        <Dialog open={open} onClose={onClose} className={dialogStyle}>
+            <DialogHeader>
+                <DialogHeaderTitle>Page was changed by someone else</DialogHeaderTitle>
+            </DialogHeader>
+            <DialogBody scrollable={showDiff}>
+                <Typography use={"body1"}>
+                    This revision was saved by someone else after you opened it, so your changes
+                    were not saved. You can reload the page (your changes will be lost) or overwrite
+                    it with your version.
+                </Typography>
+                {showDiff && (
+                    <Query
+                        query={diffUnsavedChanges}
+                        variables={{ id: page.id, data }}
+                        fetchPolicy={"network-only"}
+                    >
+                        {({ data, loading }) => {
+                            if (loading) {
+                                return <CircularProgress />;
+                            }
+
+                            const { data: diff, error } = get(data, "cms.diff") || {};
+                            if (error) {
+                                return <Typography use={"body2"}>{error.message}</Typography>;
+                            }
+
+                            return diff ? <PageChanges diff={diff} /> : null;
+                        }}
+                    </Query>
+                )}
+            </DialogBody>
+            <DialogFooter>
+                <DialogFooterButton onClick={() => setShowDiff(!showDiff)}>
+                    {showDiff ? "Hide diff" : "View diff"}
+                </DialogFooterButton>
+                <DialogFooterButton onClick={() => window.location.reload()}>
+                    Reload
+                </DialogFooterButton>
+                <DialogFooterButton
+                    onClick={() => {
+                        saveRevision(null, { overwrite: true });
+                        onClose();
+                    }}
+                >
+                    Overwrite
+                </DialogFooterButton>
+            </DialogFooter>
+        </Dialog>
+    );
+};
+
+export default compose(
+    connect(
+        state => ({ page: getPage(state) }),
+        { saveRevision }
+    ),
+    withState("showDiff", "setShowDiff", false)
+)(ConflictDialog);
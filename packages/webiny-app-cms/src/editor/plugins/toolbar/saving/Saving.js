@@ -1,14 +1,42 @@
 // @flow
 import React from "react";
+import { compose, withState } from "recompose";
 import { connect } from "webiny-app-cms/editor/redux";
 import { getUi } from "webiny-app-cms/editor/selectors";
 import { IconButton } from "webiny-ui/Button";
 import { Tooltip } from "webiny-ui/Tooltip";
+import ConflictDialog from "./ConflictDialog";
 
 import { ReactComponent as SaveIcon } from "webiny-app-cms/editor/assets/icons/baseline-cloud_upload-24px.svg";
 import { ReactComponent as SavedIcon } from "webiny-app-cms/editor/assets/icons/baseline-cloud_done-24px.svg";
+import { ReactComponent as ConflictIcon } from "webiny-app-cms/editor/assets/icons/baseline-sync_problem-24px.svg";
+
+type Props = {
+    saving: boolean,
+    conflict: ?Object,
+    dismissed: ?Object,
+    setDismissed: Function
+};
+
+const Saving = ({ saving, conflict, dismissed, setDismissed }: Props) => {
+    if (conflict) {
+        // The dialog opens on each new conflict, until the user closes it.
+        return (
+            <React.Fragment>
+                <Tooltip
+                    placement={"right"}
+                    content={<span>{"Changes not saved - page was changed by someone else"}</span>}
+                >
+                    <IconButton icon={<ConflictIcon />} onClick={() => setDismissed(null)} />
+                </Tooltip>
+                <ConflictDialog
+                    open={dismissed !== conflict}
+                    onClose={() => setDismissed(conflict)}
+                />
+            </React.Fragment>
+        );
+    }
 
-const Saving = ({ saving }: { saving: boolean }) => {
     if (!saving) {
         return (
             <Tooltip placement={"right"} content={<span>{"All changes saved"}</span>}>
@@ -24,4 +52,10 @@ const Saving = ({ saving }: { saving: boolean }) => {
     );
 };
 
-export default connect(state => ({ saving: getUi(state).saving || false }))(Saving);
+export default compose(
+    connect(state => {
+        const { saving, conflict } = getUi(state);
+        return { saving: saving || false, conflict: conflict || null };
+    }),
+    withState("dismissed", "setDismissed", null)
+)(Saving);
@@ -165,3 +165,22 @@ export const getElementProps = (state: State, { id }: Object) => {
         highlight: highlight && !dragging && !resizing
     };
 };
+
+/**
+ * Get editors that are working on the same revision (see "collaboration").
+ */
+export const getCollaborators = (state: State): Array<Object> => {
+    return (state.collaboration && state.collaboration.users) || [];
+};
+
+/**
+ * Get the editor that locked given element, unless it's the current editor.
+ */
+export const getElementLock = (state: State, id: string): ?Object => {
+    const { self, locks = {} } = state.collaboration || {};
+    if (!locks[id] || locks[id] === self) {
+        return null;
+    }
+
+    return getCollaborators(state).find(user => user.id === locks[id]) || null;
+};
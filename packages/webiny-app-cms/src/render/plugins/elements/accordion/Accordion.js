@@ -0,0 +1,98 @@
+// @flow
+import * as React from "react";
+import Element from "webiny-app-cms/render/components/Element";
+import { ElementRoot } from "webiny-app-cms/render/components/ElementRoot";
+import type { ElementType } from "webiny-app-cms/types";
+import { getItems, getDefaultItem, getNextItem } from "../utils/container";
+
+export const className = "webiny-cms-base-element-style webiny-cms-element-accordion";
+
+type Props = { element: ElementType };
+
+type State = { open: Array<number> };
+
+/**
+ * Section headings are buttons that toggle their sections, arrow keys move focus between the headings.
+ */
+class AccordionContent extends React.Component<Props, State> {
+    buttons: Array<?HTMLElement> = [];
+
+    constructor(props: Props) {
+        super(props);
+        const index = getDefaultItem(props.element.data.container, props.element.elements.length);
+        this.state = { open: index > -1 ? [index] : [] };
+    }
+
+    toggle(index: number) {
+        const { container } = this.props.element.data;
+        this.setState(({ open }) => {
+            if (open.includes(index)) {
+                return { open: open.filter(i => i !== index) };
+            }
+
+            return { open: container && container.multiple ? [...open, index] : [index] };
+        });
+    }
+
+    onKeyDown = (event: SyntheticKeyboardEvent<*>, index: number) => {
+        const next = getNextItem(event.key, index, this.buttons.length, "vertical");
+        const button = typeof next === "number" ? this.buttons[next] : null;
+        if (button) {
+            event.preventDefault();
+            button.focus();
+        }
+    };
+
+    render() {
+        const { open } = this.state;
+        this.buttons = [];
+
+        return getItems(this.props.element).map((item, index) => {
+            const expanded = open.includes(index);
+
+            return (
+                <div
+                    key={item.id}
+                    className={
+                        "webiny-cms-element-accordion__item" +
+                        (expanded ? " webiny-cms-element-accordion__item--open" : "")
+                    }
+                >
+                    <h3 className={"webiny-cms-element-accordion__heading"}>
+                        <button
+                            type={"button"}
+                            id={`webiny-cms-accordion-${item.id}`}
+                            aria-controls={`webiny-cms-accordion-panel-${item.id}`}
+                            aria-expanded={expanded}
+                            className={"webiny-cms-element-accordion__button"}
+                            ref={button => (this.buttons[index] = button)}
+                            onClick={() => this.toggle(index)}
+                            onKeyDown={event => this.onKeyDown(event, index)}
+                        >
+                            {item.title}
+                        </button>
+                    </h3>
+                    <div
+                        role={"region"}
+                        id={`webiny-cms-accordion-panel-${item.id}`}
+                        aria-labelledby={`webiny-cms-accordion-${item.id}`}
+                        hidden={!expanded}
+                        className={"webiny-cms-element-accordion__panel"}
+                    >
+                        <Element element={item.element} />
+                    </div>
+                </div>
+            );
+        });
+    }
+}
+
+const Accordion = ({ element }: Props) => {
+    return (
+        <ElementRoot element={element} className={className}>
+            <AccordionContent element={element} />
+        </ElementRoot>
+    );
+};
+
+export default Accordion;
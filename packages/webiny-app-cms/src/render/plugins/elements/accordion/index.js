@@ -0,0 +1,15 @@
+// @flow
+import React from "react";
+import Accordion from "./Accordion";
+import type { RenderElementPluginType } from "webiny-app-cms/types";
+
+export default (): RenderElementPluginType => {
+    return {
+        name: "cms-render-element-accordion",
+        type: "cms-render-element",
+        element: "cms-element-accordion",
+        render(props) {
+            return <Accordion {...props} />;
+        }
+    };
+};
@@ -0,0 +1,165 @@
+// @flow
+import * as React from "react";
+import Element from "webiny-app-cms/render/components/Element";
+import { ElementRoot } from "webiny-app-cms/render/components/ElementRoot";
+import type { ElementType } from "webiny-app-cms/types";
+import { getItems, getDefaultItem, getNextItem } from "../utils/container";
+
+export const className = "webiny-cms-base-element-style webiny-cms-element-carousel";
+
+type Props = { element: ElementType };
+
+type State = {
+    active: number,
+    // Rotation was stopped with the play / pause button (or the user prefers reduced motion).
+    paused: boolean,
+    // Rotation is suspended while the carousel is hovered or focused.
+    suspended: boolean
+};
+
+/**
+ * Follows the WAI-ARIA carousel pattern: rotation can be stopped and is suspended while the user interacts with
+ * the carousel, slide changes are announced only when the carousel is not rotating.
+ */
+class CarouselContent extends React.Component<Props, State> {
+    interval: ?IntervalID = null;
+
+    constructor(props: Props) {
+        super(props);
+        const { container } = props.element.data;
+        this.state = {
+            active: Math.max(getDefaultItem(container, props.element.elements.length), 0),
+            paused: false,
+            suspended: false
+        };
+    }
+
+    componentDidMount() {
+        const { container } = this.props.element.data;
+        if (!container || !container.autoplay) {
+            return;
+        }
+
+        if (window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches) {
+            this.setState({ paused: true });
+        }
+
+        this.interval = setInterval(() => {
+            const { paused, suspended, active } = this.state;
+            if (!paused && !suspended) {
+                this.show(active + 1);
+            }
+        }, (Number(container.interval) || 5) * 1000);
+    }
+
+    componentWillUnmount() {
+        this.interval && clearInterval(this.interval);
+    }
+
+    show(index: number) {
+        const count = this.props.element.elements.length;
+        count && this.setState({ active: (index + count) % count });
+    }
+
+    onKeyDown = (event: SyntheticKeyboardEvent<*>) => {
+        const next = getNextItem(event.key, this.state.active, this.props.element.elements.length);
+        if (typeof next === "number") {
+            event.preventDefault();
+            this.show(next);
+        }
+    };
+
+    render() {
+        const { container } = this.props.element.data;
+        const { paused, suspended } = this.state;
+        const items = getItems(this.props.element);
+        const active = Math.min(this.state.active, items.length - 1);
+        const autoplay = Boolean(container && container.autoplay);
+        const rotating = autoplay && !paused && !suspended;
+
+        return (
+            <section
+                aria-roledescription={"carousel"}
+                aria-label={"Carousel"}
+                className={"webiny-cms-element-carousel__carousel"}
+                onMouseEnter={() => this.setState({ suspended: true })}
+                onMouseLeave={() => this.setState({ suspended: false })}
+                onFocus={() => this.setState({ suspended: true })}
+                onBlur={() => this.setState({ suspended: false })}
+            >
+                <div className={"webiny-cms-element-carousel__controls"} onKeyDown={this.onKeyDown}>
+                    {autoplay && (
+                        <button
+                            type={"button"}
+                            className={"webiny-cms-element-carousel__toggle"}
+                            aria-label={paused ? "Start slide rotation" : "Stop slide rotation"}
+                            onClick={() => this.setState({ paused: !paused })}
+                        >
+                            {paused ? "Play" : "Pause"}
+                        </button>
+                    )}
+                    <button
+                        type={"button"}
+                        className={"webiny-cms-element-carousel__previous"}
+                        aria-label={"Previous slide"}
+                        onClick={() => this.show(active - 1)}
+                    >
+                        ‹
+                    </button>
+                    <button
+                        type={"button"}
+                        className={"webiny-cms-element-carousel__next"}
+                        aria-label={"Next slide"}
+                        onClick={() => this.show(active + 1)}
+                    >
+                        ›
+                    </button>
+                </div>
+                <div
+                    className={"webiny-cms-element-carousel__slides"}
+                    aria-live={rotating ? "off" : "polite"}
+                >
+                    {items.map((item, index) => (
+                        <div
+                            key={item.id}
+                            role={"group"}
+                            aria-roledescription={"slide"}
+                            aria-label={`${item.title} (${index + 1} of ${items.length})`}
+                            hidden={index !== active}
+                            className={"webiny-cms-element-carousel__slide"}
+                        >
+                            <Element element={item.element} />
+                        </div>
+                    ))}
+                </div>
+                <div className={"webiny-cms-element-carousel__dots"} onKeyDown={this.onKeyDown}>
+                    {items.map((item, index) => (
+                        <button
+                            key={item.id}
+                            type={"button"}
+                            aria-label={item.title}
+                            aria-current={index === active ? "true" : undefined}
+                            className={
+                                "webiny-cms-element-carousel__dot" +
+                                (index === active
+                                    ? " webiny-cms-element-carousel__dot--active"
+                                    : "")
+                            }
+                            onClick={() => this.show(index)}
+                        />
+                    ))}
+                </div>
+            </section>
+        );
+    }
+}
+
+const Carousel = ({ element }: Props) => {
+    return (
+        <ElementRoot element={element} className={className}>
+            <CarouselContent element={element} />
+        </ElementRoot>
+    );
+};
+
+export default Carousel;
@@ -0,0 +1,15 @@
+// @flow
+import React from "react";
+import Carousel from "./Carousel";
+import type { RenderElementPluginType } from "webiny-app-cms/types";
+
+export default (): RenderElementPluginType => {
+    return {
+        name: "cms-render-element-carousel",
+        type: "cms-render-element",
+        element: "cms-element-carousel",
+        render(props) {
+            return <Carousel {...props} />;
+        }
+    };
+};
@@ -0,0 +1,185 @@
+// @flow
+import * as React from "react";
+import { getPlugin } from "webiny-plugins";
+import type { FormFieldType } from "./utils";
+import { getFieldValidators } from "./utils";
+
+type InputProps = {
+    field: FormFieldType,
+    value: any,
+    onChange: Function,
+    disabled: boolean,
+    inputProps: Object
+};
+
+type FileInputState = { uploading: boolean, error: ?string };
+
+/**
+ * Selected file is uploaded immediately, the form value is the uploaded file ({ name, src, size, type }).
+ */
+class FileInput extends React.Component<InputProps, FileInputState> {
+    state = { uploading: false, error: null };
+
+    onChange = async (event: SyntheticInputEvent<HTMLInputElement>) => {
+        const { field, onChange } = this.props;
+        const file = event.target.files[0];
+        if (!file) {
+            return onChange(null);
+        }
+
+        if (field.maxSize && file.size > field.maxSize * 1024 * 1024) {
+            event.target.value = "";
+            this.setState({ error: `File must not be larger than ${field.maxSize}MB.` });
+            return onChange(null);
+        }
+
+        const fileUploaderPlugin: Object = (getPlugin("file-uploader"): any);
+        this.setState({ uploading: true, error: null });
+        try {
+            const { name, src, size, type } = await fileUploaderPlugin.upload(file);
+            this.setState({ uploading: false });
+            onChange({ name, src, size, type });
+        } catch (e) {
+            event.target.value = "";
+            this.setState({ uploading: false, error: "File could not be uploaded." });
+            onChange(null);
+        }
+    };
+
+    render() {
+        const { field, disabled, inputProps } = this.props;
+        const { uploading, error } = this.state;
+
+        return (
+            <React.Fragment>
+                <input
+                    {...inputProps}
+                    type={"file"}
+                    accept={field.accept || null}
+                    disabled={disabled || uploading}
+                    onChange={this.onChange}
+                    className={"webiny-cms-element-input__field"}
+                />
+                {uploading && (
+                    <div className={"webiny-cms-element-input__helper-text"}>Uploading...</div>
+                )}
+                {error && (
+                    <div className={"webiny-cms-element-input__helper-text"} role={"alert"}>
+                        {error}
+                    </div>
+                )}
+            </React.Fragment>
+        );
+    }
+}
+
+const renderInput = ({ field, value, onChange, disabled, inputProps }: InputProps) => {
+    switch (field.type) {
+        case "select":
+            return (
+                <select
+                    {...inputProps}
+                    value={value || ""}
+                    disabled={disabled}
+                    onChange={e => onChange(e.target.value)}
+                    className={"webiny-cms-element-input__field"}
+                >
+                    <option value={""}>{field.placeholder}</option>
+                    {field.options.map(option => (
+                        <option key={option} value={option}>
+                            {option}
+                        </option>
+                    ))}
+                </select>
+            );
+        case "checkbox":
+            return (
+                <input
+                    {...inputProps}
+                    type={"checkbox"}
+                    checked={value === "yes"}
+                    disabled={disabled}
+                    onChange={e => onChange(e.target.checked ? "yes" : "")}
+                    className={"webiny-cms-element-form__checkbox"}
+                />
+            );
+        case "file":
+            return (
+                <FileInput
+                    field={field}
+                    value={value}
+                    onChange={onChange}
+                    disabled={disabled}
+                    inputProps={inputProps}
+                />
+            );
+        default:
+            return (
+                <input
+                    {...inputProps}
+                    type={field.type}
+                    value={value || ""}
+                    placeholder={field.placeholder}
+                    disabled={disabled}
+                    onChange={e => onChange(e.target.value)}
+                    className={"webiny-cms-element-input__field"}
+                />
+            );
+    }
+};
+
+type Props = {
+    field: FormFieldType,
+    Bind: React.ComponentType<*>,
+    disabled?: boolean
+};
+
+const Field = ({ field, Bind, disabled = false }: Props) => {
+    const id = `webiny-cms-form-field-${field.id}`;
+    const label = (
+        <label htmlFor={id} className={"webiny-cms-element-form__label"}>
+            {field.label}
+            {field.required && <span aria-hidden={"true"}> *</span>}
+        </label>
+    );
+
+    return (
+        <Bind name={field.name} validators={getFieldValidators(field)}>
+            {({ value, onChange, validation }) => {
+                const invalid = validation.isValid === false;
+                const helperText = invalid ? validation.message : field.helpText;
+                const inputProps = {
+                    id,
+                    name: field.name,
+                    required: field.required,
+                    "aria-invalid": invalid,
+                    "aria-describedby": helperText ? `${id}-helper-text` : null
+                };
+
+                return (
+                    <div
+                        className={
+                            "webiny-cms-element-input webiny-cms-element-form__field webiny-cms-element-form__field--" +
+                            field.type +
+                            (invalid ? " webiny-cms-element-form__field--invalid" : "")
+                        }
+                    >
+                        {field.type !== "checkbox" && label}
+                        {renderInput({ field, value, onChange, disabled, inputProps })}
+                        {field.type === "checkbox" && label}
+                        {helperText && (
+                            <div
+                                id={`${id}-helper-text`}
+                                className={"webiny-cms-element-input__helper-text"}
+                            >
+                                {helperText}
+                            </div>
+                        )}
+                    </div>
+                );
+            }}
+        </Bind>
+    );
+};
+
+export default Field;
@@ -0,0 +1,144 @@
+// @flow
+import * as React from "react";
+import { get } from "lodash";
+import { Mutation } from "react-apollo";
+import { Form as WebinyForm } from "webiny-form";
+import { withCms } from "webiny-app-cms/context";
+import { ElementRoot } from "webiny-app-cms/render/components/ElementRoot";
+import type { ElementType } from "webiny-app-cms/types";
+import { getFields } from "./utils";
+import { submitForm } from "./graphql";
+import Field from "./Field";
+
+export const className = "webiny-cms-base-element-style webiny-cms-element-form";
+
+type Props = { element: ElementType, cms: Object };
+
+type State = {
+    processing: boolean,
+    submitted: boolean,
+    error: ?string,
+    invalidFields: Object
+};
+
+class FormContent extends React.Component<Props, State> {
+    state = { processing: false, submitted: false, error: null, invalidFields: {} };
+    honeypot: ?HTMLInputElement = null;
+
+    onSubmit = async (data: Object, mutate: Function) => {
+        const { element, cms } = this.props;
+        const page = get(cms, "page.id");
+        if (!page) {
+            this.setState({ error: "The form can only be submitted on a published page." });
+            return;
+        }
+
+        this.setState({ processing: true, error: null, invalidFields: {} });
+        let error = null;
+        try {
+            const response = await mutate({
+                variables: {
+                    page,
+                    form: element.id,
+                    data,
+                    honeypot: this.honeypot ? this.honeypot.value : null
+                }
+            });
+            error = get(response, "data.cms.submitForm.error");
+        } catch (e) {
+            error = { message: e.message };
+        }
+
+        if (error) {
+            this.setState({
+                processing: false,
+                error: error.message,
+                invalidFields: get(error, "data.fields") || {}
+            });
+            return;
+        }
+
+        this.setState({ processing: false, submitted: true });
+    };
+
+    render() {
+        const { element } = this.props;
+        const { processing, submitted, error, invalidFields } = this.state;
+        const settings = element.data.form || {};
+
+        if (submitted) {
+            return (
+                <div className={"webiny-cms-element-form__success"} role={"status"}>
+                    {settings.successMessage || "Thank you, the form was submitted."}
+                </div>
+            );
+        }
+
+        return (
+            <Mutation mutation={submitForm}>
+                {mutate => (
+                    <WebinyForm
+                        invalidFields={invalidFields}
+                        onSubmit={data => this.onSubmit(data, mutate)}
+                    >
+                        {({ Bind, submit }) => (
+                            <form
+                                noValidate
+                                aria-label={settings.name || null}
+                                onSubmit={event => submit({ event })}
+                            >
+                                {getFields(element).map(field => (
+                                    <Field
+                                        key={field.id}
+                                        field={field}
+                                        Bind={Bind}
+                                        disabled={processing}
+                                    />
+                                ))}
+                                {/* Hidden from visitors - only bots fill it in. */}
+                                <div className={"webiny-cms-element-form__honeypot"} aria-hidden>
+                                    <input
+                                        type={"text"}
+                                        name={"website"}
+                                        tabIndex={-1}
+                                        autoComplete={"off"}
+                                        ref={input => (this.honeypot = input)}
+                                    />
+                                </div>
+                                {error && (
+                                    <div
+                                        className={"webiny-cms-element-form__error"}
+                                        role={"alert"}
+                                    >
+                                        {error}
+                                    </div>
+                                )}
+                                <button
+                                    type={"submit"}
+                                    disabled={processing}
+                                    className={
+                                        "webiny-cms-element-button webiny-cms-element-button--primary"
+                                    }
+                                >
+                                    {settings.submitLabel || "Submit"}
+                                </button>
+                            </form>
+                        )}
+                    </WebinyForm>
+                )}
+            </Mutation>
+        );
+    }
+}
+
+const FormContentWithCms = withCms()(FormContent);
+
+const Form = ({ element }: { element: ElementType }) => {
+    return (
+        <ElementRoot element={element} className={className}>
+            <FormContentWithCms element={element} />
+        </ElementRoot>
+    );
+};
+
+export default Form;
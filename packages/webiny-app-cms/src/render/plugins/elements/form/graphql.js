@@ -0,0 +1,17 @@
+// @flow
+import gql from "graphql-tag";
+
+export const submitForm = gql`
+    mutation SubmitForm($page: ID!, $form: ID!, $data: JSON!, $honeypot: String) {
+        cms {
+            submitForm(page: $page, form: $form, data: $data, honeypot: $honeypot) {
+                data
+                error {
+                    code
+                    message
+                    data
+                }
+            }
+        }
+    }
+`;
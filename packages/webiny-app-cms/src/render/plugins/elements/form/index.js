@@ -0,0 +1,15 @@
+// @flow
+import React from "react";
+import Form from "./Form";
+import type { RenderElementPluginType } from "webiny-app-cms/types";
+
+export default (): RenderElementPluginType => {
+    return {
+        name: "cms-render-element-form",
+        type: "cms-render-element",
+        element: "cms-element-form",
+        render(props) {
+            return <Form {...props} />;
+        }
+    };
+};
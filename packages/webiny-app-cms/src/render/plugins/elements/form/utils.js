@@ -0,0 +1,75 @@
+// @flow
+import type { ElementType } from "webiny-app-cms/types";
+
+/**
+ * Settings of a form field, stored in `data.field` of the field element.
+ * This module is also used by `webiny-api-cms` to validate submissions, so it must not import any browser code.
+ */
+export type FormFieldType = {
+    id: string,
+    type: "text" | "email" | "select" | "checkbox" | "file",
+    name: string,
+    label: string,
+    placeholder: string,
+    helpText: string,
+    required: boolean,
+    // Additional `webiny-validation` rules, eg. "minLength:3,maxLength:100" (text and email fields only).
+    validators: string,
+    // Select options, one per line.
+    options: Array<string>,
+    // Accepted file types (eg. "image/*,.pdf") and max file size in MB.
+    accept: string,
+    maxSize: number
+};
+
+export const fieldTypes = {
+    "cms-element-form-text": "text",
+    "cms-element-form-email": "email",
+    "cms-element-form-select": "select",
+    "cms-element-form-checkbox": "checkbox",
+    "cms-element-form-file": "file"
+};
+
+export const getField = (element: ElementType): ?FormFieldType => {
+    const type = fieldTypes[element.type];
+    if (!type) {
+        return null;
+    }
+
+    const field = (element.data && element.data.field) || {};
+    return {
+        id: element.id,
+        type,
+        name: field.name || element.id,
+        label: field.label || field.name || element.id,
+        placeholder: field.placeholder || "",
+        helpText: field.helpText || "",
+        required: Boolean(field.required),
+        validators: field.validators || "",
+        options: String(field.options || "")
+            .split("\n")
+            .map(option => option.trim())
+            .filter(Boolean),
+        accept: field.accept || "",
+        maxSize: parseFloat(field.maxSize) || 0
+    };
+};
+
+export const getFields = (form: ElementType): Array<FormFieldType> => {
+    return (form.elements || []).map(getField).filter(Boolean);
+};
+
+export const getFieldValidators = (field: FormFieldType): Array<string> => {
+    const validators = [];
+    field.required && validators.push("required");
+    field.type === "email" && validators.push("email");
+    if (["text", "email"].includes(field.type) && field.validators) {
+        field.validators
+            .split(",")
+            .map(rule => rule.trim())
+            .filter(Boolean)
+            .forEach(rule => validators.push(rule));
+    }
+
+    return validators;
+};
@@ -7,6 +7,11 @@ import icon from "./icon";
 import image from "./image";
 import text from "./text";
 import spacer from "./spacer";
+import table from "./table";
+import tabs from "./tabs";
+import accordion from "./accordion";
+import carousel from "./carousel";
+import form from "./form";
 import button from "./button";
 import embeds from "./embeds";
 import pagesList from "./pagesList";
@@ -21,6 +26,11 @@ export default [
     icon(),
     text(),
     spacer(),
+    table(),
+    tabs(),
+    accordion(),
+    carousel(),
+    form(),
     button(),
     ...embeds,
     ...pagesList,
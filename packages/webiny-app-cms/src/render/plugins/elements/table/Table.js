@@ -0,0 +1,60 @@
+// @flow
+import React from "react";
+import Slate from "webiny-app-cms/render/components/Slate";
+import { ElementRoot } from "webiny-app-cms/render/components/ElementRoot";
+import type { ElementType } from "webiny-app-cms/types";
+import { getCoveredCells, getColumnLabels, type TableType } from "./utils";
+
+export const className = "webiny-cms-base-element-style webiny-cms-element-table";
+
+const Table = ({ element }: { element: ElementType }) => {
+    const table: TableType = element.data.table;
+    const covered = getCoveredCells(table.rows);
+    const labels = getColumnLabels(table);
+
+    const renderRow = (cells, r) => {
+        const header = r < table.headerRows;
+        const Cell = header ? "th" : "td";
+
+        return (
+            <tr key={r}>
+                {cells.map((cell, c) => {
+                    if (covered.has(`${r}:${c}`)) {
+                        return null;
+                    }
+
+                    return (
+                        <Cell
+                            key={cell.id}
+                            colSpan={cell.colSpan > 1 ? cell.colSpan : undefined}
+                            rowSpan={cell.rowSpan > 1 ? cell.rowSpan : undefined}
+                            data-label={header ? undefined : labels[c]}
+                        >
+                            <Slate value={cell.text} />
+                        </Cell>
+                    );
+                })}
+            </tr>
+        );
+    };
+
+    const head = table.rows.slice(0, table.headerRows);
+    const body = table.rows.slice(table.headerRows);
+
+    return (
+        <ElementRoot element={element} className={className}>
+            <div
+                className={`webiny-cms-element-table__wrapper webiny-cms-element-table--${
+                    table.stacking
+                }`}
+            >
+                <table>
+                    {head.length > 0 && <thead>{head.map(renderRow)}</thead>}
+                    <tbody>{body.map((cells, r) => renderRow(cells, r + head.length))}</tbody>
+                </table>
+            </div>
+        </ElementRoot>
+    );
+};
+
+export default Table;
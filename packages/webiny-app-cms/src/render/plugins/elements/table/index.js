@@ -0,0 +1,15 @@
+// @flow
+import React from "react";
+import Table from "./Table";
+import type { RenderElementPluginType } from "webiny-app-cms/types";
+
+export default (): RenderElementPluginType => {
+    return {
+        name: "cms-render-element-table",
+        type: "cms-render-element",
+        element: "cms-element-table",
+        render(props) {
+            return <Table {...props} />;
+        }
+    };
+};
@@ -0,0 +1,85 @@
+// @flow
+export type TableCellType = {
+    id: string,
+    // Slate editor value.
+    text: Object,
+    colSpan: number,
+    rowSpan: number
+};
+
+export type TableType = {
+    // All rows have the same number of cells - cells covered by a merged cell are kept, but not rendered.
+    rows: Array<Array<TableCellType>>,
+    // Number of rows (from the top) rendered as header rows.
+    headerRows: number,
+    // How the table is rendered on small screens.
+    stacking: "scroll" | "stack" | "none"
+};
+
+/**
+ * Returns positions ("row:column") of cells that are covered by a merged cell.
+ */
+export const getCoveredCells = (rows: Array<Array<TableCellType>>): Set<string> => {
+    const covered = new Set();
+    rows.forEach((cells, r) => {
+        cells.forEach((cell, c) => {
+            if (covered.has(`${r}:${c}`)) {
+                return;
+            }
+
+            for (let i = r; i < r + cell.rowSpan; i++) {
+                for (let j = c; j < c + cell.colSpan; j++) {
+                    (i !== r || j !== c) && covered.add(`${i}:${j}`);
+                }
+            }
+        });
+    });
+    return covered;
+};
+
+/**
+ * Returns plain text of given Slate editor value.
+ */
+export const getText = (value: ?Object): string => {
+    const collect = node => {
+        if (!node) {
+            return "";
+        }
+
+        if (Array.isArray(node.leaves)) {
+            return node.leaves.map(leaf => leaf.text).join("");
+        }
+
+        return Array.isArray(node.nodes) ? node.nodes.map(collect).join(" ") : "";
+    };
+
+    return collect(value && value.document).trim();
+};
+
+/**
+ * Returns a label for each column, taken from the last header row. Used to label cells of stacked tables.
+ */
+export const getColumnLabels = (table: TableType): Array<string> => {
+    const { rows, headerRows } = table;
+    if (!headerRows || !rows.length) {
+        return [];
+    }
+
+    const covered = getCoveredCells(rows);
+    const labels = [];
+    rows.slice(0, headerRows).forEach((cells, r) => {
+        cells.forEach((cell, c) => {
+            // Only cells that reach the last header row label the columns they span.
+            if (covered.has(`${r}:${c}`) || r + cell.rowSpan < headerRows) {
+                return;
+            }
+
+            const label = getText(cell.text);
+            for (let j = c; j < c + cell.colSpan; j++) {
+                labels[j] = label;
+            }
+        });
+    });
+
+    return labels;
+};
@@ -0,0 +1,95 @@
+// @flow
+import * as React from "react";
+import Element from "webiny-app-cms/render/components/Element";
+import { ElementRoot } from "webiny-app-cms/render/components/ElementRoot";
+import type { ElementType } from "webiny-app-cms/types";
+import { getItems, getDefaultItem, getNextItem } from "../utils/container";
+
+export const className = "webiny-cms-base-element-style webiny-cms-element-tabs";
+
+type Props = { element: ElementType };
+
+type State = { active: number };
+
+/**
+ * Tabs follow the WAI-ARIA tabs pattern: only the active tab is focusable, arrow keys move between tabs.
+ */
+class TabsContent extends React.Component<Props, State> {
+    tabs: Array<?HTMLElement> = [];
+
+    constructor(props: Props) {
+        super(props);
+        const { container } = props.element.data;
+        this.state = {
+            active: Math.max(getDefaultItem(container, props.element.elements.length), 0)
+        };
+    }
+
+    onKeyDown = (event: SyntheticKeyboardEvent<*>, index: number) => {
+        const next = getNextItem(event.key, index, this.tabs.length);
+        if (next === null || next === undefined) {
+            return;
+        }
+
+        event.preventDefault();
+        this.setState({ active: next });
+        const tab = this.tabs[next];
+        tab && tab.focus();
+    };
+
+    render() {
+        const items = getItems(this.props.element);
+        const active = Math.min(this.state.active, items.length - 1);
+        this.tabs = [];
+
+        return (
+            <React.Fragment>
+                <div role={"tablist"} className={"webiny-cms-element-tabs__list"}>
+                    {items.map((item, index) => (
+                        <button
+                            key={item.id}
+                            type={"button"}
+                            role={"tab"}
+                            id={`webiny-cms-tab-${item.id}`}
+                            aria-controls={`webiny-cms-tabpanel-${item.id}`}
+                            aria-selected={index === active}
+                            tabIndex={index === active ? 0 : -1}
+                            className={
+                                "webiny-cms-element-tabs__tab" +
+                                (index === active ? " webiny-cms-element-tabs__tab--active" : "")
+                            }
+                            ref={tab => (this.tabs[index] = tab)}
+                            onClick={() => this.setState({ active: index })}
+                            onKeyDown={event => this.onKeyDown(event, index)}
+                        >
+                            {item.title}
+                        </button>
+                    ))}
+                </div>
+                {items.map((item, index) => (
+                    <div
+                        key={item.id}
+                        role={"tabpanel"}
+                        id={`webiny-cms-tabpanel-${item.id}`}
+                        aria-labelledby={`webiny-cms-tab-${item.id}`}
+                        tabIndex={0}
+                        hidden={index !== active}
+                        className={"webiny-cms-element-tabs__panel"}
+                    >
+                        <Element element={item.element} />
+                    </div>
+                ))}
+            </React.Fragment>
+        );
+    }
+}
+
+const Tabs = ({ element }: Props) => {
+    return (
+        <ElementRoot element={element} className={className}>
+            <TabsContent element={element} />
+        </ElementRoot>
+    );
+};
+
+export default Tabs;
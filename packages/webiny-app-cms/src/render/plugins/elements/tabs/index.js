@@ -0,0 +1,15 @@
+// @flow
+import React from "react";
+import Tabs from "./Tabs";
+import type { RenderElementPluginType } from "webiny-app-cms/types";
+
+export default (): RenderElementPluginType => {
+    return {
+        name: "cms-render-element-tabs",
+        type: "cms-render-element",
+        element: "cms-element-tabs",
+        render(props) {
+            return <Tabs {...props} />;
+        }
+    };
+};
@@ -0,0 +1,76 @@
+// @flow
+import type { ElementType } from "webiny-app-cms/types";
+
+/**
+ * Settings of container elements (tabs, accordion, carousel), stored in `data.container`. Each child element of
+ * a container is one item (tab, section, slide) - item titles are stored by child element ID.
+ */
+export type ContainerType = {
+    items: { [id: string]: { title: string } },
+    // Index of the item shown (opened) initially, -1 for none (accordion only).
+    defaultItem: number,
+    // Accordion - allow multiple sections to be opened at the same time.
+    multiple?: boolean,
+    // Carousel - rotate slides automatically, every `interval` seconds.
+    autoplay?: boolean,
+    interval?: number
+};
+
+export type ContainerItemType = { id: string, title: string, element: ElementType };
+
+export const getItemTitle = (container: ?ContainerType, id: string, index: number): string => {
+    const item = container && container.items && container.items[id];
+    return (item && item.title) || `Item ${index + 1}`;
+};
+
+export const getItems = (element: ElementType): Array<ContainerItemType> => {
+    return element.elements.map((child, index) => ({
+        id: child.id,
+        title: getItemTitle(element.data.container, child.id, index),
+        element: child
+    }));
+};
+
+/**
+ * Returns index of the item shown initially. Falls back to the first item if the default one was removed.
+ */
+export const getDefaultItem = (container: ?ContainerType, count: number): number => {
+    const index =
+        container && typeof container.defaultItem === "number" ? container.defaultItem : 0;
+    if (index < -1 || index >= count) {
+        return count ? 0 : -1;
+    }
+
+    return index;
+};
+
+const steps = {
+    horizontal: { ArrowLeft: -1, ArrowRight: 1 },
+    vertical: { ArrowUp: -1, ArrowDown: 1 }
+};
+
+/**
+ * Returns index of the item to move to when the key is pressed, or null if the key is not used for navigation.
+ * Arrow keys wrap around from the last item to the first one and back.
+ */
+export const getNextItem = (
+    key: string,
+    index: number,
+    count: number,
+    orientation: "horizontal" | "vertical" = "horizontal"
+): ?number => {
+    if (!count) {
+        return null;
+    }
+
+    if (key === "Home") {
+        return 0;
+    }
+
+    if (key === "End") {
+        return count - 1;
+    }
+
+    const step = steps[orientation][key];
+    return step ? (index + step + count) % count : null;
+};
@@ -1,11 +1,12 @@
 // @flow
 import React from "react";
 import Element from "webiny-app-cms/render/components/Element";
+import { CmsProvider, withCms } from "webiny-app-cms/context";
 import Layout from "./../Layout";
 import { Helmet } from "react-helmet";
-import { get } from "lodash";
+import { get, trimEnd } from "lodash";
 
-type Props = { settings: Object, page: Object };
+type Props = { settings: Object, page: Object, cms: Object };
 
 class Content extends React.Component<Props> {
     getPageTitle({ page, settings }: Object): string {
@@ -24,8 +25,40 @@ class Content extends React.Component<Props> {
         return src ? <meta property="og:image" content={src + "?width=1596"} /> : null;
     }
 
+    /**
+     * Links to all published translations of the page, so search engines can serve the one in the user's language.
+     */
+    renderAlternateLinks({ page, settings }: Object): Array<Array<Object>> | null {
+        const translations = page.translations || [];
+        if (translations.length < 2) {
+            return null;
+        }
+
+        const domain = trimEnd(get(settings, "domain") || "", "/");
+        const defaultLocale = get(settings, "locales.default");
+
+        return translations.map(({ locale, localeUrl }) => {
+            const links = [
+                <link key={locale} rel="alternate" hrefLang={locale} href={domain + localeUrl} />
+            ];
+
+            if (locale === defaultLocale) {
+                links.push(
+                    <link
+                        key={"x-default"}
+                        rel="alternate"
+                        hrefLang="x-default"
+                        href={domain + localeUrl}
+                    />
+                );
+            }
+
+            return links;
+        });
+    }
+
     render() {
-        const { page, settings } = this.props;
+        const { page, settings, cms } = this.props;
 
         const meta = {
             page: {
@@ -54,7 +87,7 @@ class Content extends React.Component<Props> {
 
         return (
             <div className="webiny-cms-page">
-                <Helmet>
+                <Helmet htmlAttributes={page.locale ? { lang: page.locale } : {}}>
                     <meta charSet="utf-8" />
                     <title>{this.getPageTitle(meta)}</title>
                     {meta.page.seo.title && <meta name="title" content={meta.page.seo.title} />}
@@ -78,13 +111,16 @@ class Content extends React.Component<Props> {
                         const preparedProperty = `og:${property}`.replace("og:og:", "og:");
                         return <meta key={index} property={preparedProperty} content={content} />;
                     })}
+                    {this.renderAlternateLinks(this.props)}
                 </Helmet>
-                <Layout layout={page.settings.general.layout}>
-                    <Element element={page.content} />
-                </Layout>
+                <CmsProvider {...cms} page={{ id: page.id }}>
+                    <Layout layout={page.settings.general.layout}>
+                        <Element element={page.content} />
+                    </Layout>
+                </CmsProvider>
             </div>
         );
     }
 }
 
-export default Content;
+export default withCms()(Content);
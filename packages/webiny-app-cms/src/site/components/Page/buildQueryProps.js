@@ -10,6 +10,10 @@ settings {
     cms {
         data {
             name
+            domain
+            locales {
+                default
+            }
             social {
                 image {
                     src
@@ -7,6 +7,12 @@ const getDataFields = () => {
             id
             title
             url
+            locale
+            localeUrl
+            translations(published: true) {
+                locale
+                localeUrl
+            }
             version
             publishedOn
             snippet
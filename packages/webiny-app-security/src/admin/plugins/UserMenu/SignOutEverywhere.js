@@ -0,0 +1,17 @@
+//@flow
+import React from "react";
+import { ReactComponent as SignOutIcon } from "webiny-app-security/admin/assets/icons/round-lock_open-24px.svg";
+import { ListItem, ListItemGraphic } from "webiny-ui/List";
+import { Icon } from "webiny-ui/Icon";
+import { withSecurity } from "webiny-app-security/components";
+
+const SignOutEverywhere = (props: Object) => {
+    return (
+        <ListItem onClick={() => props.security.logoutEverywhere()}>
+            <ListItemGraphic>{<Icon icon={<SignOutIcon />} />}</ListItemGraphic>
+            Sign out everywhere
+        </ListItem>
+    );
+};
+
+export default withSecurity()(SignOutEverywhere);
@@ -2,6 +2,7 @@
 import React from "react";
 import UserImage from "./UserImage";
 import SignOut from "./SignOut";
+import SignOutEverywhere from "./SignOutEverywhere";
 import UserInfo from "./UserInfo";
 
 export default [
@@ -19,6 +20,13 @@ export default [
             return <SignOut />;
         }
     },
+    {
+        name: "user-menu-sign-out-everywhere",
+        type: "header-user-menu",
+        render() {
+            return <SignOutEverywhere />;
+        }
+    },
     {
         name: "header-user-menu-user-info",
         type: "header-user-menu-user-info",
@@ -11,16 +11,17 @@ export default [
         name: "security-menu",
         type: "menu",
         render({ Menu }: Object) {
-            const { groups, roles, users }: Object = (hasRoles({
+            const { groups, roles, users, auditLog }: Object = (hasRoles({
                 groups: ["security-groups"],
                 roles: ["security-roles"],
-                users: ["security-users"]
+                users: ["security-users"],
+                auditLog: ["security-audit-log"]
             }): any);
 
             const identities = users;
             const rolesGroups = groups || roles;
 
-            if (identities || rolesGroups) {
+            if (identities || rolesGroups || auditLog) {
                 return (
                     <Menu label={t`Security`} icon={<SecurityIcon />}>
                         {identities && (
@@ -35,6 +36,12 @@ export default [
                                 {roles && <Menu label={t`Roles`} path="/roles" />}
                             </Menu>
                         )}
+
+                        {auditLog && (
+                            <Menu label={t`Activity`}>
+                                <Menu label={t`Audit log`} path="/audit-log" />
+                            </Menu>
+                        )}
                     </Menu>
                 );
             }
@@ -7,6 +7,7 @@ import Roles from "webiny-app-security/admin/views/Roles";
 import Groups from "webiny-app-security/admin/views/Groups";
 import Users from "webiny-app-security/admin/views/Users";
 import Account from "webiny-app-security/admin/views/Account";
+import AuditLogs from "webiny-admin/views/AuditLogs/AuditLogs";
 import { SecureRoute } from "webiny-app-security/components";
 
 export default [
@@ -64,6 +65,24 @@ export default [
             />
         )
     },
+    {
+        name: "route-audit-log",
+        type: "route",
+        route: (
+            <Route
+                exact
+                path={"/audit-log"}
+                render={() => (
+                    <SecureRoute roles={["security-audit-log"]}>
+                        <AdminLayout>
+                            <Helmet title={"Security - Audit log"} />
+                            <AuditLogs />
+                        </AdminLayout>
+                    </SecureRoute>
+                )}
+            />
+        )
+    },
     {
         name: "route-account",
         type: "route",
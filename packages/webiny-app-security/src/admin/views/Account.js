@@ -9,11 +9,12 @@ import { i18n } from "webiny-app/i18n";
 import { Form } from "webiny-form";
 import { Grid, Cell } from "webiny-ui/Grid";
 import { Input } from "webiny-ui/Input";
-import { ButtonPrimary } from "webiny-ui/Button";
+import { ButtonPrimary, ButtonDefault } from "webiny-ui/Button";
 import { withSnackbar } from "webiny-admin/components";
 import { compose, withHandlers, withState } from "recompose";
 import { CircularProgress } from "webiny-ui/Progress";
 import AvatarImage from "./Components/AvatarImage";
+import TwoFactorAuthentication from "./Account/TwoFactorAuthentication";
 
 import {
     SimpleForm,
@@ -24,70 +25,92 @@ import {
 
 const t = i18n.namespace("Security.UsersForm");
 
-const UsersForm = ({ onSubmit, user, loading }: Object) => (
-    <Form data={user.data} onSubmit={onSubmit}>
-        {({ data, form, Bind }) => (
-            <SimpleForm>
-                {loading && <CircularProgress />}
-                <SimpleFormHeader title={"Account"} />
-                <SimpleFormContent>
-                    <Grid>
-                        <Cell span={3}>
-                            <Grid>
-                                <Cell span={12}>
-                                    <Bind name="avatar">
-                                        <AvatarImage />
-                                    </Bind>
-                                </Cell>
-                            </Grid>
-                        </Cell>
-                        <Cell span={9}>
-                            <Grid>
-                                <Cell span={12}>
-                                    <Bind name="email" validators={["required"]}>
-                                        <Input label={t`E-mail`} />
-                                    </Bind>
-                                </Cell>
-                                <Cell span={12}>
-                                    <Bind name="password" validators={["password"]}>
-                                        <Input
-                                            autoComplete="off"
-                                            description={
-                                                data.id && t`Type a new password to reset it.`
-                                            }
-                                            type="password"
-                                            label={t`Password`}
-                                        />
-                                    </Bind>
-                                </Cell>
+const UsersForm = ({
+    onSubmit,
+    onRequestEmailVerification,
+    user,
+    refetchUser,
+    loading
+}: Object) => (
+    <React.Fragment>
+        <Form data={user.data} onSubmit={onSubmit}>
+            {({ data, form, Bind }) => (
+                <SimpleForm>
+                    {loading && <CircularProgress />}
+                    <SimpleFormHeader title={"Account"} />
+                    <SimpleFormContent>
+                        <Grid>
+                            <Cell span={3}>
+                                <Grid>
+                                    <Cell span={12}>
+                                        <Bind name="avatar">
+                                            <AvatarImage />
+                                        </Bind>
+                                    </Cell>
+                                </Grid>
+                            </Cell>
+                            <Cell span={9}>
+                                <Grid>
+                                    <Cell span={12}>
+                                        <Bind name="email" validators={["required"]}>
+                                            <Input
+                                                label={t`E-mail`}
+                                                description={
+                                                    data.id &&
+                                                    !data.emailVerified &&
+                                                    t`Your e-mail address is not verified.`
+                                                }
+                                            />
+                                        </Bind>
+                                        {data.id && !data.emailVerified && (
+                                            <ButtonDefault onClick={onRequestEmailVerification}>
+                                                {t`Resend verification e-mail`}
+                                            </ButtonDefault>
+                                        )}
+                                    </Cell>
+                                    <Cell span={12}>
+                                        <Bind name="password" validators={["password"]}>
+                                            <Input
+                                                autoComplete="off"
+                                                description={
+                                                    data.id && t`Type a new password to reset it.`
+                                                }
+                                                type="password"
+                                                label={t`Password`}
+                                            />
+                                        </Bind>
+                                    </Cell>
 
-                                <Cell span={12}>
-                                    <Bind name="firstName">
-                                        <Input label={t`First Name`} />
-                                    </Bind>
-                                </Cell>
-                                <Cell span={12}>
-                                    <Bind name="lastName">
-                                        <Input label={t`Last name`} />
-                                    </Bind>
-                                </Cell>
-                            </Grid>
-                        </Cell>
-                    </Grid>
-                </SimpleFormContent>
-                <SimpleFormFooter>
-                    <ButtonPrimary type="primary" onClick={form.submit} align="right">
-                        {t`Update account`}
-                    </ButtonPrimary>
-                </SimpleFormFooter>
-            </SimpleForm>
-        )}
-    </Form>
+                                    <Cell span={12}>
+                                        <Bind name="firstName">
+                                            <Input label={t`First Name`} />
+                                        </Bind>
+                                    </Cell>
+                                    <Cell span={12}>
+                                        <Bind name="lastName">
+                                            <Input label={t`Last name`} />
+                                        </Bind>
+                                    </Cell>
+                                </Grid>
+                            </Cell>
+                        </Grid>
+                    </SimpleFormContent>
+                    <SimpleFormFooter>
+                        <ButtonPrimary type="primary" onClick={form.submit} align="right">
+                            {t`Update account`}
+                        </ButtonPrimary>
+                    </SimpleFormFooter>
+                </SimpleForm>
+            )}
+        </Form>
+        {user.data.id && <TwoFactorAuthentication user={user.data} onChange={refetchUser} />}
+    </React.Fragment>
 );
 
 const fields = `
     data {
-        id email firstName lastName avatar { src } 
+        id email emailVerified firstName lastName avatar { src }
+        twoFactorEnabled twoFactorRequired twoFactorSetupRequired
     }
     error {
         code
@@ -115,17 +138,42 @@ const updateCurrentUser = gql`
     }
 `;
 
+const requestEmailVerification = gql`
+    mutation requestEmailVerification {
+        security {
+            requestEmailVerification {
+                data
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
+
 export default compose(
     withSnackbar(),
     withSecurity(),
     withState("loading", "setLoading", null),
     graphql(getCurrentUser, {
         props: ({ data }) => ({
-            user: get(data, "security.getCurrentUser") || { data: {} }
+            user: get(data, "security.getCurrentUser") || { data: {} },
+            refetchUser: data.refetch
         })
     }),
     graphql(updateCurrentUser, { name: "updateCurrentUser" }),
+    graphql(requestEmailVerification, { name: "requestEmailVerification" }),
     withHandlers({
+        onRequestEmailVerification: ({ requestEmailVerification, showSnackbar }) => async () => {
+            const { data: response } = await requestEmailVerification();
+            const { error } = response.security.requestEmailVerification;
+            if (error) {
+                return showSnackbar(error.message);
+            }
+
+            showSnackbar("Verification e-mail was sent.");
+        },
         onSubmit: ({ setLoading, updateCurrentUser, showSnackbar }) => async formData => {
             setLoading(true);
             const { data: response } = await updateCurrentUser({
@@ -0,0 +1,260 @@
+// @flow
+import * as React from "react";
+import { compose } from "recompose";
+import { css } from "emotion";
+import { withApollo } from "react-apollo";
+import { i18n } from "webiny-app/i18n";
+import { Form } from "webiny-form";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Input } from "webiny-ui/Input";
+import { Typography } from "webiny-ui/Typography";
+import { ButtonPrimary, ButtonDefault } from "webiny-ui/Button";
+import { CircularProgress } from "webiny-ui/Progress";
+import { withSnackbar } from "webiny-admin/components";
+import { withSecurity } from "webiny-app-security/components";
+import {
+    SimpleForm,
+    SimpleFormHeader,
+    SimpleFormFooter,
+    SimpleFormContent
+} from "webiny-admin/components/SimpleForm";
+import {
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    generateRecoveryCodes
+} from "./graphql";
+
+const t = i18n.namespace("Security.TwoFactorAuthentication");
+
+const codeStyle = css({
+    fontFamily: "monospace",
+    fontSize: 16,
+    wordBreak: "break-all"
+});
+
+type Props = {
+    user: Object,
+    onChange: Function,
+    client: Object,
+    security: Object,
+    showSnackbar: Function
+};
+
+type State = {
+    loading: boolean,
+    setup: ?{ secret: string, otpauthUrl: string },
+    recoveryCodes: ?Array<string>
+};
+
+class TwoFactorAuthentication extends React.Component<Props, State> {
+    state = {
+        loading: false,
+        setup: null,
+        recoveryCodes: null
+    };
+
+    mutate = async (mutation: Object, variables: Object = {}) => {
+        this.setState({ loading: true });
+        const res = await this.props.client.mutate({ mutation, variables });
+        this.setState({ loading: false });
+
+        const [name] = Object.keys(res.data.security);
+        const { data, error } = res.data.security[name];
+        if (error) {
+            this.props.showSnackbar(error.message);
+            return null;
+        }
+        return data;
+    };
+
+    startSetup = async () => {
+        const setup = await this.mutate(setupTwoFactor);
+        setup && this.setState({ setup });
+    };
+
+    enable = async ({ code }: Object) => {
+        const data = await this.mutate(enableTwoFactor, { code });
+        if (data) {
+            this.setState({ setup: null, recoveryCodes: data.recoveryCodes });
+            // Previous session was revoked, continue with the new tokens.
+            await this.props.security.onToken(data.login.token, data.login.refreshToken);
+            this.props.onChange();
+        }
+    };
+
+    disable = async ({ code }: Object) => {
+        if (await this.mutate(disableTwoFactor, { code })) {
+            this.props.showSnackbar(t`Two-factor authentication was disabled.`);
+            this.props.onChange();
+        }
+    };
+
+    regenerateRecoveryCodes = async ({ code }: Object) => {
+        const recoveryCodes = await this.mutate(generateRecoveryCodes, { code });
+        recoveryCodes && this.setState({ recoveryCodes });
+    };
+
+    renderRecoveryCodes(recoveryCodes: Array<string>) {
+        return (
+            <React.Fragment>
+                <SimpleFormContent>
+                    <Grid>
+                        <Cell span={12}>
+                            <Typography use="body1">
+                                {t`Store these recovery codes in a safe place. Each of them can be used once to sign in, if you lose access to your authenticator app.`}
+                            </Typography>
+                        </Cell>
+                        {recoveryCodes.map(code => (
+                            <Cell span={4} key={code} className={codeStyle}>
+                                {code}
+                            </Cell>
+                        ))}
+                    </Grid>
+                </SimpleFormContent>
+                <SimpleFormFooter>
+                    <ButtonPrimary onClick={() => this.setState({ recoveryCodes: null })}>
+                        {t`Done`}
+                    </ButtonPrimary>
+                </SimpleFormFooter>
+            </React.Fragment>
+        );
+    }
+
+    renderSetup(setup: { secret: string, otpauthUrl: string }) {
+        return (
+            <Form onSubmit={this.enable}>
+                {({ form, Bind }) => (
+                    <React.Fragment>
+                        <SimpleFormContent>
+                            <Grid>
+                                <Cell span={12}>
+                                    <Typography use="body1">
+                                        {t`Add your account to an authenticator app (eg. Google Authenticator) using the following key, or open the setup link on your phone:`}
+                                    </Typography>
+                                </Cell>
+                                <Cell span={12} className={codeStyle}>
+                                    {setup.secret}
+                                </Cell>
+                                <Cell span={12}>
+                                    <a href={setup.otpauthUrl}>{t`Open in authenticator app`}</a>
+                                </Cell>
+                                <Cell span={12}>
+                                    <Bind name="code" validators={["required"]}>
+                                        <Input
+                                            label={t`Code from the authenticator app`}
+                                            autoComplete="one-time-code"
+                                        />
+                                    </Bind>
+                                </Cell>
+                            </Grid>
+                        </SimpleFormContent>
+                        <SimpleFormFooter>
+                            <ButtonDefault onClick={() => this.setState({ setup: null })}>
+                                {t`Cancel`}
+                            </ButtonDefault>
+                            <ButtonPrimary onClick={form.submit}>{t`Enable`}</ButtonPrimary>
+                        </SimpleFormFooter>
+                    </React.Fragment>
+                )}
+            </Form>
+        );
+    }
+
+    renderEnabled() {
+        return (
+            <Form>
+                {({ form, Bind, data }) => (
+                    <React.Fragment>
+                        <SimpleFormContent>
+                            <Grid>
+                                <Cell span={12}>
+                                    <Typography use="body1">
+                                        {t`Two-factor authentication is enabled. To disable it or generate new recovery codes, enter a code from your authenticator app.`}
+                                    </Typography>
+                                </Cell>
+                                <Cell span={12}>
+                                    <Bind name="code" validators={["required"]}>
+                                        <Input
+                                            label={t`Authentication code`}
+                                            autoComplete="one-time-code"
+                                        />
+                                    </Bind>
+                                </Cell>
+                            </Grid>
+                        </SimpleFormContent>
+                        <SimpleFormFooter>
+                            <ButtonDefault
+                                onClick={async () =>
+                                    (await form.validate()) && this.regenerateRecoveryCodes(data)
+                                }
+                            >
+                                {t`Generate new recovery codes`}
+                            </ButtonDefault>
+                            {!this.props.user.twoFactorRequired && (
+                                <ButtonPrimary
+                                    onClick={async () =>
+                                        (await form.validate()) && this.disable(data)
+                                    }
+                                >
+                                    {t`Disable`}
+                                </ButtonPrimary>
+                            )}
+                        </SimpleFormFooter>
+                    </React.Fragment>
+                )}
+            </Form>
+        );
+    }
+
+    renderDisabled() {
+        return (
+            <React.Fragment>
+                <SimpleFormContent>
+                    <Grid>
+                        <Cell span={12}>
+                            <Typography use="body1">
+                                {this.props.user.twoFactorSetupRequired
+                                    ? t`Your account requires two-factor authentication. Please set it up to continue using the administration.`
+                                    : t`Protect your account with a code from an authenticator app, in addition to your password.`}
+                            </Typography>
+                        </Cell>
+                    </Grid>
+                </SimpleFormContent>
+                <SimpleFormFooter>
+                    <ButtonPrimary onClick={this.startSetup}>{t`Set up`}</ButtonPrimary>
+                </SimpleFormFooter>
+            </React.Fragment>
+        );
+    }
+
+    render() {
+        const { user } = this.props;
+        const { loading, setup, recoveryCodes } = this.state;
+
+        let content;
+        if (recoveryCodes) {
+            content = this.renderRecoveryCodes(recoveryCodes);
+        } else if (setup) {
+            content = this.renderSetup(setup);
+        } else if (user.twoFactorEnabled) {
+            content = this.renderEnabled();
+        } else {
+            content = this.renderDisabled();
+        }
+
+        return (
+            <SimpleForm>
+                {loading && <CircularProgress />}
+                <SimpleFormHeader title={t`Two-factor authentication`} />
+                {content}
+            </SimpleForm>
+        );
+    }
+}
+
+export default compose(
+    withApollo,
+    withSecurity(),
+    withSnackbar()
+)(TwoFactorAuthentication);
@@ -0,0 +1,62 @@
+// @flow
+import gql from "graphql-tag";
+
+const error = `
+    error {
+        code
+        message
+    }
+`;
+
+export const setupTwoFactor = gql`
+    mutation SetupTwoFactor {
+        security {
+            setupTwoFactor {
+                data {
+                    secret
+                    otpauthUrl
+                }
+                ${error}
+            }
+        }
+    }
+`;
+
+export const enableTwoFactor = gql`
+    mutation EnableTwoFactor($code: String!) {
+        security {
+            enableTwoFactor(code: $code) {
+                data {
+                    recoveryCodes
+                    login {
+                        token
+                        refreshToken
+                    }
+                }
+                ${error}
+            }
+        }
+    }
+`;
+
+export const disableTwoFactor = gql`
+    mutation DisableTwoFactor($code: String!) {
+        security {
+            disableTwoFactor(code: $code) {
+                data
+                ${error}
+            }
+        }
+    }
+`;
+
+export const generateRecoveryCodes = gql`
+    mutation GenerateRecoveryCodes($code: String!) {
+        security {
+            generateRecoveryCodes(code: $code) {
+                data
+                ${error}
+            }
+        }
+    }
+`;
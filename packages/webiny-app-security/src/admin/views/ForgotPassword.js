@@ -0,0 +1,101 @@
+// @flow
+import * as React from "react";
+import { graphql } from "react-apollo";
+import { compose, withHandlers, withState } from "recompose";
+import { Form } from "webiny-form";
+import { i18n } from "webiny-app/i18n";
+import { Elevation } from "webiny-ui/Elevation";
+import { ButtonPrimary, ButtonDefault } from "webiny-ui/Button";
+import { Input } from "webiny-ui/Input";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Typography } from "webiny-ui/Typography";
+import { CircularProgress } from "webiny-ui/Progress";
+import {
+    alignRight,
+    InnerContent,
+    LoginContent,
+    Title,
+    errorMessage
+} from "./Login/StyledComponents";
+import { requestPasswordResetMutation } from "./Login/graphql";
+
+const t = i18n.namespace("Webiny.Admin.ForgotPassword");
+
+const ForgotPassword = (props: Object) => {
+    const { submit, onBack, error, loading, sent } = props;
+    return (
+        <Form onSubmit={submit} submitOnEnter>
+            {({ form, Bind }) => (
+                <LoginContent>
+                    <Elevation z={2}>
+                        <InnerContent>
+                            {loading && <CircularProgress />}
+                            <Title>
+                                <h1>
+                                    <Typography use="headline4">{t`Forgot password`}</Typography>
+                                </h1>
+                                <p>
+                                    <Typography use="subtitle2">
+                                        {sent
+                                            ? t`If an account with given e-mail exists, we've sent you a link to reset your password.`
+                                            : t`enter your e-mail to receive a password reset link`}
+                                    </Typography>
+                                </p>
+                            </Title>
+
+                            {error && (
+                                <Cell span={12} className={errorMessage}>
+                                    {error.message}
+                                </Cell>
+                            )}
+
+                            {!sent && (
+                                <Grid>
+                                    <Cell span={12}>
+                                        <Bind name="email" validators={["required", "email"]}>
+                                            <Input label={t`Your e-mail`} box={true} />
+                                        </Bind>
+                                    </Cell>
+                                </Grid>
+                            )}
+
+                            <Grid>
+                                <Cell span={12} className={alignRight}>
+                                    <ButtonDefault
+                                        onClick={onBack}
+                                    >{t`Back to sign in`}</ButtonDefault>
+                                    {!sent && (
+                                        <ButtonPrimary raised onClick={form.submit}>
+                                            {t`Send link`}
+                                        </ButtonPrimary>
+                                    )}
+                                </Cell>
+                            </Grid>
+                        </InnerContent>
+                    </Elevation>
+                </LoginContent>
+            )}
+        </Form>
+    );
+};
+
+export default compose(
+    graphql(requestPasswordResetMutation, { name: "requestPasswordReset" }),
+    withState("error", "setError", null),
+    withState("loading", "setLoading", false),
+    withState("sent", "setSent", false),
+    withHandlers({
+        submit: ({ requestPasswordReset, setError, setLoading, setSent }) => async formData => {
+            setError(null);
+            setLoading(true);
+            const res = await requestPasswordReset({ variables: formData });
+            const { error } = res.data.security.requestPasswordReset;
+            setLoading(false);
+            if (error) {
+                return setError(error);
+            }
+
+            setSent(true);
+        }
+    })
+)(ForgotPassword);
@@ -4,6 +4,7 @@ import { i18n } from "webiny-app/i18n";
 import { Form } from "webiny-form";
 import { Grid, Cell } from "webiny-ui/Grid";
 import { Input } from "webiny-ui/Input";
+import { Switch } from "webiny-ui/Switch";
 import { ButtonPrimary } from "webiny-ui/Button";
 import RolesAutoComplete from "./../Components/RolesAutoComplete";
 import type { WithCrudFormProps } from "webiny-admin/components";
@@ -57,6 +58,16 @@ const GroupForm = ({
                                 </Bind>
                             </Cell>
                         </Grid>
+                        <Grid>
+                            <Cell span={12}>
+                                <Bind name="requireTwoFactor">
+                                    <Switch
+                                        label={t`Require two-factor authentication`}
+                                        description={t`Members must set up 2FA before they can access the administration.`}
+                                    />
+                                </Bind>
+                            </Cell>
+                        </Grid>
                     </SimpleFormContent>
                     <SimpleFormFooter>
                         <ButtonPrimary type="primary" onClick={form.submit} align="right">
@@ -6,6 +6,7 @@ const fields = `
     name
     slug
     description
+    requireTwoFactor
     roles { id name }
 `;
 
@@ -2,6 +2,7 @@
 import * as React from "react";
 import { graphql } from "react-apollo";
 import { compose, withHandlers, withState } from "recompose";
+import { withRouter } from "react-router-dom";
 import { Form } from "webiny-form";
 import { i18n } from "webiny-app/i18n";
 import { EmptyLayout } from "webiny-admin/components/EmptyLayout";
@@ -18,100 +19,176 @@ import {
     Logo,
     Title,
     Wrapper,
-    errorMessage
+    errorMessage,
+    infoMessage,
+    linkButton
 } from "./Login/StyledComponents";
 import logoOrange from "./../assets/images/logo_orange.png";
 import { loginMutation } from "./Login/graphql";
 import { CircularProgress } from "webiny-ui/Progress";
+import ForgotPassword from "./ForgotPassword";
+import ResetPassword from "./ResetPassword";
+import TwoFactorLogin from "./TwoFactorLogin";
 
 const t = i18n.namespace("Webiny.Admin.Login");
 
-const Login = (props: Object) => {
-    const { login, error, loading }: { loading: boolean, login: Function, error?: Object } = props;
+const LoginForm = (props: Object) => {
+    const {
+        login,
+        error,
+        loading,
+        message,
+        onForgotPassword
+    }: {
+        loading: boolean,
+        login: Function,
+        error?: Object,
+        message?: string,
+        onForgotPassword: Function
+    } = props;
     return (
-        <EmptyLayout>
-            <Wrapper>
-                <Logo src={logoOrange} />
-                <Form onSubmit={login} submitOnEnter>
-                    {({ form, Bind }) => (
-                        <React.Fragment>
-                            <LoginContent>
-                                <Elevation z={2}>
-                                    <InnerContent>
-                                        {loading && <CircularProgress />}
-                                        <Title>
-                                            <h1>
-                                                <Typography use="headline4">{t`Sign In`}</Typography>
-                                            </h1>
-                                            <p>
-                                                <Typography use="subtitle2">{t`to access your Webiny account`}</Typography>
-                                            </p>
-                                        </Title>
+        <Form onSubmit={login} submitOnEnter>
+            {({ form, Bind }) => (
+                <LoginContent>
+                    <Elevation z={2}>
+                        <InnerContent>
+                            {loading && <CircularProgress />}
+                            <Title>
+                                <h1>
+                                    <Typography use="headline4">{t`Sign In`}</Typography>
+                                </h1>
+                                <p>
+                                    <Typography use="subtitle2">{t`to access your Webiny account`}</Typography>
+                                </p>
+                            </Title>
 
-                                        {error && (
-                                            <Cell span={12} className={errorMessage}>
-                                                {error.message}
-                                            </Cell>
-                                        )}
+                            {message && (
+                                <Cell span={12} className={infoMessage}>
+                                    {message}
+                                </Cell>
+                            )}
 
-                                        <Grid>
-                                            <Cell span={12}>
-                                                <Bind
-                                                    name="username"
-                                                    validators={["required", "email"]}
-                                                >
-                                                    <Input label={t`Your e-mail`} box={true} />
-                                                </Bind>
-                                            </Cell>
-                                        </Grid>
+                            {error && (
+                                <Cell span={12} className={errorMessage}>
+                                    {error.message}
+                                </Cell>
+                            )}
 
-                                        <Grid>
-                                            <Cell span={12}>
-                                                <Bind
-                                                    name="password"
-                                                    validators={["required", "password"]}
-                                                >
-                                                    <Input
-                                                        type={"password"}
-                                                        label={t`Your password`}
-                                                        box={true}
-                                                    />
-                                                </Bind>
-                                            </Cell>
-                                        </Grid>
+                            <Grid>
+                                <Cell span={12}>
+                                    <Bind name="username" validators={["required", "email"]}>
+                                        <Input label={t`Your e-mail`} box={true} />
+                                    </Bind>
+                                </Cell>
+                            </Grid>
 
-                                        <Grid>
-                                            <Cell span={12} className={alignRight}>
-                                                <ButtonPrimary raised onClick={form.submit}>
-                                                    {t`Submit`}
-                                                </ButtonPrimary>
-                                            </Cell>
-                                        </Grid>
-                                    </InnerContent>
-                                </Elevation>
-                            </LoginContent>
-                            <Footer>
-                                <p>
-                                    <Typography use="overline">{t`powered by`}</Typography>
-                                </p>
-                                <a href="https://www.webiny.com/">
-                                    <Typography use="body2">www.webiny.com</Typography>
-                                </a>
-                            </Footer>
-                        </React.Fragment>
-                    )}
-                </Form>
+                            <Grid>
+                                <Cell span={12}>
+                                    <Bind name="password" validators={["required", "password"]}>
+                                        <Input
+                                            type={"password"}
+                                            label={t`Your password`}
+                                            box={true}
+                                        />
+                                    </Bind>
+                                </Cell>
+                            </Grid>
+
+                            <Grid>
+                                <Cell span={6}>
+                                    <a className={linkButton} onClick={onForgotPassword}>
+                                        {t`Forgot password?`}
+                                    </a>
+                                </Cell>
+                                <Cell span={6} className={alignRight}>
+                                    <ButtonPrimary raised onClick={form.submit}>
+                                        {t`Submit`}
+                                    </ButtonPrimary>
+                                </Cell>
+                            </Grid>
+                        </InnerContent>
+                    </Elevation>
+                </LoginContent>
+            )}
+        </Form>
+    );
+};
+
+const Login = (props: Object) => {
+    const {
+        view,
+        setView,
+        message,
+        setMessage,
+        twoFactor,
+        setTwoFactor,
+        location,
+        history
+    } = props;
+    const resetPasswordToken = new URLSearchParams(location.search).get("resetPasswordToken");
+
+    let content = null;
+    if (twoFactor) {
+        content = (
+            <TwoFactorLogin
+                {...twoFactor}
+                onToken={props.onToken}
+                onBack={() => setTwoFactor(null)}
+            />
+        );
+    } else if (resetPasswordToken) {
+        content = (
+            <ResetPassword
+                token={resetPasswordToken}
+                onDone={() => {
+                    setMessage(t`Your password was changed, you can now sign in.`);
+                    history.push(location.pathname);
+                }}
+            />
+        );
+    } else if (view === "forgotPassword") {
+        content = <ForgotPassword onBack={() => setView("login")} />;
+    } else {
+        content = (
+            <LoginForm
+                {...props}
+                message={message}
+                onForgotPassword={() => {
+                    setMessage(null);
+                    setView("forgotPassword");
+                }}
+            />
+        );
+    }
+
+    return (
+        <EmptyLayout>
+            <Wrapper>
+                <Logo src={logoOrange} />
+                {content}
+                <Footer>
+                    <p>
+                        <Typography use="overline">{t`powered by`}</Typography>
+                    </p>
+                    <a href="https://www.webiny.com/">
+                        <Typography use="body2">www.webiny.com</Typography>
+                    </a>
+                </Footer>
             </Wrapper>
         </EmptyLayout>
     );
 };
 
 export default compose(
+    withRouter,
     graphql(loginMutation, { name: "doLogin" }),
+    withState("view", "setView", "login"),
+    withState("message", "setMessage", null),
+    withState("twoFactor", "setTwoFactor", null),
     withState("error", "setError", null),
     withState("loading", "setLoading", null),
     withHandlers({
-        login: ({ doLogin, setError, onToken, setLoading }) => {
+        login: ({ doLogin, setError, onToken, setLoading, setTwoFactor }) => {
             setLoading(true);
             return async formData => {
                 // Reset error
@@ -124,8 +201,16 @@ export default compose(
                     return setError(error);
                 }
 
-                // Pass the token to Security
-                onToken(data.token);
+                // User has 2FA enabled - the code from the authenticator app must be entered first.
+                if (data.twoFactorChallenge) {
+                    return setTwoFactor({
+                        challenge: data.twoFactorChallenge,
+                        remember: formData.remember
+                    });
+                }
+
+                // Pass the tokens to Security
+                onToken(data.token, data.refreshToken);
             };
         }
     })
@@ -54,3 +54,16 @@ export const errorMessage = css({
     width: "100%",
     textAlign: "center"
 });
+
+export const infoMessage = css({
+    color: "var(--mdc-theme-primary)",
+    margin: "25px 0 0 0",
+    width: "100%",
+    textAlign: "center"
+});
+
+export const linkButton = css({
+    cursor: "pointer",
+    lineHeight: "36px",
+    color: "var(--mdc-theme-primary)"
+});
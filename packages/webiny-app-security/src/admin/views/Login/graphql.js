@@ -7,6 +7,53 @@ export const loginMutation = gql`
             loginUser(username: $username, password: $password, remember: $remember) {
                 data {
                     token
+                    refreshToken
+                    twoFactorChallenge
+                }
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const requestPasswordResetMutation = gql`
+    mutation RequestPasswordReset($email: String!) {
+        security {
+            requestPasswordReset(email: $email) {
+                data
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const resetPasswordMutation = gql`
+    mutation ResetPassword($token: String!, $password: String!) {
+        security {
+            resetPassword(token: $token, password: $password) {
+                data
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const loginUsingTwoFactorMutation = gql`
+    mutation LoginUsingTwoFactor($challenge: String!, $code: String!, $remember: Boolean) {
+        security {
+            loginUsingTwoFactor(challenge: $challenge, code: $code, remember: $remember) {
+                data {
+                    token
+                    refreshToken
                 }
                 error {
                     code
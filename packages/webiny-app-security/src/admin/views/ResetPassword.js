@@ -0,0 +1,114 @@
+// @flow
+import * as React from "react";
+import { graphql } from "react-apollo";
+import { compose, withHandlers, withState } from "recompose";
+import { Form } from "webiny-form";
+import { i18n } from "webiny-app/i18n";
+import { Elevation } from "webiny-ui/Elevation";
+import { ButtonPrimary } from "webiny-ui/Button";
+import { Input } from "webiny-ui/Input";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Typography } from "webiny-ui/Typography";
+import { CircularProgress } from "webiny-ui/Progress";
+import {
+    alignRight,
+    InnerContent,
+    LoginContent,
+    Title,
+    errorMessage
+} from "./Login/StyledComponents";
+import { resetPasswordMutation } from "./Login/graphql";
+
+const t = i18n.namespace("Webiny.Admin.ResetPassword");
+
+const ResetPassword = (props: Object) => {
+    const { submit, error, loading } = props;
+    return (
+        <Form onSubmit={submit} submitOnEnter>
+            {({ form, Bind }) => (
+                <LoginContent>
+                    <Elevation z={2}>
+                        <InnerContent>
+                            {loading && <CircularProgress />}
+                            <Title>
+                                <h1>
+                                    <Typography use="headline4">{t`Reset password`}</Typography>
+                                </h1>
+                                <p>
+                                    <Typography use="subtitle2">{t`choose a new password for your account`}</Typography>
+                                </p>
+                            </Title>
+
+                            {error && (
+                                <Cell span={12} className={errorMessage}>
+                                    {error.message}
+                                </Cell>
+                            )}
+
+                            <Grid>
+                                <Cell span={12}>
+                                    <Bind name="password" validators={["required", "password"]}>
+                                        <Input
+                                            type={"password"}
+                                            label={t`New password`}
+                                            box={true}
+                                        />
+                                    </Bind>
+                                </Cell>
+                                <Cell span={12}>
+                                    <Bind
+                                        name="confirmPassword"
+                                        validators={[
+                                            "required",
+                                            (value, { data }) => {
+                                                if (value !== data.password) {
+                                                    throw Error(t`Passwords do not match.`);
+                                                }
+                                            }
+                                        ]}
+                                    >
+                                        <Input
+                                            type={"password"}
+                                            label={t`Confirm new password`}
+                                            box={true}
+                                        />
+                                    </Bind>
+                                </Cell>
+                            </Grid>
+
+                            <Grid>
+                                <Cell span={12} className={alignRight}>
+                                    <ButtonPrimary raised onClick={form.submit}>
+                                        {t`Set password`}
+                                    </ButtonPrimary>
+                                </Cell>
+                            </Grid>
+                        </InnerContent>
+                    </Elevation>
+                </LoginContent>
+            )}
+        </Form>
+    );
+};
+
+export default compose(
+    graphql(resetPasswordMutation, { name: "resetPassword" }),
+    withState("error", "setError", null),
+    withState("loading", "setLoading", false),
+    withHandlers({
+        submit: ({ resetPassword, token, onDone, setError, setLoading }) => async ({
+            password
+        }) => {
+            setError(null);
+            setLoading(true);
+            const res = await resetPassword({ variables: { token, password } });
+            const { error } = res.data.security.resetPassword;
+            setLoading(false);
+            if (error) {
+                return setError(error);
+            }
+
+            onDone();
+        }
+    })
+)(ResetPassword);
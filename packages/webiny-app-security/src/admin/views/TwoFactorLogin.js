@@ -0,0 +1,103 @@
+// @flow
+import * as React from "react";
+import { graphql } from "react-apollo";
+import { compose, withHandlers, withState } from "recompose";
+import { Form } from "webiny-form";
+import { i18n } from "webiny-app/i18n";
+import { Elevation } from "webiny-ui/Elevation";
+import { ButtonPrimary, ButtonDefault } from "webiny-ui/Button";
+import { Input } from "webiny-ui/Input";
+import { Grid, Cell } from "webiny-ui/Grid";
+import { Typography } from "webiny-ui/Typography";
+import { CircularProgress } from "webiny-ui/Progress";
+import {
+    alignRight,
+    InnerContent,
+    LoginContent,
+    Title,
+    errorMessage
+} from "./Login/StyledComponents";
+import { loginUsingTwoFactorMutation } from "./Login/graphql";
+
+const t = i18n.namespace("Webiny.Admin.TwoFactorLogin");
+
+const TwoFactorLogin = (props: Object) => {
+    const { submit, onBack, error, loading } = props;
+    return (
+        <Form onSubmit={submit} submitOnEnter>
+            {({ form, Bind }) => (
+                <LoginContent>
+                    <Elevation z={2}>
+                        <InnerContent>
+                            {loading && <CircularProgress />}
+                            <Title>
+                                <h1>
+                                    <Typography use="headline4">{t`Two-factor authentication`}</Typography>
+                                </h1>
+                                <p>
+                                    <Typography use="subtitle2">{t`enter the code from your authenticator app, or one of your recovery codes`}</Typography>
+                                </p>
+                            </Title>
+
+                            {error && (
+                                <Cell span={12} className={errorMessage}>
+                                    {error.message}
+                                </Cell>
+                            )}
+
+                            <Grid>
+                                <Cell span={12}>
+                                    <Bind name="code" validators={["required"]}>
+                                        <Input
+                                            label={t`Authentication code`}
+                                            autoComplete="one-time-code"
+                                            box={true}
+                                        />
+                                    </Bind>
+                                </Cell>
+                            </Grid>
+
+                            <Grid>
+                                <Cell span={12} className={alignRight}>
+                                    <ButtonDefault
+                                        onClick={onBack}
+                                    >{t`Back to sign in`}</ButtonDefault>
+                                    <ButtonPrimary raised onClick={form.submit}>
+                                        {t`Verify`}
+                                    </ButtonPrimary>
+                                </Cell>
+                            </Grid>
+                        </InnerContent>
+                    </Elevation>
+                </LoginContent>
+            )}
+        </Form>
+    );
+};
+
+export default compose(
+    graphql(loginUsingTwoFactorMutation, { name: "loginUsingTwoFactor" }),
+    withState("error", "setError", null),
+    withState("loading", "setLoading", false),
+    withHandlers({
+        submit: ({
+            loginUsingTwoFactor,
+            challenge,
+            remember,
+            onToken,
+            setError,
+            setLoading
+        }) => async ({ code }) => {
+            setError(null);
+            setLoading(true);
+            const res = await loginUsingTwoFactor({ variables: { challenge, code, remember } });
+            const { data, error } = res.data.security.loginUsingTwoFactor;
+            setLoading(false);
+            if (error) {
+                return setError(error);
+            }
+
+            onToken(data.token, data.refreshToken);
+        }
+    })
+)(TwoFactorLogin);
@@ -1,23 +1,30 @@
 // @flow
 import * as React from "react";
 import { compose } from "recompose";
-import { withRouter } from "react-router-dom";
+import { withRouter, Redirect } from "react-router-dom";
 import { withApollo, type WithApolloClient } from "react-apollo";
 import localStorage from "store";
 import observe from "store/plugins/observe";
 import { withSnackbar } from "webiny-admin/components";
-import { getCurrentUser, loginUsingToken } from "./graphql";
+import {
+    getCurrentUser,
+    loginUsingToken,
+    logoutUser,
+    logoutEverywhere,
+    verifyEmail
+} from "./graphql";
 import { setIdentity } from "webiny-app-security";
 const { Provider, Consumer } = React.createContext();
 
 localStorage.addPlugin(observe);
 
 const AUTH_TOKEN = "webiny-token";
+const REFRESH_TOKEN = "webiny-refresh-token";
 
 type Props = WithApolloClient & {
     getUser?: () => Promise<Object>,
     getToken?: () => String,
-    setToken?: (token: String) => void
+    setToken?: (token: String, refreshToken: ?String) => void
 };
 
 type State = {
@@ -42,6 +49,8 @@ class Security extends React.Component<Props, State> {
     };
 
     componentDidMount() {
+        this.checkVerifyEmailToken();
+
         localStorage.observe(AUTH_TOKEN, async (token: any) => {
             if (!token) {
                 this.checkLoginToken();
@@ -77,8 +86,25 @@ class Security extends React.Component<Props, State> {
                 return;
             }
 
-            this.onToken(data.token);
+            this.onToken(data.token, data.refreshToken);
+        }
+    };
+
+    checkVerifyEmailToken = async () => {
+        const { location, history } = this.props;
+        const token = new URLSearchParams(location.search).get("verifyEmailToken");
+        if (!token) {
+            return;
         }
+
+        history.replace(location.pathname);
+        const res = await this.props.client.mutate({
+            mutation: verifyEmail,
+            variables: { token }
+        });
+
+        const { error } = res.data.security.verifyEmail;
+        this.props.showSnackbar(error ? error.message : "Your e-mail address was verified.");
     };
 
     getToken = () => {
@@ -89,11 +115,13 @@ class Security extends React.Component<Props, State> {
         return localStorage.get(AUTH_TOKEN);
     };
 
-    setToken = (token: string) => {
+    setToken = (token: string, refreshToken: ?string) => {
         if (this.props.setToken) {
-            return this.props.setToken(token);
+            return this.props.setToken(token, refreshToken);
         }
 
+        // Refresh token must be stored first, the auth token change triggers loading of the user.
+        localStorage.set(REFRESH_TOKEN, refreshToken);
         return localStorage.set(AUTH_TOKEN, token);
     };
 
@@ -112,23 +140,53 @@ class Security extends React.Component<Props, State> {
         return data.security.getCurrentUser.data;
     };
 
-    onToken = async (token: string) => {
-        this.setToken(token);
+    onToken = async (token: string, refreshToken: ?string) => {
+        this.setToken(token, refreshToken);
         const user = await this.getUser();
         this.setState({ user }, () => setIdentity(user));
     };
 
-    logout = () => {
+    clearTokens = () => {
+        localStorage.remove(REFRESH_TOKEN);
         return localStorage.remove(AUTH_TOKEN);
     };
 
+    logout = async () => {
+        // Revoke the session on the server, so the tokens cannot be used anymore. Local tokens
+        // are removed even if that fails.
+        await this.props.client.mutate({ mutation: logoutUser }).catch(() => null);
+        this.clearTokens();
+    };
+
+    logoutEverywhere = async () => {
+        const res = await this.props.client.mutate({ mutation: logoutEverywhere });
+        const { error } = res.data.security.logoutEverywhere;
+        if (error) {
+            return this.props.showSnackbar(error.message);
+        }
+
+        this.clearTokens();
+    };
+
     renderAuthenticated = (content: React.Node) => {
         if (!this.state.user) {
             return null;
         }
 
+        // User's group requires 2FA, which must be set up on the account page before doing anything else.
+        if (this.state.user.twoFactorSetupRequired && this.props.location.pathname !== "/account") {
+            return <Redirect to="/account" />;
+        }
+
         return (
-            <SecurityProvider value={{ user: this.state.user, logout: this.logout }}>
+            <SecurityProvider
+                value={{
+                    user: this.state.user,
+                    logout: this.logout,
+                    logoutEverywhere: this.logoutEverywhere,
+                    onToken: this.onToken
+                }}
+            >
                 {content}
             </SecurityProvider>
         );
@@ -1,40 +1,126 @@
 // @flow
-import { ApolloLink, Observable } from "apollo-link";
+import { ApolloLink, Observable, createOperation } from "apollo-link";
+import { get } from "lodash";
 import localStorage from "store";
+import { refreshToken as refreshTokenMutation } from "./graphql";
+
+type AuthLinkOptions = {
+    token?: string,
+    refreshToken?: string
+};
+
+const getErrorCodes = (data: Object): Array<string> => {
+    return (data.errors || []).map(error => error.code || get(error, "extensions.code"));
+};
+
+export default ({
+    token = "webiny-token",
+    refreshToken = "webiny-refresh-token"
+}: AuthLinkOptions = {}) => {
+    // Shared by all operations that fail at the same time, so the token is refreshed only once.
+    let refreshing: ?Promise<?string> = null;
+
+    const refresh = (forward: Function): Promise<?string> => {
+        if (refreshing) {
+            return refreshing;
+        }
+
+        refreshing = new Promise(resolve => {
+            const operation = createOperation(
+                {},
+                {
+                    query: refreshTokenMutation,
+                    variables: { refreshToken: localStorage.get(refreshToken) },
+                    operationName: "RefreshToken",
+                    extensions: {}
+                }
+            );
+
+            forward(operation).subscribe({
+                next: ({ data }) => {
+                    const response = get(data, "security.refreshToken.data");
+                    if (!response) {
+                        return resolve(null);
+                    }
+
+                    localStorage.set(refreshToken, response.refreshToken);
+                    localStorage.set(token, response.token);
+                    resolve(response.token);
+                },
+                error: () => resolve(null),
+                complete: () => resolve(null)
+            });
+        }).then(value => {
+            refreshing = null;
+            return value;
+        });
+
+        return refreshing;
+    };
 
-export default ({ token = "webiny-token" }: { token: string } = {}) => {
     return new ApolloLink((operation, forward) => {
-        const tokenValue = localStorage.get(token);
-        if (tokenValue) {
+        const setAuthorization = (value: string) => {
             operation.setContext({
                 headers: {
-                    Authorization: tokenValue
+                    Authorization: value
                 }
             });
-        }
+        };
 
-        const observable = forward(operation);
+        const tokenValue = localStorage.get(token);
+        if (tokenValue) {
+            setAuthorization(tokenValue);
+        }
 
-        const unsetTokenCodes = ["TOKEN_EXPIRED", "TOKEN_INVALID"];
+        const unsetTokenCodes = ["TOKEN_EXPIRED", "TOKEN_INVALID", "TOKEN_REVOKED"];
 
         return new Observable(observer => {
-            const subscription = observable.subscribe({
-                next: data => {
-                    if (data.errors) {
-                        data.errors.forEach(error => {
-                            if (unsetTokenCodes.includes(error.code)) {
+            let subscription = null;
+
+            const execute = (retried: boolean) => {
+                let retrying = false;
+                subscription = forward(operation).subscribe({
+                    next: data => {
+                        const codes = getErrorCodes(data);
+
+                        // Access token has expired - get a new one using the refresh token and retry the operation.
+                        if (
+                            !retried &&
+                            codes.includes("TOKEN_EXPIRED") &&
+                            localStorage.get(refreshToken)
+                        ) {
+                            retrying = true;
+                            refresh(forward).then(newToken => {
+                                if (newToken) {
+                                    setAuthorization(newToken);
+                                    return execute(true);
+                                }
+
+                                localStorage.remove(refreshToken);
                                 localStorage.remove(token);
-                            }
-                        });
+                                observer.next(data);
+                                observer.complete();
+                            });
+                            return;
+                        }
+
+                        if (codes.some(code => unsetTokenCodes.includes(code))) {
+                            localStorage.remove(refreshToken);
+                            localStorage.remove(token);
+                        }
+                        observer.next(data);
+                    },
+                    error: observer.error.bind(observer),
+                    complete: () => {
+                        !retrying && observer.complete();
                     }
-                    return observer.next.bind(observer)(data);
-                },
-                error: observer.error.bind(observer),
-                complete: observer.complete.bind(observer)
-            });
+                });
+            };
+
+            execute(false);
 
             return () => {
-                subscription.unsubscribe();
+                subscription && subscription.unsubscribe();
             };
         });
     });
@@ -9,6 +9,7 @@ export const getCurrentUser = gql`
                     id
                     email
                     fullName
+                    twoFactorSetupRequired
                     access {
                         scopes
                         roles
@@ -33,6 +34,7 @@ export const loginUsingToken = gql`
             loginUsingToken(token: $token) {
                 data {
                     token
+                    refreshToken
                 }
                 error {
                     code
@@ -42,3 +44,58 @@ export const loginUsingToken = gql`
         }
     }
 `;
+
+export const refreshToken = gql`
+    mutation RefreshToken($refreshToken: String!) {
+        security {
+            refreshToken(refreshToken: $refreshToken) {
+                data {
+                    token
+                    refreshToken
+                }
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const logoutUser = gql`
+    mutation LogoutUser {
+        security {
+            logoutUser {
+                data
+            }
+        }
+    }
+`;
+
+export const logoutEverywhere = gql`
+    mutation LogoutEverywhere {
+        security {
+            logoutEverywhere {
+                data
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
+
+export const verifyEmail = gql`
+    mutation VerifyEmail($token: String!) {
+        security {
+            verifyEmail(token: $token) {
+                data
+                error {
+                    code
+                    message
+                }
+            }
+        }
+    }
+`;
@@ -5,7 +5,9 @@ import { SecurityConsumer } from "./Security";
 export type WithSecurityPropsType = {
     security: {
         user: Object,
-        logout: Function
+        logout: Function,
+        logoutEverywhere: Function,
+        onToken: (token: string, refreshToken: ?string) => Promise<void>
     }
 };
 
@@ -1,7 +1,7 @@
 // @flow
-import { I18n, defaultProcessor } from "webiny-i18n";
+import { I18n, defaultProcessor, icuProcessor } from "webiny-i18n";
 import reactProcessor from "webiny-i18n-react";
 
 const i18n = new I18n();
-i18n.registerProcessors([defaultProcessor, reactProcessor]);
+i18n.registerProcessors([defaultProcessor, reactProcessor, icuProcessor]);
 export default i18n;
@@ -6,8 +6,9 @@ import type { ImageComponentPluginType } from "webiny-app/types";
 const SUPPORTED_IMAGE_RESIZE_WIDTHS = [100, 300, 500, 750, 1000, 1500, 2500];
 
 /**
- * Width of the image should not be just any random number. For optimization reasons,
- * we only allow the ones listed in SUPPORTED_IMAGE_RESIZE_WIDTHS list (Webiny Cloud supports only these).
+ * Width (and height) of the image should not be just any random number. For optimization reasons,
+ * we only allow the ones listed in SUPPORTED_IMAGE_RESIZE_WIDTHS list (Webiny Cloud and the
+ * self-hosted "webiny-image-transform" file handler support only these).
  */
 const getSupportedImageResizeWidth = width => {
     let output = SUPPORTED_IMAGE_RESIZE_WIDTHS[0];
@@ -33,8 +34,22 @@ const getSupportedImageResizeWidth = width => {
     return output;
 };
 
+const SUPPORTED_IMAGE_FITS = ["cover", "contain", "fill", "inside", "outside"];
+const SUPPORTED_IMAGE_POSITIONS = [
+    "center",
+    "top",
+    "right",
+    "bottom",
+    "left",
+    "entropy",
+    "attention"
+];
+const SUPPORTED_IMAGE_FORMATS = ["auto", "jpeg", "png", "webp"];
+const SUPPORTED_IMAGE_QUALITIES = [50, 60, 70, 80, 90, 100];
+
 /**
- * Currently we only allow "width" as a transform option.
+ * Allowed transform options are "width", "height", "fit", "position", "format" and "quality".
+ * These are supported both by Webiny Cloud and the self-hosted "webiny-image-transform" file handler.
  * @param args
  */
 const sanitizeTransformArgs = (args: ?Object): Object => {
@@ -44,6 +59,28 @@ const sanitizeTransformArgs = (args: ?Object): Object => {
         if (width > 0) {
             output.width = getSupportedImageResizeWidth(width);
         }
+
+        let height = parseInt(args.height);
+        if (height > 0) {
+            output.height = getSupportedImageResizeWidth(height);
+        }
+
+        if (SUPPORTED_IMAGE_FITS.includes(args.fit)) {
+            output.fit = args.fit;
+        }
+
+        if (SUPPORTED_IMAGE_POSITIONS.includes(args.position)) {
+            output.position = args.position;
+        }
+
+        if (SUPPORTED_IMAGE_FORMATS.includes(args.format)) {
+            output.format = args.format;
+        }
+
+        let quality = parseInt(args.quality);
+        if (SUPPORTED_IMAGE_QUALITIES.includes(quality)) {
+            output.quality = quality;
+        }
     }
 
     return output;
@@ -99,5 +99,52 @@ yargs.command(
     }
 );
 
+yargs.command(
+    "i18n-export",
+    "Extract texts from all packages and export them as a translation catalog",
+    yargs => {
+        yargs.option("locale", {
+            describe: "Target locale of the catalog (eg. de-DE).",
+            demandOption: true
+        });
+
+        yargs.option("format", {
+            describe: "Catalog format.",
+            choices: ["xliff", "po", "json"],
+            default: "xliff"
+        });
+
+        yargs.option("output", {
+            describe: "Folder in which the catalog will be stored.",
+            default: "translations"
+        });
+    },
+    async argv => {
+        await require("./i18n/export").default(argv);
+    }
+);
+
+yargs.command(
+    "i18n-import <file>",
+    "Import a translated catalog and report missing, stale and new texts",
+    yargs => {
+        yargs.positional("file", {
+            describe: "Path to the catalog (.xlf, .po or .json)."
+        });
+
+        yargs.option("locale", {
+            describe: "Locale of the translations (defaults to the catalog's target locale)."
+        });
+
+        yargs.option("output", {
+            describe: "Folder in which the translations (key => text JSON) will be stored.",
+            default: "translations/compiled"
+        });
+    },
+    async argv => {
+        await require("./i18n/import").default(argv);
+    }
+);
+
 // Run
 yargs.argv;
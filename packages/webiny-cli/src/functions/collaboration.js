@@ -0,0 +1,235 @@
+/* eslint-disable */
+const WebSocket = require("ws");
+const uniqid = require("uniqid");
+const jwt = require("jsonwebtoken");
+
+const COLORS = ["#fa5723", "#00ccb0", "#7b4ee0", "#e0b200", "#2e89d9", "#d9308c", "#43a047"];
+
+// Max number of operations in a single message.
+const MAX_OPERATIONS = 500;
+
+const isId = value => typeof value === "string" && value.length > 0 && value.length <= 100;
+
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isElement = element => {
+    return (
+        isObject(element) &&
+        isId(element.id) &&
+        typeof element.type === "string" &&
+        (typeof element.elements === "undefined" ||
+            (Array.isArray(element.elements) && element.elements.every(isElement)))
+    );
+};
+
+/**
+ * Operation rules must stay in sync with the editor (see "webiny-app-cms/editor/collaboration/operations").
+ */
+const isOperation = operation => {
+    if (!isObject(operation)) {
+        return false;
+    }
+
+    const isPosition = isId(operation.parent) && (operation.after == null || isId(operation.after));
+
+    switch (operation.type) {
+        case "insert":
+            return isPosition && isElement(operation.element);
+        case "move":
+            return isPosition && isId(operation.id);
+        case "update":
+            return (
+                isId(operation.id) &&
+                isObject(operation.data) &&
+                operation.data.id === operation.id &&
+                typeof operation.data.type === "string" &&
+                typeof operation.data.elements === "undefined"
+            );
+        case "remove":
+            return isId(operation.id);
+        default:
+            return false;
+    }
+};
+
+/**
+ * Returns the user the given access token (same as used for the API) was issued to, if the user can edit pages.
+ * The stand-in has no access to the database, so revoked sessions are not checked - access tokens are short-lived.
+ */
+const authenticate = token => {
+    const secret = process.env.WEBINY_JWT_SECRET;
+    if (!secret || typeof token !== "string") {
+        return null;
+    }
+
+    let data;
+    try {
+        data = jwt.verify(token.replace(/[b|B]earer\s/, ""), secret).data;
+    } catch (e) {
+        return null;
+    }
+
+    if (!data || data.type !== "user" || !data.access) {
+        return null;
+    }
+
+    const { fullAccess, scopes = [] } = data.access;
+    return fullAccess || scopes.includes("cms:page:crud") ? data : null;
+};
+
+/**
+ * A local stand-in for the real-time collaboration service, used by the CMS page editor. Editors connected to the
+ * same revision form a room - the server tracks who is present, which element each of them has locked, and relays
+ * content operations in a single order to everyone in the room (the sender included, as a confirmation).
+ * Editors must join using their access token, and only well-formed operations are relayed.
+ */
+module.exports = server => {
+    const wss = new WebSocket.Server({ server, path: "/collaboration" });
+    const rooms = {};
+
+    const send = (socket, message) => {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    };
+
+    const broadcast = (room, message) => {
+        room.clients.forEach(client => send(client.socket, message));
+    };
+
+    const broadcastPresence = room => {
+        broadcast(room, {
+            type: "presence",
+            users: room.clients.map(({ id, user, color }) => ({ id, user, color }))
+        });
+    };
+
+    const broadcastLocks = room => {
+        const locks = {};
+        room.clients.forEach(client => {
+            if (client.lock) {
+                locks[client.lock] = client.id;
+            }
+        });
+        broadcast(room, { type: "locks", locks });
+    };
+
+    const leave = client => {
+        const room = client.room;
+        if (!room) {
+            return;
+        }
+
+        client.room = null;
+        client.lock = null;
+        room.clients = room.clients.filter(item => item !== client);
+        if (!room.clients.length) {
+            delete rooms[room.revision];
+            return;
+        }
+
+        broadcastPresence(room);
+        broadcastLocks(room);
+    };
+
+    const join = (client, { revision, token, user, session, seq }) => {
+        leave(client);
+
+        const identity = authenticate(token);
+        if (!identity || !isId(revision)) {
+            send(client.socket, { type: "error", code: "UNAUTHORIZED" });
+            return client.socket.close();
+        }
+
+        if (!rooms[revision]) {
+            rooms[revision] = { revision, session: uniqid(), clients: [], operations: [] };
+        }
+
+        const room = rooms[revision];
+        const colors = room.clients.map(item => item.color);
+        client.room = room;
+        // User ID is taken from the token, the name is only displayed to other editors.
+        const name = user && typeof user.name === "string" ? user.name.substr(0, 100) : null;
+        client.user = { id: identity.id, name };
+        client.color = COLORS.find(color => !colors.includes(color)) || COLORS[0];
+        room.clients.push(client);
+
+        send(client.socket, { type: "welcome", id: client.id, session: room.session });
+
+        // A reconnecting editor receives the operations it missed while it was disconnected.
+        if (session === room.session && typeof seq === "number") {
+            room.operations
+                .filter(operation => operation.seq > seq)
+                .forEach(operation => send(client.socket, operation));
+        }
+
+        broadcastPresence(room);
+        broadcastLocks(room);
+    };
+
+    // Locks are "soft" - an element that is already locked by another editor cannot be locked, but can be edited.
+    const lock = (client, element) => {
+        const room = client.room;
+        if (!room || (element != null && !isId(element))) {
+            return;
+        }
+
+        const owner = element && room.clients.find(item => item.lock === element);
+        if (owner && owner !== client) {
+            return broadcastLocks(room);
+        }
+
+        client.lock = element || null;
+        broadcastLocks(room);
+    };
+
+    const relay = (client, { id, operations }) => {
+        const room = client.room;
+        if (
+            !room ||
+            !Array.isArray(operations) ||
+            operations.length > MAX_OPERATIONS ||
+            !operations.every(isOperation)
+        ) {
+            return;
+        }
+
+        const message = {
+            type: "operations",
+            seq: room.operations.length + 1,
+            from: client.id,
+            id,
+            operations
+        };
+        room.operations.push(message);
+        broadcast(room, message);
+    };
+
+    wss.on("connection", socket => {
+        const client = { id: uniqid(), socket, room: null, user: null, color: null, lock: null };
+
+        socket.on("message", data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (e) {
+                return;
+            }
+
+            switch (message.type) {
+                case "join":
+                    return join(client, message);
+                case "leave":
+                    return leave(client);
+                case "lock":
+                    return lock(client, message.element);
+                case "operations":
+                    return relay(client, message);
+            }
+        });
+
+        socket.on("close", () => leave(client));
+    });
+
+    return wss;
+};
@@ -1,45 +1,17 @@
-import fs from "fs-extra";
-import sharp from "sharp";
-import mime from "mime-types";
 import path from "path";
+import { createHandler } from "webiny-image-transform";
+import storage from "./storage";
 
 const UPLOADS_FOLDER = process.env.UPLOADS_FOLDER || ".files";
 
-export const handler = async ({ pathParameters, queryStringParameters }) => {
-    const { key } = pathParameters;
-    const type = mime.lookup(key);
-
-    try {
-        const folder = path.resolve(UPLOADS_FOLDER);
-
-        let buffer = await fs.readFile(path.join(folder, "/", key));
-        if (queryStringParameters) {
-            // If an image was requested, we can apply additional image processing.
-            const { width, height } = queryStringParameters;
-            if (width || height) {
-                const supportedImageTypes = ["image/jpg", "image/jpeg", "image/png"];
-                if (supportedImageTypes.includes(type)) {
-                    buffer = await sharp(buffer)
-                        .resize({ width: parseInt(width), height: parseInt(height) })
-                        .toBuffer();
-                }
-            }
+// Images are transformed using query params (eg. "?width=300&format=auto"), same as in production.
+export const handler = createHandler({
+    readFile: async key => {
+        const file = await storage.get(key);
+        if (!file) {
+            throw Error(`File "${key}" not found.`);
         }
-
-        return {
-            statusCode: 200,
-            headers: {
-                "Access-Control-Allow-Origin": "*",
-                "Content-Type": type
-            },
-            body: buffer
-        };
-    } catch (e) {
-        return {
-            statusCode: 404,
-            headers: {
-                "Access-Control-Allow-Origin": "*"
-            }
-        };
-    }
-};
+        return file.body;
+    },
+    cacheFolder: path.join(UPLOADS_FOLDER, ".cache")
+});
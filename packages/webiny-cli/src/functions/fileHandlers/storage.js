@@ -0,0 +1,4 @@
+import { storageFromEnv } from "webiny-api-files/plugins/storage";
+
+// Same storage as used by the API (see FILES_STORAGE and related environment variables).
+export default storageFromEnv();
@@ -1,38 +1,42 @@
-import fs from "fs-extra";
 import Busboy from "busboy";
-import path from "path";
-
-const UPLOADS_FOLDER = process.env.UPLOADS_FOLDER || ".files";
+import storage from "./storage";
 
 const save = ({ headers }, req) => {
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
         const busboy = new Busboy({ headers });
 
-        let key = "";
+        const fields = {};
+        const chunks = [];
         busboy.on("field", (fieldName, value) => {
-            if (fieldName === "key") {
-                key = value;
-            }
+            fields[fieldName] = value;
         });
 
         busboy.on("file", (name, file) => {
-            const folder = path.resolve(UPLOADS_FOLDER);
-            if (fs.existsSync(folder) === false) {
-                fs.mkdirSync(folder);
-            }
+            file.on("data", chunk => chunks.push(chunk));
+        });
 
-            const writerStream = fs.createWriteStream(path.join(folder, "/", key), {
-                encoding: "utf8"
-            });
-            file.pipe(writerStream);
+        busboy.on("finish", () => {
+            storage
+                .put(fields.key, Buffer.concat(chunks), { contentType: fields["Content-Type"] })
+                .then(resolve)
+                .catch(reject);
         });
-        busboy.on("finish", resolve);
         req.pipe(busboy);
     });
 };
 
 export const handler = async (event, { req }) => {
-    await save(event, req);
+    try {
+        await save(event, req);
+    } catch (e) {
+        return {
+            statusCode: 400,
+            headers: {
+                "Access-Control-Allow-Origin": "*"
+            },
+            body: e.message
+        };
+    }
 
     return {
         statusCode: 204,
@@ -2,6 +2,7 @@
 import uniqueId from "uniqid";
 import mime from "mime-types";
 import sanitizeFilename from "sanitize-filename";
+import storage from "./storage";
 
 const respond = body => {
     return {
@@ -56,23 +57,20 @@ export const handler = async (event: Object) => {
     // Replace all whitespace.
     key = key.replace(/\s/g, "");
 
+    // With the S3 storage, files are uploaded directly into the bucket, using a presigned POST.
+    const upload = await storage.signedUrl(key, { method: "POST", contentType, size });
+
     return respond({
         code: "FILE_UPLOAD_SUCCESS",
         data: {
             file: {
                 name: key,
+                key,
                 src: "/files/" + key,
                 type: contentType,
                 size
             },
-            s3: {
-                url: "/files/upload",
-                fields: {
-                    "Content-Length": size,
-                    "Content-Type": contentType,
-                    key
-                }
-            }
+            s3: upload
         }
     });
 };
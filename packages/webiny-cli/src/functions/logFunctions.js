@@ -17,6 +17,9 @@ module.exports = async (functions = null) => {
                 chalk.cyan(`[${fn.method.toUpperCase()}] ${fn.path}`) +
                 ` ${chalk.grey(fn.root)}`
         );
+        Object.keys(fn.jobs || {}).forEach(name => {
+            console.log(`   - ${name} ` + chalk.cyan(`[${fn.jobs[name].schedule}]`));
+        });
     });
     console.log(chalk.cyan(`===============================================`));
 };
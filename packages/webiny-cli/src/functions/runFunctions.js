@@ -1,19 +1,36 @@
+/* eslint-disable */
 const chalk = require("chalk");
 const { argv } = require("yargs");
 const getConfig = require("../utils/getConfig");
 const appFactory = require("./appFactory");
+const collaboration = require("./collaboration");
+const runJobs = require("./runJobs");
+const { validateJobs } = require("./runJobs");
+const listPackages = require("../utils/listPackages");
 
 (async () => {
     const { config } = await getConfig();
 
+    const functions = await listPackages("function");
+    try {
+        validateJobs(functions);
+    } catch (e) {
+        console.log(chalk.red(e.message));
+        process.exit(1);
+    }
+
     const app = await appFactory(config);
 
     const port = argv.port || 9000;
-    app.listen(port, () => {
+    const server = app.listen(port, () => {
         console.log(
             `${chalk.cyan(`🚀 Functions running on port ${port}...`)} ${chalk.grey(
                 "(Hit Ctrl+C to abort)"
             )}`
         );
     });
+
+    collaboration(server);
+
+    await runJobs(functions, config);
 })();
@@ -0,0 +1,89 @@
+/* eslint-disable */
+const path = require("path");
+const chalk = require("chalk");
+const get = require("lodash.get");
+
+const UNITS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Converts a "rate(value unit)" schedule expression (as used by AWS CloudWatch Events) into milliseconds.
+ * Eg. "rate(1 minute)", "rate(5 minutes)", "rate(2 hours)".
+ */
+const parseRate = expression => {
+    const match = /^rate\((\d+)\s+(minute|hour|day)s?\)$/.exec(String(expression).trim());
+    if (!match) {
+        throw Error(`Invalid schedule expression "${expression}".`);
+    }
+
+    return parseInt(match[1]) * UNITS[match[2]];
+};
+
+/**
+ * Checks schedule expressions of all jobs, so invalid ones are reported before anything is started.
+ */
+const validateJobs = functions => {
+    functions.forEach(fn => {
+        const jobs = fn.jobs || {};
+        Object.keys(jobs).forEach(name => {
+            try {
+                parseRate(jobs[name].schedule);
+            } catch (e) {
+                throw Error(`Job "${name}" of function "${fn.name}": ${e.message}`);
+            }
+        });
+    });
+};
+
+const runJob = async ({ fn, name, job, config }) => {
+    const env = get(config, `functions.${fn.package.name}.env`, {});
+    Object.keys(env).forEach(key => {
+        process.env[key] = env[key];
+    });
+
+    try {
+        const { handler } = require(path.join(fn.root, job.handler));
+        const result = await handler(
+            { source: "webiny.scheduler", job: name, time: new Date().toISOString() },
+            {}
+        );
+        console.log(`${chalk.cyan(`[${name}]`)} ${chalk.grey(JSON.stringify(result || null))}`);
+    } catch (e) {
+        console.log(`${chalk.red(`[${name}]`)} ${e.message}`);
+    }
+};
+
+/**
+ * Periodically runs jobs defined in the `jobs` section of functions in "webiny.config.js".
+ */
+module.exports = async (functions, config) => {
+    functions.forEach(fn => {
+        const jobs = fn.jobs || {};
+        Object.keys(jobs).forEach(name => {
+            const job = jobs[name];
+            const interval = parseRate(job.schedule);
+
+            // Make sure the same job is never executed in parallel.
+            let running = false;
+            setInterval(async () => {
+                if (running) {
+                    return;
+                }
+                running = true;
+                await runJob({ fn, name, job, config });
+                running = false;
+            }, interval);
+
+            console.log(
+                `${chalk.cyan(`⏱  Job "${name}" scheduled`)} ${chalk.grey(
+                    `${job.schedule} ${path.join(fn.root, job.handler)}`
+                )}`
+            );
+        });
+    });
+};
+
+module.exports.validateJobs = validateJobs;
@@ -0,0 +1,55 @@
+import path from "path";
+import fs from "fs-extra";
+import { createCatalog, getCatalogReport, getFormat } from "webiny-i18n/catalog";
+import createLogger from "../logger";
+import extractSource from "./extractSource";
+
+const logger = createLogger();
+
+/**
+ * Loads existing translations from a previously exported catalog, so that translators don't have to
+ * translate the same texts again.
+ */
+const loadTranslations = async (file, format) => {
+    if (!(await fs.pathExists(file))) {
+        return null;
+    }
+
+    const translations = {};
+    format.parse(await fs.readFile(file, "utf8")).entries.forEach(({ key, target }) => {
+        if (target) {
+            translations[key] = target;
+        }
+    });
+
+    return translations;
+};
+
+export default async ({ format: name, locale, output }) => {
+    let format;
+    try {
+        format = getFormat(name);
+    } catch (e) {
+        logger.error(e.message);
+        process.exit(1);
+    }
+
+    const source = extractSource();
+    const file = path.resolve(output, `${locale}.${format.extension}`);
+    const translations = await loadTranslations(file, format);
+
+    if (translations) {
+        const report = getCatalogReport(createCatalog({ source, translations }), source);
+        logger.info("Merging with existing catalog %s.", path.relative(process.cwd(), file));
+        logger.info("%s text(s) still need to be translated.", report.missing.length);
+    }
+
+    const catalog = createCatalog({ source, translations, targetLocale: locale });
+    await fs.outputFile(file, format.serialize(catalog));
+
+    logger.success(
+        "Exported %s text(s) to %s.",
+        catalog.entries.length,
+        path.relative(process.cwd(), file)
+    );
+};
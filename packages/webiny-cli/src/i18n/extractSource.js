@@ -0,0 +1,19 @@
+import path from "path";
+import getWorkspaces from "get-yarn-workspaces";
+import Extractor from "webiny-i18n/extractor";
+
+/**
+ * Extracts texts from the source code of all packages in the project.
+ * Returns an object with translation keys as keys and texts as values.
+ */
+export default () => {
+    const source = {};
+    getWorkspaces(process.cwd()).forEach(folder => {
+        const extractor = new Extractor().setGlob(
+            path.join(folder, "src", "**", "*.js").replace(/\\/g, "/")
+        );
+        Object.assign(source, extractor.execute());
+    });
+
+    return source;
+};
@@ -0,0 +1,44 @@
+import path from "path";
+import fs from "fs-extra";
+import { I18n } from "webiny-i18n";
+import { getFormat, importCatalog } from "webiny-i18n/catalog";
+import createLogger from "../logger";
+import extractSource from "./extractSource";
+
+const logger = createLogger();
+
+const printKeys = (title, keys) => {
+    if (!keys.length) {
+        return;
+    }
+
+    logger.info(`${title} (%s):`, keys.length);
+    keys.forEach(key => logger.log(key));
+};
+
+export default async ({ file, locale, output }) => {
+    let catalog;
+    try {
+        const format = getFormat(path.extname(file).substr(1));
+        catalog = format.parse(await fs.readFile(file, "utf8"));
+    } catch (e) {
+        logger.error("Could not load %s: %s", file, e.message);
+        process.exit(1);
+    }
+
+    const i18n = new I18n();
+    const report = importCatalog(i18n, catalog, extractSource());
+
+    printKeys("Missing translations", report.missing);
+    printKeys("Stale translations (texts no longer exist)", report.stale);
+    printKeys("New texts (not in the catalog)", report.new);
+
+    const target = path.resolve(output, `${locale || catalog.targetLocale || "translations"}.json`);
+    await fs.outputFile(target, JSON.stringify(i18n.getTranslations(), null, 2) + "\n");
+
+    logger.success(
+        "Imported %s translation(s) to %s.",
+        Object.keys(i18n.getTranslations()).length,
+        path.relative(process.cwd(), target)
+    );
+};
@@ -1,10 +1,12 @@
 // @flow
 import addDays from "date-fns/add_days";
+import addMinutes from "date-fns/add_minutes";
 import MongoDbDriver from "webiny-entity-mongodb";
 import { MongoClient } from "mongodb";
 
 // Configure default storage
 
+let client = null;
 let database = null;
 function init() {
     if (database && database.serverConfig.isConnected()) {
@@ -13,7 +15,8 @@ function init() {
 
     const server = process.env.MONGODB_SERVER;
     const databaseName = process.env.MONGODB_DB_NAME;
-    return MongoClient.connect(server, { useNewUrlParser: true }).then(client => {
+    return MongoClient.connect(server, { useNewUrlParser: true }).then(connected => {
+        client = connected;
         return client.db(databaseName);
     });
 }
@@ -26,8 +29,8 @@ export default async () => {
             mongodb: database
         },
         entity: {
-            // Instantiate entity driver with DB connection
-            driver: new MongoDbDriver({ database }),
+            // Instantiate entity driver with DB connection, sessions for transactions are started on the client
+            driver: new MongoDbDriver({ database, client }),
             crud: {
                 logs: true,
                 read: {
@@ -40,8 +43,13 @@ export default async () => {
         },
         security: {
             enabled: true,
+            adminUrl: process.env.WEBINY_ADMIN_URL,
             token: {
                 secret: process.env.WEBINY_JWT_SECRET,
+                // Access tokens are short-lived and get refreshed using the refresh token.
+                expiresOn: () => addMinutes(new Date(), 15)
+            },
+            refreshToken: {
                 expiresOn: () => addDays(new Date(), 30)
             }
         }
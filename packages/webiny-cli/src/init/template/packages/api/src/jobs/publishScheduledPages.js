@@ -0,0 +1,13 @@
+// @flow
+import "source-map-support/register";
+import dotenv from "dotenv";
+import { registerPlugins } from "webiny-plugins";
+import { createJobHandler } from "webiny-api";
+import { publishScheduledPages } from "webiny-api-cms/jobs";
+import config from "../configs";
+import plugins from "../plugins";
+
+dotenv.config();
+
+registerPlugins(plugins);
+export const handler = createJobHandler(config, publishScheduledPages);
@@ -5,7 +5,11 @@ module.exports = req => {
         resource: req.path,
         httpMethod: req.method,
         queryStringParameters: req.query,
-        pathParameters: req.params
+        pathParameters: req.params,
+        // Same as API Gateway, source IP is the address of the connected socket, not a (client-controlled) header.
+        requestContext: {
+            identity: { sourceIp: req.socket.remoteAddress }
+        }
     };
 
     if (event.headers["content-type"] === "application/json") {
@@ -0,0 +1,8 @@
+import MemoryDriver from "./../..";
+import { Entity as BaseEntity } from "webiny-entity";
+
+class Entity extends BaseEntity {}
+
+Entity.driver = new MemoryDriver();
+
+export default Entity;
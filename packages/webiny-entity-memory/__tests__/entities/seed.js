@@ -0,0 +1,21 @@
+import SimpleEntity from "./simpleEntity";
+
+export default async () => {
+    SimpleEntity.getDriver().flush();
+    SimpleEntity.getEntityPool().flush();
+
+    const data = [
+        { name: "Home page", age: 30, tags: ["a", "b"], settings: { layout: "static" } },
+        { name: "Blog", age: 25, tags: ["b"], settings: { layout: "blog" }, enabled: false },
+        { name: "About us", age: 40, tags: [], settings: { layout: "static" } },
+        { name: "Contact", age: 35, createdOn: new Date("2019-01-01") }
+    ];
+
+    for (let i = 0; i < data.length; i++) {
+        const entity = new SimpleEntity();
+        entity.populate(data[i]);
+        await entity.save();
+    }
+
+    SimpleEntity.getEntityPool().flush();
+};
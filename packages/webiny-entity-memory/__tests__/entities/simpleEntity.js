@@ -0,0 +1,23 @@
+import _ from "lodash";
+import Entity from "./entity";
+
+class SimpleEntity extends Entity {
+    constructor() {
+        super();
+        this.attr("name").char();
+        this.attr("slug").char();
+        this.attr("age").integer();
+        this.attr("createdOn").date();
+        this.attr("enabled")
+            .boolean()
+            .setDefaultValue(true);
+        this.attr("tags").array();
+        this.attr("settings").object();
+        this.on("beforeSave", () => {
+            this.slug = _.camelCase(this.name);
+        });
+    }
+}
+
+SimpleEntity.classId = "SimpleEntity";
+export default SimpleEntity;
@@ -0,0 +1,152 @@
+import { assert } from "chai";
+import SimpleEntity from "./entities/simpleEntity";
+import seed from "./entities/seed";
+
+const names = entities => [...entities].map(entity => entity.name);
+
+describe("find test", function() {
+    beforeEach(seed);
+
+    it("should find all entities and total count", async () => {
+        const entities = await SimpleEntity.find();
+        assert.lengthOf(entities, 4);
+        assert.equal(entities.getMeta().totalCount, 4);
+        assert.isFalse(entities[1].enabled);
+        assert.deepEqual(entities[0].tags, ["a", "b"]);
+    });
+
+    it("must apply sort, page and perPage parameters", async () => {
+        const entities = await SimpleEntity.find({ sort: { age: -1 }, page: 2, perPage: 2 });
+        assert.deepEqual(names(entities), ["Home page", "Blog"]);
+
+        const meta = entities.getMeta();
+        assert.equal(meta.totalCount, 4);
+        assert.equal(meta.totalPages, 2);
+        assert.equal(meta.from, 3);
+    });
+
+    it("must sort by multiple and missing fields", async () => {
+        const entities = await SimpleEntity.find({ sort: { createdOn: -1, name: 1 } });
+        assert.deepEqual(names(entities), ["Contact", "About us", "Blog", "Home page"]);
+    });
+
+    it("must support comparison operators", async () => {
+        assert.deepEqual(names(await SimpleEntity.find({ query: { age: { $gt: 30 } } })), [
+            "About us",
+            "Contact"
+        ]);
+
+        assert.deepEqual(
+            names(await SimpleEntity.find({ query: { age: { $gte: 30, $lt: 40 } } })),
+            ["Home page", "Contact"]
+        );
+
+        assert.deepEqual(
+            names(await SimpleEntity.find({ query: { createdOn: { $lte: new Date() } } })),
+            ["Contact"]
+        );
+
+        assert.deepEqual(names(await SimpleEntity.find({ query: { enabled: { $ne: true } } })), [
+            "Blog"
+        ]);
+    });
+
+    it("must support $in, $nin and array fields", async () => {
+        assert.deepEqual(names(await SimpleEntity.find({ query: { tags: "b" } })), [
+            "Home page",
+            "Blog"
+        ]);
+
+        assert.deepEqual(names(await SimpleEntity.find({ query: { tags: { $in: ["a"] } } })), [
+            "Home page"
+        ]);
+
+        assert.deepEqual(
+            names(await SimpleEntity.find({ query: { name: { $nin: ["Blog", "Contact"] } } })),
+            ["Home page", "About us"]
+        );
+
+        assert.deepEqual(
+            names(await SimpleEntity.find({ query: { tags: { $all: ["a", "b"] } } })),
+            ["Home page"]
+        );
+    });
+
+    it("must support nested fields, $exists, $and and $or", async () => {
+        assert.deepEqual(
+            names(await SimpleEntity.find({ query: { "settings.layout": "static" } })),
+            ["Home page", "About us"]
+        );
+
+        assert.deepEqual(
+            names(await SimpleEntity.find({ query: { createdOn: { $exists: true } } })),
+            ["Contact"]
+        );
+
+        assert.deepEqual(
+            names(
+                await SimpleEntity.find({
+                    query: {
+                        $or: [{ age: 25 }, { $and: [{ age: { $gt: 30 } }, { tags: [] }] }]
+                    }
+                })
+            ),
+            ["Blog", "About us"]
+        );
+    });
+
+    it("must support $regex", async () => {
+        assert.deepEqual(
+            names(await SimpleEntity.find({ query: { name: { $regex: "^b", $options: "i" } } })),
+            ["Blog"]
+        );
+
+        assert.deepEqual(names(await SimpleEntity.find({ query: { name: /us$/ } })), ["About us"]);
+    });
+
+    it("must search entities", async () => {
+        assert.deepEqual(
+            names(await SimpleEntity.find({ search: { query: "o", fields: ["name", "slug"] } })),
+            ["Home page", "Blog", "About us", "Contact"]
+        );
+
+        assert.deepEqual(
+            names(
+                await SimpleEntity.find({
+                    search: { query: "page", fields: ["name", "slug"], operator: "and" },
+                    query: { enabled: true }
+                })
+            ),
+            ["Home page"]
+        );
+    });
+
+    it("findOne and count must respect query and sort", async () => {
+        const entity = await SimpleEntity.findOne({ query: { enabled: true }, sort: { age: -1 } });
+        assert.equal(entity.name, "About us");
+
+        assert.equal(await SimpleEntity.count({ query: { "settings.layout": "static" } }), 2);
+        assert.isNull(await SimpleEntity.findOne({ query: { name: "Missing" } }));
+    });
+
+    it("must throw an error on unsupported operators and aggregations", async () => {
+        let error = null;
+        try {
+            await SimpleEntity.find({ query: { age: { $where: "x" } } });
+        } catch (e) {
+            error = e;
+        }
+        assert.equal(
+            error.message,
+            'Query operator "$where" is not supported by the memory driver.'
+        );
+
+        error = null;
+        try {
+            await SimpleEntity.find({ aggregation: [] });
+        } catch (e) {
+            error = e;
+        }
+        assert.instanceOf(error, Error);
+    });
+});
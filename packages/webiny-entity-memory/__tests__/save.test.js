@@ -0,0 +1,66 @@
+import { assert } from "chai";
+import SimpleEntity from "./entities/simpleEntity";
+import MemoryDriver from "./..";
+
+describe("save and delete test", function() {
+    beforeEach(() => {
+        SimpleEntity.getDriver().flush();
+        SimpleEntity.getEntityPool().flush();
+    });
+
+    it("should save new entity and entity should receive a new ID", async () => {
+        const entity = new SimpleEntity();
+        entity.name = "Test";
+        await entity.save();
+
+        assert.isTrue(SimpleEntity.isId(entity.id));
+        assert.deepEqual(SimpleEntity.getDriver().getCollection("SimpleEntity"), [
+            { id: entity.id, name: "Test", slug: "test", enabled: true }
+        ]);
+    });
+
+    it("should update existing entity", async () => {
+        const entity = new SimpleEntity();
+        entity.name = "Test";
+        await entity.save();
+
+        entity.name = "Test 2";
+        await entity.save();
+
+        SimpleEntity.getEntityPool().flush();
+        const found = await SimpleEntity.findById(entity.id);
+        assert.equal(found.name, "Test 2");
+        assert.equal(found.slug, "test2");
+        assert.equal(await SimpleEntity.count(), 1);
+    });
+
+    it("stored data must not be affected by changes made on entities", async () => {
+        const entity = new SimpleEntity();
+        entity.tags = ["a"];
+        await entity.save();
+
+        entity.tags.push("b");
+        assert.deepEqual(SimpleEntity.getDriver().getCollection("SimpleEntity")[0].tags, ["a"]);
+    });
+
+    it("should delete entity", async () => {
+        const entity = new SimpleEntity();
+        await entity.save();
+        await entity.delete();
+
+        assert.equal(await SimpleEntity.count(), 0);
+    });
+
+    it("should accept initial data and apply collection naming", async () => {
+        const driver = new MemoryDriver({
+            data: { webiny_SimpleEntity: [{ id: "01234567890123456789adee" }] },
+            collections: { prefix: "webiny_" }
+        });
+
+        assert.equal(driver.getCollectionName(SimpleEntity), "webiny_SimpleEntity");
+        assert.lengthOf(driver.getCollection("webiny_SimpleEntity"), 1);
+
+        driver.setCollectionNaming(({ classId }) => classId.toLowerCase());
+        assert.equal(driver.getCollectionName(new SimpleEntity()), "simpleentity");
+    });
+});
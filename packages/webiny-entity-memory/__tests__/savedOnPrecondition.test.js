@@ -0,0 +1,77 @@
+import { assert } from "chai";
+import { EntityError } from "webiny-entity";
+import SimpleEntity from "./entities/simpleEntity";
+
+class SimpleEntityWithLogs extends SimpleEntity {}
+SimpleEntityWithLogs.classId = "SimpleEntityWithLogs";
+SimpleEntityWithLogs.crud = { logs: true };
+
+describe("savedOn precondition test", function() {
+    beforeEach(() => {
+        SimpleEntity.getDriver().flush();
+        SimpleEntity.getEntityPool().flush();
+    });
+
+    it("must update the record if it was not saved in the meantime", async () => {
+        const entity = new SimpleEntityWithLogs();
+        await entity.save();
+
+        entity.name = "test";
+        await entity.save({ savedOn: entity.savedOn.toISOString() });
+
+        const [stored] = SimpleEntity.getDriver().getCollection("SimpleEntityWithLogs");
+        assert.equal(stored.name, "test");
+    });
+
+    it("must throw CONFLICT error if the record was saved in the meantime", async () => {
+        const entity = new SimpleEntityWithLogs();
+        await entity.save();
+        const savedOn = entity.savedOn;
+
+        // Simulates a concurrent save of the same record.
+        const [stored] = SimpleEntity.getDriver().getCollection("SimpleEntityWithLogs");
+        stored.savedOn = new Date(savedOn.getTime() + 1000);
+
+        entity.name = "test";
+        try {
+            await entity.save({ savedOn });
+        } catch (e) {
+            assert.instanceOf(e, EntityError);
+            assert.equal(e.code, EntityError.CONFLICT);
+            assert.isUndefined(stored.name);
+            return;
+        }
+        throw Error(`Error should've been thrown.`);
+    });
+
+    it("must not check savedOn value if entity has no logs", async () => {
+        const entity = new SimpleEntity();
+        await entity.save();
+
+        entity.name = "test";
+        await entity.save({ savedOn: new Date() });
+
+        const [stored] = SimpleEntity.getDriver().getCollection("SimpleEntity");
+        assert.equal(stored.name, "test");
+    });
+
+    it("must update the record only if values passed as precondition match", async () => {
+        const entity = new SimpleEntity();
+        entity.age = 1;
+        await entity.save();
+
+        entity.age = 2;
+        await entity.save({ precondition: { age: 1 } });
+
+        entity.age = 3;
+        try {
+            await entity.save({ precondition: { age: 1 } });
+        } catch (e) {
+            assert.equal(e.code, EntityError.CONFLICT);
+            const [stored] = SimpleEntity.getDriver().getCollection("SimpleEntity");
+            assert.equal(stored.age, 2);
+            return;
+        }
+        throw Error(`Error should've been thrown.`);
+    });
+});
@@ -0,0 +1,37 @@
+import { assert } from "chai";
+import SimpleEntity from "./entities/simpleEntity";
+
+describe("transaction test", function() {
+    beforeEach(() => {
+        SimpleEntity.getDriver().flush();
+        SimpleEntity.getEntityPool().flush();
+    });
+
+    it("should keep changes if transaction was committed", async () => {
+        await SimpleEntity.transaction(async transaction => {
+            await new SimpleEntity().populate({ name: "One" }).save({ transaction });
+            await new SimpleEntity().populate({ name: "Two" }).save({ transaction });
+        });
+
+        assert.equal(await SimpleEntity.count(), 2);
+    });
+
+    it("should revert all changes if transaction was rolled back", async () => {
+        const existing = new SimpleEntity().populate({ name: "Existing" });
+        await existing.save();
+
+        try {
+            await SimpleEntity.transaction(async transaction => {
+                await new SimpleEntity().populate({ name: "One" }).save({ transaction });
+                await existing.delete({ transaction });
+                throw new Error("Rollback.");
+            });
+        } catch (e) {
+            // Do nothing.
+        }
+
+        const entities = await SimpleEntity.find();
+        assert.lengthOf(entities, 1);
+        assert.equal(entities[0].name, "Existing");
+    });
+});
@@ -0,0 +1,265 @@
+// @flow
+import merge from "lodash/merge";
+import cloneDeep from "lodash/cloneDeep";
+import get from "lodash/get";
+import mdbid from "mdbid";
+import { Driver, QueryResult, EntityModel, EntityError, createPaginationMeta } from "webiny-entity";
+import matchesQuery, { compare } from "./matchesQuery";
+
+/**
+ * Keeps all data in memory - useful for tests and prototyping. Supports the same query
+ * options as the MongoDB driver (query, sort, search, page / perPage), except aggregations.
+ */
+class MemoryDriver extends Driver {
+    data: { [string]: Array<Object> };
+    model: Class<EntityModel>;
+    collections: { prefix: string, naming: ?Function };
+
+    constructor(options: Object = {}) {
+        super();
+        this.data = cloneDeep(options.data) || {};
+        this.model = options.model || EntityModel;
+
+        this.collections = merge(
+            {
+                prefix: "",
+                naming: null
+            },
+            options.collections
+        );
+    }
+
+    onEntityConstruct(entity: Object) {
+        entity
+            .attr("id")
+            .char()
+            .setValidators((value, attribute) =>
+                this.isId(attribute.getParentModel().getParentEntity(), value)
+            );
+    }
+
+    getModelClass() {
+        return this.model;
+    }
+
+    async save(entity: Object, params: Object = {}) {
+        const collection = this.getCollection(this.getCollectionName(entity));
+
+        if (!entity.isExisting()) {
+            if (!entity.id) {
+                entity.id = MemoryDriver.__generateID();
+            }
+
+            const data = await entity.toStorage();
+            data.id = entity.id;
+            collection.push(cloneDeep(data));
+            return new QueryResult(true);
+        }
+
+        const data = await entity.toStorage();
+        const index = collection.findIndex(item => item.id === entity.id);
+
+        // If "savedOn" precondition was passed, the record is updated only if it was not saved in the meantime.
+        if (index >= 0 && params.savedOn !== undefined && entity.getAttribute("savedOn")) {
+            const stored = collection[index].savedOn;
+            const expected = params.savedOn ? new Date(params.savedOn).getTime() : null;
+            if ((stored ? new Date(stored).getTime() : null) !== expected) {
+                throw new EntityError(
+                    "Record was changed since it was loaded.",
+                    EntityError.CONFLICT
+                );
+            }
+        }
+
+        // Values passed as "precondition" (eg. `{ generation: 2 }`) must also match the stored ones.
+        if (
+            index >= 0 &&
+            params.precondition &&
+            !matchesQuery(collection[index], params.precondition)
+        ) {
+            throw new EntityError("Record was changed since it was loaded.", EntityError.CONFLICT);
+        }
+
+        if (index >= 0) {
+            collection[index] = { ...collection[index], ...cloneDeep(data) };
+        }
+
+        return new QueryResult(true);
+    }
+
+    // eslint-disable-next-line
+    async delete(entity: Object, options: Object) {
+        const name = this.getCollectionName(entity);
+        this.data[name] = this.getCollection(name).filter(item => item.id !== entity.id);
+        return new QueryResult(true);
+    }
+
+    async find(entity: Object, options: Object) {
+        if (options.aggregation) {
+            throw new Error("Aggregations are not supported by the memory driver.");
+        }
+
+        const clonedOptions = MemoryDriver.__prepareOptions({ limit: 10, offset: 0, ...options });
+        const results = this.__filter(entity, clonedOptions);
+
+        const meta = createPaginationMeta({
+            totalCount: results.length,
+            page: options.page,
+            perPage: options.perPage
+        });
+
+        return new QueryResult(
+            cloneDeep(
+                results.slice(clonedOptions.offset, clonedOptions.offset + clonedOptions.limit)
+            ),
+            meta
+        );
+    }
+
+    async findOne(entity: Object, options: Object) {
+        const [result] = this.__filter(entity, MemoryDriver.__prepareOptions(options));
+        return new QueryResult(cloneDeep(result));
+    }
+
+    async count(entity: Object, options: Object) {
+        return new QueryResult(
+            this.__filter(entity, MemoryDriver.__prepareOptions(options)).length
+        );
+    }
+
+    async startTransaction(transaction: Object) {
+        transaction.data.snapshot = cloneDeep(this.data);
+    }
+
+    // eslint-disable-next-line
+    async commitTransaction(transaction: Object) {}
+
+    async rollbackTransaction(transaction: Object) {
+        this.data = transaction.data.snapshot;
+    }
+
+    // eslint-disable-next-line
+    isId(entity: Object, value: mixed) {
+        if (typeof value === "string") {
+            return value.match(new RegExp("^[0-9a-fA-F]{24}$")) !== null;
+        }
+
+        return false;
+    }
+
+    getCollection(name: string): Array<Object> {
+        if (!this.data[name]) {
+            this.data[name] = [];
+        }
+        return this.data[name];
+    }
+
+    /**
+     * Removes all data from given collection, or from all collections if name was not passed.
+     */
+    flush(name: ?string) {
+        if (name) {
+            delete this.data[name];
+        } else {
+            this.data = {};
+        }
+        return this;
+    }
+
+    setCollectionPrefix(collectionPrefix: string) {
+        this.collections.prefix = collectionPrefix;
+        return this;
+    }
+
+    getCollectionPrefix() {
+        return this.collections.prefix;
+    }
+
+    setCollectionNaming(collectionNameValue: ?Function) {
+        this.collections.naming = collectionNameValue;
+        return this;
+    }
+
+    getCollectionNaming() {
+        return this.collections.naming;
+    }
+
+    getCollectionName(entity: Object) {
+        const isClass = typeof entity === "function";
+        const params = {
+            classId: isClass ? entity.classId : entity.constructor.classId,
+            collectionName: isClass ? entity.collectionName : entity.constructor.collectionName
+        };
+
+        const getCollectionName = this.getCollectionNaming();
+        if (typeof getCollectionName === "function") {
+            return getCollectionName({ entity, ...params, driver: this });
+        }
+
+        if (params.collectionName) {
+            return this.collections.prefix + params.collectionName;
+        }
+
+        return this.collections.prefix + params.classId;
+    }
+
+    __filter(entity: Object, options: Object): Array<Object> {
+        const results = this.getCollection(this.getCollectionName(entity)).filter(item =>
+            matchesQuery(item, options.query)
+        );
+
+        const sort = options.sort;
+        if (sort && typeof sort === "object") {
+            const keys = Object.keys(sort);
+            results.sort((a, b) => {
+                for (let i = 0; i < keys.length; i++) {
+                    const result = compare(get(a, keys[i]), get(b, keys[i]));
+                    if (result !== 0) {
+                        return sort[keys[i]] < 0 ? -result : result;
+                    }
+                }
+                return 0;
+            });
+        }
+
+        return results;
+    }
+
+    static __prepareOptions(options: Object) {
+        const clonedOptions = { ...options };
+        if ("perPage" in clonedOptions) {
+            clonedOptions.limit = clonedOptions.perPage;
+            delete clonedOptions.perPage;
+        }
+
+        if ("page" in clonedOptions) {
+            clonedOptions.offset = clonedOptions.limit * (clonedOptions.page - 1);
+            delete clonedOptions.page;
+        }
+
+        // Here we handle search (if passed) - we transform received arguments into a regex query, same as MongoDbDriver.
+        if (clonedOptions.search && clonedOptions.search.query) {
+            const { query, operator, fields } = clonedOptions.search;
+
+            const search = {
+                [operator === "and" ? "$and" : "$or"]: fields.map(field => ({
+                    [field]: { $regex: `.*${query}.*`, $options: "i" }
+                }))
+            };
+
+            clonedOptions.query =
+                clonedOptions.query instanceof Object
+                    ? { $and: [search, clonedOptions.query] }
+                    : search;
+        }
+
+        delete clonedOptions.search;
+        return clonedOptions;
+    }
+
+    static __generateID() {
+        return mdbid();
+    }
+}
+
+export default MemoryDriver;
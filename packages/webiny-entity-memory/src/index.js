@@ -0,0 +1,5 @@
+// @flow
+import { default as MemoryDriver } from "./MemoryDriver";
+
+export default MemoryDriver;
+export { default as matchesQuery } from "./matchesQuery";
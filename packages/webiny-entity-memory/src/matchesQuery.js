@@ -0,0 +1,149 @@
+// @flow
+import get from "lodash/get";
+import has from "lodash/has";
+import isEqual from "lodash/isEqual";
+import isPlainObject from "lodash/isPlainObject";
+
+const isOperatorObject = (value: mixed): boolean =>
+    isPlainObject(value) && Object.keys((value: any)).some(key => key.startsWith("$"));
+
+/**
+ * Same as in MongoDB, conditions on array fields are satisfied if the array itself or any of its items matches.
+ */
+const getCandidates = (value: mixed): Array<mixed> =>
+    Array.isArray(value) ? [value, ...value] : [value];
+
+export const compare = (a: any, b: any): number => {
+    if (a === b) {
+        return 0;
+    }
+
+    // Missing values (undefined / null) always come first.
+    if (a === null || typeof a === "undefined") {
+        return b === null || typeof b === "undefined" ? 0 : -1;
+    }
+
+    if (b === null || typeof b === "undefined") {
+        return 1;
+    }
+
+    if (a instanceof Date || b instanceof Date) {
+        return new Date(a).getTime() - new Date(b).getTime();
+    }
+
+    return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const equals = (value: mixed, expected: mixed): boolean => {
+    if (expected instanceof RegExp) {
+        const regex = expected;
+        return getCandidates(value).some(item => typeof item === "string" && regex.test(item));
+    }
+
+    if (expected === null) {
+        return value === null || typeof value === "undefined";
+    }
+
+    return getCandidates(value).some(item => isEqual(item, expected));
+};
+
+const isComparable = (value: mixed, expected: mixed): boolean =>
+    value !== null &&
+    typeof value !== "undefined" &&
+    (typeof value === typeof expected || value instanceof Date || expected instanceof Date);
+
+const matchesOperators = (document: Object, path: string, operators: Object): boolean => {
+    const value = get(document, path);
+
+    return Object.keys(operators).every(operator => {
+        const expected = operators[operator];
+        switch (operator) {
+            case "$eq":
+                return equals(value, expected);
+            case "$ne":
+                return !equals(value, expected);
+            case "$gt":
+                return getCandidates(value).some(
+                    item => isComparable(item, expected) && compare(item, expected) > 0
+                );
+            case "$gte":
+                return getCandidates(value).some(
+                    item => isComparable(item, expected) && compare(item, expected) >= 0
+                );
+            case "$lt":
+                return getCandidates(value).some(
+                    item => isComparable(item, expected) && compare(item, expected) < 0
+                );
+            case "$lte":
+                return getCandidates(value).some(
+                    item => isComparable(item, expected) && compare(item, expected) <= 0
+                );
+            case "$in":
+                return expected.some(item => equals(value, item));
+            case "$nin":
+                return !expected.some(item => equals(value, item));
+            case "$all":
+                return Array.isArray(value) && expected.every(item => equals(value, item));
+            case "$size":
+                return Array.isArray(value) && value.length === expected;
+            case "$exists":
+                return has(document, path) === Boolean(expected);
+            case "$regex": {
+                const regex =
+                    expected instanceof RegExp
+                        ? expected
+                        : new RegExp(expected, operators.$options || "");
+                return equals(value, regex);
+            }
+            case "$options":
+                return true;
+            case "$not":
+                return !matchesOperators(
+                    document,
+                    path,
+                    isOperatorObject(expected) ? expected : { $eq: expected }
+                );
+            case "$elemMatch":
+                return (
+                    Array.isArray(value) &&
+                    value.some(item =>
+                        isOperatorObject(expected)
+                            ? matchesOperators({ item }, "item", expected)
+                            : matchesQuery(item, expected)
+                    )
+                );
+            default:
+                throw new Error(
+                    `Query operator "${operator}" is not supported by the memory driver.`
+                );
+        }
+    });
+};
+
+/**
+ * Checks if given document matches a MongoDB-style query.
+ */
+const matchesQuery = (document: Object, query: ?Object): boolean => {
+    if (!isPlainObject(query)) {
+        return true;
+    }
+
+    return Object.keys((query: any)).every(key => {
+        const condition = (query: any)[key];
+        switch (key) {
+            case "$and":
+                return condition.every(item => matchesQuery(document, item));
+            case "$or":
+                return condition.some(item => matchesQuery(document, item));
+            case "$nor":
+                return !condition.some(item => matchesQuery(document, item));
+            default:
+                if (isOperatorObject(condition)) {
+                    return matchesOperators(document, key, condition);
+                }
+                return equals(get(document, key), condition);
+        }
+    });
+};
+
+export default matchesQuery;
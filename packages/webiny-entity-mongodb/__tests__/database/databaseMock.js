@@ -3,5 +3,7 @@ import collectionMock from "./collectionMock";
 export default {
     collection: () => {
         return collectionMock;
-    }
+    },
+    // Standalone server - transactions are not supported.
+    command: async () => ({ ismaster: true, maxWireVersion: 7 })
 };
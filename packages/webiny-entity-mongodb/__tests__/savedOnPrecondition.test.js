@@ -0,0 +1,84 @@
+import { assert } from "chai";
+import sinon from "sinon";
+import { EntityError } from "webiny-entity";
+import SimpleEntity from "./entities/simpleEntity";
+import { collection } from "./database";
+
+const sandbox = sinon.sandbox.create();
+
+class SimpleEntityWithLogs extends SimpleEntity {}
+SimpleEntityWithLogs.classId = "SimpleEntityWithLogs";
+SimpleEntityWithLogs.crud = { logs: true };
+
+describe("savedOn precondition test", function() {
+    afterEach(() => sandbox.restore());
+
+    it("must include savedOn value in the update query", async () => {
+        sandbox.stub(collection, "insertOne");
+        const entity = new SimpleEntityWithLogs();
+        await entity.save();
+
+        const savedOn = entity.savedOn;
+        const updateOneStub = sandbox
+            .stub(collection, "updateOne")
+            .callsFake(() => ({ matchedCount: 1 }));
+
+        entity.name = "test";
+        await entity.save({ savedOn: savedOn.toISOString() });
+
+        assert.deepEqual(updateOneStub.getCall(0).args[0], { id: entity.id, savedOn });
+    });
+
+    it("must throw CONFLICT error if no record was matched", async () => {
+        sandbox.stub(collection, "insertOne");
+        const entity = new SimpleEntityWithLogs();
+        await entity.save();
+
+        sandbox.stub(collection, "updateOne").callsFake(() => ({ matchedCount: 0 }));
+
+        entity.name = "test";
+        try {
+            await entity.save({ savedOn: entity.savedOn });
+        } catch (e) {
+            assert.instanceOf(e, EntityError);
+            assert.equal(e.code, EntityError.CONFLICT);
+            return;
+        }
+        throw Error(`Error should've been thrown.`);
+    });
+
+    it("must not include savedOn value if entity has no logs", async () => {
+        sandbox.stub(collection, "insertOne");
+        const entity = new SimpleEntity();
+        await entity.save();
+
+        const updateOneStub = sandbox
+            .stub(collection, "updateOne")
+            .callsFake(() => ({ matchedCount: 0 }));
+
+        entity.name = "test";
+        await entity.save({ savedOn: new Date() });
+
+        assert.deepEqual(updateOneStub.getCall(0).args[0], { id: entity.id });
+    });
+
+    it("must include values passed as precondition in the update query", async () => {
+        sandbox.stub(collection, "insertOne");
+        const entity = new SimpleEntity();
+        await entity.save();
+
+        const updateOneStub = sandbox
+            .stub(collection, "updateOne")
+            .callsFake(() => ({ matchedCount: 0 }));
+
+        entity.name = "test";
+        try {
+            await entity.save({ precondition: { generation: 2 } });
+        } catch (e) {
+            assert.equal(e.code, EntityError.CONFLICT);
+            assert.deepEqual(updateOneStub.getCall(0).args[0], { id: entity.id, generation: 2 });
+            return;
+        }
+        throw Error(`Error should've been thrown.`);
+    });
+});
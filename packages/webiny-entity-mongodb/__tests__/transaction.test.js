@@ -0,0 +1,149 @@
+import { assert } from "chai";
+import sinon from "sinon";
+import { Entity } from "webiny-entity";
+import MongoDbDriver from "./..";
+import { database, collection } from "./database";
+
+const sandbox = sinon.sandbox.create();
+
+const session = {
+    startTransaction: () => {},
+    commitTransaction: async () => {},
+    abortTransaction: async () => {},
+    endSession: () => {}
+};
+
+class TransactionEntity extends Entity {
+    constructor() {
+        super();
+        this.attr("name").char();
+    }
+}
+
+// Replica set member - transactions are supported.
+const replicaSet = {
+    ...database,
+    command: async () => ({ ismaster: true, setName: "rs0", maxWireVersion: 7 }),
+    topology: { startSession: () => session }
+};
+
+TransactionEntity.classId = "TransactionEntity";
+TransactionEntity.driver = new MongoDbDriver({
+    database: replicaSet,
+    client: { startSession: () => session }
+});
+
+describe("transaction test", function() {
+    afterEach(() => sandbox.restore());
+
+    it("must pass session to all operations and commit the transaction", async () => {
+        const insertOneSpy = sandbox.spy(collection, "insertOne");
+        const findSpy = sandbox.spy(collection, "find");
+        const startSpy = sandbox.spy(session, "startTransaction");
+        const commitSpy = sandbox.spy(session, "commitTransaction");
+        const endSpy = sandbox.spy(session, "endSession");
+
+        await TransactionEntity.transaction(async transaction => {
+            await new TransactionEntity().populate({ name: "Test" }).save({ transaction });
+            await TransactionEntity.find({ transaction });
+        });
+
+        assert.deepEqual(insertOneSpy.getCall(0).args[1], { session });
+        assert.deepEqual(findSpy.getCall(0).args[1], { session });
+        assert.equal(startSpy.callCount, 1);
+        assert.equal(commitSpy.callCount, 1);
+        assert.equal(endSpy.callCount, 1);
+    });
+
+    it("must abort the transaction if an error was thrown", async () => {
+        const commitSpy = sandbox.spy(session, "commitTransaction");
+        const abortSpy = sandbox.spy(session, "abortTransaction");
+
+        try {
+            await TransactionEntity.transaction(async transaction => {
+                await new TransactionEntity().populate({ name: "Test" }).save({ transaction });
+                throw new Error("Rollback.");
+            });
+        } catch (e) {
+            // Do nothing.
+        }
+
+        assert.equal(commitSpy.callCount, 0);
+        assert.equal(abortSpy.callCount, 1);
+    });
+
+    it("must not pass session if there is no active transaction", async () => {
+        const insertOneSpy = sandbox.spy(collection, "insertOne");
+        await new TransactionEntity().populate({ name: "Test" }).save();
+        assert.isUndefined(insertOneSpy.getCall(0).args[1]);
+    });
+
+    it("must start the session on the database topology if there is no client", async () => {
+        class NoClientEntity extends TransactionEntity {}
+        NoClientEntity.driver = new MongoDbDriver({ database: replicaSet });
+
+        const insertOneSpy = sandbox.spy(collection, "insertOne");
+        const topologySpy = sandbox.spy(replicaSet.topology, "startSession");
+        const commitSpy = sandbox.spy(session, "commitTransaction");
+
+        await NoClientEntity.transaction(async transaction => {
+            await new NoClientEntity().populate({ name: "Test" }).save({ transaction });
+        });
+
+        assert.equal(topologySpy.callCount, 1);
+        assert.deepEqual(insertOneSpy.getCall(0).args[1], { session });
+        assert.equal(commitSpy.callCount, 1);
+    });
+
+    it("must execute operations as usual if the server does not support transactions", async () => {
+        const client = { startSession: () => session };
+        const clientSpy = sandbox.spy(client, "startSession");
+        const insertOneSpy = sandbox.spy(collection, "insertOne");
+
+        const drivers = [
+            // Standalone server.
+            new MongoDbDriver({ database, client }),
+            // Sharded cluster older than v4.2.
+            new MongoDbDriver({
+                database: {
+                    ...database,
+                    command: async () => ({ msg: "isdbgrid", maxWireVersion: 7 })
+                },
+                client
+            }),
+            // Server status could not be read.
+            new MongoDbDriver({
+                database: {
+                    ...database,
+                    command: async () => Promise.reject(new Error("Denied."))
+                },
+                client
+            })
+        ];
+
+        for (let i = 0; i < drivers.length; i++) {
+            class StandaloneEntity extends TransactionEntity {}
+            StandaloneEntity.driver = drivers[i];
+
+            const result = await StandaloneEntity.transaction(async transaction => {
+                await new StandaloneEntity().populate({ name: "Test" }).save({ transaction });
+                return "result";
+            });
+
+            assert.equal(result, "result");
+            assert.isUndefined(insertOneSpy.getCall(i).args[1]);
+        }
+
+        assert.equal(clientSpy.callCount, 0);
+    });
+
+    it("must check whether transactions are supported only once", async () => {
+        const standalone = { ...database };
+        const commandSpy = sandbox.spy(standalone, "command");
+        const driver = new MongoDbDriver({ database: standalone });
+
+        assert.isFalse(await driver.supportsTransactions());
+        assert.isFalse(await driver.supportsTransactions());
+        assert.equal(commandSpy.callCount, 1);
+    });
+});
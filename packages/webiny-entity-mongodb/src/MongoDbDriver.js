@@ -5,12 +5,22 @@ import mdbid from "mdbid";
 import { EntityModel } from "webiny-entity";
 import mongodb from "mongodb";
 
-import { Driver, QueryResult, createPaginationMeta } from "webiny-entity";
+import { Driver, EntityError, QueryResult, createPaginationMeta } from "webiny-entity";
+import type { Transaction } from "webiny-entity";
 
 class MongoDbDriver extends Driver {
-    constructor(options) {
+    database: Object;
+    client: ?Object;
+    transactions: ?Promise<boolean>;
+    model: Class<EntityModel>;
+    collections: { prefix: string, naming: ?Function };
+
+    constructor(options: Object) {
         super();
         this.database = options.database;
+        // Sessions (needed for transactions) are started on the client, or on the topology of the database.
+        this.client = options.client;
+        this.transactions = null;
         this.model = options.model || EntityModel;
 
         this.collections = merge(
@@ -49,7 +59,7 @@ class MongoDbDriver extends Driver {
     }
 
     // eslint-disable-next-line
-    async save(entity) {
+    async save(entity, params) {
         if (!entity.isExisting()) {
             if (!entity.id) {
                 entity.id = MongoDbDriver.__generateID();
@@ -61,7 +71,7 @@ class MongoDbDriver extends Driver {
             try {
                 await this.getDatabase()
                     .collection(this.getCollectionName(entity))
-                    .insertOne(data);
+                    .insertOne(data, MongoDbDriver.__getSessionOptions(params));
                 return new QueryResult(true);
             } catch (e) {
                 entity.id && entity.getAttribute("id").reset();
@@ -71,9 +81,25 @@ class MongoDbDriver extends Driver {
 
         const data = await entity.toStorage();
 
-        await this.getDatabase()
+        // If "savedOn" precondition was passed, the record is updated only if it was not saved in the meantime.
+        const query: Object = { id: entity.id };
+        const conditional = params.savedOn !== undefined && entity.getAttribute("savedOn");
+        if (conditional) {
+            query.savedOn = params.savedOn ? new Date(params.savedOn) : null;
+        }
+
+        // Values passed as "precondition" (eg. `{ generation: 2 }`) must also match the stored ones.
+        if (params.precondition) {
+            Object.assign(query, params.precondition);
+        }
+
+        const result = await this.getDatabase()
             .collection(this.getCollectionName(entity))
-            .updateOne({ id: entity.id }, { $set: data });
+            .updateOne(query, { $set: data }, MongoDbDriver.__getSessionOptions(params));
+
+        if ((conditional || params.precondition) && result && result.matchedCount === 0) {
+            throw new EntityError("Record was changed since it was loaded.", EntityError.CONFLICT);
+        }
 
         return new QueryResult(true);
     }
@@ -82,7 +108,7 @@ class MongoDbDriver extends Driver {
     async delete(entity, options) {
         await this.getDatabase()
             .collection(this.getCollectionName(entity))
-            .deleteOne({ id: entity.id });
+            .deleteOne({ id: entity.id }, MongoDbDriver.__getSessionOptions(options));
         return new QueryResult(true);
     }
 
@@ -93,7 +119,7 @@ class MongoDbDriver extends Driver {
                     aggregate: async pipeline => {
                         return await this.getDatabase()
                             .collection(this.getCollectionName(entity))
-                            .aggregate(pipeline)
+                            .aggregate(pipeline, MongoDbDriver.__getSessionOptions(options))
                             .toArray();
                     },
                     QueryResult
@@ -103,13 +129,16 @@ class MongoDbDriver extends Driver {
             // Get first documents from cursor using each
             const results = await this.getDatabase()
                 .collection(this.getCollectionName(entity))
-                .aggregate(options.aggregation)
+                .aggregate(options.aggregation, MongoDbDriver.__getSessionOptions(options))
                 .toArray();
 
             return new QueryResult(results);
         }
 
-        const clonedOptions = merge({}, options, {
+        // eslint-disable-next-line
+        const { transaction, ...rest } = options;
+        const sessionOptions = MongoDbDriver.__getSessionOptions(options);
+        const clonedOptions = merge({}, rest, {
             limit: 10,
             offset: 0
         });
@@ -121,7 +150,7 @@ class MongoDbDriver extends Driver {
         // Get first documents from cursor using each
         const results = await this.getDatabase()
             .collection(this.getCollectionName(entity))
-            .find(clonedOptions.query)
+            .find(clonedOptions.query, sessionOptions)
             .limit(clonedOptions.limit)
             .skip(clonedOptions.offset)
             .sort(clonedOptions.sort)
@@ -129,7 +158,7 @@ class MongoDbDriver extends Driver {
 
         const totalCount = await this.getDatabase()
             .collection(this.getCollectionName(entity))
-            .countDocuments(clonedOptions.query);
+            .countDocuments(clonedOptions.query, sessionOptions);
 
         const meta = createPaginationMeta({
             totalCount,
@@ -148,7 +177,7 @@ class MongoDbDriver extends Driver {
 
         const results = await this.getDatabase()
             .collection(this.getCollectionName(entity))
-            .find(clonedOptions.query)
+            .find(clonedOptions.query, MongoDbDriver.__getSessionOptions(options))
             .limit(1)
             .sort(clonedOptions.sort)
             .toArray();
@@ -163,10 +192,56 @@ class MongoDbDriver extends Driver {
         return new QueryResult(
             await this.getDatabase()
                 .collection(this.getCollectionName(entity))
-                .countDocuments(clonedOptions.query)
+                .countDocuments(clonedOptions.query, MongoDbDriver.__getSessionOptions(options))
         );
     }
 
+    async startTransaction(transaction: Transaction) {
+        // If the server cannot run transactions, operations are executed as usual, just not atomically.
+        if (!(await this.supportsTransactions())) {
+            return;
+        }
+
+        const session = (this.client || this.getDatabase().topology).startSession();
+        session.startTransaction();
+        transaction.data.session = session;
+    }
+
+    async commitTransaction(transaction: Transaction) {
+        const { session } = transaction.data;
+        if (session) {
+            await session.commitTransaction();
+            session.endSession();
+        }
+    }
+
+    async rollbackTransaction(transaction: Transaction) {
+        const { session } = transaction.data;
+        if (session) {
+            await session.abortTransaction();
+            session.endSession();
+        }
+    }
+
+    /**
+     * MongoDB supports transactions on replica sets (v4.0+) and sharded clusters (v4.2+) only. The check is done once.
+     */
+    supportsTransactions(): Promise<boolean> {
+        if (!this.transactions) {
+            this.transactions = this.getDatabase()
+                .command({ isMaster: 1 })
+                .then(({ setName, msg, maxWireVersion }) => {
+                    if (setName) {
+                        return maxWireVersion >= 7;
+                    }
+                    return msg === "isdbgrid" && maxWireVersion >= 8;
+                })
+                .catch(() => false);
+        }
+
+        return (this.transactions: any);
+    }
+
     // eslint-disable-next-line
     isId(entity, value) {
         if (typeof value === "string") {
@@ -257,6 +332,11 @@ class MongoDbDriver extends Driver {
         }
     }
 
+    static __getSessionOptions(params: ?Object) {
+        const session = params && params.transaction && params.transaction.data.session;
+        return session ? { session } : undefined;
+    }
+
     static __generateID() {
         return mdbid();
     }
@@ -0,0 +1,11 @@
+class ConnectionMock {
+    constructor() {
+        this.results = [];
+    }
+
+    query() {
+        return this.results.shift() || [];
+    }
+}
+
+export default new ConnectionMock();
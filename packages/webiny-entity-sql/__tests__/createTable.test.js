@@ -0,0 +1,67 @@
+import { assert } from "chai";
+import sinon from "sinon";
+import ComplexEntity from "./entities/complexEntity";
+import connection from "./connection";
+import { QueryBuilder, MysqlDialect, PostgresDialect } from "./..";
+
+const sandbox = sinon.sandbox.create();
+
+describe("create table test", function() {
+    afterEach(() => sandbox.restore());
+
+    it("must generate columns from entity attributes", async () => {
+        assert.deepEqual(ComplexEntity.getDriver().getColumns(ComplexEntity), {
+            id: "id",
+            title: "char",
+            views: "integer",
+            rating: "float",
+            publishedOn: "date",
+            settings: "json",
+            simpleEntity: "id"
+        });
+    });
+
+    it("must generate SQLite table", async () => {
+        const querySpy = sandbox.spy(connection, "query");
+        await ComplexEntity.getDriver().createTable(ComplexEntity);
+
+        assert.equal(
+            querySpy.getCall(0).args[0],
+            'CREATE TABLE IF NOT EXISTS "ComplexEntity" ("id" TEXT NOT NULL PRIMARY KEY, "title" TEXT, "views" INTEGER, "rating" REAL, "publishedOn" TEXT, "settings" TEXT, "simpleEntity" TEXT)'
+        );
+    });
+
+    it("must generate MySQL and PostgreSQL tables", async () => {
+        const columns = ComplexEntity.getDriver().getColumns(ComplexEntity);
+
+        assert.equal(
+            new QueryBuilder(new MysqlDialect()).createTable("ComplexEntity", columns).sql,
+            "CREATE TABLE IF NOT EXISTS `ComplexEntity` (`id` CHAR(24) NOT NULL PRIMARY KEY, `title` VARCHAR(255), `views` INTEGER, `rating` DOUBLE, `publishedOn` DATETIME(3), `settings` JSON, `simpleEntity` CHAR(24))"
+        );
+
+        assert.equal(
+            new QueryBuilder(new PostgresDialect()).createTable("ComplexEntity", columns).sql,
+            'CREATE TABLE IF NOT EXISTS "ComplexEntity" ("id" CHAR(24) NOT NULL PRIMARY KEY, "title" VARCHAR(255), "views" INTEGER, "rating" DOUBLE PRECISION, "publishedOn" TIMESTAMP WITH TIME ZONE, "settings" JSONB, "simpleEntity" CHAR(24))'
+        );
+    });
+
+    it("must convert stored values back into attribute values", async () => {
+        ComplexEntity.getEntityPool().flush();
+        connection.results = [
+            [
+                {
+                    id: "01234567890123456789adee",
+                    views: 5,
+                    publishedOn: "2019-01-01T00:00:00.000Z",
+                    settings: '{"a":{"b":1}}'
+                }
+            ]
+        ];
+
+        const entity = await ComplexEntity.findById("01234567890123456789adee");
+        assert.equal(entity.views, 5);
+        assert.instanceOf(entity.publishedOn, Date);
+        assert.equal(entity.publishedOn.toISOString(), "2019-01-01T00:00:00.000Z");
+        assert.deepEqual(entity.settings, { a: { b: 1 } });
+    });
+});
@@ -0,0 +1,21 @@
+import { assert } from "chai";
+import sinon from "sinon";
+import SimpleEntity from "./entities/simpleEntity";
+import connection from "./connection";
+
+const sandbox = sinon.sandbox.create();
+
+describe("delete test", function() {
+    afterEach(() => sandbox.restore());
+
+    it("must generate correct query", async () => {
+        const simpleEntity = new SimpleEntity();
+        await simpleEntity.save();
+
+        const querySpy = sandbox.spy(connection, "query");
+        await simpleEntity.delete();
+
+        assert.equal(querySpy.getCall(0).args[0], 'DELETE FROM "SimpleEntity" WHERE "id" = ?');
+        assert.deepEqual(querySpy.getCall(0).args[1], [simpleEntity.id]);
+    });
+});
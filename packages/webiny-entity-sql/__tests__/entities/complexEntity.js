@@ -0,0 +1,21 @@
+import Entity from "./entity";
+import SimpleEntity from "./simpleEntity";
+
+class ComplexEntity extends Entity {
+    constructor() {
+        super();
+        this.attr("title").char();
+        this.attr("views").integer();
+        this.attr("rating").float();
+        this.attr("publishedOn").date();
+        this.attr("settings").object();
+        this.attr("simpleEntity").entity(SimpleEntity);
+        this.attr("simpleEntities").entities(SimpleEntity);
+        this.attr("slug")
+            .char()
+            .setDynamic(() => "dynamic");
+    }
+}
+
+ComplexEntity.classId = "ComplexEntity";
+export default ComplexEntity;
@@ -0,0 +1,11 @@
+import SqlDriver from "./../..";
+import connection from "./../connection";
+import { Entity as BaseEntity } from "webiny-entity";
+
+class Entity extends BaseEntity {}
+
+Entity.driver = new SqlDriver({
+    connection
+});
+
+export default Entity;
@@ -0,0 +1,120 @@
+import { assert } from "chai";
+import sinon from "sinon";
+import SimpleEntity from "./entities/simpleEntity";
+import connection from "./connection";
+
+const sandbox = sinon.sandbox.create();
+
+describe("find test", function() {
+    afterEach(() => sandbox.restore());
+    beforeEach(() => SimpleEntity.getEntityPool().flush());
+
+    it("find - must generate simple query correctly", async () => {
+        const querySpy = sandbox.spy(connection, "query");
+
+        await SimpleEntity.find();
+
+        assert.equal(querySpy.getCall(0).args[0], 'SELECT * FROM "SimpleEntity" LIMIT 10 OFFSET 0');
+        assert.deepEqual(querySpy.getCall(0).args[1], []);
+        assert.equal(querySpy.getCall(1).args[0], 'SELECT COUNT(*) AS count FROM "SimpleEntity"');
+    });
+
+    it("should find entities and total count", async () => {
+        connection.results = [
+            [
+                {
+                    id: "01234567890123456789adee",
+                    name: "This is a test",
+                    slug: "thisIsATest",
+                    enabled: 1,
+                    tags: '["one","two"]'
+                },
+                {
+                    id: "01234567890123456789adef",
+                    name: "This is a test 222",
+                    slug: "thisIsATest222",
+                    enabled: 0,
+                    tags: null
+                }
+            ],
+            [{ count: 12 }]
+        ];
+
+        const entities = await SimpleEntity.find();
+
+        assert.lengthOf(entities, 2);
+        assert.equal(entities.getMeta().totalCount, 12);
+
+        assert.equal(entities[0].id, "01234567890123456789adee");
+        assert.equal(entities[0].name, "This is a test");
+        assert.isTrue(entities[0].enabled);
+        assert.deepEqual(entities[0].tags, ["one", "two"]);
+
+        assert.equal(entities[1].name, "This is a test 222");
+        assert.isFalse(entities[1].enabled);
+        assert.isNull(entities[1].tags);
+    });
+
+    it("must change page and perPage parameters into limit / offset accordingly", async () => {
+        const querySpy = sandbox.spy(connection, "query");
+
+        await SimpleEntity.find({
+            page: 3,
+            perPage: 7,
+            query: { age: 30 },
+            sort: { createdOn: -1, id: 1 }
+        });
+
+        assert.equal(
+            querySpy.getCall(0).args[0],
+            'SELECT * FROM "SimpleEntity" WHERE "age" = ? ORDER BY "createdOn" DESC, "id" ASC LIMIT 7 OFFSET 14'
+        );
+        assert.deepEqual(querySpy.getCall(0).args[1], [30]);
+        assert.equal(
+            querySpy.getCall(1).args[0],
+            'SELECT COUNT(*) AS count FROM "SimpleEntity" WHERE "age" = ?'
+        );
+    });
+
+    it("findOne - must select a single row", async () => {
+        const querySpy = sandbox.spy(connection, "query");
+        connection.results = [[{ id: "01234567890123456789adee", name: "Test", enabled: 0 }]];
+
+        const entity = await SimpleEntity.findOne({ query: { name: "Test" }, sort: { name: 1 } });
+
+        assert.equal(
+            querySpy.getCall(0).args[0],
+            'SELECT * FROM "SimpleEntity" WHERE "name" = ? ORDER BY "name" ASC LIMIT 1 OFFSET 0'
+        );
+        assert.deepEqual(querySpy.getCall(0).args[1], ["Test"]);
+        assert.equal(entity.id, "01234567890123456789adee");
+        assert.isFalse(entity.enabled);
+    });
+
+    it("findOne - must return null if nothing was found", async () => {
+        assert.isNull(await SimpleEntity.findById("01234567890123456789adee"));
+    });
+
+    it("count - must return total count", async () => {
+        const querySpy = sandbox.spy(connection, "query");
+        connection.results = [[{ count: "5" }]];
+
+        assert.equal(await SimpleEntity.count({ query: { enabled: true } }), 5);
+        assert.equal(
+            querySpy.getCall(0).args[0],
+            'SELECT COUNT(*) AS count FROM "SimpleEntity" WHERE "enabled" = ?'
+        );
+        assert.deepEqual(querySpy.getCall(0).args[1], [1]);
+    });
+
+    it("must throw an error if aggregation was requested", async () => {
+        let error = null;
+        try {
+            await SimpleEntity.find({ aggregation: [] });
+        } catch (e) {
+            error = e;
+        }
+
+        assert.instanceOf(error, Error);
+    });
+});
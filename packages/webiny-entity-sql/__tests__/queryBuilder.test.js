@@ -0,0 +1,130 @@
+import { assert } from "chai";
+import { QueryBuilder, SqliteDialect, MysqlDialect, PostgresDialect } from "./..";
+
+const sqlite = new QueryBuilder(new SqliteDialect());
+
+describe("query builder test", function() {
+    it("must translate comparison operators", async () => {
+        const { sql, values } = sqlite.select("Page", {
+            query: {
+                version: { $gt: 1, $lte: 5 },
+                publishedOn: { $lt: new Date("2019-01-01T00:00:00.000Z") },
+                title: { $ne: "Test" },
+                parent: null,
+                category: { $in: ["a", "b"] },
+                url: { $nin: ["/x"] },
+                snippet: { $exists: false }
+            }
+        });
+
+        assert.equal(
+            sql,
+            'SELECT * FROM "Page" WHERE "version" > ? AND "version" <= ? AND "publishedOn" < ? AND ("title" <> ? OR "title" IS NULL) AND "parent" IS NULL AND "category" IN (?, ?) AND ("url" NOT IN (?) OR "url" IS NULL) AND "snippet" IS NULL'
+        );
+        assert.deepEqual(values, [1, 5, "2019-01-01T00:00:00.000Z", "Test", "a", "b", "/x"]);
+    });
+
+    it("must translate $and / $or and wrap them correctly", async () => {
+        const { sql, values } = sqlite.select("Page", {
+            query: {
+                published: true,
+                $or: [{ title: "A" }, { title: "B", version: 2 }]
+            }
+        });
+
+        assert.equal(
+            sql,
+            'SELECT * FROM "Page" WHERE "published" = ? AND (("title" = ?) OR ("title" = ? AND "version" = ?))'
+        );
+        assert.deepEqual(values, [1, "A", "B", 2]);
+    });
+
+    it("must handle empty $in / $nin lists", async () => {
+        assert.equal(
+            sqlite.count("Page", { query: { id: { $in: [] }, url: { $nin: [] } } }).sql,
+            'SELECT COUNT(*) AS count FROM "Page" WHERE 1 = 0 AND 1 = 1'
+        );
+    });
+
+    it("must convert simple regular expressions into LIKE comparisons", async () => {
+        const { sql, values } = sqlite.select("Page", {
+            query: {
+                title: { $regex: ".*hello.*", $options: "i" },
+                url: { $regex: "^/blog/" },
+                slug: { $regex: /^a.c$/ }
+            }
+        });
+
+        assert.equal(
+            sql,
+            'SELECT * FROM "Page" WHERE LOWER("title") LIKE LOWER(?) AND "url" LIKE ? AND "slug" LIKE ?'
+        );
+        assert.deepEqual(values, ["%hello%", "/blog/%", "a_c"]);
+
+        assert.throws(() => sqlite.select("Page", { query: { title: { $regex: "(a|b)+" } } }));
+    });
+
+    it("must throw an error on unsupported operators", async () => {
+        assert.throws(
+            () => sqlite.select("Page", { query: { tags: { $elemMatch: { a: 1 } } } }),
+            'Query operator "$elemMatch" is not supported by the SQL driver.'
+        );
+    });
+
+    it("must access JSON columns using dot notation", async () => {
+        const query = { query: { "settings.general.layout": "blog" } };
+
+        assert.equal(
+            sqlite.select("Page", query).sql,
+            `SELECT * FROM "Page" WHERE json_extract("settings", '$.general.layout') = ?`
+        );
+
+        assert.equal(
+            new QueryBuilder(new MysqlDialect()).select("Page", query).sql,
+            "SELECT * FROM `Page` WHERE JSON_UNQUOTE(JSON_EXTRACT(`settings`, '$.general.layout')) = ?"
+        );
+
+        assert.equal(
+            new QueryBuilder(new PostgresDialect()).select("Page", query).sql,
+            `SELECT * FROM "Page" WHERE "settings"#>>'{general,layout}' = $1`
+        );
+    });
+
+    it("must reject JSON paths that could inject SQL", async () => {
+        const key = "settings.x') OR 1=1 OR json_extract(settings, '$.y";
+        [new SqliteDialect(), new MysqlDialect(), new PostgresDialect()].forEach(dialect => {
+            assert.throws(
+                () => new QueryBuilder(dialect).select("Page", { query: { [key]: "blog" } }),
+                "Invalid JSON path segment"
+            );
+        });
+
+        assert.throws(
+            () => sqlite.select("Page", { query: { "settings.general}'": 1 } }),
+            "Invalid JSON path segment"
+        );
+        assert.throws(
+            () => sqlite.select("Page", { query: { "settings..layout": 1 } }),
+            "Invalid JSON path segment"
+        );
+    });
+
+    it("must number PostgreSQL placeholders", async () => {
+        const { sql, values } = new QueryBuilder(new PostgresDialect()).update(
+            "Page",
+            { title: "A", settings: { a: 1 } },
+            { id: "1" }
+        );
+
+        assert.equal(sql, 'UPDATE "Page" SET "title" = $1, "settings" = $2 WHERE "id" = $3');
+        assert.deepEqual(values, ["A", '{"a":1}', "1"]);
+    });
+
+    it("must use ILIKE in PostgreSQL searches", async () => {
+        const { sql } = new QueryBuilder(new PostgresDialect()).select("Page", {
+            search: { query: "a", fields: ["title"] }
+        });
+
+        assert.equal(sql, 'SELECT * FROM "Page" WHERE "title" ILIKE $1');
+    });
+});
@@ -0,0 +1,68 @@
+import { assert } from "chai";
+import sinon from "sinon";
+import SimpleEntity from "./entities/simpleEntity";
+import connection from "./connection";
+
+const sandbox = sinon.sandbox.create();
+
+describe("save test", function() {
+    afterEach(() => sandbox.restore());
+
+    it("must generate correct insert and update queries", async () => {
+        const querySpy = sandbox.spy(connection, "query");
+
+        const simpleEntity = new SimpleEntity();
+        simpleEntity.tags = ["one"];
+        await simpleEntity.save();
+
+        assert.equal(
+            querySpy.getCall(0).args[0],
+            'INSERT INTO "SimpleEntity" ("id", "slug", "enabled", "tags") VALUES (?, ?, ?, ?)'
+        );
+        assert.deepEqual(querySpy.getCall(0).args[1], [simpleEntity.id, "", 1, '["one"]']);
+
+        simpleEntity.name = "test2";
+        await simpleEntity.save();
+
+        assert.equal(
+            querySpy.getCall(1).args[0],
+            'UPDATE "SimpleEntity" SET "name" = ?, "slug" = ? WHERE "id" = ?'
+        );
+        assert.deepEqual(querySpy.getCall(1).args[1], ["test2", "test2", simpleEntity.id]);
+    });
+
+    it("must not send a query if nothing has changed", async () => {
+        const simpleEntity = new SimpleEntity();
+        await simpleEntity.save();
+
+        const querySpy = sandbox.spy(connection, "query");
+        await simpleEntity.save();
+        assert.equal(querySpy.callCount, 0);
+    });
+
+    it("should save new entity into database and entity should receive a new ID", async () => {
+        const simpleEntity = new SimpleEntity();
+        await simpleEntity.save();
+
+        assert.lengthOf(simpleEntity.id, 24);
+        assert.isTrue(SimpleEntity.isId(simpleEntity.id));
+    });
+
+    it("should reset ID if insert failed", async () => {
+        sandbox.stub(connection, "query").callsFake(() => {
+            throw new Error("Insert failed.");
+        });
+
+        const simpleEntity = new SimpleEntity();
+
+        let error = null;
+        try {
+            await simpleEntity.save();
+        } catch (e) {
+            error = e;
+        }
+
+        assert.equal(error.message, "Insert failed.");
+        assert.isNull(simpleEntity.id);
+    });
+});
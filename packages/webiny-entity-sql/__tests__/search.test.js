@@ -0,0 +1,47 @@
+import { assert } from "chai";
+import sinon from "sinon";
+import SimpleEntity from "./entities/simpleEntity";
+import connection from "./connection";
+
+const sandbox = sinon.sandbox.create();
+
+describe("search test", function() {
+    afterEach(() => sandbox.restore());
+    beforeEach(() => SimpleEntity.getEntityPool().flush());
+
+    it("should search entities with OR operator", async () => {
+        const querySpy = sandbox.spy(connection, "query");
+
+        await SimpleEntity.find({
+            search: {
+                query: "this is",
+                fields: ["name", "slug"]
+            }
+        });
+
+        assert.equal(
+            querySpy.getCall(0).args[0],
+            'SELECT * FROM "SimpleEntity" WHERE LOWER("name") LIKE LOWER(?) OR LOWER("slug") LIKE LOWER(?) LIMIT 10 OFFSET 0'
+        );
+        assert.deepEqual(querySpy.getCall(0).args[1], ["%this is%", "%this is%"]);
+    });
+
+    it("should search entities with AND operator and combine search with query", async () => {
+        const querySpy = sandbox.spy(connection, "query");
+
+        await SimpleEntity.find({
+            query: { enabled: true },
+            search: {
+                query: "this is",
+                fields: ["name", "slug"],
+                operator: "and"
+            }
+        });
+
+        assert.equal(
+            querySpy.getCall(0).args[0],
+            'SELECT * FROM "SimpleEntity" WHERE (LOWER("name") LIKE LOWER(?) AND LOWER("slug") LIKE LOWER(?)) AND ("enabled" = ?) LIMIT 10 OFFSET 0'
+        );
+        assert.deepEqual(querySpy.getCall(0).args[1], ["%this is%", "%this is%", 1]);
+    });
+});
@@ -0,0 +1,223 @@
+import { assert } from "chai";
+import sqlite3 from "sqlite3";
+import { Entity } from "webiny-entity";
+import SqlDriver, { sqlite } from "./..";
+
+// Unlike other tests, which check generated SQL against a mocked connection, these run against a real database.
+const database = new sqlite3.Database(":memory:");
+
+class SqliteEntity extends Entity {}
+SqliteEntity.driver = new SqlDriver({ connection: sqlite(database), dialect: "sqlite" });
+
+class Category extends SqliteEntity {
+    constructor() {
+        super();
+        this.attr("name").char();
+    }
+}
+
+Category.classId = "Category";
+
+class Product extends SqliteEntity {
+    constructor() {
+        super();
+        this.attr("name").char();
+        this.attr("price").float();
+        this.attr("stock").integer();
+        this.attr("enabled")
+            .boolean()
+            .setDefaultValue(true);
+        this.attr("publishedOn").date();
+        this.attr("settings").object();
+        this.attr("tags").array();
+        this.attr("category").entity(Category);
+    }
+}
+
+Product.classId = "Product";
+
+const products = [
+    { name: "Apple", price: 1.5, stock: 10, settings: { color: "red", size: { weight: 150 } } },
+    { name: "Banana", price: 0.5, stock: 0, enabled: false, settings: { color: "yellow" } },
+    { name: "Cherry", price: 4, stock: 100, settings: { color: "red", size: { weight: 5 } } },
+    { name: "Date", price: 3, stock: 7, tags: ["dried"] }
+];
+
+const createProducts = async () => {
+    for (let i = 0; i < products.length; i++) {
+        await new Product().populate(products[i]).save();
+    }
+};
+
+const names = collection => Array.from(collection, product => product.name);
+
+describe("SQLite test", function() {
+    beforeAll(async () => {
+        await SqliteEntity.getDriver().createTable(Category);
+        await SqliteEntity.getDriver().createTable(Product);
+    });
+
+    beforeEach(async () => {
+        await SqliteEntity.getDriver().query({ sql: 'DELETE FROM "Product"', values: [] });
+        await SqliteEntity.getDriver().query({ sql: 'DELETE FROM "Category"', values: [] });
+        SqliteEntity.getEntityPool().flush();
+    });
+
+    afterAll(done => database.close(done));
+
+    it("must create, read, update and delete entities", async () => {
+        const category = new Category().populate({ name: "Fruit" });
+        await category.save();
+
+        const product = new Product().populate({
+            name: "Apple",
+            price: 1.5,
+            stock: 10,
+            publishedOn: new Date("2019-06-12T09:30:00.000Z"),
+            settings: { color: "red", size: { weight: 150 } },
+            tags: ["fresh", "local"],
+            category
+        });
+        await product.save();
+        assert.match(product.id, /^[0-9a-f]{24}$/);
+
+        SqliteEntity.getEntityPool().flush();
+        const loaded = await Product.findById(product.id);
+        assert.equal(loaded.name, "Apple");
+        assert.strictEqual(loaded.price, 1.5);
+        assert.strictEqual(loaded.stock, 10);
+        assert.strictEqual(loaded.enabled, true);
+        assert.equal(loaded.publishedOn.toISOString(), "2019-06-12T09:30:00.000Z");
+        assert.deepEqual(loaded.settings, { color: "red", size: { weight: 150 } });
+        assert.deepEqual(loaded.tags, ["fresh", "local"]);
+        assert.equal((await loaded.category).name, "Fruit");
+
+        loaded.populate({ name: "Green apple", enabled: false, settings: { color: "green" } });
+        await loaded.save();
+
+        SqliteEntity.getEntityPool().flush();
+        const updated = await Product.findById(product.id);
+        assert.equal(updated.name, "Green apple");
+        assert.strictEqual(updated.enabled, false);
+        assert.deepEqual(updated.settings, { color: "green" });
+        assert.equal(updated.stock, 10);
+
+        await updated.delete();
+        assert.isNull(await Product.findById(product.id));
+        assert.equal(await Product.count(), 0);
+    });
+
+    it("must find entities using queries, search, sorting and pagination", async () => {
+        await createProducts();
+
+        const page = await Product.find({ sort: { price: -1 }, perPage: 2, page: 2 });
+        assert.deepEqual(names(page), ["Apple", "Banana"]);
+        assert.equal(page.getMeta().totalCount, 4);
+        assert.equal(page.getMeta().totalPages, 2);
+
+        assert.deepEqual(
+            names(
+                await Product.find({
+                    query: { enabled: true, stock: { $gt: 5 } },
+                    sort: { name: 1 }
+                })
+            ),
+            ["Apple", "Cherry", "Date"]
+        );
+        assert.deepEqual(
+            names(
+                await Product.find({
+                    query: { name: { $in: ["Date", "Banana"] } },
+                    sort: { name: 1 }
+                })
+            ),
+            ["Banana", "Date"]
+        );
+        assert.deepEqual(names(await Product.find({ search: { query: "AN", fields: ["name"] } })), [
+            "Banana"
+        ]);
+        assert.deepEqual(
+            names(await Product.find({ query: { name: { $regex: "^c", $options: "i" } } })),
+            ["Cherry"]
+        );
+
+        assert.equal((await Product.findOne({ query: { price: 3 } })).name, "Date");
+        assert.equal(await Product.count({ query: { enabled: false } }), 1);
+    });
+
+    it("must query and sort by values stored in JSON columns", async () => {
+        await createProducts();
+
+        assert.deepEqual(
+            names(await Product.find({ query: { "settings.color": "red" }, sort: { name: 1 } })),
+            ["Apple", "Cherry"]
+        );
+        assert.deepEqual(
+            names(await Product.find({ query: { "settings.size.weight": { $lt: 100 } } })),
+            ["Cherry"]
+        );
+        assert.deepEqual(
+            names(
+                await Product.find({
+                    query: { "settings.color": { $exists: true } },
+                    sort: { "settings.size.weight": -1 }
+                })
+            ),
+            ["Apple", "Cherry", "Banana"]
+        );
+        assert.deepEqual(
+            names(
+                await Product.find({
+                    query: { "settings.color": { $ne: "red" } },
+                    sort: { name: 1 }
+                })
+            ),
+            ["Banana", "Date"]
+        );
+    });
+
+    it("must reject JSON paths that could inject SQL", async () => {
+        await createProducts();
+
+        let error = null;
+        try {
+            await Product.find({ query: { "settings.color') OR 1=1 --": "red" } });
+        } catch (e) {
+            error = e;
+        }
+
+        assert.instanceOf(error, Error);
+        assert.match(error.message, /^Invalid JSON path segment/);
+    });
+
+    it("must commit changes made in a transaction", async () => {
+        await Product.transaction(async transaction => {
+            await new Product().populate({ name: "Apple" }).save({ transaction });
+            await new Product().populate({ name: "Banana" }).save({ transaction });
+        });
+
+        assert.equal(await Product.count(), 2);
+    });
+
+    it("must roll back changes made in a transaction if an error was thrown", async () => {
+        await new Product().populate({ name: "Apple", stock: 10 }).save();
+
+        let error = null;
+        try {
+            await Product.transaction(async transaction => {
+                const apple = await Product.findOne({ query: { name: "Apple" }, transaction });
+                apple.stock = 0;
+                await apple.save({ transaction });
+                await new Product().populate({ name: "Banana" }).save({ transaction });
+                throw new Error("Rollback.");
+            });
+        } catch (e) {
+            error = e;
+        }
+
+        assert.equal(error.message, "Rollback.");
+        SqliteEntity.getEntityPool().flush();
+        assert.equal(await Product.count(), 1);
+        assert.equal((await Product.findOne({ query: { name: "Apple" } })).stock, 10);
+    });
+});
@@ -0,0 +1,36 @@
+import { assert } from "chai";
+import SqlDriver from "./..";
+import SimpleEntity from "./entities/simpleEntity";
+
+describe("table name test", function() {
+    it("it should return classId as table name", async () => {
+        assert.equal(SimpleEntity.getDriver().getTableName(SimpleEntity), "SimpleEntity");
+
+        const entity = new SimpleEntity();
+        assert.equal(entity.getDriver().getTableName(entity), "SimpleEntity");
+    });
+
+    it("it should return tableName, defined on the class", async () => {
+        class CustomTableEntity extends SimpleEntity {}
+        CustomTableEntity.tableName = "SuperCustom";
+
+        assert.equal(CustomTableEntity.getDriver().getTableName(CustomTableEntity), "SuperCustom");
+    });
+
+    it("it should prepend prefix and apply table naming function", async () => {
+        const driver = new SqlDriver({ tables: { prefix: "webiny_" } });
+        assert.equal(driver.getTableName(SimpleEntity), "webiny_SimpleEntity");
+
+        driver.setTableNaming(({ classId, driver }) => driver.getTablePrefix() + classId + "s");
+        assert.equal(driver.getTableName(SimpleEntity), "webiny_SimpleEntitys");
+    });
+
+    it("should validate given ID correctly", async () => {
+        assert.isFalse(SimpleEntity.isId(123));
+        assert.isTrue(SimpleEntity.isId("01234567890123456789adee"));
+    });
+
+    it("should throw an error on unknown dialects", async () => {
+        assert.throws(() => new SqlDriver({ dialect: "oracle" }));
+    });
+});
@@ -0,0 +1,37 @@
+import { assert } from "chai";
+import sinon from "sinon";
+import SimpleEntity from "./entities/simpleEntity";
+import connection from "./connection";
+
+const sandbox = sinon.sandbox.create();
+
+describe("transaction test", function() {
+    afterEach(() => sandbox.restore());
+
+    it("must wrap queries with BEGIN and COMMIT", async () => {
+        const querySpy = sandbox.spy(connection, "query");
+
+        await SimpleEntity.transaction(async transaction => {
+            await new SimpleEntity().save({ transaction });
+        });
+
+        assert.equal(querySpy.callCount, 3);
+        assert.equal(querySpy.getCall(0).args[0], "BEGIN");
+        assert.match(querySpy.getCall(1).args[0], /^INSERT INTO/);
+        assert.equal(querySpy.getCall(2).args[0], "COMMIT");
+    });
+
+    it("must send ROLLBACK if an error was thrown", async () => {
+        const querySpy = sandbox.spy(connection, "query");
+
+        try {
+            await SimpleEntity.transaction(async () => {
+                throw new Error("Rollback.");
+            });
+        } catch (e) {
+            // Do nothing.
+        }
+
+        assert.equal(querySpy.getCall(1).args[0], "ROLLBACK");
+    });
+});
@@ -0,0 +1,270 @@
+// @flow
+import isPlainObject from "lodash/isPlainObject";
+import type Dialect, { ColumnType } from "./dialects/Dialect";
+
+export type SqlStatement = { sql: string, values: Array<mixed> };
+
+export type SelectOptions = {
+    query?: ?Object,
+    search?: ?{ query: string, fields: Array<string>, operator?: "and" | "or" },
+    sort?: ?Object,
+    limit?: number,
+    offset?: number
+};
+
+/**
+ * Holds values of a single statement, so that placeholders can be numbered correctly (eg. $1, $2 in PostgreSQL).
+ */
+class Statement {
+    dialect: Dialect;
+    values: Array<mixed>;
+
+    constructor(dialect: Dialect) {
+        this.dialect = dialect;
+        this.values = [];
+    }
+
+    value(value: mixed): string {
+        this.values.push(this.dialect.toStorage(value));
+        return this.dialect.placeholder(this.values.length);
+    }
+
+    /**
+     * Dot notation (eg. "settings.general.layout") is used to access values stored in JSON columns.
+     * Path segments end up in the JSON path literal, so only plain names are allowed.
+     */
+    column(name: string): string {
+        const [column, ...path] = name.split(".");
+        path.forEach(segment => {
+            if (!/^[A-Za-z0-9_]+$/.test(segment)) {
+                throw new Error(`Invalid JSON path segment "${segment}" in "${name}".`);
+            }
+        });
+
+        const escaped = this.dialect.escapeIdentifier(column);
+        return path.length ? this.dialect.jsonPath(escaped, path) : escaped;
+    }
+
+    where(query: ?Object): string {
+        if (!isPlainObject(query)) {
+            return "";
+        }
+
+        const conditions = [];
+        Object.keys((query: any)).forEach(key => {
+            const value = (query: any)[key];
+            if (key === "$and" || key === "$or") {
+                const parts = value
+                    .map(item => this.where(item))
+                    .filter(Boolean)
+                    .map(item => `(${item})`);
+
+                if (parts.length) {
+                    const group = parts.join(key === "$and" ? " AND " : " OR ");
+                    conditions.push(parts.length > 1 ? `(${group})` : group);
+                }
+                return;
+            }
+
+            if (isPlainObject(value) && Object.keys(value).some(name => name.startsWith("$"))) {
+                Object.keys(value)
+                    .filter(name => name !== "$options")
+                    .forEach(name => {
+                        conditions.push(this.operator(this.column(key), name, value[name], value));
+                    });
+                return;
+            }
+
+            conditions.push(this.operator(this.column(key), "$eq", value));
+        });
+
+        return conditions.join(" AND ");
+    }
+
+    operator(column: string, operator: string, value: any, operators: Object = {}): string {
+        switch (operator) {
+            case "$eq":
+                return value === null ? `${column} IS NULL` : `${column} = ${this.value(value)}`;
+            case "$ne":
+                // Same as in MongoDB, rows without the value are also matched.
+                return value === null
+                    ? `${column} IS NOT NULL`
+                    : `(${column} <> ${this.value(value)} OR ${column} IS NULL)`;
+            case "$gt":
+                return `${column} > ${this.value(value)}`;
+            case "$gte":
+                return `${column} >= ${this.value(value)}`;
+            case "$lt":
+                return `${column} < ${this.value(value)}`;
+            case "$lte":
+                return `${column} <= ${this.value(value)}`;
+            case "$in":
+                if (!value.length) {
+                    return "1 = 0";
+                }
+                return `${column} IN (${value.map(item => this.value(item)).join(", ")})`;
+            case "$nin":
+                if (!value.length) {
+                    return "1 = 1";
+                }
+                return `(${column} NOT IN (${value
+                    .map(item => this.value(item))
+                    .join(", ")}) OR ${column} IS NULL)`;
+            case "$exists":
+                return value ? `${column} IS NOT NULL` : `${column} IS NULL`;
+            case "$like":
+                return `${column} LIKE ${this.value(value)}`;
+            case "$regex":
+                return this.regex(column, value, operators.$options);
+            default:
+                throw new Error(`Query operator "${operator}" is not supported by the SQL driver.`);
+        }
+    }
+
+    /**
+     * Only simple regular expressions can be converted into LIKE comparisons (eg. "^abc.*" or ".*abc.*").
+     */
+    regex(column: string, regex: string | RegExp, options: ?string): string {
+        const source = regex instanceof RegExp ? regex.source : regex;
+        const flags = (regex instanceof RegExp ? regex.flags : "") + (options || "");
+
+        const pattern =
+            (source.startsWith("^") ? "" : "%") +
+            source
+                .replace(/^\^/, "")
+                .replace(/\$$/, "")
+                .replace(/\.\*/g, "%")
+                .replace(/\./g, "_") +
+            (source.endsWith("$") ? "" : "%");
+
+        if (/[[\](){}+?|\\]/.test(pattern)) {
+            throw new Error(
+                `Regular expression "${source}" cannot be converted into an SQL query.`
+            );
+        }
+
+        const placeholder = this.value(pattern.replace(/%%+/g, "%"));
+        return flags.includes("i")
+            ? this.dialect.like(column, placeholder)
+            : `${column} LIKE ${placeholder}`;
+    }
+
+    search(search: ?Object): string {
+        if (!search || !search.query) {
+            return "";
+        }
+
+        const { query, fields, operator } = search;
+        return fields
+            .map(field => this.dialect.like(this.column(field), this.value(`%${query}%`)))
+            .join(operator === "and" ? " AND " : " OR ");
+    }
+
+    orderBy(sort: ?Object): string {
+        if (!isPlainObject(sort)) {
+            return "";
+        }
+
+        return Object.keys((sort: any))
+            .map(key => `${this.column(key)} ${(sort: any)[key] < 0 ? "DESC" : "ASC"}`)
+            .join(", ");
+    }
+
+    filter(options: SelectOptions): string {
+        const conditions = [this.search(options.search), this.where(options.query)].filter(Boolean);
+
+        if (!conditions.length) {
+            return "";
+        }
+
+        return (
+            " WHERE " +
+            (conditions.length > 1 ? conditions.map(item => `(${item})`) : conditions).join(" AND ")
+        );
+    }
+}
+
+/**
+ * Translates Mongo-style query options (query, search, sort, limit / offset) into SQL statements.
+ */
+class QueryBuilder {
+    dialect: Dialect;
+
+    constructor(dialect: Dialect) {
+        this.dialect = dialect;
+    }
+
+    select(table: string, options: SelectOptions = {}): SqlStatement {
+        const statement = new Statement(this.dialect);
+        let sql = `SELECT * FROM ${this.dialect.escapeIdentifier(table)}`;
+        sql += statement.filter(options);
+
+        const orderBy = statement.orderBy(options.sort);
+        if (orderBy) {
+            sql += ` ORDER BY ${orderBy}`;
+        }
+
+        if (typeof options.limit === "number") {
+            sql += " " + this.dialect.limit(options.limit, options.offset || 0);
+        }
+
+        return { sql, values: statement.values };
+    }
+
+    count(table: string, options: SelectOptions = {}): SqlStatement {
+        const statement = new Statement(this.dialect);
+        const sql =
+            `SELECT COUNT(*) AS count FROM ${this.dialect.escapeIdentifier(table)}` +
+            statement.filter(options);
+
+        return { sql, values: statement.values };
+    }
+
+    insert(table: string, data: Object): SqlStatement {
+        const statement = new Statement(this.dialect);
+        const columns = Object.keys(data);
+        const sql =
+            `INSERT INTO ${this.dialect.escapeIdentifier(table)} ` +
+            `(${columns.map(name => this.dialect.escapeIdentifier(name)).join(", ")}) ` +
+            `VALUES (${columns.map(name => statement.value(data[name])).join(", ")})`;
+
+        return { sql, values: statement.values };
+    }
+
+    update(table: string, data: Object, query: Object): SqlStatement {
+        const statement = new Statement(this.dialect);
+        const set = Object.keys(data)
+            .map(name => `${this.dialect.escapeIdentifier(name)} = ${statement.value(data[name])}`)
+            .join(", ");
+
+        const sql =
+            `UPDATE ${this.dialect.escapeIdentifier(table)} SET ${set}` +
+            statement.filter({ query });
+
+        return { sql, values: statement.values };
+    }
+
+    delete(table: string, query: Object): SqlStatement {
+        const statement = new Statement(this.dialect);
+        const sql =
+            `DELETE FROM ${this.dialect.escapeIdentifier(table)}` + statement.filter({ query });
+        return { sql, values: statement.values };
+    }
+
+    createTable(table: string, columns: { [string]: ColumnType }): SqlStatement {
+        const definitions = Object.keys(columns).map(name => {
+            const definition = `${this.dialect.escapeIdentifier(name)} ${this.dialect.getColumnType(
+                columns[name]
+            )}`;
+            return name === "id" ? `${definition} NOT NULL PRIMARY KEY` : definition;
+        });
+
+        const sql = `CREATE TABLE IF NOT EXISTS ${this.dialect.escapeIdentifier(
+            table
+        )} (${definitions.join(", ")})`;
+
+        return { sql, values: [] };
+    }
+}
+
+export default QueryBuilder;
@@ -0,0 +1,315 @@
+// @flow
+import merge from "lodash/merge";
+import mdbid from "mdbid";
+import {
+    Driver,
+    QueryResult,
+    EntityModel,
+    EntityAttribute,
+    createPaginationMeta
+} from "webiny-entity";
+import {
+    CharAttribute,
+    BooleanAttribute,
+    IntegerAttribute,
+    FloatAttribute,
+    DateAttribute
+} from "webiny-model";
+import QueryBuilder from "./QueryBuilder";
+import { Dialect, SqliteDialect, MysqlDialect, PostgresDialect } from "./dialects";
+import type { ColumnType } from "./dialects/Dialect";
+import type { Connection } from "./connections";
+
+const dialects = {
+    sqlite: SqliteDialect,
+    mysql: MysqlDialect,
+    postgres: PostgresDialect
+};
+
+class SqlDriver extends Driver {
+    connection: Connection;
+    dialect: Dialect;
+    model: Class<EntityModel>;
+    tables: { prefix: string, naming: ?Function };
+
+    constructor(options: Object) {
+        super();
+        this.connection = options.connection;
+        this.model = options.model || EntityModel;
+
+        if (options.dialect instanceof Dialect) {
+            this.dialect = options.dialect;
+        } else {
+            const DialectClass = dialects[options.dialect || "sqlite"];
+            if (!DialectClass) {
+                throw new Error(`SQL dialect "${options.dialect}" is not supported.`);
+            }
+            this.dialect = new DialectClass();
+        }
+
+        this.tables = merge(
+            {
+                prefix: "",
+                naming: null
+            },
+            options.tables
+        );
+    }
+
+    onEntityConstruct(entity: Object) {
+        entity
+            .attr("id")
+            .char()
+            .setValidators((value, attribute) =>
+                this.isId(attribute.getParentModel().getParentEntity(), value)
+            );
+    }
+
+    getModelClass() {
+        return this.model;
+    }
+
+    async save(entity: Object) {
+        const builder = this.getQueryBuilder();
+        const table = this.getTableName(entity);
+
+        if (!entity.isExisting()) {
+            if (!entity.id) {
+                entity.id = SqlDriver.__generateID();
+            }
+
+            const data = await entity.toStorage();
+            data.id = entity.id;
+
+            try {
+                await this.query(builder.insert(table, data));
+                return new QueryResult(true);
+            } catch (e) {
+                entity.id && entity.getAttribute("id").reset();
+                throw e;
+            }
+        }
+
+        const data = await entity.toStorage();
+        if (Object.keys(data).length) {
+            await this.query(builder.update(table, data, { id: entity.id }));
+        }
+
+        return new QueryResult(true);
+    }
+
+    // eslint-disable-next-line
+    async delete(entity: Object, options: Object) {
+        await this.query(
+            this.getQueryBuilder().delete(this.getTableName(entity), { id: entity.id })
+        );
+        return new QueryResult(true);
+    }
+
+    async find(entity: Object, options: Object) {
+        if (options.aggregation) {
+            throw new Error("Aggregations are not supported by the SQL driver.");
+        }
+
+        const clonedOptions = SqlDriver.__prepareOptions({ limit: 10, offset: 0, ...options });
+        const builder = this.getQueryBuilder();
+        const table = this.getTableName(entity);
+
+        const results = await this.query(builder.select(table, clonedOptions));
+        const [count] = await this.query(builder.count(table, clonedOptions));
+
+        const meta = createPaginationMeta({
+            totalCount: count ? Number(count.count) : 0,
+            page: options.page,
+            perPage: options.perPage
+        });
+
+        const columns = this.getColumns(entity);
+        return new QueryResult(results.map(row => this.fromStorage(row, columns)), meta);
+    }
+
+    async findOne(entity: Object, options: Object) {
+        const clonedOptions = SqlDriver.__prepareOptions(options);
+        const [result] = await this.query(
+            this.getQueryBuilder().select(this.getTableName(entity), {
+                ...clonedOptions,
+                limit: 1,
+                offset: 0
+            })
+        );
+
+        return new QueryResult(
+            result ? this.fromStorage(result, this.getColumns(entity)) : undefined
+        );
+    }
+
+    async count(entity: Object, options: Object) {
+        const [count] = await this.query(
+            this.getQueryBuilder().count(this.getTableName(entity), options)
+        );
+
+        return new QueryResult(count ? Number(count.count) : 0);
+    }
+
+    /**
+     * Note: a single connection (not a pool) must be used, otherwise statements could be sent over different connections.
+     */
+    // eslint-disable-next-line
+    async startTransaction(transaction: Object) {
+        await this.query({ sql: "BEGIN", values: [] });
+    }
+
+    // eslint-disable-next-line
+    async commitTransaction(transaction: Object) {
+        await this.query({ sql: "COMMIT", values: [] });
+    }
+
+    // eslint-disable-next-line
+    async rollbackTransaction(transaction: Object) {
+        await this.query({ sql: "ROLLBACK", values: [] });
+    }
+
+    /**
+     * Creates a table for given entity class (if it doesn't already exist).
+     */
+    async createTable(entity: Object) {
+        await this.query(
+            this.getQueryBuilder().createTable(this.getTableName(entity), this.getColumns(entity))
+        );
+        return new QueryResult(true);
+    }
+
+    /**
+     * Returns column types of all attributes that are saved into the storage.
+     */
+    getColumns(entity: Object): { [string]: ColumnType } {
+        const instance = typeof entity === "function" ? new entity() : entity;
+        const attributes = instance.getAttributes();
+
+        const columns = {};
+        Object.keys(attributes).forEach(name => {
+            const attribute = attributes[name];
+            if (!attribute.getToStorage() || attribute.getDynamic()) {
+                return;
+            }
+
+            columns[name] = SqlDriver.__getColumnType(attribute);
+        });
+
+        columns.id = "id";
+        return columns;
+    }
+
+    fromStorage(row: Object, columns: { [string]: ColumnType }): Object {
+        const data = {};
+        Object.keys(row).forEach(name => {
+            data[name] = columns[name]
+                ? this.dialect.fromStorage(row[name], columns[name])
+                : row[name];
+        });
+        return data;
+    }
+
+    async query({ sql, values }: { sql: string, values: Array<mixed> }): Promise<Array<Object>> {
+        return (await this.getConnection().query(sql, values)) || [];
+    }
+
+    // eslint-disable-next-line
+    isId(entity: Object, value: mixed) {
+        if (typeof value === "string") {
+            return value.match(new RegExp("^[0-9a-fA-F]{24}$")) !== null;
+        }
+
+        return false;
+    }
+
+    getConnection(): Connection {
+        return this.connection;
+    }
+
+    getDialect(): Dialect {
+        return this.dialect;
+    }
+
+    getQueryBuilder(): QueryBuilder {
+        return new QueryBuilder(this.dialect);
+    }
+
+    setTablePrefix(tablePrefix: string) {
+        this.tables.prefix = tablePrefix;
+        return this;
+    }
+
+    getTablePrefix() {
+        return this.tables.prefix;
+    }
+
+    setTableNaming(tableNameValue: ?Function) {
+        this.tables.naming = tableNameValue;
+        return this;
+    }
+
+    getTableNaming() {
+        return this.tables.naming;
+    }
+
+    getTableName(entity: Object) {
+        const isClass = typeof entity === "function";
+        const params = {
+            classId: isClass ? entity.classId : entity.constructor.classId,
+            tableName: isClass ? entity.tableName : entity.constructor.tableName
+        };
+
+        const getTableName = this.getTableNaming();
+        if (typeof getTableName === "function") {
+            return getTableName({ entity, ...params, driver: this });
+        }
+
+        if (params.tableName) {
+            return this.tables.prefix + params.tableName;
+        }
+
+        return this.tables.prefix + params.classId;
+    }
+
+    static __prepareOptions(options: Object) {
+        const clonedOptions = { ...options };
+        if ("perPage" in clonedOptions) {
+            clonedOptions.limit = clonedOptions.perPage;
+            delete clonedOptions.perPage;
+        }
+
+        if ("page" in clonedOptions) {
+            clonedOptions.offset = clonedOptions.limit * (clonedOptions.page - 1);
+            delete clonedOptions.page;
+        }
+
+        return clonedOptions;
+    }
+
+    static __getColumnType(attribute: Object): ColumnType {
+        switch (true) {
+            case attribute instanceof EntityAttribute:
+                return "id";
+            case attribute instanceof CharAttribute:
+                return "char";
+            case attribute instanceof IntegerAttribute:
+                return "integer";
+            case attribute instanceof FloatAttribute:
+                return "float";
+            case attribute instanceof BooleanAttribute:
+                return "boolean";
+            case attribute instanceof DateAttribute:
+                return "date";
+            default:
+                // Objects, arrays, models and lists of entity IDs are stored as JSON.
+                return "json";
+        }
+    }
+
+    static __generateID() {
+        return mdbid();
+    }
+}
+
+export default SqlDriver;
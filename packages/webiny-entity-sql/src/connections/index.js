@@ -0,0 +1,45 @@
+// @flow
+/**
+ * Connection adapters - wrap a client of the given database library into a simple
+ * "{ query(sql, values): Promise<Array<Object>> }" interface the driver works with.
+ */
+export type Connection = {
+    query(sql: string, values: Array<mixed>): Promise<Array<Object>>
+};
+
+/**
+ * Wraps a "sqlite3" Database instance.
+ */
+export const sqlite = (database: Object): Connection => ({
+    query(sql, values) {
+        return new Promise((resolve, reject) => {
+            database.all(sql, values, (error, rows) => (error ? reject(error) : resolve(rows)));
+        });
+    }
+});
+
+/**
+ * Wraps a "mysql" connection or pool.
+ */
+export const mysql = (pool: Object): Connection => ({
+    query(sql, values) {
+        return new Promise((resolve, reject) => {
+            pool.query(sql, values, (error, results) => {
+                if (error) {
+                    return reject(error);
+                }
+                resolve(Array.isArray(results) ? results : []);
+            });
+        });
+    }
+});
+
+/**
+ * Wraps a "pg" client or pool.
+ */
+export const postgres = (client: Object): Connection => ({
+    async query(sql, values) {
+        const result = await client.query(sql, values);
+        return result.rows;
+    }
+});
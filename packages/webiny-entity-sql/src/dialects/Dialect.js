@@ -0,0 +1,91 @@
+// @flow
+import isPlainObject from "lodash/isPlainObject";
+
+export type ColumnType = "id" | "char" | "integer" | "float" | "boolean" | "date" | "json";
+
+/**
+ * Base dialect - contains everything that differs between SQL databases (identifier quoting,
+ * placeholders, column types, JSON access and value conversion). Defaults follow standard SQL.
+ */
+class Dialect {
+    escapeIdentifier(name: string): string {
+        return `"${name.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Returns placeholder for the value on given position (positions start from 1).
+     */
+    // eslint-disable-next-line
+    placeholder(position: number): string {
+        return "?";
+    }
+
+    limit(limit: number, offset: number): string {
+        return `LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
+    }
+
+    /**
+     * Returns a case insensitive LIKE comparison.
+     */
+    like(column: string, placeholder: string): string {
+        return `LOWER(${column}) LIKE LOWER(${placeholder})`;
+    }
+
+    /**
+     * Returns an expression which extracts a (scalar) value from a JSON column.
+     */
+    jsonPath(column: string, path: Array<string>): string {
+        return `json_extract(${column}, '$.${path.join(".")}')`;
+    }
+
+    getColumnType(type: ColumnType): string {
+        switch (type) {
+            case "id":
+                return "CHAR(24)";
+            case "integer":
+                return "INTEGER";
+            case "float":
+                return "DOUBLE PRECISION";
+            case "boolean":
+                return "BOOLEAN";
+            case "date":
+                return "TIMESTAMP";
+            case "json":
+                return "TEXT";
+            default:
+                return "VARCHAR(255)";
+        }
+    }
+
+    /**
+     * Converts a JS value into a value that can be sent to the database.
+     */
+    toStorage(value: mixed): mixed {
+        if (Array.isArray(value) || isPlainObject(value)) {
+            return JSON.stringify(value);
+        }
+        return value;
+    }
+
+    /**
+     * Converts a value received from the database into a value the entity attribute expects.
+     */
+    fromStorage(value: mixed, type: ColumnType): mixed {
+        if (value === null || typeof value === "undefined") {
+            return value;
+        }
+
+        switch (type) {
+            case "boolean":
+                return Boolean(value);
+            case "date":
+                return value instanceof Date ? value : new Date((value: any));
+            case "json":
+                return typeof value === "string" ? JSON.parse(value) : value;
+            default:
+                return value;
+        }
+    }
+}
+
+export default Dialect;
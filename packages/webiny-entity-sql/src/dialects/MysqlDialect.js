@@ -0,0 +1,30 @@
+// @flow
+import Dialect from "./Dialect";
+import type { ColumnType } from "./Dialect";
+
+class MysqlDialect extends Dialect {
+    escapeIdentifier(name: string): string {
+        return "`" + name.replace(/`/g, "``") + "`";
+    }
+
+    jsonPath(column: string, path: Array<string>): string {
+        return `JSON_UNQUOTE(JSON_EXTRACT(${column}, '$.${path.join(".")}'))`;
+    }
+
+    getColumnType(type: ColumnType): string {
+        switch (type) {
+            case "float":
+                return "DOUBLE";
+            case "boolean":
+                return "TINYINT(1)";
+            case "date":
+                return "DATETIME(3)";
+            case "json":
+                return "JSON";
+            default:
+                return super.getColumnType(type);
+        }
+    }
+}
+
+export default MysqlDialect;
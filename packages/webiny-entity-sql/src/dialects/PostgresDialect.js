@@ -0,0 +1,30 @@
+// @flow
+import Dialect from "./Dialect";
+import type { ColumnType } from "./Dialect";
+
+class PostgresDialect extends Dialect {
+    placeholder(position: number): string {
+        return "$" + position;
+    }
+
+    like(column: string, placeholder: string): string {
+        return `${column} ILIKE ${placeholder}`;
+    }
+
+    jsonPath(column: string, path: Array<string>): string {
+        return `${column}#>>'{${path.join(",")}}'`;
+    }
+
+    getColumnType(type: ColumnType): string {
+        switch (type) {
+            case "date":
+                return "TIMESTAMP WITH TIME ZONE";
+            case "json":
+                return "JSONB";
+            default:
+                return super.getColumnType(type);
+        }
+    }
+}
+
+export default PostgresDialect;
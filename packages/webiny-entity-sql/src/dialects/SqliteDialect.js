@@ -0,0 +1,32 @@
+// @flow
+import Dialect from "./Dialect";
+import type { ColumnType } from "./Dialect";
+
+class SqliteDialect extends Dialect {
+    getColumnType(type: ColumnType): string {
+        switch (type) {
+            case "integer":
+            case "boolean":
+                return "INTEGER";
+            case "float":
+                return "REAL";
+            default:
+                return "TEXT";
+        }
+    }
+
+    toStorage(value: mixed): mixed {
+        // SQLite has no boolean and date types - booleans are stored as 0 / 1, dates as ISO strings.
+        if (typeof value === "boolean") {
+            return value ? 1 : 0;
+        }
+
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+
+        return super.toStorage(value);
+    }
+}
+
+export default SqliteDialect;
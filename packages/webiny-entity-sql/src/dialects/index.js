@@ -0,0 +1,5 @@
+// @flow
+export { default as Dialect } from "./Dialect";
+export { default as SqliteDialect } from "./SqliteDialect";
+export { default as MysqlDialect } from "./MysqlDialect";
+export { default as PostgresDialect } from "./PostgresDialect";
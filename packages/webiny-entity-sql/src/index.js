@@ -0,0 +1,7 @@
+// @flow
+import { default as SqlDriver } from "./SqlDriver";
+
+export default SqlDriver;
+export { default as QueryBuilder } from "./QueryBuilder";
+export { Dialect, SqliteDialect, MysqlDialect, PostgresDialect } from "./dialects";
+export { sqlite, mysql, postgres } from "./connections";
@@ -0,0 +1,65 @@
+import { EntityWithLogs, EntityWithoutLogs } from "./entities/entityWithLogs";
+import { EntityError } from "webiny-entity";
+
+describe("savedOn precondition test", () => {
+    beforeEach(() => EntityWithLogs.getEntityPool().flush());
+
+    test("should save entity if it was not saved since given savedOn value", async () => {
+        const entity = new EntityWithLogs();
+        entity.name = "first";
+        await entity.save();
+
+        const savedOn = entity.savedOn;
+
+        entity.name = "second";
+        await entity.save({ savedOn: savedOn.toISOString() });
+        expect(entity.name).toBe("second");
+        expect(entity.savedOn).not.toBe(savedOn);
+    });
+
+    test("should throw CONFLICT error if entity was saved since given savedOn value", async () => {
+        const entity = new EntityWithLogs();
+        entity.name = "first";
+        await entity.save();
+
+        const savedOn = new Date(entity.savedOn.getTime() - 1000);
+
+        entity.name = "second";
+
+        let error = null;
+        try {
+            await entity.save({ savedOn });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).toBeInstanceOf(EntityError);
+        expect(error.code).toBe(EntityError.CONFLICT);
+        expect(error.data.savedOn).toBe(entity.savedOn);
+
+        // Entity must not be left in "processing" state.
+        expect(entity.processing).toBeNil();
+        await entity.save();
+        expect(entity.isDirty()).toBe(false);
+    });
+
+    test("should not check savedOn value if it was not passed or if entity is new", async () => {
+        const entity = new EntityWithLogs();
+        entity.name = "first";
+        await entity.save({ savedOn: new Date(0) });
+
+        entity.name = "second";
+        await entity.save();
+        expect(entity.isDirty()).toBe(false);
+    });
+
+    test("should not check savedOn value if logs are not enabled", async () => {
+        const entity = new EntityWithoutLogs();
+        entity.name = "first";
+        await entity.save();
+
+        entity.name = "second";
+        await entity.save({ savedOn: new Date(0) });
+        expect(entity.isDirty()).toBe(false);
+    });
+});
@@ -1,5 +1,6 @@
 import { EntityWithSoftDeletes, EntityWithoutSoftDeletes } from "./entities/softDeleteEntity";
 import { BooleanAttribute } from "webiny-model";
+import { EntityError } from "webiny-entity";
 import sinon from "sinon";
 
 const sandbox = sinon.sandbox.create();
@@ -183,4 +184,64 @@ describe("soft delete test", () => {
         });
         query.restore();
     });
+
+    test("should store deletion trail (deletedOn / deletedBy) when deleting", async () => {
+        const entity = new EntityWithSoftDeletes();
+        await entity.save();
+        entity.id = "123";
+
+        expect(entity.deletedOn).toEqual(null);
+        expect(entity.deletedBy).toEqual(null);
+
+        await entity.delete({ deletedBy: "user1" });
+        expect(entity.deleted).toEqual(true);
+        expect(entity.deletedOn).toBeInstanceOf(Date);
+        expect(entity.deletedBy).toEqual("user1");
+    });
+
+    test("should not populate deletion trail attributes", async () => {
+        const entity = new EntityWithSoftDeletes();
+        entity.populate({ deleted: true, deletedOn: new Date(), deletedBy: "user1" });
+        expect(entity.deleted).toEqual(false);
+        expect(entity.deletedOn).toEqual(null);
+        expect(entity.deletedBy).toEqual(null);
+    });
+
+    test("should restore a soft deleted entity and fire restore events", async () => {
+        const entity = new EntityWithSoftDeletes();
+        await entity.save();
+        entity.id = "123";
+        await entity.delete({ deletedBy: "user1" });
+
+        const deletedOn = entity.deletedOn;
+        const saveSpy = sandbox.spy(EntityWithSoftDeletes.getDriver(), "save");
+        const beforeRestore = sandbox.spy();
+        const afterRestore = sandbox.spy();
+        entity.on("beforeRestore", beforeRestore);
+        entity.on("afterRestore", afterRestore);
+
+        await entity.restore();
+
+        expect(entity.deleted).toEqual(false);
+        expect(entity.deletedOn).toEqual(null);
+        expect(entity.deletedBy).toEqual(null);
+        expect(saveSpy.callCount).toEqual(1);
+        expect(beforeRestore.callCount).toEqual(1);
+        expect(afterRestore.callCount).toEqual(1);
+        expect(afterRestore.getCall(0).args[0].deletedOn).toEqual(deletedOn);
+    });
+
+    test("should throw an error when restoring an entity that does not have soft delete enabled", async () => {
+        const entity = new EntityWithoutSoftDeletes();
+
+        let error = null;
+        try {
+            await entity.restore();
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).toBeInstanceOf(EntityError);
+        expect(error.code).toEqual(EntityError.SOFT_DELETE_NOT_ENABLED);
+    });
 });
@@ -0,0 +1,212 @@
+import { Entity, Driver, QueryResult } from "webiny-entity";
+import sinon from "sinon";
+
+const sandbox = sinon.sandbox.create();
+
+class TransactionDriver extends Driver {
+    async save(entity, params) {
+        if (!entity.id) {
+            entity.id = Math.random()
+                .toString(36)
+                .substring(2);
+        }
+        return new QueryResult(params.transaction);
+    }
+}
+
+class Invoice extends Entity {
+    constructor() {
+        super();
+        this.attr("total").integer();
+        this.on("afterSave", async ({ params }) => {
+            const item = new InvoiceItem();
+            await item.save({ transaction: params.transaction });
+        });
+    }
+}
+
+Invoice.classId = "Invoice";
+Invoice.driver = new TransactionDriver();
+
+class InvoiceItem extends Entity {
+    constructor() {
+        super();
+        this.attr("name")
+            .char()
+            .setDefaultValue("Item");
+    }
+}
+
+InvoiceItem.classId = "InvoiceItem";
+InvoiceItem.driver = Invoice.driver;
+
+class Order extends Entity {
+    constructor() {
+        super();
+        this.attr("item")
+            .entity(InvoiceItem)
+            .setAutoDelete();
+        this.attr("items").entities(InvoiceItem, "order");
+    }
+}
+
+Order.classId = "Order";
+Order.driver = Invoice.driver;
+
+describe("transaction test", () => {
+    afterEach(() => sandbox.restore());
+
+    test("must commit transaction and pass it to all operations, including ones from events", async () => {
+        const startSpy = sandbox.spy(Invoice.driver, "startTransaction");
+        const commitSpy = sandbox.spy(Invoice.driver, "commitTransaction");
+        const rollbackSpy = sandbox.spy(Invoice.driver, "rollbackTransaction");
+        const saveSpy = sandbox.spy(Invoice.driver, "save");
+        const findSpy = sandbox.spy(Invoice.driver, "find");
+
+        const result = await Invoice.transaction(async transaction => {
+            await new Invoice().populate({ total: 100 }).save({ transaction });
+            await Invoice.find({ query: { total: 1 }, transaction });
+            return "result";
+        });
+
+        expect(result).toBe("result");
+        expect(startSpy.callCount).toBe(1);
+        expect(commitSpy.callCount).toBe(1);
+        expect(rollbackSpy.callCount).toBe(0);
+
+        const transaction = startSpy.getCall(0).args[0];
+        expect(transaction.state).toBe("committed");
+        expect(saveSpy.callCount).toBe(2);
+        expect(saveSpy.getCall(0).args[1].transaction).toBe(transaction);
+        expect(saveSpy.getCall(1).args[0]).toBeInstanceOf(InvoiceItem);
+        expect(saveSpy.getCall(1).args[1].transaction).toBe(transaction);
+        expect(findSpy.getCall(0).args[1].transaction).toBe(transaction);
+        expect(findSpy.getCall(0).args[1].query).toEqual({ total: 1 });
+    });
+
+    test("nested transactions must join the active one", async () => {
+        const startSpy = sandbox.spy(Invoice.driver, "startTransaction");
+        const commitSpy = sandbox.spy(Invoice.driver, "commitTransaction");
+
+        await Invoice.transaction(async outer => {
+            await InvoiceItem.transaction(
+                async inner => {
+                    expect(inner).toBe(outer);
+                },
+                { transaction: outer }
+            );
+        });
+
+        expect(startSpy.callCount).toBe(1);
+        expect(commitSpy.callCount).toBe(1);
+
+        // Transaction that is no longer active cannot be joined.
+        const committed = startSpy.getCall(0).args[0];
+        await InvoiceItem.transaction(
+            async transaction => {
+                expect(transaction).not.toBe(committed);
+            },
+            { transaction: committed }
+        );
+        expect(startSpy.callCount).toBe(2);
+    });
+
+    test("linked entities that are saved or deleted automatically must receive the transaction", async () => {
+        const saveSpy = sandbox.spy(Invoice.driver, "save");
+        const deleteSpy = sandbox.spy(Invoice.driver, "delete");
+
+        const item = new InvoiceItem();
+        const listed = new InvoiceItem();
+        const order = new Order().populate({ item, items: [listed] });
+
+        let transaction = null;
+        await Order.transaction(async current => {
+            transaction = current;
+            await order.save({ transaction });
+            await order.delete({ transaction });
+        });
+
+        const transactionOf = (spy, entity) =>
+            spy.getCalls().find(call => call.args[0] === entity).args[1].transaction;
+
+        expect(transactionOf(saveSpy, item)).toBe(transaction);
+        expect(transactionOf(saveSpy, listed)).toBe(transaction);
+        expect(transactionOf(deleteSpy, item)).toBe(transaction);
+        expect(transactionOf(deleteSpy, order)).toBe(transaction);
+    });
+
+    test("must roll back and restore entities if an error was thrown", async () => {
+        const commitSpy = sandbox.spy(Invoice.driver, "commitTransaction");
+        const rollbackSpy = sandbox.spy(Invoice.driver, "rollbackTransaction");
+
+        const invoice = new Invoice().populate({ total: 100 });
+        let error = null;
+        try {
+            await Invoice.transaction(async transaction => {
+                await invoice.save({ transaction });
+                expect(Invoice.getEntityPool().has(invoice)).toBe(true);
+                throw new Error("Something went wrong.");
+            });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).toBe("Something went wrong.");
+        expect(commitSpy.callCount).toBe(0);
+        expect(rollbackSpy.callCount).toBe(1);
+        expect(rollbackSpy.getCall(0).args[0].state).toBe("rolledBack");
+        expect(invoice.isExisting()).toBe(false);
+        expect(Invoice.getEntityPool().has(invoice)).toBe(false);
+    });
+
+    test("operations executed outside of a transaction must not receive it", async () => {
+        const saveSpy = sandbox.spy(Invoice.driver, "save");
+        await new Invoice().populate({ total: 100 }).save();
+        expect(saveSpy.getCall(0).args[1].transaction).toBeUndefined();
+    });
+
+    test("overlapping transactions must not share state", async () => {
+        const saveSpy = sandbox.spy(Invoice.driver, "save");
+        const rollbackSpy = sandbox.spy(Invoice.driver, "rollbackTransaction");
+
+        let release;
+        const gate = new Promise(resolve => (release = resolve));
+
+        const firstItem = new InvoiceItem();
+        const first = Invoice.transaction(async transaction => {
+            await gate;
+            await firstItem.save({ transaction });
+            throw new Error("First failed.");
+        });
+
+        const secondItem = new InvoiceItem();
+        const second = Invoice.transaction(async transaction => {
+            await gate;
+            await secondItem.save({ transaction });
+            return transaction;
+        });
+
+        // Saved while both transactions are active, but not as a part of any of them.
+        const outsideItem = new InvoiceItem();
+        await outsideItem.save();
+
+        release();
+        await expect(first).rejects.toThrow("First failed.");
+        const secondTransaction = await second;
+
+        const transactionOf = entity =>
+            saveSpy.getCalls().find(call => call.args[0] === entity).args[1].transaction;
+
+        const firstTransaction = rollbackSpy.getCall(0).args[0];
+        expect(transactionOf(outsideItem)).toBeUndefined();
+        expect(transactionOf(firstItem)).toBe(firstTransaction);
+        expect(transactionOf(secondItem)).toBe(secondTransaction);
+        expect(firstTransaction).not.toBe(secondTransaction);
+        expect(secondTransaction.state).toBe("committed");
+
+        // Only entities of the rolled back transaction are reverted.
+        expect(firstItem.isExisting()).toBe(false);
+        expect(secondItem.isExisting()).toBe(true);
+        expect(outsideItem.isExisting()).toBe(true);
+    });
+});
@@ -9,6 +9,7 @@ export { default as EntityAttributesContainer } from "./src/entityAttributesCont
 export { default as QueryResult } from "./src/queryResult";
 export { default as createPaginationMeta } from "./src/createPaginationMeta";
 export { default as Driver } from "./src/driver";
+export { default as Transaction } from "./src/transaction";
 export { default as EventHandler } from "./src/eventHandler";
 
 // Attributes.
@@ -2,6 +2,7 @@
 import QueryResult from "./queryResult";
 import EntityModel from "./entityModel";
 import type Entity from "./entity";
+import type Transaction from "./transaction";
 import type {
     EntitySaveParams,
     EntityFindParams,
@@ -57,6 +58,19 @@ class Driver {
         return new QueryResult(0);
     }
 
+    /**
+     * Transaction methods - drivers that support transactions should store their data (eg. a session) into
+     * "transaction.data" and use it in all operations that receive the transaction via "params.transaction".
+     */
+    // eslint-disable-next-line
+    async startTransaction(transaction: Transaction): Promise<void> {}
+
+    // eslint-disable-next-line
+    async commitTransaction(transaction: Transaction): Promise<void> {}
+
+    // eslint-disable-next-line
+    async rollbackTransaction(transaction: Transaction): Promise<void> {}
+
     getConnection(): any {
         return this.connection;
     }
@@ -9,6 +9,7 @@ import EntityCollection from "./entityCollection";
 import EntityModel from "./entityModel";
 import EntityAttributesContainer from "./entityAttributesContainer";
 import QueryResult from "./queryResult";
+import Transaction from "./transaction";
 import { EntityError } from "./index";
 
 class Entity {
@@ -37,6 +38,8 @@ class Entity {
     updatedOn: ?Date;
     savedOn: ?Date;
     deleted: ?boolean;
+    deletedOn: ?Date;
+    deletedBy: ?string;
     constructor(): Entity {
         const proxy = new Proxy((this: Object), {
             set: (instance, key, value) => {
@@ -92,8 +95,18 @@ class Entity {
                 .boolean()
                 .setSkipOnPopulate()
                 .setValue(false);
+            this.attr("deletedOn")
+                .date()
+                .setSkipOnPopulate();
+            this.attr("deletedBy")
+                .char()
+                .setSkipOnPopulate();
 
-            this.on("beforeDelete", () => (proxy.deleted = true));
+            this.on("beforeDelete", ({ params }) => {
+                proxy.deleted = true;
+                proxy.deletedOn = new Date();
+                proxy.deletedBy = params.deletedBy || null;
+            });
         }
 
         this.on("delete", () => {
@@ -290,6 +303,11 @@ class Entity {
         if (!params) {
             params = {};
         }
+
+        if (params.transaction) {
+            params.transaction.track(this);
+        }
+
         const events = params.events || {};
         const existing = this.isExisting();
 
@@ -297,6 +315,10 @@ class Entity {
             return;
         }
 
+        if (existing && params.savedOn !== undefined) {
+            this.checkSavedOn(params.savedOn);
+        }
+
         this.processing = "save";
 
         if (existing) {
@@ -364,6 +386,25 @@ class Entity {
         events.afterSave !== false && (await this.emit("afterSave", { params }));
     }
 
+    /**
+     * Optimistic concurrency check - throws a CONFLICT error if the entity was saved after the given "savedOn" value
+     * was read (eg. by another user that was editing the same record). Entities without "logs" are not checked.
+     * @param savedOn
+     */
+    checkSavedOn(savedOn: ?(Date | string | number)): void {
+        if (!_.get(this, "constructor.crud.logs")) {
+            return;
+        }
+
+        const expected = savedOn ? new Date(savedOn).getTime() : null;
+        const current = this.savedOn ? this.savedOn.getTime() : null;
+        if (expected !== current) {
+            throw new EntityError("Record was changed since it was loaded.", EntityError.CONFLICT, {
+                savedOn: this.savedOn
+            });
+        }
+    }
+
     /**
      * Deletes current and all linked entities (if autoDelete on the attribute was enabled).
      * @param params
@@ -381,6 +422,10 @@ class Entity {
             params = {};
         }
 
+        if (params.transaction) {
+            params.transaction.track(this);
+        }
+
         try {
             const events = params.events || {};
             events.delete !== false && (await this.emit("delete", { params }));
@@ -410,6 +455,65 @@ class Entity {
         }
     }
 
+    /**
+     * Restores a soft deleted entity. Fires "beforeRestore" and "afterRestore" events, which can be used to restore
+     * linked entities that were deleted together with the current one.
+     * @param params
+     */
+    async restore(params: ?Object): Promise<void> {
+        if (!_.get(this, "constructor.crud.delete.soft")) {
+            throw new EntityError(
+                "Entity cannot be restored because soft delete is not enabled.",
+                EntityError.SOFT_DELETE_NOT_ENABLED
+            );
+        }
+
+        if (!params) {
+            params = {};
+        }
+
+        const events = params.events || {};
+        const deletedOn = this.deletedOn;
+
+        events.beforeRestore !== false && (await this.emit("beforeRestore", { params, deletedOn }));
+
+        this.deleted = false;
+        this.deletedOn = null;
+        this.deletedBy = null;
+        await this.save(params);
+
+        events.afterRestore !== false && (await this.emit("afterRestore", { params, deletedOn }));
+    }
+
+    /**
+     * Executes given callback in a transaction, which must be passed to all operations via "params.transaction".
+     * If an error is thrown, all changes made by the driver are rolled back. If an active transaction was passed
+     * via "params.transaction", the callback simply becomes a part of it.
+     * @param callback
+     * @param params
+     */
+    static async transaction<T>(
+        callback: (transaction: Transaction) => Promise<T>,
+        params: ?Object
+    ): Promise<T> {
+        const active = params && params.transaction;
+        if (active && active.isActive()) {
+            return callback(active);
+        }
+
+        const transaction = new Transaction(this.getDriver());
+        await this.getDriver().startTransaction(transaction);
+
+        try {
+            const result = await callback(transaction);
+            await transaction.commit();
+            return result;
+        } catch (e) {
+            await transaction.rollback();
+            throw e;
+        }
+    }
+
     /**
      * Finds a single entity matched by given ID.
      * @param id
@@ -429,8 +533,9 @@ class Entity {
             params = {};
         }
 
-        const newParams = _.merge(_.cloneDeep(params), { query: { id } });
-        return await this.findOne(newParams);
+        const { transaction, ...rest } = params;
+        const newParams = _.merge(_.cloneDeep(rest), { query: { id } });
+        return await this.findOne({ ...newParams, transaction });
     }
 
     /**
@@ -520,7 +625,7 @@ class Entity {
             .setMeta({ ...createPaginationMeta(), ...queryResult.getMeta() });
 
         const result: Array<Object> = (queryResult.getResult(): any);
-        if (result instanceof Array) {
+        if (Array.isArray(result)) {
             for (let i = 0; i < result.length; i++) {
                 const pooled = this.getEntityPool().get(this, result[i].id);
                 if (pooled) {
@@ -672,10 +777,17 @@ class Entity {
      * @private
      */
     static __prepareParams(params: Object) {
-        const clone = _.cloneDeep(params);
+        const { transaction, ...rest } = params;
+        const clone = _.cloneDeep(rest);
         if (_.get(this, "crud.delete.soft") === true) {
             _.set(clone, "query.deleted", _.get(clone, "query.deleted", { $ne: true }));
         }
+
+        // Transaction is passed as is - it must not be cloned.
+        if (transaction) {
+            clone.transaction = transaction;
+        }
+
         return clone;
     }
 }
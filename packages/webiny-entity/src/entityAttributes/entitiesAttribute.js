@@ -82,7 +82,7 @@ class EntitiesAttribute extends Attribute {
          * Same as in EntityAttribute, entities present here were already validated when parent entity called the validate method.
          * At this point, entities are ready to be saved (only loaded entities).
          */
-        this.parentEntity.on("__afterSave", async () => {
+        this.parentEntity.on("__afterSave", async ({ params }) => {
             if (this.getDynamic()) {
                 return;
             }
@@ -104,20 +104,20 @@ class EntitiesAttribute extends Attribute {
                     const entities = value.getCurrentLinks();
                     for (let i = 0; i < entities.length; i++) {
                         const current = ((entities[i]: any): Entity);
-                        await current.save({ validation: false });
+                        await current.save({ validation: false, transaction: params.transaction });
                     }
                 } else {
                     const entities = value.getCurrent();
                     for (let i = 0; i < entities.length; i++) {
                         const current = ((entities[i]: any): Entity);
-                        await current.save({ validation: false });
+                        await current.save({ validation: false, transaction: params.transaction });
                     }
                 }
 
                 if (this.getAutoDelete()) {
                     this.getUsingClass()
-                        ? await value.deleteInitialLinks()
-                        : await value.deleteInitial();
+                        ? await value.deleteInitialLinks({ transaction: params.transaction })
+                        : await value.deleteInitial({ transaction: params.transaction });
                 }
             }
 
@@ -149,7 +149,7 @@ class EntitiesAttribute extends Attribute {
             }
         });
 
-        this.parentEntity.on("beforeDelete", async () => {
+        this.parentEntity.on("beforeDelete", async ({ params }) => {
             if (this.getDynamic()) {
                 return;
             }
@@ -165,7 +165,10 @@ class EntitiesAttribute extends Attribute {
 
                 for (let i = 0; i < entities.current.length; i++) {
                     if (Entity.isInstanceOf(entities.current[i], entities.class)) {
-                        await entities.current[i].delete({ events: { delete: false } });
+                        await entities.current[i].delete({
+                            events: { delete: false },
+                            transaction: params.transaction
+                        });
                     }
                 }
             }
@@ -320,7 +323,7 @@ class EntitiesAttribute extends Attribute {
 
         for (let i = 0; i < value.length; i++) {
             const currentEntity = value[i];
-            if (!(Entity.isInstanceOf(currentEntity, correctClass))) {
+            if (!Entity.isInstanceOf(currentEntity, correctClass)) {
                 errors.push({
                     code: ModelError.INVALID_ATTRIBUTE,
                     data: {
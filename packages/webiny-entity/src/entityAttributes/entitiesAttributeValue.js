@@ -112,7 +112,7 @@ class EntitiesAttributeValue extends AttributeValue {
         return this.getCurrent().length > 0;
     }
 
-    async deleteInitial(): Promise<void> {
+    async deleteInitial(params: ?Object): Promise<void> {
         // If initial is empty, that means nothing was ever loaded (attribute was not accessed) and there is nothing to do.
         // Otherwise, deleteInitial method will internally delete only entities that are not needed anymore.
         if (!this.hasInitial()) {
@@ -126,7 +126,7 @@ class EntitiesAttributeValue extends AttributeValue {
             const currentInitial: mixed = initial[i];
             if (Entity.isEntityInstance(currentInitial)) {
                 if (!currentEntitiesIds.includes(currentInitial.id)) {
-                    await currentInitial.delete();
+                    await currentInitial.delete(params);
                 }
             }
         }
@@ -191,7 +191,7 @@ class EntitiesAttributeValue extends AttributeValue {
         return this;
     }
 
-    async deleteInitialLinks(): Promise<void> {
+    async deleteInitialLinks(params: ?Object): Promise<void> {
         // If initial is empty, that means nothing was ever loaded (attribute was not accessed) and there is nothing to do.
         // Otherwise, deleteInitial method will internally delete only entities that are not needed anymore.
         if (!this.hasInitialLinks()) {
@@ -206,7 +206,7 @@ class EntitiesAttributeValue extends AttributeValue {
             const initial = initialLinks[i];
             // $FlowFixMe
             if (!currentLinksIds.includes(initial.id)) {
-                Entity.isEntityInstance(initial) && (await initial.delete());
+                Entity.isEntityInstance(initial) && (await initial.delete(params));
             }
         }
     }
@@ -52,7 +52,7 @@ class EntityAttribute extends Attribute {
          * validation will be called internally in the save method. Save operations will be executed starting from bottom
          * nested entities, ending with the main parent entity.
          */
-        this.parentEntity.on("__beforeSave", async () => {
+        this.parentEntity.on("__beforeSave", async ({ params }) => {
             if (this.getDynamic()) {
                 return;
             }
@@ -66,14 +66,17 @@ class EntityAttribute extends Attribute {
                 // the validation of data to be executed recursively on all attribute values.
                 const current = this.value.getCurrent();
                 if (Entity.isEntityInstance(current)) {
-                    await current.save({ validation: false });
+                    await current.save({ validation: false, transaction: params.transaction });
                 }
 
                 // If initially we had a different entity linked, we must delete it.
                 // If initial is empty, that means nothing was ever loaded (attribute was not accessed) and there is nothing to do.
                 // Otherwise, deleteInitial method will internally delete only entities that are not needed anymore.
                 if (this.getAutoDelete()) {
-                    await value.deleteInitial(this.auto.delete.options);
+                    await value.deleteInitial({
+                        ...this.auto.delete.options,
+                        transaction: params.transaction
+                    });
                 }
             }
 
@@ -100,7 +103,7 @@ class EntityAttribute extends Attribute {
             }
         });
 
-        this.parentEntity.on("beforeDelete", async () => {
+        this.parentEntity.on("beforeDelete", async ({ params }) => {
             if (this.getAutoDelete()) {
                 const value = ((this.value: any): EntityAttributeValue);
                 await value.load();
@@ -108,7 +111,11 @@ class EntityAttribute extends Attribute {
                 if (Entity.isInstanceOf(entity, this.getEntityClass())) {
                     // We don't want to fire the "delete" event because its handlers were already executed by upper 'delete' listener.
                     // That listener ensured that all callbacks that might've had blocked the deleted process were executed.
-                    await entity.delete({ validation: false, events: { delete: false } });
+                    await entity.delete({
+                        validation: false,
+                        events: { delete: false },
+                        transaction: params.transaction
+                    });
                 }
             }
         });
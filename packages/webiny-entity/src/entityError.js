@@ -4,6 +4,8 @@ class EntityError extends Error {
     static CANNOT_DELETE_NO_ID: string;
     static MODEL_MISSING: string;
     static MAX_PER_PAGE_EXCEEDED: string;
+    static SOFT_DELETE_NOT_ENABLED: string;
+    static CONFLICT: string;
 
     message: string;
     data: ?Object;
@@ -21,5 +23,7 @@ EntityError.ATTRIBUTE_NOT_FOUND = "ATTRIBUTE_NOT_FOUND";
 EntityError.CANNOT_DELETE_NO_ID = "CANNOT_DELETE_NO_ID";
 EntityError.MODEL_MISSING = "MODEL_MISSING";
 EntityError.MAX_PER_PAGE_EXCEEDED = "MAX_PER_PAGE_EXCEEDED";
+EntityError.SOFT_DELETE_NOT_ENABLED = "SOFT_DELETE_NOT_ENABLED";
+EntityError.CONFLICT = "CONFLICT";
 
 export default EntityError;
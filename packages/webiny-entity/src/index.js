@@ -9,6 +9,7 @@ export { default as createPaginationMeta } from "./createPaginationMeta";
 export { default as EntityAttributesContainer } from "./entityAttributesContainer";
 export { default as QueryResult } from "./queryResult";
 export { default as Driver } from "./driver";
+export { default as Transaction } from "./transaction";
 export { default as EventHandler } from "./eventHandler";
 
 // Attributes.
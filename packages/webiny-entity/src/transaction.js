@@ -0,0 +1,57 @@
+// @flow
+import type Driver from "./driver";
+import type Entity from "./entity";
+
+/**
+ * Unit of work - entity operations that receive the transaction via "params.transaction" are executed as a part of
+ * it, so that drivers can execute them atomically. Event handlers receive the same params, so operations executed
+ * in them can join the transaction by passing "params.transaction" on.
+ */
+class Transaction {
+    driver: Driver;
+    state: "active" | "committed" | "rolledBack";
+    data: Object;
+    entities: Map<Entity, { existing: boolean }>;
+
+    constructor(driver: Driver) {
+        this.driver = driver;
+        this.state = "active";
+        this.data = {};
+        this.entities = new Map();
+    }
+
+    isActive(): boolean {
+        return this.state === "active";
+    }
+
+    /**
+     * Stores state of given entity, which is restored if transaction gets rolled back.
+     */
+    track(entity: Entity): this {
+        if (!this.entities.has(entity)) {
+            this.entities.set(entity, { existing: entity.isExisting() });
+        }
+        return this;
+    }
+
+    async commit(): Promise<void> {
+        await this.driver.commitTransaction(this);
+        this.state = "committed";
+    }
+
+    async rollback(): Promise<void> {
+        try {
+            await this.driver.rollbackTransaction(this);
+        } finally {
+            this.state = "rolledBack";
+
+            // Stored data was reverted, so the same must be done with entities that took part in the transaction.
+            this.entities.forEach(({ existing }, entity) => {
+                entity.getEntityPool().remove(entity);
+                entity.setExisting(existing);
+            });
+        }
+    }
+}
+
+export default Transaction;
@@ -1,3 +1,5 @@
+import type Transaction from "./transaction";
+
 export type OrderTuple = [string, number];
 
 export type EntityFindParams = {
@@ -5,16 +7,19 @@ export type EntityFindParams = {
     page?: number,
     perPage?: number,
     order?: Array<OrderTuple>,
-    includeDeleted?: boolean
+    includeDeleted?: boolean,
+    transaction?: Transaction
 };
 
 export type EntityFindOneParams = {
     query?: Object,
-    includeDeleted?: boolean
+    includeDeleted?: boolean,
+    transaction?: Transaction
 };
 
 export type EntitySaveParams = {
     validation?: boolean,
+    transaction?: Transaction,
     events?: {
         save?: boolean,
         beforeSave?: boolean,
@@ -28,6 +33,7 @@ export type EntitySaveParams = {
 
 export type EntityDeleteParams = {
     validation?: boolean,
+    transaction?: Transaction,
     permanent?: boolean,
     events?: {
         delete?: boolean,
@@ -2,7 +2,7 @@
 import _ from "lodash";
 import React from "react";
 
-const processTextPart = (part: string, values: Object, modifiers): any => {
+const processTextPart = (part: string, values: Object, i18n: Object): any => {
     if (!_.startsWith(part, "{")) {
         return part;
     }
@@ -20,9 +20,9 @@ const processTextPart = (part: string, values: Object, modifiers): any => {
     if (modifier) {
         let parameters = modifier.split(":");
         let name = parameters.shift();
-        if (modifiers[name]) {
-            const modifier = modifiers[name];
-            value = modifier.execute(value, parameters);
+        if (i18n.modifiers[name]) {
+            const modifier = i18n.modifiers[name];
+            value = modifier.execute(value, parameters, i18n);
         }
     }
 
@@ -47,7 +47,7 @@ export default {
             <i18n-text>
                 {parts.map((part, index) => (
                     <i18n-text-part key={index}>
-                        {processTextPart(part, data.values, data.i18n.modifiers)}
+                        {processTextPart(part, data.values, data.i18n)}
                     </i18n-text-part>
                 ))}
             </i18n-text>
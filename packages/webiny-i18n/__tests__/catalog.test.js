@@ -0,0 +1,134 @@
+import { I18n } from "webiny-i18n";
+import { createCatalog, getCatalogReport, getFormat, importCatalog } from "webiny-i18n/catalog";
+
+const source = {
+    "Cool.Namespace.2afb5c80": "Service {serviceName} saved!",
+    "Cool.Namespace.c83a0e79": 'Add "service" & <continue>',
+    "Cool.Namespace.557b5663": "Cancel"
+};
+
+const translations = {
+    "Cool.Namespace.2afb5c80": "Dienst {serviceName} gespeichert!",
+    "Cool.Namespace.c83a0e79": 'Dienst "hinzufügen" & <weiter>\nZweite Zeile'
+};
+
+describe("translation catalog test", () => {
+    test("should create catalog, sorted by key", () => {
+        const catalog = createCatalog({ source, translations, targetLocale: "de-DE" });
+
+        expect(catalog).toEqual({
+            sourceLocale: "en",
+            targetLocale: "de-DE",
+            entries: [
+                {
+                    key: "Cool.Namespace.2afb5c80",
+                    source: "Service {serviceName} saved!",
+                    target: "Dienst {serviceName} gespeichert!"
+                },
+                { key: "Cool.Namespace.557b5663", source: "Cancel", target: null },
+                {
+                    key: "Cool.Namespace.c83a0e79",
+                    source: 'Add "service" & <continue>',
+                    target: 'Dienst "hinzufügen" & <weiter>\nZweite Zeile'
+                }
+            ]
+        });
+    });
+
+    ["xliff", "po", "json"].forEach(name => {
+        test(`should serialize and parse "${name}" catalogs`, () => {
+            const format = getFormat(name);
+            const catalog = createCatalog({ source, translations, targetLocale: "de-DE" });
+
+            const content = format.serialize(catalog);
+            expect(typeof content).toBe("string");
+            expect(format.parse(content)).toEqual(catalog);
+        });
+    });
+
+    test("should write valid XLIFF 2.0 and PO files", () => {
+        const catalog = createCatalog({ source, translations, targetLocale: "de-DE" });
+
+        const xliff = getFormat("xlf").serialize(catalog);
+        expect(xliff).toContain(
+            '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="de-DE">'
+        );
+        expect(xliff).toContain('<unit id="Cool.Namespace.c83a0e79">');
+        expect(xliff).toContain("<source>Add &quot;service&quot; &amp; &lt;continue&gt;</source>");
+
+        const po = getFormat("po").serialize(catalog);
+        expect(po).toContain('"Language: de-DE\\n"');
+        expect(po).toContain(
+            ['msgctxt "Cool.Namespace.557b5663"', 'msgid "Cancel"', 'msgstr ""'].join("\n")
+        );
+    });
+
+    test("should parse PO values that span multiple lines", () => {
+        const catalog = getFormat("po").parse(
+            [
+                'msgid ""',
+                'msgstr ""',
+                '"Language: fr\\n"',
+                "",
+                "#: Cool.Namespace",
+                'msgctxt "Cool.Namespace.557b5663"',
+                'msgid "Cancel"',
+                'msgstr ""',
+                '"Annu"',
+                '"ler"'
+            ].join("\n")
+        );
+
+        expect(catalog).toEqual({
+            sourceLocale: "en",
+            targetLocale: "fr",
+            entries: [{ key: "Cool.Namespace.557b5663", source: "Cancel", target: "Annuler" }]
+        });
+    });
+
+    test("should throw on unsupported format", () => {
+        expect(() => getFormat("csv")).toThrow('Catalog format "csv" is not supported.');
+    });
+
+    test("should report missing, stale and new keys", () => {
+        const catalog = createCatalog({ source, translations });
+        const current = {
+            "Cool.Namespace.557b5663": "Cancel",
+            "Cool.Namespace.c83a0e79": 'Add "service" & <continue>',
+            "Cool.Namespace.b871e64": "Add"
+        };
+
+        expect(getCatalogReport(catalog, current)).toEqual({
+            missing: ["Cool.Namespace.557b5663"],
+            stale: ["Cool.Namespace.2afb5c80"],
+            new: ["Cool.Namespace.b871e64"]
+        });
+    });
+
+    test("should import translated entries, skipping stale ones", () => {
+        const i18n = new I18n();
+        i18n.setTranslation("Other.Namespace.abc", "Existing");
+
+        const catalog = createCatalog({ source, translations });
+        const report = importCatalog(i18n, catalog, {
+            "Cool.Namespace.557b5663": "Cancel",
+            "Cool.Namespace.c83a0e79": 'Add "service" & <continue>'
+        });
+
+        expect(report).toEqual({
+            missing: ["Cool.Namespace.557b5663"],
+            stale: ["Cool.Namespace.2afb5c80"],
+            new: []
+        });
+
+        expect(i18n.getTranslations()).toEqual({
+            "Other.Namespace.abc": "Existing",
+            "Cool.Namespace.c83a0e79": 'Dienst "hinzufügen" & <weiter>\nZweite Zeile'
+        });
+
+        importCatalog(i18n, catalog);
+        expect(i18n.getTranslation("Cool.Namespace.2afb5c80")).toBe(
+            "Dienst {serviceName} gespeichert!"
+        );
+    });
+});
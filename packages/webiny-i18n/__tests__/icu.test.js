@@ -0,0 +1,140 @@
+import { I18n, defaultProcessor, icuProcessor } from "webiny-i18n";
+import modifiers from "webiny-i18n/modifiers";
+import getPluralCategory from "webiny-i18n/processors/icu/plurals";
+import parse from "webiny-i18n/processors/icu/parser";
+
+const i18n = new I18n();
+i18n.registerModifiers(modifiers);
+i18n.registerProcessors([defaultProcessor, icuProcessor]);
+i18n.setNamespaceProcessor("Icu", "icu");
+
+const t = i18n.namespace("Icu.Namespace");
+const d = i18n.namespace("Default.Namespace");
+
+describe("ICU MessageFormat processor test", () => {
+    beforeEach(() => {
+        i18n.clearTranslations();
+        i18n.setLocale("en");
+    });
+
+    test("should only be used for assigned namespaces", () => {
+        expect(i18n.getNamespaceProcessor("Icu.Namespace")).toBe("icu");
+        expect(i18n.getNamespaceProcessor("Icu")).toBe("icu");
+        expect(i18n.getNamespaceProcessor("Icus.Namespace")).toBe(null);
+
+        expect(d`Hello {name|if:John:Boss:Guest}`({ name: "John" })).toBe("Hello Boss");
+        expect(t`Hello {name}!`({ name: "John" })).toBe("Hello John!");
+        expect(t`It''s '{literal}' text`({})).toBe("It's {literal} text");
+    });
+
+    test("should format plurals with exact matches, offset and nested arguments", () => {
+        const message = t`{count, plural, offset:1 =0 {Nobody} =1 {{name}} one {{name} and # other} other {{name} and # others}}`;
+
+        expect(message({ count: 0, name: "Ana" })).toBe("Nobody");
+        expect(message({ count: 1, name: "Ana" })).toBe("Ana");
+        expect(message({ count: 2, name: "Ana" })).toBe("Ana and 1 other");
+        expect(message({ count: 1001, name: "Ana" })).toBe("Ana and 1,000 others");
+    });
+
+    test("should use CLDR plural categories of current locale", () => {
+        i18n.setTranslation(
+            "Icu.Namespace." +
+                require("short-hash")("{count, plural, one {# file} other {# files}}"),
+            "{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}"
+        );
+
+        const message = t`{count, plural, one {# file} other {# files}}`;
+        i18n.setLocale("pl");
+        expect(message({ count: 1 })).toBe("1 plik");
+        expect(message({ count: 3 })).toBe("3 pliki");
+        expect(message({ count: 5 })).toBe("5 plików");
+        expect(message({ count: 22 })).toBe("22 pliki");
+        expect(message({ count: 1.5 })).toBe("1,5 pliku");
+    });
+
+    test("should format select and selectordinal", () => {
+        const message = t`{gender, select, female {She} male {He} other {They}} finished {place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}.`;
+
+        expect(message({ gender: "female", place: 1 })).toBe("She finished 1st.");
+        expect(message({ gender: "male", place: 22 })).toBe("He finished 22nd.");
+        expect(message({ gender: "x", place: 13 })).toBe("They finished 13th.");
+        expect(message({ gender: "x", place: 103 })).toBe("They finished 103rd.");
+    });
+
+    test("should format numbers and number skeletons", () => {
+        expect(t`{n, number}`({ n: 1234.5 })).toBe("1,234.5");
+        expect(t`{n, number, integer}`({ n: 1234.5 })).toBe("1,235");
+        expect(t`{n, number, percent}`({ n: 0.25 })).toBe("25%");
+        expect(t`{n, number, ::currency/EUR .00}`({ n: 5 })).toBe("€5.00");
+        expect(t`{n, number, ::percent .0}`({ n: 12.34 })).toBe("12.3%");
+        expect(t`{n, number, ::compact-short}`({ n: 1500 })).toBe("1.5K");
+        expect(t`{n, number, ::group-off precision-integer}`({ n: 12345.6 })).toBe("12346");
+
+        i18n.setLocale("de-DE");
+        expect(t`{n, number, ::currency/EUR}`({ n: 1234.5 })).toBe("1.234,50\u00a0€");
+    });
+
+    test("should format dates and date skeletons", () => {
+        const date = new Date(Date.UTC(2019, 4, 17, 12, 30));
+        const zone = i18n.namespace("Icu.Dates");
+
+        expect(zone`{date, date, long}`({ date })).toBe("May 17, 2019");
+        expect(zone`{date, date, ::yMMMd}`({ date })).toBe("May 17, 2019");
+        expect(zone`{date, date, ::EEEEMMMMd}`({ date })).toBe("Friday, May 17");
+
+        i18n.setLocale("fr");
+        expect(zone`{date, date, ::yMMMMd}`({ date })).toBe("17 mai 2019");
+    });
+
+    test("should fall back to the original text if translation is invalid", () => {
+        const base = "{count, plural, one {# item} other {# items}}";
+        i18n.setTranslation(
+            "Icu.Namespace." + require("short-hash")(base),
+            "{count, plural, one {#}"
+        );
+        expect(t`{count, plural, one {# item} other {# items}}`({ count: 2 })).toBe("2 items");
+    });
+
+    test("should throw descriptive errors for invalid messages", () => {
+        expect(() => parse("{count, plural, one {# item}}")).toThrow(
+            `Invalid ICU message "{count, plural, one {# item}}": expected "other" option`
+        );
+        expect(() => parse("{count, unknown}")).toThrow("expected argument type");
+        expect(() => parse("{count")).toThrow("found end of message");
+    });
+});
+
+describe("CLDR plural rules test", () => {
+    test("should return categories from built-in rules", () => {
+        const PluralRules = Intl.PluralRules;
+        delete Intl.PluralRules;
+
+        try {
+            expect(
+                ["ru", "ru", "ru", "ru"].map((l, i) => getPluralCategory(l, [1, 3, 5, 21][i]))
+            ).toEqual(["one", "few", "many", "one"]);
+            expect([0, 1, 2, 3, 11, 100].map(n => getPluralCategory("ar-EG", n))).toEqual([
+                "zero",
+                "one",
+                "two",
+                "few",
+                "many",
+                "other"
+            ]);
+            expect(getPluralCategory("fr", 0)).toBe("one");
+            expect(getPluralCategory("ja", 1)).toBe("other");
+            expect(getPluralCategory("xx", 1)).toBe("one");
+            expect(getPluralCategory("cs", 1.5)).toBe("many");
+            expect([1, 2, 3, 4, 11, 23].map(n => getPluralCategory("en-US", n, true))).toEqual([
+                "one",
+                "two",
+                "few",
+                "other",
+                "other",
+                "few"
+            ]);
+        } finally {
+            Intl.PluralRules = PluralRules;
+        }
+    });
+});
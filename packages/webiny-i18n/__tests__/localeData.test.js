@@ -0,0 +1,93 @@
+import { I18n, defaultProcessor } from "webiny-i18n";
+import modifiers from "webiny-i18n/modifiers";
+
+const date = new Date(2019, 4, 7, 15, 30);
+
+const createI18n = () => {
+    const i18n = new I18n();
+    i18n.registerModifiers(modifiers);
+    i18n.registerProcessor(defaultProcessor);
+    return i18n;
+};
+
+describe("locale data test", () => {
+    test("should use default formats until locale pack is loaded", async () => {
+        const i18n = createI18n();
+        i18n.setLocale("de-DE");
+
+        expect(i18n.getLocaleData()).toBeNull();
+        expect(i18n.number(1234.5)).toBe("1,234.50");
+
+        const data = await i18n.loadLocaleData();
+        expect(data.code).toBe("de");
+        expect(i18n.getLocaleData()).toBe(data);
+    });
+
+    test("should format dates, numbers and prices using locale pack", async () => {
+        const i18n = createI18n();
+        await i18n.setLocale("de-DE").loadLocaleData();
+
+        expect(i18n.date(date)).toBe("07.05.2019");
+        expect(i18n.dateTime(date)).toBe("07.05.2019 15:30");
+        expect(i18n.date(date, "dddd, D. MMMM YYYY")).toBe("Dienstag, 7. Mai 2019");
+        expect(i18n.number(1234.5)).toBe("1.234,50");
+        expect(i18n.price(1234.5, { symbol: "€" })).toBe("1.234,50 €");
+        expect(i18n.getFirstDayOfWeek()).toBe(1);
+
+        await i18n.setLocale("en").loadLocaleData();
+        expect(i18n.dateTime(date)).toBe("05/07/2019 03:30 PM");
+        expect(i18n.price(1234.5, { symbol: "$" })).toBe("$1,234.50");
+        expect(i18n.getFirstDayOfWeek()).toBe(0);
+    });
+
+    test("modifiers should use locale of the instance processing the text", async () => {
+        const i18n = createI18n();
+        await i18n.setLocale("fr").loadLocaleData();
+
+        const t = i18n.namespace("Locale.Test");
+        expect(t`Sent on {date|date}, total {total|number}`({ date, total: 1234.5 })).toBe(
+            "Sent on 07/05/2019, total 1 234,50"
+        );
+    });
+
+    test("should fall back to language and support registered packs", async () => {
+        const i18n = createI18n();
+
+        expect((await i18n.loadLocaleData("en-GB")).code).toBe("en-GB");
+        expect((await i18n.loadLocaleData("pt-PT")).code).toBe("pt");
+        expect(await i18n.loadLocaleData("xx")).toBeNull();
+
+        i18n.registerLocale("xx", () =>
+            Promise.resolve({ ...require("webiny-i18n/locales/en").default, code: "xx" })
+        );
+        await i18n.setLocale("xx").loadLocaleData();
+        expect(i18n.getLocaleData().code).toBe("xx");
+    });
+
+    test("should ignore pack of previously selected locale", async () => {
+        const i18n = createI18n();
+        const loading = i18n.setLocale("ru").loadLocaleData();
+        i18n.setLocale("xx");
+        await loading;
+
+        expect(i18n.getLocaleData()).toBeNull();
+    });
+
+    test("should use default formats if locale pack fails to load and load it again later", async () => {
+        const i18n = createI18n();
+        const loader = jest
+            .fn()
+            .mockImplementationOnce(() => Promise.reject(new Error("Network error.")))
+            .mockImplementationOnce(() => import("webiny-i18n/locales/de"));
+        i18n.registerLocale("xx", loader);
+
+        i18n.setLocale("xx");
+        await expect(i18n.loadLocaleData()).rejects.toThrow("Network error.");
+        expect(i18n.getLocaleData()).toBeNull();
+        expect(i18n.number(1234.5)).toBe("1,234.50");
+
+        await i18n.setLocale("xx").loadLocaleData();
+        expect(loader).toHaveBeenCalledTimes(2);
+        expect(i18n.number(1234.5)).toBe("1.234,50");
+    });
+});
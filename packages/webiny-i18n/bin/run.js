@@ -7,4 +7,5 @@ const args = {
 };
 
 const extractor = new Extractor();
-extractor.setGlob(args.glob).execute();
+const results = extractor.setGlob(args.glob).execute();
+process.stdout.write(JSON.stringify(results, null, 2) + "\n");
@@ -2,6 +2,7 @@
 import I18n from "./src/I18n";
 
 export { default as defaultProcessor } from "./src/processors/default";
+export { default as icuProcessor } from "./src/processors/icu";
 export { I18n };
 
 export { default } from "./src";
@@ -4,7 +4,8 @@ import hash from "short-hash";
 import fecha from "fecha";
 import accounting from "accounting";
 
-import type { Modifier, Processor } from "./types";
+import locales from "./locales";
+import type { Modifier, Processor, LocaleData, LocaleLoader } from "./types";
 
 /**
  * Main class used for all I18n needs.
@@ -15,6 +16,10 @@ class I18N {
     translations: Object;
     modifiers: Object;
     processors: Object;
+    namespaceProcessors: { [namespace: string]: string };
+    localeData: ?LocaleData;
+    localeLoaders: { [code: string]: LocaleLoader };
+    loadedLocales: { [code: string]: Promise<?LocaleData> };
 
     constructor() {
         this.locale = null;
@@ -43,6 +48,30 @@ class I18N {
          * @type {{}}
          */
         this.processors = {};
+
+        /**
+         * Processors assigned to namespaces (eg. {"Webiny.Cms": "icu"}), used instead of the first matching one.
+         * @type {{}}
+         */
+        this.namespaceProcessors = {};
+
+        /**
+         * Data of currently selected locale (names, formats...) - null until the locale pack is loaded.
+         * @type {null}
+         */
+        this.localeData = null;
+
+        /**
+         * Locale packs that can be loaded, built-in ones and the ones registered with "registerLocale".
+         * @type {{}}
+         */
+        this.localeLoaders = { ...locales };
+
+        /**
+         * Locale packs that were already loaded (or are being loaded).
+         * @type {{}}
+         */
+        this.loadedLocales = {};
     }
 
     translate(base: string, namespace: ?string): mixed | Function {
@@ -65,17 +94,24 @@ class I18N {
         const hasVariables = base.includes("{") && base.includes("}");
         if (hasVariables) {
             return (values: Object) => {
-                const data = { translation, base, namespace, values, i18n: this };
-                for (let key in this.processors) {
-                    if (this.processors[key].canExecute(data)) {
-                        return this.processors[key].execute(data);
-                    }
-                }
-                return null;
+                return this.process({ translation, base, namespace, values, i18n: this });
             };
         }
 
-        const data = { translation, base, namespace, values: {}, i18n: this };
+        return this.process({ translation, base, namespace, values: {}, i18n: this });
+    }
+
+    /**
+     * Outputs text using the processor assigned to its namespace or, if none was assigned, the first
+     * processor that can handle given values.
+     * @param data
+     */
+    process(data: Object): mixed {
+        const assigned = this.getNamespaceProcessor(data.namespace);
+        if (assigned && this.processors[assigned]) {
+            return this.processors[assigned].execute(data);
+        }
+
         for (let key in this.processors) {
             if (this.processors[key].canExecute(data)) {
                 return this.processors[key].execute(data);
@@ -107,10 +143,10 @@ class I18N {
         }
 
         if (!(value instanceof Date)) {
-            value = fecha.parse(value, inputFormat);
+            value = fecha.parse(value, inputFormat, this.getDateNames());
         }
 
-        return fecha.format(value, outputFormat);
+        return fecha.format(value, outputFormat, this.getDateNames());
     }
 
     /**
@@ -130,10 +166,10 @@ class I18N {
         }
 
         if (!(value instanceof Date)) {
-            value = fecha.parse(value, inputFormat);
+            value = fecha.parse(value, inputFormat, this.getDateNames());
         }
 
-        return fecha.format(value, outputFormat);
+        return fecha.format(value, outputFormat, this.getDateNames());
     }
 
     /**
@@ -153,10 +189,10 @@ class I18N {
         }
 
         if (!(value instanceof Date)) {
-            value = fecha.parse(value, inputFormat);
+            value = fecha.parse(value, inputFormat, this.getDateNames());
         }
 
-        return fecha.format(value, outputFormat);
+        return fecha.format(value, outputFormat, this.getDateNames());
     }
 
     /**
@@ -168,7 +204,7 @@ class I18N {
         if (!outputFormat) {
             outputFormat = this.getPriceFormat();
         } else {
-            outputFormat = _.assign({}, this.defaultFormats.price, outputFormat);
+            outputFormat = _.assign({}, this.getPriceFormat(), outputFormat);
         }
 
         // Convert placeholders to accounting's placeholders.
@@ -195,7 +231,7 @@ class I18N {
         if (!outputFormat) {
             outputFormat = this.getNumberFormat();
         } else {
-            outputFormat = _.assign({}, this.defaultFormats.number, outputFormat);
+            outputFormat = _.assign({}, this.getNumberFormat(), outputFormat);
         }
         return accounting.formatNumber(
             value,
@@ -276,13 +312,78 @@ class I18N {
     }
 
     /**
-     * Sets current locale.
+     * Sets current locale. Locale pack (if one exists) is loaded in the background, use "loadLocaleData" to
+     * wait until it's loaded.
      */
     setLocale(locale: string): I18N {
         this.locale = locale;
+        this.localeData = null;
+        // If the pack fails to load, default formats are used (the error is still passed to "loadLocaleData" callers).
+        this.loadLocaleData(locale).catch(() => null);
+        return this;
+    }
+
+    /**
+     * Loads locale pack of given locale (current locale by default). Packs are searched by full locale code
+     * first (eg. "en-gb"), then by language ("en"). Resolves with null if no pack exists. If loading fails,
+     * default formats stay in use and the pack is loaded again on the next call.
+     * @param locale
+     */
+    loadLocaleData(locale: ?string = this.locale): Promise<?LocaleData> {
+        if (!locale) {
+            return Promise.resolve(null);
+        }
+
+        const code = locale.toLowerCase().replace("_", "-");
+        if (!this.loadedLocales[code]) {
+            const loader = this.localeLoaders[code] || this.localeLoaders[code.split("-")[0]];
+            this.loadedLocales[code] = loader
+                ? loader().then(
+                      data => (data.default ? data.default : data),
+                      error => {
+                          delete this.loadedLocales[code];
+                          throw error;
+                      }
+                  )
+                : Promise.resolve(null);
+        }
+
+        return this.loadedLocales[code].then(data => {
+            // Locale could have been changed in the meantime.
+            if (this.locale === locale) {
+                this.localeData = data;
+            }
+            return data;
+        });
+    }
+
+    /**
+     * Registers locale pack loader, eg. `i18n.registerLocale("de-at", () => import("./de-AT"))`.
+     * @param code
+     * @param loader
+     * @returns {I18N}
+     */
+    registerLocale(code: string, loader: LocaleLoader): I18N {
+        code = code.toLowerCase();
+        this.localeLoaders[code] = loader;
+        delete this.loadedLocales[code];
         return this;
     }
 
+    /**
+     * Returns data of currently selected locale, or null if it's not loaded (or doesn't exist).
+     */
+    getLocaleData(): ?LocaleData {
+        return this.localeData;
+    }
+
+    /**
+     * Returns first day of the week of current locale (0 - Sunday, 1 - Monday, ...).
+     */
+    getFirstDayOfWeek(): number {
+        return _.get(this.localeData, "firstDayOfWeek", 0);
+    }
+
     /**
      * Registers single modifier.
      * @returns {I18N}
@@ -341,6 +442,38 @@ class I18N {
         return this;
     }
 
+    /**
+     * Assigns processor to given namespace and all of its child namespaces (eg. "Webiny.Cms" also applies to
+     * "Webiny.Cms.Editor"). Pass null to remove the assignment.
+     * @param namespace
+     * @param processor
+     * @returns {I18N}
+     */
+    setNamespaceProcessor(namespace: string, processor: ?string): I18N {
+        if (processor) {
+            this.namespaceProcessors[namespace] = processor;
+        } else {
+            delete this.namespaceProcessors[namespace];
+        }
+        return this;
+    }
+
+    /**
+     * Returns name of the processor assigned to given namespace (or the closest parent namespace).
+     * @param namespace
+     */
+    getNamespaceProcessor(namespace: string): ?string {
+        const parts = namespace.split(".");
+        while (parts.length) {
+            const processor = this.namespaceProcessors[parts.join(".")];
+            if (processor) {
+                return processor;
+            }
+            parts.pop();
+        }
+        return null;
+    }
+
     /**
      * Returns default formats
      * @returns {{date: string, time: string, datetime: string, number: string}}
@@ -369,35 +502,59 @@ class I18N {
      * Returns current format to be used when outputting dates.
      */
     getDateFormat(): string {
-        return _.get(this.locale, "formats.date", this.defaultFormats.date);
+        return _.get(this.localeData, "formats.date", this.defaultFormats.date);
     }
 
     /**
      * Returns current format to be used when outputting time.
      */
     getTimeFormat(): string {
-        return _.get(this.locale, "formats.time", this.defaultFormats.time);
+        return _.get(this.localeData, "formats.time", this.defaultFormats.time);
     }
 
     /**
      * Returns current format to be used when outputting date/time.
      */
     getDateTimeFormat(): string {
-        return _.get(this.locale, "formats.datetime", this.defaultFormats.datetime);
+        return _.get(this.localeData, "formats.datetime", this.defaultFormats.datetime);
+    }
+
+    /**
+     * Returns month / day names of current locale, in the format used by "fecha". If locale data is not
+     * loaded, null is returned and default (English) names are used.
+     */
+    getDateNames(): ?Object {
+        if (!this.localeData) {
+            return null;
+        }
+
+        const { monthNames, monthNamesShort, dayNames, dayNamesShort, amPm } = this.localeData;
+        return {
+            ...fecha.i18n,
+            monthNames,
+            monthNamesShort,
+            dayNames,
+            dayNamesShort,
+            amPm
+        };
     }
 
     /**
      * Returns current format to be used when outputting prices.
      */
     getPriceFormat(): Object {
-        return _.assign({}, this.defaultFormats.price, _.get(this.locale, "formats.price", {}));
+        return _.assign({}, this.defaultFormats.price, _.get(this.localeData, "formats.price", {}));
     }
 
     /**
      * Returns current format to be used when outputting numbers.
      */
     getNumberFormat(): Object {
-        return _.assign({}, this.defaultFormats.number, _.get(this.locale, "formats.number", {}));
+        return _.assign(
+            {},
+            this.defaultFormats.number,
+            _.get(this.localeData, "formats.number", {})
+        );
     }
 }
 
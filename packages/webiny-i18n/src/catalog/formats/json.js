@@ -0,0 +1,34 @@
+// @flow
+import type { CatalogFormat } from "./../types";
+
+/**
+ * Catalog as a JSON file, eg. { "targetLocale": "de-DE", "translations": { [key]: { source, target } } }.
+ */
+const json: CatalogFormat = {
+    extension: "json",
+    serialize(catalog) {
+        const translations = {};
+        catalog.entries.forEach(({ key, source, target }) => {
+            translations[key] = { source, target: target || "" };
+        });
+
+        const { sourceLocale, targetLocale } = catalog;
+        return JSON.stringify({ sourceLocale, targetLocale, translations }, null, 2) + "\n";
+    },
+    parse(content) {
+        const data = JSON.parse(content);
+        const translations = data.translations || {};
+
+        return {
+            sourceLocale: data.sourceLocale || "en",
+            targetLocale: data.targetLocale || null,
+            entries: Object.keys(translations).map(key => ({
+                key,
+                source: translations[key].source || "",
+                target: translations[key].target || null
+            }))
+        };
+    }
+};
+
+export default json;
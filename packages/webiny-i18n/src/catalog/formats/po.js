@@ -0,0 +1,133 @@
+// @flow
+import type { Catalog, CatalogFormat } from "./../types";
+
+const quote = (value: string): string => {
+    const escaped = value
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\t/g, "\\t")
+        .replace(/\n/g, "\\n");
+    return `"${escaped}"`;
+};
+
+const unquote = (value: string): string => {
+    return value
+        .trim()
+        .slice(1, -1)
+        .replace(/\\(.)/g, (match, char) => {
+            switch (char) {
+                case "n":
+                    return "\n";
+                case "t":
+                    return "\t";
+                default:
+                    return char;
+            }
+        });
+};
+
+/**
+ * Parses PO file into a list of messages. Values split into multiple lines are joined together.
+ */
+const parseMessages = (content: string): Array<{ [string]: string }> => {
+    const messages = [];
+    let message = {};
+    let field = null;
+
+    content.split(/\r?\n/).forEach(line => {
+        line = line.trim();
+        if (!line) {
+            Object.keys(message).length && messages.push(message);
+            message = {};
+            field = null;
+            return;
+        }
+
+        if (line.startsWith("#")) {
+            return;
+        }
+
+        const match = line.match(/^(msgctxt|msgid|msgstr)\s+(".*")$/);
+        if (match) {
+            field = match[1];
+            message[field] = unquote(match[2]);
+            return;
+        }
+
+        if (field && line.startsWith('"')) {
+            message[field] += unquote(line);
+        }
+    });
+
+    Object.keys(message).length && messages.push(message);
+    return messages;
+};
+
+/**
+ * Gettext PO (https://www.gnu.org/software/gettext/manual/html_node/PO-Files.html) - translation key is stored
+ * as message context ("msgctxt"), so that the same text can be translated differently in each namespace.
+ */
+const po: CatalogFormat = {
+    extension: "po",
+    serialize(catalog) {
+        const headers = [
+            `Language: ${catalog.targetLocale || ""}`,
+            `X-Source-Language: ${catalog.sourceLocale}`,
+            "MIME-Version: 1.0",
+            "Content-Type: text/plain; charset=UTF-8",
+            "Content-Transfer-Encoding: 8bit"
+        ];
+
+        const output = [
+            'msgid ""',
+            'msgstr ""',
+            ...headers.map(header => quote(header + "\n")),
+            ""
+        ];
+
+        catalog.entries.forEach(({ key, source, target }) => {
+            output.push(
+                `#: ${key.substr(0, key.lastIndexOf("."))}`,
+                `msgctxt ${quote(key)}`,
+                `msgid ${quote(source)}`,
+                `msgstr ${quote(target || "")}`,
+                ""
+            );
+        });
+
+        return output.join("\n");
+    },
+    parse(content) {
+        const catalog: Catalog = { sourceLocale: "en", targetLocale: null, entries: [] };
+
+        parseMessages(content).forEach(message => {
+            // Message with an empty ID contains headers.
+            if (!message.msgid && !message.msgctxt) {
+                (message.msgstr || "").split("\n").forEach(header => {
+                    const index = header.indexOf(":");
+                    const value = header.substr(index + 1).trim();
+                    if (index < 0 || !value) {
+                        return;
+                    }
+
+                    const name = header.substr(0, index);
+                    name === "Language" && (catalog.targetLocale = value);
+                    name === "X-Source-Language" && (catalog.sourceLocale = value);
+                });
+                return;
+            }
+
+            if (message.msgctxt) {
+                catalog.entries.push({
+                    key: message.msgctxt,
+                    source: message.msgid || "",
+                    target: message.msgstr || null
+                });
+            }
+        });
+
+        return catalog;
+    }
+};
+
+export default po;
@@ -0,0 +1,95 @@
+// @flow
+import type { CatalogFormat } from "./../types";
+
+const escape = (value: string): string => {
+    return value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+};
+
+const unescape = (value: string): string => {
+    return value
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+};
+
+const getAttribute = (tag: string, name: string): ?string => {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? unescape(match[1]) : null;
+};
+
+const getElement = (xml: string, name: string): ?string => {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${name}>)`));
+    if (!match) {
+        return null;
+    }
+    return match[1] ? unescape(match[1]) : "";
+};
+
+/**
+ * XLIFF 2.0 (http://docs.oasis-open.org/xliff/xliff-core/v2.0/xliff-core-v2.0.html) - a unit is created for
+ * each text, using the translation key as its ID.
+ */
+const xliff: CatalogFormat = {
+    extension: "xlf",
+    serialize(catalog) {
+        const { sourceLocale, targetLocale } = catalog;
+        const trgLang = targetLocale ? ` trgLang="${escape(targetLocale)}"` : "";
+
+        const units = catalog.entries.map(({ key, source, target }) => {
+            return [
+                `    <unit id="${escape(key)}">`,
+                `      <segment>`,
+                `        <source>${escape(source)}</source>`,
+                `        <target>${escape(target || "")}</target>`,
+                `      </segment>`,
+                `    </unit>`
+            ].join("\n");
+        });
+
+        return [
+            `<?xml version="1.0" encoding="UTF-8"?>`,
+            `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escape(
+                sourceLocale
+            )}"${trgLang}>`,
+            `  <file id="webiny">`,
+            ...units,
+            `  </file>`,
+            `</xliff>`,
+            ``
+        ].join("\n");
+    },
+    parse(content) {
+        const root = content.match(/<xliff[^>]*>/);
+        if (!root) {
+            throw Error("Invalid XLIFF file - root element not found.");
+        }
+
+        const entries = [];
+        const regex = /<unit(\s[^>]*)>([\s\S]*?)<\/unit>/g;
+        let match;
+        while ((match = regex.exec(content))) {
+            const key = getAttribute(match[1], "id");
+            if (key) {
+                entries.push({
+                    key,
+                    source: getElement(match[2], "source") || "",
+                    target: getElement(match[2], "target") || null
+                });
+            }
+        }
+
+        return {
+            sourceLocale: getAttribute(root[0], "srcLang") || "en",
+            targetLocale: getAttribute(root[0], "trgLang"),
+            entries
+        };
+    }
+};
+
+export default xliff;
@@ -0,0 +1,106 @@
+// @flow
+import xliff from "./formats/xliff";
+import po from "./formats/po";
+import json from "./formats/json";
+import type I18N from "./../I18n";
+import type { Catalog, CatalogFormat, CatalogReport } from "./types";
+
+export type { Catalog, CatalogEntry, CatalogFormat, CatalogReport } from "./types";
+
+export const formats: { [name: string]: CatalogFormat } = { xliff, po, json };
+
+/**
+ * Returns catalog format by its name (eg. "xliff") or file extension (eg. "xlf").
+ */
+export const getFormat = (name: string): CatalogFormat => {
+    const format =
+        formats[name] || Object.values(formats).find((format: any) => format.extension === name);
+    if (!format) {
+        throw Error(`Catalog format "${name}" is not supported.`);
+    }
+
+    return (format: any);
+};
+
+type CreateCatalogParams = {
+    // Extracted texts (key => text), eg. result of the Extractor.
+    source: { [key: string]: string },
+    // Existing translations (key => text), which will be prefilled as targets.
+    translations?: ?{ [key: string]: string },
+    sourceLocale?: string,
+    targetLocale?: ?string
+};
+
+/**
+ * Creates a catalog from extracted texts. Entries are sorted by key, so that catalogs are easy to diff.
+ */
+export const createCatalog = (params: CreateCatalogParams): Catalog => {
+    const { source, translations, sourceLocale = "en", targetLocale = null } = params;
+
+    return {
+        sourceLocale,
+        targetLocale,
+        entries: Object.keys(source)
+            .sort()
+            .map(key => ({
+                key,
+                source: source[key],
+                target: (translations && translations[key]) || null
+            }))
+    };
+};
+
+/**
+ * Compares catalog with currently extracted texts and returns keys that are missing (not translated), stale (no
+ * longer in the source, since the text was changed or removed) and new (not in the catalog yet).
+ */
+export const getCatalogReport = (
+    catalog: Catalog,
+    source: { [key: string]: string }
+): CatalogReport => {
+    const report = { missing: [], stale: [], new: [] };
+
+    const keys = {};
+    catalog.entries.forEach(({ key, target }) => {
+        keys[key] = true;
+        if (!(key in source)) {
+            report.stale.push(key);
+            return;
+        }
+
+        !target && report.missing.push(key);
+    });
+
+    report.new = Object.keys(source).filter(key => !keys[key]);
+
+    return report;
+};
+
+/**
+ * Loads translated catalog entries into given I18N instance. If extracted texts are passed, stale entries are
+ * skipped, since their texts do not exist anymore. Returns the catalog report.
+ */
+export const importCatalog = (
+    i18n: I18N,
+    catalog: Catalog,
+    source: ?{ [key: string]: string }
+): CatalogReport => {
+    const report = source
+        ? getCatalogReport(catalog, source)
+        : {
+              missing: catalog.entries.filter(entry => !entry.target).map(entry => entry.key),
+              stale: [],
+              new: []
+          };
+
+    const translations = {};
+    catalog.entries.forEach(({ key, target }) => {
+        if (target && !report.stale.includes(key)) {
+            translations[key] = target;
+        }
+    });
+
+    i18n.mergeTranslations(translations);
+
+    return report;
+};
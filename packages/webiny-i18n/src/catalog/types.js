@@ -0,0 +1,29 @@
+// @flow
+export type CatalogEntry = {
+    // Namespace and hash of the source text (eg. "Webiny.Admin.Users.2afb5c80").
+    key: string,
+    source: string,
+    // Translated text - empty if the text was not translated yet.
+    target: ?string
+};
+
+export type Catalog = {
+    sourceLocale: string,
+    targetLocale: ?string,
+    entries: Array<CatalogEntry>
+};
+
+export type CatalogFormat = {
+    extension: string,
+    serialize: (catalog: Catalog) => string,
+    parse: (content: string) => Catalog
+};
+
+export type CatalogReport = {
+    // Texts that exist in the catalog, but were not translated.
+    missing: Array<string>,
+    // Translated texts that no longer exist in the source code (text was changed or removed).
+    stale: Array<string>,
+    // Texts that exist in the source code, but not in the catalog (added after the catalog was exported).
+    new: Array<string>
+};
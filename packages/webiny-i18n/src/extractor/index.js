@@ -18,13 +18,20 @@ class Extractor {
         return this;
     }
 
-    execute() {
+    /**
+     * Extracts texts from given content and files matching the glob. Returns an object with
+     * translation keys as keys and texts as values.
+     */
+    execute(): { [key: string]: string } {
         const results = {};
 
+        if (this.content) {
+            Object.assign(results, extract(this.content));
+        }
+
         if (this.glob) {
             const paths = glob.sync(this.glob);
             paths.forEach(path => {
-                console.log(path);
                 const contents = fs.readFileSync(path, "utf8");
                 const parsed = extract(contents);
                 for (let key in parsed) {
@@ -33,7 +40,7 @@ class Extractor {
             });
         }
 
-        console.log(results);
+        return results;
     }
 
     setListOnly(flag: boolean = true): Extractor {
@@ -3,6 +3,7 @@ import I18n from "./I18n";
 import modifiers from "./modifiers";
 
 export { default as defaultProcessor } from "./processors/default";
+export { default as icuProcessor } from "./processors/icu";
 export { I18n, modifiers };
 
 const i18n = new I18n();
@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// German, generated from CLDR data.
+const locale: LocaleData = {
+    code: "de",
+    monthNames: [
+        "Januar",
+        "Februar",
+        "März",
+        "April",
+        "Mai",
+        "Juni",
+        "Juli",
+        "August",
+        "September",
+        "Oktober",
+        "November",
+        "Dezember"
+    ],
+    monthNamesShort: [
+        "Jan.",
+        "Feb.",
+        "März",
+        "Apr.",
+        "Mai",
+        "Juni",
+        "Juli",
+        "Aug.",
+        "Sept.",
+        "Okt.",
+        "Nov.",
+        "Dez."
+    ],
+    dayNames: ["Sonntag", "Montag", "Dienstag", "Mittwoch", "Donnerstag", "Freitag", "Samstag"],
+    dayNamesShort: ["So", "Mo", "Di", "Mi", "Do", "Fr", "Sa"],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 1,
+    formats: {
+        date: "DD.MM.YYYY",
+        time: "HH:mm",
+        datetime: "DD.MM.YYYY HH:mm",
+        number: { decimal: ",", thousand: "." },
+        price: { format: "{amount} {symbol}", decimal: ",", thousand: "." }
+    }
+};
+
+export default locale;
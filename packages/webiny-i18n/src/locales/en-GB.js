@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// English (United Kingdom), generated from CLDR data.
+const locale: LocaleData = {
+    code: "en-GB",
+    monthNames: [
+        "January",
+        "February",
+        "March",
+        "April",
+        "May",
+        "June",
+        "July",
+        "August",
+        "September",
+        "October",
+        "November",
+        "December"
+    ],
+    monthNamesShort: [
+        "Jan",
+        "Feb",
+        "Mar",
+        "Apr",
+        "May",
+        "Jun",
+        "Jul",
+        "Aug",
+        "Sept",
+        "Oct",
+        "Nov",
+        "Dec"
+    ],
+    dayNames: ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"],
+    dayNamesShort: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 1,
+    formats: {
+        date: "DD/MM/YYYY",
+        time: "HH:mm",
+        datetime: "DD/MM/YYYY HH:mm",
+        number: { decimal: ".", thousand: "," },
+        price: { format: "{symbol}{amount}", decimal: ".", thousand: "," }
+    }
+};
+
+export default locale;
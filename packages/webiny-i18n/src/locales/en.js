@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// English (United States), generated from CLDR data.
+const locale: LocaleData = {
+    code: "en",
+    monthNames: [
+        "January",
+        "February",
+        "March",
+        "April",
+        "May",
+        "June",
+        "July",
+        "August",
+        "September",
+        "October",
+        "November",
+        "December"
+    ],
+    monthNamesShort: [
+        "Jan",
+        "Feb",
+        "Mar",
+        "Apr",
+        "May",
+        "Jun",
+        "Jul",
+        "Aug",
+        "Sep",
+        "Oct",
+        "Nov",
+        "Dec"
+    ],
+    dayNames: ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"],
+    dayNamesShort: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 0,
+    formats: {
+        date: "MM/DD/YYYY",
+        time: "hh:mm A",
+        datetime: "MM/DD/YYYY hh:mm A",
+        number: { decimal: ".", thousand: "," },
+        price: { format: "{symbol}{amount}", decimal: ".", thousand: "," }
+    }
+};
+
+export default locale;
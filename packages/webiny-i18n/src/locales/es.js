@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// Spanish, generated from CLDR data.
+const locale: LocaleData = {
+    code: "es",
+    monthNames: [
+        "enero",
+        "febrero",
+        "marzo",
+        "abril",
+        "mayo",
+        "junio",
+        "julio",
+        "agosto",
+        "septiembre",
+        "octubre",
+        "noviembre",
+        "diciembre"
+    ],
+    monthNamesShort: [
+        "ene",
+        "feb",
+        "mar",
+        "abr",
+        "may",
+        "jun",
+        "jul",
+        "ago",
+        "sept",
+        "oct",
+        "nov",
+        "dic"
+    ],
+    dayNames: ["domingo", "lunes", "martes", "miércoles", "jueves", "viernes", "sábado"],
+    dayNamesShort: ["dom", "lun", "mar", "mié", "jue", "vie", "sáb"],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 1,
+    formats: {
+        date: "DD/MM/YYYY",
+        time: "HH:mm",
+        datetime: "DD/MM/YYYY HH:mm",
+        number: { decimal: ",", thousand: "." },
+        price: { format: "{amount} {symbol}", decimal: ",", thousand: "." }
+    }
+};
+
+export default locale;
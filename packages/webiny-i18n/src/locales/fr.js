@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// French, generated from CLDR data.
+const locale: LocaleData = {
+    code: "fr",
+    monthNames: [
+        "janvier",
+        "février",
+        "mars",
+        "avril",
+        "mai",
+        "juin",
+        "juillet",
+        "août",
+        "septembre",
+        "octobre",
+        "novembre",
+        "décembre"
+    ],
+    monthNamesShort: [
+        "janv.",
+        "févr.",
+        "mars",
+        "avr.",
+        "mai",
+        "juin",
+        "juil.",
+        "août",
+        "sept.",
+        "oct.",
+        "nov.",
+        "déc."
+    ],
+    dayNames: ["dimanche", "lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi"],
+    dayNamesShort: ["dim.", "lun.", "mar.", "mer.", "jeu.", "ven.", "sam."],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 1,
+    formats: {
+        date: "DD/MM/YYYY",
+        time: "HH:mm",
+        datetime: "DD/MM/YYYY HH:mm",
+        number: { decimal: ",", thousand: " " },
+        price: { format: "{amount} {symbol}", decimal: ",", thousand: " " }
+    }
+};
+
+export default locale;
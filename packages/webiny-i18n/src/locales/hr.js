@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// Croatian, generated from CLDR data.
+const locale: LocaleData = {
+    code: "hr",
+    monthNames: [
+        "siječnja",
+        "veljače",
+        "ožujka",
+        "travnja",
+        "svibnja",
+        "lipnja",
+        "srpnja",
+        "kolovoza",
+        "rujna",
+        "listopada",
+        "studenoga",
+        "prosinca"
+    ],
+    monthNamesShort: [
+        "sij",
+        "velj",
+        "ožu",
+        "tra",
+        "svi",
+        "lip",
+        "srp",
+        "kol",
+        "ruj",
+        "lis",
+        "stu",
+        "pro"
+    ],
+    dayNames: ["nedjelja", "ponedjeljak", "utorak", "srijeda", "četvrtak", "petak", "subota"],
+    dayNamesShort: ["ned", "pon", "uto", "sri", "čet", "pet", "sub"],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 1,
+    formats: {
+        date: "DD. MM. YYYY.",
+        time: "HH:mm",
+        datetime: "DD. MM. YYYY. HH:mm",
+        number: { decimal: ",", thousand: "." },
+        price: { format: "{amount} {symbol}", decimal: ",", thousand: "." }
+    }
+};
+
+export default locale;
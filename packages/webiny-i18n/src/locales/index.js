@@ -0,0 +1,22 @@
+// @flow
+import type { LocaleLoader } from "./../types";
+
+/**
+ * Built-in locale packs, loaded only when the locale is selected. Keys are lowercase locale codes.
+ */
+const locales: { [code: string]: LocaleLoader } = {
+    de: () => import("./de"),
+    en: () => import("./en"),
+    "en-gb": () => import("./en-GB"),
+    es: () => import("./es"),
+    fr: () => import("./fr"),
+    hr: () => import("./hr"),
+    it: () => import("./it"),
+    ja: () => import("./ja"),
+    nl: () => import("./nl"),
+    pl: () => import("./pl"),
+    pt: () => import("./pt"),
+    ru: () => import("./ru")
+};
+
+export default locales;
@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// Italian, generated from CLDR data.
+const locale: LocaleData = {
+    code: "it",
+    monthNames: [
+        "gennaio",
+        "febbraio",
+        "marzo",
+        "aprile",
+        "maggio",
+        "giugno",
+        "luglio",
+        "agosto",
+        "settembre",
+        "ottobre",
+        "novembre",
+        "dicembre"
+    ],
+    monthNamesShort: [
+        "gen",
+        "feb",
+        "mar",
+        "apr",
+        "mag",
+        "giu",
+        "lug",
+        "ago",
+        "set",
+        "ott",
+        "nov",
+        "dic"
+    ],
+    dayNames: ["domenica", "lunedì", "martedì", "mercoledì", "giovedì", "venerdì", "sabato"],
+    dayNamesShort: ["dom", "lun", "mar", "mer", "gio", "ven", "sab"],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 1,
+    formats: {
+        date: "DD/MM/YYYY",
+        time: "HH:mm",
+        datetime: "DD/MM/YYYY HH:mm",
+        number: { decimal: ",", thousand: "." },
+        price: { format: "{amount} {symbol}", decimal: ",", thousand: "." }
+    }
+};
+
+export default locale;
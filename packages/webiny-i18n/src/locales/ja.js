@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// Japanese, generated from CLDR data.
+const locale: LocaleData = {
+    code: "ja",
+    monthNames: [
+        "1月",
+        "2月",
+        "3月",
+        "4月",
+        "5月",
+        "6月",
+        "7月",
+        "8月",
+        "9月",
+        "10月",
+        "11月",
+        "12月"
+    ],
+    monthNamesShort: [
+        "1月",
+        "2月",
+        "3月",
+        "4月",
+        "5月",
+        "6月",
+        "7月",
+        "8月",
+        "9月",
+        "10月",
+        "11月",
+        "12月"
+    ],
+    dayNames: ["日曜日", "月曜日", "火曜日", "水曜日", "木曜日", "金曜日", "土曜日"],
+    dayNamesShort: ["日", "月", "火", "水", "木", "金", "土"],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 0,
+    formats: {
+        date: "YYYY/MM/DD",
+        time: "HH:mm",
+        datetime: "YYYY/MM/DD HH:mm",
+        number: { decimal: ".", thousand: "," },
+        price: { format: "{symbol}{amount}", decimal: ".", thousand: "," }
+    }
+};
+
+export default locale;
@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// Dutch, generated from CLDR data.
+const locale: LocaleData = {
+    code: "nl",
+    monthNames: [
+        "januari",
+        "februari",
+        "maart",
+        "april",
+        "mei",
+        "juni",
+        "juli",
+        "augustus",
+        "september",
+        "oktober",
+        "november",
+        "december"
+    ],
+    monthNamesShort: [
+        "jan",
+        "feb",
+        "mrt",
+        "apr",
+        "mei",
+        "jun",
+        "jul",
+        "aug",
+        "sep",
+        "okt",
+        "nov",
+        "dec"
+    ],
+    dayNames: ["zondag", "maandag", "dinsdag", "woensdag", "donderdag", "vrijdag", "zaterdag"],
+    dayNamesShort: ["zo", "ma", "di", "wo", "do", "vr", "za"],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 1,
+    formats: {
+        date: "DD-MM-YYYY",
+        time: "HH:mm",
+        datetime: "DD-MM-YYYY HH:mm",
+        number: { decimal: ",", thousand: "." },
+        price: { format: "{symbol} {amount}", decimal: ",", thousand: "." }
+    }
+};
+
+export default locale;
@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// Polish, generated from CLDR data.
+const locale: LocaleData = {
+    code: "pl",
+    monthNames: [
+        "stycznia",
+        "lutego",
+        "marca",
+        "kwietnia",
+        "maja",
+        "czerwca",
+        "lipca",
+        "sierpnia",
+        "września",
+        "października",
+        "listopada",
+        "grudnia"
+    ],
+    monthNamesShort: [
+        "sty",
+        "lut",
+        "mar",
+        "kwi",
+        "maj",
+        "cze",
+        "lip",
+        "sie",
+        "wrz",
+        "paź",
+        "lis",
+        "gru"
+    ],
+    dayNames: ["niedziela", "poniedziałek", "wtorek", "środa", "czwartek", "piątek", "sobota"],
+    dayNamesShort: ["niedz.", "pon.", "wt.", "śr.", "czw.", "pt.", "sob."],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 1,
+    formats: {
+        date: "DD.MM.YYYY",
+        time: "HH:mm",
+        datetime: "DD.MM.YYYY HH:mm",
+        number: { decimal: ",", thousand: " " },
+        price: { format: "{amount} {symbol}", decimal: ",", thousand: " " }
+    }
+};
+
+export default locale;
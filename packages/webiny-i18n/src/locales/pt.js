@@ -0,0 +1,56 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// Portuguese (Brazil), generated from CLDR data.
+const locale: LocaleData = {
+    code: "pt",
+    monthNames: [
+        "janeiro",
+        "fevereiro",
+        "março",
+        "abril",
+        "maio",
+        "junho",
+        "julho",
+        "agosto",
+        "setembro",
+        "outubro",
+        "novembro",
+        "dezembro"
+    ],
+    monthNamesShort: [
+        "jan.",
+        "fev.",
+        "mar.",
+        "abr.",
+        "mai.",
+        "jun.",
+        "jul.",
+        "ago.",
+        "set.",
+        "out.",
+        "nov.",
+        "dez."
+    ],
+    dayNames: [
+        "domingo",
+        "segunda-feira",
+        "terça-feira",
+        "quarta-feira",
+        "quinta-feira",
+        "sexta-feira",
+        "sábado"
+    ],
+    dayNamesShort: ["dom.", "seg.", "ter.", "qua.", "qui.", "sex.", "sáb."],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 0,
+    formats: {
+        date: "DD/MM/YYYY",
+        time: "HH:mm",
+        datetime: "DD/MM/YYYY HH:mm",
+        number: { decimal: ",", thousand: "." },
+        price: { format: "{symbol} {amount}", decimal: ",", thousand: "." }
+    }
+};
+
+export default locale;
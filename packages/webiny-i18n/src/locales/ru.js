@@ -0,0 +1,48 @@
+// @flow
+import type { LocaleData } from "./../types";
+
+// Russian, generated from CLDR data.
+const locale: LocaleData = {
+    code: "ru",
+    monthNames: [
+        "января",
+        "февраля",
+        "марта",
+        "апреля",
+        "мая",
+        "июня",
+        "июля",
+        "августа",
+        "сентября",
+        "октября",
+        "ноября",
+        "декабря"
+    ],
+    monthNamesShort: [
+        "янв.",
+        "февр.",
+        "мар.",
+        "апр.",
+        "мая",
+        "июн.",
+        "июл.",
+        "авг.",
+        "сент.",
+        "окт.",
+        "нояб.",
+        "дек."
+    ],
+    dayNames: ["воскресенье", "понедельник", "вторник", "среда", "четверг", "пятница", "суббота"],
+    dayNamesShort: ["вс", "пн", "вт", "ср", "чт", "пт", "сб"],
+    amPm: ["am", "pm"],
+    firstDayOfWeek: 1,
+    formats: {
+        date: "DD.MM.YYYY",
+        time: "HH:mm",
+        datetime: "DD.MM.YYYY HH:mm",
+        number: { decimal: ",", thousand: " " },
+        price: { format: "{amount} {symbol}", decimal: ",", thousand: " " }
+    }
+};
+
+export default locale;
@@ -3,7 +3,7 @@ import i18n from "./..";
 
 export default {
     name: "date",
-    execute(value: string) {
-        return i18n.date(value);
+    execute(value: string, parameters: Array<string>, instance: Object = i18n) {
+        return instance.date(value);
     }
 };
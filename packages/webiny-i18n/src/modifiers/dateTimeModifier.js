@@ -3,7 +3,7 @@ import i18n from "./..";
 
 export default {
     name: "dateTime",
-    execute(value: string) {
-        return i18n.dateTime(value);
+    execute(value: string, parameters: Array<string>, instance: Object = i18n) {
+        return instance.dateTime(value);
     }
 };
@@ -3,7 +3,7 @@ import i18n from "./..";
 
 export default {
     name: "time",
-    execute(value: string) {
-        return i18n.time(value);
+    execute(value: string, parameters: Array<string>, instance: Object = i18n) {
+        return instance.time(value);
     }
 };
@@ -1,7 +1,7 @@
 // @flow
 import _ from "lodash";
 
-const processTextPart = (part: string, values: Object, modifiers): string => {
+const processTextPart = (part: string, values: Object, i18n: Object): string => {
     if (!_.startsWith(part, "{")) {
         return part;
     }
@@ -20,9 +20,9 @@ const processTextPart = (part: string, values: Object, modifiers): string => {
     if (modifier) {
         let parameters = modifier.split(":");
         let name = parameters.shift();
-        if (modifiers[name]) {
-            const modifier = modifiers[name];
-            output.value = modifier.execute(output.value, parameters);
+        if (i18n.modifiers[name]) {
+            const modifier = i18n.modifiers[name];
+            output.value = modifier.execute(output.value, parameters, i18n);
         }
     }
 
@@ -50,7 +50,7 @@ export default {
     execute(data: { values: Object, translation: string, i18n: Object }) {
         const parts = data.translation.split(/({.*?})/);
         return parts.reduce(
-            (carry, part) => carry + processTextPart(part, data.values, data.i18n.modifiers),
+            (carry, part) => carry + processTextPart(part, data.values, data.i18n),
             ""
         );
     }
@@ -0,0 +1,118 @@
+// @flow
+import getPluralCategory from "./plurals";
+import { getNumberOptions, getDateOptions, DATE_STYLES, TIME_STYLES } from "./skeletons";
+import type { Node } from "./parser";
+import type I18N from "./../../I18n";
+
+type Context = {
+    locale: string,
+    values: Object,
+    i18n: I18N,
+    // Value of the closest plural argument (with offset applied), printed in place of "#".
+    plural?: ?number
+};
+
+const hasIntl = (name: string): boolean => typeof Intl !== "undefined" && !!Intl[name];
+
+const formatNumber = (value: number, style: ?string, context: Context): string => {
+    const { locale, i18n } = context;
+
+    if (!style && hasIntl("NumberFormat")) {
+        return new Intl.NumberFormat(locale).format(value);
+    }
+
+    if (style === "currency") {
+        // Currency is not known, so the currency format of the current locale is used.
+        return i18n.price(value);
+    }
+
+    if (!hasIntl("NumberFormat")) {
+        return style === "integer" ? i18n.number(value, { precision: 0 }) : i18n.number(value);
+    }
+
+    if (style === "integer") {
+        return new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(value);
+    }
+
+    if (style === "percent") {
+        return new Intl.NumberFormat(locale, { style: "percent" }).format(value);
+    }
+
+    const { intl, scale } = getNumberOptions(String(style).replace(/^::/, ""));
+    return new Intl.NumberFormat(locale, intl).format(value * scale);
+};
+
+const formatDate = (value: mixed, type: "date" | "time", style: ?string, context: Context) => {
+    const { locale, i18n } = context;
+    const date = value instanceof Date ? value : new Date((value: any));
+
+    if (!hasIntl("DateTimeFormat")) {
+        return type === "date" ? i18n.date(date) : i18n.time(date);
+    }
+
+    let options;
+    if (style && style.startsWith("::")) {
+        options = getDateOptions(style.substr(2));
+    } else {
+        const styles = type === "date" ? DATE_STYLES : TIME_STYLES;
+        options = styles[style || "medium"] || styles.medium;
+    }
+
+    return new Intl.DateTimeFormat(locale, options).format(date);
+};
+
+const formatNode = (node: Node, context: Context): string => {
+    if (typeof node === "string") {
+        return node;
+    }
+
+    if (node.type === "pound") {
+        return typeof context.plural === "number"
+            ? formatNumber(context.plural, null, context)
+            : "#";
+    }
+
+    const { values } = context;
+    const name = node.name;
+    if (!(name in values) || values[name] === undefined) {
+        // Same as with the default processor - if the value is missing, the placeholder is printed.
+        return `{${name}}`;
+    }
+
+    const value = values[name];
+
+    switch (node.type) {
+        case "argument":
+            return value === null ? "" : String(value);
+        case "number":
+            return formatNumber(Number(value), node.style, context);
+        case "date":
+        case "time":
+            return formatDate(value, node.type, node.style, context);
+        case "select": {
+            const option = node.options[String(value)] || node.options.other;
+            return formatNodes(option, context);
+        }
+        case "plural": {
+            const number = Number(value);
+            let option = node.options["=" + number];
+            if (!option) {
+                const category = getPluralCategory(
+                    context.locale,
+                    number - node.offset,
+                    node.ordinal
+                );
+                option = node.options[category] || node.options.other;
+            }
+            return formatNodes(option, { ...context, plural: number - node.offset });
+        }
+        default:
+            return "";
+    }
+};
+
+const formatNodes = (nodes: Array<Node>, context: Context): string => {
+    return nodes.reduce((output, node) => output + formatNode(node, context), "");
+};
+
+export default formatNodes;
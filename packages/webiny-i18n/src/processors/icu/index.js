@@ -0,0 +1,50 @@
+// @flow
+import parse from "./parser";
+import format from "./format";
+import type { Node } from "./parser";
+
+// Parsed messages, so that each message is parsed only once.
+const cache: { [message: string]: Array<Node> } = {};
+
+const getNodes = (message: string): Array<Node> => {
+    if (!cache[message]) {
+        cache[message] = parse(message);
+    }
+    return cache[message];
+};
+
+const getLocale = (i18n: Object): string => {
+    const locale = i18n.getLocale();
+    if (typeof locale === "string" && locale) {
+        return locale;
+    }
+    return (locale && locale.key) || "en";
+};
+
+/**
+ * Processes texts written in ICU MessageFormat syntax, eg. "{count, plural, one {# file} other {# files}}".
+ * Only used for namespaces that were assigned to it with `i18n.setNamespaceProcessor(namespace, "icu")`,
+ * so that texts in other namespaces keep using the default `{variable|modifier}` syntax.
+ */
+export default {
+    name: "icu",
+    canExecute(data: { namespace: string, i18n: Object }) {
+        return data.i18n.getNamespaceProcessor(data.namespace) === "icu";
+    },
+    execute(data: { values: Object, translation: string, base: string, i18n: Object }) {
+        const { translation, base, values, i18n } = data;
+
+        let nodes;
+        try {
+            nodes = getNodes(translation);
+        } catch (e) {
+            // Invalid translation must not break the app - the original text is used instead.
+            if (translation === base) {
+                throw e;
+            }
+            nodes = getNodes(base);
+        }
+
+        return format(nodes, { locale: getLocale(i18n), values: values || {}, i18n });
+    }
+};
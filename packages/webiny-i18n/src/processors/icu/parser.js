@@ -0,0 +1,256 @@
+// @flow
+export type Node =
+    | string
+    | { type: "argument", name: string }
+    | { type: "number" | "date" | "time", name: string, style: ?string }
+    | {
+          type: "plural",
+          name: string,
+          ordinal: boolean,
+          offset: number,
+          options: { [selector: string]: Array<Node> }
+      }
+    | { type: "select", name: string, options: { [selector: string]: Array<Node> } }
+    | { type: "pound" };
+
+const WHITESPACE = /\s/;
+
+/**
+ * Parses ICU MessageFormat (http://userguide.icu-project.org/formatparse/messages) messages into a list of nodes,
+ * where strings are literal texts and objects are arguments. Apostrophes are handled as in ICU - two
+ * apostrophes output a single one and an apostrophe in front of a special character starts a quoted text.
+ */
+class Parser {
+    message: string;
+    position: number;
+
+    constructor(message: string) {
+        this.message = message;
+        this.position = 0;
+    }
+
+    error(expected: string) {
+        const found = this.position < this.message.length ? `"${this.char()}"` : "end of message";
+        throw Error(
+            `Invalid ICU message "${
+                this.message
+            }": expected ${expected}, found ${found} at position ${this.position}.`
+        );
+    }
+
+    char(): string {
+        return this.message.charAt(this.position);
+    }
+
+    skipWhitespace() {
+        while (this.position < this.message.length && WHITESPACE.test(this.char())) {
+            this.position++;
+        }
+    }
+
+    expect(char: string) {
+        if (this.char() !== char) {
+            this.error(`"${char}"`);
+        }
+        this.position++;
+    }
+
+    // Reads a name of an argument, type or option (everything up to whitespace or a special character).
+    readWord(): string {
+        const start = this.position;
+        while (this.position < this.message.length && !/[\s{},]/.test(this.char())) {
+            this.position++;
+        }
+        return this.message.substring(start, this.position);
+    }
+
+    parseMessage(inPlural: boolean): Array<Node> {
+        const nodes = [];
+        let text = "";
+
+        while (this.position < this.message.length) {
+            const char = this.char();
+
+            if (char === "}") {
+                break;
+            }
+
+            if (char === "{") {
+                text && nodes.push(text);
+                text = "";
+                nodes.push(this.parseArgument(inPlural));
+                continue;
+            }
+
+            if (char === "#" && inPlural) {
+                text && nodes.push(text);
+                text = "";
+                nodes.push({ type: "pound" });
+                this.position++;
+                continue;
+            }
+
+            if (char === "'") {
+                text += this.parseApostrophe(inPlural);
+                continue;
+            }
+
+            text += char;
+            this.position++;
+        }
+
+        text && nodes.push(text);
+        return nodes;
+    }
+
+    parseApostrophe(inPlural: boolean): string {
+        const next = this.message.charAt(this.position + 1);
+        if (next === "'") {
+            this.position += 2;
+            return "'";
+        }
+
+        if (next === "{" || next === "}" || (next === "#" && inPlural)) {
+            // Quoted text - continues until the next single apostrophe (or the end of the message).
+            let text = "";
+            this.position++;
+            while (this.position < this.message.length) {
+                if (this.char() === "'") {
+                    if (this.message.charAt(this.position + 1) === "'") {
+                        text += "'";
+                        this.position += 2;
+                        continue;
+                    }
+                    this.position++;
+                    break;
+                }
+                text += this.char();
+                this.position++;
+            }
+            return text;
+        }
+
+        this.position++;
+        return "'";
+    }
+
+    parseArgument(inPlural: boolean): Node {
+        this.expect("{");
+        this.skipWhitespace();
+
+        const name = this.readWord();
+        if (!name) {
+            this.error("argument name");
+        }
+
+        this.skipWhitespace();
+        if (this.char() === "}") {
+            this.position++;
+            return { type: "argument", name };
+        }
+
+        this.expect(",");
+        this.skipWhitespace();
+        const type = this.readWord();
+        this.skipWhitespace();
+
+        switch (type) {
+            case "number":
+            case "date":
+            case "time": {
+                const node: { type: "number" | "date" | "time", name: string, style: ?string } = {
+                    type,
+                    name,
+                    style: null
+                };
+                if (this.char() === ",") {
+                    this.position++;
+                    node.style = this.parseStyle();
+                }
+                this.expect("}");
+                return node;
+            }
+            case "plural":
+            case "selectordinal": {
+                this.expect(",");
+                const node = {
+                    type: "plural",
+                    name,
+                    ordinal: type === "selectordinal",
+                    offset: 0,
+                    options: {}
+                };
+
+                this.skipWhitespace();
+                if (this.message.startsWith("offset:", this.position)) {
+                    this.position += 7;
+                    this.skipWhitespace();
+                    const offset = this.readWord();
+                    if (!/^\d+$/.test(offset)) {
+                        this.error("offset number");
+                    }
+                    node.offset = parseInt(offset);
+                }
+
+                node.options = this.parseOptions(true);
+                return node;
+            }
+            case "select": {
+                this.expect(",");
+                return { type: "select", name, options: this.parseOptions(inPlural) };
+            }
+            default:
+                this.error(`argument type (number, date, time, plural, selectordinal or select)`);
+        }
+
+        // Unreachable, "error" always throws.
+        return "";
+    }
+
+    // Reads style of number / date / time argument (eg. "percent" or "::currency/EUR").
+    parseStyle(): string {
+        const start = this.position;
+        while (this.position < this.message.length && this.char() !== "}") {
+            if (this.char() === "{") {
+                this.error(`"}"`);
+            }
+            this.position++;
+        }
+        return this.message.substring(start, this.position).trim();
+    }
+
+    parseOptions(inPlural: boolean): { [selector: string]: Array<Node> } {
+        const options = {};
+
+        this.skipWhitespace();
+        while (this.char() !== "}") {
+            const selector = this.readWord();
+            if (!selector) {
+                this.error("option selector");
+            }
+
+            this.skipWhitespace();
+            this.expect("{");
+            options[selector] = this.parseMessage(inPlural);
+            this.expect("}");
+            this.skipWhitespace();
+        }
+
+        if (!options.other) {
+            this.error(`"other" option`);
+        }
+
+        this.expect("}");
+        return options;
+    }
+
+    parse(): Array<Node> {
+        const nodes = this.parseMessage(false);
+        if (this.position < this.message.length) {
+            this.error("end of message");
+        }
+        return nodes;
+    }
+}
+
+export default (message: string): Array<Node> => new Parser(message).parse();
@@ -0,0 +1,182 @@
+// @flow
+type Operands = {
+    // Absolute value of the number.
+    n: number,
+    // Integer digits.
+    i: number,
+    // Number of visible fraction digits.
+    v: number,
+    // Visible fraction digits.
+    f: number
+};
+
+type Rule = (operands: Operands) => string;
+
+const between = (value: number, from: number, to: number): boolean => value >= from && value <= to;
+
+const getOperands = (value: number): Operands => {
+    const n = Math.abs(value);
+    const [integer, fraction = ""] = String(n).split(".");
+    return { n, i: parseInt(integer), v: fraction.length, f: parseInt(fraction) || 0 };
+};
+
+const other: Rule = () => "other";
+
+const slavic: Rule = ({ i, v }) => {
+    if (v !== 0) {
+        return "other";
+    }
+    if (i % 10 === 1 && i % 100 !== 11) {
+        return "one";
+    }
+    if (between(i % 10, 2, 4) && !between(i % 100, 12, 14)) {
+        return "few";
+    }
+    return "many";
+};
+
+const southSlavic: Rule = ({ i, v, f }) => {
+    if ((v === 0 && i % 10 === 1 && i % 100 !== 11) || (f % 10 === 1 && f % 100 !== 11)) {
+        return "one";
+    }
+    if (
+        (v === 0 && between(i % 10, 2, 4) && !between(i % 100, 12, 14)) ||
+        (between(f % 10, 2, 4) && !between(f % 100, 12, 14))
+    ) {
+        return "few";
+    }
+    return "other";
+};
+
+/**
+ * CLDR (http://cldr.unicode.org/index/cldr-spec/plural-rules) cardinal rules, used in environments that don't
+ * support Intl.PluralRules. Languages that are not listed here use the "one" / "other" rule.
+ */
+const CARDINAL: { [language: string]: Rule } = {
+    ar: ({ n }) => {
+        if (n === 0) return "zero";
+        if (n === 1) return "one";
+        if (n === 2) return "two";
+        if (between(n % 100, 3, 10)) return "few";
+        if (between(n % 100, 11, 99)) return "many";
+        return "other";
+    },
+    cs: ({ i, v }) => {
+        if (i === 1 && v === 0) return "one";
+        if (between(i, 2, 4) && v === 0) return "few";
+        return v !== 0 ? "many" : "other";
+    },
+    cy: ({ n }) => ({ "0": "zero", "1": "one", "2": "two", "3": "few", "6": "many" }[n] || "other"),
+    fr: ({ i }) => (i === 0 || i === 1 ? "one" : "other"),
+    ga: ({ n }) => {
+        if (n === 1) return "one";
+        if (n === 2) return "two";
+        if ([3, 4, 5, 6].includes(n)) return "few";
+        if ([7, 8, 9, 10].includes(n)) return "many";
+        return "other";
+    },
+    he: ({ n, i, v }) => {
+        if (i === 1 && v === 0) return "one";
+        if (i === 2 && v === 0) return "two";
+        if (v === 0 && !between(n, 0, 10) && n % 10 === 0) return "many";
+        return "other";
+    },
+    hi: ({ n, i }) => (i === 0 || n === 1 ? "one" : "other"),
+    lt: ({ n, f }) => {
+        if (n % 10 === 1 && !between(n % 100, 11, 19)) return "one";
+        if (between(n % 10, 2, 9) && !between(n % 100, 11, 19)) return "few";
+        return f !== 0 ? "many" : "other";
+    },
+    lv: ({ n, v, f }) => {
+        if (n % 10 === 0 || between(n % 100, 11, 19) || (v === 2 && between(f % 100, 11, 19))) {
+            return "zero";
+        }
+        if (
+            (n % 10 === 1 && n % 100 !== 11) ||
+            (v === 2 && f % 10 === 1 && f % 100 !== 11) ||
+            (v !== 2 && f % 10 === 1)
+        ) {
+            return "one";
+        }
+        return "other";
+    },
+    pl: ({ i, v }) => {
+        if (i === 1 && v === 0) return "one";
+        if (v === 0 && between(i % 10, 2, 4) && !between(i % 100, 12, 14)) return "few";
+        return v === 0 ? "many" : "other";
+    },
+    ro: ({ n, i, v }) => {
+        if (i === 1 && v === 0) return "one";
+        if (v !== 0 || n === 0 || between(n % 100, 2, 19)) return "few";
+        return "other";
+    },
+    ru: slavic,
+    sl: ({ i, v }) => {
+        if (v === 0 && i % 100 === 1) return "one";
+        if (v === 0 && i % 100 === 2) return "two";
+        if ((v === 0 && between(i % 100, 3, 4)) || v !== 0) return "few";
+        return "other";
+    }
+};
+
+["uk", "be"].forEach(language => (CARDINAL[language] = slavic));
+["hr", "sr", "bs"].forEach(language => (CARDINAL[language] = southSlavic));
+["sk"].forEach(language => (CARDINAL[language] = CARDINAL.cs));
+["pt"].forEach(language => (CARDINAL[language] = CARDINAL.fr));
+["bn", "fa", "am", "zu", "kn", "gu"].forEach(language => (CARDINAL[language] = CARDINAL.hi));
+["ja", "zh", "ko", "vi", "th", "id", "ms", "lo", "my", "km"].forEach(
+    language => (CARDINAL[language] = other)
+);
+
+const defaultCardinal: Rule = ({ i, v }) => (i === 1 && v === 0 ? "one" : "other");
+
+/**
+ * CLDR ordinal rules, used in environments that don't support Intl.PluralRules. Languages that are not listed
+ * here only use the "other" category.
+ */
+const ORDINAL: { [language: string]: Rule } = {
+    ca: ({ n }) => ({ "1": "one", "3": "one", "2": "two", "4": "few" }[n] || "other"),
+    en: ({ n }) => {
+        if (n % 10 === 1 && n % 100 !== 11) return "one";
+        if (n % 10 === 2 && n % 100 !== 12) return "two";
+        if (n % 10 === 3 && n % 100 !== 13) return "few";
+        return "other";
+    },
+    fr: ({ n }) => (n === 1 ? "one" : "other"),
+    hu: ({ n }) => (n === 1 || n === 5 ? "one" : "other"),
+    it: ({ n }) => ([11, 8, 80, 800].includes(n) ? "many" : "other"),
+    sv: ({ n }) => ([1, 2].includes(n % 10) && ![11, 12].includes(n % 100) ? "one" : "other")
+};
+
+["ms", "ro", "vi", "ga", "hy"].forEach(language => (ORDINAL[language] = ORDINAL.fr));
+
+const cache = {};
+
+const getIntlRules = (locale: string, ordinal: boolean): ?Object => {
+    const key = `${locale}:${ordinal ? "ordinal" : "cardinal"}`;
+    if (!(key in cache)) {
+        cache[key] = null;
+        if (typeof Intl !== "undefined" && Intl.PluralRules) {
+            // Locale data may be missing (eg. Node.js built with "small-icu"), built-in rules are used then.
+            const PluralRules: any = Intl.PluralRules;
+            if (PluralRules.supportedLocalesOf([locale]).length) {
+                cache[key] = new PluralRules(locale, { type: ordinal ? "ordinal" : "cardinal" });
+            }
+        }
+    }
+    return cache[key];
+};
+
+/**
+ * Returns CLDR plural category ("zero", "one", "two", "few", "many" or "other") of given number.
+ */
+export default (locale: string, value: number, ordinal: boolean = false): string => {
+    const rules = getIntlRules(locale, ordinal);
+    if (rules) {
+        return rules.select(value);
+    }
+
+    const language = locale.split(/[-_]/)[0].toLowerCase();
+    const rule = ordinal ? ORDINAL[language] || other : CARDINAL[language] || defaultCardinal;
+    return rule(getOperands(value));
+};
@@ -0,0 +1,198 @@
+// @flow
+export type NumberOptions = {
+    // Intl.NumberFormat options.
+    intl: Object,
+    // Value is multiplied by this number before formatting.
+    scale: number
+};
+
+const setFractionDigits = (options: Object, token: string) => {
+    // ".00" - exactly two, ".0#" - one or two, ".00+" - at least two fraction digits.
+    const digits = token.substr(1);
+    const min = (digits.match(/0/g) || []).length;
+    options.minimumFractionDigits = min;
+    options.maximumFractionDigits = digits.endsWith("+")
+        ? 20
+        : min + (digits.match(/#/g) || []).length;
+};
+
+const setSignificantDigits = (options: Object, token: string) => {
+    // "@@@" - exactly three, "@@#" - two or three, "@@+" - at least two significant digits.
+    const min = (token.match(/@/g) || []).length;
+    options.minimumSignificantDigits = min;
+    options.maximumSignificantDigits = token.endsWith("+")
+        ? 21
+        : min + (token.match(/#/g) || []).length;
+};
+
+/**
+ * Converts ICU number skeleton (eg. "currency/EUR .00" or "percent") into Intl.NumberFormat options. Both long
+ * and concise forms are supported, unsupported tokens are ignored.
+ * See https://unicode-org.github.io/icu/userguide/format_parse/numbers/skeletons.html.
+ */
+export const getNumberOptions = (skeleton: string): NumberOptions => {
+    const intl = {};
+    let scale = 1;
+    let percent = false;
+
+    skeleton
+        .trim()
+        .split(/\s+/)
+        .forEach(token => {
+            const [name, ...parameters] = token.split("/");
+            switch (name) {
+                case "percent":
+                case "%":
+                    intl.style = "percent";
+                    percent = true;
+                    break;
+                case "%x100":
+                    intl.style = "percent";
+                    break;
+                case "currency":
+                    intl.style = "currency";
+                    intl.currency = parameters[0];
+                    break;
+                case "measure-unit":
+                case "unit":
+                    // Measure units are prefixed with type (eg. "length-meter"), which Intl doesn't use.
+                    intl.style = "unit";
+                    intl.unit = parameters[0].replace(
+                        /^(length|mass|volume|temperature|duration|digital|speed|area|concentr|angle)-/,
+                        ""
+                    );
+                    break;
+                case "scale":
+                    scale = parseFloat(parameters[0]) || 1;
+                    break;
+                case "compact-short":
+                case "K":
+                    intl.notation = "compact";
+                    intl.compactDisplay = "short";
+                    break;
+                case "compact-long":
+                case "KK":
+                    intl.notation = "compact";
+                    intl.compactDisplay = "long";
+                    break;
+                case "scientific":
+                case "engineering":
+                    intl.notation = name;
+                    break;
+                case "group-off":
+                case ",_":
+                    intl.useGrouping = false;
+                    break;
+                case "sign-always":
+                case "+!":
+                    intl.signDisplay = "always";
+                    break;
+                case "sign-never":
+                case "+_":
+                    intl.signDisplay = "never";
+                    break;
+                case "sign-except-zero":
+                case "+?":
+                    intl.signDisplay = "exceptZero";
+                    break;
+                case "unit-width-narrow":
+                    intl.currencyDisplay = "narrowSymbol";
+                    intl.unitDisplay = "narrow";
+                    break;
+                case "unit-width-iso-code":
+                    intl.currencyDisplay = "code";
+                    break;
+                case "unit-width-full-name":
+                    intl.currencyDisplay = "name";
+                    intl.unitDisplay = "long";
+                    break;
+                case "precision-integer":
+                case ".":
+                    intl.maximumFractionDigits = 0;
+                    break;
+                case "integer-width":
+                    intl.minimumIntegerDigits = (parameters[0].match(/0/g) || []).length || 1;
+                    break;
+                default:
+                    if (/^\.[0#]+\+?$/.test(name)) {
+                        setFractionDigits(intl, name);
+                    } else if (/^@+#*\+?$/.test(name)) {
+                        setSignificantDigits(intl, name);
+                    } else if (/^0+$/.test(name)) {
+                        intl.minimumIntegerDigits = name.length;
+                    }
+            }
+        });
+
+    // In ICU, "percent" only adds the percent sign, while Intl.NumberFormat also multiplies the value by 100.
+    if (percent) {
+        scale = scale / 100;
+    }
+
+    return { intl, scale };
+};
+
+const DATE_FIELDS = {
+    G: ["era", ["short", "short", "short", "long", "narrow"]],
+    y: ["year", ["numeric", "2-digit"]],
+    M: ["month", ["numeric", "2-digit", "short", "long", "narrow"]],
+    L: ["month", ["numeric", "2-digit", "short", "long", "narrow"]],
+    d: ["day", ["numeric", "2-digit"]],
+    E: ["weekday", ["short", "short", "short", "long", "narrow"]],
+    h: ["hour", ["numeric", "2-digit"]],
+    H: ["hour", ["numeric", "2-digit"]],
+    j: ["hour", ["numeric", "2-digit"]],
+    m: ["minute", ["numeric", "2-digit"]],
+    s: ["second", ["numeric", "2-digit"]],
+    z: ["timeZoneName", ["short", "short", "short", "long"]]
+};
+
+/**
+ * Converts ICU date skeleton (eg. "yMMMd" or "EEEEjmm") into Intl.DateTimeFormat options.
+ */
+export const getDateOptions = (skeleton: string): Object => {
+    const options = {};
+    const regex = /([a-zA-Z])\1*/g;
+
+    let match;
+    while ((match = regex.exec(skeleton))) {
+        const [token, letter] = match;
+        const field = DATE_FIELDS[letter];
+        if (!field) {
+            continue;
+        }
+
+        const [name, values] = field;
+        if (name === "year") {
+            options.year = token.length === 2 ? "2-digit" : "numeric";
+        } else {
+            options[name] = values[Math.min(token.length, values.length) - 1];
+        }
+
+        if (letter === "h") {
+            options.hour12 = true;
+        }
+        if (letter === "H") {
+            options.hour12 = false;
+        }
+    }
+
+    return options;
+};
+
+/**
+ * Intl.DateTimeFormat options of predefined date and time styles.
+ */
+export const DATE_STYLES = {
+    short: { month: "numeric", day: "numeric", year: "2-digit" },
+    medium: { month: "short", day: "numeric", year: "numeric" },
+    long: { month: "long", day: "numeric", year: "numeric" },
+    full: { weekday: "long", month: "long", day: "numeric", year: "numeric" }
+};
+
+export const TIME_STYLES = {
+    short: { hour: "numeric", minute: "numeric" },
+    medium: { hour: "numeric", minute: "numeric", second: "numeric" },
+    long: { hour: "numeric", minute: "numeric", second: "numeric", timeZoneName: "short" },
+    full: { hour: "numeric", minute: "numeric", second: "numeric", timeZoneName: "short" }
+};
@@ -1,6 +1,7 @@
 /**
  * @name Modifier
- * @description I18N Modifier - used for modifying text dynamically.
+ * @description I18N Modifier - used for modifying text dynamically. Receives the value, modifier parameters and
+ * the I18N instance that is processing the text.
  */
 export type Modifier = {
     name: string,
@@ -15,3 +16,27 @@ export type Processor = {
     name: string,
     execute: Function<string>
 };
+
+/**
+ * @name LocaleData
+ * @description Names, formats and other data of a locale, used when formatting dates, numbers and prices.
+ */
+export type LocaleData = {
+    code: string,
+    monthNames: Array<string>,
+    monthNamesShort: Array<string>,
+    dayNames: Array<string>,
+    dayNamesShort: Array<string>,
+    amPm: Array<string>,
+    // 0 - Sunday, 1 - Monday, ...
+    firstDayOfWeek: number,
+    formats: {
+        date: string,
+        time: string,
+        datetime: string,
+        number: { decimal: string, thousand: string },
+        price: { format: string, decimal: string, thousand: string }
+    }
+};
+
+export type LocaleLoader = () => Promise<{ default: LocaleData } | LocaleData>;
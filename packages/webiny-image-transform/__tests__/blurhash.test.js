@@ -0,0 +1,49 @@
+import encodeBlurhash from "webiny-image-transform/blurhash";
+
+const createImage = (width, height, getColor) => {
+    const pixels = Buffer.alloc(width * height * 4);
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            const offset = 4 * (x + y * width);
+            const [r, g, b] = getColor(x, y);
+            pixels[offset] = r;
+            pixels[offset + 1] = g;
+            pixels[offset + 2] = b;
+            pixels[offset + 3] = 255;
+        }
+    }
+    return pixels;
+};
+
+const CHARACTERS =
+    "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~";
+const decode83 = value => {
+    return value.split("").reduce((output, char) => output * 83 + CHARACTERS.indexOf(char), 0);
+};
+
+describe("blurhash test", () => {
+    test("should encode size flag and components count into hash length", async () => {
+        const pixels = createImage(8, 8, () => [255, 0, 0]);
+
+        const hash = encodeBlurhash(pixels, 8, 8, 4, 3);
+        expect(hash.length).toBe(1 + 1 + 4 + 2 * (4 * 3 - 1));
+        expect(decode83(hash[0])).toBe(3 + 2 * 9);
+
+        expect(encodeBlurhash(pixels, 8, 8, 1, 1).length).toBe(6);
+    });
+
+    test("should encode average color of a solid image", async () => {
+        const pixels = createImage(8, 8, () => [58, 95, 140]);
+        const hash = encodeBlurhash(pixels, 8, 8);
+
+        const dc = decode83(hash.substr(2, 4));
+        expect([dc >> 16, (dc >> 8) & 255, dc & 255]).toEqual([58, 95, 140]);
+    });
+
+    test("should produce different hashes for different images", async () => {
+        const gradient = createImage(16, 16, x => [x * 16, x * 16, x * 16]);
+        const inverted = createImage(16, 16, x => [255 - x * 16, 255 - x * 16, 255 - x * 16]);
+
+        expect(encodeBlurhash(gradient, 16, 16)).not.toEqual(encodeBlurhash(inverted, 16, 16));
+    });
+});
@@ -0,0 +1,35 @@
+import os from "os";
+import path from "path";
+import fs from "fs-extra";
+import ImageCache from "webiny-image-transform/ImageCache";
+
+describe("image cache test", () => {
+    const folder = path.join(os.tmpdir(), "webiny-image-transform-cache-" + process.pid);
+    const cache = new ImageCache({ folder });
+
+    afterAll(async () => {
+        await fs.remove(folder);
+    });
+
+    test("should return null if image was not cached", async () => {
+        expect(await cache.get("file.jpg", { width: 100 })).toBeNull();
+    });
+
+    test("should store and return cached images", async () => {
+        await cache.set("file.jpg", { width: 100 }, Buffer.from("100"));
+        await cache.set("file.jpg", { width: 300, format: "webp" }, Buffer.from("300"));
+
+        expect((await cache.get("file.jpg", { width: 100 })).toString()).toEqual("100");
+        expect((await cache.get("file.jpg", { format: "webp", width: 300 })).toString()).toEqual(
+            "300"
+        );
+        expect(await cache.get("file.jpg", { width: 300 })).toBeNull();
+        expect(await cache.get("other.jpg", { width: 100 })).toBeNull();
+    });
+
+    test("should remove all cached images of a file", async () => {
+        await cache.remove("file.jpg");
+        expect(await cache.get("file.jpg", { width: 100 })).toBeNull();
+        expect(await cache.get("file.jpg", { format: "webp", width: 300 })).toBeNull();
+    });
+});
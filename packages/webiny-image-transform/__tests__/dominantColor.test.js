@@ -0,0 +1,28 @@
+import getDominantColor from "webiny-image-transform/dominantColor";
+
+const pixels = colors => Buffer.from([].concat(...colors.map(color => [...color, 255])));
+
+describe("dominant color test", () => {
+    test("should return the most common color", () => {
+        const red = [250, 10, 10];
+        const blue = [10, 10, 250];
+        expect(getDominantColor(pixels([red, blue, red, blue, red]))).toEqual("#f80808");
+        expect(getDominantColor(pixels([blue, blue, red]))).toEqual("#0808f8");
+    });
+
+    test("should group similar colors", () => {
+        const colors = [
+            [32, 64, 96],
+            [40, 70, 100],
+            [47, 79, 111],
+            [200, 200, 200],
+            [210, 200, 200]
+        ];
+        expect(getDominantColor(pixels(colors))).toEqual("#284868");
+    });
+
+    test("should support pixels without alpha channel", () => {
+        const data = Buffer.from([0, 0, 0, 255, 255, 255, 255, 255, 255]);
+        expect(getDominantColor(data, 3)).toEqual("#f8f8f8");
+    });
+});
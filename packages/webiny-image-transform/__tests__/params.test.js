@@ -0,0 +1,93 @@
+import {
+    parseTransformParams,
+    serializeTransformParams,
+    getAutoFormat,
+    getSupportedDimension
+} from "webiny-image-transform/params";
+
+describe("image transform params test", () => {
+    test("should return empty params if nothing was passed", async () => {
+        expect(parseTransformParams()).toEqual({});
+        expect(parseTransformParams({})).toEqual({});
+    });
+
+    test("should parse valid params", async () => {
+        const params = parseTransformParams({
+            width: "300",
+            height: "500",
+            fit: "contain",
+            position: "attention",
+            format: "webp",
+            quality: "80"
+        });
+
+        expect(params).toEqual({
+            width: 300,
+            height: 500,
+            fit: "contain",
+            position: "attention",
+            format: "webp",
+            quality: 80
+        });
+    });
+
+    test("should ignore invalid params", async () => {
+        const params = parseTransformParams({
+            width: "abc",
+            height: "-100",
+            fit: "stretch",
+            position: "somewhere",
+            format: "avif",
+            quality: "0",
+            rotate: "90"
+        });
+
+        expect(params).toEqual({});
+    });
+
+    test("should snap dimensions to supported values", async () => {
+        expect(getSupportedDimension("1")).toEqual(100);
+        expect(getSupportedDimension(100)).toEqual(100);
+        expect(getSupportedDimension("101")).toEqual(300);
+        expect(getSupportedDimension("999")).toEqual(1000);
+        expect(getSupportedDimension("100000")).toEqual(2500);
+        expect(getSupportedDimension("0")).toBeNull();
+        expect(getSupportedDimension("abc")).toBeNull();
+
+        const params = parseTransformParams({ width: "320", height: "6000" });
+        expect(params).toEqual({ width: 500, height: 2500 });
+    });
+
+    test("should only accept supported quality values", async () => {
+        expect(parseTransformParams({ quality: "90" })).toEqual({ quality: 90 });
+        expect(parseTransformParams({ quality: "75" })).toEqual({});
+        expect(parseTransformParams({ quality: "150" })).toEqual({});
+    });
+
+    test("should treat jpg format as jpeg", async () => {
+        expect(parseTransformParams({ format: "jpg" })).toEqual({ format: "jpeg" });
+    });
+
+    test("should resolve auto format using accept header", async () => {
+        expect(getAutoFormat("image/avif,image/webp,image/apng,*/*")).toEqual("webp");
+        expect(getAutoFormat("image/webp,*/*")).toEqual("webp");
+        expect(getAutoFormat("*/*")).toEqual(null);
+        expect(getAutoFormat()).toEqual(null);
+
+        expect(parseTransformParams({ format: "auto" }, { accept: "image/webp,*/*" })).toEqual({
+            format: "webp"
+        });
+        expect(parseTransformParams({ format: "auto", width: "100" }, { accept: "*/*" })).toEqual({
+            width: 100
+        });
+    });
+
+    test("should serialize params regardless of their order", async () => {
+        expect(serializeTransformParams({ width: 100, format: "webp" })).toEqual(
+            serializeTransformParams({ format: "webp", width: 100 })
+        );
+        expect(serializeTransformParams({ width: 100, height: 100 })).toEqual(
+            "height=100&width=100"
+        );
+    });
+});
@@ -0,0 +1,2 @@
+// @flow
+export * from "./src";
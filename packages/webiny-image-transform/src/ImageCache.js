@@ -0,0 +1,54 @@
+// @flow
+import crypto from "crypto";
+import path from "path";
+import fs from "fs-extra";
+import { serializeTransformParams } from "./params";
+import type { ImageTransformParams } from "./params";
+
+/**
+ * Stores transformed images (derivatives) on disk, grouped by the key of the original file.
+ * Originals are expected to be immutable (each upload gets a unique key), so derivatives never expire.
+ */
+class ImageCache {
+    folder: string;
+
+    constructor({ folder }: { folder: string }) {
+        this.folder = path.resolve(folder);
+    }
+
+    getPath(key: string, params: ImageTransformParams): string {
+        const hash = crypto
+            .createHash("md5")
+            .update(serializeTransformParams(params))
+            .digest("hex");
+
+        return path.join(this.folder, key, hash);
+    }
+
+    async get(key: string, params: ImageTransformParams): Promise<?Buffer> {
+        try {
+            return await fs.readFile(this.getPath(key, params));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async set(key: string, params: ImageTransformParams, buffer: Buffer): Promise<void> {
+        const file = this.getPath(key, params);
+        await fs.ensureDir(path.dirname(file));
+
+        // Write into a temporary file first, so concurrent requests never read a partially written image.
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(temp, buffer);
+        await fs.rename(temp, file);
+    }
+
+    /**
+     * Removes all derivatives of given file (eg. when the original was deleted).
+     */
+    async remove(key: string): Promise<void> {
+        await fs.remove(path.join(this.folder, key));
+    }
+}
+
+export default ImageCache;
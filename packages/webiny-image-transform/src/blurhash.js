@@ -0,0 +1,99 @@
+// @flow
+/**
+ * BlurHash encoder (https://blurha.sh) - a compact representation of an image placeholder.
+ * Ported from the reference implementation (https://github.com/woltapp/blurhash).
+ */
+
+const CHARACTERS =
+    "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~";
+
+const encode83 = (value: number, length: number): string => {
+    let output = "";
+    for (let i = 1; i <= length; i++) {
+        const digit = Math.floor(value / Math.pow(83, length - i)) % 83;
+        output += CHARACTERS[digit];
+    }
+    return output;
+};
+
+const sRGBToLinear = (value: number): number => {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+
+const linearToSRGB = (value: number): number => {
+    const v = Math.max(0, Math.min(1, value));
+    if (v <= 0.0031308) {
+        return Math.round(v * 12.92 * 255);
+    }
+    return Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255);
+};
+
+const signPow = (value: number, exp: number): number => {
+    return Math.sign(value) * Math.pow(Math.abs(value), exp);
+};
+
+/**
+ * Encodes RGBA pixels (4 bytes per pixel) into a BlurHash string.
+ */
+export default (
+    pixels: Buffer | Uint8ClampedArray,
+    width: number,
+    height: number,
+    componentX: number = 4,
+    componentY: number = 3
+): string => {
+    const factors = [];
+    for (let y = 0; y < componentY; y++) {
+        for (let x = 0; x < componentX; x++) {
+            const normalisation = x === 0 && y === 0 ? 1 : 2;
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            for (let i = 0; i < width; i++) {
+                for (let j = 0; j < height; j++) {
+                    const basis =
+                        normalisation *
+                        Math.cos((Math.PI * x * i) / width) *
+                        Math.cos((Math.PI * y * j) / height);
+                    const offset = 4 * (i + j * width);
+                    r += basis * sRGBToLinear(pixels[offset]);
+                    g += basis * sRGBToLinear(pixels[offset + 1]);
+                    b += basis * sRGBToLinear(pixels[offset + 2]);
+                }
+            }
+
+            const scale = 1 / (width * height);
+            factors.push([r * scale, g * scale, b * scale]);
+        }
+    }
+
+    const [dc, ...ac] = factors;
+
+    let hash = encode83(componentX - 1 + (componentY - 1) * 9, 1);
+
+    let maximumValue = 1;
+    if (ac.length) {
+        const actualMaximumValue = Math.max(...ac.map(factor => Math.max(...factor.map(Math.abs))));
+        const quantisedMaximumValue = Math.max(
+            0,
+            Math.min(82, Math.floor(actualMaximumValue * 166 - 0.5))
+        );
+        maximumValue = (quantisedMaximumValue + 1) / 166;
+        hash += encode83(quantisedMaximumValue, 1);
+    } else {
+        hash += encode83(0, 1);
+    }
+
+    const [r, g, b] = dc;
+    hash += encode83((linearToSRGB(r) << 16) + (linearToSRGB(g) << 8) + linearToSRGB(b), 4);
+
+    ac.forEach(factor => {
+        const [r, g, b] = factor.map(value =>
+            Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5)))
+        );
+        hash += encode83(r * 19 * 19 + g * 19 + b, 2);
+    });
+
+    return hash;
+};
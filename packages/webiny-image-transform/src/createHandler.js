@@ -0,0 +1,85 @@
+// @flow
+import mime from "mime-types";
+import { get } from "lodash";
+import transform from "./transform";
+import ImageCache from "./ImageCache";
+import { parseTransformParams, SUPPORTED_CONTENT_TYPES } from "./params";
+
+type HandlerOptions = {
+    // Reads the original file. Should throw if the file does not exist.
+    readFile: (key: string) => Promise<Buffer>,
+    // Folder in which transformed images are stored. If not set, images are transformed on every request.
+    cacheFolder?: string
+};
+
+const CORS_HEADERS = {
+    "Access-Control-Allow-Origin": "*"
+};
+
+// Keys are generated on upload, so anything resembling a path is rejected.
+const isValidKey = (key: ?string): boolean %checks => {
+    return typeof key === "string" && !!key && !/[\\/]/.test(key) && !key.startsWith(".");
+};
+
+/**
+ * Creates a Lambda-style handler, serving files by key and transforming images using params
+ * from the query string (width, height, fit, position, format and quality).
+ */
+export default ({ readFile, cacheFolder }: HandlerOptions) => {
+    const cache = cacheFolder ? new ImageCache({ folder: cacheFolder }) : null;
+
+    return async (event: Object) => {
+        const key = get(event, "pathParameters.key");
+        if (!isValidKey(key)) {
+            return { statusCode: 404, headers: CORS_HEADERS };
+        }
+
+        const contentType = mime.lookup(key) || "application/octet-stream";
+
+        let params = {};
+        const inputFormat = SUPPORTED_CONTENT_TYPES[contentType];
+        if (inputFormat) {
+            const accept = get(event, "headers.accept") || get(event, "headers.Accept");
+            params = parseTransformParams(event.queryStringParameters, { accept });
+        }
+
+        const headers: Object = {
+            ...CORS_HEADERS,
+            "Content-Type": params.format ? `image/${params.format}` : contentType,
+            "Cache-Control": "public, max-age=31536000"
+        };
+
+        // When "format=auto" was requested, the response depends on the "Accept" request header.
+        if (get(event, "queryStringParameters.format") === "auto") {
+            headers.Vary = "Accept";
+        }
+
+        if (!Object.keys(params).length) {
+            try {
+                return { statusCode: 200, headers, body: await readFile(key) };
+            } catch (e) {
+                return { statusCode: 404, headers: CORS_HEADERS };
+            }
+        }
+
+        let body = cache && (await cache.get(key, params));
+        if (!body) {
+            let original;
+            try {
+                original = await readFile(key);
+            } catch (e) {
+                return { statusCode: 404, headers: CORS_HEADERS };
+            }
+
+            try {
+                body = await transform(original, params);
+            } catch (e) {
+                return { statusCode: 500, headers: CORS_HEADERS };
+            }
+
+            cache && (await cache.set(key, params, body));
+        }
+
+        return { statusCode: 200, headers, body };
+    };
+};
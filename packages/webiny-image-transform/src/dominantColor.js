@@ -0,0 +1,25 @@
+// @flow
+/**
+ * Returns the most common color of given raw pixels, eg. "#3a5f8c". Similar colors are grouped into
+ * 4096 bins (4 bits per channel), and the middle of the most populated bin is returned.
+ */
+export default (pixels: Buffer | Uint8ClampedArray, channels: number = 4): string => {
+    const bins = {};
+    let dominant = 0;
+    let max = 0;
+    for (let i = 0; i + 2 < pixels.length; i += channels) {
+        const bin = ((pixels[i] >> 4) << 8) | ((pixels[i + 1] >> 4) << 4) | (pixels[i + 2] >> 4);
+        bins[bin] = (bins[bin] || 0) + 1;
+        if (bins[bin] > max) {
+            max = bins[bin];
+            dominant = bin;
+        }
+    }
+
+    return (
+        "#" +
+        [dominant >> 8, (dominant >> 4) & 15, dominant & 15]
+            .map(value => (value * 16 + 8).toString(16).padStart(2, "0"))
+            .join("")
+    );
+};
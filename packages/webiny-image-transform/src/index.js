@@ -0,0 +1,8 @@
+// @flow
+export { default as createHandler } from "./createHandler";
+export { default as ImageCache } from "./ImageCache";
+export { default as transformImage } from "./transform";
+export { default as getImagePlaceholder } from "./placeholder";
+export { default as encodeBlurhash } from "./blurhash";
+export { default as getDominantColor } from "./dominantColor";
+export * from "./params";
@@ -0,0 +1,127 @@
+// @flow
+export type ImageFit = "cover" | "contain" | "fill" | "inside" | "outside";
+export type ImageFormat = "jpeg" | "png" | "webp";
+
+export type ImageTransformParams = {
+    width?: number,
+    height?: number,
+    fit?: ImageFit,
+    position?: string,
+    format?: ImageFormat,
+    quality?: number
+};
+
+// Requested dimensions are snapped to these values and only these qualities are accepted, which keeps the number
+// of cached images per file small. Dimensions match the widths used by the "Image" component (see "webiny-app").
+export const SUPPORTED_DIMENSIONS = [100, 300, 500, 750, 1000, 1500, 2500];
+
+export const SUPPORTED_QUALITIES = [50, 60, 70, 80, 90, 100];
+
+export const SUPPORTED_FITS = ["cover", "contain", "fill", "inside", "outside"];
+
+// "entropy" and "attention" are smart crop strategies, only applicable with "cover" fit.
+export const SUPPORTED_POSITIONS = [
+    "center",
+    "top",
+    "right",
+    "bottom",
+    "left",
+    "entropy",
+    "attention"
+];
+
+export const SUPPORTED_FORMATS = ["jpeg", "png", "webp"];
+
+// Content types of images that can be transformed. Others (eg. SVG or GIF) are always served as they are.
+export const SUPPORTED_CONTENT_TYPES: { [string]: ImageFormat } = {
+    "image/jpeg": "jpeg",
+    "image/jpg": "jpeg",
+    "image/png": "png",
+    "image/webp": "webp"
+};
+
+/**
+ * Returns the smallest supported dimension that is not smaller than the requested one (or the largest one).
+ */
+export const getSupportedDimension = (value: mixed): ?number => {
+    const number = parseInt(value);
+    if (!Number.isFinite(number) || number < 1) {
+        return null;
+    }
+
+    const dimension = SUPPORTED_DIMENSIONS.find(item => item >= number);
+    return dimension || SUPPORTED_DIMENSIONS[SUPPORTED_DIMENSIONS.length - 1];
+};
+
+/**
+ * Resolves "auto" format by checking if the client accepts WebP.
+ */
+export const getAutoFormat = (accept: ?string): ?ImageFormat => {
+    if (typeof accept !== "string") {
+        return null;
+    }
+
+    if (accept.includes("image/webp")) {
+        return "webp";
+    }
+
+    return null;
+};
+
+/**
+ * Parses transform params received via query string. Invalid values are ignored, so
+ * every URL results in a valid set of params (an empty object means "serve the original").
+ */
+export const parseTransformParams = (
+    query: ?Object,
+    { accept }: { accept?: ?string } = {}
+): ImageTransformParams => {
+    const params: Object = {};
+    if (!query) {
+        return params;
+    }
+
+    const width = getSupportedDimension(query.width);
+    if (width) {
+        params.width = width;
+    }
+
+    const height = getSupportedDimension(query.height);
+    if (height) {
+        params.height = height;
+    }
+
+    if (SUPPORTED_FITS.includes(query.fit)) {
+        params.fit = query.fit;
+    }
+
+    if (SUPPORTED_POSITIONS.includes(query.position)) {
+        params.position = query.position;
+    }
+
+    let format = query.format === "jpg" ? "jpeg" : query.format;
+    if (format === "auto") {
+        format = getAutoFormat(accept);
+    }
+
+    if (SUPPORTED_FORMATS.includes(format)) {
+        params.format = format;
+    }
+
+    const quality = parseInt(query.quality);
+    if (SUPPORTED_QUALITIES.includes(quality)) {
+        params.quality = quality;
+    }
+
+    return params;
+};
+
+/**
+ * Returns a stable string representation of given params, used for cache keys.
+ */
+export const serializeTransformParams = (params: ImageTransformParams): string => {
+    return Object.keys(params)
+        .sort()
+        .map(key => `${key}=${String(params[key])}`)
+        .join("&");
+};
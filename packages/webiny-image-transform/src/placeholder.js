@@ -0,0 +1,23 @@
+import sharp from "sharp";
+import encodeBlurhash from "./blurhash";
+import getDominantColor from "./dominantColor";
+
+/**
+ * Returns image's dominant color (eg. "#3a5f8c") and a BlurHash placeholder, which can be shown while the image loads.
+ *
+ * Note: this file is intentionally not type-checked, since "sharp" is a native module installed only where needed.
+ */
+export default async buffer => {
+    // Both values only need a tiny version of the image, which also makes encoding fast.
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize(32, 32, { fit: "inside" })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return {
+        dominantColor: getDominantColor(data, info.channels),
+        blurhash: encodeBlurhash(data, info.width, info.height)
+    };
+};
@@ -0,0 +1,30 @@
+import sharp from "sharp";
+
+/**
+ * Applies given transform params to the image, using sharp (libvips).
+ * Images are never enlarged - if requested dimensions exceed the original ones, the original size is kept.
+ *
+ * Note: this file is intentionally not type-checked, since "sharp" is a native module installed only where needed.
+ */
+export default async (buffer, params) => {
+    // Respect EXIF orientation, since metadata is not copied into the transformed image.
+    let image = sharp(buffer).rotate();
+
+    const { width, height, fit, position, format, quality } = params;
+    if (width || height) {
+        image = image.resize({
+            width,
+            height,
+            fit: fit || "cover",
+            position: position || "center",
+            withoutEnlargement: true
+        });
+    }
+
+    if (format || quality) {
+        const { format: originalFormat } = await sharp(buffer).metadata();
+        image = image.toFormat(format || originalFormat, quality ? { quality } : {});
+    }
+
+    return image.toBuffer();
+};
@@ -64,4 +64,19 @@ describe("attribute boolean test", () => {
 
         expect(someModel.createdOn).toEqual("random");
     });
+
+    test("should mark value as dirty if it changed within the same second", () => {
+        const someModel = new Model(function() {
+            this.attr("attribute").date();
+        });
+
+        someModel.populateFromStorage({ attribute: new Date(1517520575100) });
+        expect(someModel.getAttribute("attribute").value.isDirty()).toBe(false);
+
+        someModel.attribute = new Date(1517520575100);
+        expect(someModel.getAttribute("attribute").value.isDirty()).toBe(false);
+
+        someModel.attribute = new Date(1517520575900);
+        expect(someModel.getAttribute("attribute").value.isDirty()).toBe(true);
+    });
 });
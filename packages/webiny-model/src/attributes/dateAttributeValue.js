@@ -1,9 +1,14 @@
 // @flow
 import { AttributeValue } from "webiny-model";
 
+// Dates are compared by their timestamps - string representation does not include milliseconds.
+const toComparable = (value: mixed): mixed => {
+    return value instanceof Date ? value.getTime() : String(value);
+};
+
 class DateAttributeValue extends AttributeValue {
     isDifferentFrom(value: mixed): boolean {
-        return String(value) !== String(this.current);
+        return toComparable(value) !== toComparable(this.current);
     }
 }
 
@@ -7,7 +7,14 @@ module.exports = {
             env: {
                 MONGODB_SERVER: process.env.MONGODB_SERVER,
                 MONGODB_DB_NAME: process.env.MONGODB_DB_NAME,
-                WEBINY_JWT_SECRET: process.env.WEBINY_JWT_SECRET
+                WEBINY_JWT_SECRET: process.env.WEBINY_JWT_SECRET,
+                WEBINY_ADMIN_URL: process.env.WEBINY_ADMIN_URL
+            },
+            jobs: {
+                "cms-publish-scheduled-pages": {
+                    handler: "src/jobs/publishScheduledPages.js",
+                    schedule: "rate(1 minute)"
+                }
             }
         }
     },